@@ -1,10 +1,22 @@
 const mongoose = require('mongoose');
+const Appreciation = require('../models/Appreciation');
+const Attendance = require('../models/Attendance');
+const Class = require('../models/Class');
+const CouncilComment = require('../models/CouncilComment');
+const Subject = require('../models/Subject');
+const TeachingAssignment = require('../models/TeachingAssignment');
 
 const connectDB = async () => {
     try {
         const conn = await mongoose.connect(process.env.MONGO_URI, {});
 
         console.log(`MongoDB Connected: ${conn.connection.host}`);
+
+        // Drop the indexes the schemas no longer declare (e.g. the unique class name, now unique
+        // per academic year) and build the new ones (unique indexes partial on records not deleted)
+        for (const Model of [Class, Subject, TeachingAssignment, Appreciation, CouncilComment, Attendance]) {
+            await Model.syncIndexes();
+        }
     } catch (error) {
         console.error(`Error: ${error.message}`);
         process.exit(1);
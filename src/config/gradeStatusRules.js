@@ -0,0 +1,30 @@
+const { GRADE_STATUS_RULE_VALUES, DEFAULT_GRADE_STATUS_RULES } = require('../utils/constants');
+
+/**
+ * Parse the averaging rules of grade statuses
+ * Statuses that are not listed keep their default rule.
+ * @param {string} [value] - Comma separated status:rule pairs (e.g. "absent_unjustified:exclude,not_submitted:zero")
+ * @returns {Object} Rule ('exclude' or 'zero') per status without note
+ * @throws {Error} If a status or rule is unknown
+ */
+const parseGradeStatusRules = (value = '') => {
+  const rules = { ...DEFAULT_GRADE_STATUS_RULES };
+
+  value.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [status, rule] = entry.split(':').map(part => part.trim());
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_GRADE_STATUS_RULES, status)) {
+      throw new Error(`GRADE_STATUS_RULES: unknown status "${status}"`);
+    }
+    if (!GRADE_STATUS_RULE_VALUES.includes(rule)) {
+      throw new Error(`GRADE_STATUS_RULES: rule for "${status}" must be one of ${GRADE_STATUS_RULE_VALUES.join(', ')}`);
+    }
+    rules[status] = rule;
+  });
+
+  return rules;
+};
+
+module.exports = {
+  parseGradeStatusRules,
+  gradeStatusRules: parseGradeStatusRules(process.env.GRADE_STATUS_RULES)
+};
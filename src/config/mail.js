@@ -0,0 +1,68 @@
+const fs = require('fs');
+const nodemailer = require('nodemailer');
+
+/**
+ * Mail transports
+ * A transport is an object with an async send({ from, to, subject, text }) method. smtp sends
+ * through the mail server given by the SMTP_* variables. The console and file transports stand
+ * in for it in development and tests and are refused when NODE_ENV is production (they would
+ * print or store reset tokens in clear).
+ */
+const MAIL_TRANSPORTS = {
+  // Print the mail on the server output
+  console: () => ({
+    async send({ from, to, subject, text }) {
+      console.log(`[MAIL] From: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n`);
+    }
+  }),
+  // Append the mail as one JSON line to MAIL_FILE (mail.log by default)
+  file: () => ({
+    async send(message) {
+      const line = JSON.stringify({ date: new Date().toISOString(), ...message });
+      await fs.promises.appendFile(process.env.MAIL_FILE || 'mail.log', `${line}\n`);
+    }
+  }),
+  // Send through SMTP_HOST:SMTP_PORT (587 by default, TLS from the start with SMTP_SECURE=true),
+  // authenticated as SMTP_USER / SMTP_PASS when set
+  smtp: () => {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('MAIL_TRANSPORT: the smtp transport needs SMTP_HOST');
+    }
+    const mailer = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+    return {
+      async send(message) {
+        await mailer.sendMail(message);
+      }
+    };
+  }
+};
+
+// Transports that never deliver a mail
+const DEVELOPMENT_TRANSPORTS = ['console', 'file'];
+
+/**
+ * Create the transport selected by MAIL_TRANSPORT
+ * @param {string} [name='console'] - Transport name (console, file or smtp)
+ * @returns {Object} Transport with an async send(message) method
+ * @throws {Error} If the transport is unknown or misconfigured, or a development transport
+ *   is used when NODE_ENV is production
+ */
+const createMailTransport = (name = 'console') => {
+  if (!Object.prototype.hasOwnProperty.call(MAIL_TRANSPORTS, name)) {
+    throw new Error(`MAIL_TRANSPORT: unknown transport "${name}" (use ${Object.keys(MAIL_TRANSPORTS).join(', ')})`);
+  }
+  if (process.env.NODE_ENV === 'production' && DEVELOPMENT_TRANSPORTS.includes(name)) {
+    throw new Error(`MAIL_TRANSPORT: the ${name} transport is not allowed in production, use smtp`);
+  }
+  return MAIL_TRANSPORTS[name]();
+};
+
+module.exports = {
+  MAIL_TRANSPORTS,
+  createMailTransport
+};
@@ -33,6 +33,44 @@ const options = {
           scheme: 'bearer',
           bearerFormat: 'JWT'
         }
+      },
+      parameters: {
+        Page: {
+          in: 'query',
+          name: 'page',
+          schema: { type: 'integer', minimum: 1, default: 1 },
+          description: 'Page number'
+        },
+        Limit: {
+          in: 'query',
+          name: 'limit',
+          schema: { type: 'integer', minimum: 1, maximum: 100 },
+          description: 'Number of items per page (50 when only page is given). Without page nor limit the whole list is returned'
+        },
+        IncludeDeleted: {
+          in: 'query',
+          name: 'includeDeleted',
+          schema: { type: 'boolean', default: false },
+          description: 'Also return deleted records (admins only, 403 otherwise)'
+        },
+        Cascade: {
+          in: 'query',
+          name: 'cascade',
+          schema: { type: 'string', enum: ['reassign', 'delete'] },
+          description: 'Handle the records referencing the deleted one: reassign them to another record (to) or delete them (students, classes and grades are soft-deleted). Without it, a referenced record is not deleted (409). Needs MongoDB as a replica set (503 otherwise)'
+        },
+        CascadeTarget: {
+          in: 'query',
+          name: 'to',
+          schema: { type: 'string' },
+          description: 'ObjectId of the record receiving the references (required with cascade=reassign)'
+        },
+        CascadeOverride: {
+          in: 'query',
+          name: 'motifDerogation',
+          schema: { type: 'string', maxLength: 500 },
+          description: 'Override reason (admins only) to reassign or delete references in an archived academic year or a locked trimester, kept in the audit log and the grade history'
+        }
       }
     },
     security: [{
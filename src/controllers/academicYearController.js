@@ -0,0 +1,96 @@
+const academicYearService = require('../services/academicYearService');
+
+class AcademicYearController {
+  // @desc    Get all academic years
+  // @route   GET /api/academic-years
+  // @access  Private
+  async getAll(req, res, next) {
+    try {
+      const years = await academicYearService.getAllYears();
+      res.status(200).json({
+        success: true,
+        count: years.length,
+        data: years,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // @desc    Get single academic year
+  // @route   GET /api/academic-years/:id
+  // @access  Private
+  async getById(req, res, next) {
+    try {
+      const year = await academicYearService.getYearById(req.params.id);
+      res.status(200).json({
+        success: true,
+        data: year,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // @desc    Create academic year
+  // @route   POST /api/academic-years
+  // @access  Private (Admin)
+  async create(req, res, next) {
+    try {
+      const year = await academicYearService.createYear(req.body);
+      res.status(201).json({
+        success: true,
+        data: year,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // @desc    Update academic year
+  // @route   PUT /api/academic-years/:id
+  // @access  Private (Admin)
+  async update(req, res, next) {
+    try {
+      const year = await academicYearService.updateYear(req.params.id, req.body);
+      res.status(200).json({
+        success: true,
+        data: year,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // @desc    Delete academic year
+  // @route   DELETE /api/academic-years/:id
+  // @access  Private (Admin)
+  async delete(req, res, next) {
+    try {
+      await academicYearService.deleteYear(req.params.id);
+      res.status(200).json({
+        success: true,
+        message: 'Academic year deleted successfully',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // @desc    Create next year's classes, promote students and archive the year
+  // @route   POST /api/academic-years/:id/rollover
+  // @access  Private (Admin)
+  async rollover(req, res, next) {
+    try {
+      const result = await academicYearService.rollover(req.params.id, req.body);
+      res.status(201).json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new AcademicYearController();
@@ -0,0 +1,88 @@
+const appreciationService = require('../services/appreciationService');
+
+class AppreciationController {
+  // @desc    Get all appreciations with optional filtering
+  // @route   GET /api/appreciations
+  // @access  Private
+  async getAll(req, res, next) {
+    try {
+      const filters = {
+        student: req.query.student,     // ?student=ID
+        subject: req.query.subject,     // ?subject=ID
+        trimester: req.query.trimester, // ?trimester=ID
+        teacher: req.query.teacher      // ?teacher=ID
+      };
+
+      const appreciations = await appreciationService.getAllAppreciations(filters, req.user);
+      res.status(200).json({
+        success: true,
+        count: appreciations.length,
+        data: appreciations,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // @desc    Get single appreciation
+  // @route   GET /api/appreciations/:id
+  // @access  Private
+  async getById(req, res, next) {
+    try {
+      const appreciation = await appreciationService.getAppreciationById(req.params.id, req.user);
+      res.status(200).json({
+        success: true,
+        data: appreciation,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // @desc    Create new appreciation
+  // @route   POST /api/appreciations
+  // @access  Private (Teacher: own appreciations / Admin)
+  async create(req, res, next) {
+    try {
+      const appreciation = await appreciationService.createAppreciation(req.body, req.user);
+      res.status(201).json({
+        success: true,
+        data: appreciation,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // @desc    Update appreciation text
+  // @route   PUT /api/appreciations/:id
+  // @access  Private (Teacher: own appreciations / Admin)
+  async update(req, res, next) {
+    try {
+      const appreciation = await appreciationService.updateAppreciation(req.params.id, req.body, req.user);
+      res.status(200).json({
+        success: true,
+        data: appreciation,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // @desc    Delete appreciation
+  // @route   DELETE /api/appreciations/:id
+  // @access  Private (Teacher: own appreciations / Admin)
+  async delete(req, res, next) {
+    try {
+      await appreciationService.deleteAppreciation(req.params.id, req.user);
+      res.status(200).json({
+        success: true,
+        message: 'Appreciation deleted successfully',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new AppreciationController();
@@ -0,0 +1,116 @@
+const attendanceService = require('../services/attendanceService');
+const { getListOptions } = require('../utils/pagination');
+
+class AttendanceController {
+  // @desc    Get all attendance records with optional filtering
+  // @route   GET /api/attendance
+  // @access  Private
+  async getAll(req, res, next) {
+    try {
+      const filters = {
+        student: req.query.student,     // ?student=ID
+        class: req.query.class,         // ?class=ID
+        trimester: req.query.trimester, // ?trimester=ID
+        type: req.query.type,           // ?type=absence|late
+        justified: req.query.justified, // ?justified=true|false
+        from: req.query.from,           // ?from=YYYY-MM-DD
+        to: req.query.to                // ?to=YYYY-MM-DD
+      };
+
+      const { data: records, total, page, limit, totalPages } = await attendanceService.getAllAttendance(
+        filters,
+        getListOptions(req.query),
+        req.user
+      );
+
+      res.status(200).json({
+        success: true,
+        count: records.length,
+        total,
+        page,
+        limit,
+        totalPages,
+        data: records,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // @desc    Get single attendance record
+  // @route   GET /api/attendance/:id
+  // @access  Private
+  async getById(req, res, next) {
+    try {
+      const record = await attendanceService.getAttendanceById(req.params.id, req.user);
+      res.status(200).json({
+        success: true,
+        data: record,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // @desc    Record an absence or late arrival
+  // @route   POST /api/attendance
+  // @access  Private (Teacher/Admin)
+  async create(req, res, next) {
+    try {
+      const record = await attendanceService.createAttendance(req.body, req.user);
+      res.status(201).json({
+        success: true,
+        data: record,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // @desc    Correct an attendance record
+  // @route   PUT /api/attendance/:id
+  // @access  Private (Teacher/Admin)
+  async update(req, res, next) {
+    try {
+      const record = await attendanceService.updateAttendance(req.params.id, req.body, req.user);
+      res.status(200).json({
+        success: true,
+        data: record,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // @desc    Record or validate the justification of an attendance record
+  // @route   PUT /api/attendance/:id/justification
+  // @access  Private (Teacher/Admin)
+  async justify(req, res, next) {
+    try {
+      const record = await attendanceService.justifyAttendance(req.params.id, req.body, req.user);
+      res.status(200).json({
+        success: true,
+        data: record,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // @desc    Delete attendance record
+  // @route   DELETE /api/attendance/:id
+  // @access  Private (Teacher/Admin)
+  async delete(req, res, next) {
+    try {
+      await attendanceService.deleteAttendance(req.params.id, req.user);
+      res.status(200).json({
+        success: true,
+        message: 'Attendance record deleted successfully',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new AttendanceController();
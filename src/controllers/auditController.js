@@ -0,0 +1,39 @@
+const auditService = require('../services/auditService');
+const { getListOptions } = require('../utils/pagination');
+
+class AuditController {
+  // @desc    Get audit log entries with optional filtering
+  // @route   GET /api/audit
+  // @access  Private (Admin)
+  async getAll(req, res, next) {
+    try {
+      const filters = {
+        entity: req.query.entity,     // ?entity=Grade
+        entityId: req.query.entityId, // ?entityId=ID
+        action: req.query.action,     // ?action=create|update|delete
+        actor: req.query.actor,       // ?actor=User ID
+        from: req.query.from,         // ?from=YYYY-MM-DD
+        to: req.query.to              // ?to=YYYY-MM-DD
+      };
+
+      const { data: auditLogs, total, page, limit, totalPages } = await auditService.getAuditLogs(
+        filters,
+        getListOptions(req.query)
+      );
+
+      res.status(200).json({
+        success: true,
+        count: auditLogs.length,
+        total,
+        page,
+        limit,
+        totalPages,
+        data: auditLogs,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new AuditController();
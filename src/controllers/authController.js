@@ -1,4 +1,7 @@
 const authService = require('../services/authService');
+const auditService = require('../services/auditService');
+const loginAttemptService = require('../services/loginAttemptService');
+const { getListOptions, paginate } = require('../utils/pagination');
 
 class AuthController {
     /**
@@ -59,24 +62,135 @@ class AuthController {
     }
 
     /**
-     * Logout user (client-side token removal)
+     * Exchange a refresh token for a new access token
+     * POST /api/auth/refresh
+     * Public endpoint (the refresh token authenticates the request)
+     */
+    async refresh(req, res, next) {
+        try {
+            const result = await authService.refresh(req.body.refreshToken);
+
+            res.status(200).json({
+                success: true,
+                message: 'Token refreshed',
+                data: result.data
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Logout user: revoke the session of the access token
      * POST /api/auth/logout
      * Protected endpoint (requires authentication)
      *
-     * Note: With JWT tokens, logout is handled client-side by removing the token.
-     * This endpoint confirms the logout action.
+     * With { "all": true }, every session of the user is revoked (logout everywhere).
+     * The access and refresh tokens of a revoked session are rejected.
      */
     async logout(req, res, next) {
         try {
+            const all = req.body.all === true;
+            const result = await authService.logout(req.user._id, req.decoded.sid, { all });
+
             res.status(200).json({
                 success: true,
-                message: 'Logout successful. Please remove the token from client storage.'
+                message: all ? 'Logged out from all sessions' : 'Logout successful',
+                data: result.data
             });
         } catch (error) {
             next(error);
         }
     }
 
+    /**
+     * Change the password of the current user
+     * PUT /api/auth/password
+     * Protected endpoint (requires authentication)
+     */
+    async changePassword(req, res, next) {
+        try {
+            const { currentPassword, newPassword } = req.body;
+
+            const result = await authService.changePassword(
+                req.user._id,
+                currentPassword,
+                newPassword,
+                req.decoded.sid
+            );
+
+            res.status(200).json({
+                success: true,
+                message: 'Password updated successfully',
+                data: result.data
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Request a password reset mail
+     * POST /api/auth/forgot-password
+     * Public endpoint (no authentication required)
+     */
+    async forgotPassword(req, res, next) {
+        try {
+            await authService.forgotPassword(req.body.email);
+
+            // Same answer whether the email has an account or not
+            res.status(200).json({
+                success: true,
+                message: 'If an account exists for this email, a password reset mail has been sent'
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Choose a new password with the token of the reset mail
+     * POST /api/auth/reset-password
+     * Public endpoint (the reset token authenticates the request)
+     */
+    async resetPassword(req, res, next) {
+        try {
+            const { token, password } = req.body;
+
+            await authService.resetPassword(token, password);
+
+            res.status(200).json({
+                success: true,
+                message: 'Password reset successfully, please log in again'
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Get current user with linked profile
+     * GET /api/auth/me
+     * Protected endpoint (requires authentication)
+     */
+    async getMe(req, res, next) {
+        try {
+            const result = await authService.getCurrentUser(req.user._id);
+
+            res.status(200).json({
+                success: true,
+                data: result.data
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
     /**
      * Get all users (Admin only)
      * GET /api/auth/admin/users
@@ -85,13 +199,19 @@ class AuthController {
     async getAllUsers(req, res, next) {
         try {
             const User = require('../models/User');
-            const users = await User.find({})
-                .select('-password')
-                .sort({ createdAt: -1 });
+            // Password is never selected (select: false on the schema)
+            const { data: users, total, page, limit, totalPages } = await paginate(User, {}, {
+                ...getListOptions(req.query),
+                defaultSort: { createdAt: -1 }
+            });
 
             res.status(200).json({
                 success: true,
                 count: users.length,
+                total,
+                page,
+                limit,
+                totalPages,
                 data: {
                     users
                 }
@@ -135,20 +255,29 @@ class AuthController {
             // Store original role for audit log
             const originalRole = targetUser.role;
 
+            // A linked profile only belongs to the matching role: drop it on role change
+            const update = { role };
+            const linkRoles = { teacher: 'teacher', student: 'student', children: 'parent' };
+            const isLinked = value => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+            const staleLinks = Object.keys(linkRoles).filter(field =>
+                linkRoles[field] !== role && isLinked(targetUser[field])
+            );
+            if (staleLinks.length > 0) {
+                update.$unset = Object.fromEntries(staleLinks.map(field => [field, 1]));
+            }
+
             // Update user role
             const updatedUser = await User.findByIdAndUpdate(
                 userId,
-                { role },
+                update,
                 {
                     new: true,
                     runValidators: true
                 }
             ).select('-password');
 
-            // Log the role change for audit purposes (suppress in test environment)
-            if (process.env.NODE_ENV !== 'test') {
-                console.log(`[AUDIT] Admin ${req.user.username} (${req.user._id}) changed user ${targetUser.username} (${userId}) role from ${originalRole} to ${role}`);
-            }
+            // Record the role change in the audit log
+            await auditService.record({ action: 'update', entity: 'User', before: targetUser, after: updatedUser });
 
             res.status(200).json({
                 success: true,
@@ -162,6 +291,73 @@ class AuthController {
             next(error);
         }
     }
+
+    /**
+     * Unlock a user account locked by failed logins (Admin only)
+     * POST /api/auth/admin/users/:userId/unlock
+     * Protected endpoint (requires admin authentication)
+     */
+    async unlockUser(req, res, next) {
+        try {
+            const user = await loginAttemptService.unlock(req.params.userId);
+
+            res.status(200).json({
+                success: true,
+                message: 'User account unlocked',
+                data: {
+                    user: user.toSafeObject()
+                }
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Link a Teacher or Student profile (or a parent's child) to a user (Admin only)
+     * PUT /api/auth/admin/users/:userId/profile
+     * Protected endpoint (requires admin authentication)
+     */
+    async linkProfile(req, res, next) {
+        try {
+            const { userId } = req.params;
+            const { type, profileId } = req.body;
+
+            const result = await authService.linkProfile(userId, { type, profileId });
+
+            res.status(200).json({
+                success: true,
+                message: `User linked to ${type} profile`,
+                data: result.data
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Detach the profile linked to a user (Admin only)
+     * DELETE /api/auth/admin/users/:userId/profile
+     * Protected endpoint (requires admin authentication)
+     */
+    async unlinkProfile(req, res, next) {
+        try {
+            const { userId } = req.params;
+
+            const result = await authService.unlinkProfile(userId, req.query.profileId);
+
+            res.status(200).json({
+                success: true,
+                message: 'User profile detached',
+                data: result.data
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
 }
 
 module.exports = new AuthController();
\ No newline at end of file
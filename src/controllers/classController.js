@@ -1,15 +1,28 @@
 const classService = require('../services/classService');
+const gradeService = require('../services/gradeService');
+const attendanceService = require('../services/attendanceService');
+const timetableService = require('../services/timetableService');
+const { getListOptions } = require('../utils/pagination');
+const { getIncludeDeleted } = require('../utils/softDelete');
 
 class ClassController {
   // @desc    Get all classes
-  // @route   GET /api/classes
+  // @route   GET /api/classes?year=2024-2025
+  // @route   GET /api/classes?includeDeleted=true (Admin)
   // @access  Private
   async getAll(req, res, next) {
     try {
-      const classes = await classService.getAllClasses();
+      const { data: classes, total, page, limit, totalPages } = await classService.getAllClasses(
+        { year: req.query.year },
+        { ...getListOptions(req.query), includeDeleted: getIncludeDeleted(req) }
+      );
       res.status(200).json({
         success: true,
         count: classes.length,
+        total,
+        page,
+        limit,
+        totalPages,
         data: classes,
       });
     } catch (error) {
@@ -22,7 +35,9 @@ class ClassController {
   // @access  Private
   async getById(req, res, next) {
     try {
-      const classe = await classService.getClassById(req.params.id);
+      const classe = await classService.getClassById(req.params.id, {
+        includeDeleted: getIncludeDeleted(req)
+      });
       res.status(200).json({
         success: true,
         data: classe,
@@ -32,6 +47,51 @@ class ClassController {
     }
   }
 
+  // @desc    Get class statistics and ranking for a trimester
+  // @route   GET /api/classes/:id/statistics?trimester=:trimesterId
+  // @access  Private
+  async getStatistics(req, res, next) {
+    try {
+      const statistics = await gradeService.getClassStatistics(req.params.id, req.query.trimester);
+      res.status(200).json({
+        success: true,
+        data: statistics,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // @desc    Get absences and late arrivals of a class for a trimester
+  // @route   GET /api/classes/:id/attendance?trimester=:trimesterId
+  // @access  Private (Teacher/Admin)
+  async getAttendance(req, res, next) {
+    try {
+      const attendance = await attendanceService.getClassSummary(req.params.id, req.query.trimester);
+      res.status(200).json({
+        success: true,
+        data: attendance,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // @desc    Get the weekly timetable of a class
+  // @route   GET /api/classes/:id/timetable
+  // @access  Private
+  async getTimetable(req, res, next) {
+    try {
+      const timetable = await timetableService.getClassTimetable(req.params.id);
+      res.status(200).json({
+        success: true,
+        data: timetable,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // @desc    Create new class
   // @route   POST /api/classes
   // @access  Private
@@ -67,7 +127,11 @@ class ClassController {
   // @access  Private
   async delete(req, res, next) {
     try {
-      await classService.deleteClass(req.params.id);
+      await classService.deleteClass(req.params.id, req.user, {
+        cascade: req.query.cascade,
+        to: req.query.to,
+        motifDerogation: req.query.motifDerogation
+      });
       res.status(200).json({
         success: true,
         message: 'Class deleted successfully',
@@ -76,6 +140,21 @@ class ClassController {
       next(error);
     }
   }
+
+  // @desc    Restore a deleted class
+  // @route   POST /api/classes/:id/restore
+  // @access  Private (Admin)
+  async restore(req, res, next) {
+    try {
+      const classe = await classService.restoreClass(req.params.id);
+      res.status(200).json({
+        success: true,
+        data: classe,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = new ClassController();
@@ -0,0 +1,86 @@
+const councilCommentService = require('../services/councilCommentService');
+
+class CouncilCommentController {
+  // @desc    Get all class council comments with optional filtering
+  // @route   GET /api/council-comments
+  // @access  Private
+  async getAll(req, res, next) {
+    try {
+      const filters = {
+        student: req.query.student,    // ?student=ID
+        trimester: req.query.trimester // ?trimester=ID
+      };
+
+      const comments = await councilCommentService.getAllCouncilComments(filters, req.user);
+      res.status(200).json({
+        success: true,
+        count: comments.length,
+        data: comments,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // @desc    Get single council comment
+  // @route   GET /api/council-comments/:id
+  // @access  Private
+  async getById(req, res, next) {
+    try {
+      const comment = await councilCommentService.getCouncilCommentById(req.params.id, req.user);
+      res.status(200).json({
+        success: true,
+        data: comment,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // @desc    Create new council comment
+  // @route   POST /api/council-comments
+  // @access  Private (Teacher/Admin)
+  async create(req, res, next) {
+    try {
+      const comment = await councilCommentService.createCouncilComment(req.body, req.user);
+      res.status(201).json({
+        success: true,
+        data: comment,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // @desc    Update council comment text
+  // @route   PUT /api/council-comments/:id
+  // @access  Private (Teacher/Admin)
+  async update(req, res, next) {
+    try {
+      const comment = await councilCommentService.updateCouncilComment(req.params.id, req.body, req.user);
+      res.status(200).json({
+        success: true,
+        data: comment,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // @desc    Delete council comment
+  // @route   DELETE /api/council-comments/:id
+  // @access  Private (Admin)
+  async delete(req, res, next) {
+    try {
+      await councilCommentService.deleteCouncilComment(req.params.id);
+      res.status(200).json({
+        success: true,
+        message: 'Council comment deleted successfully',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new CouncilCommentController();
@@ -0,0 +1,143 @@
+const evaluationService = require('../services/evaluationService');
+const { getListOptions } = require('../utils/pagination');
+
+class EvaluationController {
+  // @desc    Get all evaluations with optional filtering
+  // @route   GET /api/evaluations
+  // @access  Private
+  async getAll(req, res, next) {
+    try {
+      const filters = {
+        class: req.query.class,         // ?class=ID
+        subject: req.query.subject,     // ?subject=ID
+        trimester: req.query.trimester, // ?trimester=ID
+        teacher: req.query.teacher      // ?teacher=ID
+      };
+
+      const { data: evaluations, total, page, limit, totalPages } = await evaluationService.getAllEvaluations(
+        filters,
+        getListOptions(req.query)
+      );
+
+      res.status(200).json({
+        success: true,
+        count: evaluations.length,
+        total,
+        page,
+        limit,
+        totalPages,
+        data: evaluations,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // @desc    Get single evaluation
+  // @route   GET /api/evaluations/:id
+  // @access  Private
+  async getById(req, res, next) {
+    try {
+      const evaluation = await evaluationService.getEvaluationById(req.params.id);
+      res.status(200).json({
+        success: true,
+        data: evaluation,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // @desc    Get the grade sheet and statistics of an evaluation
+  // @route   GET /api/evaluations/:id/grades
+  // @access  Private (Teacher/Admin)
+  async getGradeSheet(req, res, next) {
+    try {
+      const gradeSheet = await evaluationService.getGradeSheet(req.params.id);
+      res.status(200).json({
+        success: true,
+        data: gradeSheet,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // @desc    Create new evaluation
+  // @route   POST /api/evaluations
+  // @access  Private (Teacher: own classes only / Admin)
+  async create(req, res, next) {
+    try {
+      const evaluation = await evaluationService.createEvaluation(req.body, req.user);
+      res.status(201).json({
+        success: true,
+        data: evaluation,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // @desc    Record grades for an evaluation
+  // @route   POST /api/evaluations/:id/grades
+  // @access  Private (Teacher: own classes only / Admin)
+  async recordGrades(req, res, next) {
+    try {
+      const { errors, grades } = await evaluationService.recordGrades(
+        req.params.id,
+        req.body.grades,
+        req.user,
+        req.body.motifDerogation
+      );
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Batch rejected: ${errors.length} invalid row(s), no grade was recorded`,
+          details: errors,
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        count: grades.length,
+        data: grades,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // @desc    Update evaluation
+  // @route   PUT /api/evaluations/:id
+  // @access  Private (Teacher: own evaluations / Admin)
+  async update(req, res, next) {
+    try {
+      const { motifDerogation, ...evaluationData } = req.body;
+      const evaluation = await evaluationService.updateEvaluation(req.params.id, evaluationData, req.user, motifDerogation);
+      res.status(200).json({
+        success: true,
+        data: evaluation,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // @desc    Delete evaluation
+  // @route   DELETE /api/evaluations/:id
+  // @access  Private (Teacher: own evaluations / Admin)
+  async delete(req, res, next) {
+    try {
+      await evaluationService.deleteEvaluation(req.params.id, req.user);
+      res.status(200).json({
+        success: true,
+        message: 'Evaluation deleted successfully',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new EvaluationController();
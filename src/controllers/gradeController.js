@@ -1,4 +1,6 @@
 const gradeService = require('../services/gradeService');
+const { getListOptions } = require('../utils/pagination');
+const { getIncludeDeleted } = require('../utils/softDelete');
 
 class GradeController {
   // @desc    Get all grades with optional filtering
@@ -10,10 +12,11 @@ class GradeController {
       if (req.query.groupBy === 'subject') {
         const filters = {
           class: req.query.class,
-          trimester: req.query.trimester
+          trimester: req.query.trimester,
+          year: req.query.year
         };
 
-        const groupedGrades = await gradeService.getGradesGroupedBySubject(filters);
+        const groupedGrades = await gradeService.getGradesGroupedBySubject(filters, req.user);
 
         return res.status(200).json({
           success: true,
@@ -23,19 +26,28 @@ class GradeController {
         });
       }
 
-      // Default behavior: flat list (unchanged for backward compatibility)
+      // Default behavior: paginated flat list
       const filters = {
         student: req.query.student,    // ?student=ID
         class: req.query.class,        // ?class=ID
         subject: req.query.subject,    // ?subject=ID
-        trimester: req.query.trimester // ?trimester=ID
+        trimester: req.query.trimester, // ?trimester=ID
+        year: req.query.year            // ?year=2024-2025
       };
 
-      const grades = await gradeService.getAllGrades(filters);
+      const { data: grades, total, page, limit, totalPages } = await gradeService.getAllGrades(
+        filters,
+        req.user,
+        getListOptions(req.query)
+      );
 
       res.status(200).json({
         success: true,
         count: grades.length,
+        total,
+        page,
+        limit,
+        totalPages,
         data: grades,
       });
     } catch (error) {
@@ -44,11 +56,13 @@ class GradeController {
   }
 
   // @desc    Get single grade
-  // @route   GET /api/grades/:id
+  // @route   GET /api/grades/:id?includeDeleted=true (Admin)
   // @access  Private
   async getById(req, res, next) {
     try {
-      const grade = await gradeService.getGradeById(req.params.id);
+      const grade = await gradeService.getGradeById(req.params.id, req.user, {
+        includeDeleted: getIncludeDeleted(req)
+      });
       res.status(200).json({
         success: true,
         data: grade,
@@ -60,10 +74,11 @@ class GradeController {
 
   // @desc    Create new grade
   // @route   POST /api/grades
-  // @access  Private
+  // @access  Private (Teacher: own classes only / Admin)
   async create(req, res, next) {
     try {
-      const grade = await gradeService.createGrade(req.body);
+      const { motifDerogation, ...gradeData } = req.body;
+      const grade = await gradeService.createGrade(gradeData, req.user, motifDerogation);
       res.status(201).json({
         success: true,
         data: grade,
@@ -73,12 +88,73 @@ class GradeController {
     }
   }
 
+  // @desc    Record the grades of a whole class for one evaluation
+  // @route   POST /api/grades/batch
+  // @access  Private (Teacher: own classes only / Admin)
+  async createBatch(req, res, next) {
+    try {
+      const { motifDerogation, ...batch } = req.body;
+      const { errors, grades } = await gradeService.createGradesBatch(batch, req.user, motifDerogation);
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Batch rejected: ${errors.length} invalid row(s), no grade was recorded`,
+          details: errors,
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        count: grades.length,
+        data: grades,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // @desc    Update grade
   // @route   PUT /api/grades/:id
-  // @access  Private
+  // @access  Private (Teacher: own grades only / Admin)
   async update(req, res, next) {
     try {
-      const grade = await gradeService.updateGrade(req.params.id, req.body);
+      const { motifDerogation, motif, ...gradeData } = req.body;
+      const grade = await gradeService.updateGrade(req.params.id, gradeData, req.user, motifDerogation, motif);
+      res.status(200).json({
+        success: true,
+        data: grade,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // @desc    Get the versions of a grade
+  // @route   GET /api/grades/:id/history?includeDeleted=true (Admin)
+  // @access  Private
+  async getHistory(req, res, next) {
+    try {
+      const history = await gradeService.getGradeHistory(req.params.id, req.user, {
+        includeDeleted: getIncludeDeleted(req)
+      });
+      res.status(200).json({
+        success: true,
+        count: history.length,
+        data: history,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // @desc    Restore a previous version of a grade
+  // @route   POST /api/grades/:id/restore
+  // @access  Private (Admin)
+  async restore(req, res, next) {
+    try {
+      const { version, motif, motifDerogation } = req.body;
+      const grade = await gradeService.restoreGrade(req.params.id, version, req.user, motifDerogation, motif);
       res.status(200).json({
         success: true,
         data: grade,
@@ -89,11 +165,11 @@ class GradeController {
   }
 
   // @desc    Delete grade
-  // @route   DELETE /api/grades/:id
+  // @route   DELETE /api/grades/:id?motifDerogation=reason
   // @access  Private
   async delete(req, res, next) {
     try {
-      await gradeService.deleteGrade(req.params.id);
+      await gradeService.deleteGrade(req.params.id, req.user, req.query.motifDerogation);
       res.status(200).json({
         success: true,
         message: 'Grade deleted successfully',
@@ -0,0 +1,28 @@
+const searchService = require('../services/searchService');
+const { splitList } = require('../utils/pagination');
+
+class SearchController {
+  // @desc    Search students, teachers, classes and subjects by name
+  // @route   GET /api/search?q=
+  // @access  Private (Admin/Teacher)
+  async search(req, res, next) {
+    try {
+      const options = {};
+      if (req.query.types) options.types = splitList(req.query.types);
+      if (req.query.limit) options.limit = parseInt(req.query.limit, 10);
+
+      const { total, results } = await searchService.search(req.query.q, options);
+
+      res.status(200).json({
+        success: true,
+        query: req.query.q,
+        count: total,
+        data: results,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new SearchController();
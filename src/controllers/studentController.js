@@ -1,16 +1,22 @@
 const studentService = require('../services/studentService');
+const gradeService = require('../services/gradeService');
+const reportCardService = require('../services/reportCardService');
+const attendanceService = require('../services/attendanceService');
+const { getListOptions } = require('../utils/pagination');
+const { getIncludeDeleted } = require('../utils/softDelete');
 
 class StudentController {
   // @desc    Get all students with optional filtering and grouping
   // @route   GET /api/students
   // @route   GET /api/students?classe=:classId
   // @route   GET /api/students?groupBy=class
+  // @route   GET /api/students?includeDeleted=true (Admin)
   // @access  Private
   async getAll(req, res, next) {
     try {
       // Check for grouped request
       if (req.query.groupBy === 'class') {
-        const groupedStudents = await studentService.getStudentsGroupedByClass();
+        const groupedStudents = await studentService.getStudentsGroupedByClass(req.user);
 
         // Calculate total students across all classes
         const totalStudents = groupedStudents.reduce((sum, classGroup) => sum + classGroup.students.length, 0);
@@ -25,7 +31,7 @@ class StudentController {
 
       // Check for class filter query param
       if (req.query.classe) {
-        const students = await studentService.getStudentsByClass(req.query.classe);
+        const students = await studentService.getStudentsByClass(req.query.classe, req.user);
         return res.status(200).json({
           success: true,
           count: students.length,
@@ -34,10 +40,17 @@ class StudentController {
       }
 
       // Default: return all students
-      const students = await studentService.getAllStudents();
+      const { data: students, total, page, limit, totalPages } = await studentService.getAllStudents(
+        req.user,
+        { ...getListOptions(req.query), includeDeleted: getIncludeDeleted(req) }
+      );
       res.status(200).json({
         success: true,
         count: students.length,
+        total,
+        page,
+        limit,
+        totalPages,
         data: students,
       });
     } catch (error) {
@@ -50,7 +63,9 @@ class StudentController {
   // @access  Private
   async getById(req, res, next) {
     try {
-      const student = await studentService.getStudentById(req.params.id);
+      const student = await studentService.getStudentById(req.params.id, req.user, {
+        includeDeleted: getIncludeDeleted(req)
+      });
       res.status(200).json({
         success: true,
         data: student,
@@ -60,6 +75,64 @@ class StudentController {
     }
   }
 
+  // @desc    Get weighted averages for a student
+  // @route   GET /api/students/:id/averages
+  // @route   GET /api/students/:id/averages?trimester=:trimesterId
+  // @route   GET /api/students/:id/averages?year=2024-2025
+  // @access  Private
+  async getAverages(req, res, next) {
+    try {
+      const averages = await gradeService.getStudentAverages(req.params.id, {
+        trimester: req.query.trimester,
+        year: req.query.year
+      }, req.user);
+      res.status(200).json({
+        success: true,
+        data: averages,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // @desc    Get a student's absences and late arrivals
+  // @route   GET /api/students/:id/attendance
+  // @route   GET /api/students/:id/attendance?trimester=:trimesterId
+  // @access  Private
+  async getAttendance(req, res, next) {
+    try {
+      const attendance = await attendanceService.getStudentSummary(req.params.id, {
+        trimester: req.query.trimester
+      }, req.user);
+      res.status(200).json({
+        success: true,
+        data: attendance,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // @desc    Download a student's report card (bulletin) as PDF
+  // @route   GET /api/students/:id/report-card?trimester=:trimesterId
+  // @access  Private
+  async getReportCard(req, res, next) {
+    try {
+      const { data, pdf } = await reportCardService.generateReportCard(req.params.id, req.query.trimester, req.user);
+      const filename = `bulletin-${data.student.nom}-${data.student.prenom}-${data.trimester.nom}`
+        .replace(/[^a-zA-Z0-9_-]/g, '_');
+
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${filename}.pdf"`,
+        'Content-Length': pdf.length,
+      });
+      res.status(200).send(pdf);
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // @desc    Create new student
   // @route   POST /api/students
   // @access  Private
@@ -75,6 +148,43 @@ class StudentController {
     }
   }
 
+  // @desc    Import students from a CSV file (all or nothing)
+  // @route   POST /api/students/import?dryRun=true
+  // @access  Private (Admin)
+  async importStudents(req, res, next) {
+    try {
+      const dryRun = req.query.dryRun === 'true';
+      const report = await studentService.importStudents(req.body, { dryRun });
+
+      if (dryRun) {
+        return res.status(200).json({
+          success: true,
+          dryRun: true,
+          total: report.total,
+          valid: report.total - report.invalid,
+          invalid: report.invalid,
+          errors: report.errors,
+        });
+      }
+
+      if (report.invalid > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Import rejected: ${report.invalid} invalid row(s), no student was imported`,
+          details: report.errors,
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        count: report.students.length,
+        data: report.students,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // @desc    Update student
   // @route   PUT /api/students/:id
   // @access  Private
@@ -95,7 +205,11 @@ class StudentController {
   // @access  Private
   async delete(req, res, next) {
     try {
-      await studentService.deleteStudent(req.params.id);
+      await studentService.deleteStudent(req.params.id, req.user, {
+        cascade: req.query.cascade,
+        to: req.query.to,
+        motifDerogation: req.query.motifDerogation
+      });
       res.status(200).json({
         success: true,
         message: 'Student deleted successfully',
@@ -104,6 +218,21 @@ class StudentController {
       next(error);
     }
   }
+
+  // @desc    Restore a deleted student
+  // @route   POST /api/students/:id/restore
+  // @access  Private (Admin)
+  async restore(req, res, next) {
+    try {
+      const student = await studentService.restoreStudent(req.params.id);
+      res.status(200).json({
+        success: true,
+        data: student,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = new StudentController();
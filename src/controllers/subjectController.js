@@ -1,12 +1,16 @@
 const subjectService = require('../services/subjectService');
+const { getIncludeDeleted } = require('../utils/softDelete');
 
 class SubjectController {
 	// @desc    Get all subjects
 	// @route   GET /api/subjects
+	// @route   GET /api/subjects?includeDeleted=true (Admin)
 	// @access  Private
 	async getAll(req, res, next) {
 		try {
-			const subjects = await subjectService.getAllSubjects();
+			const subjects = await subjectService.getAllSubjects({
+				includeDeleted: getIncludeDeleted(req),
+			});
 			res.status(200).json({
 				success: true,
 				count: subjects.length,
@@ -22,7 +26,9 @@ class SubjectController {
 	// @access  Private
 	async getById(req, res, next) {
 		try {
-			const subject = await subjectService.getSubjectById(req.params.id);
+			const subject = await subjectService.getSubjectById(req.params.id, {
+				includeDeleted: getIncludeDeleted(req),
+			});
 			res.status(200).json({
 				success: true,
 				data: subject,
@@ -70,7 +76,11 @@ class SubjectController {
 	// @access  Private
 	async delete(req, res, next) {
 		try {
-			await subjectService.deleteSubject(req.params.id);
+			await subjectService.deleteSubject(req.params.id, req.user, {
+				cascade: req.query.cascade,
+				to: req.query.to,
+				motifDerogation: req.query.motifDerogation
+			});
 			res.status(200).json({
 				success: true,
 				message: 'Subject deleted successfully',
@@ -79,6 +89,21 @@ class SubjectController {
 			next(error);
 		}
 	}
+
+	// @desc    Restore a deleted subject
+	// @route   POST /api/subjects/:id/restore
+	// @access  Private (Admin)
+	async restore(req, res, next) {
+		try {
+			const subject = await subjectService.restoreSubject(req.params.id);
+			res.status(200).json({
+				success: true,
+				data: subject,
+			});
+		} catch (error) {
+			next(error);
+		}
+	}
 }
 
 module.exports = new SubjectController();
@@ -1,24 +1,38 @@
 const teacherService = require('../services/teacherService');
+const timetableService = require('../services/timetableService');
+const { getListOptions } = require('../utils/pagination');
+const { getIncludeDeleted } = require('../utils/softDelete');
 
 class TeacherController {
   // @desc    Get all teachers or filter by class
   // @route   GET /api/teachers
   // @route   GET /api/teachers?classe=:classId
+  // @route   GET /api/teachers?includeDeleted=true (Admin)
   // @access  Private
   async getAll(req, res, next) {
     try {
-      let teachers;
-
       // Check if classe query parameter is provided
       if (req.query.classe) {
-        teachers = await teacherService.getTeachersByClass(req.query.classe);
-      } else {
-        teachers = await teacherService.getAllTeachers();
+        const teachers = await teacherService.getTeachersByClass(req.query.classe);
+        return res.status(200).json({
+          success: true,
+          count: teachers.length,
+          data: teachers,
+        });
       }
 
+      // Default behavior: paginated list
+      const { data: teachers, total, page, limit, totalPages } = await teacherService.getAllTeachers({
+        ...getListOptions(req.query),
+        includeDeleted: getIncludeDeleted(req)
+      });
       res.status(200).json({
         success: true,
         count: teachers.length,
+        total,
+        page,
+        limit,
+        totalPages,
         data: teachers,
       });
     } catch (error) {
@@ -31,7 +45,9 @@ class TeacherController {
   // @access  Private
   async getById(req, res, next) {
     try {
-      const teacher = await teacherService.getTeacherById(req.params.id);
+      const teacher = await teacherService.getTeacherById(req.params.id, {
+        includeDeleted: getIncludeDeleted(req)
+      });
       res.status(200).json({
         success: true,
         data: teacher,
@@ -41,6 +57,21 @@ class TeacherController {
     }
   }
 
+  // @desc    Get the weekly timetable of a teacher
+  // @route   GET /api/teachers/:id/timetable
+  // @access  Private
+  async getTimetable(req, res, next) {
+    try {
+      const timetable = await timetableService.getTeacherTimetable(req.params.id);
+      res.status(200).json({
+        success: true,
+        data: timetable,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // @desc    Create new teacher
   // @route   POST /api/teachers
   // @access  Private
@@ -76,7 +107,11 @@ class TeacherController {
   // @access  Private
   async delete(req, res, next) {
     try {
-      await teacherService.deleteTeacher(req.params.id);
+      await teacherService.deleteTeacher(req.params.id, req.user, {
+        cascade: req.query.cascade,
+        to: req.query.to,
+        motifDerogation: req.query.motifDerogation
+      });
       res.status(200).json({
         success: true,
         message: 'Teacher deleted successfully',
@@ -85,6 +120,21 @@ class TeacherController {
       next(error);
     }
   }
+
+  // @desc    Restore a deleted teacher
+  // @route   POST /api/teachers/:id/restore
+  // @access  Private (Admin)
+  async restore(req, res, next) {
+    try {
+      const teacher = await teacherService.restoreTeacher(req.params.id);
+      res.status(200).json({
+        success: true,
+        data: teacher,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = new TeacherController();
@@ -0,0 +1,97 @@
+const teachingAssignmentService = require('../services/teachingAssignmentService');
+const { getListOptions } = require('../utils/pagination');
+
+class TeachingAssignmentController {
+  // @desc    Get all teaching assignments with optional filtering
+  // @route   GET /api/teaching-assignments
+  // @access  Private
+  async getAll(req, res, next) {
+    try {
+      const filters = {
+        teacher: req.query.teacher, // ?teacher=ID
+        class: req.query.class,     // ?class=ID
+        subject: req.query.subject, // ?subject=ID
+        year: req.query.year        // ?year=2024-2025
+      };
+
+      const { data: assignments, total, page, limit, totalPages } = await teachingAssignmentService.getAllAssignments(
+        filters,
+        getListOptions(req.query)
+      );
+
+      res.status(200).json({
+        success: true,
+        count: assignments.length,
+        total,
+        page,
+        limit,
+        totalPages,
+        data: assignments,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // @desc    Get single teaching assignment
+  // @route   GET /api/teaching-assignments/:id
+  // @access  Private
+  async getById(req, res, next) {
+    try {
+      const assignment = await teachingAssignmentService.getAssignmentById(req.params.id);
+      res.status(200).json({
+        success: true,
+        data: assignment,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // @desc    Assign a teacher to a subject of a class
+  // @route   POST /api/teaching-assignments
+  // @access  Private (Admin)
+  async create(req, res, next) {
+    try {
+      const assignment = await teachingAssignmentService.createAssignment(req.body);
+      res.status(201).json({
+        success: true,
+        data: assignment,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // @desc    Update teaching assignment
+  // @route   PUT /api/teaching-assignments/:id
+  // @access  Private (Admin)
+  async update(req, res, next) {
+    try {
+      const assignment = await teachingAssignmentService.updateAssignment(req.params.id, req.body);
+      res.status(200).json({
+        success: true,
+        data: assignment,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // @desc    Delete teaching assignment
+  // @route   DELETE /api/teaching-assignments/:id
+  // @access  Private (Admin)
+  async delete(req, res, next) {
+    try {
+      await teachingAssignmentService.deleteAssignment(req.params.id);
+      res.status(200).json({
+        success: true,
+        message: 'Teaching assignment deleted successfully',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new TeachingAssignmentController();
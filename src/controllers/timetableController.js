@@ -0,0 +1,98 @@
+const timetableService = require('../services/timetableService');
+const { getListOptions } = require('../utils/pagination');
+
+class TimetableController {
+  // @desc    Get all timetable slots with optional filtering
+  // @route   GET /api/timetable
+  // @access  Private
+  async getAll(req, res, next) {
+    try {
+      const filters = {
+        class: req.query.class,     // ?class=ID
+        teacher: req.query.teacher, // ?teacher=ID
+        subject: req.query.subject, // ?subject=ID
+        day: req.query.day,         // ?day=lundi
+        room: req.query.room        // ?room=B12
+      };
+
+      const { data: slots, total, page, limit, totalPages } = await timetableService.getAllSlots(
+        filters,
+        getListOptions(req.query)
+      );
+
+      res.status(200).json({
+        success: true,
+        count: slots.length,
+        total,
+        page,
+        limit,
+        totalPages,
+        data: slots,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // @desc    Get single timetable slot
+  // @route   GET /api/timetable/:id
+  // @access  Private
+  async getById(req, res, next) {
+    try {
+      const slot = await timetableService.getSlotById(req.params.id);
+      res.status(200).json({
+        success: true,
+        data: slot,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // @desc    Add a weekly timetable slot
+  // @route   POST /api/timetable
+  // @access  Private (Admin)
+  async create(req, res, next) {
+    try {
+      const slot = await timetableService.createSlot(req.body);
+      res.status(201).json({
+        success: true,
+        data: slot,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // @desc    Update timetable slot
+  // @route   PUT /api/timetable/:id
+  // @access  Private (Admin)
+  async update(req, res, next) {
+    try {
+      const slot = await timetableService.updateSlot(req.params.id, req.body);
+      res.status(200).json({
+        success: true,
+        data: slot,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // @desc    Delete timetable slot
+  // @route   DELETE /api/timetable/:id
+  // @access  Private (Admin)
+  async delete(req, res, next) {
+    try {
+      await timetableService.deleteSlot(req.params.id);
+      res.status(200).json({
+        success: true,
+        message: 'Timetable slot deleted successfully',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new TimetableController();
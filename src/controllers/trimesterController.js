@@ -1,12 +1,17 @@
 const trimesterService = require('../services/trimesterService');
+const { getIncludeDeleted } = require('../utils/softDelete');
 
 class TrimesterController {
   // @desc    Get all trimesters
-  // @route   GET /api/trimesters
+  // @route   GET /api/trimesters?year=2024-2025
+  // @route   GET /api/trimesters?includeDeleted=true (Admin)
   // @access  Private
   async getAll(req, res, next) {
     try {
-      const trimesters = await trimesterService.getAllTrimesters();
+      const trimesters = await trimesterService.getAllTrimesters(
+        { year: req.query.year },
+        { includeDeleted: getIncludeDeleted(req) }
+      );
       res.status(200).json({
         success: true,
         count: trimesters.length,
@@ -17,12 +22,29 @@ class TrimesterController {
     }
   }
 
+  // @desc    Get the trimester covering today
+  // @route   GET /api/trimesters/current
+  // @access  Private
+  async getCurrent(req, res, next) {
+    try {
+      const trimester = await trimesterService.getCurrentTrimester();
+      res.status(200).json({
+        success: true,
+        data: trimester,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // @desc    Get single trimester
   // @route   GET /api/trimesters/:id
   // @access  Private
   async getById(req, res, next) {
     try {
-      const trimester = await trimesterService.getTrimesterById(req.params.id);
+      const trimester = await trimesterService.getTrimesterById(req.params.id, {
+        includeDeleted: getIncludeDeleted(req)
+      });
       res.status(200).json({
         success: true,
         data: trimester,
@@ -62,12 +84,46 @@ class TrimesterController {
     }
   }
 
+  // @desc    Lock trimester after the class council
+  // @route   PUT /api/trimesters/:id/lock
+  // @access  Private (Admin)
+  async lock(req, res, next) {
+    try {
+      const trimester = await trimesterService.lockTrimester(req.params.id, req.user);
+      res.status(200).json({
+        success: true,
+        data: trimester,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // @desc    Unlock trimester
+  // @route   PUT /api/trimesters/:id/unlock
+  // @access  Private (Admin)
+  async unlock(req, res, next) {
+    try {
+      const trimester = await trimesterService.unlockTrimester(req.params.id);
+      res.status(200).json({
+        success: true,
+        data: trimester,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // @desc    Delete trimester
   // @route   DELETE /api/trimesters/:id
   // @access  Private
   async delete(req, res, next) {
     try {
-      await trimesterService.deleteTrimester(req.params.id);
+      await trimesterService.deleteTrimester(req.params.id, req.user, {
+        cascade: req.query.cascade,
+        to: req.query.to,
+        motifDerogation: req.query.motifDerogation
+      });
       res.status(200).json({
         success: true,
         message: 'Trimester deleted successfully',
@@ -76,6 +132,21 @@ class TrimesterController {
       next(error);
     }
   }
+
+  // @desc    Restore a deleted trimester
+  // @route   POST /api/trimesters/:id/restore
+  // @access  Private (Admin)
+  async restore(req, res, next) {
+    try {
+      const trimester = await trimesterService.restoreTrimester(req.params.id);
+      res.status(200).json({
+        success: true,
+        data: trimester,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = new TrimesterController();
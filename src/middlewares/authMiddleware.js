@@ -62,6 +62,13 @@ const protect = async (req, res, next) => {
             });
         }
 
+        if (error.message.includes('Session revoked')) {
+            return res.status(401).json({
+                success: false,
+                error: 'Access denied. Session has been revoked.'
+            });
+        }
+
         if (error.message.includes('Invalid token')) {
             return res.status(401).json({
                 success: false,
@@ -80,7 +87,7 @@ const protect = async (req, res, next) => {
 /**
  * Role-based authorization middleware
  *
- * @param {...string} roles - Allowed roles (admin, teacher, student)
+ * @param {...string} roles - Allowed roles (admin, teacher, student, parent)
  * @returns {Function} Middleware function
  */
 const authorize = (...roles) => {
@@ -45,6 +45,7 @@ const errorHandler = (err, req, res, next) => {
     res.status(err.statusCode || 500).json({
         success: false,
         error: err.message || 'Internal Server Error',
+        ...(err.details && { details: err.details }),
         ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
     });
 };
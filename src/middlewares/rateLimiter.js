@@ -0,0 +1,32 @@
+const rateLimit = require('express-rate-limit');
+
+// Stricter limit for login and registration, on top of the /api limiter:
+// 10 requests per 15 minutes per IP unless AUTH_RATE_LIMIT_WINDOW_MS and
+// AUTH_RATE_LIMIT_MAX_REQUESTS say otherwise. Both routes share the count.
+const createAuthLimiter = () => rateLimit({
+  windowMs: parseInt(process.env.AUTH_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+  max: parseInt(process.env.AUTH_RATE_LIMIT_MAX_REQUESTS) || 10,
+  message: {
+    success: false,
+    error: 'Too many authentication attempts from this IP, please try again later.',
+  },
+});
+
+const authLimiter = createAuthLimiter();
+
+// Limit for password resets (forgot-password and reset-password), on top of the /api limiter:
+// 5 requests per hour per IP unless PASSWORD_RESET_RATE_LIMIT_WINDOW_MS and
+// PASSWORD_RESET_RATE_LIMIT_MAX_REQUESTS say otherwise. Both routes share the count, so mails
+// cannot be sent in bulk nor reset tokens guessed.
+const createPasswordResetLimiter = () => rateLimit({
+  windowMs: parseInt(process.env.PASSWORD_RESET_RATE_LIMIT_WINDOW_MS) || 60 * 60 * 1000,
+  max: parseInt(process.env.PASSWORD_RESET_RATE_LIMIT_MAX_REQUESTS) || 5,
+  message: {
+    success: false,
+    error: 'Too many password reset requests from this IP, please try again later.',
+  },
+});
+
+const passwordResetLimiter = createPasswordResetLimiter();
+
+module.exports = { createAuthLimiter, authLimiter, createPasswordResetLimiter, passwordResetLimiter };
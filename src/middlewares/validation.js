@@ -1,4 +1,5 @@
-const { validationResult } = require('express-validator');
+const { validationResult, query } = require('express-validator');
+const { MAX_LIMIT, splitList } = require('../utils/pagination');
 
 const validate = (req, res, next) => {
   const errors = validationResult(req);
@@ -15,4 +16,73 @@ const validate = (req, res, next) => {
   next();
 };
 
-module.exports = { validate };
+// Validation for list query params (page, limit, sort, fields)
+// allowedFields whitelists the fields usable in sort (prefix - for descending) and fields
+const listValidation = (allowedFields) => [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_LIMIT })
+    .withMessage(`Limit must be an integer between 1 and ${MAX_LIMIT}`),
+  query('sort')
+    .optional()
+    .custom(value => splitList(value).every(field => allowedFields.includes(field.replace(/^-/, ''))))
+    .withMessage(`Invalid sort field. Allowed: ${allowedFields.join(', ')} (prefix with - for descending order)`),
+  query('fields')
+    .optional()
+    .custom(value => splitList(value).every(field => allowedFields.includes(field)))
+    .withMessage(`Invalid field selection. Allowed: ${allowedFields.join(', ')}`)
+];
+
+// Validation for the ?includeDeleted=true view of soft-deleted records (admins only, see getIncludeDeleted)
+const includeDeletedValidation = () => [
+  query('includeDeleted')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('includeDeleted must be true or false')
+];
+
+// Validation for the ?cascade=reassign&to=<id> and ?cascade=delete modes of deletes (see dependencyService),
+// motifDerogation is the reason an admin gives to change records of an archived year or a locked trimester
+const cascadeValidation = () => [
+  query('cascade')
+    .optional()
+    .isIn(['reassign', 'delete'])
+    .withMessage('cascade must be reassign or delete'),
+  query('to')
+    .if(query('cascade').equals('reassign'))
+    .notEmpty()
+    .withMessage('to is required with cascade=reassign')
+    .bail()
+    .isMongoId()
+    .withMessage('to must be a valid ID'),
+  query('motifDerogation')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Override reason cannot exceed 500 characters')
+];
+
+/**
+ * Run validation rules against a payload outside of a request
+ * Used to check each row of a bulk operation with the same rules as the single-item routes.
+ * @param {Array} rules - express-validator body() chains
+ * @param {Object} payload - Data to validate (sanitized in place, e.g. trimmed)
+ * @returns {Promise<Array<{field: string, message: string}>>} First error of each invalid field
+ */
+const validatePayload = async (rules, payload) => {
+  const req = { body: payload };
+  // Sequential so errors are reported in rule order
+  for (const rule of rules) {
+    await rule.run(req);
+  }
+
+  return validationResult(req)
+    .array({ onlyFirstError: true })
+    .map(err => ({ field: err.path, message: err.msg }));
+};
+
+module.exports = { validate, listValidation, includeDeletedValidation, cascadeValidation, validatePayload };
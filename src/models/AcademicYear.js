@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const { isSchoolYear } = require('../utils/schoolYear');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AcademicYear:
+ *       type: object
+ *       description: A school year owning its classes and trimesters
+ *       required:
+ *         - nom
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ID
+ *           example: 507f1f77bcf86cd799439018
+ *         nom:
+ *           type: string
+ *           pattern: '^\d{4}-\d{4}$'
+ *           description: School year label (must be unique)
+ *           example: 2025-2026
+ *         archivee:
+ *           type: boolean
+ *           description: Archived years are read-only
+ *           example: false
+ *         dateArchivage:
+ *           type: string
+ *           format: date-time
+ *           description: When the year was archived
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: Creation timestamp
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Last update timestamp
+ */
+
+const academicYearSchema = new mongoose.Schema({
+  nom: {
+    type: String,
+    required: [true, 'School year is required'],
+    unique: true,
+    validate: {
+      validator: isSchoolYear,
+      message: 'School year must be two consecutive years (e.g. 2024-2025)'
+    }
+  },
+  archivee: {
+    type: Boolean,
+    default: false
+  },
+  dateArchivage: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('AcademicYear', academicYearSchema);
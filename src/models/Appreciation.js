@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const { softDeletePlugin } = require('../utils/softDelete');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Appreciation:
+ *       type: object
+ *       required:
+ *         - ideleve
+ *         - idmatiere
+ *         - idtrimestre
+ *         - idprof
+ *         - texte
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ID
+ *           example: 507f1f77bcf86cd799439011
+ *         ideleve:
+ *           type: string
+ *           description: Reference to Student ObjectId
+ *           example: 507f1f77bcf86cd799439011
+ *         idmatiere:
+ *           type: string
+ *           description: Reference to Subject ObjectId
+ *           example: 507f1f77bcf86cd799439013
+ *         idtrimestre:
+ *           type: string
+ *           description: Reference to Trimester ObjectId
+ *           example: 507f1f77bcf86cd799439015
+ *         idprof:
+ *           type: string
+ *           description: Reference to the subject Teacher ObjectId (author)
+ *           example: 507f1f77bcf86cd799439014
+ *         texte:
+ *           type: string
+ *           maxLength: 1000
+ *           description: Subject teacher's appreciation for the trimester
+ *           example: Bon trimestre, élève sérieuse et impliquée.
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: Creation timestamp
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Last update timestamp
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Deletion timestamp, set when the appreciation is deleted along with a record it references (cascade=delete)
+ *         deletedBy:
+ *           type: string
+ *           nullable: true
+ *           description: Reference to the User ID who deleted the record
+ */
+
+const appreciationSchema = new mongoose.Schema({
+  ideleve: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student reference is required']
+  },
+  idmatiere: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject',
+    required: [true, 'Subject reference is required']
+  },
+  idtrimestre: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trimester',
+    required: [true, 'Trimester reference is required']
+  },
+  idprof: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Teacher',
+    required: [true, 'Teacher reference is required']
+  },
+  texte: {
+    type: String,
+    required: [true, 'Appreciation text is required'],
+    trim: true,
+    maxlength: [1000, 'Appreciation cannot exceed 1000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// One appreciation per student, subject and trimester
+appreciationSchema.index({ ideleve: 1, idmatiere: 1, idtrimestre: 1 }, { unique: true, partialFilterExpression: { deletedAt: null } });
+
+// Appreciations deleted by a cascade are kept (deletedAt, deletedBy), hidden from queries until
+// the record they were deleted with is restored
+appreciationSchema.plugin(softDeletePlugin);
+
+module.exports = mongoose.model('Appreciation', appreciationSchema);
@@ -0,0 +1,211 @@
+const mongoose = require('mongoose');
+const { ATTENDANCE_TYPES, TIME_SLOT_PATTERN } = require('../utils/constants');
+const { softDeletePlugin } = require('../utils/softDelete');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Attendance:
+ *       type: object
+ *       required:
+ *         - ideleve
+ *         - idclasse
+ *         - idtrimestre
+ *         - date
+ *         - creneau
+ *         - type
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ID
+ *           example: 507f1f77bcf86cd799439011
+ *         ideleve:
+ *           type: string
+ *           description: Reference to Student ObjectId
+ *           example: 507f1f77bcf86cd799439011
+ *         idclasse:
+ *           type: string
+ *           description: Reference to the Class ObjectId of the student
+ *           example: 507f1f77bcf86cd799439012
+ *         idtrimestre:
+ *           type: string
+ *           description: Reference to Trimester ObjectId
+ *           example: 507f1f77bcf86cd799439015
+ *         date:
+ *           type: string
+ *           format: date
+ *           description: School day of the absence or late arrival
+ *           example: 2024-10-14
+ *         creneau:
+ *           type: string
+ *           pattern: '^\d{2}:\d{2}-\d{2}:\d{2}$'
+ *           description: Time slot (HH:MM-HH:MM)
+ *           example: 08:30-09:25
+ *         type:
+ *           type: string
+ *           enum: [absence, late]
+ *           description: Missed time slot or late arrival
+ *           example: absence
+ *         minutesRetard:
+ *           type: integer
+ *           minimum: 1
+ *           description: Minutes of lateness (late arrivals only)
+ *           example: 10
+ *         justifiee:
+ *           type: boolean
+ *           description: Whether the justification was validated by the school
+ *           example: false
+ *         justification:
+ *           type: object
+ *           properties:
+ *             motif:
+ *               type: string
+ *               maxLength: 500
+ *               description: Reason given by the family
+ *               example: Rendez-vous médical
+ *             justificatif:
+ *               type: boolean
+ *               description: Whether a supporting document was provided
+ *               example: true
+ *             validePar:
+ *               type: string
+ *               description: Reference to the User ObjectId who validated the justification
+ *               example: 507f1f77bcf86cd799439020
+ *             valideLe:
+ *               type: string
+ *               format: date-time
+ *               description: Validation timestamp
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: Creation timestamp
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Last update timestamp
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Deletion timestamp, set when the attendance record is deleted along with a record it references (cascade=delete)
+ *         deletedBy:
+ *           type: string
+ *           nullable: true
+ *           description: Reference to the User ID who deleted the record
+ *     AttendanceSummary:
+ *       type: object
+ *       description: Counts of time slots missed and late arrivals (justified once validated by the school)
+ *       properties:
+ *         absences:
+ *           type: integer
+ *           example: 4
+ *         justifiedAbsences:
+ *           type: integer
+ *           example: 3
+ *         unjustifiedAbsences:
+ *           type: integer
+ *           example: 1
+ *         lates:
+ *           type: integer
+ *           example: 2
+ *         justifiedLates:
+ *           type: integer
+ *           example: 0
+ *         unjustifiedLates:
+ *           type: integer
+ *           example: 2
+ *         lateMinutes:
+ *           type: integer
+ *           example: 25
+ */
+
+const justificationSchema = new mongoose.Schema({
+  motif: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  justificatif: {
+    type: Boolean,
+    default: false
+  },
+  validePar: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  valideLe: {
+    type: Date
+  }
+}, {
+  _id: false
+});
+
+const attendanceSchema = new mongoose.Schema({
+  ideleve: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student reference is required']
+  },
+  idclasse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    required: [true, 'Class reference is required']
+  },
+  idtrimestre: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trimester',
+    required: [true, 'Trimester reference is required']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  creneau: {
+    type: String,
+    required: [true, 'Time slot is required'],
+    match: [TIME_SLOT_PATTERN, 'Time slot must use the HH:MM-HH:MM format']
+  },
+  type: {
+    type: String,
+    required: [true, 'Attendance type is required'],
+    enum: {
+      values: ATTENDANCE_TYPES,
+      message: 'Invalid attendance type'
+    }
+  },
+  minutesRetard: {
+    type: Number,
+    min: [1, 'Lateness must be at least 1 minute']
+  },
+  justifiee: {
+    type: Boolean,
+    default: false
+  },
+  justification: {
+    type: justificationSchema,
+    default: () => ({})
+  }
+}, {
+  timestamps: true
+});
+
+// Only late arrivals carry a number of minutes
+attendanceSchema.pre('validate', function(next) {
+  if (this.type === 'late' && !this.minutesRetard) {
+    this.invalidate('minutesRetard', 'Minutes of lateness are required for a late arrival');
+  } else if (this.type === 'absence' && this.minutesRetard !== undefined && this.minutesRetard !== null) {
+    this.invalidate('minutesRetard', 'Minutes of lateness only apply to late arrivals');
+  }
+  next();
+});
+
+// One record per student and time slot
+attendanceSchema.index({ ideleve: 1, date: 1, creneau: 1 }, { unique: true, partialFilterExpression: { deletedAt: null } });
+attendanceSchema.index({ idclasse: 1, idtrimestre: 1 });
+
+// Attendance records deleted by a cascade are kept (deletedAt, deletedBy), hidden from queries until
+// the record they were deleted with is restored
+attendanceSchema.plugin(softDeletePlugin);
+
+module.exports = mongoose.model('Attendance', attendanceSchema);
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const { AUDIT_ACTIONS, AUDIT_ENTITIES } = require('../utils/constants');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditLog:
+ *       type: object
+ *       description: A create, update or delete of a record, with who made it and what changed
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ID
+ *           example: 507f1f77bcf86cd799439011
+ *         action:
+ *           type: string
+ *           enum: [create, update, delete, restore, lock, unlock]
+ *           example: update
+ *         entity:
+ *           type: string
+ *           enum: [Student, Teacher, Class, Subject, Trimester, Grade, User]
+ *           example: Grade
+ *         entityId:
+ *           type: string
+ *           description: ObjectId of the changed record
+ *           example: 507f1f77bcf86cd799439016
+ *         actor:
+ *           type: string
+ *           description: Reference to the User ID who made the change (empty for anonymous requests and scripts)
+ *           example: 507f1f77bcf86cd799439019
+ *         actorUsername:
+ *           type: string
+ *           description: Username of the actor when the change was made
+ *           example: admin
+ *         ip:
+ *           type: string
+ *           description: IP address of the request
+ *           example: 192.168.1.20
+ *         changes:
+ *           type: array
+ *           description: Changed fields; before is empty on create, after is empty on delete. Passwords are redacted.
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *                 example: note
+ *               before:
+ *                 example: 12
+ *               after:
+ *                 example: 14
+ *         reason:
+ *           type: string
+ *           description: Reason given for the change (e.g. override of a locked trimester)
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the change was made
+ */
+
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true,
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+}, {
+  _id: false,
+});
+
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    enum: {
+      values: AUDIT_ACTIONS,
+      message: `Action must be one of: ${AUDIT_ACTIONS.join(', ')}`,
+    },
+  },
+  entity: {
+    type: String,
+    required: [true, 'Entity is required'],
+    enum: {
+      values: AUDIT_ENTITIES,
+      message: `Entity must be one of: ${AUDIT_ENTITIES.join(', ')}`,
+    },
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Entity ID is required'],
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  actorUsername: {
+    type: String,
+  },
+  ip: {
+    type: String,
+  },
+  changes: [changeSchema],
+  reason: {
+    type: String,
+    trim: true,
+  },
+}, {
+  // Entries are never modified
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+auditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
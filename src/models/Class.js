@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { softDeletePlugin } = require('../utils/softDelete');
 
 /**
  * @swagger
@@ -23,6 +24,10 @@ const mongoose = require('mongoose');
  *           type: string
  *           description: Reference to Teacher ID
  *           example: 507f1f77bcf86cd799439011
+ *         idannee:
+ *           type: string
+ *           description: Reference to AcademicYear ID (defaults to the current school year when it exists)
+ *           example: 507f1f77bcf86cd799439018
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -31,6 +36,15 @@ const mongoose = require('mongoose');
  *           type: string
  *           format: date-time
  *           description: Last update timestamp
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Deletion timestamp, null unless deleted (deleted records are hidden until restored)
+ *         deletedBy:
+ *           type: string
+ *           nullable: true
+ *           description: Reference to the User ID who deleted the record
  */
 
 const classSchema = new mongoose.Schema({
@@ -38,7 +52,6 @@ const classSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Class name is required'],
     trim: true,
-    unique: true,
     maxlength: [100, 'Class name cannot exceed 100 characters'],
   },
   prof: {
@@ -46,8 +59,18 @@ const classSchema = new mongoose.Schema({
     ref: 'Teacher',
     required: [true, 'Teacher is required'],
   },
+  idannee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicYear',
+  },
 }, {
   timestamps: true,
 });
 
+// The same class name comes back every school year, deleted classes free their name
+classSchema.index({ nom: 1, idannee: 1 }, { unique: true, partialFilterExpression: { deletedAt: null } });
+
+// Deleted records are kept (deletedAt, deletedBy) and hidden from queries
+classSchema.plugin(softDeletePlugin);
+
 module.exports = mongoose.model('Class', classSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const { softDeletePlugin } = require('../utils/softDelete');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CouncilComment:
+ *       type: object
+ *       required:
+ *         - ideleve
+ *         - idtrimestre
+ *         - texte
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ID
+ *           example: 507f1f77bcf86cd799439011
+ *         ideleve:
+ *           type: string
+ *           description: Reference to Student ObjectId
+ *           example: 507f1f77bcf86cd799439011
+ *         idtrimestre:
+ *           type: string
+ *           description: Reference to Trimester ObjectId
+ *           example: 507f1f77bcf86cd799439015
+ *         texte:
+ *           type: string
+ *           maxLength: 1000
+ *           description: Class council's global comment for the trimester
+ *           example: Félicitations du conseil de classe.
+ *         auteur:
+ *           type: string
+ *           description: Reference to the User who wrote the comment (set from the authenticated user)
+ *           example: 507f1f77bcf86cd799439016
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: Creation timestamp
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Last update timestamp
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Deletion timestamp, set when the council comment is deleted along with a record it references (cascade=delete)
+ *         deletedBy:
+ *           type: string
+ *           nullable: true
+ *           description: Reference to the User ID who deleted the record
+ */
+
+const councilCommentSchema = new mongoose.Schema({
+  ideleve: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student reference is required']
+  },
+  idtrimestre: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trimester',
+    required: [true, 'Trimester reference is required']
+  },
+  texte: {
+    type: String,
+    required: [true, 'Comment text is required'],
+    trim: true,
+    maxlength: [1000, 'Comment cannot exceed 1000 characters']
+  },
+  auteur: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One class council comment per student and trimester
+councilCommentSchema.index({ ideleve: 1, idtrimestre: 1 }, { unique: true, partialFilterExpression: { deletedAt: null } });
+
+// Council comments deleted by a cascade are kept (deletedAt, deletedBy), hidden from queries until
+// the record they were deleted with is restored
+councilCommentSchema.plugin(softDeletePlugin);
+
+module.exports = mongoose.model('CouncilComment', councilCommentSchema);
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const { softDeletePlugin } = require('../utils/softDelete');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Evaluation:
+ *       type: object
+ *       required:
+ *         - titre
+ *         - date
+ *         - idclasse
+ *         - idmatiere
+ *         - idprof
+ *         - idtrimestre
+ *         - coefficient
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ID
+ *           example: 507f1f77bcf86cd799439016
+ *         titre:
+ *           type: string
+ *           maxLength: 100
+ *           description: Evaluation title
+ *           example: Contrôle fractions
+ *         date:
+ *           type: string
+ *           format: date
+ *           description: Date the evaluation took place
+ *           example: 2024-10-14
+ *         idclasse:
+ *           type: string
+ *           description: Reference to Class ObjectId
+ *           example: 507f1f77bcf86cd799439012
+ *         idmatiere:
+ *           type: string
+ *           description: Reference to Subject ObjectId
+ *           example: 507f1f77bcf86cd799439013
+ *         idprof:
+ *           type: string
+ *           description: Reference to Teacher ObjectId
+ *           example: 507f1f77bcf86cd799439014
+ *         idtrimestre:
+ *           type: string
+ *           description: Reference to Trimester ObjectId
+ *           example: 507f1f77bcf86cd799439015
+ *         coefficient:
+ *           type: number
+ *           format: float
+ *           minimum: 0
+ *           description: Coefficient of every grade of the evaluation
+ *           example: 2
+ *         bareme:
+ *           type: number
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *           description: Maximum score of the evaluation. Grades are entered on this scale and stored on /20.
+ *           example: 40
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: Creation timestamp
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Last update timestamp
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Deletion timestamp, set when the evaluation is deleted along with a record it references (cascade=delete)
+ *         deletedBy:
+ *           type: string
+ *           nullable: true
+ *           description: Reference to the User ID who deleted the record
+ */
+
+const evaluationSchema = new mongoose.Schema({
+  titre: {
+    type: String,
+    required: [true, 'Evaluation title is required'],
+    trim: true,
+    maxlength: [100, 'Evaluation title cannot exceed 100 characters']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  idclasse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    required: [true, 'Class reference is required']
+  },
+  idmatiere: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject',
+    required: [true, 'Subject reference is required']
+  },
+  idprof: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Teacher',
+    required: [true, 'Teacher reference is required']
+  },
+  idtrimestre: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trimester',
+    required: [true, 'Trimester reference is required']
+  },
+  coefficient: {
+    type: Number,
+    required: [true, 'Coefficient is required'],
+    min: [0, 'Coefficient must be positive']
+  },
+  bareme: {
+    type: Number,
+    default: 20,
+    min: [1, 'Maximum score must be at least 1'],
+    max: [100, 'Maximum score cannot exceed 100']
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries on common filter combinations
+evaluationSchema.index({ idclasse: 1, idtrimestre: 1, date: -1 });
+
+// Evaluations deleted by a cascade are kept (deletedAt, deletedBy), hidden from queries until
+// the record they were deleted with is restored
+evaluationSchema.plugin(softDeletePlugin);
+
+module.exports = mongoose.model('Evaluation', evaluationSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { GRADE_STATUSES } = require('../utils/constants');
+const { softDeletePlugin } = require('../utils/softDelete');
 
 /**
  * @swagger
@@ -12,7 +14,6 @@ const mongoose = require('mongoose');
  *         - idmatiere
  *         - idprof
  *         - idtrimestre
- *         - note
  *         - coefficient
  *       properties:
  *         _id:
@@ -39,12 +40,21 @@ const mongoose = require('mongoose');
  *           type: string
  *           description: Reference to Trimester ObjectId
  *           example: 507f1f77bcf86cd799439015
+ *         statut:
+ *           type: string
+ *           enum: [present, absent_justified, absent_unjustified, exempt, not_submitted]
+ *           default: present
+ *           description: |
+ *             Attendance status for the assessment. Only present students get a note; for the other statuses
+ *             averages either ignore the grade or count it as 0 (configurable, see GRADE_STATUS_RULES)
+ *           example: present
  *         note:
  *           type: number
  *           format: float
  *           minimum: 0
  *           maximum: 20
- *           description: Grade score (0-20)
+ *           nullable: true
+ *           description: Grade score (0-20), required when statut is present and empty otherwise
  *           example: 15.5
  *         coefficient:
  *           type: number
@@ -52,6 +62,21 @@ const mongoose = require('mongoose');
  *           minimum: 0
  *           description: Grade coefficient (weight)
  *           example: 2
+ *         idevaluation:
+ *           type: string
+ *           description: Reference to the Evaluation ObjectId the grade belongs to (optional)
+ *           example: 507f1f77bcf86cd799439016
+ *         noteBrute:
+ *           type: number
+ *           format: float
+ *           minimum: 0
+ *           description: Score as entered on the evaluation scale (bareme), only set for evaluation grades
+ *           example: 31
+ *         commentaire:
+ *           type: string
+ *           maxLength: 500
+ *           description: Teacher's comment on this grade (optional)
+ *           example: Bonne maîtrise des fractions.
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -60,6 +85,15 @@ const mongoose = require('mongoose');
  *           type: string
  *           format: date-time
  *           description: Last update timestamp
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Deletion timestamp, set when the grade is deleted along with its student, class, teacher, subject or trimester
+ *         deletedBy:
+ *           type: string
+ *           nullable: true
+ *           description: Reference to the User ID who deleted the record
  */
 
 const gradeSchema = new mongoose.Schema({
@@ -88,9 +122,16 @@ const gradeSchema = new mongoose.Schema({
     ref: 'Trimester',
     required: [true, 'Trimester reference is required']
   },
+  statut: {
+    type: String,
+    enum: {
+      values: GRADE_STATUSES,
+      message: 'Invalid grade status'
+    },
+    default: 'present'
+  },
   note: {
     type: Number,
-    required: [true, 'Note is required'],
     min: [0, 'Note must be at least 0'],
     max: [20, 'Note cannot exceed 20']
   },
@@ -98,12 +139,39 @@ const gradeSchema = new mongoose.Schema({
     type: Number,
     required: [true, 'Coefficient is required'],
     min: [0, 'Coefficient must be positive']
+  },
+  idevaluation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Evaluation'
+  },
+  noteBrute: {
+    type: Number,
+    min: [0, 'Raw score must be at least 0']
+  },
+  commentaire: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Comment cannot exceed 500 characters']
   }
 }, {
   timestamps: true
 });
 
+// Only present students get a note
+gradeSchema.pre('validate', function(next) {
+  if (this.statut === 'present' && (this.note === undefined || this.note === null)) {
+    this.invalidate('note', 'Note is required');
+  } else if (this.statut !== 'present' && this.note !== undefined && this.note !== null) {
+    this.invalidate('note', 'Note must be empty when the student is not present');
+  }
+  next();
+});
+
 // Index for faster queries on common filter combinations
 gradeSchema.index({ ideleve: 1, idmatiere: 1, idtrimestre: 1 });
+gradeSchema.index({ idevaluation: 1, ideleve: 1 });
+
+// Deleted grades, on their own or by a cascade, are kept (deletedAt, deletedBy) with their history and hidden from queries
+gradeSchema.plugin(softDeletePlugin);
 
 module.exports = mongoose.model('Grade', gradeSchema);
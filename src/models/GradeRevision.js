@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+const { GRADE_STATUSES } = require('../utils/constants');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     GradeRevision:
+ *       type: object
+ *       description: One version of a grade, kept when the grade is created, each time it changes and when it is deleted
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ID
+ *           example: 507f1f77bcf86cd799439020
+ *         idnote:
+ *           type: string
+ *           description: Reference to the Grade ObjectId
+ *           example: 507f1f77bcf86cd799439016
+ *         version:
+ *           type: integer
+ *           minimum: 1
+ *           description: Version number, 1 for the grade as created
+ *           example: 2
+ *         valeurs:
+ *           $ref: '#/components/schemas/GradeValues'
+ *         modifiePar:
+ *           type: string
+ *           description: Reference to the User ID who wrote this version (empty when unknown)
+ *           example: 507f1f77bcf86cd799439019
+ *         motif:
+ *           type: string
+ *           description: Reason given for the change (empty for version 1)
+ *           example: Erreur de report de la copie
+ *         motifDerogation:
+ *           type: string
+ *           description: Override reason when the trimester was locked
+ *         supprimee:
+ *           type: boolean
+ *           description: True for the version written when the grade was deleted (values at deletion)
+ *         date:
+ *           type: string
+ *           format: date-time
+ *           description: When this version was written
+ *     GradeValues:
+ *       type: object
+ *       description: Values of a grade at one version
+ *       properties:
+ *         ideleve:
+ *           type: string
+ *         idclasse:
+ *           type: string
+ *         idmatiere:
+ *           type: string
+ *         idprof:
+ *           type: string
+ *         idtrimestre:
+ *           type: string
+ *         statut:
+ *           type: string
+ *           enum: [present, absent_justified, absent_unjustified, exempt, not_submitted]
+ *         note:
+ *           type: number
+ *           nullable: true
+ *           example: 14
+ *         noteBrute:
+ *           type: number
+ *           nullable: true
+ *         coefficient:
+ *           type: number
+ *           example: 2
+ *         commentaire:
+ *           type: string
+ *           nullable: true
+ */
+
+const gradeValuesSchema = new mongoose.Schema({
+  ideleve: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student'
+  },
+  idclasse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class'
+  },
+  idmatiere: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject'
+  },
+  idprof: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Teacher'
+  },
+  idtrimestre: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trimester'
+  },
+  statut: {
+    type: String,
+    enum: GRADE_STATUSES
+  },
+  note: {
+    type: Number
+  },
+  noteBrute: {
+    type: Number
+  },
+  coefficient: {
+    type: Number
+  },
+  commentaire: {
+    type: String
+  }
+}, {
+  _id: false
+});
+
+const gradeRevisionSchema = new mongoose.Schema({
+  idnote: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Grade',
+    required: [true, 'Grade reference is required']
+  },
+  version: {
+    type: Number,
+    required: [true, 'Version is required'],
+    min: [1, 'Version must be at least 1']
+  },
+  valeurs: {
+    type: gradeValuesSchema,
+    required: true
+  },
+  modifiePar: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  motif: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  motifDerogation: {
+    type: String,
+    trim: true
+  },
+  // The grade was deleted: the version keeps its last values
+  supprimee: {
+    type: Boolean,
+    default: false
+  },
+  // Set explicitly: the first version of an older grade is dated from the grade itself
+  date: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One document per version of a grade
+gradeRevisionSchema.index({ idnote: 1, version: 1 }, { unique: true });
+
+module.exports = mongoose.model('GradeRevision', gradeRevisionSchema);
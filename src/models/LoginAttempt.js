@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+/**
+ * Failed logins in a row on an email address from an IP address, or from every address
+ * Counted for every email, whether an account uses it or not, so that the wait and lockout
+ * responses do not tell which accounts exist. The count of an address drives its wait, the
+ * count from every address (ip '*') drives the lockout of the email.
+ */
+const loginAttemptSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+  },
+  ip: {
+    type: String,
+    default: null,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  // Logins are refused until this time (wait of the address, or lockout of the email)
+  lockUntil: {
+    type: Date,
+    default: null,
+  },
+  // The failures are forgotten a lockout duration after the last one
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required'],
+  },
+});
+
+loginAttemptSchema.index({ email: 1, ip: 1 }, { unique: true });
+// Forgotten failures are removed by MongoDB
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
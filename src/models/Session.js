@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+/**
+ * Login session of a user account
+ * Created at login and registration, it holds the refresh token (only its SHA-256 hash is
+ * stored) and every access token issued for it carries its ID (sid). Revoking the session
+ * (logout) rejects both.
+ */
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required'],
+  },
+  refreshTokenHash: {
+    type: String,
+    required: [true, 'Refresh token hash is required'],
+  },
+  // Hash of the refresh token replaced by the last rotation, to detect its reuse
+  previousRefreshTokenHash: {
+    type: String,
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required'],
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  ip: {
+    type: String,
+  },
+}, {
+  timestamps: true,
+});
+
+sessionSchema.index({ refreshTokenHash: 1 }, { unique: true });
+sessionSchema.index({ previousRefreshTokenHash: 1 }, { sparse: true });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { softDeletePlugin } = require('../utils/softDelete');
 
 /**
  * @swagger
@@ -41,6 +42,12 @@ const mongoose = require('mongoose');
  *           type: string
  *           description: Reference to Class ID
  *           example: 507f1f77bcf86cd799439011
+ *         classesPrecedentes:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: References to the classes of previous academic years, added by each rollover
+ *           example: [507f1f77bcf86cd799439012]
  *         adresse:
  *           type: string
  *           maxLength: 250
@@ -54,6 +61,15 @@ const mongoose = require('mongoose');
  *           type: string
  *           format: date-time
  *           description: Last update timestamp
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Deletion timestamp, null unless deleted (deleted records are hidden until restored)
+ *         deletedBy:
+ *           type: string
+ *           nullable: true
+ *           description: Reference to the User ID who deleted the record
  */
 
 const studentSchema = new mongoose.Schema({
@@ -74,6 +90,11 @@ const studentSchema = new mongoose.Schema({
     ref: 'Class',
     required: [true, 'Class is required'],
   },
+  // Classes of archived years keep their students for statistics and report cards
+  classesPrecedentes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+  }],
   dateNaissance: {
     type: Date,
     required: [true, 'Birth date is required'],
@@ -101,4 +122,9 @@ const studentSchema = new mongoose.Schema({
   timestamps: true,
 });
 
+studentSchema.index({ classesPrecedentes: 1 });
+
+// Deleted records are kept (deletedAt, deletedBy) and hidden from queries
+studentSchema.plugin(softDeletePlugin);
+
 module.exports = mongoose.model('Student', studentSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { softDeletePlugin } = require('../utils/softDelete');
 
 /**
  * @swagger
@@ -16,7 +17,7 @@ const mongoose = require('mongoose');
  *         nom:
  *           type: string
  *           maxLength: 250
- *           description: Subject name (must be unique)
+ *           description: Subject name (unique among subjects that are not deleted)
  *           example: Mathématiques
  *         createdAt:
  *           type: string
@@ -26,6 +27,15 @@ const mongoose = require('mongoose');
  *           type: string
  *           format: date-time
  *           description: Last update timestamp
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Deletion timestamp, null unless deleted (deleted records are hidden until restored)
+ *         deletedBy:
+ *           type: string
+ *           nullable: true
+ *           description: Reference to the User ID who deleted the record
  */
 
 const subjectSchema = new mongoose.Schema(
@@ -33,7 +43,6 @@ const subjectSchema = new mongoose.Schema(
 		nom: {
 			type: String,
 			required: [true, 'Subject name is required'],
-			unique: true,
 			trim: true,
 			maxlength: [250, 'Subject name cannot exceed 250 characters'],
 		},
@@ -43,4 +52,10 @@ const subjectSchema = new mongoose.Schema(
 	}
 );
 
+// Unique among the subjects that are not deleted, a deleted name can be used again
+subjectSchema.index({ nom: 1 }, { unique: true, partialFilterExpression: { deletedAt: null } });
+
+// Deleted records are kept (deletedAt, deletedBy) and hidden from queries
+subjectSchema.plugin(softDeletePlugin);
+
 module.exports = mongoose.model('Subject', subjectSchema);
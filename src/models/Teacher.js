@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { softDeletePlugin } = require('../utils/softDelete');
 
 /**
  * @swagger
@@ -49,6 +50,15 @@ const mongoose = require('mongoose');
  *           type: string
  *           format: date-time
  *           description: Last update timestamp
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Deletion timestamp, null unless deleted (deleted records are hidden until restored)
+ *         deletedBy:
+ *           type: string
+ *           nullable: true
+ *           description: Reference to the User ID who deleted the record
  */
 
 const teacherSchema = new mongoose.Schema({
@@ -91,4 +101,7 @@ const teacherSchema = new mongoose.Schema({
   timestamps: true,
 });
 
+// Deleted records are kept (deletedAt, deletedBy) and hidden from queries
+teacherSchema.plugin(softDeletePlugin);
+
 module.exports = mongoose.model('Teacher', teacherSchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const { isSchoolYear, schoolYearOf } = require('../utils/schoolYear');
+const { softDeletePlugin } = require('../utils/softDelete');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TeachingAssignment:
+ *       type: object
+ *       description: A teacher teaching a subject in a class for a school year
+ *       required:
+ *         - idprof
+ *         - idclasse
+ *         - idmatiere
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ID
+ *           example: 507f1f77bcf86cd799439011
+ *         idprof:
+ *           type: string
+ *           description: Reference to Teacher ObjectId
+ *           example: 507f1f77bcf86cd799439014
+ *         idclasse:
+ *           type: string
+ *           description: Reference to Class ObjectId
+ *           example: 507f1f77bcf86cd799439012
+ *         idmatiere:
+ *           type: string
+ *           description: Reference to Subject ObjectId
+ *           example: 507f1f77bcf86cd799439013
+ *         anneeScolaire:
+ *           type: string
+ *           pattern: '^\d{4}-\d{4}$'
+ *           description: School year (defaults to the current one)
+ *           example: 2024-2025
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: Creation timestamp
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Last update timestamp
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Deletion timestamp, set when the teaching assignment is deleted along with a record it references (cascade=delete)
+ *         deletedBy:
+ *           type: string
+ *           nullable: true
+ *           description: Reference to the User ID who deleted the record
+ */
+
+const teachingAssignmentSchema = new mongoose.Schema({
+  idprof: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Teacher',
+    required: [true, 'Teacher reference is required']
+  },
+  idclasse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    required: [true, 'Class reference is required']
+  },
+  idmatiere: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject',
+    required: [true, 'Subject reference is required']
+  },
+  anneeScolaire: {
+    type: String,
+    required: [true, 'School year is required'],
+    default: () => schoolYearOf(),
+    validate: {
+      validator: isSchoolYear,
+      message: 'School year must be two consecutive years (e.g. 2024-2025)'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// A teacher is assigned once to a subject of a class per school year
+teachingAssignmentSchema.index({ idclasse: 1, idmatiere: 1, idprof: 1, anneeScolaire: 1 }, { unique: true, partialFilterExpression: { deletedAt: null } });
+teachingAssignmentSchema.index({ idprof: 1 });
+
+// Teaching assignments deleted by a cascade are kept (deletedAt, deletedBy), hidden from queries until
+// the record they were deleted with is restored
+teachingAssignmentSchema.plugin(softDeletePlugin);
+
+module.exports = mongoose.model('TeachingAssignment', teachingAssignmentSchema);
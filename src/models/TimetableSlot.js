@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const { TIME_PATTERN, WEEK_DAYS } = require('../utils/constants');
+const { softDeletePlugin } = require('../utils/softDelete');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TimetableSlot:
+ *       type: object
+ *       required:
+ *         - idclasse
+ *         - idmatiere
+ *         - idprof
+ *         - jour
+ *         - heureDebut
+ *         - heureFin
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ID
+ *           example: 507f1f77bcf86cd799439011
+ *         idclasse:
+ *           type: string
+ *           description: Reference to Class ObjectId
+ *           example: 507f1f77bcf86cd799439012
+ *         idmatiere:
+ *           type: string
+ *           description: Reference to Subject ObjectId
+ *           example: 507f1f77bcf86cd799439013
+ *         idprof:
+ *           type: string
+ *           description: Reference to Teacher ObjectId
+ *           example: 507f1f77bcf86cd799439014
+ *         jour:
+ *           type: string
+ *           enum: [lundi, mardi, mercredi, jeudi, vendredi, samedi]
+ *           description: Day of the week
+ *           example: lundi
+ *         heureDebut:
+ *           type: string
+ *           pattern: '^\d{2}:\d{2}$'
+ *           description: Start time (HH:MM)
+ *           example: 08:30
+ *         heureFin:
+ *           type: string
+ *           pattern: '^\d{2}:\d{2}$'
+ *           description: End time (HH:MM), after the start time
+ *           example: 09:25
+ *         salle:
+ *           type: string
+ *           maxLength: 50
+ *           description: Room
+ *           example: B12
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: Creation timestamp
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Last update timestamp
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Deletion timestamp, set when the timetable slot is deleted along with a record it references (cascade=delete)
+ *         deletedBy:
+ *           type: string
+ *           nullable: true
+ *           description: Reference to the User ID who deleted the record
+ *     TimetableDay:
+ *       type: object
+ *       description: Slots of one school day, by start time
+ *       properties:
+ *         jour:
+ *           type: string
+ *           enum: [lundi, mardi, mercredi, jeudi, vendredi, samedi]
+ *           example: lundi
+ *         slots:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TimetableSlot'
+ */
+
+const timetableSlotSchema = new mongoose.Schema({
+  idclasse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    required: [true, 'Class reference is required']
+  },
+  idmatiere: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject',
+    required: [true, 'Subject reference is required']
+  },
+  idprof: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Teacher',
+    required: [true, 'Teacher reference is required']
+  },
+  jour: {
+    type: String,
+    required: [true, 'Day is required'],
+    enum: {
+      values: WEEK_DAYS,
+      message: 'Invalid day'
+    }
+  },
+  heureDebut: {
+    type: String,
+    required: [true, 'Start time is required'],
+    match: [TIME_PATTERN, 'Start time must use the HH:MM format']
+  },
+  heureFin: {
+    type: String,
+    required: [true, 'End time is required'],
+    match: [TIME_PATTERN, 'End time must use the HH:MM format']
+  },
+  salle: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Room cannot exceed 50 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Times are zero-padded HH:MM strings, so they compare in time order
+timetableSlotSchema.pre('validate', function(next) {
+  if (this.heureDebut && this.heureFin && this.heureFin <= this.heureDebut) {
+    this.invalidate('heureFin', 'End time must be after start time');
+  }
+  next();
+});
+
+// Index for conflict detection on each booked resource
+timetableSlotSchema.index({ idclasse: 1, jour: 1 });
+timetableSlotSchema.index({ idprof: 1, jour: 1 });
+timetableSlotSchema.index({ salle: 1, jour: 1 });
+
+// Timetable slots deleted by a cascade are kept (deletedAt, deletedBy), hidden from queries until
+// the record they were deleted with is restored
+timetableSlotSchema.plugin(softDeletePlugin);
+
+module.exports = mongoose.model('TimetableSlot', timetableSlotSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { softDeletePlugin } = require('../utils/softDelete');
 
 /**
  * @swagger
@@ -22,8 +23,34 @@ const mongoose = require('mongoose');
  *         date:
  *           type: string
  *           format: date
- *           description: Trimester date
- *           example: 2024-01-01
+ *           description: Legacy trimester date, set to dateDebut
+ *           example: 2024-09-02
+ *         dateDebut:
+ *           type: string
+ *           format: date
+ *           description: First day of the trimester, required with dateFin (only trimesters written before ranges were required lack them)
+ *           example: 2024-09-02
+ *         dateFin:
+ *           type: string
+ *           format: date
+ *           description: Last day of the trimester, the ranges of two trimesters of a year cannot overlap
+ *           example: 2024-11-29
+ *         verrouille:
+ *           type: boolean
+ *           description: Locked once the class council is done, grades can no longer be written
+ *           example: false
+ *         dateVerrouillage:
+ *           type: string
+ *           format: date-time
+ *           description: When the trimester was locked
+ *         verrouillePar:
+ *           type: string
+ *           description: Reference to the User ID who locked the trimester
+ *           example: 507f1f77bcf86cd799439019
+ *         idannee:
+ *           type: string
+ *           description: Reference to AcademicYear ID (defaults to the current school year when it exists)
+ *           example: 507f1f77bcf86cd799439018
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -32,6 +59,15 @@ const mongoose = require('mongoose');
  *           type: string
  *           format: date-time
  *           description: Last update timestamp
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Deletion timestamp, null unless deleted (deleted records are hidden until restored)
+ *         deletedBy:
+ *           type: string
+ *           nullable: true
+ *           description: Reference to the User ID who deleted the record
  */
 
 const trimesterSchema = new mongoose.Schema({
@@ -45,8 +81,34 @@ const trimesterSchema = new mongoose.Schema({
     type: Date,
     required: [true, 'Date is required'],
   },
+  dateDebut: {
+    type: Date,
+  },
+  dateFin: {
+    type: Date,
+  },
+  idannee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicYear',
+  },
+  verrouille: {
+    type: Boolean,
+    default: false,
+  },
+  dateVerrouillage: {
+    type: Date,
+  },
+  verrouillePar: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
 }, {
   timestamps: true,
 });
 
+trimesterSchema.index({ dateDebut: 1, dateFin: 1 });
+
+// Deleted records are kept (deletedAt, deletedBy) and hidden from queries
+trimesterSchema.plugin(softDeletePlugin);
+
 module.exports = mongoose.model('Trimester', trimesterSchema);
@@ -34,10 +34,26 @@ const bcrypt = require('bcryptjs');
  *           example: $2a$10$...
  *         role:
  *           type: string
- *           enum: [admin, teacher, student]
+ *           enum: [admin, teacher, student, parent]
  *           default: student
  *           description: User role
  *           example: student
+ *         teacher:
+ *           type: string
+ *           nullable: true
+ *           description: Linked Teacher profile (only for users with the teacher role)
+ *           example: 507f1f77bcf86cd799439014
+ *         student:
+ *           type: string
+ *           nullable: true
+ *           description: Linked Student profile (only for users with the student role)
+ *           example: 507f1f77bcf86cd799439012
+ *         children:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Linked Student profiles of a parent's children (only for users with the parent role)
+ *           example: [507f1f77bcf86cd799439012]
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -76,13 +92,40 @@ const userSchema = new mongoose.Schema({
     },
     role: {
         type: String,
-        enum: ['admin', 'teacher', 'student'],
+        enum: ['admin', 'teacher', 'student', 'parent'],
         default: 'student'
+    },
+    // Profile linked to the account, matching its role
+    teacher: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Teacher'
+    },
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Student'
+    },
+    children: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Student'
+    }],
+    // Pending password reset: hash of the token mailed to the user, cleared once used
+    passwordResetTokenHash: {
+        type: String,
+        select: false
+    },
+    passwordResetExpires: {
+        type: Date,
+        select: false
     }
 }, {
     timestamps: true
 });
 
+// A profile can be linked to one account at most
+userSchema.index({ teacher: 1 }, { unique: true, sparse: true });
+userSchema.index({ student: 1 }, { unique: true, sparse: true });
+userSchema.index({ passwordResetTokenHash: 1 }, { sparse: true });
+
 // Hash password before saving the user
 userSchema.pre('save', async function(next) {
     // Only hash password if it's been modified
@@ -111,6 +154,8 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 userSchema.methods.toSafeObject = function() {
     const userObject = this.toObject();
     delete userObject.password;
+    delete userObject.passwordResetTokenHash;
+    delete userObject.passwordResetExpires;
     return userObject;
 };
 
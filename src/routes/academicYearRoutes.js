@@ -0,0 +1,358 @@
+const express = require('express');
+const router = express.Router();
+const academicYearController = require('../controllers/academicYearController');
+const { body, param } = require('express-validator');
+const { validate } = require('../middlewares/validation');
+const { protect, authorize } = require('../middlewares/authMiddleware');
+const { isSchoolYear } = require('../utils/schoolYear');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Academic Years
+ *   description: School years owning classes and trimesters, with the yearly rollover
+ */
+
+const SCHOOL_YEAR_MESSAGE = 'School year must be two consecutive years (e.g. 2024-2025)';
+
+// Validation rules
+const yearValidationRules = [
+  body('nom')
+    .notEmpty().withMessage('School year is required')
+    .custom(isSchoolYear).withMessage(SCHOOL_YEAR_MESSAGE),
+];
+
+const rolloverValidationRules = [
+  body('nom')
+    .optional()
+    .custom(isSchoolYear).withMessage(SCHOOL_YEAR_MESSAGE),
+  body('classes')
+    .isArray({ min: 1 }).withMessage('classes must be a non-empty array'),
+  body('classes.*.nom')
+    .trim()
+    .notEmpty().withMessage('Class name is required')
+    .isLength({ max: 100 }).withMessage('Class name cannot exceed 100 characters'),
+  body('classes.*.prof').optional().isMongoId().withMessage('Invalid teacher ID'),
+  body('classes.*.from').optional().isMongoId().withMessage('Invalid class ID'),
+  body('students')
+    .optional()
+    .isArray().withMessage('students must be an array'),
+  body('students.*.ideleve')
+    .notEmpty().withMessage('Student ID is required')
+    .isMongoId().withMessage('Invalid student ID'),
+  body('students.*.classe')
+    .trim()
+    .notEmpty().withMessage('Class name is required'),
+];
+
+const idValidation = [
+  param('id').isMongoId().withMessage('Invalid academic year ID'),
+];
+
+/**
+ * @swagger
+ * /api/academic-years:
+ *   get:
+ *     summary: Get all academic years
+ *     tags: [Academic Years]
+ *     description: Most recent school year first.
+ *     responses:
+ *       200:
+ *         description: List of all academic years
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 2
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AcademicYear'
+ *       500:
+ *         description: Server error
+ *
+ *   post:
+ *     summary: Create an academic year (Admin)
+ *     tags: [Academic Years]
+ *     description: |
+ *       Classes and trimesters created without idannee are attached to the academic year
+ *       of the current school year, when it exists.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nom
+ *             properties:
+ *               nom:
+ *                 type: string
+ *                 example: 2025-2026
+ *     responses:
+ *       201:
+ *         description: Academic year created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/AcademicYear'
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: The academic year already exists
+ *       500:
+ *         description: Server error
+ */
+
+/**
+ * @swagger
+ * /api/academic-years/{id}:
+ *   get:
+ *     summary: Get academic year by ID
+ *     tags: [Academic Years]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the academic year
+ *     responses:
+ *       200:
+ *         description: Academic year details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/AcademicYear'
+ *       400:
+ *         description: Invalid ID format
+ *       404:
+ *         description: Academic year not found
+ *       500:
+ *         description: Server error
+ *
+ *   put:
+ *     summary: Rename an academic year (Admin)
+ *     tags: [Academic Years]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the academic year
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nom
+ *             properties:
+ *               nom:
+ *                 type: string
+ *                 example: 2025-2026
+ *     responses:
+ *       200:
+ *         description: Academic year updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/AcademicYear'
+ *       400:
+ *         description: Validation error or invalid ID
+ *       404:
+ *         description: Academic year not found
+ *       409:
+ *         description: The academic year is archived or the name is already used
+ *       500:
+ *         description: Server error
+ *
+ *   delete:
+ *     summary: Delete an academic year without classes or trimesters (Admin)
+ *     tags: [Academic Years]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the academic year
+ *     responses:
+ *       200:
+ *         description: Academic year deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Academic year deleted successfully
+ *       400:
+ *         description: Invalid ID format
+ *       404:
+ *         description: Academic year not found
+ *       409:
+ *         description: Classes or trimesters still belong to the academic year
+ *       500:
+ *         description: Server error
+ */
+
+/**
+ * @swagger
+ * /api/academic-years/{id}/rollover:
+ *   post:
+ *     summary: Move to the next school year (Admin)
+ *     tags: [Academic Years]
+ *     description: |
+ *       Creates the classes of the next academic year (and the year itself when it does not exist yet),
+ *       promotes the students, then archives this year. Archived years are read-only: their classes,
+ *       trimesters, grades, evaluations, appreciations, council comments and attendance records
+ *       can no longer be written.
+ *
+ *       - Each class with `from` receives the students of that class of the archived year.
+ *         Its teacher defaults to the teacher of the old class, and the teaching assignments of
+ *         the old class are copied to it for the new school year.
+ *       - Each entry of `students` sends one student to another new class (e.g. repeating the year).
+ *       - Students of classes without mapping keep their old class; they are counted in `unassigned`.
+ *       - Moved students keep their old class in `classesPrecedentes` for the archived year's statistics and report cards.
+ *
+ *       Every entry is checked before anything is written, then everything is written in one
+ *       transaction (MongoDB replica set): when a step fails, nothing is changed.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the academic year to archive
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - classes
+ *             properties:
+ *               nom:
+ *                 type: string
+ *                 description: Next school year, defaults to the year following this one
+ *                 example: 2025-2026
+ *               classes:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - nom
+ *                   properties:
+ *                     nom:
+ *                       type: string
+ *                       example: CM2-A
+ *                     prof:
+ *                       type: string
+ *                       description: Teacher ObjectId, required when from is not given
+ *                       example: 507f1f77bcf86cd799439014
+ *                     from:
+ *                       type: string
+ *                       description: Class ObjectId of the archived year whose students are promoted
+ *                       example: 507f1f77bcf86cd799439012
+ *               students:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - ideleve
+ *                     - classe
+ *                   properties:
+ *                     ideleve:
+ *                       type: string
+ *                       example: 507f1f77bcf86cd799439011
+ *                     classe:
+ *                       type: string
+ *                       description: Name of one of the new classes
+ *                       example: CM1-A
+ *     responses:
+ *       201:
+ *         description: Rollover done
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     year:
+ *                       $ref: '#/components/schemas/AcademicYear'
+ *                     archived:
+ *                       $ref: '#/components/schemas/AcademicYear'
+ *                     classes:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Class'
+ *                     assignments:
+ *                       type: integer
+ *                       description: Teaching assignments copied to the new classes
+ *                       example: 12
+ *                     promoted:
+ *                       type: integer
+ *                       description: Students moved to a new class
+ *                       example: 48
+ *                     unassigned:
+ *                       type: integer
+ *                       description: Students left in a class of the archived year
+ *                       example: 2
+ *       400:
+ *         description: Validation error or invalid mapping
+ *       404:
+ *         description: Academic year not found
+ *       409:
+ *         description: The year is already archived, or a class already exists in the next year
+ *       503:
+ *         description: MongoDB runs as a standalone server, transactions are not available
+ *       500:
+ *         description: Server error
+ */
+
+// Routes with authentication
+router.get('/', protect, academicYearController.getAll);
+router.get('/:id', protect, idValidation, validate, academicYearController.getById);
+router.post('/', protect, authorize('admin'), yearValidationRules, validate, academicYearController.create);
+router.post('/:id/rollover', protect, authorize('admin'), idValidation, rolloverValidationRules, validate, academicYearController.rollover);
+router.put('/:id', protect, authorize('admin'), idValidation, yearValidationRules, validate, academicYearController.update);
+router.delete('/:id', protect, authorize('admin'), idValidation, validate, academicYearController.delete);
+
+module.exports = router;
@@ -0,0 +1,283 @@
+const express = require('express');
+const router = express.Router();
+const appreciationController = require('../controllers/appreciationController');
+const { body, param, query } = require('express-validator');
+const { validate } = require('../middlewares/validation');
+const { protect, authorize } = require('../middlewares/authMiddleware');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Appreciations
+ *   description: Subject teacher appreciations per student and trimester
+ */
+
+// Validation rules for creating appreciations
+const appreciationValidationRules = [
+  body('ideleve')
+    .notEmpty().withMessage('Student ID is required')
+    .isMongoId().withMessage('Invalid student ID format'),
+  body('idmatiere')
+    .notEmpty().withMessage('Subject ID is required')
+    .isMongoId().withMessage('Invalid subject ID format'),
+  body('idtrimestre')
+    .notEmpty().withMessage('Trimester ID is required')
+    .isMongoId().withMessage('Invalid trimester ID format'),
+  body('idprof')
+    .notEmpty().withMessage('Teacher ID is required')
+    .isMongoId().withMessage('Invalid teacher ID format'),
+  body('texte')
+    .trim()
+    .notEmpty().withMessage('Appreciation text is required')
+    .isLength({ max: 1000 }).withMessage('Appreciation cannot exceed 1000 characters'),
+];
+
+// Validation rules for updating appreciations (text only)
+const appreciationUpdateValidationRules = [
+  body('texte')
+    .trim()
+    .notEmpty().withMessage('Appreciation text is required')
+    .isLength({ max: 1000 }).withMessage('Appreciation cannot exceed 1000 characters'),
+];
+
+const idValidation = [
+  param('id').isMongoId().withMessage('Invalid appreciation ID'),
+];
+
+// Validation for query filters (optional)
+const filterValidation = [
+  query('student').optional().isMongoId().withMessage('Invalid student ID'),
+  query('subject').optional().isMongoId().withMessage('Invalid subject ID'),
+  query('trimester').optional().isMongoId().withMessage('Invalid trimester ID'),
+  query('teacher').optional().isMongoId().withMessage('Invalid teacher ID'),
+];
+
+/**
+ * @swagger
+ * /api/appreciations:
+ *   get:
+ *     summary: Get all appreciations with optional filters
+ *     tags: [Appreciations]
+ *     parameters:
+ *       - in: query
+ *         name: student
+ *         schema:
+ *           type: string
+ *         description: Filter by student ObjectId
+ *       - in: query
+ *         name: subject
+ *         schema:
+ *           type: string
+ *         description: Filter by subject ObjectId
+ *       - in: query
+ *         name: trimester
+ *         schema:
+ *           type: string
+ *         description: Filter by trimester ObjectId
+ *       - in: query
+ *         name: teacher
+ *         schema:
+ *           type: string
+ *         description: Filter by author teacher ObjectId
+ *     responses:
+ *       200:
+ *         description: List of appreciations with populated references
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 5
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Appreciation'
+ *       400:
+ *         description: Invalid filter parameters
+ *       500:
+ *         description: Server error
+ *
+ *   post:
+ *     summary: Create an appreciation
+ *     tags: [Appreciations]
+ *     description: |
+ *       Create the appreciation of a subject teacher for a student and trimester.
+ *       The teacher must teach the subject in the student's class. Only one appreciation
+ *       is allowed per student, subject and trimester.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ideleve
+ *               - idmatiere
+ *               - idtrimestre
+ *               - idprof
+ *               - texte
+ *             properties:
+ *               ideleve:
+ *                 type: string
+ *                 example: 507f1f77bcf86cd799439011
+ *               idmatiere:
+ *                 type: string
+ *                 example: 507f1f77bcf86cd799439013
+ *               idtrimestre:
+ *                 type: string
+ *                 example: 507f1f77bcf86cd799439015
+ *               idprof:
+ *                 type: string
+ *                 example: 507f1f77bcf86cd799439014
+ *               texte:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 example: Bon trimestre, élève sérieuse et impliquée.
+ *     responses:
+ *       201:
+ *         description: Appreciation created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Appreciation'
+ *       400:
+ *         description: Validation error, invalid references or duplicate appreciation
+ *       403:
+ *         description: Teacher does not teach this subject in the student's class, or writes under a colleague profile
+ *       409:
+ *         description: The academic year is archived
+ *       500:
+ *         description: Server error
+ */
+
+/**
+ * @swagger
+ * /api/appreciations/{id}:
+ *   get:
+ *     summary: Get appreciation by ID
+ *     tags: [Appreciations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the appreciation
+ *     responses:
+ *       200:
+ *         description: Appreciation details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Appreciation'
+ *       400:
+ *         description: Invalid ID format
+ *       404:
+ *         description: Appreciation not found
+ *       500:
+ *         description: Server error
+ *
+ *   put:
+ *     summary: Update appreciation text
+ *     tags: [Appreciations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the appreciation
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - texte
+ *             properties:
+ *               texte:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 example: Trimestre en progrès, continuez ainsi.
+ *     responses:
+ *       200:
+ *         description: Appreciation updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Appreciation'
+ *       400:
+ *         description: Validation error or invalid ID
+ *       404:
+ *         description: Appreciation not found
+ *       409:
+ *         description: The academic year is archived
+ *       500:
+ *         description: Server error
+ *
+ *   delete:
+ *     summary: Delete appreciation by ID
+ *     tags: [Appreciations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the appreciation
+ *     responses:
+ *       200:
+ *         description: Appreciation deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Appreciation deleted successfully
+ *       400:
+ *         description: Invalid ID format
+ *       404:
+ *         description: Appreciation not found
+ *       409:
+ *         description: The academic year is archived
+ *       500:
+ *         description: Server error
+ */
+
+// Routes with authentication
+router.get('/', protect, filterValidation, validate, appreciationController.getAll);
+router.get('/:id', protect, idValidation, validate, appreciationController.getById);
+router.post('/', protect, authorize('admin', 'teacher'), appreciationValidationRules, validate, appreciationController.create);
+router.put('/:id', protect, authorize('admin', 'teacher'), idValidation, appreciationUpdateValidationRules, validate, appreciationController.update);
+router.delete('/:id', protect, authorize('admin', 'teacher'), idValidation, validate, appreciationController.delete);
+
+module.exports = router;
@@ -0,0 +1,483 @@
+const express = require('express');
+const router = express.Router();
+const attendanceController = require('../controllers/attendanceController');
+const { body, param, query } = require('express-validator');
+const { validate, listValidation } = require('../middlewares/validation');
+const { protect, authorize } = require('../middlewares/authMiddleware');
+const { ATTENDANCE_TYPES, TIME_SLOT_PATTERN } = require('../utils/constants');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Attendance
+ *   description: Student absences and late arrivals by date and time slot
+ */
+
+const ATTENDANCE_FIELDS = ['ideleve', 'idclasse', 'idtrimestre', 'date', 'creneau', 'type', 'minutesRetard', 'justifiee', 'justification', 'createdAt', 'updatedAt'];
+
+// Validation rules for recording attendance
+const attendanceValidationRules = [
+  body('ideleve')
+    .notEmpty().withMessage('Student ID is required')
+    .isMongoId().withMessage('Invalid student ID format'),
+  body('idclasse')
+    .notEmpty().withMessage('Class ID is required')
+    .isMongoId().withMessage('Invalid class ID format'),
+  body('idtrimestre')
+    .notEmpty().withMessage('Trimester ID is required')
+    .isMongoId().withMessage('Invalid trimester ID format'),
+  body('date')
+    .notEmpty().withMessage('Date is required')
+    .isISO8601().withMessage('Invalid date format'),
+  body('creneau')
+    .notEmpty().withMessage('Time slot is required')
+    .matches(TIME_SLOT_PATTERN).withMessage('Time slot must use the HH:MM-HH:MM format'),
+  body('type')
+    .notEmpty().withMessage('Attendance type is required')
+    .isIn(ATTENDANCE_TYPES).withMessage(`Invalid attendance type. Allowed: ${ATTENDANCE_TYPES.join(', ')}`),
+  // Minutes of lateness are required for late arrivals and refused for absences
+  body('minutesRetard')
+    .if((value, { req }) => req.body.type === 'late')
+    .notEmpty().withMessage('Minutes of lateness are required for a late arrival')
+    .isInt({ min: 1 }).withMessage('Lateness must be at least 1 minute'),
+  body('minutesRetard')
+    .if((value, { req }) => req.body.type !== 'late')
+    .isEmpty().withMessage('Minutes of lateness only apply to late arrivals'),
+  body('justification.motif')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  body('justification.justificatif')
+    .optional()
+    .isBoolean().withMessage('Document flag must be a boolean')
+    .toBoolean(),
+];
+
+// Validation rules for correcting attendance (partial)
+const attendanceUpdateValidationRules = [
+  body('ideleve').optional().isMongoId().withMessage('Invalid student ID format'),
+  body('idclasse').optional().isMongoId().withMessage('Invalid class ID format'),
+  body('idtrimestre').optional().isMongoId().withMessage('Invalid trimester ID format'),
+  body('date').optional().isISO8601().withMessage('Invalid date format'),
+  body('creneau')
+    .optional()
+    .matches(TIME_SLOT_PATTERN).withMessage('Time slot must use the HH:MM-HH:MM format'),
+  body('type')
+    .optional()
+    .isIn(ATTENDANCE_TYPES).withMessage(`Invalid attendance type. Allowed: ${ATTENDANCE_TYPES.join(', ')}`),
+  body('minutesRetard').optional().isInt({ min: 1 }).withMessage('Lateness must be at least 1 minute'),
+];
+
+// Validation rules for the justification of a record
+const justificationValidationRules = [
+  body('motif')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+  body('justificatif')
+    .optional()
+    .isBoolean().withMessage('Document flag must be a boolean')
+    .toBoolean(),
+  body('valide')
+    .optional()
+    .isBoolean().withMessage('Validation flag must be a boolean')
+    .toBoolean(),
+];
+
+const idValidation = [
+  param('id').isMongoId().withMessage('Invalid attendance record ID'),
+];
+
+// Validation for query filters (optional)
+const filterValidation = [
+  query('student').optional().isMongoId().withMessage('Invalid student ID'),
+  query('class').optional().isMongoId().withMessage('Invalid class ID'),
+  query('trimester').optional().isMongoId().withMessage('Invalid trimester ID'),
+  query('type')
+    .optional()
+    .isIn(ATTENDANCE_TYPES).withMessage(`Invalid attendance type. Allowed: ${ATTENDANCE_TYPES.join(', ')}`),
+  query('justified').optional().isIn(['true', 'false']).withMessage('Justified must be true or false'),
+  query('from').optional().isISO8601().withMessage('Invalid from date'),
+  query('to').optional().isISO8601().withMessage('Invalid to date'),
+  ...listValidation(ATTENDANCE_FIELDS),
+];
+
+/**
+ * @swagger
+ * /api/attendance:
+ *   get:
+ *     summary: Get attendance records with optional filters
+ *     tags: [Attendance]
+ *     description: |
+ *       Paginated list, most recent day first by default.
+ *       Student and parent accounts only get their own records.
+ *     parameters:
+ *       - in: query
+ *         name: student
+ *         schema:
+ *           type: string
+ *         description: Filter by student ObjectId
+ *       - in: query
+ *         name: class
+ *         schema:
+ *           type: string
+ *         description: Filter by class ObjectId
+ *       - in: query
+ *         name: trimester
+ *         schema:
+ *           type: string
+ *         description: Filter by trimester ObjectId
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [absence, late]
+ *         description: Filter by record type
+ *       - in: query
+ *         name: justified
+ *         schema:
+ *           type: string
+ *           enum: ['true', 'false']
+ *         description: Filter on validated justification
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day included
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day included
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         description: Comma separated sort fields, prefix with - for descending order (ideleve, idclasse, idtrimestre, date, creneau, type, minutesRetard, justifiee, justification, createdAt, updatedAt)
+ *         example: -date,creneau
+ *       - in: query
+ *         name: fields
+ *         schema:
+ *           type: string
+ *         description: Comma separated fields to return (same fields as sort)
+ *         example: date,creneau,type
+ *     responses:
+ *       200:
+ *         description: Page of attendance records with populated references
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 5
+ *                 total:
+ *                   type: integer
+ *                   example: 5
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 50
+ *                 totalPages:
+ *                   type: integer
+ *                   example: 1
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Attendance'
+ *       400:
+ *         description: Invalid filter parameters
+ *       403:
+ *         description: Student filter outside the account scope
+ *       500:
+ *         description: Server error
+ *
+ *   post:
+ *     summary: Record an absence or late arrival (Admin/Teacher)
+ *     tags: [Attendance]
+ *     description: |
+ *       The student must belong to the class and the day must fall within the trimester (when its
+ *       dates are set). Only one record is kept per student, day and time slot. Teachers only record
+ *       the attendance of the classes they teach (main teacher or teaching assignment).
+ *       A reason and document flag may be given at once; the justification is validated
+ *       with `PUT /api/attendance/{id}/justification`.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ideleve
+ *               - idclasse
+ *               - idtrimestre
+ *               - date
+ *               - creneau
+ *               - type
+ *             properties:
+ *               ideleve:
+ *                 type: string
+ *                 example: 507f1f77bcf86cd799439011
+ *               idclasse:
+ *                 type: string
+ *                 example: 507f1f77bcf86cd799439012
+ *               idtrimestre:
+ *                 type: string
+ *                 example: 507f1f77bcf86cd799439015
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 example: 2024-10-14
+ *               creneau:
+ *                 type: string
+ *                 example: 08:30-09:25
+ *               type:
+ *                 type: string
+ *                 enum: [absence, late]
+ *                 example: late
+ *               minutesRetard:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Required for late arrivals only
+ *                 example: 10
+ *               justification:
+ *                 type: object
+ *                 properties:
+ *                   motif:
+ *                     type: string
+ *                     maxLength: 500
+ *                     example: Rendez-vous médical
+ *                   justificatif:
+ *                     type: boolean
+ *                     example: true
+ *     responses:
+ *       201:
+ *         description: Attendance record created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Attendance'
+ *       400:
+ *         description: Validation error, invalid references, student not in the class or day outside the trimester
+ *       403:
+ *         description: The teacher does not teach in the class
+ *       409:
+ *         description: A record already exists for this student and time slot, or the academic year is archived
+ *       500:
+ *         description: Server error
+ */
+
+/**
+ * @swagger
+ * /api/attendance/{id}:
+ *   get:
+ *     summary: Get attendance record by ID
+ *     tags: [Attendance]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the attendance record
+ *     responses:
+ *       200:
+ *         description: Attendance record details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Attendance'
+ *       400:
+ *         description: Invalid ID format
+ *       403:
+ *         description: Record outside the account scope
+ *       404:
+ *         description: Attendance record not found
+ *       500:
+ *         description: Server error
+ *
+ *   put:
+ *     summary: Correct an attendance record (Admin/Teacher)
+ *     tags: [Attendance]
+ *     description: |
+ *       Partial update of the student, class, trimester, day, time slot, type or lateness.
+ *       Turning a late arrival into an absence drops its minutes of lateness. Teachers only correct
+ *       the records of the classes they teach.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the attendance record
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 example: 2024-10-14
+ *               creneau:
+ *                 type: string
+ *                 example: 09:25-10:20
+ *               type:
+ *                 type: string
+ *                 enum: [absence, late]
+ *                 example: absence
+ *               minutesRetard:
+ *                 type: integer
+ *                 minimum: 1
+ *                 example: 5
+ *     responses:
+ *       200:
+ *         description: Attendance record updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Attendance'
+ *       400:
+ *         description: Validation error, invalid references, student not in the class or day outside the trimester
+ *       403:
+ *         description: The teacher does not teach in the class of the record
+ *       404:
+ *         description: Attendance record not found
+ *       409:
+ *         description: A record already exists for this student and time slot, or the academic year is archived
+ *       500:
+ *         description: Server error
+ *
+ *   delete:
+ *     summary: Delete attendance record by ID (Admin/Teacher)
+ *     tags: [Attendance]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the attendance record
+ *     responses:
+ *       200:
+ *         description: Attendance record deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Attendance record deleted successfully
+ *       400:
+ *         description: Invalid ID format
+ *       403:
+ *         description: The teacher does not teach in the class of the record
+ *       404:
+ *         description: Attendance record not found
+ *       409:
+ *         description: The academic year is archived
+ *       500:
+ *         description: Server error
+ */
+
+/**
+ * @swagger
+ * /api/attendance/{id}/justification:
+ *   put:
+ *     summary: Record or validate a justification (Admin/Teacher)
+ *     tags: [Attendance]
+ *     description: |
+ *       Sets the reason and document flag. `valide: true` marks the record as justified and keeps
+ *       the validating account and date; `valide: false` withdraws the validation.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the attendance record
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               motif:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: Rendez-vous médical
+ *               justificatif:
+ *                 type: boolean
+ *                 example: true
+ *               valide:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Justification recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Attendance'
+ *       400:
+ *         description: Validation error or invalid ID
+ *       403:
+ *         description: The teacher does not teach in the class of the record
+ *       404:
+ *         description: Attendance record not found
+ *       409:
+ *         description: The academic year is archived
+ *       500:
+ *         description: Server error
+ */
+
+// Routes with authentication
+router.get('/', protect, filterValidation, validate, attendanceController.getAll);
+router.get('/:id', protect, idValidation, validate, attendanceController.getById);
+router.post('/', protect, authorize('admin', 'teacher'), attendanceValidationRules, validate, attendanceController.create);
+router.put('/:id/justification', protect, authorize('admin', 'teacher'), idValidation, justificationValidationRules, validate, attendanceController.justify);
+router.put('/:id', protect, authorize('admin', 'teacher'), idValidation, attendanceUpdateValidationRules, validate, attendanceController.update);
+router.delete('/:id', protect, authorize('admin', 'teacher'), idValidation, validate, attendanceController.delete);
+
+module.exports = router;
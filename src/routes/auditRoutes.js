@@ -0,0 +1,135 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/auditController');
+const { query } = require('express-validator');
+const { validate, listValidation } = require('../middlewares/validation');
+const { protect, authorize } = require('../middlewares/authMiddleware');
+const { AUDIT_ACTIONS, AUDIT_ENTITIES } = require('../utils/constants');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Audit
+ *   description: Who created, modified or deleted records, and what changed
+ */
+
+const AUDIT_FIELDS = ['action', 'entity', 'entityId', 'actor', 'actorUsername', 'ip', 'changes', 'reason', 'createdAt'];
+
+// Validation for query filters (optional)
+const filterValidation = [
+  query('entity')
+    .optional()
+    .isIn(AUDIT_ENTITIES).withMessage(`Invalid entity. Allowed: ${AUDIT_ENTITIES.join(', ')}`),
+  query('entityId').optional().isMongoId().withMessage('Invalid entity ID'),
+  query('action')
+    .optional()
+    .isIn(AUDIT_ACTIONS).withMessage(`Invalid action. Allowed: ${AUDIT_ACTIONS.join(', ')}`),
+  query('actor').optional().isMongoId().withMessage('Invalid actor ID'),
+  query('from').optional().isISO8601().withMessage('Invalid from date'),
+  query('to').optional().isISO8601().withMessage('Invalid to date'),
+  ...listValidation(AUDIT_FIELDS),
+];
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Get the audit log (Admin)
+ *     tags: [Audit]
+ *     description: |
+ *       Every create, update and delete of students, teachers, classes, subjects, trimesters,
+ *       grades and users, with the account, IP address and changed fields (before/after).
+ *       Paginated list, most recent first by default.
+ *     parameters:
+ *       - in: query
+ *         name: entity
+ *         schema:
+ *           type: string
+ *           enum: [Student, Teacher, Class, Subject, Trimester, Grade, User]
+ *         description: Filter by kind of record
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *         description: Filter by record ObjectId (e.g. the history of one grade)
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete, restore, lock, unlock]
+ *         description: Filter by action
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: Filter by User ObjectId of the account that made the change
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day (or date-time) included
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day (or date-time) included
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         description: Comma separated sort fields, prefix with - for descending order (action, entity, entityId, actor, actorUsername, ip, changes, reason, createdAt)
+ *         example: -createdAt
+ *       - in: query
+ *         name: fields
+ *         schema:
+ *           type: string
+ *         description: Comma separated fields to return (same fields as sort)
+ *         example: action,entity,entityId,createdAt
+ *     responses:
+ *       200:
+ *         description: Page of audit log entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 20
+ *                 total:
+ *                   type: integer
+ *                   example: 134
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 50
+ *                 totalPages:
+ *                   type: integer
+ *                   example: 3
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditLog'
+ *       400:
+ *         description: Invalid filter
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Server error
+ */
+
+// Routes with authentication
+router.get('/', protect, authorize('admin'), filterValidation, validate, auditController.getAll);
+
+module.exports = router;
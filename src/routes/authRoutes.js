@@ -1,8 +1,9 @@
 const express = require('express');
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const authController = require('../controllers/authController');
 const { protect, authorize } = require('../middlewares/authMiddleware');
-const { validate } = require('../middlewares/validation');
+const { validate, listValidation } = require('../middlewares/validation');
+const { authLimiter, passwordResetLimiter } = require('../middlewares/rateLimiter');
 
 const router = express.Router();
 
@@ -41,7 +42,7 @@ const router = express.Router();
  *           example: john.doe@example.com
  *         role:
  *           type: string
- *           enum: [admin, teacher, student]
+ *           enum: [admin, teacher, student, parent]
  *           default: student
  *           description: User role (defaults to student for new registrations)
  *           example: student
@@ -69,10 +70,39 @@ const router = express.Router();
  *               $ref: '#/components/schemas/User'
  *             token:
  *               type: string
- *               description: JWT token for authentication
+ *               description: Access token (JWT, short-lived) for the Authorization header
  *               example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *             refreshToken:
+ *               type: string
+ *               description: Refresh token exchanged at /api/auth/refresh for new tokens, valid once
+ *               example: 9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08...
+ *     LoginRefused:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: false
+ *         error:
+ *           type: string
+ *           example: 'Login failed: Too many failed login attempts, try again in 4 second(s)'
+ *         details:
+ *           type: object
+ *           properties:
+ *             retryAfter:
+ *               type: integer
+ *               description: Seconds before the email accepts a new login attempt from this address
+ *               example: 4
  */
 
+// Strength rules of a new password (registration, change and reset)
+const newPasswordRule = (field, label = 'Password') => body(field)
+    .notEmpty()
+    .withMessage(`${label} is required`)
+    .isLength({ min: 6 })
+    .withMessage(`${label} must be at least 6 characters long`)
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage(`${label} must contain at least one uppercase letter, one lowercase letter, and one number`);
+
 // Validation rules for user registration
 const registerValidationRules = [
     body('username')
@@ -92,13 +122,7 @@ const registerValidationRules = [
         .withMessage('Please provide a valid email address')
         .normalizeEmail(),
 
-    body('password')
-        .notEmpty()
-        .withMessage('Password is required')
-        .isLength({ min: 6 })
-        .withMessage('Password must be at least 6 characters long')
-        .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-        .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+    newPasswordRule('password'),
 
     body('role')
         .not()
@@ -121,6 +145,55 @@ const loginValidationRules = [
         .withMessage('Password is required')
 ];
 
+// Validation rules for token refresh
+const refreshValidationRules = [
+    body('refreshToken')
+        .notEmpty()
+        .withMessage('Refresh token is required')
+        .isString()
+        .withMessage('Refresh token must be a string')
+];
+
+// Validation rules for logout
+const logoutValidationRules = [
+    body('all')
+        .optional()
+        .isBoolean()
+        .withMessage('all must be true or false')
+        .toBoolean(true)
+];
+
+// Validation rules for password change
+const changePasswordValidationRules = [
+    body('currentPassword')
+        .notEmpty()
+        .withMessage('Current password is required'),
+
+    newPasswordRule('newPassword', 'New password')
+];
+
+// Validation rules for password reset request
+const forgotPasswordValidationRules = [
+    body('email')
+        .trim()
+        .notEmpty()
+        .withMessage('Email is required')
+        .isEmail()
+        .withMessage('Please provide a valid email address')
+        .normalizeEmail()
+];
+
+// Validation rules for password reset
+const resetPasswordValidationRules = [
+    body('token')
+        .notEmpty()
+        .withMessage('Reset token is required')
+        .isString()
+        .withMessage('Reset token must be a string'),
+
+    newPasswordRule('password')
+];
+
 // Validation rules for profile update
 const updateProfileValidationRules = [
     body('username')
@@ -205,10 +278,12 @@ const updateProfileValidationRules = [
  *                 error:
  *                   type: string
  *                   example: User already exists
+ *       429:
+ *         description: Too many login and registration requests from this IP
  *       500:
  *         description: Server error
  */
-router.post('/register', registerValidationRules, validate, authController.register);
+router.post('/register', authLimiter, registerValidationRules, validate, authController.register);
 
 /**
  * @swagger
@@ -216,7 +291,14 @@ router.post('/register', registerValidationRules, validate, authController.regis
  *   post:
  *     summary: Login user
  *     tags: [Authentication]
- *     description: Authenticate user and receive JWT token
+ *     description: |
+ *       Authenticate user and receive JWT token.
+ *       Failed logins are counted per email, and per email and IP address, whether an account
+ *       uses the email or not. From the third failure in a row from an address, each new attempt
+ *       on the email from it has to wait (2, 4, 8... seconds, 429). After LOGIN_MAX_ATTEMPTS (10)
+ *       failures from any addresses the email is locked for LOGIN_LOCKOUT_MINUTES (15) minutes
+ *       (423). A successful login clears the count of the email and of its address; a password
+ *       reset or an admin unlock clears every count.
  *     security: []
  *     requestBody:
  *       required: true
@@ -259,10 +341,160 @@ router.post('/register', registerValidationRules, validate, authController.regis
  *                 error:
  *                   type: string
  *                   example: Invalid credentials
+ *       423:
+ *         description: Email locked after too many failed logins
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LoginRefused'
+ *       429:
+ *         description: Wait after failed logins on the email from this address, or too many requests from this IP
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LoginRefused'
+ *       500:
+ *         description: Server error
+ */
+router.post('/login', authLimiter, loginValidationRules, validate, authController.login);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Refresh the access token
+ *     tags: [Authentication]
+ *     description: |
+ *       Exchange a refresh token for a new access token and a new refresh token (rotation).
+ *       Each refresh token works once: presenting a token already exchanged revokes its session.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Refresh token received at login, registration or the last refresh
+ *     responses:
+ *       200:
+ *         description: New tokens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Token refreshed
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     refreshToken:
+ *                       type: string
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Invalid, already used, revoked or expired refresh token
  *       500:
  *         description: Server error
  */
-router.post('/login', loginValidationRules, validate, authController.login);
+router.post('/refresh', refreshValidationRules, validate, authController.refresh);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset
+ *     tags: [Authentication]
+ *     description: |
+ *       Mail a reset token to the account of this email. The token works once and expires after
+ *       PASSWORD_RESET_EXPIRE_MINUTES (60 by default); a new request replaces it. The answer is the
+ *       same whether the email has an account or not, even when the mail cannot be sent (logged on
+ *       the server). Limited with reset-password to PASSWORD_RESET_RATE_LIMIT_MAX_REQUESTS (5) requests
+ *       per PASSWORD_RESET_RATE_LIMIT_WINDOW_MS (1 hour) per IP.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: john.doe@example.com
+ *     responses:
+ *       200:
+ *         description: Request accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: If an account exists for this email, a password reset mail has been sent
+ *       400:
+ *         description: Validation error
+ *       429:
+ *         description: Too many password reset requests from this IP
+ *       500:
+ *         description: Server error
+ */
+router.post('/forgot-password', passwordResetLimiter, forgotPasswordValidationRules, validate, authController.forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Reset the password with a reset token
+ *     tags: [Authentication]
+ *     description: Set a new password with the token of the reset mail. Every session of the account is revoked. Shares the forgot-password rate limit.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token received by mail
+ *               password:
+ *                 type: string
+ *                 description: New password (6 characters minimum, with an uppercase letter, a lowercase letter and a number)
+ *                 example: NewPassword123
+ *     responses:
+ *       200:
+ *         description: Password reset, log in again
+ *       400:
+ *         description: Validation error, or invalid, already used or expired token
+ *       429:
+ *         description: Too many password reset requests from this IP
+ *       500:
+ *         description: Server error
+ */
+router.post('/reset-password', passwordResetLimiter, resetPasswordValidationRules, validate, authController.resetPassword);
 
 /**
  * Protected Routes (Authentication Required)
@@ -274,9 +506,22 @@ router.post('/login', loginValidationRules, validate, authController.login);
  *   post:
  *     summary: Logout user
  *     tags: [Authentication]
- *     description: Logout current user (client-side token removal)
+ *     description: |
+ *       Revoke the session of the access token: its access and refresh tokens are rejected from now on.
+ *       With all set to true, every session of the user is revoked (logout everywhere).
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               all:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Revoke every session of the user
  *     responses:
  *       200:
  *         description: Logout successful
@@ -291,6 +536,14 @@ router.post('/login', loginValidationRules, validate, authController.login);
  *                 message:
  *                   type: string
  *                   example: Logout successful
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     revokedSessions:
+ *                       type: integer
+ *                       example: 1
+ *       400:
+ *         description: Validation error
  *       401:
  *         description: Unauthorized - Invalid or missing token
  *         content:
@@ -307,7 +560,100 @@ router.post('/login', loginValidationRules, validate, authController.login);
  *       500:
  *         description: Server error
  */
-router.post('/logout', protect, authController.logout);
+router.post('/logout', protect, logoutValidationRules, validate, authController.logout);
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Get current user
+ *     tags: [Authentication]
+ *     description: Return the authenticated user together with the linked Teacher or Student profile
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current user and linked profile
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *                     profile:
+ *                       nullable: true
+ *                       description: Linked Teacher or Student document (list of children for parents), null when no profile is linked
+ *                       oneOf:
+ *                         - $ref: '#/components/schemas/Teacher'
+ *                         - $ref: '#/components/schemas/Student'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       500:
+ *         description: Server error
+ */
+router.get('/me', protect, authController.getMe);
+
+/**
+ * @swagger
+ * /api/auth/password:
+ *   put:
+ *     summary: Change password
+ *     tags: [Authentication]
+ *     description: Change the password of the current user. The other sessions of the account are revoked and a pending reset token is cancelled.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 example: Password123
+ *               newPassword:
+ *                 type: string
+ *                 description: 6 characters minimum, with an uppercase letter, a lowercase letter and a number
+ *                 example: NewPassword123
+ *     responses:
+ *       200:
+ *         description: Password updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Password updated successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     revokedSessions:
+ *                       type: integer
+ *                       example: 2
+ *       400:
+ *         description: Validation error, wrong current password or unchanged password
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       500:
+ *         description: Server error
+ */
+router.put('/password', protect, changePasswordValidationRules, validate, authController.changePassword);
 
 /**
  * Admin-Only Routes (Role Management)
@@ -323,19 +669,39 @@ const roleUpdateValidationRules = [
         .trim()
         .notEmpty()
         .withMessage('Role is required')
-        .isIn(['admin', 'teacher', 'student'])
-        .withMessage('Role must be admin, teacher, or student')
+        .isIn(['admin', 'teacher', 'student', 'parent'])
+        .withMessage('Role must be admin, teacher, student, or parent')
 ];
 
+// Validation rules for the user list (page, limit, sort, fields)
+const userListValidationRules = listValidation([
+    'username', 'email', 'role', 'teacher', 'student', 'children', 'createdAt', 'updatedAt'
+]);
+
 /**
  * @swagger
  * /api/auth/admin/users:
  *   get:
  *     summary: Get all users (Admin only)
  *     tags: [Authentication]
- *     description: Retrieve a list of all registered users. Requires admin role.
+ *     description: Retrieve a paginated list of registered users, newest first. Requires admin role.
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         description: Comma separated sort fields, prefix with - for descending order (username, email, role, teacher, student, children, createdAt, updatedAt)
+ *         example: role,username
+ *       - in: query
+ *         name: fields
+ *         schema:
+ *           type: string
+ *         description: Comma separated fields to return (username, email, role, teacher, student, children, createdAt, updatedAt)
+ *         example: username,email,role
  *     responses:
  *       200:
  *         description: List of all users
@@ -350,10 +716,26 @@ const roleUpdateValidationRules = [
  *                 count:
  *                   type: integer
  *                   example: 25
+ *                 total:
+ *                   type: integer
+ *                   description: Number of registered users
+ *                   example: 120
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 50
+ *                 totalPages:
+ *                   type: integer
+ *                   example: 3
  *                 data:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/User'
+ *                   type: object
+ *                   properties:
+ *                     users:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/User'
  *       401:
  *         description: Unauthorized - Invalid or missing token
  *       403:
@@ -375,6 +757,8 @@ const roleUpdateValidationRules = [
 router.get('/admin/users',
     protect,
     authorize('admin'),
+    userListValidationRules,
+    validate,
     authController.getAllUsers
 );
 
@@ -406,7 +790,7 @@ router.get('/admin/users',
  *             properties:
  *               role:
  *                 type: string
- *                 enum: [admin, teacher, student]
+ *                 enum: [admin, teacher, student, parent]
  *                 description: New role for the user
  *                 example: teacher
  *     responses:
@@ -441,4 +825,193 @@ router.put('/admin/users/:userId/role',
     authController.updateUserRole
 );
 
+// Validation rules for profile linkage
+const userIdValidationRules = [
+    param('userId')
+        .isMongoId()
+        .withMessage('Invalid user ID format')
+];
+
+const profileUnlinkValidationRules = [
+    ...userIdValidationRules,
+
+    query('profileId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid profile ID format')
+];
+
+const profileLinkValidationRules = [
+    ...userIdValidationRules,
+
+    body('type')
+        .trim()
+        .notEmpty()
+        .withMessage('Profile type is required')
+        .isIn(['teacher', 'student', 'parent'])
+        .withMessage('Profile type must be teacher, student or parent'),
+
+    body('profileId')
+        .notEmpty()
+        .withMessage('Profile ID is required')
+        .isMongoId()
+        .withMessage('Invalid profile ID format')
+];
+
+/**
+ * @swagger
+ * /api/auth/admin/users/{userId}/unlock:
+ *   post:
+ *     summary: Unlock a user account (Admin only)
+ *     tags: [Authentication]
+ *     description: |
+ *       Clear the failed logins on the email of an account from every address, ending its
+ *       lockout and waits before the next login. The unlock is recorded in the audit log
+ *       (action unlock), like the lockout (action lock).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the user
+ *     responses:
+ *       200:
+ *         description: User account unlocked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: User account unlocked
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid user ID
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - Admin role required
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/admin/users/:userId/unlock',
+    protect,
+    authorize('admin'),
+    userIdValidationRules,
+    validate,
+    authController.unlockUser
+);
+
+/**
+ * @swagger
+ * /api/auth/admin/users/{userId}/profile:
+ *   put:
+ *     summary: Link a Teacher or Student profile to a user (Admin only)
+ *     tags: [Authentication]
+ *     description: |
+ *       Attach the Teacher or Student record the account belongs to. The profile type must match
+ *       the user role. Teacher and student profiles can only be linked to one account and linking
+ *       replaces the previous one. Parent accounts are linked to their children (Student records),
+ *       one call per child.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the user
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - profileId
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [teacher, student, parent]
+ *                 example: teacher
+ *               profileId:
+ *                 type: string
+ *                 description: MongoDB ObjectId of the Teacher, or of the Student for student and parent profiles
+ *                 example: 507f1f77bcf86cd799439014
+ *     responses:
+ *       200:
+ *         description: Profile linked successfully
+ *       400:
+ *         description: Validation error, role mismatch, unknown profile or profile already linked
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - Admin role required
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ *
+ *   delete:
+ *     summary: Detach the profile linked to a user (Admin only)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the user
+ *       - in: query
+ *         name: profileId
+ *         schema:
+ *           type: string
+ *         description: Child Student ObjectId to detach from a parent account (every link is removed when omitted)
+ *     responses:
+ *       200:
+ *         description: Profile detached successfully
+ *       400:
+ *         description: Invalid user ID or profile not linked to the user
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - Admin role required
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/admin/users/:userId/profile',
+    protect,
+    authorize('admin'),
+    profileLinkValidationRules,
+    validate,
+    authController.linkProfile
+);
+
+router.delete('/admin/users/:userId/profile',
+    protect,
+    authorize('admin'),
+    profileUnlinkValidationRules,
+    validate,
+    authController.unlinkProfile
+);
+
 module.exports = router;
\ No newline at end of file
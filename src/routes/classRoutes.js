@@ -1,9 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const classController = require('../controllers/classController');
-const { body, param } = require('express-validator');
-const { validate } = require('../middlewares/validation');
+const { body, param, query } = require('express-validator');
+const { validate, listValidation, includeDeletedValidation, cascadeValidation } = require('../middlewares/validation');
 const { protect, authorize } = require('../middlewares/authMiddleware');
+const { isSchoolYear } = require('../utils/schoolYear');
 
 /**
  * @swagger
@@ -21,18 +22,54 @@ const classValidationRules = [
   body('prof')
     .notEmpty().withMessage('Teacher is required')
     .isMongoId().withMessage('Invalid teacher ID'),
+  body('idannee').optional().isMongoId().withMessage('Invalid academic year ID'),
 ];
 
 const idValidation = [
   param('id').isMongoId().withMessage('Invalid class ID'),
 ];
 
+// Validation for list query params (year, page, limit, sort, fields)
+const listQueryValidation = [
+  query('year').optional().custom(isSchoolYear).withMessage('Invalid school year (e.g. 2024-2025)'),
+  ...listValidation(['nom', 'prof', 'idannee', 'createdAt', 'updatedAt']),
+];
+
+const statisticsValidation = [
+  query('trimester')
+    .notEmpty().withMessage('Trimester is required')
+    .isMongoId().withMessage('Invalid trimester ID'),
+];
+
 /**
  * @swagger
  * /api/classes:
  *   get:
  *     summary: Get all classes
  *     tags: [Classes]
+ *     description: Paginated list of classes, sorted by name by default.
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: string
+ *         description: Only return the classes of this academic year
+ *         example: 2024-2025
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         description: Comma separated sort fields, prefix with - for descending order (nom, prof, idannee, createdAt, updatedAt)
+ *         example: -nom
+ *       - in: query
+ *         name: fields
+ *         schema:
+ *           type: string
+ *         description: Comma separated fields to return (nom, prof, idannee, createdAt, updatedAt)
+ *         example: nom,prof
+ *       - $ref: '#/components/parameters/IncludeDeleted'
  *     responses:
  *       200:
  *         description: List of all classes with populated teacher info
@@ -47,6 +84,19 @@ const idValidation = [
  *                 count:
  *                   type: integer
  *                   example: 5
+ *                 total:
+ *                   type: integer
+ *                   description: Number of classes matching the query
+ *                   example: 120
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 50
+ *                 totalPages:
+ *                   type: integer
+ *                   example: 3
  *                 data:
  *                   type: array
  *                   items:
@@ -70,12 +120,16 @@ const idValidation = [
  *               nom:
  *                 type: string
  *                 maxLength: 100
- *                 description: Class name (must be unique)
+ *                 description: Class name (unique within an academic year)
  *                 example: CM1-A
  *               prof:
  *                 type: string
  *                 description: MongoDB ObjectId of the teacher
  *                 example: 507f1f77bcf86cd799439011
+ *               idannee:
+ *                 type: string
+ *                 description: MongoDB ObjectId of the academic year (defaults to the current school year when it exists)
+ *                 example: 507f1f77bcf86cd799439018
  *     responses:
  *       201:
  *         description: Class created successfully
@@ -91,6 +145,8 @@ const idValidation = [
  *                   $ref: '#/components/schemas/Class'
  *       400:
  *         description: Validation error or duplicate class name
+ *       409:
+ *         description: The academic year is archived
  *       500:
  *         description: Server error
  */
@@ -109,6 +165,7 @@ const idValidation = [
  *           type: string
  *         description: MongoDB ObjectId of the class
  *         example: 507f1f77bcf86cd799439011
+ *       - $ref: '#/components/parameters/IncludeDeleted'
  *     responses:
  *       200:
  *         description: Class details with populated teacher info
@@ -150,12 +207,16 @@ const idValidation = [
  *               nom:
  *                 type: string
  *                 maxLength: 100
- *                 description: Class name (must be unique)
+ *                 description: Class name (unique within an academic year)
  *                 example: CM1-A
  *               prof:
  *                 type: string
  *                 description: MongoDB ObjectId of the teacher
  *                 example: 507f1f77bcf86cd799439011
+ *               idannee:
+ *                 type: string
+ *                 description: MongoDB ObjectId of the academic year (defaults to the current school year when it exists)
+ *                 example: 507f1f77bcf86cd799439018
  *     responses:
  *       200:
  *         description: Class updated successfully
@@ -173,6 +234,8 @@ const idValidation = [
  *         description: Validation error or invalid ID
  *       404:
  *         description: Class not found
+ *       409:
+ *         description: The class belongs to an archived academic year
  *       500:
  *         description: Server error
  *
@@ -187,6 +250,9 @@ const idValidation = [
  *           type: string
  *         description: MongoDB ObjectId of the class
  *         example: 507f1f77bcf86cd799439011
+ *       - $ref: '#/components/parameters/Cascade'
+ *       - $ref: '#/components/parameters/CascadeTarget'
+ *       - $ref: '#/components/parameters/CascadeOverride'
  *     responses:
  *       200:
  *         description: Class deleted successfully
@@ -202,18 +268,325 @@ const idValidation = [
  *                   type: string
  *                   example: Class deleted successfully
  *       400:
+ *         description: Invalid ID, cascade mode or target (the target cannot be the record itself and must belong to the same academic year)
+ *       404:
+ *         description: Class or cascade=reassign target not found
+ *       409:
+ *         description: The class belongs to an archived academic year, other records still reference it without cascade (counts in details), or the cascade changes records of an archived year or a locked trimester without an admin override reason, or reassigned records would duplicate records of the target (conflicts in details)
+ *       500:
+ *         description: Server error
+ */
+
+/**
+ * @swagger
+ * /api/classes/{id}/attendance:
+ *   get:
+ *     summary: Get the attendance summary of a class for a trimester
+ *     tags: [Classes, Attendance]
+ *     description: |
+ *       Counts of absences and late arrivals for the whole class and for each student,
+ *       including students without any record. Restricted to teachers and admins.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the class
+ *         example: 507f1f77bcf86cd799439011
+ *       - in: query
+ *         name: trimester
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the trimester
+ *         example: 507f1f77bcf86cd799439015
+ *     responses:
+ *       200:
+ *         description: Class attendance summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     class:
+ *                       type: object
+ *                       properties:
+ *                         _id:
+ *                           type: string
+ *                         nom:
+ *                           type: string
+ *                           example: CM1-A
+ *                     trimester:
+ *                       type: object
+ *                       properties:
+ *                         _id:
+ *                           type: string
+ *                         nom:
+ *                           type: string
+ *                           example: T1
+ *                     summary:
+ *                       $ref: '#/components/schemas/AttendanceSummary'
+ *                     students:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           student:
+ *                             type: object
+ *                             properties:
+ *                               _id:
+ *                                 type: string
+ *                               nom:
+ *                                 type: string
+ *                                 example: Martin
+ *                               prenom:
+ *                                 type: string
+ *                                 example: Sophie
+ *                           summary:
+ *                             $ref: '#/components/schemas/AttendanceSummary'
+ *       400:
+ *         description: Invalid class ID or missing/invalid trimester
+ *       404:
+ *         description: Class or trimester not found
+ *       500:
+ *         description: Server error
+ */
+
+/**
+ * @swagger
+ * /api/classes/{id}/timetable:
+ *   get:
+ *     summary: Get the weekly timetable of a class
+ *     tags: [Classes, Timetable]
+ *     description: Slots grouped by school day in week order, each day sorted by start time.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the class
+ *         example: 507f1f77bcf86cd799439011
+ *     responses:
+ *       200:
+ *         description: Weekly timetable of the class
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     class:
+ *                       type: object
+ *                       properties:
+ *                         _id:
+ *                           type: string
+ *                         nom:
+ *                           type: string
+ *                           example: CM1-A
+ *                     days:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/TimetableDay'
+ *       400:
+ *         description: Invalid class ID
+ *       404:
+ *         description: Class not found
+ *       500:
+ *         description: Server error
+ */
+
+/**
+ * @swagger
+ * /api/classes/{id}/statistics:
+ *   get:
+ *     summary: Get class statistics and student ranking for a trimester
+ *     tags: [Classes]
+ *     description: |
+ *       Aggregates the class grades of a trimester.
+ *
+ *       - **Subjects:** class average, min, max, median and standard deviation of the students' weighted subject averages
+ *       - **Ranking:** students ordered by overall weighted average. Ties share the same rank (1, 2, 2, 4) and are flagged with `tied`. Students without grades are listed last with a null rank.
+ *
+ *       Restricted to teachers and admins: the ranking exposes every student's average.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the class
+ *         example: 507f1f77bcf86cd799439011
+ *       - in: query
+ *         name: trimester
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the trimester
+ *         example: 507f1f77bcf86cd799439015
+ *     responses:
+ *       200:
+ *         description: Class statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     class:
+ *                       type: object
+ *                       properties:
+ *                         _id:
+ *                           type: string
+ *                         nom:
+ *                           type: string
+ *                           example: CM1-A
+ *                     trimester:
+ *                       type: object
+ *                       properties:
+ *                         _id:
+ *                           type: string
+ *                         nom:
+ *                           type: string
+ *                           example: T1
+ *                     classAverage:
+ *                       type: number
+ *                       nullable: true
+ *                       example: 12.84
+ *                     subjects:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           subject:
+ *                             type: object
+ *                             properties:
+ *                               _id:
+ *                                 type: string
+ *                               nom:
+ *                                 type: string
+ *                                 example: Mathematics
+ *                           average:
+ *                             type: number
+ *                             example: 12.5
+ *                           min:
+ *                             type: number
+ *                             example: 6
+ *                           max:
+ *                             type: number
+ *                             example: 18.5
+ *                           median:
+ *                             type: number
+ *                             example: 12.75
+ *                           standardDeviation:
+ *                             type: number
+ *                             example: 3.21
+ *                           studentCount:
+ *                             type: integer
+ *                             example: 24
+ *                     ranking:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           rank:
+ *                             type: integer
+ *                             nullable: true
+ *                             example: 2
+ *                           tied:
+ *                             type: boolean
+ *                             example: true
+ *                           average:
+ *                             type: number
+ *                             nullable: true
+ *                             example: 14.25
+ *                           student:
+ *                             type: object
+ *                             properties:
+ *                               _id:
+ *                                 type: string
+ *                               nom:
+ *                                 type: string
+ *                                 example: Martin
+ *                               prenom:
+ *                                 type: string
+ *                                 example: Sophie
+ *       400:
+ *         description: Invalid class ID or missing/invalid trimester
+ *       403:
+ *         description: Forbidden - Teacher or admin role required
+ *       404:
+ *         description: Class or trimester not found
+ *       500:
+ *         description: Server error
+ */
+
+/**
+ * @swagger
+ * /api/classes/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted class
+ *     description: Deleted records are kept and hidden from every query until restored.
+ *     tags: [Classes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the class
+ *         example: 507f1f77bcf86cd799439011
+ *     responses:
+ *       200:
+ *         description: Class restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Class'
+ *       400:
  *         description: Invalid ID format
+ *       403:
+ *         description: Forbidden - Admin role required
  *       404:
  *         description: Class not found
+ *       409:
+ *         description: The class is not deleted, its teacher is deleted (restore the teacher first), its academic year is archived, or another class of the year took its name
  *       500:
  *         description: Server error
  */
 
 // Routes with authentication
-router.get('/', protect, classController.getAll);
-router.get('/:id', protect, idValidation, validate, classController.getById);
+router.get('/', protect, listQueryValidation, includeDeletedValidation(), validate, classController.getAll);
+router.get('/:id/attendance', protect, authorize('admin', 'teacher'), idValidation, statisticsValidation, validate, classController.getAttendance);
+router.get('/:id/timetable', protect, idValidation, validate, classController.getTimetable);
+router.get('/:id/statistics', protect, authorize('admin', 'teacher'), idValidation, statisticsValidation, validate, classController.getStatistics);
+router.get('/:id', protect, idValidation, includeDeletedValidation(), validate, classController.getById);
 router.post('/', protect, authorize('admin', 'teacher'), classValidationRules, validate, classController.create);
 router.put('/:id', protect, authorize('admin', 'teacher'), idValidation, classValidationRules, validate, classController.update);
-router.delete('/:id', protect, authorize('admin'), idValidation, validate, classController.delete);
+router.delete('/:id', protect, authorize('admin'), idValidation, cascadeValidation(), validate, classController.delete);
+router.post('/:id/restore', protect, authorize('admin'), idValidation, validate, classController.restore);
 
 module.exports = router;
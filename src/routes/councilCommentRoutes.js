@@ -0,0 +1,259 @@
+const express = require('express');
+const router = express.Router();
+const councilCommentController = require('../controllers/councilCommentController');
+const { body, param, query } = require('express-validator');
+const { validate } = require('../middlewares/validation');
+const { protect, authorize } = require('../middlewares/authMiddleware');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Council Comments
+ *   description: Class council global comment per student and trimester
+ */
+
+// Validation rules for creating council comments
+const councilCommentValidationRules = [
+  body('ideleve')
+    .notEmpty().withMessage('Student ID is required')
+    .isMongoId().withMessage('Invalid student ID format'),
+  body('idtrimestre')
+    .notEmpty().withMessage('Trimester ID is required')
+    .isMongoId().withMessage('Invalid trimester ID format'),
+  body('texte')
+    .trim()
+    .notEmpty().withMessage('Comment text is required')
+    .isLength({ max: 1000 }).withMessage('Comment cannot exceed 1000 characters'),
+];
+
+// Validation rules for updating council comments (text only)
+const councilCommentUpdateValidationRules = [
+  body('texte')
+    .trim()
+    .notEmpty().withMessage('Comment text is required')
+    .isLength({ max: 1000 }).withMessage('Comment cannot exceed 1000 characters'),
+];
+
+const idValidation = [
+  param('id').isMongoId().withMessage('Invalid council comment ID'),
+];
+
+// Validation for query filters (optional)
+const filterValidation = [
+  query('student').optional().isMongoId().withMessage('Invalid student ID'),
+  query('trimester').optional().isMongoId().withMessage('Invalid trimester ID'),
+];
+
+/**
+ * @swagger
+ * /api/council-comments:
+ *   get:
+ *     summary: Get all class council comments with optional filters
+ *     tags: [Council Comments]
+ *     parameters:
+ *       - in: query
+ *         name: student
+ *         schema:
+ *           type: string
+ *         description: Filter by student ObjectId
+ *       - in: query
+ *         name: trimester
+ *         schema:
+ *           type: string
+ *         description: Filter by trimester ObjectId
+ *     responses:
+ *       200:
+ *         description: List of council comments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 25
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CouncilComment'
+ *       400:
+ *         description: Invalid filter parameters
+ *       500:
+ *         description: Server error
+ *
+ *   post:
+ *     summary: Create a class council comment
+ *     tags: [Council Comments]
+ *     description: |
+ *       Only one comment is allowed per student and trimester. The author is the authenticated user.
+ *       Teachers can only comment on students of a class they teach (main teacher or subject teacher).
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ideleve
+ *               - idtrimestre
+ *               - texte
+ *             properties:
+ *               ideleve:
+ *                 type: string
+ *                 example: 507f1f77bcf86cd799439011
+ *               idtrimestre:
+ *                 type: string
+ *                 example: 507f1f77bcf86cd799439015
+ *               texte:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 example: Félicitations du conseil de classe.
+ *     responses:
+ *       201:
+ *         description: Council comment created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/CouncilComment'
+ *       400:
+ *         description: Validation error, invalid references or duplicate comment
+ *       403:
+ *         description: The teacher does not teach in the student's class
+ *       409:
+ *         description: The academic year is archived
+ *       500:
+ *         description: Server error
+ */
+
+/**
+ * @swagger
+ * /api/council-comments/{id}:
+ *   get:
+ *     summary: Get council comment by ID
+ *     tags: [Council Comments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the council comment
+ *     responses:
+ *       200:
+ *         description: Council comment details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/CouncilComment'
+ *       400:
+ *         description: Invalid ID format
+ *       404:
+ *         description: Council comment not found
+ *       500:
+ *         description: Server error
+ *
+ *   put:
+ *     summary: Update council comment text
+ *     tags: [Council Comments]
+ *     description: The author is kept. Teachers can only update comments on students of a class they teach.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the council comment
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - texte
+ *             properties:
+ *               texte:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 example: Encouragements du conseil de classe.
+ *     responses:
+ *       200:
+ *         description: Council comment updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/CouncilComment'
+ *       400:
+ *         description: Validation error or invalid ID
+ *       403:
+ *         description: The teacher does not teach in the student's class
+ *       404:
+ *         description: Council comment not found
+ *       409:
+ *         description: The academic year is archived
+ *       500:
+ *         description: Server error
+ *
+ *   delete:
+ *     summary: Delete council comment by ID
+ *     tags: [Council Comments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the council comment
+ *     responses:
+ *       200:
+ *         description: Council comment deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Council comment deleted successfully
+ *       400:
+ *         description: Invalid ID format
+ *       404:
+ *         description: Council comment not found
+ *       409:
+ *         description: The academic year is archived
+ *       500:
+ *         description: Server error
+ */
+
+// Routes with authentication
+router.get('/', protect, filterValidation, validate, councilCommentController.getAll);
+router.get('/:id', protect, idValidation, validate, councilCommentController.getById);
+router.post('/', protect, authorize('admin', 'teacher'), councilCommentValidationRules, validate, councilCommentController.create);
+router.put('/:id', protect, authorize('admin', 'teacher'), idValidation, councilCommentUpdateValidationRules, validate, councilCommentController.update);
+router.delete('/:id', protect, authorize('admin'), idValidation, validate, councilCommentController.delete);
+
+module.exports = router;
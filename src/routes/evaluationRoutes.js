@@ -0,0 +1,561 @@
+const express = require('express');
+const router = express.Router();
+const evaluationController = require('../controllers/evaluationController');
+const { body, param, query } = require('express-validator');
+const { validate, listValidation } = require('../middlewares/validation');
+const { protect, authorize } = require('../middlewares/authMiddleware');
+const { gradeNoteRules, overrideReasonRules } = require('../validators/gradeValidators');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Evaluations
+ *   description: Assessments (tests, homework) grouping the grades of a class
+ */
+
+const EVALUATION_FIELDS = ['titre', 'date', 'idclasse', 'idmatiere', 'idprof', 'idtrimestre', 'coefficient', 'bareme', 'createdAt', 'updatedAt'];
+
+// Validation rules for creating evaluations
+const evaluationValidationRules = [
+  body('titre')
+    .trim()
+    .notEmpty().withMessage('Evaluation title is required')
+    .isLength({ max: 100 }).withMessage('Evaluation title cannot exceed 100 characters'),
+  body('date')
+    .notEmpty().withMessage('Date is required')
+    .isISO8601().withMessage('Invalid date format'),
+  body('idclasse')
+    .notEmpty().withMessage('Class ID is required')
+    .isMongoId().withMessage('Invalid class ID format'),
+  body('idmatiere')
+    .notEmpty().withMessage('Subject ID is required')
+    .isMongoId().withMessage('Invalid subject ID format'),
+  body('idprof')
+    .notEmpty().withMessage('Teacher ID is required')
+    .isMongoId().withMessage('Invalid teacher ID format'),
+  body('idtrimestre')
+    .notEmpty().withMessage('Trimester ID is required')
+    .isMongoId().withMessage('Invalid trimester ID format'),
+  body('coefficient')
+    .notEmpty().withMessage('Coefficient is required')
+    .isFloat({ min: 0 }).withMessage('Coefficient must be positive'),
+  body('bareme')
+    .optional()
+    .isFloat({ min: 1, max: 100 }).withMessage('Maximum score must be between 1 and 100'),
+];
+
+// Validation rules for updating evaluations (partial)
+const evaluationUpdateValidationRules = [
+  body('titre')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Evaluation title cannot be empty')
+    .isLength({ max: 100 }).withMessage('Evaluation title cannot exceed 100 characters'),
+  body('date').optional().isISO8601().withMessage('Invalid date format'),
+  body('idclasse').optional().isMongoId().withMessage('Invalid class ID format'),
+  body('idmatiere').optional().isMongoId().withMessage('Invalid subject ID format'),
+  body('idprof').optional().isMongoId().withMessage('Invalid teacher ID format'),
+  body('idtrimestre').optional().isMongoId().withMessage('Invalid trimester ID format'),
+  body('coefficient').optional().isFloat({ min: 0 }).withMessage('Coefficient must be positive'),
+  body('bareme')
+    .optional()
+    .isFloat({ min: 1, max: 100 }).withMessage('Maximum score must be between 1 and 100'),
+  ...overrideReasonRules(),
+];
+
+// Validation rules for recording grades; notes are checked against the scale by the service
+const gradeSheetValidationRules = [
+  body('grades')
+    .isArray({ min: 1, max: 100 }).withMessage('Grades must be an array of 1 to 100 entries'),
+  body('grades.*.ideleve')
+    .notEmpty().withMessage('Student ID is required')
+    .isMongoId().withMessage('Invalid student ID format'),
+  ...gradeNoteRules('grades.*.', { max: null }),
+  body('grades.*.commentaire')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Comment cannot exceed 500 characters'),
+  ...overrideReasonRules(),
+];
+
+const idValidation = [
+  param('id').isMongoId().withMessage('Invalid evaluation ID'),
+];
+
+// Validation for query filters (optional)
+const filterValidation = [
+  query('class').optional().isMongoId().withMessage('Invalid class ID'),
+  query('subject').optional().isMongoId().withMessage('Invalid subject ID'),
+  query('trimester').optional().isMongoId().withMessage('Invalid trimester ID'),
+  query('teacher').optional().isMongoId().withMessage('Invalid teacher ID'),
+  ...listValidation(EVALUATION_FIELDS),
+];
+
+/**
+ * @swagger
+ * /api/evaluations:
+ *   get:
+ *     summary: Get all evaluations with optional filters
+ *     tags: [Evaluations]
+ *     description: Paginated list, most recent evaluation first by default.
+ *     parameters:
+ *       - in: query
+ *         name: class
+ *         schema:
+ *           type: string
+ *         description: Filter by class ObjectId
+ *       - in: query
+ *         name: subject
+ *         schema:
+ *           type: string
+ *         description: Filter by subject ObjectId
+ *       - in: query
+ *         name: trimester
+ *         schema:
+ *           type: string
+ *         description: Filter by trimester ObjectId
+ *       - in: query
+ *         name: teacher
+ *         schema:
+ *           type: string
+ *         description: Filter by teacher ObjectId
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         description: Comma separated sort fields, prefix with - for descending order (titre, date, idclasse, idmatiere, idprof, idtrimestre, coefficient, bareme, createdAt, updatedAt)
+ *         example: -date
+ *       - in: query
+ *         name: fields
+ *         schema:
+ *           type: string
+ *         description: Comma separated fields to return (same fields as sort)
+ *         example: titre,date,bareme
+ *     responses:
+ *       200:
+ *         description: Page of evaluations with populated references
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 5
+ *                 total:
+ *                   type: integer
+ *                   example: 5
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 50
+ *                 totalPages:
+ *                   type: integer
+ *                   example: 1
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Evaluation'
+ *       400:
+ *         description: Invalid filter parameters
+ *       500:
+ *         description: Server error
+ *
+ *   post:
+ *     summary: Create an evaluation (Admin/Teacher)
+ *     tags: [Evaluations]
+ *     description: |
+ *       The teacher (idprof) must teach the subject in the class, and a teacher account can only
+ *       create evaluations under its own teacher profile. `bareme` is the maximum score (default 20).
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - titre
+ *               - date
+ *               - idclasse
+ *               - idmatiere
+ *               - idprof
+ *               - idtrimestre
+ *               - coefficient
+ *             properties:
+ *               titre:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: Contrôle fractions
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 example: 2024-10-14
+ *               idclasse:
+ *                 type: string
+ *                 example: 507f1f77bcf86cd799439012
+ *               idmatiere:
+ *                 type: string
+ *                 example: 507f1f77bcf86cd799439013
+ *               idprof:
+ *                 type: string
+ *                 example: 507f1f77bcf86cd799439014
+ *               idtrimestre:
+ *                 type: string
+ *                 example: 507f1f77bcf86cd799439015
+ *               coefficient:
+ *                 type: number
+ *                 format: float
+ *                 minimum: 0
+ *                 example: 2
+ *               bareme:
+ *                 type: number
+ *                 minimum: 1
+ *                 maximum: 100
+ *                 default: 20
+ *                 example: 40
+ *     responses:
+ *       201:
+ *         description: Evaluation created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Evaluation'
+ *       400:
+ *         description: Validation error or invalid references
+ *       403:
+ *         description: Teacher not allowed to create this evaluation (reason in error message)
+ *       409:
+ *         description: The academic year is archived
+ *       500:
+ *         description: Server error
+ */
+
+/**
+ * @swagger
+ * /api/evaluations/{id}:
+ *   get:
+ *     summary: Get evaluation by ID
+ *     tags: [Evaluations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the evaluation
+ *     responses:
+ *       200:
+ *         description: Evaluation details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Evaluation'
+ *       400:
+ *         description: Invalid ID format
+ *       404:
+ *         description: Evaluation not found
+ *       500:
+ *         description: Server error
+ *
+ *   put:
+ *     summary: Update an evaluation (Admin/Teacher)
+ *     tags: [Evaluations]
+ *     description: |
+ *       Partial update. Subject, teacher, trimester and coefficient changes are applied to the grades
+ *       of the evaluation. The class and `bareme` cannot change once grades are recorded.
+ *       Teachers can only update the evaluations they created. Grades of a locked trimester are only
+ *       changed by admins giving an override reason (`motifDerogation` next to the evaluation fields).
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the evaluation
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Evaluation'
+ *     responses:
+ *       200:
+ *         description: Evaluation updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Evaluation'
+ *       400:
+ *         description: Validation error, invalid references, or class/scale change after grading
+ *       403:
+ *         description: Teacher not allowed to modify this evaluation (reason in error message)
+ *       404:
+ *         description: Evaluation not found
+ *       409:
+ *         description: The academic year is archived, or the grades are in a locked trimester
+ *       500:
+ *         description: Server error
+ *
+ *   delete:
+ *     summary: Delete an evaluation without grades (Admin/Teacher)
+ *     tags: [Evaluations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the evaluation
+ *     responses:
+ *       200:
+ *         description: Evaluation deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Evaluation deleted successfully
+ *       400:
+ *         description: Invalid ID format
+ *       403:
+ *         description: Teacher not allowed to delete this evaluation
+ *       404:
+ *         description: Evaluation not found
+ *       409:
+ *         description: Grades are recorded for this evaluation, or the academic year is archived
+ *       500:
+ *         description: Server error
+ */
+
+/**
+ * @swagger
+ * /api/evaluations/{id}/grades:
+ *   get:
+ *     summary: Get the grade sheet of an evaluation (Admin/Teacher)
+ *     tags: [Evaluations]
+ *     description: |
+ *       Every student of the class with their grade (`null` when not graded yet), and statistics of the
+ *       evaluation on the /20 scale. `noteBrute` is the score as entered on the evaluation scale.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the evaluation
+ *     responses:
+ *       200:
+ *         description: Grade sheet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     evaluation:
+ *                       $ref: '#/components/schemas/Evaluation'
+ *                     statistics:
+ *                       type: object
+ *                       properties:
+ *                         gradedCount:
+ *                           type: integer
+ *                           description: Grades recorded, whatever their status
+ *                           example: 27
+ *                         countedCount:
+ *                           type: integer
+ *                           description: Grades counted in the statistics (see GRADE_STATUS_RULES)
+ *                           example: 26
+ *                         studentCount:
+ *                           type: integer
+ *                           example: 28
+ *                         average:
+ *                           type: number
+ *                           nullable: true
+ *                           example: 12.4
+ *                         median:
+ *                           type: number
+ *                           nullable: true
+ *                           example: 12.5
+ *                         standardDeviation:
+ *                           type: number
+ *                           nullable: true
+ *                           example: 3.1
+ *                         min:
+ *                           type: number
+ *                           nullable: true
+ *                           example: 5
+ *                         max:
+ *                           type: number
+ *                           nullable: true
+ *                           example: 19
+ *                     sheet:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           student:
+ *                             type: object
+ *                             properties:
+ *                               _id:
+ *                                 type: string
+ *                               nom:
+ *                                 type: string
+ *                                 example: Martin
+ *                               prenom:
+ *                                 type: string
+ *                                 example: Élodie
+ *                           grade:
+ *                             type: object
+ *                             nullable: true
+ *                             properties:
+ *                               _id:
+ *                                 type: string
+ *                               statut:
+ *                                 type: string
+ *                                 example: present
+ *                               note:
+ *                                 type: number
+ *                                 nullable: true
+ *                                 example: 15.5
+ *                               noteBrute:
+ *                                 type: number
+ *                                 example: 31
+ *                               commentaire:
+ *                                 type: string
+ *       400:
+ *         description: Invalid ID format
+ *       404:
+ *         description: Evaluation not found
+ *       500:
+ *         description: Server error
+ *
+ *   post:
+ *     summary: Record grades for an evaluation (Admin/Teacher)
+ *     tags: [Evaluations]
+ *     description: |
+ *       Notes are entered on the evaluation scale (0 to `bareme`) and stored on /20: 31 on a /40 evaluation
+ *       is recorded as 15.5. Class, subject, teacher, trimester and coefficient come from the evaluation.
+ *
+ *       All or nothing: every student must belong to the class, appear once and not be graded already for this
+ *       evaluation; otherwise no grade is recorded and each error is returned with its position.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the evaluation
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - grades
+ *             properties:
+ *               grades:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 100
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - ideleve
+ *                   properties:
+ *                     ideleve:
+ *                       type: string
+ *                       example: 507f1f77bcf86cd799439011
+ *                     statut:
+ *                       type: string
+ *                       enum: [present, absent_justified, absent_unjustified, exempt, not_submitted]
+ *                       default: present
+ *                       description: Only present students get a note
+ *                     note:
+ *                       type: number
+ *                       format: float
+ *                       minimum: 0
+ *                       description: Score on the evaluation scale (0 to bareme)
+ *                       example: 31
+ *                     commentaire:
+ *                       type: string
+ *                       maxLength: 500
+ *               motifDerogation:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Admin only, reason for recording grades in a locked trimester
+ *     responses:
+ *       201:
+ *         description: All grades recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 28
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Grade'
+ *       400:
+ *         description: Validation error or invalid rows (nothing recorded, details list the rows)
+ *       403:
+ *         description: Teacher not allowed to record these grades (reason in error message)
+ *       404:
+ *         description: Evaluation not found
+ *       409:
+ *         description: The academic year is archived, or the trimester is locked
+ *       500:
+ *         description: Server error
+ */
+
+// Routes with authentication
+router.get('/', protect, filterValidation, validate, evaluationController.getAll);
+router.get('/:id', protect, idValidation, validate, evaluationController.getById);
+router.get('/:id/grades', protect, authorize('admin', 'teacher'), idValidation, validate, evaluationController.getGradeSheet);
+router.post('/', protect, authorize('admin', 'teacher'), evaluationValidationRules, validate, evaluationController.create);
+router.post('/:id/grades', protect, authorize('admin', 'teacher'), idValidation, gradeSheetValidationRules, validate, evaluationController.recordGrades);
+router.put('/:id', protect, authorize('admin', 'teacher'), idValidation, evaluationUpdateValidationRules, validate, evaluationController.update);
+router.delete('/:id', protect, authorize('admin', 'teacher'), idValidation, validate, evaluationController.delete);
+
+module.exports = router;
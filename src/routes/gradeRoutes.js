@@ -2,8 +2,10 @@ const express = require('express');
 const router = express.Router();
 const gradeController = require('../controllers/gradeController');
 const { body, param, query } = require('express-validator');
-const { validate } = require('../middlewares/validation');
+const { validate, listValidation, includeDeletedValidation } = require('../middlewares/validation');
 const { protect, authorize } = require('../middlewares/authMiddleware');
+const { gradeNoteRules, overrideReasonRules, changeReasonRules } = require('../validators/gradeValidators');
+const { isSchoolYear } = require('../utils/schoolYear');
 
 /**
  * @swagger
@@ -27,14 +29,47 @@ const gradeValidationRules = [
     .notEmpty().withMessage('Teacher ID is required')
     .isMongoId().withMessage('Invalid teacher ID format'),
   body('idtrimestre')
-    .notEmpty().withMessage('Trimester ID is required')
+    .optional()
+    .isMongoId().withMessage('Invalid trimester ID format'),
+  ...gradeNoteRules(),
+  body('coefficient')
+    .notEmpty().withMessage('Coefficient is required')
+    .isFloat({ min: 0 }).withMessage('Coefficient must be positive'),
+  body('commentaire')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Comment cannot exceed 500 characters'),
+  ...overrideReasonRules()
+];
+
+// Validation rules for batch entry: shared references once, then one entry per student
+const batchValidationRules = [
+  body('idclasse')
+    .notEmpty().withMessage('Class ID is required')
+    .isMongoId().withMessage('Invalid class ID format'),
+  body('idmatiere')
+    .notEmpty().withMessage('Subject ID is required')
+    .isMongoId().withMessage('Invalid subject ID format'),
+  body('idprof')
+    .notEmpty().withMessage('Teacher ID is required')
+    .isMongoId().withMessage('Invalid teacher ID format'),
+  body('idtrimestre')
+    .optional()
     .isMongoId().withMessage('Invalid trimester ID format'),
-  body('note')
-    .notEmpty().withMessage('Note is required')
-    .isFloat({ min: 0, max: 20 }).withMessage('Note must be between 0 and 20'),
   body('coefficient')
     .notEmpty().withMessage('Coefficient is required')
-    .isFloat({ min: 0 }).withMessage('Coefficient must be positive')
+    .isFloat({ min: 0 }).withMessage('Coefficient must be positive'),
+  body('grades')
+    .isArray({ min: 1, max: 100 }).withMessage('Grades must be an array of 1 to 100 entries'),
+  body('grades.*.ideleve')
+    .notEmpty().withMessage('Student ID is required')
+    .isMongoId().withMessage('Invalid student ID format'),
+  ...gradeNoteRules('grades.*.'),
+  body('grades.*.commentaire')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Comment cannot exceed 500 characters'),
+  ...overrideReasonRules()
 ];
 
 // Validation for ID param
@@ -42,16 +77,34 @@ const idValidation = [
   param('id').isMongoId().withMessage('Invalid grade ID')
 ];
 
+const deleteValidation = [
+  ...idValidation,
+  ...overrideReasonRules(query)
+];
+
+// Validation for restoring a version
+const restoreValidation = [
+  ...idValidation,
+  body('version')
+    .notEmpty().withMessage('Version is required')
+    .isInt({ min: 1 }).withMessage('Version must be a positive integer')
+    .toInt(),
+  ...changeReasonRules(),
+  ...overrideReasonRules()
+];
+
 // Validation for query filters (optional)
 const filterValidation = [
   query('student').optional().isMongoId().withMessage('Invalid student ID'),
   query('class').optional().isMongoId().withMessage('Invalid class ID'),
   query('subject').optional().isMongoId().withMessage('Invalid subject ID'),
   query('trimester').optional().isMongoId().withMessage('Invalid trimester ID'),
+  query('year').optional().custom(isSchoolYear).withMessage('Invalid school year (e.g. 2024-2025)'),
   query('groupBy')
     .optional()
     .isIn(['subject'])
-    .withMessage('Invalid groupBy value. Allowed: subject')
+    .withMessage('Invalid groupBy value. Allowed: subject'),
+  ...listValidation(['ideleve', 'idclasse', 'idmatiere', 'idprof', 'idtrimestre', 'statut', 'note', 'coefficient', 'commentaire', 'idevaluation', 'noteBrute', 'createdAt', 'updatedAt'])
 ];
 
 // Validation for teacher ID parameter
@@ -94,6 +147,8 @@ const teacherIdValidation = [
  *                     type: object
  *       400:
  *         description: Invalid teacher ID format
+ *       403:
+ *         description: Forbidden - Teacher or admin role required
  *       404:
  *         description: Teacher not found
  *       500:
@@ -110,13 +165,14 @@ const teacherIdValidation = [
  *       Retrieve all grades with optional filtering and grouping.
  *
  *       **Default behavior (flat list):**
- *       Returns a flat array of grades with all populated references.
- *       Supports filtering by student, class, subject, or trimester.
+ *       Returns a paginated flat array of grades with all populated references, newest first.
+ *       Supports filtering by student, class, subject, trimester or academic year,
+ *       as well as `page`, `limit`, `sort` and `fields`.
  *
  *       **Grouped by subject (groupBy=subject):**
  *       Returns grades organized by subject for academic report generation.
  *       Each subject contains all student grades with teacher information, sorted alphabetically by student last name.
- *       Supports optional class and trimester filters (student/subject filters are ignored in grouped mode).
+ *       Supports optional class, trimester and year filters (student/subject filters are ignored in grouped mode).
  *     parameters:
  *       - in: query
  *         name: student
@@ -143,12 +199,32 @@ const teacherIdValidation = [
  *         description: Filter by trimester ObjectId
  *         example: 507f1f77bcf86cd799439015
  *       - in: query
+ *         name: year
+ *         schema:
+ *           type: string
+ *         description: Filter by academic year (grades of its trimesters)
+ *         example: 2024-2025
+ *       - in: query
  *         name: groupBy
  *         schema:
  *           type: string
  *           enum: [subject]
  *         description: Group results by subject for academic reports
  *         example: subject
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         description: Comma separated sort fields, prefix with - for descending order (ideleve, idclasse, idmatiere, idprof, idtrimestre, statut, note, coefficient, commentaire, idevaluation, noteBrute, createdAt, updatedAt)
+ *         example: idtrimestre,-note
+ *       - in: query
+ *         name: fields
+ *         schema:
+ *           type: string
+ *         description: Comma separated fields to return (ideleve, idclasse, idmatiere, idprof, idtrimestre, statut, note, coefficient, commentaire, idevaluation, noteBrute, createdAt, updatedAt)
+ *         example: ideleve,idmatiere,note,coefficient
  *     responses:
  *       200:
  *         description: |
@@ -173,6 +249,19 @@ const teacherIdValidation = [
  *                   type: integer
  *                   example: 45
  *                   description: Total number of grades (only in grouped response)
+ *                 total:
+ *                   type: integer
+ *                   description: Number of grades (only in flat response) matching the query
+ *                   example: 120
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 50
+ *                 totalPages:
+ *                   type: integer
+ *                   example: 3
  *                 data:
  *                   oneOf:
  *                     - type: array
@@ -228,7 +317,14 @@ const teacherIdValidation = [
  *   post:
  *     summary: Create a new grade
  *     tags: [Grades]
- *     description: Create a new grade with references to student, class, subject, teacher, and trimester
+ *     description: |
+ *       Create a new grade with references to student, class, subject, teacher, and trimester.
+ *       The teacher (idprof) must teach the subject in the class (see `/api/teaching-assignments`).
+ *       A teacher account can only create grades under its own teacher profile.
+ *       Without idtrimestre the grade is recorded in the trimester covering today.
+ *       Once a trimester is locked, only admins giving an override reason (motifDerogation) change its grades.
+ *       idevaluation and noteBrute are ignored: grades of an evaluation are recorded with
+ *       `POST /api/evaluations/{id}/grades`.
  *     requestBody:
  *       required: true
  *       content:
@@ -240,8 +336,6 @@ const teacherIdValidation = [
  *               - idclasse
  *               - idmatiere
  *               - idprof
- *               - idtrimestre
- *               - note
  *               - coefficient
  *             properties:
  *               ideleve:
@@ -262,8 +356,18 @@ const teacherIdValidation = [
  *                 example: 507f1f77bcf86cd799439014
  *               idtrimestre:
  *                 type: string
- *                 description: Trimester ObjectId
+ *                 description: Trimester ObjectId, defaults to the trimester covering today
  *                 example: 507f1f77bcf86cd799439015
+ *               motifDerogation:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Admin only, reason for changing grades of a locked trimester
+ *                 example: Erreur de saisie signalée au conseil de classe
+ *               statut:
+ *                 type: string
+ *                 enum: [present, absent_justified, absent_unjustified, exempt, not_submitted]
+ *                 default: present
+ *                 description: Only present students get a note
  *               note:
  *                 type: number
  *                 format: float
@@ -277,6 +381,11 @@ const teacherIdValidation = [
  *                 minimum: 0
  *                 description: Grade coefficient
  *                 example: 2
+ *               commentaire:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Teacher's comment on this grade (optional)
+ *                 example: Bonne maîtrise des fractions.
  *     responses:
  *       201:
  *         description: Grade created successfully
@@ -292,6 +401,10 @@ const teacherIdValidation = [
  *                   $ref: '#/components/schemas/Grade'
  *       400:
  *         description: Validation error or invalid references
+ *       403:
+ *         description: Teacher not allowed to record this grade (reason in error message)
+ *       409:
+ *         description: The class or trimester belongs to an archived academic year, or the trimester is locked
  *       500:
  *         description: Server error
  */
@@ -311,6 +424,7 @@ const teacherIdValidation = [
  *           type: string
  *         description: MongoDB ObjectId of the grade
  *         example: 507f1f77bcf86cd799439011
+ *       - $ref: '#/components/parameters/IncludeDeleted'
  *     responses:
  *       200:
  *         description: Grade details with populated references
@@ -326,6 +440,8 @@ const teacherIdValidation = [
  *                   $ref: '#/components/schemas/Grade'
  *       400:
  *         description: Invalid ID format
+ *       403:
+ *         description: Grade outside the account scope, or includeDeleted requested by a non-admin account
  *       404:
  *         description: Grade not found
  *       500:
@@ -334,7 +450,14 @@ const teacherIdValidation = [
  *   put:
  *     summary: Update grade by ID
  *     tags: [Grades]
- *     description: Update an existing grade
+ *     description: |
+ *       Update an existing grade. A teacher account can only modify grades it recorded,
+ *       and cannot reassign them to a colleague. The teacher must still teach the subject
+ *       in the class once the grade is updated. Grades of a locked trimester can only be
+ *       modified by admins giving an override reason (motifDerogation).
+ *       A reason (motif) is required: it is kept with the new version in the grade history.
+ *       idevaluation and noteBrute are ignored: a grade does not move to another evaluation,
+ *       and the noteBrute of an evaluation grade follows its note.
  *     parameters:
  *       - in: path
  *         name: id
@@ -354,9 +477,8 @@ const teacherIdValidation = [
  *               - idclasse
  *               - idmatiere
  *               - idprof
- *               - idtrimestre
- *               - note
  *               - coefficient
+ *               - motif
  *             properties:
  *               ideleve:
  *                 type: string
@@ -376,8 +498,23 @@ const teacherIdValidation = [
  *                 example: 507f1f77bcf86cd799439014
  *               idtrimestre:
  *                 type: string
- *                 description: Trimester ObjectId
+ *                 description: Trimester ObjectId, defaults to the trimester covering today
  *                 example: 507f1f77bcf86cd799439015
+ *               motif:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Reason for the change, kept in the grade history
+ *                 example: Erreur de report de la copie
+ *               motifDerogation:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Admin only, reason for changing grades of a locked trimester
+ *                 example: Erreur de saisie signalée au conseil de classe
+ *               statut:
+ *                 type: string
+ *                 enum: [present, absent_justified, absent_unjustified, exempt, not_submitted]
+ *                 default: present
+ *                 description: Only present students get a note
  *               note:
  *                 type: number
  *                 format: float
@@ -391,6 +528,11 @@ const teacherIdValidation = [
  *                 minimum: 0
  *                 description: Grade coefficient
  *                 example: 2
+ *               commentaire:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Teacher's comment on this grade (optional)
+ *                 example: Bonne maîtrise des fractions.
  *     responses:
  *       200:
  *         description: Grade updated successfully
@@ -405,16 +547,23 @@ const teacherIdValidation = [
  *                 data:
  *                   $ref: '#/components/schemas/Grade'
  *       400:
- *         description: Validation error or invalid ID
+ *         description: Validation error, missing reason (motif) or invalid ID
+ *       403:
+ *         description: Teacher not allowed to modify this grade (reason in error message)
  *       404:
  *         description: Grade not found
+ *       409:
+ *         description: The class or trimester belongs to an archived academic year, or the trimester is locked
  *       500:
  *         description: Server error
  *
  *   delete:
  *     summary: Delete grade by ID
  *     tags: [Grades]
- *     description: Delete a specific grade
+ *     description: |
+ *       Delete a specific grade. Grades of a locked trimester need an override reason.
+ *       The grade is kept with its deletion date and author (deletedAt, deletedBy) and hidden from
+ *       every list; its history ends with a version marked supprimee.
  *     parameters:
  *       - in: path
  *         name: id
@@ -423,6 +572,12 @@ const teacherIdValidation = [
  *           type: string
  *         description: MongoDB ObjectId of the grade
  *         example: 507f1f77bcf86cd799439011
+ *       - in: query
+ *         name: motifDerogation
+ *         schema:
+ *           type: string
+ *         description: Reason for deleting a grade of a locked trimester
+ *         example: Note saisie en double
  *     responses:
  *       200:
  *         description: Grade deleted successfully
@@ -441,19 +596,314 @@ const teacherIdValidation = [
  *         description: Invalid ID format
  *       404:
  *         description: Grade not found
+ *       409:
+ *         description: The grade belongs to an archived academic year or to a locked trimester without override reason
+ *       500:
+ *         description: Server error
+ */
+
+/**
+ * @swagger
+ * /api/grades/{id}/history:
+ *   get:
+ *     summary: Get the version history of a grade
+ *     tags: [Grades]
+ *     description: |
+ *       Versions of the grade, most recent first, each with its author, reason and the fields
+ *       changed since the previous version (note, coefficient, status, references...).
+ *       Version 1 is the grade as created. A deleted grade ends with a version marked supprimee,
+ *       holding its values when it was deleted; admins read it with includeDeleted=true.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the grade
+ *         example: 507f1f77bcf86cd799439011
+ *       - $ref: '#/components/parameters/IncludeDeleted'
+ *     responses:
+ *       200:
+ *         description: Versions of the grade
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 2
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       version:
+ *                         type: integer
+ *                         example: 2
+ *                       date:
+ *                         type: string
+ *                         format: date-time
+ *                       modifiePar:
+ *                         type: object
+ *                         nullable: true
+ *                         description: Account that wrote the version (null when unknown)
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           username:
+ *                             type: string
+ *                             example: jdupont
+ *                           role:
+ *                             type: string
+ *                             example: teacher
+ *                       motif:
+ *                         type: string
+ *                         nullable: true
+ *                         example: Erreur de report de la copie
+ *                       motifDerogation:
+ *                         type: string
+ *                         nullable: true
+ *                       supprimee:
+ *                         type: boolean
+ *                         description: True for the version written when the grade was deleted
+ *                       valeurs:
+ *                         $ref: '#/components/schemas/GradeValues'
+ *                       changes:
+ *                         type: array
+ *                         description: Fields changed since the previous version (empty for version 1)
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             field:
+ *                               type: string
+ *                               example: note
+ *                             before:
+ *                               example: 12
+ *                             after:
+ *                               example: 14
+ *       400:
+ *         description: Invalid ID format
+ *       403:
+ *         description: Grade outside the account scope, or includeDeleted requested by a non-admin account
+ *       404:
+ *         description: Grade not found
+ *       500:
+ *         description: Server error
+ */
+
+/**
+ * @swagger
+ * /api/grades/{id}/restore:
+ *   post:
+ *     summary: Restore a previous version of a grade (Admin)
+ *     tags: [Grades]
+ *     description: |
+ *       Writes the values of a version back to the grade. The restore is a new version of the
+ *       grade, with the same checks as an update (references, archived year, locked trimester).
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the grade
+ *         example: 507f1f77bcf86cd799439011
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - version
+ *               - motif
+ *             properties:
+ *               version:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Version to restore (see the history)
+ *                 example: 1
+ *               motif:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Reason for the restore, kept in the grade history
+ *                 example: Contestation des parents acceptée
+ *               motifDerogation:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Reason for changing a grade of a locked trimester
+ *     responses:
+ *       200:
+ *         description: Grade restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Grade'
+ *       400:
+ *         description: Validation error, missing reason (motif) or invalid ID
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Grade or version not found
+ *       409:
+ *         description: The grade belongs to an archived academic year or to a locked trimester without override reason
+ *       500:
+ *         description: Server error
+ */
+
+/**
+ * @swagger
+ * /api/grades/batch:
+ *   post:
+ *     summary: Record the grades of a whole class for one evaluation (Admin/Teacher)
+ *     tags: [Grades]
+ *     description: |
+ *       Records one grade per student for the same class, subject, teacher, trimester and coefficient.
+ *       Shared references are checked once; every student must exist, belong to the class and appear only once.
+ *
+ *       The batch is all or nothing: if any row is invalid, no grade is recorded and every row error is reported
+ *       with its position (e.g. `grades[3].ideleve`). The same teacher restrictions as single grade creation apply.
+ *       Without idtrimestre the grades are recorded in the trimester covering today.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - idclasse
+ *               - idmatiere
+ *               - idprof
+ *               - coefficient
+ *               - grades
+ *             properties:
+ *               idclasse:
+ *                 type: string
+ *                 description: Class ObjectId
+ *                 example: 507f1f77bcf86cd799439012
+ *               idmatiere:
+ *                 type: string
+ *                 description: Subject ObjectId
+ *                 example: 507f1f77bcf86cd799439013
+ *               idprof:
+ *                 type: string
+ *                 description: Teacher ObjectId
+ *                 example: 507f1f77bcf86cd799439014
+ *               idtrimestre:
+ *                 type: string
+ *                 description: Trimester ObjectId, defaults to the trimester covering today
+ *                 example: 507f1f77bcf86cd799439015
+ *               motifDerogation:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Admin only, reason for changing grades of a locked trimester
+ *                 example: Erreur de saisie signalée au conseil de classe
+ *               coefficient:
+ *                 type: number
+ *                 format: float
+ *                 minimum: 0
+ *                 description: Coefficient applied to every grade of the batch
+ *                 example: 2
+ *               grades:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 100
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - ideleve
+ *                   properties:
+ *                     ideleve:
+ *                       type: string
+ *                       description: Student ObjectId
+ *                       example: 507f1f77bcf86cd799439011
+ *                     statut:
+ *                       type: string
+ *                       enum: [present, absent_justified, absent_unjustified, exempt, not_submitted]
+ *                       default: present
+ *                       description: Only present students get a note
+ *                     note:
+ *                       type: number
+ *                       format: float
+ *                       minimum: 0
+ *                       maximum: 20
+ *                       example: 15.5
+ *                     commentaire:
+ *                       type: string
+ *                       maxLength: 500
+ *                       example: Bonne maîtrise des fractions.
+ *     responses:
+ *       201:
+ *         description: All grades recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 28
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Grade'
+ *       400:
+ *         description: Validation error, missing shared reference, or invalid rows (nothing recorded)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: 'Batch rejected: 1 invalid row(s), no grade was recorded'
+ *                 details:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       field:
+ *                         type: string
+ *                         example: grades[3].ideleve
+ *                       message:
+ *                         type: string
+ *                         example: Student is not in the specified class
+ *       403:
+ *         description: Teacher not allowed to record these grades (reason in error message)
+ *       409:
+ *         description: The class or trimester belongs to an archived academic year, or the trimester is locked
  *       500:
  *         description: Server error
  */
 
 // Routes with authentication
 // Teacher's students-grades endpoint - specific routes before generic ones
-router.get('/teachers/:teacherId/students-grades', protect, teacherIdValidation, validate, gradeController.getStudentsByTeacher);
+router.get('/teachers/:teacherId/students-grades', protect, authorize('admin', 'teacher'), teacherIdValidation, validate, gradeController.getStudentsByTeacher);
 
 // Standard grade CRUD endpoints
 router.get('/', protect, filterValidation, validate, gradeController.getAll);
-router.get('/:id', protect, idValidation, validate, gradeController.getById);
+router.get('/:id', protect, idValidation, includeDeletedValidation(), validate, gradeController.getById);
 router.post('/', protect, authorize('admin', 'teacher'), gradeValidationRules, validate, gradeController.create);
-router.put('/:id', protect, authorize('admin', 'teacher'), idValidation, gradeValidationRules, validate, gradeController.update);
-router.delete('/:id', protect, authorize('admin'), idValidation, validate, gradeController.delete);
+router.post('/batch', protect, authorize('admin', 'teacher'), batchValidationRules, validate, gradeController.createBatch);
+router.put('/:id', protect, authorize('admin', 'teacher'), idValidation, gradeValidationRules, changeReasonRules(), validate, gradeController.update);
+router.get('/:id/history', protect, idValidation, includeDeletedValidation(), validate, gradeController.getHistory);
+router.post('/:id/restore', protect, authorize('admin'), restoreValidation, validate, gradeController.restore);
+router.delete('/:id', protect, authorize('admin'), deleteValidation, validate, gradeController.delete);
 
 module.exports = router;
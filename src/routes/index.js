@@ -9,6 +9,15 @@ const classRoutes = require('./classRoutes');
 const subjectRoutes = require('./subjectRoutes');
 const trimesterRoutes = require('./trimesterRoutes');
 const gradeRoutes = require('./gradeRoutes');
+const evaluationRoutes = require('./evaluationRoutes');
+const appreciationRoutes = require('./appreciationRoutes');
+const councilCommentRoutes = require('./councilCommentRoutes');
+const attendanceRoutes = require('./attendanceRoutes');
+const timetableRoutes = require('./timetableRoutes');
+const teachingAssignmentRoutes = require('./teachingAssignmentRoutes');
+const academicYearRoutes = require('./academicYearRoutes');
+const searchRoutes = require('./searchRoutes');
+const auditRoutes = require('./auditRoutes');
 
 // Use route modules
 router.use('/auth', authRoutes);
@@ -18,5 +27,14 @@ router.use('/classes', classRoutes);
 router.use('/subjects', subjectRoutes);
 router.use('/trimesters', trimesterRoutes);
 router.use('/grades', gradeRoutes);
+router.use('/evaluations', evaluationRoutes);
+router.use('/appreciations', appreciationRoutes);
+router.use('/council-comments', councilCommentRoutes);
+router.use('/attendance', attendanceRoutes);
+router.use('/timetable', timetableRoutes);
+router.use('/teaching-assignments', teachingAssignmentRoutes);
+router.use('/academic-years', academicYearRoutes);
+router.use('/search', searchRoutes);
+router.use('/audit', auditRoutes);
 
 module.exports = router;
@@ -0,0 +1,127 @@
+const express = require('express');
+const router = express.Router();
+const searchController = require('../controllers/searchController');
+const { query } = require('express-validator');
+const { validate } = require('../middlewares/validation');
+const { protect, authorize } = require('../middlewares/authMiddleware');
+const { splitList } = require('../utils/pagination');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Search
+ *   description: Name search across students, teachers, classes and subjects
+ */
+
+const SEARCH_TYPES = ['students', 'teachers', 'classes', 'subjects'];
+
+// Validation rules for search query params
+const searchValidation = [
+  query('q')
+    .trim()
+    .notEmpty().withMessage('Search query (q) is required')
+    .isLength({ max: 100 }).withMessage('Search query cannot exceed 100 characters'),
+  query('types')
+    .optional()
+    .custom(value => splitList(value).length > 0 && splitList(value).every(type => SEARCH_TYPES.includes(type)))
+    .withMessage(`Invalid types. Allowed: ${SEARCH_TYPES.join(', ')}`),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be an integer between 1 and 50'),
+];
+
+/**
+ * @swagger
+ * /api/search:
+ *   get:
+ *     summary: Search students, teachers, classes and subjects by name (Admin/Teacher)
+ *     tags: [Search]
+ *     description: |
+ *       Matches `nom` and `prenom` (only `nom` for classes and subjects), case and accent insensitive:
+ *       `elodie` finds "Élodie". Every word of the query must match; partial words are accepted.
+ *
+ *       Results are grouped by type and ranked by relevance:
+ *       exact match first, then word prefix, then substring. Matching both names of a person in full
+ *       ("Élodie Martin" or "Martin Élodie") ranks highest.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           maxLength: 100
+ *         description: Search query
+ *         example: elodie mar
+ *       - in: query
+ *         name: types
+ *         schema:
+ *           type: string
+ *         description: Comma separated types to search (students, teachers, classes, subjects). Defaults to all.
+ *         example: students,teachers
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ *         description: Maximum number of results per type
+ *     responses:
+ *       200:
+ *         description: Ranked results grouped by type
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 query:
+ *                   type: string
+ *                   example: elodie mar
+ *                 count:
+ *                   type: integer
+ *                   description: Number of results across all types
+ *                   example: 2
+ *                 data:
+ *                   type: object
+ *                   description: One array per searched type, best match first. Each result carries a relevance score.
+ *                   properties:
+ *                     students:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/Student'
+ *                           - type: object
+ *                             properties:
+ *                               score:
+ *                                 type: integer
+ *                                 example: 4
+ *                     teachers:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Teacher'
+ *                     classes:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Class'
+ *                     subjects:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Subject'
+ *       400:
+ *         description: Missing or invalid query parameters
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Forbidden - Admin or teacher role required
+ *       500:
+ *         description: Server error
+ */
+router.get('/', protect, authorize('admin', 'teacher'), searchValidation, validate, searchController.search);
+
+module.exports = router;
@@ -1,9 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const studentController = require('../controllers/studentController');
-const { body, param, query } = require('express-validator');
-const { validate } = require('../middlewares/validation');
+const { param, query } = require('express-validator');
+const { validate, listValidation, includeDeletedValidation, cascadeValidation } = require('../middlewares/validation');
 const { protect, authorize } = require('../middlewares/authMiddleware');
+const { studentValidationRules } = require('../validators/studentValidators');
+const { isSchoolYear } = require('../utils/schoolYear');
 
 /**
  * @swagger
@@ -12,41 +14,15 @@ const { protect, authorize } = require('../middlewares/authMiddleware');
  *   description: Student management endpoints
  */
 
-// Validation rules
-const studentValidationRules = [
-  body('nom')
-    .trim()
-    .notEmpty().withMessage('Last name is required')
-    .isLength({ max: 100 }).withMessage('Last name cannot exceed 100 characters'),
-  body('prenom')
-    .trim()
-    .notEmpty().withMessage('First name is required')
-    .isLength({ max: 100 }).withMessage('First name cannot exceed 100 characters'),
-  body('classe')
-    .notEmpty().withMessage('Class is required')
-    .isMongoId().withMessage('Invalid class ID'),
-  body('dateNaissance')
-    .notEmpty().withMessage('Birth date is required')
-    .isISO8601().withMessage('Invalid date format')
-    .custom((value) => {
-      if (new Date(value) >= new Date()) {
-        throw new Error('Birth date must be in the past');
-      }
-      return true;
-    }),
-  body('adresse')
-    .optional()
-    .trim()
-    .isLength({ max: 250 }).withMessage('Address cannot exceed 250 characters'),
-  body('sexe')
-    .notEmpty().withMessage('Gender is required')
-    .isIn(['HOMME', 'FEMME']).withMessage('Gender must be HOMME or FEMME'),
-];
-
 const idValidation = [
   param('id').isMongoId().withMessage('Invalid student ID'),
 ];
 
+// Validation for the CSV import query params
+const importValidation = [
+  query('dryRun').optional().isIn(['true', 'false']).withMessage('dryRun must be true or false'),
+];
+
 // Validation for query filter (optional classe and groupBy parameters)
 const filterValidation = [
   query('classe').optional().isMongoId().withMessage('Invalid class ID'),
@@ -60,7 +36,8 @@ const filterValidation = [
       throw new Error('Cannot use both groupBy and classe parameters simultaneously. These parameters are mutually exclusive.');
     }
     return true;
-  })
+  }),
+  ...listValidation(['nom', 'prenom', 'classe', 'dateNaissance', 'adresse', 'sexe', 'createdAt', 'updatedAt'])
 ];
 
 /**
@@ -73,7 +50,8 @@ const filterValidation = [
  *       Retrieve all students with optional filtering and grouping capabilities.
  *
  *       **Default behavior (flat list):**
- *       Returns a flat array of all students.
+ *       Returns a paginated flat array of students, sorted by last name then first name.
+ *       Supports `page`, `limit`, `sort` and `fields`.
  *
  *       **Filter by class (classe parameter):**
  *       Returns students belonging to a specific class.
@@ -101,6 +79,21 @@ const filterValidation = [
  *           **Note:** This parameter is mutually exclusive with `classe`.
  *           If both parameters are provided, the API will return a 400 error.
  *         example: class
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         description: Comma separated sort fields, prefix with - for descending order (nom, prenom, classe, dateNaissance, adresse, sexe, createdAt, updatedAt)
+ *         example: nom,-dateNaissance
+ *       - in: query
+ *         name: fields
+ *         schema:
+ *           type: string
+ *         description: Comma separated fields to return (nom, prenom, classe, dateNaissance, adresse, sexe, createdAt, updatedAt)
+ *         example: nom,prenom,classe
+ *       - $ref: '#/components/parameters/IncludeDeleted'
  *     responses:
  *       200:
  *         description: |
@@ -122,8 +115,21 @@ const filterValidation = [
  *                       example: true
  *                     count:
  *                       type: integer
- *                       description: Total number of students
+ *                       description: Number of students returned
  *                       example: 25
+ *                     total:
+ *                       type: integer
+ *                       description: Number of students (default list only) matching the query
+ *                       example: 120
+ *                     page:
+ *                       type: integer
+ *                       example: 1
+ *                     limit:
+ *                       type: integer
+ *                       example: 50
+ *                     totalPages:
+ *                       type: integer
+ *                       example: 3
  *                     data:
  *                       type: array
  *                       items:
@@ -318,6 +324,242 @@ const filterValidation = [
  *         description: Server error
  */
 
+// Validation for averages query (optional trimester filter)
+const averagesValidation = [
+  query('trimester').optional().isMongoId().withMessage('Invalid trimester ID'),
+  query('year').optional().custom(isSchoolYear).withMessage('Invalid school year (e.g. 2024-2025)'),
+];
+
+/**
+ * @swagger
+ * /api/students/{id}/averages:
+ *   get:
+ *     summary: Get weighted averages for a student
+ *     tags: [Students]
+ *     description: |
+ *       Computes weighted averages from the student's grades.
+ *
+ *       - **Subject average:** sum(note x coefficient) / sum(coefficient)
+ *       - **Trimester average:** weighted mean of every grade of the trimester
+ *       - **Yearly average:** mean of the trimester averages that have a value
+ *
+ *       Zero-coefficient grades carry no weight. Subjects without grades are listed with a null average.
+ *       Only the trimesters of one academic year are used: the requested year, else the year of the
+ *       requested trimester, else the current academic year.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the student
+ *         example: 507f1f77bcf86cd799439011
+ *       - in: query
+ *         name: trimester
+ *         schema:
+ *           type: string
+ *         description: Only return the breakdown for this trimester (yearly average still covers all trimesters of its academic year)
+ *         example: 507f1f77bcf86cd799439015
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: string
+ *         description: Use the trimesters of this academic year instead of the current one, yearly average included
+ *         example: 2024-2025
+ *     responses:
+ *       200:
+ *         description: Student averages
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     student:
+ *                       type: object
+ *                       properties:
+ *                         _id:
+ *                           type: string
+ *                           example: 507f1f77bcf86cd799439011
+ *                         nom:
+ *                           type: string
+ *                           example: Martin
+ *                         prenom:
+ *                           type: string
+ *                           example: Sophie
+ *                     trimesters:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           trimester:
+ *                             type: object
+ *                             properties:
+ *                               _id:
+ *                                 type: string
+ *                                 example: 507f1f77bcf86cd799439015
+ *                               nom:
+ *                                 type: string
+ *                                 example: T1
+ *                           subjects:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 subject:
+ *                                   type: object
+ *                                   properties:
+ *                                     _id:
+ *                                       type: string
+ *                                       example: 507f1f77bcf86cd799439013
+ *                                     nom:
+ *                                       type: string
+ *                                       example: Mathematics
+ *                                 average:
+ *                                   type: number
+ *                                   nullable: true
+ *                                   example: 14.5
+ *                                 totalCoefficient:
+ *                                   type: number
+ *                                   example: 3
+ *                                 gradeCount:
+ *                                   type: integer
+ *                                   example: 2
+ *                           average:
+ *                             type: number
+ *                             nullable: true
+ *                             example: 13.75
+ *                     yearlyAverage:
+ *                       type: number
+ *                       nullable: true
+ *                       example: 13.2
+ *       400:
+ *         description: Invalid student or trimester ID format
+ *       404:
+ *         description: Student or trimester not found
+ *       500:
+ *         description: Server error
+ */
+
+/**
+ * @swagger
+ * /api/students/{id}/attendance:
+ *   get:
+ *     summary: Get the attendance summary of a student
+ *     tags: [Students, Attendance]
+ *     description: |
+ *       Counts of absences and late arrivals with the records they come from, in chronological order.
+ *       Student and parent accounts can only read their own records.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the student
+ *         example: 507f1f77bcf86cd799439011
+ *       - in: query
+ *         name: trimester
+ *         schema:
+ *           type: string
+ *         description: Only count the records of this trimester
+ *         example: 507f1f77bcf86cd799439015
+ *     responses:
+ *       200:
+ *         description: Student attendance summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     student:
+ *                       type: object
+ *                       properties:
+ *                         _id:
+ *                           type: string
+ *                           example: 507f1f77bcf86cd799439011
+ *                         nom:
+ *                           type: string
+ *                           example: Martin
+ *                         prenom:
+ *                           type: string
+ *                           example: Sophie
+ *                     summary:
+ *                       $ref: '#/components/schemas/AttendanceSummary'
+ *                     records:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Attendance'
+ *       400:
+ *         description: Invalid student or trimester ID format
+ *       403:
+ *         description: Student outside the account scope
+ *       404:
+ *         description: Student not found
+ *       500:
+ *         description: Server error
+ */
+
+// Validation for report card query (trimester is mandatory)
+const reportCardValidation = [
+  query('trimester')
+    .notEmpty().withMessage('Trimester is required')
+    .isMongoId().withMessage('Invalid trimester ID'),
+];
+
+/**
+ * @swagger
+ * /api/students/{id}/report-card:
+ *   get:
+ *     summary: Download a student's report card (bulletin) as PDF
+ *     tags: [Students]
+ *     description: |
+ *       Generates a printable PDF bulletin in-process for the given trimester.
+ *       It contains the student's identity, class, head teacher, each subject's grades with coefficients,
+ *       the student's weighted average and the class average per subject, the subject teachers' appreciations,
+ *       the general average, the rank and the class council comment.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the student
+ *         example: 507f1f77bcf86cd799439011
+ *       - in: query
+ *         name: trimester
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the trimester
+ *         example: 507f1f77bcf86cd799439015
+ *     responses:
+ *       200:
+ *         description: PDF report card
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid student ID or missing/invalid trimester
+ *       404:
+ *         description: Student, class or trimester not found
+ *       500:
+ *         description: Server error
+ */
+
 /**
  * @swagger
  * /api/students/{id}:
@@ -332,6 +574,7 @@ const filterValidation = [
  *           type: string
  *         description: MongoDB ObjectId of the student
  *         example: 507f1f77bcf86cd799439011
+ *       - $ref: '#/components/parameters/IncludeDeleted'
  *     responses:
  *       200:
  *         description: Student details with populated class info
@@ -425,6 +668,9 @@ const filterValidation = [
  *           type: string
  *         description: MongoDB ObjectId of the student
  *         example: 507f1f77bcf86cd799439011
+ *       - $ref: '#/components/parameters/Cascade'
+ *       - $ref: '#/components/parameters/CascadeTarget'
+ *       - $ref: '#/components/parameters/CascadeOverride'
  *     responses:
  *       200:
  *         description: Student deleted successfully
@@ -440,9 +686,11 @@ const filterValidation = [
  *                   type: string
  *                   example: Student deleted successfully
  *       400:
- *         description: Invalid ID format
+ *         description: Invalid ID, cascade mode or target (the target cannot be the record itself)
  *       404:
- *         description: Student not found
+ *         description: Student or cascade=reassign target not found
+ *       409:
+ *         description: Other records still reference the student and no cascade mode is set (counts in details), or the cascade changes records of an archived year or a locked trimester without an admin override reason, or reassigned records would duplicate records of the target (conflicts in details)
  *       500:
  *         description: Server error
  */
@@ -556,6 +804,7 @@ const filterValidation = [
  *           type: string
  *         description: MongoDB ObjectId of the student
  *         example: 507f1f77bcf86cd799439011
+ *       - $ref: '#/components/parameters/IncludeDeleted'
  *     responses:
  *       200:
  *         description: Student details with populated class info
@@ -649,6 +898,9 @@ const filterValidation = [
  *           type: string
  *         description: MongoDB ObjectId of the student
  *         example: 507f1f77bcf86cd799439011
+ *       - $ref: '#/components/parameters/Cascade'
+ *       - $ref: '#/components/parameters/CascadeTarget'
+ *       - $ref: '#/components/parameters/CascadeOverride'
  *     responses:
  *       200:
  *         description: Student deleted successfully
@@ -664,18 +916,194 @@ const filterValidation = [
  *                   type: string
  *                   example: Student deleted successfully
  *       400:
+ *         description: Invalid ID, cascade mode or target (the target cannot be the record itself)
+ *       404:
+ *         description: Student or cascade=reassign target not found
+ *       409:
+ *         description: Other records still reference the student and no cascade mode is set (counts in details), or the cascade changes records of an archived year or a locked trimester without an admin override reason, or reassigned records would duplicate records of the target (conflicts in details)
+ *       500:
+ *         description: Server error
+ */
+
+/**
+ * @swagger
+ * /api/students/import:
+ *   post:
+ *     summary: Import students from a CSV file (Admin only)
+ *     tags: [Students]
+ *     description: |
+ *       Creates many students at once from a CSV file sent as the request body (`Content-Type: text/csv`).
+ *
+ *       **Columns** (header line required, comma or semicolon separated, header names ignore case and accents):
+ *       `nom`, `prenom`, `classe` (class name, e.g. `CM1`), `dateNaissance` (`YYYY-MM-DD` or `DD/MM/YYYY`),
+ *       `sexe` (`HOMME`/`FEMME`) and an optional `adresse`.
+ *
+ *       Each row is checked with the same rules as `POST /api/students`. The import is all or nothing:
+ *       when a row is invalid, no student is created and every error is returned with its line number.
+ *       Use `dryRun=true` to only validate the file.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Validate the rows without creating any student
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             nom;prenom;classe;dateNaissance;sexe;adresse
+ *             Martin;Élodie;CM1;20/03/2015;FEMME;12 rue des Lilas
+ *             Dupont;Pierre;CM2;2014-05-15;HOMME;
+ *     responses:
+ *       200:
+ *         description: Dry run report (nothing written)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 dryRun:
+ *                   type: boolean
+ *                   example: true
+ *                 total:
+ *                   type: integer
+ *                   description: Number of rows in the file
+ *                   example: 300
+ *                 valid:
+ *                   type: integer
+ *                   example: 298
+ *                 invalid:
+ *                   type: integer
+ *                   example: 2
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ImportRowError'
+ *       201:
+ *         description: All rows imported
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 300
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Student'
+ *       400:
+ *         description: Empty file, missing column or invalid rows (nothing imported)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: "Import rejected: 2 invalid row(s), no student was imported"
+ *                 details:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ImportRowError'
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Forbidden - Admin role required
+ *       500:
+ *         description: Server error
+ *
+ * components:
+ *   schemas:
+ *     ImportRowError:
+ *       type: object
+ *       properties:
+ *         row:
+ *           type: integer
+ *           description: Line of the row in the CSV file (the header is line 1)
+ *           example: 14
+ *         field:
+ *           type: string
+ *           example: classe
+ *         message:
+ *           type: string
+ *           example: Class "CM3" not found
+ */
+
+/**
+ * @swagger
+ * /api/students/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted student
+ *     description: Deleted records are kept and hidden from every query until restored.
+ *     tags: [Students]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the student
+ *         example: 507f1f77bcf86cd799439011
+ *     responses:
+ *       200:
+ *         description: Student restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Student'
+ *       400:
  *         description: Invalid ID format
+ *       403:
+ *         description: Forbidden - Admin role required
  *       404:
  *         description: Student not found
+ *       409:
+ *         description: The student is not deleted, or its class is deleted (restore the class first)
  *       500:
  *         description: Server error
  */
 
 // Routes with authentication
-router.get('/', protect, filterValidation, validate, studentController.getAll);
-router.get('/:id', protect, idValidation, validate, studentController.getById);
+router.get('/', protect, filterValidation, includeDeletedValidation(), validate, studentController.getAll);
+router.get('/:id/averages', protect, idValidation, averagesValidation, validate, studentController.getAverages);
+router.get('/:id/attendance', protect, idValidation, averagesValidation, validate, studentController.getAttendance);
+router.get('/:id/report-card', protect, idValidation, reportCardValidation, validate, studentController.getReportCard);
+router.get('/:id', protect, idValidation, includeDeletedValidation(), validate, studentController.getById);
 router.post('/', protect, authorize('admin'), studentValidationRules, validate, studentController.create);
+router.post(
+  '/import',
+  protect,
+  authorize('admin'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }),
+  importValidation,
+  validate,
+  studentController.importStudents
+);
 router.put('/:id', protect, authorize('admin'), idValidation, studentValidationRules, validate, studentController.update);
-router.delete('/:id', protect, authorize('admin'), idValidation, validate, studentController.delete);
+router.delete('/:id', protect, authorize('admin'), idValidation, cascadeValidation(), validate, studentController.delete);
+router.post('/:id/restore', protect, authorize('admin'), idValidation, validate, studentController.restore);
 
 module.exports = router;
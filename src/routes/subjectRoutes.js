@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const subjectController = require('../controllers/subjectController');
 const { body, param } = require('express-validator');
-const { validate } = require('../middlewares/validation');
+const { validate, includeDeletedValidation, cascadeValidation } = require('../middlewares/validation');
 const { protect, authorize } = require('../middlewares/authMiddleware');
 
 /**
@@ -31,6 +31,8 @@ const idValidation = [
  *   get:
  *     summary: Get all subjects
  *     tags: [Subjects]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IncludeDeleted'
  *     responses:
  *       200:
  *         description: List of all subjects
@@ -102,6 +104,7 @@ const idValidation = [
  *           type: string
  *         description: MongoDB ObjectId of the subject
  *         example: 507f1f77bcf86cd799439011
+ *       - $ref: '#/components/parameters/IncludeDeleted'
  *     responses:
  *       200:
  *         description: Subject details
@@ -176,6 +179,9 @@ const idValidation = [
  *           type: string
  *         description: MongoDB ObjectId of the subject
  *         example: 507f1f77bcf86cd799439011
+ *       - $ref: '#/components/parameters/Cascade'
+ *       - $ref: '#/components/parameters/CascadeTarget'
+ *       - $ref: '#/components/parameters/CascadeOverride'
  *     responses:
  *       200:
  *         description: Subject deleted successfully
@@ -191,19 +197,62 @@ const idValidation = [
  *                   type: string
  *                   example: Subject deleted successfully
  *       400:
+ *         description: Invalid ID, cascade mode or target (the target cannot be the record itself)
+ *       404:
+ *         description: Subject or cascade=reassign target not found
+ *       409:
+ *         description: Other records still reference the subject and no cascade mode is set (counts in details), or the cascade changes records of an archived year or a locked trimester without an admin override reason, or reassigned records would duplicate records of the target (conflicts in details)
+ *       500:
+ *         description: Server error
+ */
+
+/**
+ * @swagger
+ * /api/subjects/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted subject
+ *     description: Deleted records are kept and hidden from every query until restored.
+ *     tags: [Subjects]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the subject
+ *         example: 507f1f77bcf86cd799439011
+ *     responses:
+ *       200:
+ *         description: Subject restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Subject'
+ *       400:
  *         description: Invalid ID format
+ *       403:
+ *         description: Forbidden - Admin role required
  *       404:
  *         description: Subject not found
+ *       409:
+ *         description: The subject is not deleted, or another subject took its name
  *       500:
  *         description: Server error
  */
 
 // Routes with JWT authentication
-router.get('/', protect, subjectController.getAll);
-router.get('/:id', protect, idValidation, validate, subjectController.getById);
+router.get('/', protect, includeDeletedValidation(), validate, subjectController.getAll);
+router.get('/:id', protect, idValidation, includeDeletedValidation(), validate, subjectController.getById);
 router.post('/', protect, authorize('admin'), subjectValidationRules, validate, subjectController.create);
 router.put('/:id', protect, authorize('admin'), idValidation, subjectValidationRules, validate, subjectController.update);
-router.delete('/:id', protect, authorize('admin'), idValidation, validate, subjectController.delete);
+router.delete('/:id', protect, authorize('admin'), idValidation, cascadeValidation(), validate, subjectController.delete);
+router.post('/:id/restore', protect, authorize('admin'), idValidation, validate, subjectController.restore);
 
 
 module.exports = router;
@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const teacherController = require('../controllers/teacherController');
 const { body, param, query } = require('express-validator');
-const { validate } = require('../middlewares/validation');
+const { validate, listValidation, includeDeletedValidation, cascadeValidation } = require('../middlewares/validation');
 const { protect, authorize } = require('../middlewares/authMiddleware');
 
 /**
@@ -48,6 +48,7 @@ const classeQueryValidation = [
   query('classe')
     .optional()
     .isMongoId().withMessage('Invalid class ID'),
+  ...listValidation(['nom', 'prenom', 'dateNaissance', 'adresse', 'sexe', 'createdAt', 'updatedAt'])
 ];
 
 /**
@@ -56,6 +57,10 @@ const classeQueryValidation = [
  *   get:
  *     summary: Get all teachers or filter by class
  *     tags: [Teachers]
+ *     description: |
+ *       The list without classe filter is paginated, sorted by last name by default.
+ *       With `classe`, every teacher assigned to the class (teaching assignments) is returned
+ *       with the subjects they teach there (`matieres`).
  *     parameters:
  *       - in: query
  *         name: classe
@@ -63,6 +68,21 @@ const classeQueryValidation = [
  *           type: string
  *         description: Optional MongoDB ObjectId of the class to filter teachers
  *         example: 507f1f77bcf86cd799439011
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         description: Comma separated sort fields, prefix with - for descending order (nom, prenom, dateNaissance, adresse, sexe, createdAt, updatedAt)
+ *         example: nom,prenom
+ *       - in: query
+ *         name: fields
+ *         schema:
+ *           type: string
+ *         description: Comma separated fields to return (nom, prenom, dateNaissance, adresse, sexe, createdAt, updatedAt)
+ *         example: nom,prenom
+ *       - $ref: '#/components/parameters/IncludeDeleted'
  *     responses:
  *       200:
  *         description: List of all teachers or teachers assigned to a specific class
@@ -77,10 +97,37 @@ const classeQueryValidation = [
  *                 count:
  *                   type: integer
  *                   example: 5
+ *                 total:
+ *                   type: integer
+ *                   description: Number of teachers (omitted with classe filter) matching the query
+ *                   example: 120
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 50
+ *                 totalPages:
+ *                   type: integer
+ *                   example: 3
  *                 data:
  *                   type: array
  *                   items:
- *                     $ref: '#/components/schemas/Teacher'
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Teacher'
+ *                       - type: object
+ *                         properties:
+ *                           matieres:
+ *                             type: array
+ *                             description: Subjects taught in the class (classe filter only)
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 _id:
+ *                                   type: string
+ *                                 nom:
+ *                                   type: string
+ *                                   example: Mathématiques
  *       400:
  *         description: Invalid class ID format
  *       404:
@@ -156,6 +203,7 @@ const classeQueryValidation = [
  *           type: string
  *         description: MongoDB ObjectId of the teacher
  *         example: 507f1f77bcf86cd799439011
+ *       - $ref: '#/components/parameters/IncludeDeleted'
  *     responses:
  *       200:
  *         description: Teacher details
@@ -245,6 +293,9 @@ const classeQueryValidation = [
  *           type: string
  *         description: MongoDB ObjectId of the teacher
  *         example: 507f1f77bcf86cd799439011
+ *       - $ref: '#/components/parameters/Cascade'
+ *       - $ref: '#/components/parameters/CascadeTarget'
+ *       - $ref: '#/components/parameters/CascadeOverride'
  *     responses:
  *       200:
  *         description: Teacher deleted successfully
@@ -260,18 +311,114 @@ const classeQueryValidation = [
  *                   type: string
  *                   example: Teacher deleted successfully
  *       400:
+ *         description: Invalid ID, cascade mode or target (the target cannot be the record itself)
+ *       404:
+ *         description: Teacher or cascade=reassign target not found
+ *       409:
+ *         description: Other records still reference the teacher and no cascade mode is set (counts in details), or cascade=delete would delete classes that still have students, or the cascade changes records of an archived year or a locked trimester without an admin override reason, or reassigned records would duplicate records of the target (conflicts in details)
+ *       500:
+ *         description: Server error
+ */
+
+/**
+ * @swagger
+ * /api/teachers/{id}/timetable:
+ *   get:
+ *     summary: Get the weekly timetable of a teacher
+ *     tags: [Teachers, Timetable]
+ *     description: Slots of the teacher across every class, grouped by school day in week order.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the teacher
+ *         example: 507f1f77bcf86cd799439011
+ *     responses:
+ *       200:
+ *         description: Weekly timetable of the teacher
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     teacher:
+ *                       type: object
+ *                       properties:
+ *                         _id:
+ *                           type: string
+ *                         nom:
+ *                           type: string
+ *                           example: Dupont
+ *                         prenom:
+ *                           type: string
+ *                           example: Jean
+ *                     days:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/TimetableDay'
+ *       400:
+ *         description: Invalid teacher ID
+ *       404:
+ *         description: Teacher not found
+ *       500:
+ *         description: Server error
+ */
+
+/**
+ * @swagger
+ * /api/teachers/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted teacher
+ *     description: Deleted records are kept and hidden from every query until restored.
+ *     tags: [Teachers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the teacher
+ *         example: 507f1f77bcf86cd799439011
+ *     responses:
+ *       200:
+ *         description: Teacher restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Teacher'
+ *       400:
  *         description: Invalid ID format
+ *       403:
+ *         description: Forbidden - Admin role required
  *       404:
  *         description: Teacher not found
+ *       409:
+ *         description: The teacher is not deleted
  *       500:
  *         description: Server error
  */
 
 // Routes with authentication
-router.get('/', protect, classeQueryValidation, validate, teacherController.getAll);
-router.get('/:id', protect, idValidation, validate, teacherController.getById);
+router.get('/', protect, classeQueryValidation, includeDeletedValidation(), validate, teacherController.getAll);
+router.get('/:id/timetable', protect, idValidation, validate, teacherController.getTimetable);
+router.get('/:id', protect, idValidation, includeDeletedValidation(), validate, teacherController.getById);
 router.post('/', protect, authorize('admin'), teacherValidationRules, validate, teacherController.create);
 router.put('/:id', protect, authorize('admin'), idValidation, teacherValidationRules, validate, teacherController.update);
-router.delete('/:id', protect, authorize('admin'), idValidation, validate, teacherController.delete);
+router.delete('/:id', protect, authorize('admin'), idValidation, cascadeValidation(), validate, teacherController.delete);
+router.post('/:id/restore', protect, authorize('admin'), idValidation, validate, teacherController.restore);
 
 module.exports = router;
@@ -0,0 +1,308 @@
+const express = require('express');
+const router = express.Router();
+const teachingAssignmentController = require('../controllers/teachingAssignmentController');
+const { body, param, query } = require('express-validator');
+const { validate, listValidation } = require('../middlewares/validation');
+const { protect, authorize } = require('../middlewares/authMiddleware');
+const { isSchoolYear } = require('../utils/schoolYear');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Teaching Assignments
+ *   description: Which teacher teaches which subject in which class, per school year
+ */
+
+const ASSIGNMENT_FIELDS = ['idprof', 'idclasse', 'idmatiere', 'anneeScolaire', 'createdAt', 'updatedAt'];
+
+const SCHOOL_YEAR_MESSAGE = 'School year must be two consecutive years (e.g. 2024-2025)';
+
+// Validation rules for creating an assignment
+const assignmentValidationRules = [
+  body('idprof')
+    .notEmpty().withMessage('Teacher ID is required')
+    .isMongoId().withMessage('Invalid teacher ID format'),
+  body('idclasse')
+    .notEmpty().withMessage('Class ID is required')
+    .isMongoId().withMessage('Invalid class ID format'),
+  body('idmatiere')
+    .notEmpty().withMessage('Subject ID is required')
+    .isMongoId().withMessage('Invalid subject ID format'),
+  body('anneeScolaire')
+    .optional()
+    .custom(isSchoolYear).withMessage(SCHOOL_YEAR_MESSAGE),
+];
+
+// Validation rules for updating an assignment (partial)
+const assignmentUpdateValidationRules = [
+  body('idprof').optional().isMongoId().withMessage('Invalid teacher ID format'),
+  body('idclasse').optional().isMongoId().withMessage('Invalid class ID format'),
+  body('idmatiere').optional().isMongoId().withMessage('Invalid subject ID format'),
+  body('anneeScolaire')
+    .optional()
+    .custom(isSchoolYear).withMessage(SCHOOL_YEAR_MESSAGE),
+];
+
+const idValidation = [
+  param('id').isMongoId().withMessage('Invalid teaching assignment ID'),
+];
+
+// Validation for query filters (optional)
+const filterValidation = [
+  query('teacher').optional().isMongoId().withMessage('Invalid teacher ID'),
+  query('class').optional().isMongoId().withMessage('Invalid class ID'),
+  query('subject').optional().isMongoId().withMessage('Invalid subject ID'),
+  query('year').optional().custom(isSchoolYear).withMessage(SCHOOL_YEAR_MESSAGE),
+  ...listValidation(ASSIGNMENT_FIELDS),
+];
+
+/**
+ * @swagger
+ * /api/teaching-assignments:
+ *   get:
+ *     summary: Get teaching assignments with optional filters
+ *     tags: [Teaching Assignments]
+ *     description: Paginated list, most recent school year first by default.
+ *     parameters:
+ *       - in: query
+ *         name: teacher
+ *         schema:
+ *           type: string
+ *         description: Filter by teacher ObjectId
+ *       - in: query
+ *         name: class
+ *         schema:
+ *           type: string
+ *         description: Filter by class ObjectId
+ *       - in: query
+ *         name: subject
+ *         schema:
+ *           type: string
+ *         description: Filter by subject ObjectId
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: string
+ *         description: Filter by school year
+ *         example: 2024-2025
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         description: Comma separated sort fields, prefix with - for descending order (idprof, idclasse, idmatiere, anneeScolaire, createdAt, updatedAt)
+ *         example: -anneeScolaire
+ *       - in: query
+ *         name: fields
+ *         schema:
+ *           type: string
+ *         description: Comma separated fields to return (same fields as sort)
+ *         example: idprof,idmatiere
+ *     responses:
+ *       200:
+ *         description: Page of teaching assignments with populated references
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 5
+ *                 total:
+ *                   type: integer
+ *                   example: 5
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 50
+ *                 totalPages:
+ *                   type: integer
+ *                   example: 1
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TeachingAssignment'
+ *       400:
+ *         description: Invalid filter parameters
+ *       500:
+ *         description: Server error
+ *
+ *   post:
+ *     summary: Assign a teacher to a subject of a class (Admin)
+ *     tags: [Teaching Assignments]
+ *     description: |
+ *       Grades, evaluations and appreciations can only be recorded for a teacher assigned
+ *       to the subject in the class. Several teachers may share a subject of a class.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - idprof
+ *               - idclasse
+ *               - idmatiere
+ *             properties:
+ *               idprof:
+ *                 type: string
+ *                 example: 507f1f77bcf86cd799439014
+ *               idclasse:
+ *                 type: string
+ *                 example: 507f1f77bcf86cd799439012
+ *               idmatiere:
+ *                 type: string
+ *                 example: 507f1f77bcf86cd799439013
+ *               anneeScolaire:
+ *                 type: string
+ *                 description: Must be the academic year of the class; defaults to it (the current school year for classes outside academic years)
+ *                 example: 2024-2025
+ *     responses:
+ *       201:
+ *         description: Teaching assignment created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/TeachingAssignment'
+ *       400:
+ *         description: Validation error, invalid references or school year other than the one of the class
+ *       409:
+ *         description: The teacher is already assigned to this subject in this class for the school year
+ *       500:
+ *         description: Server error
+ */
+
+/**
+ * @swagger
+ * /api/teaching-assignments/{id}:
+ *   get:
+ *     summary: Get teaching assignment by ID
+ *     tags: [Teaching Assignments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the teaching assignment
+ *     responses:
+ *       200:
+ *         description: Teaching assignment details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/TeachingAssignment'
+ *       400:
+ *         description: Invalid ID format
+ *       404:
+ *         description: Teaching assignment not found
+ *       500:
+ *         description: Server error
+ *
+ *   put:
+ *     summary: Update teaching assignment (Admin)
+ *     tags: [Teaching Assignments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the teaching assignment
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               idprof:
+ *                 type: string
+ *                 example: 507f1f77bcf86cd799439014
+ *               idmatiere:
+ *                 type: string
+ *                 example: 507f1f77bcf86cd799439013
+ *               anneeScolaire:
+ *                 type: string
+ *                 example: 2024-2025
+ *     responses:
+ *       200:
+ *         description: Teaching assignment updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/TeachingAssignment'
+ *       400:
+ *         description: Validation error, invalid references or school year other than the one of the class
+ *       404:
+ *         description: Teaching assignment not found
+ *       409:
+ *         description: The teacher is already assigned to this subject in this class for the school year
+ *       500:
+ *         description: Server error
+ *
+ *   delete:
+ *     summary: Delete teaching assignment by ID (Admin)
+ *     tags: [Teaching Assignments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the teaching assignment
+ *     responses:
+ *       200:
+ *         description: Teaching assignment deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Teaching assignment deleted successfully
+ *       400:
+ *         description: Invalid ID format
+ *       404:
+ *         description: Teaching assignment not found
+ *       500:
+ *         description: Server error
+ */
+
+// Routes with authentication
+router.get('/', protect, filterValidation, validate, teachingAssignmentController.getAll);
+router.get('/:id', protect, idValidation, validate, teachingAssignmentController.getById);
+router.post('/', protect, authorize('admin'), assignmentValidationRules, validate, teachingAssignmentController.create);
+router.put('/:id', protect, authorize('admin'), idValidation, assignmentUpdateValidationRules, validate, teachingAssignmentController.update);
+router.delete('/:id', protect, authorize('admin'), idValidation, validate, teachingAssignmentController.delete);
+
+module.exports = router;
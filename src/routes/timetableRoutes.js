@@ -0,0 +1,367 @@
+const express = require('express');
+const router = express.Router();
+const timetableController = require('../controllers/timetableController');
+const { body, param, query } = require('express-validator');
+const { validate, listValidation } = require('../middlewares/validation');
+const { protect, authorize } = require('../middlewares/authMiddleware');
+const { TIME_PATTERN, WEEK_DAYS } = require('../utils/constants');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Timetable
+ *   description: Weekly time slots of each class with subject, teacher and room
+ */
+
+const TIMETABLE_FIELDS = ['idclasse', 'idmatiere', 'idprof', 'jour', 'heureDebut', 'heureFin', 'salle', 'createdAt', 'updatedAt'];
+
+// End time must come after the start time given in the same payload
+const endAfterStart = (value, { req }) => {
+  if (req.body.heureDebut && value <= req.body.heureDebut) {
+    throw new Error('End time must be after start time');
+  }
+  return true;
+};
+
+// Validation rules for adding a slot
+const slotValidationRules = [
+  body('idclasse')
+    .notEmpty().withMessage('Class ID is required')
+    .isMongoId().withMessage('Invalid class ID format'),
+  body('idmatiere')
+    .notEmpty().withMessage('Subject ID is required')
+    .isMongoId().withMessage('Invalid subject ID format'),
+  body('idprof')
+    .notEmpty().withMessage('Teacher ID is required')
+    .isMongoId().withMessage('Invalid teacher ID format'),
+  body('jour')
+    .notEmpty().withMessage('Day is required')
+    .isIn(WEEK_DAYS).withMessage(`Invalid day. Allowed: ${WEEK_DAYS.join(', ')}`),
+  body('heureDebut')
+    .notEmpty().withMessage('Start time is required')
+    .matches(TIME_PATTERN).withMessage('Start time must use the HH:MM format'),
+  body('heureFin')
+    .notEmpty().withMessage('End time is required')
+    .matches(TIME_PATTERN).withMessage('End time must use the HH:MM format')
+    .custom(endAfterStart),
+  body('salle')
+    .optional()
+    .trim()
+    .isLength({ max: 50 }).withMessage('Room cannot exceed 50 characters'),
+];
+
+// Validation rules for updating a slot (partial)
+const slotUpdateValidationRules = [
+  body('idclasse').optional().isMongoId().withMessage('Invalid class ID format'),
+  body('idmatiere').optional().isMongoId().withMessage('Invalid subject ID format'),
+  body('idprof').optional().isMongoId().withMessage('Invalid teacher ID format'),
+  body('jour')
+    .optional()
+    .isIn(WEEK_DAYS).withMessage(`Invalid day. Allowed: ${WEEK_DAYS.join(', ')}`),
+  body('heureDebut')
+    .optional()
+    .matches(TIME_PATTERN).withMessage('Start time must use the HH:MM format'),
+  body('heureFin')
+    .optional()
+    .matches(TIME_PATTERN).withMessage('End time must use the HH:MM format')
+    .custom(endAfterStart),
+  body('salle')
+    .optional()
+    .trim()
+    .isLength({ max: 50 }).withMessage('Room cannot exceed 50 characters'),
+];
+
+const idValidation = [
+  param('id').isMongoId().withMessage('Invalid timetable slot ID'),
+];
+
+// Validation for query filters (optional)
+const filterValidation = [
+  query('class').optional().isMongoId().withMessage('Invalid class ID'),
+  query('teacher').optional().isMongoId().withMessage('Invalid teacher ID'),
+  query('subject').optional().isMongoId().withMessage('Invalid subject ID'),
+  query('day')
+    .optional()
+    .isIn(WEEK_DAYS).withMessage(`Invalid day. Allowed: ${WEEK_DAYS.join(', ')}`),
+  query('room').optional().isLength({ max: 50 }).withMessage('Room cannot exceed 50 characters'),
+  ...listValidation(TIMETABLE_FIELDS),
+];
+
+/**
+ * @swagger
+ * /api/timetable:
+ *   get:
+ *     summary: Get timetable slots with optional filters
+ *     tags: [Timetable]
+ *     description: |
+ *       Paginated list. The weekly timetable of a class or teacher grouped by day is available
+ *       with `GET /api/classes/{id}/timetable` and `GET /api/teachers/{id}/timetable`.
+ *     parameters:
+ *       - in: query
+ *         name: class
+ *         schema:
+ *           type: string
+ *         description: Filter by class ObjectId
+ *       - in: query
+ *         name: teacher
+ *         schema:
+ *           type: string
+ *         description: Filter by teacher ObjectId
+ *       - in: query
+ *         name: subject
+ *         schema:
+ *           type: string
+ *         description: Filter by subject ObjectId
+ *       - in: query
+ *         name: day
+ *         schema:
+ *           type: string
+ *           enum: [lundi, mardi, mercredi, jeudi, vendredi, samedi]
+ *         description: Filter by day of the week
+ *       - in: query
+ *         name: room
+ *         schema:
+ *           type: string
+ *         description: Filter by room
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         description: Comma separated sort fields, prefix with - for descending order (idclasse, idmatiere, idprof, jour, heureDebut, heureFin, salle, createdAt, updatedAt)
+ *         example: heureDebut
+ *       - in: query
+ *         name: fields
+ *         schema:
+ *           type: string
+ *         description: Comma separated fields to return (same fields as sort)
+ *         example: jour,heureDebut,heureFin,salle
+ *     responses:
+ *       200:
+ *         description: Page of timetable slots with populated references
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 5
+ *                 total:
+ *                   type: integer
+ *                   example: 5
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 50
+ *                 totalPages:
+ *                   type: integer
+ *                   example: 1
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TimetableSlot'
+ *       400:
+ *         description: Invalid filter parameters
+ *       500:
+ *         description: Server error
+ *
+ *   post:
+ *     summary: Add a weekly timetable slot (Admin)
+ *     tags: [Timetable]
+ *     description: |
+ *       The class, the teacher and the room (when given) must be free on that day and time.
+ *       Back-to-back slots (one ending when the other starts) do not conflict.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - idclasse
+ *               - idmatiere
+ *               - idprof
+ *               - jour
+ *               - heureDebut
+ *               - heureFin
+ *             properties:
+ *               idclasse:
+ *                 type: string
+ *                 example: 507f1f77bcf86cd799439012
+ *               idmatiere:
+ *                 type: string
+ *                 example: 507f1f77bcf86cd799439013
+ *               idprof:
+ *                 type: string
+ *                 example: 507f1f77bcf86cd799439014
+ *               jour:
+ *                 type: string
+ *                 enum: [lundi, mardi, mercredi, jeudi, vendredi, samedi]
+ *                 example: lundi
+ *               heureDebut:
+ *                 type: string
+ *                 example: 08:30
+ *               heureFin:
+ *                 type: string
+ *                 example: 09:25
+ *               salle:
+ *                 type: string
+ *                 maxLength: 50
+ *                 example: B12
+ *     responses:
+ *       201:
+ *         description: Timetable slot created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/TimetableSlot'
+ *       400:
+ *         description: Validation error or invalid references
+ *       409:
+ *         description: The class, teacher or room is already booked at that time
+ *       500:
+ *         description: Server error
+ */
+
+/**
+ * @swagger
+ * /api/timetable/{id}:
+ *   get:
+ *     summary: Get timetable slot by ID
+ *     tags: [Timetable]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the timetable slot
+ *     responses:
+ *       200:
+ *         description: Timetable slot details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/TimetableSlot'
+ *       400:
+ *         description: Invalid ID format
+ *       404:
+ *         description: Timetable slot not found
+ *       500:
+ *         description: Server error
+ *
+ *   put:
+ *     summary: Update timetable slot (Admin)
+ *     tags: [Timetable]
+ *     description: Partial update; conflicts are checked on the resulting slot.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the timetable slot
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               idprof:
+ *                 type: string
+ *                 example: 507f1f77bcf86cd799439014
+ *               jour:
+ *                 type: string
+ *                 enum: [lundi, mardi, mercredi, jeudi, vendredi, samedi]
+ *                 example: mardi
+ *               heureDebut:
+ *                 type: string
+ *                 example: 10:20
+ *               heureFin:
+ *                 type: string
+ *                 example: 11:15
+ *               salle:
+ *                 type: string
+ *                 example: A03
+ *     responses:
+ *       200:
+ *         description: Timetable slot updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/TimetableSlot'
+ *       400:
+ *         description: Validation error or invalid references
+ *       404:
+ *         description: Timetable slot not found
+ *       409:
+ *         description: The class, teacher or room is already booked at that time
+ *       500:
+ *         description: Server error
+ *
+ *   delete:
+ *     summary: Delete timetable slot by ID (Admin)
+ *     tags: [Timetable]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the timetable slot
+ *     responses:
+ *       200:
+ *         description: Timetable slot deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Timetable slot deleted successfully
+ *       400:
+ *         description: Invalid ID format
+ *       404:
+ *         description: Timetable slot not found
+ *       500:
+ *         description: Server error
+ */
+
+// Routes with authentication
+router.get('/', protect, filterValidation, validate, timetableController.getAll);
+router.get('/:id', protect, idValidation, validate, timetableController.getById);
+router.post('/', protect, authorize('admin'), slotValidationRules, validate, timetableController.create);
+router.put('/:id', protect, authorize('admin'), idValidation, slotUpdateValidationRules, validate, timetableController.update);
+router.delete('/:id', protect, authorize('admin'), idValidation, validate, timetableController.delete);
+
+module.exports = router;
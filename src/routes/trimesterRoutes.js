@@ -1,9 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const trimesterController = require('../controllers/trimesterController');
-const { body, param } = require('express-validator');
-const { validate } = require('../middlewares/validation');
+const { body, param, query } = require('express-validator');
+const { validate, includeDeletedValidation, cascadeValidation } = require('../middlewares/validation');
 const { protect, authorize } = require('../middlewares/authMiddleware');
+const { isSchoolYear } = require('../utils/schoolYear');
 
 /**
  * @swagger
@@ -18,21 +19,37 @@ const trimesterValidationRules = [
     .trim()
     .notEmpty().withMessage('Trimester name is required')
     .isLength({ max: 10 }).withMessage('Trimester name cannot exceed 10 characters'),
-  body('date')
-    .notEmpty().withMessage('Date is required')
-    .isISO8601().withMessage('Invalid date format'),
+  body('dateDebut')
+    .notEmpty().withMessage('Start date (dateDebut) is required')
+    .isISO8601().withMessage('Invalid start date format'),
+  body('dateFin')
+    .notEmpty().withMessage('End date (dateFin) is required')
+    .isISO8601().withMessage('Invalid end date format'),
+  body('idannee').optional().isMongoId().withMessage('Invalid academic year ID'),
 ];
 
 const idValidation = [
   param('id').isMongoId().withMessage('Invalid trimester ID'),
 ];
 
+const filterValidation = [
+  query('year').optional().custom(isSchoolYear).withMessage('Invalid school year (e.g. 2024-2025)'),
+];
+
 /**
  * @swagger
  * /api/trimesters:
  *   get:
  *     summary: Get all trimesters
  *     tags: [Trimesters]
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: string
+ *         description: Only return the trimesters of this academic year
+ *         example: 2024-2025
+ *       - $ref: '#/components/parameters/IncludeDeleted'
  *     responses:
  *       200:
  *         description: List of all trimesters
@@ -65,18 +82,28 @@ const idValidation = [
  *             type: object
  *             required:
  *               - nom
- *               - date
+ *               - dateDebut
+ *               - dateFin
  *             properties:
  *               nom:
  *                 type: string
  *                 maxLength: 10
  *                 description: Trimester name
  *                 example: T1
- *               date:
+ *               dateDebut:
+ *                 type: string
+ *                 format: date
+ *                 description: First day of the trimester (the legacy date field is set to it)
+ *                 example: 2024-09-02
+ *               dateFin:
  *                 type: string
  *                 format: date
- *                 description: Trimester date
- *                 example: 2024-01-01
+ *                 description: Last day of the trimester
+ *                 example: 2024-11-29
+ *               idannee:
+ *                 type: string
+ *                 description: MongoDB ObjectId of the academic year (defaults to the current school year when it exists)
+ *                 example: 507f1f77bcf86cd799439018
  *     responses:
  *       201:
  *         description: Trimester created successfully
@@ -91,7 +118,9 @@ const idValidation = [
  *                 data:
  *                   $ref: '#/components/schemas/Trimester'
  *       400:
- *         description: Validation error
+ *         description: Validation error, dateDebut or dateFin missing, or dateFin before dateDebut
+ *       409:
+ *         description: The academic year is archived, or the dates overlap another trimester of the year
  *       500:
  *         description: Server error
  */
@@ -110,6 +139,7 @@ const idValidation = [
  *           type: string
  *         description: MongoDB ObjectId of the trimester
  *         example: 507f1f77bcf86cd799439011
+ *       - $ref: '#/components/parameters/IncludeDeleted'
  *     responses:
  *       200:
  *         description: Trimester details
@@ -141,23 +171,39 @@ const idValidation = [
  *           type: string
  *         description: MongoDB ObjectId of the trimester
  *         example: 507f1f77bcf86cd799439011
+ *     description: |
+ *       Only nom, dateDebut, dateFin and idannee are changed: a trimester is locked and
+ *       unlocked with `/lock` and `/unlock`, deleted with DELETE.
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - nom
+ *               - dateDebut
+ *               - dateFin
  *             properties:
  *               nom:
  *                 type: string
  *                 maxLength: 10
  *                 description: Trimester name
  *                 example: T1
- *               date:
+ *               dateDebut:
+ *                 type: string
+ *                 format: date
+ *                 description: First day of the trimester (the legacy date field is set to it)
+ *                 example: 2024-09-02
+ *               dateFin:
  *                 type: string
  *                 format: date
- *                 description: Trimester date
- *                 example: 2024-01-01
+ *                 description: Last day of the trimester
+ *                 example: 2024-11-29
+ *               idannee:
+ *                 type: string
+ *                 description: MongoDB ObjectId of the academic year (defaults to the current school year when it exists)
+ *                 example: 507f1f77bcf86cd799439018
  *     responses:
  *       200:
  *         description: Trimester updated successfully
@@ -172,9 +218,11 @@ const idValidation = [
  *                 data:
  *                   $ref: '#/components/schemas/Trimester'
  *       400:
- *         description: Validation error or invalid ID
+ *         description: Validation error, invalid ID, dateDebut or dateFin missing, or dateFin before dateDebut
  *       404:
  *         description: Trimester not found
+ *       409:
+ *         description: The trimester belongs to an archived academic year, or the dates overlap another trimester of the year
  *       500:
  *         description: Server error
  *
@@ -189,6 +237,9 @@ const idValidation = [
  *           type: string
  *         description: MongoDB ObjectId of the trimester
  *         example: 507f1f77bcf86cd799439011
+ *       - $ref: '#/components/parameters/Cascade'
+ *       - $ref: '#/components/parameters/CascadeTarget'
+ *       - $ref: '#/components/parameters/CascadeOverride'
  *     responses:
  *       200:
  *         description: Trimester deleted successfully
@@ -204,18 +255,168 @@ const idValidation = [
  *                   type: string
  *                   example: Trimester deleted successfully
  *       400:
+ *         description: Invalid ID, cascade mode or target (the target cannot be the record itself)
+ *       404:
+ *         description: Trimester or cascade=reassign target not found
+ *       409:
+ *         description: The trimester belongs to an archived academic year, other records still reference it without cascade (counts in details), or the cascade changes records of an archived year or a locked trimester without an admin override reason, or reassigned records would duplicate records of the target (conflicts in details)
+ *       500:
+ *         description: Server error
+ */
+
+/**
+ * @swagger
+ * /api/trimesters/current:
+ *   get:
+ *     summary: Get the current trimester
+ *     tags: [Trimesters]
+ *     description: The trimester whose dates (dateDebut to dateFin) contain today. Grades recorded without idtrimestre go to it.
+ *     responses:
+ *       200:
+ *         description: Current trimester
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Trimester'
+ *       404:
+ *         description: No trimester covers the current date
+ *       500:
+ *         description: Server error
+ */
+
+/**
+ * @swagger
+ * /api/trimesters/{id}/lock:
+ *   put:
+ *     summary: Lock a trimester once the class council is done (Admin)
+ *     tags: [Trimesters]
+ *     description: |
+ *       Grades of a locked trimester can no longer be created, modified or deleted, except by admins
+ *       giving an override reason (`motifDerogation`). The reason is kept in the audit log and the grade history.
+ *       The lock is recorded in the audit log (action lock).
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the trimester
+ *     responses:
+ *       200:
+ *         description: Trimester locked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Trimester'
+ *       400:
+ *         description: Invalid ID format
+ *       404:
+ *         description: Trimester not found
+ *       409:
+ *         description: The trimester belongs to an archived academic year
+ *       500:
+ *         description: Server error
+ */
+
+/**
+ * @swagger
+ * /api/trimesters/{id}/unlock:
+ *   put:
+ *     summary: Unlock a trimester (Admin)
+ *     tags: [Trimesters]
+ *     description: |
+ *       Grades of the trimester can be written again. The unlock is recorded in the audit log (action unlock).
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the trimester
+ *     responses:
+ *       200:
+ *         description: Trimester unlocked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Trimester'
+ *       400:
+ *         description: Invalid ID format
+ *       404:
+ *         description: Trimester not found
+ *       409:
+ *         description: The trimester belongs to an archived academic year
+ *       500:
+ *         description: Server error
+ */
+
+/**
+ * @swagger
+ * /api/trimesters/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted trimester
+ *     description: Deleted records are kept and hidden from every query until restored.
+ *     tags: [Trimesters]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: MongoDB ObjectId of the trimester
+ *         example: 507f1f77bcf86cd799439011
+ *     responses:
+ *       200:
+ *         description: Trimester restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Trimester'
+ *       400:
  *         description: Invalid ID format
+ *       403:
+ *         description: Forbidden - Admin role required
  *       404:
  *         description: Trimester not found
+ *       409:
+ *         description: The trimester is not deleted, its dates overlap another trimester of the year or its academic year is archived
  *       500:
  *         description: Server error
  */
 
 // Routes with authentication
-router.get('/', protect, trimesterController.getAll);
-router.get('/:id', protect, idValidation, validate, trimesterController.getById);
+router.get('/', protect, filterValidation, includeDeletedValidation(), validate, trimesterController.getAll);
+router.get('/current', protect, trimesterController.getCurrent);
+router.get('/:id', protect, idValidation, includeDeletedValidation(), validate, trimesterController.getById);
 router.post('/', protect, authorize('admin'), trimesterValidationRules, validate, trimesterController.create);
 router.put('/:id', protect, authorize('admin'), idValidation, trimesterValidationRules, validate, trimesterController.update);
-router.delete('/:id', protect, authorize('admin'), idValidation, validate, trimesterController.delete);
+router.put('/:id/lock', protect, authorize('admin'), idValidation, validate, trimesterController.lock);
+router.put('/:id/unlock', protect, authorize('admin'), idValidation, validate, trimesterController.unlock);
+router.delete('/:id', protect, authorize('admin'), idValidation, cascadeValidation(), validate, trimesterController.delete);
+router.post('/:id/restore', protect, authorize('admin'), idValidation, validate, trimesterController.restore);
 
 module.exports = router;
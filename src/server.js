@@ -1,6 +1,15 @@
 require('dotenv').config();
 const app = require('./app');
 const connectDB = require('./config/database');
+const mailService = require('./services/mailService');
+
+// Refuse to start without a usable mail transport: password reset mails would be lost
+try {
+  mailService.getTransport();
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
 
 // Connect to database
 connectDB();
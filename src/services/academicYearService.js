@@ -0,0 +1,409 @@
+const AcademicYear = require('../models/AcademicYear');
+const Class = require('../models/Class');
+const Trimester = require('../models/Trimester');
+const Student = require('../models/Student');
+const Teacher = require('../models/Teacher');
+const TeachingAssignment = require('../models/TeachingAssignment');
+const auditService = require('./auditService');
+const { sameId } = require('../utils/permissions');
+const { insertAllOrNothing } = require('../utils/bulkInsert');
+const { runInTransaction } = require('../utils/transaction');
+const { schoolYearOf, nextSchoolYear } = require('../utils/schoolYear');
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const conflict = (message) => {
+  const error = new Error(message);
+  error.statusCode = 409;
+  return error;
+};
+
+class AcademicYearService {
+  // Get all academic years, most recent first
+  async getAllYears() {
+    return await AcademicYear.find().sort({ nom: -1 });
+  }
+
+  async getYearById(id) {
+    const year = await AcademicYear.findById(id);
+    if (!year) {
+      const error = new Error('Academic year not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return year;
+  }
+
+  /**
+   * Create an academic year
+   * @param {Object} yearData - nom (e.g. 2025-2026)
+   * @returns {Promise<Object>} Created academic year
+   * @throws {Error} If the year already exists (409)
+   */
+  async createYear(yearData) {
+    await this.assertNameAvailable(yearData.nom);
+    return await AcademicYear.create({ nom: yearData.nom });
+  }
+
+  /**
+   * Rename an academic year
+   * @param {string} id - AcademicYear ObjectId
+   * @param {Object} yearData - nom
+   * @returns {Promise<Object>} Updated academic year
+   * @throws {Error} If not found (404), archived or the name is taken (409)
+   */
+  async updateYear(id, yearData) {
+    const year = await this.getYearById(id);
+    this.assertNotArchived(year);
+
+    if (yearData.nom !== undefined && yearData.nom !== year.nom) {
+      await this.assertNameAvailable(yearData.nom);
+      year.nom = yearData.nom;
+    }
+    await year.save();
+    return year;
+  }
+
+  /**
+   * Delete an academic year that owns no class or trimester
+   * @param {string} id - AcademicYear ObjectId
+   * @returns {Promise<Object>} Deleted academic year
+   * @throws {Error} If not found (404) or classes or trimesters still belong to it (409)
+   */
+  async deleteYear(id) {
+    const year = await this.getYearById(id);
+
+    const [classCount, trimesterCount] = await Promise.all([
+      Class.countDocuments({ idannee: id }),
+      Trimester.countDocuments({ idannee: id })
+    ]);
+    if (classCount > 0 || trimesterCount > 0) {
+      throw conflict(
+        `Cannot delete an academic year with classes (${classCount}) or trimesters (${trimesterCount})`
+      );
+    }
+
+    await year.deleteOne();
+    return year;
+  }
+
+  /**
+   * Move to the next school year
+   * Creates the classes of the next year (creating the year itself when needed), copies the
+   * teaching assignments of each source class to the class mapped to it for the new school year,
+   * moves the students of each source class into that class, then archives the source year.
+   * Every entry is checked before anything is written, then everything is written in one
+   * transaction: when a step fails, nothing is changed. Moved students keep their old class in
+   * classesPrecedentes, so the statistics and report cards of the archived year stay available.
+   *
+   * Students of a source class without mapping keep their old class (leavers); a student
+   * entry overrides the mapping for one student (e.g. repeating the year).
+   * @param {string} id - AcademicYear ObjectId of the year being closed
+   * @param {Object} rolloverData - nom (next school year by default),
+   *   classes: [{ nom, prof, from }] where from is a class of the closed year
+   *   (prof defaults to its teacher), students: [{ ideleve, classe }] where classe is a new class name
+   * @returns {Promise<Object>} { year, archived, classes, assignments, promoted, unassigned }
+   * @throws {Error} If not found (404), an entry is invalid (400),
+   *   the year is archived or a class already exists in the next year (409)
+   * @example
+   * await academicYearService.rollover(yearId, {
+   *   classes: [{ nom: 'CM2-A', from: cm1aId }, { nom: 'CM1-A', prof: teacherId }],
+   *   students: [{ ideleve: repeaterId, classe: 'CM1-A' }]
+   * });
+   */
+  async rollover(id, rolloverData) {
+    const source = await this.getYearById(id);
+    if (source.archivee) {
+      throw conflict(`Academic year ${source.nom} is already archived`);
+    }
+
+    const { classes: entries = [], students: overrides = [] } = rolloverData;
+    const nom = rolloverData.nom || nextSchoolYear(source.nom);
+    if (nom === source.nom) {
+      throw badRequest('The next academic year must differ from the archived one');
+    }
+
+    let target = await AcademicYear.findOne({ nom });
+    if (target && target.archivee) {
+      throw conflict(`Academic year ${target.nom} is archived and read-only`);
+    }
+
+    const sourceClasses = await Class.find({ idannee: source._id });
+    const sourceClassesById = new Map(sourceClasses.map(classe => [classe._id.toString(), classe]));
+
+    const names = new Set();
+    const sources = new Set();
+    entries.forEach(entry => {
+      if (names.has(entry.nom)) {
+        throw badRequest(`Class ${entry.nom} appears more than once`);
+      }
+      names.add(entry.nom);
+
+      if (entry.from) {
+        if (!sourceClassesById.has(String(entry.from))) {
+          throw badRequest(`Class (${entry.from}) does not belong to academic year ${source.nom}`);
+        }
+        if (sources.has(String(entry.from))) {
+          throw badRequest(`Class (${entry.from}) is mapped more than once`);
+        }
+        sources.add(String(entry.from));
+      } else if (!entry.prof) {
+        throw badRequest(`A teacher (prof) is required for class ${entry.nom}`);
+      }
+    });
+
+    const profs = entries.map(entry => entry.prof || sourceClassesById.get(String(entry.from)).prof);
+    const teachers = await Teacher.find({ _id: { $in: profs } }).select('_id');
+    profs.forEach(prof => {
+      if (!teachers.some(teacher => sameId(teacher._id, prof))) {
+        throw badRequest(`Referenced teacher (${prof}) not found`);
+      }
+    });
+
+    const students = await Student.find({ _id: { $in: overrides.map(override => override.ideleve) } }).select('classe classesPrecedentes');
+    overrides.forEach(override => {
+      const student = students.find(candidate => sameId(candidate._id, override.ideleve));
+      if (!student || !sourceClassesById.has(student.classe.toString())) {
+        throw badRequest(`Student (${override.ideleve}) is not in a class of academic year ${source.nom}`);
+      }
+      if (!names.has(override.classe)) {
+        throw badRequest(`Class ${override.classe} is not created by the rollover`);
+      }
+    });
+
+    if (target && await Class.exists({ idannee: target._id, nom: { $in: [...names] } })) {
+      throw conflict(`Academic year ${target.nom} already has a class with one of these names`);
+    }
+
+    const createdYear = !target;
+    if (createdYear) {
+      target = new AcademicYear({ nom });
+    }
+
+    const classes = entries.map((entry, index) => new Class({ nom: entry.nom, prof: profs[index], idannee: target._id }));
+    const assignments = await this.copyAssignments(entries, classes, target);
+    const classesByName = new Map(classes.map(classe => [classe.nom, classe]));
+    const overriddenIds = overrides.map(override => override.ideleve);
+
+    // Class changes of the students, kept for the audit log
+    let moves = [];
+    const moveStudents = (movedStudents, classe) => movedStudents.forEach(student => moves.push({
+      action: 'update',
+      entity: 'Student',
+      before: student,
+      after: {
+        ...student.toObject(),
+        classe: classe._id,
+        classesPrecedentes: [...(student.classesPrecedentes || []), student.classe]
+      }
+    }));
+
+    let promoted = 0;
+    let unassigned = 0;
+    await runInTransaction(async session => {
+      moves = [];
+      if (createdYear) {
+        [target] = await AcademicYear.create([{ _id: target._id, nom }], { session });
+      }
+      await insertAllOrNothing(Class, classes, session);
+      await insertAllOrNothing(TeachingAssignment, assignments, session);
+
+      promoted = overrides.length;
+      for (let index = 0; index < entries.length; index++) {
+        const { from } = entries[index];
+        if (from) {
+          const filter = { classe: from, _id: { $nin: overriddenIds } };
+          moveStudents(await Student.find(filter, 'classe classesPrecedentes', { session }), classes[index]);
+          const result = await Student.updateMany(
+            filter,
+            { $set: { classe: classes[index]._id }, $push: { classesPrecedentes: from } },
+            { session }
+          );
+          promoted += result.modifiedCount;
+        }
+      }
+      for (const override of overrides) {
+        const student = students.find(candidate => sameId(candidate._id, override.ideleve));
+        const classe = classesByName.get(override.classe);
+        await Student.updateOne(
+          { _id: override.ideleve },
+          { $set: { classe: classe._id }, $push: { classesPrecedentes: student.classe } },
+          { session }
+        );
+        moveStudents([student], classe);
+      }
+
+      unassigned = await Student.countDocuments({ classe: { $in: sourceClasses.map(classe => classe._id) } }, { session });
+
+      source.archivee = true;
+      source.dateArchivage = new Date();
+      await source.save({ session });
+    });
+
+    await auditService.recordMany(classes.map(classe => ({ action: 'create', entity: 'Class', after: classe })));
+    await auditService.recordMany(moves);
+
+    return {
+      year: target,
+      archived: source,
+      classes: await Class.find({ _id: { $in: classes.map(classe => classe._id) } })
+        .populate('prof', 'nom prenom')
+        .sort({ nom: 1 }),
+      assignments: assignments.length,
+      promoted,
+      unassigned
+    };
+  }
+
+  /**
+   * Prepare the teaching assignments of the classes created by a rollover
+   * Each new class gets the subject teachers of its source class, for the new school year.
+   * @param {Array<Object>} entries - Rollover class entries (from: source class)
+   * @param {Array<Object>} classes - New classes, in the order of the entries
+   * @param {Object} year - Academic year of the new classes
+   * @returns {Promise<Array<Object>>} Unsaved TeachingAssignment documents
+   */
+  async copyAssignments(entries, classes, year) {
+    const sourceIds = entries.filter(entry => entry.from).map(entry => entry.from);
+    if (sourceIds.length === 0) {
+      return [];
+    }
+
+    const sourceAssignments = await TeachingAssignment.find({ idclasse: { $in: sourceIds } });
+    const assignments = [];
+    entries.forEach((entry, index) => {
+      const keys = new Set();
+      sourceAssignments
+        .filter(assignment => entry.from && sameId(assignment.idclasse, entry.from))
+        .forEach(({ idprof, idmatiere }) => {
+          // A source class may hold the same assignment for several school years
+          const key = `${idprof}:${idmatiere}`;
+          if (!keys.has(key)) {
+            keys.add(key);
+            assignments.push(new TeachingAssignment({ idprof, idmatiere, idclasse: classes[index]._id, anneeScolaire: year.nom }));
+          }
+        });
+    });
+    return assignments;
+  }
+
+  /**
+   * Get the academic year to attach a new class or trimester to
+   * @param {string} [yearId] - AcademicYear ObjectId given in the payload
+   * @returns {Promise<Object|undefined>} The given year, or the current school year when it exists
+   * @throws {Error} If the given year is missing (400) or archived (409)
+   */
+  async resolveYear(yearId) {
+    if (!yearId) {
+      return await AcademicYear.findOne({ nom: schoolYearOf() }) || undefined;
+    }
+
+    const year = await AcademicYear.findById(yearId);
+    if (!year) {
+      throw badRequest(`Referenced academic year (${yearId}) not found`);
+    }
+    this.assertNotArchived(year);
+    return year;
+  }
+
+  /**
+   * Get the academic year of today's school year
+   * @returns {Promise<Object|null>} The current academic year, null when it does not exist or is archived
+   */
+  async getCurrentYear() {
+    return await AcademicYear.findOne({ nom: schoolYearOf(), archivee: false });
+  }
+
+  /**
+   * Query value matching the documents of a school year (idannee field)
+   * @param {string} label - School year label, e.g. 2024-2025
+   * @returns {Promise<Object>} { $in: [yearId] }, matching nothing when the year does not exist
+   */
+  async getYearIdFilter(label) {
+    const year = await AcademicYear.findOne({ nom: label }).select('_id');
+    return { $in: year ? [year._id] : [] };
+  }
+
+  /**
+   * Query value matching the documents recorded in the trimesters of a school year (idtrimestre field)
+   * @param {string} label - School year label, e.g. 2024-2025
+   * @returns {Promise<Object>} { $in: [trimesterIds] }
+   */
+  async getTrimesterIdFilter(label) {
+    const trimesters = await Trimester.find({ idannee: await this.getYearIdFilter(label) }).select('_id');
+    return { $in: trimesters.map(trimester => trimester._id) };
+  }
+
+  /**
+   * Get the school year a record belongs to
+   * Read from the academic year of its class, then of its trimester; records whose class and
+   * trimester do not belong to a year are in the current school year.
+   * @param {Object} values - idclasse and/or idtrimestre of the record
+   * @returns {Promise<string>} School year label, e.g. 2024-2025
+   */
+  async getSchoolYearOf({ idclasse, idtrimestre }) {
+    const [classe, trimester] = await Promise.all([
+      idclasse ? Class.findById(idclasse).select('idannee') : null,
+      idtrimestre ? Trimester.findById(idtrimestre).select('idannee') : null
+    ]);
+
+    const owner = [classe, trimester].find(candidate => candidate && candidate.idannee);
+    const year = owner ? await AcademicYear.findById(owner.idannee).select('nom') : null;
+    return year ? year.nom : schoolYearOf();
+  }
+
+  /**
+   * Refuse writes to a record of an archived academic year
+   * The year is read from the class and trimester of the record; records whose class and
+   * trimester do not belong to a year are writable.
+   * @param {Object} values - idclasse and/or idtrimestre of the record
+   * @throws {Error} If the class or trimester belongs to an archived year (409)
+   */
+  async assertWritable({ idclasse, idtrimestre }) {
+    const [classe, trimester] = await Promise.all([
+      idclasse ? Class.findById(idclasse).select('idannee') : null,
+      idtrimestre ? Trimester.findById(idtrimestre).select('idannee') : null
+    ]);
+
+    await this.assertYearWritable([classe, trimester]
+      .filter(owner => owner && owner.idannee)
+      .map(owner => owner.idannee));
+  }
+
+  /**
+   * Refuse writes to archived academic years
+   * @param {Array<string>|string} yearIds - AcademicYear ObjectIds (missing ones are ignored)
+   * @throws {Error} If one of the years is archived (409)
+   */
+  async assertYearWritable(yearIds) {
+    const ids = [].concat(yearIds).filter(Boolean);
+    if (ids.length === 0) {
+      return;
+    }
+
+    const archived = await AcademicYear.findOne({ _id: { $in: ids }, archivee: true });
+    if (archived) {
+      this.assertNotArchived(archived);
+    }
+  }
+
+  // Archived years are read-only
+  assertNotArchived(year) {
+    if (year.archivee) {
+      throw conflict(`Academic year ${year.nom} is archived and read-only`);
+    }
+  }
+
+  // School year labels are unique
+  async assertNameAvailable(nom) {
+    if (await AcademicYear.exists({ nom })) {
+      throw conflict(`Academic year ${nom} already exists`);
+    }
+  }
+}
+
+module.exports = new AcademicYearService();
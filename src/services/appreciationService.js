@@ -0,0 +1,192 @@
+const Appreciation = require('../models/Appreciation');
+const Student = require('../models/Student');
+const Subject = require('../models/Subject');
+const Teacher = require('../models/Teacher');
+const Trimester = require('../models/Trimester');
+const {
+  forbidden,
+  hasFullAccess,
+  getLinkedTeacherId,
+  sameId,
+  assertCanViewStudent,
+  scopeToVisibleStudents
+} = require('../utils/permissions');
+const teachingAssignmentService = require('./teachingAssignmentService');
+const academicYearService = require('./academicYearService');
+const { withDeleted } = require('../utils/softDelete');
+
+class AppreciationService {
+  // Student and parent accounts only get their own records
+  async getAllAppreciations(filters = {}, user) {
+    const query = {};
+
+    // Build filter object from query params
+    if (filters.student) query.ideleve = filters.student;
+    if (filters.subject) query.idmatiere = filters.subject;
+    if (filters.trimester) query.idtrimestre = filters.trimester;
+    if (filters.teacher) query.idprof = filters.teacher;
+    scopeToVisibleStudents(query, user, 'ideleve');
+
+    return await Appreciation.find(query)
+      .populate(withDeleted('ideleve', 'nom prenom'))
+      .populate(withDeleted('idmatiere', 'nom'))
+      .populate(withDeleted('idtrimestre', 'nom'))
+      .populate(withDeleted('idprof', 'nom prenom'))
+      .sort({ createdAt: -1 });
+  }
+
+  async getAppreciationById(id, user) {
+    const appreciation = await Appreciation.findById(id)
+      .populate(withDeleted('ideleve', 'nom prenom'))
+      .populate(withDeleted('idmatiere', 'nom'))
+      .populate(withDeleted('idtrimestre', 'nom'))
+      .populate(withDeleted('idprof', 'nom prenom'));
+
+    if (!appreciation) {
+      const error = new Error('Appreciation not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    assertCanViewStudent(user, appreciation.ideleve);
+    return appreciation;
+  }
+
+  /**
+   * Create the appreciation of a subject teacher for a student and trimester
+   * The author must own the subject: they must be assigned to it in the student's class.
+   * A teacher account can only write appreciations under its own teacher profile.
+   * @param {Object} appreciationData - ideleve, idmatiere, idtrimestre, idprof, texte
+   * @param {Object} [user] - Authenticated user (req.user)
+   * @returns {Promise<Object>} Created appreciation with populated references
+   * @throws {Error} If a reference is missing (400), the teacher is not allowed to write it (403)
+   *   or the academic year is archived (409)
+   */
+  async createAppreciation(appreciationData, user) {
+    if (!hasFullAccess(user) && !sameId(appreciationData.idprof, getLinkedTeacherId(user))) {
+      throw forbidden('Teachers can only write appreciations under their own profile (idprof)');
+    }
+
+    const student = await Student.findById(appreciationData.ideleve);
+    if (!student) {
+      const error = new Error(`Referenced student (${appreciationData.ideleve}) not found`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const subject = await Subject.findById(appreciationData.idmatiere);
+    if (!subject) {
+      const error = new Error(`Referenced subject (${appreciationData.idmatiere}) not found`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const trimester = await Trimester.findById(appreciationData.idtrimestre);
+    if (!trimester) {
+      const error = new Error(`Referenced trimester (${appreciationData.idtrimestre}) not found`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const teacher = await Teacher.findById(appreciationData.idprof);
+    if (!teacher) {
+      const error = new Error(`Referenced teacher (${appreciationData.idprof}) not found`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // The subject teacher is the one assigned to this subject in the student's class
+    const teachesSubject = await teachingAssignmentService.teaches({
+      idprof: appreciationData.idprof,
+      idmatiere: appreciationData.idmatiere,
+      idclasse: student.classe,
+      idtrimestre: appreciationData.idtrimestre
+    });
+    if (!teachesSubject) {
+      const error = new Error('Teacher does not teach this subject in the student\'s class');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    await academicYearService.assertWritable({ idclasse: student.classe, idtrimestre: appreciationData.idtrimestre });
+
+    const appreciation = new Appreciation(appreciationData);
+    await appreciation.save();
+
+    return await this.getAppreciationById(appreciation._id);
+  }
+
+  /**
+   * Update the text of an appreciation
+   * References (student, subject, trimester, author) cannot be changed
+   * A teacher account can only update its own appreciations.
+   * @param {string} id - Appreciation ObjectId
+   * @param {Object} updateData - Update payload (only texte is applied)
+   * @param {Object} [user] - Authenticated user (req.user)
+   * @returns {Promise<Object>} Updated appreciation
+   * @throws {Error} If appreciation not found (404), written by another teacher (403) or archived (409)
+   */
+  async updateAppreciation(id, updateData, user) {
+    await this.assertAuthor(id, user);
+    await this.assertWritable(id);
+
+    const appreciation = await Appreciation.findByIdAndUpdate(
+      id,
+      { texte: updateData.texte },
+      { new: true, runValidators: true }
+    )
+      .populate(withDeleted('ideleve', 'nom prenom'))
+      .populate(withDeleted('idmatiere', 'nom'))
+      .populate(withDeleted('idtrimestre', 'nom'))
+      .populate(withDeleted('idprof', 'nom prenom'));
+
+    if (!appreciation) {
+      const error = new Error('Appreciation not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return appreciation;
+  }
+
+  async deleteAppreciation(id, user) {
+    await this.assertAuthor(id, user);
+    await this.assertWritable(id);
+
+    const appreciation = await Appreciation.findByIdAndDelete(id);
+    if (!appreciation) {
+      const error = new Error('Appreciation not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return appreciation;
+  }
+
+  /**
+   * Check that a teacher account authored an existing appreciation
+   * Admins keep full access. Missing appreciations are left to the caller (404).
+   * @param {string} id - Appreciation ObjectId
+   * @param {Object} [user] - Authenticated user (req.user)
+   * @throws {Error} If the appreciation was written by another teacher (403)
+   */
+  async assertAuthor(id, user) {
+    if (hasFullAccess(user)) {
+      return;
+    }
+
+    const teacherId = getLinkedTeacherId(user);
+    const appreciation = await Appreciation.findById(id);
+    if (appreciation && !sameId(appreciation.idprof, teacherId)) {
+      throw forbidden('You can only modify appreciations you wrote');
+    }
+  }
+
+  // Appreciations of an archived academic year are read-only (409), missing ones are left to the caller (404)
+  async assertWritable(id) {
+    const appreciation = await Appreciation.findById(id);
+    if (appreciation) {
+      await academicYearService.assertWritable(appreciation);
+    }
+  }
+}
+
+module.exports = new AppreciationService();
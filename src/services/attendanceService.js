@@ -0,0 +1,425 @@
+const Attendance = require('../models/Attendance');
+const Student = require('../models/Student');
+const Class = require('../models/Class');
+const Trimester = require('../models/Trimester');
+const academicYearService = require('./academicYearService');
+const teachingAssignmentService = require('./teachingAssignmentService');
+const {
+  forbidden,
+  hasFullAccess,
+  getLinkedTeacherId,
+  sameId,
+  assertCanViewStudent,
+  scopeToVisibleStudents
+} = require('../utils/permissions');
+const { paginate } = require('../utils/pagination');
+const { withDeleted } = require('../utils/softDelete');
+
+// References checked before an attendance record is written
+const REFERENCES = [
+  [Student, 'ideleve', 'student'],
+  [Class, 'idclasse', 'class'],
+  [Trimester, 'idtrimestre', 'trimester']
+];
+
+// Fields set when recording or correcting an attendance record (justification has its own endpoint)
+const RECORD_FIELDS = ['ideleve', 'idclasse', 'idtrimestre', 'date', 'creneau', 'type', 'minutesRetard'];
+
+const populateAttendance = query => query
+  .populate(withDeleted('ideleve', 'nom prenom'))
+  .populate(withDeleted('idclasse', 'nom'))
+  .populate(withDeleted('idtrimestre', 'nom'))
+  .populate('justification.validePar', 'username');
+
+const formatDay = date => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Count absences and late arrivals
+ * A record is justified once the school validated its justification.
+ * @param {Array<Object>} records - Attendance records
+ * @returns {Object} absences, justifiedAbsences, unjustifiedAbsences, lates, justifiedLates,
+ *   unjustifiedLates and lateMinutes
+ */
+const summarizeAttendance = (records) => {
+  const absences = records.filter(record => record.type === 'absence');
+  const lates = records.filter(record => record.type === 'late');
+  const justifiedAbsences = absences.filter(record => record.justifiee).length;
+  const justifiedLates = lates.filter(record => record.justifiee).length;
+
+  return {
+    absences: absences.length,
+    justifiedAbsences,
+    unjustifiedAbsences: absences.length - justifiedAbsences,
+    lates: lates.length,
+    justifiedLates,
+    unjustifiedLates: lates.length - justifiedLates,
+    lateMinutes: lates.reduce((total, record) => total + (record.minutesRetard || 0), 0)
+  };
+};
+
+class AttendanceService {
+  // Student and parent accounts only get their own records
+  // Paginated list, options come from getListOptions (page, limit, sort, fields)
+  async getAllAttendance(filters = {}, options = {}, user) {
+    const query = {};
+
+    // Build filter object from query params
+    if (filters.student) query.ideleve = filters.student;
+    if (filters.class) query.idclasse = filters.class;
+    if (filters.trimester) query.idtrimestre = filters.trimester;
+    if (filters.type) query.type = filters.type;
+    if (filters.justified !== undefined) query.justifiee = filters.justified === 'true';
+    if (filters.from || filters.to) {
+      query.date = {};
+      if (filters.from) query.date.$gte = new Date(filters.from);
+      if (filters.to) query.date.$lte = new Date(filters.to);
+    }
+    scopeToVisibleStudents(query, user, 'ideleve');
+
+    return await paginate(Attendance, query, { ...options, defaultSort: { date: -1, creneau: 1 } }, populateAttendance);
+  }
+
+  async getAttendanceById(id, user) {
+    const record = await populateAttendance(Attendance.findById(id));
+
+    if (!record) {
+      const error = new Error('Attendance record not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    assertCanViewStudent(user, record.ideleve);
+    return record;
+  }
+
+  /**
+   * Record an absence or a late arrival
+   * The student must belong to the class, the date must fall within the trimester, and only one
+   * record is kept per student and time slot. Teachers only record the attendance of the classes
+   * they teach. A reason and document flag may be given at once; validating them is done with
+   * justifyAttendance().
+   * @param {Object} attendanceData - ideleve, idclasse, idtrimestre, date, creneau, type, minutesRetard,
+   *   justification { motif, justificatif }
+   * @param {Object} [user] - Authenticated user (req.user)
+   * @returns {Promise<Object>} Created record with populated references
+   * @throws {Error} If a reference is missing, the student is not in the class or the date is outside
+   *   the trimester (400), the teacher does not teach in the class (403), the academic year is archived
+   *   or the time slot is already recorded (409)
+   */
+  async createAttendance(attendanceData, user) {
+    const data = this.pickRecordFields(attendanceData);
+    await this.assertValidReferences(data);
+    await this.assertCanWriteAttendance(user, data.idclasse);
+    await academicYearService.assertWritable(data);
+    await this.assertSlotAvailable(data);
+
+    const record = new Attendance(data);
+    if (attendanceData.justification) {
+      record.justification = {
+        motif: attendanceData.justification.motif,
+        justificatif: attendanceData.justification.justificatif
+      };
+    }
+    await record.save();
+
+    return await this.getAttendanceById(record._id);
+  }
+
+  /**
+   * Correct an attendance record (student, class, date, time slot, type, lateness)
+   * Changing a late arrival into an absence drops its minutes of lateness. Teachers only correct
+   * the records of the classes they teach, and cannot move them to another class they do not teach.
+   * @param {string} id - Attendance ObjectId
+   * @param {Object} attendanceData - Fields to update
+   * @param {Object} [user] - Authenticated user (req.user)
+   * @returns {Promise<Object>} Updated record with populated references
+   * @throws {Error} If not found (404), a reference is missing, the student is not in the class or the
+   *   date is outside the trimester (400), the teacher does not teach in the class (403), the academic
+   *   year is archived or the time slot is already recorded (409)
+   */
+  async updateAttendance(id, attendanceData, user) {
+    const record = await this.findRecord(id);
+    const changes = this.pickRecordFields(attendanceData);
+    await this.assertCanWriteAttendance(user, record.idclasse);
+
+    // A record of an archived year cannot be corrected, nor moved out of it
+    await academicYearService.assertWritable(record);
+    await academicYearService.assertWritable(changes);
+
+    const target = { ...changes };
+    if (changes.ideleve || changes.idclasse) {
+      // Class membership is checked on the values the record ends up with
+      target.ideleve = changes.ideleve || record.ideleve;
+      target.idclasse = changes.idclasse || record.idclasse;
+    }
+    if (changes.date || changes.idtrimestre) {
+      // The date is checked against the trimester the record ends up with
+      target.date = changes.date || record.date;
+      target.idtrimestre = changes.idtrimestre || record.idtrimestre;
+    }
+    await this.assertValidReferences(target);
+    if (changes.idclasse) {
+      await this.assertCanWriteAttendance(user, changes.idclasse);
+    }
+
+    if (changes.ideleve || changes.date || changes.creneau) {
+      await this.assertSlotAvailable({
+        ideleve: changes.ideleve || record.ideleve,
+        date: changes.date || record.date,
+        creneau: changes.creneau || record.creneau
+      }, id);
+    }
+
+    record.set(changes);
+    if (record.type === 'absence') {
+      record.minutesRetard = undefined;
+    }
+    await record.save();
+
+    return await this.getAttendanceById(id);
+  }
+
+  /**
+   * Record the justification of an absence or late arrival
+   * Validating it marks the record as justified and keeps who validated it and when;
+   * withdrawing the validation marks it unjustified again.
+   * @param {string} id - Attendance ObjectId
+   * @param {Object} justificationData - motif, justificatif, valide
+   * @param {Object} [user] - Authenticated user (req.user)
+   * @returns {Promise<Object>} Updated record with populated references
+   * @throws {Error} If not found (404), the teacher does not teach in the class (403) or the
+   *   academic year is archived (409)
+   */
+  async justifyAttendance(id, justificationData, user) {
+    const record = await this.findRecord(id);
+    await this.assertCanWriteAttendance(user, record.idclasse);
+    await academicYearService.assertWritable(record);
+    const { motif, justificatif, valide } = justificationData;
+
+    if (motif !== undefined) record.justification.motif = motif;
+    if (justificatif !== undefined) record.justification.justificatif = justificatif;
+    if (valide === true) {
+      record.justifiee = true;
+      record.justification.validePar = user ? user._id : undefined;
+      record.justification.valideLe = new Date();
+    } else if (valide === false) {
+      record.justifiee = false;
+      record.justification.validePar = undefined;
+      record.justification.valideLe = undefined;
+    }
+    await record.save();
+
+    return await this.getAttendanceById(id);
+  }
+
+  // Teachers only delete the records of the classes they teach (403), records of an archived
+  // academic year are kept (409)
+  async deleteAttendance(id, user) {
+    const record = await this.findRecord(id);
+    await this.assertCanWriteAttendance(user, record.idclasse);
+    await academicYearService.assertWritable(record);
+    await record.deleteOne();
+
+    return record;
+  }
+
+  /**
+   * Count the absences and late arrivals of a student
+   * Used by the report card; no access check is made here.
+   * @param {string} studentId - Student ObjectId
+   * @param {string} [trimesterId] - Trimester ObjectId, every trimester when omitted
+   * @returns {Promise<Object>} Counts, see summarizeAttendance()
+   */
+  async getAttendanceCounts(studentId, trimesterId) {
+    const query = { ideleve: studentId };
+    if (trimesterId) query.idtrimestre = trimesterId;
+
+    return summarizeAttendance(await Attendance.find(query));
+  }
+
+  /**
+   * Build the attendance summary of a student
+   * @param {string} studentId - Student ObjectId
+   * @param {Object} [filters={}] - Optional trimester filter
+   * @param {Object} [user] - Authenticated user (req.user)
+   * @returns {Promise<Object>} { student, summary, records } with records in chronological order
+   * @throws {Error} If the student is outside the account scope (403) or not found (404)
+   */
+  async getStudentSummary(studentId, filters = {}, user) {
+    assertCanViewStudent(user, studentId);
+
+    const student = await Student.findById(studentId);
+    if (!student) {
+      const error = new Error('Student not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const query = { ideleve: studentId };
+    if (filters.trimester) query.idtrimestre = filters.trimester;
+    const records = await Attendance.find(query)
+      .populate(withDeleted('idtrimestre', 'nom'))
+      .sort({ date: 1, creneau: 1 });
+
+    return {
+      student: { _id: student._id, nom: student.nom, prenom: student.prenom },
+      summary: summarizeAttendance(records),
+      records
+    };
+  }
+
+  /**
+   * Build the attendance summary of a class for a trimester
+   * Every student of the class is listed, including those without any record.
+   * @param {string} classId - Class ObjectId
+   * @param {string} trimesterId - Trimester ObjectId
+   * @returns {Promise<Object>} { class, trimester, summary, students: [{ student, summary }] }
+   * @throws {Error} If the class or trimester is not found (404)
+   */
+  async getClassSummary(classId, trimesterId) {
+    const classe = await Class.findById(classId);
+    if (!classe) {
+      const error = new Error('Class not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const trimester = await Trimester.findById(trimesterId);
+    if (!trimester) {
+      const error = new Error('Trimester not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    // Classes of archived years keep the students moved out by a rollover
+    const students = await Student.find({ $or: [{ classe: classId }, { classesPrecedentes: classId }] })
+      .sort({ nom: 1, prenom: 1 });
+    const records = await Attendance.find({ idclasse: classId, idtrimestre: trimesterId });
+
+    return {
+      class: { _id: classe._id, nom: classe.nom },
+      trimester: { _id: trimester._id, nom: trimester.nom },
+      summary: summarizeAttendance(records),
+      students: students.map(student => ({
+        student: { _id: student._id, nom: student.nom, prenom: student.prenom },
+        summary: summarizeAttendance(records.filter(record => sameId(record.ideleve, student._id)))
+      }))
+    };
+  }
+
+  /**
+   * Keep the fields of a record that can be written directly
+   * @param {Object} attendanceData - Request payload
+   * @returns {Object} Payload restricted to RECORD_FIELDS
+   */
+  pickRecordFields(attendanceData) {
+    const data = {};
+    RECORD_FIELDS
+      .filter(field => attendanceData[field] !== undefined)
+      .forEach(field => {
+        data[field] = attendanceData[field];
+      });
+    return data;
+  }
+
+  /**
+   * Check that an account may write the attendance of a class
+   * Teacher accounts must be the main teacher of the class (Class.prof) or teach a subject in it
+   * (teaching assignment); admins and internal calls write the attendance of every class.
+   * @param {Object} [user] - Authenticated user (req.user)
+   * @param {string} classId - Class of the record
+   * @throws {Error} If the teacher does not teach in the class (403)
+   */
+  async assertCanWriteAttendance(user, classId) {
+    if (hasFullAccess(user)) {
+      return;
+    }
+
+    const teacherId = getLinkedTeacherId(user);
+    const classe = classId ? await Class.findById(classId) : null;
+    const teachesClass = Boolean(classe) && (
+      sameId(classe.prof, teacherId)
+      || await teachingAssignmentService.teachesInClass({ idprof: teacherId, idclasse: classe._id })
+    );
+
+    if (!teachesClass) {
+      throw forbidden('Teachers can only record the attendance of the classes they teach');
+    }
+  }
+
+  /**
+   * Check that the references of a record exist, that the student belongs to the class and
+   * that the date falls within the trimester (when its dates are set)
+   * Only the references present in the payload are checked (partial updates).
+   * @param {Object} attendanceData - Record payload
+   * @throws {Error} If a reference is missing, the student is not in the class or the date is
+   *   outside the trimester (400)
+   */
+  async assertValidReferences(attendanceData) {
+    const present = REFERENCES.filter(([, field]) => attendanceData[field]);
+    const found = await Promise.all(present.map(([Model, field]) => Model.findById(attendanceData[field])));
+
+    found.forEach((document, index) => {
+      if (!document) {
+        const [, field, label] = present[index];
+        const error = new Error(`Referenced ${label} (${attendanceData[field]}) not found`);
+        error.statusCode = 400;
+        throw error;
+      }
+    });
+
+    const student = found[present.findIndex(([, field]) => field === 'ideleve')];
+    if (student && attendanceData.idclasse && !sameId(student.classe, attendanceData.idclasse)) {
+      const error = new Error('Student is not in the specified class');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // dateFin is the last day of the trimester, so days are compared
+    const trimester = found[present.findIndex(([, field]) => field === 'idtrimestre')];
+    if (trimester && trimester.dateDebut && trimester.dateFin && attendanceData.date) {
+      const day = formatDay(attendanceData.date);
+      if (day < formatDay(trimester.dateDebut) || day > formatDay(trimester.dateFin)) {
+        const error = new Error(
+          `Date is outside the trimester ${trimester.nom} (${formatDay(trimester.dateDebut)} to ${formatDay(trimester.dateFin)})`
+        );
+        error.statusCode = 400;
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Check that no other record exists for the student and time slot
+   * @param {Object} attendanceData - ideleve, date and creneau of the record
+   * @param {string} [excludeId] - Record being updated
+   * @throws {Error} If the time slot is already recorded (409)
+   */
+  async assertSlotAvailable(attendanceData, excludeId) {
+    const query = {
+      ideleve: attendanceData.ideleve,
+      date: attendanceData.date,
+      creneau: attendanceData.creneau
+    };
+    if (excludeId) query._id = { $ne: excludeId };
+
+    if (await Attendance.exists(query)) {
+      const error = new Error('An attendance record already exists for this student and time slot');
+      error.statusCode = 409;
+      throw error;
+    }
+  }
+
+  // Load an attendance record document, 404 when missing
+  async findRecord(id) {
+    const record = await Attendance.findById(id);
+    if (!record) {
+      const error = new Error('Attendance record not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return record;
+  }
+}
+
+module.exports = new AttendanceService();
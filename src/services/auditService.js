@@ -0,0 +1,89 @@
+const AuditLog = require('../models/AuditLog');
+const { diffDocuments } = require('../utils/diff');
+const { getRequestContext } = require('../utils/requestContext');
+const { paginate } = require('../utils/pagination');
+
+// A date without time (2024-10-14) includes the whole day
+const endOf = (value) => {
+  const end = new Date(value);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    end.setUTCDate(end.getUTCDate() + 1);
+  } else {
+    end.setMilliseconds(end.getMilliseconds() + 1);
+  }
+  return end;
+};
+
+class AuditService {
+  // Get audit log entries, most recent first
+  // Filters: entity, entityId, action, actor (User ID), from/to (dates, inclusive)
+  // Paginated list, options come from getListOptions (page, limit, sort, fields)
+  async getAuditLogs(filters = {}, options = {}) {
+    const query = {};
+
+    if (filters.entity) query.entity = filters.entity;
+    if (filters.entityId) query.entityId = filters.entityId;
+    if (filters.action) query.action = filters.action;
+    if (filters.actor) query.actor = filters.actor;
+    if (filters.from || filters.to) {
+      query.createdAt = {};
+      if (filters.from) query.createdAt.$gte = new Date(filters.from);
+      if (filters.to) query.createdAt.$lt = endOf(filters.to);
+    }
+
+    return await paginate(AuditLog, query, { ...options, defaultSort: { createdAt: -1 } });
+  }
+
+  /**
+   * Record a change in the audit log
+   * See recordMany.
+   * @param {Object} entry - action, entity, before, after and an optional reason
+   * @returns {Promise<Object|null>} The audit log entry, null when nothing was recorded
+   */
+  async record(entry) {
+    const [auditLog] = await this.recordMany([entry]);
+    return auditLog || null;
+  }
+
+  /**
+   * Record changes in the audit log
+   * The actor and IP come from the request being handled. Updates that change nothing are
+   * skipped. The change is already written when it is recorded: a failure to record is
+   * logged and does not fail the request.
+   * @param {Array<Object>} entries - One per record: action ('create', 'update' or 'delete'),
+   *   entity (model name), before (empty on create), after (empty on delete), reason
+   * @returns {Promise<Array<Object>>} The audit log entries
+   * @example
+   * await auditService.recordMany(grades.map(grade => ({ action: 'create', entity: 'Grade', after: grade })));
+   */
+  async recordMany(entries) {
+    const { user, ip } = getRequestContext();
+
+    const auditLogs = entries
+      .filter(({ before, after }) => before || after)
+      .map(({ action, entity, before, after, reason }) => ({
+        action,
+        entity,
+        entityId: (after || before)._id,
+        actor: user && user._id,
+        actorUsername: user && user.username,
+        ip,
+        changes: diffDocuments(before, after),
+        reason
+      }))
+      .filter(auditLog => auditLog.action !== 'update' || auditLog.changes.length > 0);
+
+    if (auditLogs.length === 0) {
+      return [];
+    }
+
+    try {
+      return await AuditLog.insertMany(auditLogs);
+    } catch (error) {
+      console.error(`[AUDIT] Failed to record ${auditLogs.length} change(s): ${error.message}`);
+      return [];
+    }
+  }
+}
+
+module.exports = new AuditService();
@@ -1,5 +1,29 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Teacher = require('../models/Teacher');
+const Student = require('../models/Student');
+const auditService = require('./auditService');
+const sessionService = require('./sessionService');
+const mailService = require('./mailService');
+const loginAttemptService = require('./loginAttemptService');
+const { generateToken, hashToken } = require('../utils/tokens');
+
+// Profiles linkable to an account, keyed by the role they belong to
+// Parents are linked to several students (their children)
+const PROFILE_LINKS = {
+    teacher: { model: Teacher, field: 'teacher' },
+    student: { model: Student, field: 'student' },
+    parent: { model: Student, field: 'children', multiple: true }
+};
+
+// Password reset tokens are valid 60 minutes unless PASSWORD_RESET_EXPIRE_MINUTES says otherwise
+const DEFAULT_PASSWORD_RESET_MINUTES = 60;
+
+const withStatus = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
 
 
 class AuthService {
@@ -9,8 +33,8 @@ class AuthService {
      * @param {string} userData.username - Username
      * @param {string} userData.email - Email address
      * @param {string} userData.password - Plain text password (will be hashed)
-     * @param {string} [userData.role] - User role (admin, teacher, student) - Optional, defaults to 'student'
-     * @returns {Object} New user object and JWT token
+     * @param {string} [userData.role] - User role (admin, teacher, student, parent) - Optional, defaults to 'student'
+     * @returns {Object} New user object, access token (token) and refresh token
      */
     async register({ username, email, password, role = undefined }) {
         try {
@@ -41,16 +65,17 @@ class AuthService {
             const user = new User(userData);
 
             await user.save();
+            await auditService.record({ action: 'create', entity: 'User', after: user });
 
-            // Generate JWT token
-            const token = this.generateToken(user);
+            // Open a session: short-lived access token and refresh token
+            const tokens = await this.issueTokens(user);
 
-            // Return safe user object (without password) and token
+            // Return safe user object (without password) and tokens
             return {
                 success: true,
                 data: {
                     user: user.toSafeObject(),
-                    token
+                    ...tokens
                 }
             };
 
@@ -69,37 +94,40 @@ class AuthService {
      * Login user with email and password
      * @param {string} email - User email
      * @param {string} password - Plain text password
-     * @returns {Object} User object and JWT token
+     * @returns {Object} User object, access token (token) and refresh token
+     * @throws {Error} If the credentials are wrong (400), or the email waits after failed
+     *   logins (429) or is locked (423) from this address, whether an account uses it or not
      */
     async login(email, password) {
         try {
+            // Refuse the attempt while the email waits after failed logins or is locked
+            await loginAttemptService.assertCanLogin(email);
+
             // Find user by email and include password for comparison
             const user = await User.findOne({ email }).select('+password');
 
-            if (!user) {
-                const error = new Error('Invalid email or password');
-                error.statusCode = 400;
-                throw error;
-            }
-
-            // Compare password using bcrypt
-            const isMatch = await user.comparePassword(password);
+            // Compare password using bcrypt. An unknown email counts as a failure too, so
+            // the responses do not tell which emails have an account.
+            const isMatch = Boolean(user) && await user.comparePassword(password);
 
             if (!isMatch) {
+                await loginAttemptService.recordFailure(email, user);
                 const error = new Error('Invalid email or password');
                 error.statusCode = 400;
                 throw error;
             }
 
-            // Generate JWT token
-            const token = this.generateToken(user);
+            await loginAttemptService.recordSuccess(email);
+
+            // Open a session: short-lived access token and refresh token
+            const tokens = await this.issueTokens(user);
 
-            // Return safe user object (without password) and token
+            // Return safe user object (without password) and tokens
             return {
                 success: true,
                 data: {
                     user: user.toSafeObject(),
-                    token
+                    ...tokens
                 }
             };
 
@@ -108,34 +136,206 @@ class AuthService {
             if (error.statusCode) {
                 const newError = new Error(`Login failed: ${error.message}`);
                 newError.statusCode = error.statusCode;
+                newError.details = error.details;
                 throw newError;
             }
             throw new Error(`Login failed: ${error.message}`);
         }
     }
 
+    /**
+     * Open a session for a user and issue its tokens
+     * @param {Object} user - User object
+     * @returns {Promise<{token: string, refreshToken: string}>} Access token and refresh token
+     */
+    async issueTokens(user) {
+        const { session, refreshToken } = await sessionService.createSession(user._id);
+
+        return {
+            token: this.generateToken(user, session._id),
+            refreshToken
+        };
+    }
+
     /**
      * Generate JWT token for user
+     * Access tokens are short-lived (JWT_EXPIRE, 15 minutes by default): clients get a new
+     * one from their refresh token.
      * @param {Object} user - User object
+     * @param {string} sessionId - Session the token belongs to (sid claim)
      * @returns {string} JWT token
      */
-    generateToken(user) {
+    generateToken(user, sessionId) {
         const payload = {
             userId: user._id,
             email: user.email,
             username: user.username,
-            role: user.role
+            role: user.role,
+            sid: sessionId
         };
 
         return jwt.sign(
             payload,
             process.env.JWT_SECRET,
             {
-                expiresIn: process.env.JWT_EXPIRE
+                expiresIn: process.env.JWT_EXPIRE || '15m'
             }
         );
     }
 
+    /**
+     * Exchange a refresh token for a new access token and refresh token
+     * @param {string} refreshToken - Refresh token received at login or at the last refresh
+     * @returns {Object} New access token (token) and refresh token
+     * @throws {Error} If the refresh token is invalid, already used, revoked or expired,
+     *   or the user no longer exists (401)
+     */
+    async refresh(refreshToken) {
+        const { session, refreshToken: nextRefreshToken } = await sessionService.rotateSession(refreshToken);
+
+        const user = await User.findById(session.user);
+        if (!user) {
+            await sessionService.revokeSession(session.user, session._id);
+            const error = new Error('User no longer exists');
+            error.statusCode = 401;
+            throw error;
+        }
+
+        return {
+            success: true,
+            data: {
+                token: this.generateToken(user, session._id),
+                refreshToken: nextRefreshToken
+            }
+        };
+    }
+
+    /**
+     * Logout: revoke the session of the access token, or every session of the user
+     * @param {string} userId - User ID
+     * @param {string} sessionId - Session of the access token used (sid claim)
+     * @param {Object} [options={}] - all: revoke every session of the user (logout everywhere)
+     * @returns {Object} Number of sessions revoked
+     */
+    async logout(userId, sessionId, { all = false } = {}) {
+        const revokedSessions = all
+            ? await sessionService.revokeAllSessions(userId)
+            : await sessionService.revokeSession(userId, sessionId);
+
+        return {
+            success: true,
+            data: {
+                revokedSessions
+            }
+        };
+    }
+
+    /**
+     * Change the password of the logged in user
+     * The other sessions of the user are revoked; the current one stays open, and a pending
+     * password reset token is cancelled.
+     * @param {string} userId - User ID
+     * @param {string} currentPassword - Current password, checked before the change
+     * @param {string} newPassword - New password (validated by the route)
+     * @param {string} [sessionId] - Session of the access token used (sid claim), kept open
+     * @returns {Object} Number of other sessions revoked
+     * @throws {Error} If user not found (404), the current password is wrong or the new one is the same (400)
+     */
+    async changePassword(userId, currentPassword, newPassword, sessionId) {
+        const user = await User.findById(userId).select('+password +passwordResetTokenHash +passwordResetExpires');
+        if (!user) {
+            throw withStatus('User not found', 404);
+        }
+
+        if (!(await user.comparePassword(currentPassword))) {
+            throw withStatus('Current password is incorrect', 400);
+        }
+        if (currentPassword === newPassword) {
+            throw withStatus('New password must be different from the current password', 400);
+        }
+
+        const before = user.toObject();
+        user.password = newPassword;
+        // A reset token mailed before the change must not set another password afterwards
+        user.passwordResetTokenHash = undefined;
+        user.passwordResetExpires = undefined;
+        await user.save();
+        await auditService.record({ action: 'update', entity: 'User', before, after: user });
+
+        const revokedSessions = await sessionService.revokeAllSessions(user._id, { except: sessionId });
+
+        return {
+            success: true,
+            data: {
+                revokedSessions
+            }
+        };
+    }
+
+    /**
+     * Start a password reset: mail a single-use, time-limited token to the user
+     * Unknown emails are ignored without error, and a mail that cannot be sent is only logged,
+     * so the answer does not reveal which emails have an account. A new request replaces the
+     * previous token.
+     * @param {string} email - Email of the account
+     * @returns {Object} Success, whether an account exists or not
+     */
+    async forgotPassword(email) {
+        const user = await User.findOne({ email });
+
+        if (user) {
+            const minutes = Number(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || DEFAULT_PASSWORD_RESET_MINUTES;
+            const token = generateToken(32);
+
+            user.passwordResetTokenHash = hashToken(token);
+            user.passwordResetExpires = new Date(Date.now() + minutes * 60 * 1000);
+            await user.save();
+
+            try {
+                await mailService.sendPasswordReset(user, token, minutes);
+            } catch (error) {
+                console.error(`[MAIL] Failed to send the password reset mail: ${error.message}`);
+            }
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * Choose a new password with a reset token
+     * The token is consumed even if saving the password fails, and every session of the
+     * user is revoked: devices logged in with the old password must log in again.
+     * Owning the mailbox also ends the waits and lockouts of failed logins on the email.
+     * @param {string} token - Reset token received by mail
+     * @param {string} newPassword - New password (validated by the route)
+     * @returns {Object} Success
+     * @throws {Error} If the token is unknown, already used or expired (400)
+     */
+    async resetPassword(token, newPassword) {
+        // Atomic, so a token cannot be used twice
+        const user = await User.findOneAndUpdate(
+            { passwordResetTokenHash: hashToken(token), passwordResetExpires: { $gt: new Date() } },
+            {
+                $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 }
+            },
+            { new: true }
+        ).select('+password');
+
+        if (!user) {
+            throw withStatus('Invalid or expired reset token', 400);
+        }
+
+        const before = user.toObject();
+        user.password = newPassword;
+        await user.save();
+        await auditService.record({ action: 'update', entity: 'User', before, after: user });
+
+        await sessionService.revokeAllSessions(user._id);
+        await loginAttemptService.clearFailures(user.email);
+
+        return { success: true };
+    }
+
     /**
      * Verify JWT token
      * @param {string} token - JWT token
@@ -145,6 +345,11 @@ class AuthService {
         try {
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+            // Access tokens stop working as soon as their session is revoked (logout)
+            if (!decoded.sid || !(await sessionService.isSessionActive(decoded.sid))) {
+                throw new Error('Session revoked');
+            }
+
             // Verify user still exists
             const user = await User.findById(decoded.userId);
 
@@ -193,6 +398,157 @@ class AuthService {
             throw new Error(`Failed to get user: ${error.message}`);
         }
     }
+
+    /**
+     * Get a user together with the linked profile
+     * @param {string} userId - User ID
+     * @returns {Object} Safe user object and linked profile (null when none, children list for parents)
+     */
+    async getCurrentUser(userId) {
+        const user = await User.findById(userId);
+
+        if (!user) {
+            const error = new Error('User not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        return {
+            success: true,
+            data: {
+                user: user.toSafeObject(),
+                profile: await this.getLinkedProfile(user)
+            }
+        };
+    }
+
+    /**
+     * Load the profile linked to a user account
+     * @param {Object} user - User document or safe user object
+     * @returns {Object|Array|null} Teacher or Student document, children of a parent, null when nothing is linked
+     */
+    async getLinkedProfile(user) {
+        const link = PROFILE_LINKS[user.role];
+        if (!link) {
+            return null;
+        }
+
+        if (link.multiple) {
+            return await link.model.find({ _id: { $in: user[link.field] || [] } })
+                .sort({ nom: 1, prenom: 1 });
+        }
+
+        return user[link.field] ? await link.model.findById(user[link.field]) : null;
+    }
+
+    /**
+     * Link a profile to a user account (Admin)
+     * The profile type must match the user role. Teacher and student profiles belong to
+     * one account only; parents can be linked to several children, one call per child.
+     * @param {string} userId - User ID
+     * @param {Object} linkData - Profile to link
+     * @param {string} linkData.type - Profile type (teacher, student, parent)
+     * @param {string} linkData.profileId - Teacher ID, or Student ID for student and parent profiles
+     * @returns {Object} Updated safe user object and linked profile
+     * @throws {Error} If user not found (404), role mismatch, missing or already linked profile (400)
+     */
+    async linkProfile(userId, { type, profileId }) {
+        const user = await User.findById(userId);
+
+        if (!user) {
+            const error = new Error('User not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        if (user.role !== type) {
+            const error = new Error(`A ${type} profile can only be linked to a user with the ${type} role`);
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const link = PROFILE_LINKS[type];
+        const profile = await link.model.findById(profileId);
+        if (!profile) {
+            const error = new Error(`Referenced ${link.model.modelName.toLowerCase()} (${profileId}) not found`);
+            error.statusCode = 400;
+            throw error;
+        }
+
+        if (!link.multiple) {
+            const owner = await User.findOne({ [link.field]: profileId, _id: { $ne: userId } });
+            if (owner) {
+                const error = new Error(`This ${type} profile is already linked to user ${owner.username}`);
+                error.statusCode = 400;
+                throw error;
+            }
+        }
+
+        const update = link.multiple
+            ? { $addToSet: { [link.field]: profileId } }
+            : { [link.field]: profileId };
+
+        const updatedUser = await User.findByIdAndUpdate(
+            userId,
+            update,
+            { new: true, runValidators: true }
+        );
+        await auditService.record({ action: 'update', entity: 'User', before: user, after: updatedUser });
+
+        return {
+            success: true,
+            data: {
+                user: updatedUser.toSafeObject(),
+                profile
+            }
+        };
+    }
+
+    /**
+     * Detach the profile linked to a user account (Admin)
+     * For parents, a single child can be detached by passing its Student ID.
+     * @param {string} userId - User ID
+     * @param {string} [profileId] - Child Student ID to detach from a parent (all children when omitted)
+     * @returns {Object} Updated safe user object
+     * @throws {Error} If user not found (404) or the profile is not linked (400)
+     */
+    async unlinkProfile(userId, profileId) {
+        const user = await User.findById(userId);
+
+        if (!user) {
+            const error = new Error('User not found');
+            error.statusCode = 404;
+            throw error;
+        }
+
+        const children = (user.children || []).map(id => id.toString());
+
+        if (!user.teacher && !user.student && children.length === 0) {
+            const error = new Error('User has no linked profile');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        let update = { $unset: { teacher: 1, student: 1 }, $set: { children: [] } };
+        if (profileId) {
+            if (!children.includes(profileId.toString())) {
+                const error = new Error(`Student (${profileId}) is not linked to this user`);
+                error.statusCode = 400;
+                throw error;
+            }
+            update = { $pull: { children: profileId } };
+        }
+
+        const updatedUser = await User.findByIdAndUpdate(userId, update, { new: true });
+        await auditService.record({ action: 'update', entity: 'User', before: user, after: updatedUser });
+
+        return {
+            success: true,
+            data: {
+                user: updatedUser.toSafeObject()
+            }
+        };
+    }
 }
 
 module.exports = new AuthService();
\ No newline at end of file
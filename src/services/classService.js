@@ -1,13 +1,27 @@
 const Class = require('../models/Class');
 const Teacher = require('../models/Teacher');
+const academicYearService = require('./academicYearService');
+const auditService = require('./auditService');
+const dependencyService = require('./dependencyService');
+const { paginate } = require('../utils/pagination');
+const { softDelete, findDeleted, assertReferenceActive, assertUniqueOnRestore } = require('../utils/softDelete');
 
 class ClassService {
-  async getAllClasses() {
-    return await Class.find().populate('prof', 'nom prenom').sort({ nom: 1 });
+  // Paginated list, options come from getListOptions (page, limit, sort, fields)
+  // and includeDeleted (admins only)
+  async getAllClasses(filters = {}, options = {}) {
+    const query = {};
+
+    // ?year=2024-2025 keeps the classes of that academic year
+    if (filters.year) query.idannee = await academicYearService.getYearIdFilter(filters.year);
+
+    return await paginate(Class, query, { ...options, defaultSort: { nom: 1 } },
+      find => find.populate('prof', 'nom prenom'));
   }
 
-  async getClassById(id) {
-    const classe = await Class.findById(id).populate('prof', 'nom prenom');
+  // includeDeleted (admins only) also finds a deleted class
+  async getClassById(id, { includeDeleted = false } = {}) {
+    const classe = await Class.findById(id, null, { includeDeleted }).populate('prof', 'nom prenom');
     if (!classe) {
       throw new Error('Class not found');
     }
@@ -21,8 +35,12 @@ class ClassService {
       throw new Error('Teacher not found');
     }
 
-    const classe = new Class(classData);
+    // Attach the class to the given academic year, or to the current one
+    const year = await academicYearService.resolveYear(classData.idannee);
+
+    const classe = new Class({ ...classData, idannee: year && year._id });
     await classe.save();
+    await auditService.record({ action: 'create', entity: 'Class', after: classe });
 
     // Fetch the saved document with populated teacher
     return await Class.findById(classe._id).populate('prof', 'nom prenom');
@@ -37,6 +55,13 @@ class ClassService {
       }
     }
 
+    // Classes of an archived year are read-only and cannot move to one
+    await academicYearService.assertWritable({ idclasse: id });
+    if (updateData.idannee) {
+      await academicYearService.resolveYear(updateData.idannee);
+    }
+
+    const before = await Class.findById(id);
     const classe = await Class.findByIdAndUpdate(
       id,
       updateData,
@@ -46,16 +71,48 @@ class ClassService {
     if (!classe) {
       throw new Error('Class not found');
     }
+    await auditService.record({ action: 'update', entity: 'Class', before, after: classe });
     return classe;
   }
 
-  async deleteClass(id) {
-    const classe = await Class.findByIdAndDelete(id);
+  // The class is kept, hidden until restored
+  // Classes still referenced are kept unless options.cascade is set (see dependencyService),
+  // records are only reassigned to a class of a year that is not archived
+  async deleteClass(id, user, { cascade, to, motifDerogation } = {}) {
+    await academicYearService.assertWritable({ idclasse: id });
+    if (cascade === 'reassign' && to) {
+      await academicYearService.assertWritable({ idclasse: to });
+    }
+
+    const classe = await dependencyService.deleteWithDependents(
+      'Class', id, { cascade, to, user, motifDerogation }, (session, deletedAt) => softDelete(Class, id, user, session, deletedAt)
+    );
     if (!classe) {
       throw new Error('Class not found');
     }
+    await auditService.record({ action: 'delete', entity: 'Class', before: classe });
     return classe;
   }
+
+  // Restore a deleted class, once its teacher is not deleted (409), with the students, grades
+  // and other records deleted along with it. Classes of an archived year stay read-only
+  async restoreClass(id) {
+    const classe = await findDeleted(Class, id, 'Class');
+    await academicYearService.assertYearWritable(classe.idannee);
+    await assertReferenceActive(Teacher, classe.prof, 'The teacher of this class is deleted: restore it first');
+    await assertUniqueOnRestore(
+      Class,
+      { nom: classe.nom, idannee: classe.idannee },
+      `Another class of this academic year is named ${classe.nom}: rename it first`
+    );
+
+    await dependencyService.restoreWithDependents('Class', classe, async session => {
+      classe.set({ deletedAt: null, deletedBy: null });
+      await classe.save({ session });
+    });
+    await auditService.record({ action: 'restore', entity: 'Class', after: classe });
+    return await Class.findById(classe._id).populate('prof', 'nom prenom');
+  }
 }
 
 module.exports = new ClassService();
@@ -0,0 +1,178 @@
+const CouncilComment = require('../models/CouncilComment');
+const Student = require('../models/Student');
+const Trimester = require('../models/Trimester');
+const Class = require('../models/Class');
+const academicYearService = require('./academicYearService');
+const teachingAssignmentService = require('./teachingAssignmentService');
+const { withDeleted } = require('../utils/softDelete');
+const {
+  forbidden,
+  hasFullAccess,
+  getLinkedTeacherId,
+  sameId,
+  assertCanViewStudent,
+  scopeToVisibleStudents
+} = require('../utils/permissions');
+
+class CouncilCommentService {
+  // Student and parent accounts only get their own records
+  async getAllCouncilComments(filters = {}, user) {
+    const query = {};
+
+    // Build filter object from query params
+    if (filters.student) query.ideleve = filters.student;
+    if (filters.trimester) query.idtrimestre = filters.trimester;
+    scopeToVisibleStudents(query, user, 'ideleve');
+
+    return await CouncilComment.find(query)
+      .populate(withDeleted('ideleve', 'nom prenom'))
+      .populate(withDeleted('idtrimestre', 'nom'))
+      .populate('auteur', 'username')
+      .sort({ createdAt: -1 });
+  }
+
+  async getCouncilCommentById(id, user) {
+    const comment = await CouncilComment.findById(id)
+      .populate(withDeleted('ideleve', 'nom prenom'))
+      .populate(withDeleted('idtrimestre', 'nom'))
+      .populate('auteur', 'username');
+
+    if (!comment) {
+      const error = new Error('Council comment not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    assertCanViewStudent(user, comment.ideleve);
+    return comment;
+  }
+
+  /**
+   * Create the class council comment of a student for a trimester
+   * A teacher account must teach in the student's class (see assertCanComment).
+   * @param {Object} commentData - ideleve, idtrimestre, texte
+   * @param {Object} user - Authenticated user (req.user), recorded as author
+   * @returns {Promise<Object>} Created comment with populated references
+   * @throws {Error} If student or trimester not found (400), the teacher does not teach in the
+   *   student's class (403) or the academic year is archived (409)
+   */
+  async createCouncilComment(commentData, user) {
+    const student = await Student.findById(commentData.ideleve);
+    if (!student) {
+      const error = new Error(`Referenced student (${commentData.ideleve}) not found`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    await this.assertCanComment(student, user);
+
+    const trimester = await Trimester.findById(commentData.idtrimestre);
+    if (!trimester) {
+      const error = new Error(`Referenced trimester (${commentData.idtrimestre}) not found`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    await academicYearService.assertWritable({ idtrimestre: commentData.idtrimestre });
+
+    const comment = new CouncilComment({
+      ideleve: commentData.ideleve,
+      idtrimestre: commentData.idtrimestre,
+      texte: commentData.texte,
+      auteur: user._id
+    });
+    await comment.save();
+
+    return await this.getCouncilCommentById(comment._id);
+  }
+
+  /**
+   * Update the text of a council comment
+   * The author stays the one who wrote the comment.
+   * @param {string} id - CouncilComment ObjectId
+   * @param {Object} updateData - Update payload (only texte is applied)
+   * @param {Object} [user] - Authenticated user (req.user)
+   * @returns {Promise<Object>} Updated comment
+   * @throws {Error} If comment not found (404), the teacher does not teach in the student's
+   *   class (403) or archived (409)
+   */
+  async updateCouncilComment(id, updateData, user) {
+    await this.assertCanEdit(id, user);
+    await this.assertWritable(id);
+
+    const comment = await CouncilComment.findByIdAndUpdate(
+      id,
+      { texte: updateData.texte },
+      { new: true, runValidators: true }
+    )
+      .populate(withDeleted('ideleve', 'nom prenom'))
+      .populate(withDeleted('idtrimestre', 'nom'))
+      .populate('auteur', 'username');
+
+    if (!comment) {
+      const error = new Error('Council comment not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return comment;
+  }
+
+  async deleteCouncilComment(id) {
+    await this.assertWritable(id);
+
+    const comment = await CouncilComment.findByIdAndDelete(id);
+    if (!comment) {
+      const error = new Error('Council comment not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return comment;
+  }
+
+  /**
+   * Check that an account may write the council comments of a student
+   * Admins keep full access. Teachers must be the main teacher of the student's class
+   * (Class.prof) or teach a subject in it.
+   * @param {Object} student - Student the comment is about
+   * @param {Object} [user] - Authenticated user (req.user)
+   * @throws {Error} If the teacher does not teach in the student's class (403)
+   */
+  async assertCanComment(student, user) {
+    if (hasFullAccess(user)) {
+      return;
+    }
+
+    const teacherId = getLinkedTeacherId(user);
+    const classe = student && student.classe ? await Class.findById(student.classe) : null;
+    const teachesClass = Boolean(classe) && (
+      sameId(classe.prof, teacherId)
+      || await teachingAssignmentService.teachesInClass({ idprof: teacherId, idclasse: classe._id })
+    );
+
+    if (!teachesClass) {
+      throw forbidden('Only admins and the teachers of the student\'s class can write its council comments');
+    }
+  }
+
+  // Same check for an existing comment, missing ones are left to the caller (404)
+  async assertCanEdit(id, user) {
+    if (hasFullAccess(user)) {
+      return;
+    }
+
+    const comment = await CouncilComment.findById(id);
+    if (comment) {
+      await this.assertCanComment(await Student.findById(comment.ideleve), user);
+    }
+  }
+
+  // Comments of an archived academic year are read-only (409), missing ones are left to the caller (404)
+  async assertWritable(id) {
+    const comment = await CouncilComment.findById(id);
+    if (comment) {
+      await academicYearService.assertWritable(comment);
+    }
+  }
+}
+
+module.exports = new CouncilCommentService();
@@ -0,0 +1,366 @@
+const AcademicYear = require('../models/AcademicYear');
+const Appreciation = require('../models/Appreciation');
+const Attendance = require('../models/Attendance');
+const Class = require('../models/Class');
+const CouncilComment = require('../models/CouncilComment');
+const Evaluation = require('../models/Evaluation');
+const Grade = require('../models/Grade');
+const Student = require('../models/Student');
+const Subject = require('../models/Subject');
+const Teacher = require('../models/Teacher');
+const TeachingAssignment = require('../models/TeachingAssignment');
+const TimetableSlot = require('../models/TimetableSlot');
+const Trimester = require('../models/Trimester');
+const auditService = require('./auditService');
+const gradeHistoryService = require('./gradeHistoryService');
+const { hasFullAccess } = require('../utils/permissions');
+const { AUDIT_ENTITIES } = require('../utils/constants');
+const { runInTransaction } = require('../utils/transaction');
+
+const MODELS = { Class, Student, Subject, Teacher, Trimester };
+
+// Records referencing each deletable record: key (reported count), model and referencing field
+// Every dependent is soft-deleted by cascade=delete, with the deletedAt of the record, and comes
+// back when the record is restored
+const DEPENDENTS = {
+  Teacher: [
+    { key: 'classes', model: Class, field: 'prof' },
+    { key: 'teachingAssignments', model: TeachingAssignment, field: 'idprof' },
+    { key: 'timetableSlots', model: TimetableSlot, field: 'idprof' },
+    { key: 'evaluations', model: Evaluation, field: 'idprof' },
+    { key: 'grades', model: Grade, field: 'idprof' },
+    { key: 'appreciations', model: Appreciation, field: 'idprof' }
+  ],
+  Class: [
+    { key: 'students', model: Student, field: 'classe' },
+    { key: 'teachingAssignments', model: TeachingAssignment, field: 'idclasse' },
+    { key: 'timetableSlots', model: TimetableSlot, field: 'idclasse' },
+    { key: 'evaluations', model: Evaluation, field: 'idclasse' },
+    { key: 'grades', model: Grade, field: 'idclasse' },
+    { key: 'attendance', model: Attendance, field: 'idclasse' }
+  ],
+  Subject: [
+    { key: 'teachingAssignments', model: TeachingAssignment, field: 'idmatiere' },
+    { key: 'timetableSlots', model: TimetableSlot, field: 'idmatiere' },
+    { key: 'evaluations', model: Evaluation, field: 'idmatiere' },
+    { key: 'grades', model: Grade, field: 'idmatiere' },
+    { key: 'appreciations', model: Appreciation, field: 'idmatiere' }
+  ],
+  Student: [
+    { key: 'grades', model: Grade, field: 'ideleve' },
+    { key: 'attendance', model: Attendance, field: 'ideleve' },
+    { key: 'appreciations', model: Appreciation, field: 'ideleve' },
+    { key: 'councilComments', model: CouncilComment, field: 'ideleve' }
+  ],
+  Trimester: [
+    { key: 'evaluations', model: Evaluation, field: 'idtrimestre' },
+    { key: 'grades', model: Grade, field: 'idtrimestre' },
+    { key: 'attendance', model: Attendance, field: 'idtrimestre' },
+    { key: 'appreciations', model: Appreciation, field: 'idtrimestre' },
+    { key: 'councilComments', model: CouncilComment, field: 'idtrimestre' }
+  ]
+};
+
+// Unique indexes of the dependents: a reassigned record must not duplicate a record of the target
+const UNIQUE_KEYS = new Map([
+  [TeachingAssignment, ['idclasse', 'idmatiere', 'idprof', 'anneeScolaire']],
+  [Appreciation, ['ideleve', 'idmatiere', 'idtrimestre']],
+  [CouncilComment, ['ideleve', 'idtrimestre']],
+  [Attendance, ['ideleve', 'date', 'creneau']]
+]);
+
+const isBlank = value => value === undefined || value === null || value === '';
+
+// Distinct values of a field over documents, as strings
+const distinct = (documents, field) => [...new Set(documents
+  .map(document => document[field])
+  .filter(Boolean)
+  .map(String))];
+
+const withStatus = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class DependencyService {
+  /**
+   * Count the records referencing a record
+   * Deleted records do not count.
+   * @param {string} entity - Model name of the record (Teacher, Class, Subject, Student or Trimester)
+   * @param {string} id - Record ObjectId
+   * @returns {Promise<Object>} Count per kind of dependent, only the kinds found
+   * @example
+   * await dependencyService.countDependents('Teacher', teacherId);
+   * // Returns: { classes: 2, grades: 41 }
+   */
+  async countDependents(entity, id) {
+    const counts = await Promise.all(DEPENDENTS[entity].map(({ model, field }) => model.countDocuments({ [field]: id })));
+
+    return Object.fromEntries(DEPENDENTS[entity]
+      .map(({ key }, index) => [key, counts[index]])
+      .filter(([, count]) => count > 0));
+  }
+
+  /**
+   * Delete a record once no other record references it
+   * By default a referenced record is not deleted (409, counts in details). With a cascade
+   * mode the dependents are handled first: 'reassign' points them to another record of the
+   * same kind (to), 'delete' soft-deletes the dependents with the record (same deletedAt), so
+   * restoreWithDependents brings them back. A teacher whose classes still have
+   * students is not deleted by cascade=delete: the classes are reassigned instead. Dependents of
+   * an archived academic year or a locked trimester are only changed by an admin giving an
+   * override reason, kept in the audit log and the history of reassigned grades. Everything
+   * runs in one transaction (MongoDB replica set): when a step fails, nothing is changed.
+   * @param {string} entity - Model name of the record
+   * @param {string} id - Record ObjectId
+   * @param {Object} [options={}] - cascade ('reassign' or 'delete'), to (target ObjectId),
+   *   user (authenticated user, kept as deletedBy of the soft-deleted dependents) and
+   *   motifDerogation (override reason)
+   * @param {Function} remove - Deletes the record within the session it is given, with the
+   *   deletion timestamp of the cascade; resolves to the deleted record (null when not found)
+   * @returns {Promise<Object|null>} The deleted record, null when not found and nothing references it
+   * @throws {Error} If the record is still referenced without cascade (409), the reassign
+   *   target is the record itself or a class of another academic year (400) or does not exist
+   *   (404), a deleted teacher's classes still have students (409), dependents belong to an
+   *   archived year or a locked trimester without an admin override (409), or reassigned
+   *   records would duplicate records of the target (409, conflicts in details)
+   */
+  async deleteWithDependents(entity, id, { cascade, to, user, motifDerogation } = {}, remove) {
+    const counts = await this.countDependents(entity, id);
+    if (Object.keys(counts).length === 0) {
+      return await remove();
+    }
+
+    if (!cascade) {
+      const summary = Object.entries(counts).map(([key, count]) => `${key}: ${count}`).join(', ');
+      const error = withStatus(
+        `${entity} is still referenced (${summary}): use ?cascade=reassign&to=<id> or ?cascade=delete`,
+        409
+      );
+      error.details = counts;
+      throw error;
+    }
+    if (cascade === 'reassign') {
+      await this.assertReassignTarget(entity, id, to);
+    } else if (entity === 'Teacher' && counts.classes) {
+      await this.assertClassesEmpty(id);
+    }
+
+    let steps = [];
+    const deletedAt = new Date();
+    const record = await runInTransaction(async session => {
+      steps = await this.findDependents(entity, id, counts, session);
+      await this.assertDependentsWritable(steps, cascade === 'reassign' ? { [entity]: to } : {}, user, motifDerogation, session);
+      if (cascade === 'reassign') {
+        await this.assertNoDuplicates(steps, to, session);
+      }
+
+      for (const { model, field, ids } of steps) {
+        if (cascade === 'reassign') {
+          await model.updateMany({ _id: { $in: ids } }, { [field]: to }, { session });
+        } else {
+          await model.updateMany({ _id: { $in: ids } }, { deletedAt, deletedBy: user ? user._id : null }, { session });
+        }
+      }
+      if (cascade === 'reassign') {
+        await this.recordReassignedGrades(steps, entity, to, motifDerogation, session);
+      }
+
+      const removed = await remove(session, deletedAt);
+      if (!removed) {
+        throw new Error(`${entity} not found`);
+      }
+      return removed;
+    });
+
+    await auditService.recordMany(steps
+      .filter(({ model }) => AUDIT_ENTITIES.includes(model.modelName))
+      .flatMap(({ model, field, documents }) => documents.map(document => (cascade === 'reassign'
+        ? { action: 'update', entity: model.modelName, before: document, after: { ...document, [field]: to }, reason: motifDerogation }
+        : { action: 'delete', entity: model.modelName, before: document, reason: motifDerogation }))));
+    return record;
+  }
+
+  /**
+   * Restore a record with the dependents deleted along with it
+   * The records referencing it and deleted at the same time (cascade=delete) come back with it;
+   * records deleted on their own, at another time, stay deleted. Everything runs in one transaction.
+   * @param {string} entity - Model name of the record
+   * @param {Object} record - The deleted record (deletedAt set)
+   * @param {Function} restore - Restores the record within the session it is given
+   * @returns {Promise<Object>} What restore resolves to
+   * @throws {Error} If a restored dependent would duplicate a record written since the deletion (409)
+   */
+  async restoreWithDependents(entity, record, restore) {
+    let steps = [];
+    let restored;
+    try {
+      restored = await runInTransaction(async session => {
+        steps = [];
+        for (const dependent of DEPENDENTS[entity]) {
+          const filter = { [dependent.field]: record._id, deletedAt: record.deletedAt };
+          const documents = await dependent.model.find(filter, null, { session }).lean();
+          if (documents.length > 0) {
+            await dependent.model.updateMany(filter, { deletedAt: null, deletedBy: null }, { session });
+            steps.push({ ...dependent, documents });
+          }
+        }
+        return await restore(session);
+      });
+    } catch (error) {
+      // Unique indexes only cover records that are not deleted: a new record may have taken the values
+      if (error.code === 11000) {
+        throw withStatus(
+          `Records deleted with this ${entity.toLowerCase()} conflict with records written since: delete or change them first`,
+          409
+        );
+      }
+      throw error;
+    }
+
+    await auditService.recordMany(steps
+      .filter(({ model }) => AUDIT_ENTITIES.includes(model.modelName))
+      .flatMap(({ model, documents }) => documents.map(document => ({
+        action: 'restore',
+        entity: model.modelName,
+        after: { ...document, deletedAt: null, deletedBy: null }
+      }))));
+    return restored;
+  }
+
+  // Dependents of the record with their documents, one step per kind found by countDependents
+  async findDependents(entity, id, counts, session) {
+    const steps = [];
+    for (const dependent of DEPENDENTS[entity].filter(({ key }) => counts[key])) {
+      const documents = await dependent.model.find({ [dependent.field]: id }, null, { session }).lean();
+      steps.push({ ...dependent, documents, ids: documents.map(document => document._id) });
+    }
+    return steps;
+  }
+
+  // The reassign target is another record of the same kind, not deleted; a class of the same academic year
+  async assertReassignTarget(entity, id, to) {
+    if (String(to) === String(id)) {
+      throw withStatus(`A ${entity.toLowerCase()} cannot be reassigned to itself`, 400);
+    }
+    const target = await MODELS[entity].findById(to);
+    if (!target) {
+      throw withStatus(`Target ${entity.toLowerCase()} not found`, 404);
+    }
+
+    if (entity === 'Class') {
+      const classe = await Class.findById(id).select('idannee');
+      if (classe && String(classe.idannee) !== String(target.idannee)) {
+        throw withStatus('Target class belongs to another academic year', 400);
+      }
+    }
+  }
+
+  // Deleting the classes of a teacher would leave their students in a deleted class
+  async assertClassesEmpty(teacherId) {
+    const classes = await Class.find({ prof: teacherId }).select('_id');
+    const students = await Student.countDocuments({ classe: { $in: classes.map(classe => classe._id) } });
+    if (students > 0) {
+      throw withStatus(
+        `The classes of this teacher still have students (${students}): use ?cascade=reassign&to=<id> to give the classes to another teacher`,
+        409
+      );
+    }
+  }
+
+  /**
+   * Refuse a cascade changing records of an archived academic year or a locked trimester
+   * The year is read from the class, trimester or school year (teaching assignments) of each
+   * dependent; reassigned records are also checked in the class or trimester they move to.
+   * @param {Array<Object>} steps - Dependents of the record with their documents
+   * @param {Object} target - { Class: id } or { Trimester: id } receiving reassigned records
+   * @param {Object} [user] - Authenticated user (req.user)
+   * @param {string} [motifDerogation] - Override reason
+   * @param {Object} [session] - Session of the cascade transaction
+   * @throws {Error} If a dependent is archived or locked and the cascade is not an admin override (409)
+   */
+  async assertDependentsWritable(steps, target, user, motifDerogation, session) {
+    const documents = steps.flatMap(step => step.documents);
+    const classIds = [...distinct(documents, 'idclasse'), ...[target.Class].filter(Boolean)];
+    const trimesterIds = [...distinct(documents, 'idtrimestre'), ...[target.Trimester].filter(Boolean)];
+
+    const [classes, trimesters] = await Promise.all([
+      classIds.length > 0 ? Class.find({ _id: { $in: classIds } }, 'idannee', { includeDeleted: true, session }) : [],
+      trimesterIds.length > 0
+        ? Trimester.find({ _id: { $in: trimesterIds } }, 'nom idannee verrouille', { includeDeleted: true, session })
+        : []
+    ]);
+    const yearIds = [...classes, ...trimesters].map(owner => owner.idannee).filter(Boolean);
+    const schoolYears = distinct(documents, 'anneeScolaire');
+    const archived = yearIds.length > 0 || schoolYears.length > 0
+      ? await AcademicYear.findOne({ archivee: true, $or: [{ _id: { $in: yearIds } }, { nom: { $in: schoolYears } }] }, null, { session })
+      : null;
+    const locked = trimesters.find(trimester => trimester.verrouille);
+
+    if ((archived || locked) && (!hasFullAccess(user) || isBlank(motifDerogation))) {
+      const owner = archived ? `the archived academic year ${archived.nom}` : `the locked trimester ${locked.nom}`;
+      throw withStatus(
+        `Records to change belong to ${owner}: only an admin giving an override reason (motifDerogation) can change them`,
+        409
+      );
+    }
+  }
+
+  /**
+   * Refuse a reassignment breaking a unique index of the dependents
+   * E.g. a student's appreciation of a subject and trimester cannot move to a teacher whose
+   * appreciation of the same student, subject and trimester already exists.
+   * @param {Array<Object>} steps - Dependents of the record with their documents
+   * @param {string} to - Record receiving the dependents
+   * @param {Object} [session] - Session of the cascade transaction
+   * @throws {Error} If reassigned records would duplicate records of the target (409), with
+   *   { [kind]: [{ _id, conflictsWith }] } in details
+   */
+  async assertNoDuplicates(steps, to, session) {
+    const conflicts = {};
+    for (const { key, model, field, documents } of steps) {
+      const fields = UNIQUE_KEYS.get(model);
+      if (!fields || !fields.includes(field)) {
+        continue;
+      }
+
+      const keyOf = values => fields.map(name => String(name === field ? to : values[name])).join('|');
+      const filters = documents.map(document => ({
+        ...Object.fromEntries(fields.map(name => [name, document[name]])),
+        [field]: to
+      }));
+      const existing = await model.find({ $or: filters }, fields.join(' '), { session }).lean();
+      const taken = new Map(existing.map(record => [keyOf(record), record._id]));
+
+      const duplicates = documents
+        .filter(document => taken.has(keyOf(document)))
+        .map(document => ({ _id: document._id, conflictsWith: taken.get(keyOf(document)) }));
+      if (duplicates.length > 0) {
+        conflicts[key] = duplicates;
+      }
+    }
+
+    if (Object.keys(conflicts).length > 0) {
+      const summary = Object.entries(conflicts).map(([key, duplicates]) => `${key}: ${duplicates.length}`).join(', ');
+      const error = withStatus(
+        `Reassigned records would duplicate records of the target (${summary}): delete or change them first`,
+        409
+      );
+      error.details = conflicts;
+      throw error;
+    }
+  }
+
+  // Keep the new version of each reassigned grade in its history
+  async recordReassignedGrades(steps, entity, to, motifDerogation, session) {
+    const motif = `${entity} deleted, grade reassigned`;
+    for (const { field, documents } of steps.filter(({ model }) => model === Grade)) {
+      for (const document of documents) {
+        await gradeHistoryService.recordChange(document, { ...document, [field]: to }, { motif, motifDerogation }, session);
+      }
+    }
+  }
+}
+
+module.exports = new DependencyService();
@@ -0,0 +1,282 @@
+const Evaluation = require('../models/Evaluation');
+const Grade = require('../models/Grade');
+const Student = require('../models/Student');
+const Class = require('../models/Class');
+const Subject = require('../models/Subject');
+const Teacher = require('../models/Teacher');
+const Trimester = require('../models/Trimester');
+const gradeService = require('./gradeService');
+const trimesterService = require('./trimesterService');
+const academicYearService = require('./academicYearService');
+const auditService = require('./auditService');
+const gradeHistoryService = require('./gradeHistoryService');
+const { countedNote, mean, median, standardDeviation } = require('../utils/gradeMath');
+const { forbidden, hasFullAccess, getLinkedTeacherId, sameId } = require('../utils/permissions');
+const { paginate } = require('../utils/pagination');
+const { withDeleted } = require('../utils/softDelete');
+
+// References checked before an evaluation is written
+const REFERENCES = [
+  [Class, 'idclasse', 'class'],
+  [Subject, 'idmatiere', 'subject'],
+  [Teacher, 'idprof', 'teacher'],
+  [Trimester, 'idtrimestre', 'trimester']
+];
+
+// Values copied to the grades of an evaluation when it is updated
+const SHARED_GRADE_FIELDS = ['idmatiere', 'idprof', 'idtrimestre', 'coefficient'];
+
+const populateEvaluation = query => query
+  .populate(withDeleted('idclasse', 'nom'))
+  .populate(withDeleted('idmatiere', 'nom'))
+  .populate(withDeleted('idprof', 'nom prenom'))
+  .populate(withDeleted('idtrimestre', 'nom'));
+
+class EvaluationService {
+  async getAllEvaluations(filters = {}, options = {}) {
+    const query = {};
+
+    // Build filter object from query params
+    if (filters.class) query.idclasse = filters.class;
+    if (filters.subject) query.idmatiere = filters.subject;
+    if (filters.trimester) query.idtrimestre = filters.trimester;
+    if (filters.teacher) query.idprof = filters.teacher;
+
+    return await paginate(Evaluation, query, { ...options, defaultSort: { date: -1 } }, populateEvaluation);
+  }
+
+  async getEvaluationById(id) {
+    const evaluation = await populateEvaluation(Evaluation.findById(id));
+
+    if (!evaluation) {
+      const error = new Error('Evaluation not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return evaluation;
+  }
+
+  /**
+   * Create an evaluation
+   * The teacher must teach the subject in the class, and a teacher account can only
+   * create evaluations under its own profile (same rule as grades).
+   * @param {Object} evaluationData - titre, date, idclasse, idmatiere, idprof, idtrimestre, coefficient, bareme
+   * @param {Object} [user] - Authenticated user (req.user)
+   * @returns {Promise<Object>} Created evaluation with populated references
+   * @throws {Error} If a reference is missing (400) or the teacher is not allowed to create it (403)
+   */
+  async createEvaluation(evaluationData, user) {
+    await this.assertReferencesExist(evaluationData);
+    await gradeService.assertCanWriteGrade(user, evaluationData);
+
+    const evaluation = new Evaluation(evaluationData);
+    await evaluation.save();
+
+    return await this.getEvaluationById(evaluation._id);
+  }
+
+  /**
+   * Update an evaluation
+   * Subject, teacher, trimester and coefficient changes are applied to its grades.
+   * The class and the scale (bareme) are fixed once grades are recorded.
+   * A teacher account can only update its own evaluations.
+   * @param {string} id - Evaluation ObjectId
+   * @param {Object} evaluationData - Fields to update
+   * @param {Object} [user] - Authenticated user (req.user)
+   * @param {string} [motifDerogation] - Override reason when recorded grades of a locked trimester change
+   * @returns {Promise<Object>} Updated evaluation with populated references
+   * @throws {Error} If not found (404), a reference is missing or a fixed field changes (400),
+   *   the teacher is not allowed to modify it (403) or its grades are in a locked trimester (409)
+   */
+  async updateEvaluation(id, evaluationData, user, motifDerogation) {
+    const current = await this.findOwnEvaluation(id, user);
+
+    await this.assertReferencesExist(evaluationData);
+    await gradeService.assertCanWriteGrade(user, {
+      idprof: evaluationData.idprof || current.idprof,
+      idmatiere: evaluationData.idmatiere || current.idmatiere,
+      idclasse: evaluationData.idclasse || current.idclasse,
+      idtrimestre: evaluationData.idtrimestre || current.idtrimestre
+    });
+
+    const changesClass = evaluationData.idclasse && !sameId(evaluationData.idclasse, current.idclasse);
+    const changesScale = evaluationData.bareme !== undefined && Number(evaluationData.bareme) !== current.bareme;
+    if ((changesClass || changesScale) && await Grade.exists({ idevaluation: id })) {
+      const error = new Error('The class and maximum score of an evaluation cannot change once grades are recorded');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const shared = {};
+    SHARED_GRADE_FIELDS
+      .filter(field => evaluationData[field] !== undefined)
+      .forEach(field => {
+        shared[field] = evaluationData[field];
+      });
+    const changesGrades = Object.keys(shared).length > 0 && await Grade.exists({ idevaluation: id });
+    if (changesGrades) {
+      await trimesterService.assertUnlocked([current.idtrimestre, evaluationData.idtrimestre], user, motifDerogation);
+    }
+
+    const evaluation = await populateEvaluation(Evaluation.findByIdAndUpdate(
+      id,
+      evaluationData,
+      { new: true, runValidators: true }
+    ));
+
+    if (changesGrades) {
+      const grades = await Grade.find({ idevaluation: id });
+      await Grade.updateMany({ idevaluation: id }, shared);
+
+      const motif = `Evaluation ${evaluation.titre} updated`;
+      const changes = grades.map(grade => ({ before: grade, after: { ...grade.toObject(), ...shared } }));
+      for (const { before, after } of changes) {
+        await gradeHistoryService.recordChange(before, after, { motif, motifDerogation });
+      }
+      await auditService.recordMany(changes.map(({ before, after }) => ({
+        action: 'update',
+        entity: 'Grade',
+        before,
+        after,
+        reason: motif
+      })));
+    }
+
+    return evaluation;
+  }
+
+  /**
+   * Delete an evaluation without grades
+   * @param {string} id - Evaluation ObjectId
+   * @param {Object} [user] - Authenticated user (req.user)
+   * @returns {Promise<Object>} Deleted evaluation
+   * @throws {Error} If not found (404), not owned by the teacher (403) or grades are recorded (409)
+   */
+  async deleteEvaluation(id, user) {
+    await this.findOwnEvaluation(id, user);
+
+    const gradeCount = await Grade.countDocuments({ idevaluation: id });
+    if (gradeCount > 0) {
+      const error = new Error(`Cannot delete an evaluation with recorded grades (${gradeCount})`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    return await Evaluation.findByIdAndDelete(id);
+  }
+
+  /**
+   * Record grades for an evaluation
+   * Notes are entered on the evaluation scale (bareme) and stored on /20.
+   * @param {string} id - Evaluation ObjectId
+   * @param {Array<{ideleve: string, note: number, commentaire: string}>} grades - One entry per student
+   * @param {Object} [user] - Authenticated user (req.user)
+   * @param {string} [motifDerogation] - Override reason for a locked trimester
+   * @returns {Promise<{errors: Array, grades: Array}>} See gradeService.createGradesBatch
+   */
+  async recordGrades(id, grades, user, motifDerogation) {
+    return await gradeService.createGradesBatch({ idevaluation: id, grades }, user, motifDerogation);
+  }
+
+  /**
+   * Build the grade sheet of an evaluation
+   * Lists every student of the class with their grade (null when not graded yet),
+   * and statistics computed on the /20 scale.
+   * @param {string} id - Evaluation ObjectId
+   * @returns {Promise<Object>} { evaluation, statistics, sheet: [{ student, grade }] }
+   * @throws {Error} If the evaluation is not found (404)
+   */
+  async getGradeSheet(id) {
+    const evaluation = await this.getEvaluationById(id);
+
+    // Populate leaves idclasse null when the class no longer exists
+    // Classes of archived years keep the students moved out by a rollover
+    const classId = evaluation.idclasse && evaluation.idclasse._id;
+    const students = classId
+      ? await Student.find({ $or: [{ classe: classId }, { classesPrecedentes: classId }] }).sort({ nom: 1, prenom: 1 })
+      : [];
+    const grades = await Grade.find({ idevaluation: id });
+    const gradesByStudent = new Map(grades.map(grade => [grade.ideleve.toString(), grade]));
+
+    const sheet = students.map(student => {
+      const grade = gradesByStudent.get(student._id.toString());
+      return {
+        student: { _id: student._id, nom: student.nom, prenom: student.prenom },
+        grade: grade
+          ? {
+            _id: grade._id,
+            statut: grade.statut,
+            note: grade.note,
+            noteBrute: grade.noteBrute,
+            commentaire: grade.commentaire
+          }
+          : null
+      };
+    });
+
+    // Statuses without note count as 0 or are left out, as in averages
+    const notes = grades.map(grade => countedNote(grade)).filter(note => note !== null);
+
+    return {
+      evaluation,
+      statistics: {
+        gradedCount: grades.length,
+        countedCount: notes.length,
+        studentCount: students.length,
+        average: mean(notes),
+        median: median(notes),
+        standardDeviation: standardDeviation(notes),
+        min: notes.length ? Math.min(...notes) : null,
+        max: notes.length ? Math.max(...notes) : null
+      },
+      sheet
+    };
+  }
+
+  /**
+   * Check that the references given for an evaluation exist
+   * Only the references present in the payload are checked (partial updates).
+   * @param {Object} evaluationData - Evaluation payload
+   * @throws {Error} If a reference is missing (400)
+   */
+  async assertReferencesExist(evaluationData) {
+    const present = REFERENCES.filter(([, field]) => evaluationData[field]);
+    const found = await Promise.all(present.map(([Model, field]) => Model.findById(evaluationData[field])));
+
+    found.forEach((document, index) => {
+      if (!document) {
+        const [, field, label] = present[index];
+        const error = new Error(`Referenced ${label} (${evaluationData[field]}) not found`);
+        error.statusCode = 400;
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Load an evaluation the account may modify
+   * Admins keep full access; teachers can only modify the evaluations they created.
+   * Evaluations of an archived academic year are read-only.
+   * @param {string} id - Evaluation ObjectId
+   * @param {Object} [user] - Authenticated user (req.user)
+   * @returns {Promise<Object>} Evaluation document
+   * @throws {Error} If not found (404), created by another teacher (403) or archived (409)
+   */
+  async findOwnEvaluation(id, user) {
+    const evaluation = await Evaluation.findById(id);
+    if (!evaluation) {
+      const error = new Error('Evaluation not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (!hasFullAccess(user) && !sameId(evaluation.idprof, getLinkedTeacherId(user))) {
+      throw forbidden('You can only modify evaluations you created');
+    }
+
+    await academicYearService.assertWritable(evaluation);
+    return evaluation;
+  }
+}
+
+module.exports = new EvaluationService();
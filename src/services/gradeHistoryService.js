@@ -0,0 +1,156 @@
+const GradeRevision = require('../models/GradeRevision');
+const { GRADE_VERSION_FIELDS } = require('../utils/constants');
+const { diffDocuments } = require('../utils/diff');
+const { getRequestContext } = require('../utils/requestContext');
+
+// Values of a grade kept in a version, populated references turned back into ObjectIds
+const valuesOf = (grade) => {
+  const plain = typeof grade.toObject === 'function' ? grade.toObject({ depopulate: true }) : grade;
+  return Object.fromEntries(GRADE_VERSION_FIELDS.map(field => [field, plain[field] === undefined ? null : plain[field]]));
+};
+
+// Last version of a grade, version 1 written first from the grade for grades recorded before the history existed
+const lastRevision = async (grade, session) => {
+  const last = await GradeRevision.findOne({ idnote: grade._id }).sort({ version: -1 }).session(session);
+  if (last) {
+    return last;
+  }
+
+  const [first] = await GradeRevision.create(
+    [{ idnote: grade._id, version: 1, valeurs: valuesOf(grade), date: grade.createdAt }],
+    { session }
+  );
+  return first;
+};
+
+class GradeHistoryService {
+  /**
+   * Keep the first version of new grades
+   * @param {Array<Object>} grades - Saved grade documents
+   * @param {Object} [session] - Session of the transaction inserting the grades
+   * @returns {Promise<Array<Object>>} Version 1 of each grade
+   */
+  async recordCreated(grades, session) {
+    if (grades.length === 0) {
+      return [];
+    }
+
+    const { user } = getRequestContext();
+    return await GradeRevision.insertMany(grades.map(grade => ({
+      idnote: grade._id,
+      version: 1,
+      valeurs: valuesOf(grade),
+      modifiePar: user && user._id
+    })), { session });
+  }
+
+  /**
+   * Keep the new version of a modified grade
+   * Grades recorded before the history existed first get their version 1 from the
+   * values before the change. Nothing is kept when the tracked values did not change.
+   * @param {Object} before - Grade before the change
+   * @param {Object} after - Grade after the change
+   * @param {Object} [reasons={}] - motif (reason for the change) and motifDerogation (locked trimester)
+   * @param {Object} [session] - Session of the transaction changing the grade
+   * @returns {Promise<Object|null>} The new version, null when nothing changed
+   */
+  async recordChange(before, after, { motif, motifDerogation } = {}, session) {
+    const last = await lastRevision(before, session);
+
+    if (diffDocuments(valuesOf(last.valeurs), valuesOf(after)).length === 0) {
+      return null;
+    }
+
+    const { user } = getRequestContext();
+    const [revision] = await GradeRevision.create([{
+      idnote: before._id,
+      version: last.version + 1,
+      valeurs: valuesOf(after),
+      modifiePar: user && user._id,
+      motif,
+      motifDerogation
+    }], { session });
+    return revision;
+  }
+
+  /**
+   * Keep the deletion of a grade as its last version
+   * The version repeats the values of the grade when it was deleted, marked supprimee.
+   * @param {Object} grade - Grade being deleted
+   * @param {Object} [reasons={}] - motifDerogation (locked trimester)
+   * @param {Object} [session] - Session of the transaction deleting the grade
+   * @returns {Promise<Object>} The deletion version
+   */
+  async recordDeleted(grade, { motifDerogation } = {}, session) {
+    const last = await lastRevision(grade, session);
+
+    const { user } = getRequestContext();
+    const [revision] = await GradeRevision.create([{
+      idnote: grade._id,
+      version: last.version + 1,
+      valeurs: valuesOf(grade),
+      modifiePar: user && user._id,
+      motif: 'Grade deleted',
+      motifDerogation,
+      supprimee: true
+    }], { session });
+    return revision;
+  }
+
+  /**
+   * List the versions of a grade, most recent first
+   * A grade never modified since the history exists has a single version: its current values.
+   * @param {Object} grade - Grade document
+   * @returns {Promise<Array<Object>>} { version, date, modifiePar: { _id, username, role }, motif,
+   *   motifDerogation, supprimee, valeurs, changes: [{ field, before, after }] } where changes
+   *   compare with the previous version
+   */
+  async getHistory(grade) {
+    const revisions = await GradeRevision.find({ idnote: grade._id })
+      .sort({ version: 1 })
+      .populate('modifiePar', 'username role');
+
+    if (revisions.length === 0) {
+      return [{
+        version: 1,
+        date: grade.createdAt,
+        modifiePar: null,
+        motif: null,
+        motifDerogation: null,
+        supprimee: false,
+        valeurs: valuesOf(grade),
+        changes: []
+      }];
+    }
+
+    return revisions.map((revision, index) => ({
+      version: revision.version,
+      date: revision.date,
+      modifiePar: revision.modifiePar || null,
+      motif: revision.motif || null,
+      motifDerogation: revision.motifDerogation || null,
+      supprimee: Boolean(revision.supprimee),
+      valeurs: valuesOf(revision.valeurs),
+      changes: index === 0 ? [] : diffDocuments(valuesOf(revisions[index - 1].valeurs), valuesOf(revision.valeurs))
+    })).reverse();
+  }
+
+  /**
+   * Get the values of a grade at one version
+   * @param {string} gradeId - Grade ObjectId
+   * @param {number} version - Version number
+   * @returns {Promise<Object>} Grade values (see GRADE_VERSION_FIELDS)
+   * @throws {Error} If the version does not exist (404)
+   */
+  async getVersionValues(gradeId, version) {
+    const revision = await GradeRevision.findOne({ idnote: gradeId, version });
+    if (!revision) {
+      const error = new Error(`Version ${version} of the grade not found`);
+      error.statusCode = 404;
+      throw error;
+    }
+    return valuesOf(revision.valeurs);
+  }
+}
+
+module.exports = new GradeHistoryService();
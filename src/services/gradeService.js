@@ -4,9 +4,60 @@ const Class = require('../models/Class');
 const Subject = require('../models/Subject');
 const Teacher = require('../models/Teacher');
 const Trimester = require('../models/Trimester');
+const Appreciation = require('../models/Appreciation');
+const Evaluation = require('../models/Evaluation');
+const { round, toTwentyScale, weightedAverage, mean, median, standardDeviation, rankByAverage } = require('../utils/gradeMath');
+const {
+  forbidden,
+  hasFullAccess,
+  getLinkedTeacherId,
+  sameId,
+  assertCanViewStudent,
+  scopeToVisibleStudents
+} = require('../utils/permissions');
+const { paginate } = require('../utils/pagination');
+const { insertAllOrNothing } = require('../utils/bulkInsert');
+const { runInTransaction } = require('../utils/transaction');
+const { withDeleted, softDelete } = require('../utils/softDelete');
+const teachingAssignmentService = require('./teachingAssignmentService');
+const academicYearService = require('./academicYearService');
+const trimesterService = require('./trimesterService');
+const auditService = require('./auditService');
+const gradeHistoryService = require('./gradeHistoryService');
+
+const isBlank = value => value === undefined || value === null || value === '';
+
+// ?year=2024-2025 keeps the grades recorded in the trimesters of that academic year
+const filterByYear = async (query, year) => {
+  if (!year) {
+    return;
+  }
+  const inYear = await academicYearService.getTrimesterIdFilter(year);
+  query.idtrimestre = query.idtrimestre ? { ...inYear, $eq: query.idtrimestre } : inYear;
+};
+
+// Grades of an evaluation are only recorded through POST /api/evaluations/:id/grades (createGradesBatch),
+// which checks the evaluation against the class, subject and trimester and converts the scale
+const withoutEvaluationFields = ({ idevaluation, noteBrute, ...gradeData }) => gradeData;
+
+// Grades recorded without idtrimestre go to the trimester covering today
+const defaultToCurrentTrimester = async (gradeData) => {
+  if (!isBlank(gradeData.idtrimestre)) {
+    return gradeData;
+  }
+  const current = await trimesterService.findCurrentTrimester();
+  if (!current) {
+    const error = new Error('No trimester covers the current date, idtrimestre is required');
+    error.statusCode = 400;
+    throw error;
+  }
+  return { ...gradeData, idtrimestre: current._id };
+};
 
 class GradeService {
-  async getAllGrades(filters = {}) {
+  // Student and parent accounts only get grades of their own records
+  // Paginated list, options come from getListOptions (page, limit, sort, fields)
+  async getAllGrades(filters = {}, user, options = {}) {
     const query = {};
 
     // Build filter object from query params
@@ -14,26 +65,28 @@ class GradeService {
     if (filters.class) query.idclasse = filters.class;
     if (filters.subject) query.idmatiere = filters.subject;
     if (filters.trimester) query.idtrimestre = filters.trimester;
-
-    return await Grade.find(query)
-      .populate('ideleve', 'nom prenom dateNaissance')
-      .populate('idclasse', 'nom')
-      .populate('idmatiere', 'nom')
-      .populate('idprof', 'nom prenom')
-      .populate('idtrimestre', 'nom')
-      .sort({ createdAt: -1 });
+    await filterByYear(query, filters.year);
+    scopeToVisibleStudents(query, user, 'ideleve');
+
+    return await paginate(Grade, query, { ...options, defaultSort: { createdAt: -1 } }, find => find
+      .populate(withDeleted('ideleve', 'nom prenom dateNaissance'))
+      .populate(withDeleted('idclasse', 'nom'))
+      .populate(withDeleted('idmatiere', 'nom'))
+      .populate(withDeleted('idprof', 'nom prenom'))
+      .populate(withDeleted('idtrimestre', 'nom')));
   }
 
   /**
    * Get students with their grades filtered by teacher
    * Groups grades by student, showing all grades given by specific teacher
+   * along with the appreciations that teacher wrote for each student
    * Useful for teacher dashboards to view all students they teach
    * @param {string} teacherId - Teacher ObjectId
    * @returns {Promise<Array>} Array of objects with student info and grades array
    * @throws {Error} If teacher not found
    * @example
    * const data = await gradeService.getStudentsWithGradesByTeacher('507f1f77bcf86cd799439011');
-   * // Returns: [{ student: {...}, grades: [...] }, ...]
+   * // Returns: [{ student: {...}, grades: [...], appreciations: [...] }, ...]
    */
   async getStudentsWithGradesByTeacher(teacherId) {
     // Verify teacher exists
@@ -46,10 +99,10 @@ class GradeService {
 
     // Find all grades given by this teacher with populated references
     const grades = await Grade.find({ idprof: teacherId })
-      .populate('ideleve', 'nom prenom dateNaissance')
-      .populate('idmatiere', 'nom')
-      .populate('idtrimestre', 'nom')
-      .populate('idclasse', 'nom')
+      .populate(withDeleted('ideleve', 'nom prenom dateNaissance'))
+      .populate(withDeleted('idmatiere', 'nom'))
+      .populate(withDeleted('idtrimestre', 'nom'))
+      .populate(withDeleted('idclasse', 'nom'))
       .sort({ ideleve: 1, idtrimestre: 1, idmatiere: 1 });
 
     // Group grades by student using Map for O(1) lookup
@@ -67,15 +120,18 @@ class GradeService {
             prenom: grade.ideleve.prenom,
             dateNaissance: grade.ideleve.dateNaissance
           },
-          grades: []
+          grades: [],
+          appreciations: []
         });
       }
 
       // Add grade to student's grades array
       studentMap.get(studentId).grades.push({
         _id: grade._id,
+        statut: grade.statut,
         note: grade.note,
         coefficient: grade.coefficient,
+        commentaire: grade.commentaire,
         matiere: grade.idmatiere,
         trimestre: grade.idtrimestre,
         classe: grade.idclasse,
@@ -83,29 +139,50 @@ class GradeService {
       });
     });
 
+    // Attach the teacher's appreciations to the students they graded
+    const appreciations = await Appreciation.find({ idprof: teacherId })
+      .populate(withDeleted('idmatiere', 'nom'))
+      .populate(withDeleted('idtrimestre', 'nom'));
+
+    appreciations.forEach(appreciation => {
+      const entry = studentMap.get(appreciation.ideleve.toString());
+      if (!entry) {
+        return;
+      }
+      entry.appreciations.push({
+        _id: appreciation._id,
+        texte: appreciation.texte,
+        matiere: appreciation.idmatiere,
+        trimestre: appreciation.idtrimestre
+      });
+    });
+
     return Array.from(studentMap.values());
   }
 
   /**
    * Retrieves grades grouped by subject with optional trimester and class filters.
    * Uses JavaScript grouping for simplicity and junior developer readability.
-   * @param {Object} filters - Optional filters (class, trimester)
+   * @param {Object} filters - Optional filters (class, trimester, year)
+   * @param {Object} [user] - Authenticated user (req.user), student and parent accounts only get their own grades
    * @returns {Promise<Array>} Array of subjects with nested student grades, sorted by student name
    * @throws {Error} If grouping fails
    */
-  async getGradesGroupedBySubject(filters = {}) {
-    try {
-      const query = {};
+  async getGradesGroupedBySubject(filters = {}, user) {
+    const query = {};
 
-      // Reuse existing filter logic (only class and trimester for grouped view)
-      if (filters.class) query.idclasse = filters.class;
-      if (filters.trimester) query.idtrimestre = filters.trimester;
+    // Reuse existing filter logic (only class, trimester and year for grouped view)
+    if (filters.class) query.idclasse = filters.class;
+    if (filters.trimester) query.idtrimestre = filters.trimester;
+    await filterByYear(query, filters.year);
+    scopeToVisibleStudents(query, user, 'ideleve');
 
+    try {
       // Fetch grades with populated references, sorted by student name alphabetically
       const grades = await Grade.find(query)
-        .populate('ideleve', 'nom prenom')
-        .populate('idmatiere', 'nom')
-        .populate('idprof', 'nom prenom')
+        .populate(withDeleted('ideleve', 'nom prenom'))
+        .populate(withDeleted('idmatiere', 'nom'))
+        .populate(withDeleted('idprof', 'nom prenom'))
         .sort({ 'ideleve.nom': 1 });
 
       // Group by subject using JavaScript (simple, readable)
@@ -129,6 +206,7 @@ class GradeService {
             nom: grade.ideleve.nom,
             prenom: grade.ideleve.prenom
           },
+          statut: grade.statut,
           note: grade.note,
           coefficient: grade.coefficient,
           teacher: {
@@ -144,26 +222,254 @@ class GradeService {
     }
   }
 
-  async getGradeById(id) {
-    const grade = await Grade.findById(id)
-      .populate('ideleve', 'nom prenom dateNaissance')
-      .populate('idclasse', 'nom')
-      .populate('idmatiere', 'nom')
-      .populate('idprof', 'nom prenom')
-      .populate('idtrimestre', 'nom date');
+  /**
+   * Compute weighted averages for a student
+   * Subject average = sum(note * coefficient) / sum(coefficient) over the subject's grades.
+   * Trimester average = weighted mean of every grade of the trimester.
+   * Yearly average = mean of the trimester averages that have a value.
+   * Zero-coefficient grades carry no weight; subjects without grades get a null average.
+   * Only the trimesters of one academic year are used: the ?year filter, else the year of the
+   * requested trimester, else the current year (trimesters without academic year when it does
+   * not exist or is archived), so grades of past years do not weigh on the yearly average.
+   * @param {string} studentId - Student ObjectId
+   * @param {Object} filters - Optional filters (trimester, year e.g. 2024-2025)
+   * @param {Object} [user] - Authenticated user (req.user)
+   * @returns {Promise<Object>} Student info, per-trimester breakdown and yearly average
+   * @throws {Error} If student or trimester not found (404), or student outside the account scope (403)
+   * @example
+   * const data = await gradeService.getStudentAverages('507f1f77bcf86cd799439011');
+   * // Returns: { student: {...}, trimesters: [{ trimester, subjects: [...], average }], yearlyAverage }
+   */
+  async getStudentAverages(studentId, filters = {}, user) {
+    assertCanViewStudent(user, studentId);
+
+    const student = await Student.findById(studentId);
+    if (!student) {
+      const error = new Error('Student not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const trimesterQuery = {};
+    if (filters.year) {
+      trimesterQuery.idannee = await academicYearService.getYearIdFilter(filters.year);
+    } else if (filters.trimester) {
+      const requested = await Trimester.findById(filters.trimester).select('idannee');
+      if (!requested) {
+        const error = new Error('Trimester not found');
+        error.statusCode = 404;
+        throw error;
+      }
+      trimesterQuery.idannee = requested.idannee || null;
+    } else {
+      const year = await academicYearService.getCurrentYear();
+      trimesterQuery.idannee = year ? year._id : null;
+    }
+
+    const trimesters = await Trimester.find(trimesterQuery).sort({ dateDebut: 1 });
+    const subjects = await Subject.find().sort({ nom: 1 });
+    const grades = await Grade.find({ ideleve: studentId });
+
+    // Yearly average always covers every trimester, even when the response is filtered
+    const summaries = trimesters.map(trimester => {
+      const trimesterGrades = grades.filter(
+        grade => grade.idtrimestre.toString() === trimester._id.toString()
+      );
+
+      const subjectAverages = subjects.map(subject => {
+        const subjectGrades = trimesterGrades.filter(
+          grade => grade.idmatiere.toString() === subject._id.toString()
+        );
+        const { average, totalCoefficient } = weightedAverage(subjectGrades);
+
+        return {
+          subject: { _id: subject._id, nom: subject.nom },
+          average,
+          totalCoefficient,
+          gradeCount: subjectGrades.length
+        };
+      });
+
+      return {
+        trimester: { _id: trimester._id, nom: trimester.nom },
+        subjects: subjectAverages,
+        average: weightedAverage(trimesterGrades).average
+      };
+    });
+
+    let selected = summaries;
+    if (filters.trimester) {
+      selected = summaries.filter(
+        summary => summary.trimester._id.toString() === filters.trimester.toString()
+      );
+      if (selected.length === 0) {
+        const error = new Error('Trimester not found');
+        error.statusCode = 404;
+        throw error;
+      }
+    }
+
+    return {
+      student: {
+        _id: student._id,
+        nom: student.nom,
+        prenom: student.prenom
+      },
+      trimesters: selected,
+      yearlyAverage: mean(summaries.map(summary => summary.average))
+    };
+  }
+
+  /**
+   * Compute class statistics for a trimester
+   * Subject statistics are computed over each student's weighted subject average.
+   * Ranking uses each student's overall weighted average for the trimester,
+   * with competition ranking for ties (1, 2, 2, 4). Classes of archived years keep the
+   * students moved out by a rollover (classesPrecedentes).
+   * @param {string} classId - Class ObjectId
+   * @param {string} trimesterId - Trimester ObjectId
+   * @returns {Promise<Object>} Class info, per-subject statistics and student ranking
+   * @throws {Error} If class or trimester not found (404)
+   * @example
+   * const stats = await gradeService.getClassStatistics(classId, trimesterId);
+   * // Returns: { class, trimester, classAverage, subjects: [...], ranking: [...] }
+   */
+  async getClassStatistics(classId, trimesterId) {
+    const classe = await Class.findById(classId);
+    if (!classe) {
+      const error = new Error('Class not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const trimester = await Trimester.findById(trimesterId);
+    if (!trimester) {
+      const error = new Error('Trimester not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const students = await Student.find({ $or: [{ classe: classId }, { classesPrecedentes: classId }] })
+      .sort({ nom: 1, prenom: 1 });
+    const grades = await Grade.find({ idclasse: classId, idtrimestre: trimesterId })
+      .populate(withDeleted('idmatiere', 'nom'));
+
+    // Group grades by student, and by subject then student
+    const gradesByStudent = new Map();
+    const subjectMap = new Map();
+
+    grades.forEach(grade => {
+      // Skip grades whose subject no longer exists
+      if (!grade.idmatiere) {
+        return;
+      }
+
+      const studentId = grade.ideleve.toString();
+      const subjectId = grade.idmatiere._id.toString();
+
+      if (!gradesByStudent.has(studentId)) {
+        gradesByStudent.set(studentId, []);
+      }
+      gradesByStudent.get(studentId).push(grade);
+
+      if (!subjectMap.has(subjectId)) {
+        subjectMap.set(subjectId, {
+          subject: { _id: grade.idmatiere._id, nom: grade.idmatiere.nom },
+          gradesByStudent: new Map()
+        });
+      }
+      const subjectGrades = subjectMap.get(subjectId).gradesByStudent;
+      if (!subjectGrades.has(studentId)) {
+        subjectGrades.set(studentId, []);
+      }
+      subjectGrades.get(studentId).push(grade);
+    });
+
+    const subjects = Array.from(subjectMap.values())
+      .map(({ subject, gradesByStudent: subjectGrades }) => {
+        const averages = students
+          .map(student => weightedAverage(subjectGrades.get(student._id.toString()) || []).average)
+          .filter(average => average !== null);
+
+        return {
+          subject,
+          average: mean(averages),
+          min: averages.length ? Math.min(...averages) : null,
+          max: averages.length ? Math.max(...averages) : null,
+          median: median(averages),
+          standardDeviation: standardDeviation(averages),
+          studentCount: averages.length
+        };
+      })
+      .sort((a, b) => a.subject.nom.localeCompare(b.subject.nom));
+
+    const ranking = rankByAverage(students.map(student => ({
+      student: {
+        _id: student._id,
+        nom: student.nom,
+        prenom: student.prenom
+      },
+      average: weightedAverage(gradesByStudent.get(student._id.toString()) || []).average
+    })));
+
+    return {
+      class: { _id: classe._id, nom: classe.nom },
+      trimester: { _id: trimester._id, nom: trimester.nom },
+      classAverage: mean(ranking.map(entry => entry.average)),
+      subjects,
+      ranking
+    };
+  }
+
+  // Student and parent accounts can only read grades of their own records (403),
+  // includeDeleted (admins only) also finds a deleted grade
+  async getGradeById(id, user, { includeDeleted = false } = {}) {
+    const grade = await Grade.findById(id, null, { includeDeleted })
+      .populate(withDeleted('ideleve', 'nom prenom dateNaissance'))
+      .populate(withDeleted('idclasse', 'nom'))
+      .populate(withDeleted('idmatiere', 'nom'))
+      .populate(withDeleted('idprof', 'nom prenom'))
+      .populate(withDeleted('idtrimestre', 'nom date'));
 
     // NOTE: This check only verifies if the Grade document exists.
     // It does NOT validate if the referenced entities (student, class, subject, teacher, trimester) exist.
     // If a reference ID doesn't exist, .populate() returns null for that field without throwing an error.
+    // Deleted students, classes, subjects, teachers and trimesters are soft-deleted and still populate
+    // (withDeleted) so the grade keeps showing them.
     // Reference validation is performed in createGrade() and updateGrade() before saving.
     if (!grade) {
       throw new Error('Grade not found');
     }
 
+    assertCanViewStudent(user, grade.ideleve);
+
     return grade;
   }
 
-  async createGrade(gradeData) {
+  /**
+   * Check that an account may write a grade
+   * The teacher (idprof) must teach the subject in the class (teaching assignment), whoever
+   * records the grade. Teacher accounts can only record grades under their own profile;
+   * admins and internal calls may record them for any assigned teacher.
+   * Nobody writes grades in the classes and trimesters of an archived academic year.
+   * @param {Object} [user] - Authenticated user (req.user)
+   * @param {Object} grade - Grade values once written (idprof, idmatiere, idclasse, idtrimestre)
+   * @throws {Error} If the account is not allowed to write the grade (403) or the year is archived (409)
+   */
+  async assertCanWriteGrade(user, grade) {
+    if (!hasFullAccess(user) && !sameId(grade.idprof, getLinkedTeacherId(user))) {
+      throw forbidden('Teachers can only record grades under their own profile (idprof)');
+    }
+
+    await teachingAssignmentService.assertTeaches(grade);
+    await academicYearService.assertWritable(grade);
+  }
+
+  // Without idtrimestre the grade goes to the current trimester; locked trimesters need an admin override
+  // idevaluation and noteBrute are ignored: evaluation grades go through createGradesBatch
+  async createGrade(data, user, motifDerogation) {
+    const gradeData = await defaultToCurrentTrimester(withoutEvaluationFields(data));
+
     // Verify all referenced entities exist before CREATE operation
     // If validation fails here, it means the CREATE operation cannot proceed
     // because one or more referenced entities don't exist in the database
@@ -197,19 +503,178 @@ class GradeService {
       throw new Error(`Referenced trimester (${gradeData.idtrimestre}) not found`);
     }
 
+    await this.assertCanWriteGrade(user, gradeData);
+    await trimesterService.assertUnlocked([gradeData.idtrimestre], user, motifDerogation);
+
     const grade = new Grade(gradeData);
     await grade.save();
+    await gradeHistoryService.recordCreated([grade]);
+    await auditService.record({ action: 'create', entity: 'Grade', after: grade, reason: motifDerogation });
 
     // Fetch the saved document with all populated references
     return await Grade.findById(grade._id)
-      .populate('ideleve', 'nom prenom dateNaissance')
-      .populate('idclasse', 'nom')
-      .populate('idmatiere', 'nom')
-      .populate('idprof', 'nom prenom')
-      .populate('idtrimestre', 'nom');
+      .populate(withDeleted('ideleve', 'nom prenom dateNaissance'))
+      .populate(withDeleted('idclasse', 'nom'))
+      .populate(withDeleted('idmatiere', 'nom'))
+      .populate(withDeleted('idprof', 'nom prenom'))
+      .populate(withDeleted('idtrimestre', 'nom'));
   }
 
-  async updateGrade(id, gradeData) {
+  /**
+   * Record the grades of a whole class for one evaluation
+   * Shared references (class, subject, teacher, trimester) and write access are checked
+   * once for the batch. Each row is then checked: the student must exist, belong to the
+   * class and appear only once. Grades are only saved when every row is valid, all in one
+   * transaction with their first version.
+   *
+   * With an idevaluation, the shared values come from the evaluation: notes are entered on
+   * its scale (bareme) and stored on /20, and students already graded for it are rejected.
+   * Otherwise the trimester defaults to the current one. Locked trimesters need an admin override.
+   * @param {Object} batch - idclasse, idmatiere, idprof, idtrimestre, coefficient (or idevaluation)
+   *   and grades: [{ ideleve, note, commentaire }]
+   * @param {Object} [user] - Authenticated user (req.user)
+   * @param {string} [motifDerogation] - Override reason for a locked trimester
+   * @returns {Promise<{errors: Array<{field: string, message: string}>, grades: Array}>}
+   *   Row errors use the request path (e.g. grades[3].ideleve); grades is empty unless saved
+   * @throws {Error} If a shared reference is missing (400), the account cannot write the grades (403)
+   *   or the trimester is locked (409)
+   * @example
+   * const { errors, grades } = await gradeService.createGradesBatch({
+   *   idclasse, idmatiere, idprof, idtrimestre, coefficient: 2,
+   *   grades: [{ ideleve: '507f...', note: 14 }, { ideleve: '507f...', note: 9.5 }]
+   * }, req.user);
+   */
+  async createGradesBatch(batch, user, motifDerogation) {
+    const { grades: rows = [], ...shared } = batch;
+
+    let evaluation = null;
+    if (shared.idevaluation) {
+      evaluation = await Evaluation.findById(shared.idevaluation);
+      if (!evaluation) {
+        const error = new Error('Evaluation not found');
+        error.statusCode = 404;
+        throw error;
+      }
+      ['idclasse', 'idmatiere', 'idprof', 'idtrimestre', 'coefficient'].forEach(field => {
+        shared[field] = evaluation[field];
+      });
+    } else {
+      Object.assign(shared, await defaultToCurrentTrimester(shared));
+    }
+    const bareme = evaluation ? evaluation.bareme : 20;
+
+    const references = [
+      [Class, shared.idclasse, 'class'],
+      [Subject, shared.idmatiere, 'subject'],
+      [Teacher, shared.idprof, 'teacher'],
+      [Trimester, shared.idtrimestre, 'trimester']
+    ];
+    const found = await Promise.all(references.map(([Model, id]) => Model.findById(id)));
+    found.forEach((document, index) => {
+      if (!document) {
+        const [, id, label] = references[index];
+        const error = new Error(`Referenced ${label} (${id}) not found`);
+        error.statusCode = 400;
+        throw error;
+      }
+    });
+
+    await this.assertCanWriteGrade(user, shared);
+    await trimesterService.assertUnlocked([shared.idtrimestre], user, motifDerogation);
+
+    // One query for all the students of the batch
+    const students = await Student.find({ _id: { $in: rows.map(row => row.ideleve) } }).select('classe');
+    const studentsById = new Map(students.map(student => [student._id.toString(), student]));
+
+    const graded = evaluation
+      ? await Grade.find({ idevaluation: evaluation._id, ideleve: { $in: rows.map(row => row.ideleve) } }).select('ideleve')
+      : [];
+    const alreadyGraded = new Set(graded.map(grade => grade.ideleve.toString()));
+
+    const errors = [];
+    const seen = new Set();
+    rows.forEach((row, index) => {
+      const studentId = String(row.ideleve);
+      const student = studentsById.get(studentId);
+      let message = null;
+
+      if (!student) {
+        message = `Referenced student (${studentId}) not found`;
+      } else if (!sameId(student.classe, shared.idclasse)) {
+        message = 'Student is not in the specified class';
+      } else if (seen.has(studentId)) {
+        message = 'Student appears more than once in the batch';
+      } else if (alreadyGraded.has(studentId)) {
+        message = 'Student already has a grade for this evaluation';
+      }
+      seen.add(studentId);
+
+      if (message) {
+        errors.push({ field: `grades[${index}].ideleve`, message });
+      }
+      if (row.note > bareme) {
+        errors.push({ field: `grades[${index}].note`, message: `Note must be between 0 and ${bareme}` });
+      }
+    });
+
+    if (errors.length > 0) {
+      return { errors, grades: [] };
+    }
+
+    const grades = rows.map(row => new Grade({
+      ...shared,
+      ideleve: row.ideleve,
+      statut: row.statut,
+      note: evaluation && !isBlank(row.note) ? toTwentyScale(row.note, bareme) : row.note,
+      noteBrute: evaluation ? row.note : undefined,
+      commentaire: row.commentaire
+    }));
+    // The grades and their first version are written together
+    await runInTransaction(async session => {
+      await insertAllOrNothing(Grade, grades, session);
+      await gradeHistoryService.recordCreated(grades, session);
+    });
+    await auditService.recordMany(grades.map(grade => ({
+      action: 'create',
+      entity: 'Grade',
+      after: grade,
+      reason: motifDerogation
+    })));
+
+    return {
+      errors,
+      grades: await Grade.populate(grades, [
+        withDeleted('ideleve', 'nom prenom dateNaissance'),
+        withDeleted('idclasse', 'nom'),
+        withDeleted('idmatiere', 'nom'),
+        withDeleted('idprof', 'nom prenom'),
+        withDeleted('idtrimestre', 'nom')
+      ])
+    };
+  }
+
+  /**
+   * Update a grade
+   * Every change is kept in the grade history with its author and reason. idevaluation and
+   * noteBrute are ignored: a grade is not moved to another evaluation, and its noteBrute
+   * follows the note.
+   * @param {string} id - Grade ObjectId
+   * @param {Object} data - Changed fields
+   * @param {Object} [user] - Authenticated user (req.user)
+   * @param {string} [motifDerogation] - Override reason for a locked trimester
+   * @param {string} motif - Reason for the change, required
+   * @returns {Promise<Object>} Updated grade with populated references
+   * @throws {Error} If the reason is missing or a reference is invalid (400), the account cannot
+   *   modify the grade (403), the grade is not found or the year is archived or the trimester locked (409)
+   */
+  async updateGrade(id, data, user, motifDerogation, motif) {
+    const gradeData = withoutEvaluationFields(data);
+    if (isBlank(motif)) {
+      const error = new Error('A reason (motif) is required to modify a grade');
+      error.statusCode = 400;
+      throw error;
+    }
+
     // Verify referenced entities exist if they're being updated in UPDATE operation
     // If validation fails here, it means the UPDATE operation cannot proceed
     // because one or more referenced entities don't exist in the database
@@ -223,6 +688,14 @@ class GradeService {
       throw new Error('Grade not found');
     }
 
+    // Teachers can only modify the grades they recorded
+    if (!hasFullAccess(user) && !sameId(currentGrade.idprof, getLinkedTeacherId(user))) {
+      throw forbidden('You can only modify grades you recorded');
+    }
+
+    // A grade of an archived year cannot be modified, nor moved out of it
+    await academicYearService.assertWritable(currentGrade);
+
     let student;
     if (gradeData.ideleve) {
       student = await Student.findById(gradeData.ideleve);
@@ -270,32 +743,107 @@ class GradeService {
       }
     }
 
+    await this.assertCanWriteGrade(user, {
+      idprof: gradeData.idprof || currentGrade.idprof,
+      idmatiere: gradeData.idmatiere || currentGrade.idmatiere,
+      idclasse: gradeData.idclasse || currentGrade.idclasse,
+      idtrimestre: gradeData.idtrimestre || currentGrade.idtrimestre
+    });
+
+    // Neither the trimester of the grade nor the one it moves to may be locked
+    await trimesterService.assertUnlocked([currentGrade.idtrimestre, gradeData.idtrimestre], user, motifDerogation);
+
+    let update = gradeData;
+    if (gradeData.statut && gradeData.statut !== 'present') {
+      // Only present students keep a note
+      update = { ...gradeData, note: null, noteBrute: null };
+    } else if (!gradeData.statut && !isBlank(gradeData.note) && currentGrade.statut && currentGrade.statut !== 'present') {
+      // Giving a note to an absent student marks them present
+      update = { ...gradeData, statut: 'present' };
+    }
+
+    // The note is given on /20: keep the score on the evaluation scale in sync
+    if (currentGrade.idevaluation && !isBlank(update.note)) {
+      const evaluation = await Evaluation.findById(currentGrade.idevaluation);
+      if (evaluation) {
+        update = { ...update, noteBrute: round(update.note * evaluation.bareme / 20) };
+      }
+    }
+
     const grade = await Grade.findByIdAndUpdate(
       id,
-      gradeData,
+      update,
       { new: true, runValidators: true }
     )
-      .populate('ideleve', 'nom prenom dateNaissance')
-      .populate('idclasse', 'nom')
-      .populate('idmatiere', 'nom')
-      .populate('idprof', 'nom prenom')
-      .populate('idtrimestre', 'nom');
+      .populate(withDeleted('ideleve', 'nom prenom dateNaissance'))
+      .populate(withDeleted('idclasse', 'nom'))
+      .populate(withDeleted('idmatiere', 'nom'))
+      .populate(withDeleted('idprof', 'nom prenom'))
+      .populate(withDeleted('idtrimestre', 'nom'));
 
     if (!grade) {
       throw new Error('Grade not found');
     }
+    await gradeHistoryService.recordChange(currentGrade, grade, { motif, motifDerogation });
+    await auditService.record({ action: 'update', entity: 'Grade', before: currentGrade, after: grade, reason: motif });
 
     return grade;
   }
 
-  async deleteGrade(id) {
-    const grade = await Grade.findByIdAndDelete(id);
+  /**
+   * Get the versions of a grade, most recent first
+   * @param {string} id - Grade ObjectId
+   * @param {Object} [user] - Authenticated user (req.user)
+   * @param {Object} [options={}] - includeDeleted (admins only) also finds a deleted grade
+   * @returns {Promise<Array<Object>>} See gradeHistoryService.getHistory
+   * @throws {Error} If the grade is not found or outside the account scope (403)
+   */
+  async getGradeHistory(id, user, options = {}) {
+    const grade = await this.getGradeById(id, user, options);
+    return await gradeHistoryService.getHistory(grade);
+  }
+
+  /**
+   * Restore a previous version of a grade (Admin)
+   * The values of the version are written back as a new version, with the same checks
+   * as any update (references, archived year, locked trimester).
+   * @param {string} id - Grade ObjectId
+   * @param {number} version - Version to restore
+   * @param {Object} [user] - Authenticated user (req.user)
+   * @param {string} [motifDerogation] - Override reason for a locked trimester
+   * @param {string} motif - Reason for the restore, required
+   * @returns {Promise<Object>} Updated grade with populated references
+   * @throws {Error} If the version is not found (404), see updateGrade for the other errors
+   */
+  async restoreGrade(id, version, user, motifDerogation, motif) {
+    if (isBlank(motif)) {
+      const error = new Error('A reason (motif) is required to modify a grade');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const values = await gradeHistoryService.getVersionValues(id, version);
+    return await this.updateGrade(id, values, user, motifDerogation, `Version ${version} restored: ${motif}`);
+  }
+
+  // Grades of an archived academic year are kept (409), locked trimesters need an admin override.
+  // The grade is soft-deleted and its deletion kept as the last version of its history.
+  async deleteGrade(id, user, motifDerogation) {
+    const grade = await Grade.findById(id);
 
     if (!grade) {
       throw new Error('Grade not found');
     }
 
-    return grade;
+    await academicYearService.assertWritable(grade);
+    await trimesterService.assertUnlocked([grade.idtrimestre], user, motifDerogation);
+    const deleted = await runInTransaction(async session => {
+      await gradeHistoryService.recordDeleted(grade, { motifDerogation }, session);
+      return await softDelete(Grade, id, user, session);
+    });
+    await auditService.record({ action: 'delete', entity: 'Grade', before: grade, reason: motifDerogation });
+
+    return deleted;
   }
 }
 
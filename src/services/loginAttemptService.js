@@ -0,0 +1,179 @@
+const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
+const auditService = require('./auditService');
+const { getRequestContext } = require('../utils/requestContext');
+
+// Failed logins allowed from an address before each new attempt has to wait (2, 4, 8... seconds)
+const FREE_LOGIN_ATTEMPTS = 2;
+// An email is locked 15 minutes after 10 failed logins in a row, from any address,
+// unless LOGIN_MAX_ATTEMPTS and LOGIN_LOCKOUT_MINUTES say otherwise
+const DEFAULT_MAX_LOGIN_ATTEMPTS = 10;
+const DEFAULT_LOCKOUT_MINUTES = 15;
+// ip of the counter of an email across every address (the account counter)
+const ALL_ADDRESSES = '*';
+
+const withStatus = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Failures are counted per email (lockout) and per email and IP address of the request (wait)
+const getIp = () => getRequestContext().ip || null;
+
+class LoginAttemptService {
+  // Failed logins in a row, from any address, that lock the email
+  getMaxAttempts() {
+    return Number(process.env.LOGIN_MAX_ATTEMPTS) || DEFAULT_MAX_LOGIN_ATTEMPTS;
+  }
+
+  // Duration of a lockout in milliseconds
+  getLockoutDuration() {
+    const minutes = Number(process.env.LOGIN_LOCKOUT_MINUTES) || DEFAULT_LOCKOUT_MINUTES;
+    return minutes * 60 * 1000;
+  }
+
+  // Wait imposed after a failed login in milliseconds, doubling with each failure
+  // and never longer than a lockout
+  getDelay(attempts) {
+    if (attempts <= FREE_LOGIN_ATTEMPTS) {
+      return 0;
+    }
+    return Math.min(1000 * 2 ** (attempts - FREE_LOGIN_ATTEMPTS), this.getLockoutDuration());
+  }
+
+  /**
+   * Refuse a login while the email is locked, or has to wait from this IP address
+   * The password is not checked at all until then.
+   * @param {string} email - Email trying to log in, with or without an account
+   * @returns {Promise<void>}
+   * @throws {Error} While the email is locked (423) or waiting after a failed login from
+   *   this address (429), with details.retryAfter in seconds
+   */
+  async assertCanLogin(email) {
+    const now = Date.now();
+    const [account, address] = await Promise.all([
+      LoginAttempt.findOne({ email, ip: ALL_ADDRESSES }),
+      LoginAttempt.findOne({ email, ip: getIp() })
+    ]);
+
+    if (account && account.lockUntil && account.lockUntil > now) {
+      const retryAfter = Math.ceil((account.lockUntil - now) / 1000);
+      const error = withStatus(
+        `Login locked after too many failed login attempts, try again in ${Math.ceil(retryAfter / 60)} minute(s)`,
+        423
+      );
+      error.details = { retryAfter };
+      throw error;
+    }
+    if (address && address.lockUntil && address.lockUntil > now) {
+      const retryAfter = Math.ceil((address.lockUntil - now) / 1000);
+      const error = withStatus(`Too many failed login attempts, try again in ${retryAfter} second(s)`, 429);
+      error.details = { retryAfter };
+      throw error;
+    }
+  }
+
+  /**
+   * Count a failed login (unknown email or wrong password)
+   * From the third failure in a row from an address, the next attempt from it has to wait;
+   * reaching LOGIN_MAX_ATTEMPTS failures from any address locks the email, so rotating
+   * addresses does not get around the lockout. The lockout of an account is recorded in
+   * the audit log.
+   * @param {string} email - Email that failed to log in
+   * @param {Object|null} user - User of the email, null when no account uses it
+   * @returns {Promise<Object>} The failed logins of the email, from every address
+   */
+  async recordFailure(email, user = null) {
+    const ip = getIp();
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + this.getLockoutDuration());
+    // A lockout over, the count starts again
+    await LoginAttempt.deleteOne({
+      email,
+      ip: ALL_ADDRESSES,
+      attempts: { $gte: this.getMaxAttempts() },
+      lockUntil: { $lte: now }
+    });
+    // Atomic, so parallel attempts are all counted
+    const count = key => LoginAttempt.findOneAndUpdate(
+      key,
+      { $inc: { attempts: 1 }, $set: { expiresAt } },
+      { upsert: true, new: true }
+    );
+    const account = await count({ email, ip: ALL_ADDRESSES });
+    const address = await count({ email, ip });
+
+    const wait = this.getDelay(address.attempts);
+    if (wait > 0) {
+      await LoginAttempt.updateOne({ email, ip }, { lockUntil: new Date(now.getTime() + wait) });
+    }
+
+    if (account.attempts < this.getMaxAttempts()) {
+      return account;
+    }
+
+    const lockedAccount = await LoginAttempt.findOneAndUpdate(
+      { email, ip: ALL_ADDRESSES },
+      { lockUntil: new Date(now.getTime() + this.getLockoutDuration()) },
+      { new: true }
+    );
+
+    if (user) {
+      await auditService.record({
+        action: 'lock',
+        entity: 'User',
+        before: user,
+        after: user,
+        reason: `${account.attempts} failed login attempts, the last from ${ip || 'an unknown address'}`
+      });
+    }
+
+    return lockedAccount;
+  }
+
+  // Clear the failed logins of an email and the wait of the address it logged in from
+  async recordSuccess(email) {
+    await LoginAttempt.deleteMany({ email, ip: { $in: [ALL_ADDRESSES, getIp()] } });
+  }
+
+  /**
+   * Clear the failed logins of an email, the lockout and the wait of every address
+   * @param {string} email - Email of the account
+   * @returns {Promise<number>} Number of counters cleared (the email and each address)
+   */
+  async clearFailures(email) {
+    const { deletedCount } = await LoginAttempt.deleteMany({ email });
+    return deletedCount;
+  }
+
+  /**
+   * Unlock a user account (Admin)
+   * Clears the failed logins, the lockout and any wait from every address, the unlock is
+   * recorded in the audit log.
+   * @param {string} userId - User ObjectId
+   * @returns {Promise<Object>} The unlocked user
+   * @throws {Error} If user not found (404)
+   */
+  async unlock(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw withStatus('User not found', 404);
+    }
+
+    const cleared = await this.clearFailures(user.email);
+    if (cleared > 0) {
+      await auditService.record({
+        action: 'unlock',
+        entity: 'User',
+        before: user,
+        after: user,
+        reason: `Failed logins cleared (${cleared} counter(s))`
+      });
+    }
+
+    return user;
+  }
+}
+
+module.exports = new LoginAttemptService();
@@ -0,0 +1,66 @@
+const { createMailTransport } = require('../config/mail');
+
+class MailService {
+  constructor() {
+    this.transport = null;
+  }
+
+  // The transport is created on first use, from MAIL_TRANSPORT (console by default)
+  getTransport() {
+    if (!this.transport) {
+      this.transport = createMailTransport(process.env.MAIL_TRANSPORT || undefined);
+    }
+    return this.transport;
+  }
+
+  /**
+   * Replace the mail transport (mail provider, or a stub in tests)
+   * @param {Object} transport - Object with an async send({ from, to, subject, text }) method
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Send a plain text mail
+   * @param {Object} message - to, subject and text (from defaults to MAIL_FROM)
+   * @returns {Promise<void>}
+   */
+  async send({ to, subject, text }) {
+    await this.getTransport().send({
+      from: process.env.MAIL_FROM || 'DigiSchool <no-reply@digischool.local>',
+      to,
+      subject,
+      text
+    });
+  }
+
+  /**
+   * Send the password reset token of a user
+   * With PASSWORD_RESET_URL set, the mail links to it with the token as query parameter.
+   * @param {Object} user - User (username, email)
+   * @param {string} token - Reset token, sent in clear only in this mail
+   * @param {number} expiresInMinutes - Validity of the token
+   * @returns {Promise<void>}
+   */
+  async sendPasswordReset(user, token, expiresInMinutes) {
+    const instructions = process.env.PASSWORD_RESET_URL
+      ? ['Use this link to choose a new password:', `${process.env.PASSWORD_RESET_URL}?token=${token}`]
+      : ['Use this token to choose a new password:', token];
+
+    await this.send({
+      to: user.email,
+      subject: 'Reset your DigiSchool password',
+      text: [
+        `Hello ${user.username},`,
+        '',
+        'A password reset was requested for your account.',
+        ...instructions,
+        '',
+        `It expires in ${expiresInMinutes} minutes and works once. If you did not ask for it, ignore this mail: your password is unchanged.`
+      ].join('\n')
+    });
+  }
+}
+
+module.exports = new MailService();
@@ -0,0 +1,272 @@
+const PDFDocument = require('pdfkit');
+const Appreciation = require('../models/Appreciation');
+const CouncilComment = require('../models/CouncilComment');
+const Grade = require('../models/Grade');
+const Student = require('../models/Student');
+const Trimester = require('../models/Trimester');
+const gradeService = require('./gradeService');
+const attendanceService = require('./attendanceService');
+const { weightedAverage } = require('../utils/gradeMath');
+const { assertCanViewStudent, sameId } = require('../utils/permissions');
+const { GRADE_STATUS_LABELS } = require('../utils/constants');
+const { withDeleted } = require('../utils/softDelete');
+
+// Format an average for print (null means no graded work)
+const formatAverage = (value) => (value === null || value === undefined ? '-' : value.toFixed(2));
+
+// Class the student's grades and rank are read from
+const classPopulate = path => ({
+  path,
+  select: 'nom prof idannee',
+  populate: {
+    path: 'prof',
+    select: 'nom prenom'
+  }
+});
+
+// Format a grade for print: its note, or the status label when the student was not present
+const formatNote = (grade) => GRADE_STATUS_LABELS[grade.statut] || String(grade.note);
+
+class ReportCardService {
+  /**
+   * Gather everything printed on a student's report card for a trimester
+   * Subjects are those graded in the student's class during the trimester,
+   * so a subject the student was not graded in still shows the class average.
+   * For a trimester of an archived year, the class is the one the student had that year
+   * (classesPrecedentes, kept by the rollover).
+   * @param {string} studentId - Student ObjectId
+   * @param {string} trimesterId - Trimester ObjectId
+   * @returns {Promise<Object>} Report card data (student, class, head teacher, subjects with appreciations,
+   * averages, rank, absence counts, class council comment)
+   * @throws {Error} If student, trimester or the student's class not found (404)
+   */
+  async getReportCardData(studentId, trimesterId) {
+    const student = await Student.findById(studentId)
+      .populate([classPopulate('classe'), classPopulate('classesPrecedentes')]);
+    if (!student) {
+      const error = new Error('Student not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const trimester = await Trimester.findById(trimesterId);
+    if (!trimester) {
+      const error = new Error('Trimester not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const classe = (student.classesPrecedentes || []).find(
+      previous => previous && trimester.idannee && sameId(previous.idannee, trimester.idannee)
+    ) || student.classe;
+    if (!classe) {
+      const error = new Error('Student class not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const classId = classe._id;
+    const statistics = await gradeService.getClassStatistics(classId, trimesterId);
+    const grades = await Grade.find({ ideleve: studentId, idclasse: classId, idtrimestre: trimesterId })
+      .sort({ createdAt: 1 });
+    const appreciations = await Appreciation.find({ ideleve: studentId, idtrimestre: trimesterId })
+      .populate(withDeleted('idprof', 'nom prenom'));
+    const councilComment = await CouncilComment.findOne({ ideleve: studentId, idtrimestre: trimesterId });
+    const attendance = await attendanceService.getAttendanceCounts(studentId, trimesterId);
+
+    const subjects = statistics.subjects.map(subjectStats => {
+      const subjectGrades = grades.filter(
+        grade => grade.idmatiere.toString() === subjectStats.subject._id.toString()
+      );
+      const { average, totalCoefficient } = weightedAverage(subjectGrades);
+      const appreciation = appreciations.find(
+        item => item.idmatiere.toString() === subjectStats.subject._id.toString()
+      );
+
+      return {
+        subject: subjectStats.subject,
+        grades: subjectGrades.map(grade => ({
+          statut: grade.statut,
+          note: grade.note,
+          coefficient: grade.coefficient
+        })),
+        average,
+        totalCoefficient,
+        classAverage: subjectStats.average,
+        appreciation: appreciation ? {
+          texte: appreciation.texte,
+          teacher: appreciation.idprof ? {
+            nom: appreciation.idprof.nom,
+            prenom: appreciation.idprof.prenom
+          } : null
+        } : null
+      };
+    });
+
+    const rankEntry = statistics.ranking.find(
+      entry => entry.student._id.toString() === student._id.toString()
+    );
+
+    return {
+      student: {
+        _id: student._id,
+        nom: student.nom,
+        prenom: student.prenom,
+        dateNaissance: student.dateNaissance
+      },
+      class: { _id: classId, nom: classe.nom },
+      headTeacher: classe.prof ? {
+        nom: classe.prof.nom,
+        prenom: classe.prof.prenom
+      } : null,
+      trimester: { _id: trimester._id, nom: trimester.nom },
+      subjects,
+      average: weightedAverage(grades).average,
+      classAverage: statistics.classAverage,
+      rank: rankEntry ? rankEntry.rank : null,
+      classSize: statistics.ranking.length,
+      attendance,
+      councilComment: councilComment ? councilComment.texte : null
+    };
+  }
+
+  /**
+   * Render a report card as a PDF document
+   * @param {Object} data - Report card data from getReportCardData()
+   * @returns {Promise<Buffer>} PDF file content
+   */
+  renderPdf(data) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 50 });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      // Header
+      doc.fontSize(18).font('Helvetica-Bold').text('Bulletin scolaire', { align: 'center' });
+      doc.fontSize(12).font('Helvetica').text(`Trimestre : ${data.trimester.nom}`, { align: 'center' });
+      doc.moveDown(1.5);
+
+      // Identity block
+      const birthDate = data.student.dateNaissance
+        ? new Date(data.student.dateNaissance).toLocaleDateString('fr-FR')
+        : '-';
+      doc.fontSize(11);
+      doc.font('Helvetica-Bold').text('Élève : ', { continued: true })
+        .font('Helvetica').text(`${data.student.nom} ${data.student.prenom}`);
+      doc.font('Helvetica-Bold').text('Né(e) le : ', { continued: true })
+        .font('Helvetica').text(birthDate);
+      doc.font('Helvetica-Bold').text('Classe : ', { continued: true })
+        .font('Helvetica').text(data.class.nom);
+      doc.font('Helvetica-Bold').text('Professeur principal : ', { continued: true })
+        .font('Helvetica').text(data.headTeacher ? `${data.headTeacher.nom} ${data.headTeacher.prenom}` : '-');
+      doc.moveDown(1.5);
+
+      // Grades table
+      const columns = [
+        { label: 'Matière', x: 50, width: 120 },
+        { label: 'Notes (coef.)', x: 170, width: 190 },
+        { label: 'Coef. total', x: 360, width: 60 },
+        { label: 'Moyenne', x: 420, width: 60 },
+        { label: 'Moy. classe', x: 480, width: 65 }
+      ];
+
+      const drawRow = (cells, bold = false) => {
+        // Start a new page before the row would overflow the bottom margin
+        if (doc.y > doc.page.height - doc.page.margins.bottom - 40) {
+          doc.addPage();
+        }
+        const y = doc.y;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+        const heights = cells.map((cell, index) => doc.heightOfString(cell, { width: columns[index].width - 5 }));
+        cells.forEach((cell, index) => {
+          doc.text(cell, columns[index].x, y, { width: columns[index].width - 5 });
+        });
+        const bottom = y + Math.max(...heights) + 4;
+        doc.moveTo(50, bottom).lineTo(545, bottom).strokeColor('#cccccc').stroke();
+        doc.x = 50;
+        doc.y = bottom + 4;
+      };
+
+      drawRow(columns.map(column => column.label), true);
+
+      if (data.subjects.length === 0) {
+        doc.font('Helvetica-Oblique').text('Aucune note pour ce trimestre.', 50, doc.y);
+        doc.moveDown();
+      }
+
+      data.subjects.forEach(subject => {
+        drawRow([
+          subject.subject.nom,
+          subject.grades.map(grade => `${formatNote(grade)} (${grade.coefficient})`).join('  ') || '-',
+          String(subject.totalCoefficient),
+          formatAverage(subject.average),
+          formatAverage(subject.classAverage)
+        ]);
+
+        if (subject.appreciation) {
+          const author = subject.appreciation.teacher
+            ? ` (${subject.appreciation.teacher.nom} ${subject.appreciation.teacher.prenom})`
+            : '';
+          doc.font('Helvetica-Oblique').fontSize(9)
+            .text(`${subject.appreciation.texte}${author}`, 55, doc.y, { width: 485 });
+          doc.x = 50;
+          doc.y += 4;
+        }
+      });
+
+      // Summary
+      doc.moveDown();
+      doc.font('Helvetica-Bold').fontSize(11).text('Moyenne générale : ', 50, doc.y, { continued: true })
+        .font('Helvetica').text(formatAverage(data.average));
+      doc.font('Helvetica-Bold').text('Moyenne de la classe : ', { continued: true })
+        .font('Helvetica').text(formatAverage(data.classAverage));
+      doc.font('Helvetica-Bold').text('Rang : ', { continued: true })
+        .font('Helvetica').text(data.rank ? `${data.rank} / ${data.classSize}` : '-');
+      if (data.attendance) {
+        doc.font('Helvetica-Bold').text('Absences : ', { continued: true })
+          .font('Helvetica').text(`${data.attendance.absences} (dont ${data.attendance.justifiedAbsences} justifiée(s))`);
+        doc.font('Helvetica-Bold').text('Retards : ', { continued: true })
+          .font('Helvetica').text(`${data.attendance.lates} (dont ${data.attendance.justifiedLates} justifié(s))`);
+      }
+      doc.moveDown(1.5);
+
+      // Comment section (kept on one page with its box)
+      if (doc.y > doc.page.height - doc.page.margins.bottom - 140) {
+        doc.addPage();
+      }
+      doc.font('Helvetica-Bold').text('Appréciation du conseil de classe', 50, doc.y);
+      doc.moveDown(0.5);
+      const boxTop = doc.y;
+      doc.rect(50, boxTop, 495, 100).strokeColor('#000000').stroke();
+      if (data.councilComment) {
+        doc.font('Helvetica').fontSize(10)
+          .text(data.councilComment, 58, boxTop + 8, { width: 479, height: 86, ellipsis: true });
+      }
+      doc.x = 50;
+      doc.y = boxTop + 110;
+
+      doc.end();
+    });
+  }
+
+  /**
+   * Build the PDF report card of a student for a trimester
+   * @param {string} studentId - Student ObjectId
+   * @param {string} trimesterId - Trimester ObjectId
+   * @param {Object} [user] - Authenticated user (req.user)
+   * @returns {Promise<{data: Object, pdf: Buffer}>} Report card data and rendered PDF
+   * @throws {Error} If student, class or trimester not found (404), or student outside the account scope (403)
+   */
+  async generateReportCard(studentId, trimesterId, user) {
+    assertCanViewStudent(user, studentId);
+
+    const data = await this.getReportCardData(studentId, trimesterId);
+    const pdf = await this.renderPdf(data);
+    return { data, pdf };
+  }
+}
+
+module.exports = new ReportCardService();
@@ -0,0 +1,101 @@
+const Student = require('../models/Student');
+const Teacher = require('../models/Teacher');
+const Class = require('../models/Class');
+const Subject = require('../models/Subject');
+const { normalize, tokenize, accentInsensitiveRegex, scoreDocument } = require('../utils/textSearch');
+
+// Searchable resources: model, matched fields and populated reference
+const SEARCH_TYPES = {
+  students: { model: Student, fields: ['nom', 'prenom'], populate: ['classe', 'nom'] },
+  teachers: { model: Teacher, fields: ['nom', 'prenom'] },
+  classes: { model: Class, fields: ['nom'], populate: ['prof', 'nom prenom'] },
+  subjects: { model: Subject, fields: ['nom'] }
+};
+
+// Matching documents loaded per type before ranking
+const MAX_CANDIDATES = 200;
+
+// Candidates are loaded best match first (every term exact, then every term at least a
+// word prefix, then any match) so the cap never drops better matches than it keeps
+const MATCH_LEVELS = ['exact', 'prefix', 'substring'];
+
+class SearchService {
+  /**
+   * Search students, teachers, classes and subjects by name
+   * Matching is case and accent insensitive ("elodie" finds "Élodie"); every
+   * term of the query must match one of the name fields. Results are ranked
+   * by relevance (exact match, then word prefix, then substring) and grouped by type.
+   * @param {string} q - Search query
+   * @param {Object} [options={}] - Search options
+   * @param {Array<string>} [options.types] - Types to search (students, teachers, classes, subjects)
+   * @param {number} [options.limit=10] - Maximum results per type
+   * @returns {Promise<{total: number, results: Object}>} Ranked results grouped by type
+   * @throws {Error} If the query contains no searchable term (400)
+   * @example
+   * const { total, results } = await searchService.search('elodie mar');
+   * // results: { students: [{ nom: 'Martin', prenom: 'Élodie', score: 4, ... }], teachers: [], ... }
+   */
+  async search(q, { types = Object.keys(SEARCH_TYPES), limit = 10 } = {}) {
+    const terms = tokenize(q);
+    if (terms.length === 0) {
+      const error = new Error('Search query must contain at least one term');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const groups = await Promise.all(types.map(type => this.searchType(type, terms, limit)));
+
+    const results = {};
+    types.forEach((type, index) => {
+      results[type] = groups[index];
+    });
+
+    return {
+      total: groups.reduce((sum, group) => sum + group.length, 0),
+      results
+    };
+  }
+
+  /**
+   * Search a single resource type and rank its matches
+   * @param {string} type - Key of SEARCH_TYPES
+   * @param {Array<string>} terms - Normalized search terms
+   * @param {number} limit - Maximum results
+   * @returns {Promise<Array>} Plain documents with their relevance score, best first
+   */
+  async searchType(type, terms, limit) {
+    const { model, fields, populate } = SEARCH_TYPES[type];
+
+    const documents = [];
+    for (const match of MATCH_LEVELS) {
+      if (documents.length >= MAX_CANDIDATES) {
+        break;
+      }
+
+      const filter = {
+        _id: { $nin: documents.map(doc => doc._id) },
+        $and: terms.map(term => {
+          const regex = accentInsensitiveRegex(term, match);
+          return { $or: fields.map(field => ({ [field]: regex })) };
+        })
+      };
+
+      let query = model.find(filter);
+      if (populate) {
+        query = query.populate(...populate);
+      }
+      documents.push(...await query.sort(fields.join(' ')).limit(MAX_CANDIDATES - documents.length).lean());
+    }
+
+    // Ties are broken alphabetically on the name fields
+    const label = doc => normalize(fields.map(field => doc[field]).join(' '));
+
+    return documents
+      .map(doc => ({ ...doc, score: scoreDocument(doc, fields, terms) }))
+      .filter(doc => doc.score > 0)
+      .sort((a, b) => b.score - a.score || label(a).localeCompare(label(b)))
+      .slice(0, limit);
+  }
+}
+
+module.exports = new SearchService();
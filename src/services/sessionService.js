@@ -0,0 +1,112 @@
+const Session = require('../models/Session');
+const { getRequestContext } = require('../utils/requestContext');
+const { generateToken, hashToken } = require('../utils/tokens');
+
+// Refresh tokens are valid 30 days after login unless REFRESH_TOKEN_EXPIRE_DAYS says otherwise
+const DEFAULT_REFRESH_TOKEN_DAYS = 30;
+
+const unauthorized = (message) => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  return error;
+};
+
+class SessionService {
+  // Lifetime of a session in milliseconds, counted from the login
+  getSessionLifetime() {
+    const days = Number(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || DEFAULT_REFRESH_TOKEN_DAYS;
+    return days * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Open a session for a user who just logged in or registered
+   * @param {string} userId - User ObjectId
+   * @returns {Promise<{session: Object, refreshToken: string}>} The session and its refresh token,
+   *   returned once: only its hash is stored
+   */
+  async createSession(userId) {
+    const refreshToken = generateToken();
+    const session = await Session.create({
+      user: userId,
+      refreshTokenHash: hashToken(refreshToken),
+      expiresAt: new Date(Date.now() + this.getSessionLifetime()),
+      ip: getRequestContext().ip
+    });
+
+    return { session, refreshToken };
+  }
+
+  /**
+   * Exchange a refresh token for a new one (rotation)
+   * Each refresh token works once. Presenting a token already replaced means it leaked:
+   * the session is revoked, so whoever holds the current token is logged out too.
+   * @param {string} refreshToken - Refresh token received at login or at the last refresh
+   * @returns {Promise<{session: Object, refreshToken: string}>} The session and the new refresh token
+   * @throws {Error} If the token is unknown, already used, revoked or expired (401)
+   */
+  async rotateSession(refreshToken) {
+    const hash = hashToken(refreshToken);
+    const nextRefreshToken = generateToken();
+
+    // Atomic, so two requests cannot both use the same token
+    const session = await Session.findOneAndUpdate(
+      { refreshTokenHash: hash, revokedAt: null, expiresAt: { $gt: new Date() } },
+      { refreshTokenHash: hashToken(nextRefreshToken), previousRefreshTokenHash: hash },
+      { new: true }
+    );
+
+    if (!session) {
+      const reused = await Session.findOneAndUpdate(
+        { previousRefreshTokenHash: hash, revokedAt: null },
+        { revokedAt: new Date() }
+      );
+      throw unauthorized(reused
+        ? 'Refresh token already used: the session has been revoked'
+        : 'Invalid or expired refresh token');
+    }
+
+    return { session, refreshToken: nextRefreshToken };
+  }
+
+  /**
+   * Check that the session of an access token is still open
+   * @param {string} sessionId - Session ObjectId (sid claim of the access token)
+   * @returns {Promise<boolean>} False once the session is revoked or expired
+   */
+  async isSessionActive(sessionId) {
+    const session = await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } });
+    return Boolean(session);
+  }
+
+  /**
+   * Revoke one session of a user (logout)
+   * @param {string} userId - User ObjectId
+   * @param {string} sessionId - Session ObjectId
+   * @returns {Promise<number>} Number of sessions revoked (0 when already revoked)
+   */
+  async revokeSession(userId, sessionId) {
+    const result = await Session.updateOne(
+      { _id: sessionId, user: userId, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Revoke every open session of a user (logout everywhere, password change or reset)
+   * @param {string} userId - User ObjectId
+   * @param {Object} [options={}] - except: session kept open (the one changing the password)
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeAllSessions(userId, { except } = {}) {
+    const filter = { user: userId, revokedAt: null };
+    if (except) {
+      filter._id = { $ne: except };
+    }
+
+    const result = await Session.updateMany(filter, { revokedAt: new Date() });
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new SessionService();
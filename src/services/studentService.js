@@ -1,15 +1,47 @@
 const Student = require('../models/Student');
+const auditService = require('./auditService');
+const dependencyService = require('./dependencyService');
+const { assertCanViewStudent, scopeToVisibleStudents } = require('../utils/permissions');
+const { paginate } = require('../utils/pagination');
+const { parseCsv } = require('../utils/csv');
+const { insertAllOrNothing } = require('../utils/bulkInsert');
+const { softDelete, findDeleted, assertReferenceActive } = require('../utils/softDelete');
+const { normalize } = require('../utils/textSearch');
+const { schoolYearOf } = require('../utils/schoolYear');
+const { validatePayload } = require('../middlewares/validation');
+const { studentValidationRules } = require('../validators/studentValidators');
+
+// CSV columns accepted by importStudents, keyed by student field
+// Headers are matched ignoring case, accents, spaces and underscores
+const IMPORT_COLUMNS = {
+  nom: ['nom', 'lastname'],
+  prenom: ['prenom', 'firstname'],
+  classe: ['classe', 'class', 'classname', 'nomclasse'],
+  dateNaissance: ['datenaissance', 'datedenaissance', 'dateofbirth', 'birthdate'],
+  sexe: ['sexe', 'gender'],
+  adresse: ['adresse', 'address']
+};
+const REQUIRED_IMPORT_COLUMNS = ['nom', 'prenom', 'classe', 'dateNaissance', 'sexe'];
 
 class StudentService {
   // Get all students with class population
-  async getAllStudents() {
-    return await Student.find()
-      .sort({ nom: 1, prenom: 1 });
+  // Student and parent accounts only get their own records
+  // Paginated list, options come from getListOptions (page, limit, sort, fields)
+  // and includeDeleted (admins only)
+  async getAllStudents(user, options = {}) {
+    return await paginate(Student, scopeToVisibleStudents({}, user), {
+      ...options,
+      defaultSort: { nom: 1, prenom: 1 }
+    });
   }
 
   // Get student by ID with class population
-  async getStudentById(id) {
-    const student = await Student.findById(id);
+  // Student and parent accounts can only read their own records (403)
+  // includeDeleted (admins only) also finds a deleted student
+  async getStudentById(id, user, { includeDeleted = false } = {}) {
+    assertCanViewStudent(user, id);
+
+    const student = await Student.findById(id, null, { includeDeleted });
 
     if (!student) {
       throw new Error('Student not found');
@@ -21,11 +53,13 @@ class StudentService {
   async createStudent(studentData) {
     const student = new Student(studentData);
     await student.save();
+    await auditService.record({ action: 'create', entity: 'Student', after: student });
     return student;
   }
 
   // Update student
   async updateStudent(id, updateData) {
+    const before = await Student.findById(id);
     const student = await Student.findByIdAndUpdate(
       id,
       updateData,
@@ -35,25 +69,130 @@ class StudentService {
     if (!student) {
       throw new Error('Student not found');
     }
+    await auditService.record({ action: 'update', entity: 'Student', before, after: student });
     return student;
   }
 
-  // Delete student
-  async deleteStudent(id) {
-    const student = await Student.findByIdAndDelete(id);
+  // Delete student: the record is kept, hidden until restored
+  // Students still referenced are kept unless options.cascade is set (see dependencyService)
+  async deleteStudent(id, user, { cascade, to, motifDerogation } = {}) {
+    const student = await dependencyService.deleteWithDependents(
+      'Student', id, { cascade, to, user, motifDerogation }, (session, deletedAt) => softDelete(Student, id, user, session, deletedAt)
+    );
     if (!student) {
       throw new Error('Student not found');
     }
+    await auditService.record({ action: 'delete', entity: 'Student', before: student });
+    return student;
+  }
+
+  // Restore a deleted student, once its class is not deleted (409)
+  // Grades, attendance and other records deleted along with the student (cascade=delete) come back with it
+  async restoreStudent(id) {
+    const Class = require('../models/Class');
+
+    const student = await findDeleted(Student, id, 'Student');
+    await assertReferenceActive(Class, student.classe, 'The class of this student is deleted: restore it first');
+
+    await dependencyService.restoreWithDependents('Student', student, async session => {
+      student.set({ deletedAt: null, deletedBy: null });
+      await student.save({ session });
+    });
+    await auditService.record({ action: 'restore', entity: 'Student', after: student });
     return student;
   }
 
+  /**
+   * Import students from a CSV file
+   * Columns: nom, prenom, classe (class name), dateNaissance (YYYY-MM-DD or DD/MM/YYYY),
+   * sexe and an optional adresse. Class names are resolved to the classes of the current
+   * school year (names are only unique within a year), then every row is checked with
+   * studentValidationRules. Nothing is written in dry-run mode or when a row is invalid;
+   * otherwise all rows are inserted in one transaction, or none if the insertion fails.
+   * @param {string} csv - CSV content, comma or semicolon separated, header on the first line
+   * @param {Object} [options={}] - Import options
+   * @param {boolean} [options.dryRun=false] - Only validate the rows
+   * @returns {Promise<{total: number, invalid: number, errors: Array<{row: number, field: string, message: string}>, students: Array}>}
+   *   Row errors reference the line in the file; students is empty unless the rows were inserted
+   * @throws {Error} If the file is empty or a required column is missing (400)
+   */
+  async importStudents(csv, { dryRun = false } = {}) {
+    const Class = require('../models/Class');
+    const AcademicYear = require('../models/AcademicYear');
+
+    const { headers, records } = parseCsv(typeof csv === 'string' ? csv : '');
+    if (records.length === 0) {
+      const error = new Error('CSV file is empty: send a header line and at least one student (Content-Type: text/csv)');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // Map each student field to the matching header of the file
+    const columns = {};
+    for (const [field, aliases] of Object.entries(IMPORT_COLUMNS)) {
+      columns[field] = headers.find(header => aliases.includes(normalize(header).replace(/[\s_-]/g, '')));
+    }
+    const missing = REQUIRED_IMPORT_COLUMNS.filter(field => !columns[field]);
+    if (missing.length > 0) {
+      const error = new Error(`Missing CSV column(s): ${missing.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // Classes without academic year when the current school year does not exist or is archived
+    const year = await AcademicYear.findOne({ nom: schoolYearOf(), archivee: false }).select('_id');
+    const classes = await Class.find({ idannee: year ? year._id : null }).select('nom');
+    const classIds = new Map(classes.map(classe => [normalize(classe.nom), classe._id.toString()]));
+
+    const rows = [];
+    const errors = [];
+    let invalid = 0;
+
+    for (const { line, values } of records) {
+      const className = values[columns.classe];
+      const row = {
+        nom: values[columns.nom],
+        prenom: values[columns.prenom],
+        classe: classIds.get(normalize(className)) || '',
+        // Spreadsheets export French dates as DD/MM/YYYY
+        dateNaissance: values[columns.dateNaissance].replace(/^(\d{2})\/(\d{2})\/(\d{4})$/, '$3-$2-$1'),
+        sexe: values[columns.sexe].toUpperCase()
+      };
+      if (columns.adresse && values[columns.adresse]) {
+        row.adresse = values[columns.adresse];
+      }
+
+      const rowErrors = await validatePayload(studentValidationRules, row);
+      rowErrors.forEach(({ field, message }) => errors.push({
+        row: line,
+        field,
+        message: field === 'classe' && className ? `Class "${className}" not found` : message
+      }));
+      if (rowErrors.length > 0) {
+        invalid++;
+      }
+      rows.push(row);
+    }
+
+    const report = { total: records.length, invalid, errors, students: [] };
+    if (dryRun || invalid > 0) {
+      return report;
+    }
+
+    report.students = await insertAllOrNothing(Student, rows.map(row => new Student(row)));
+    await auditService.recordMany(report.students.map(student => ({ action: 'create', entity: 'Student', after: student })));
+    return report;
+  }
+
   /**
    * Get students in a specific class
+   * Student and parent accounts only get their own records
    * @param {string} classId - Class ObjectId
+   * @param {Object} [user] - Authenticated user (req.user)
    * @returns {Promise<Array>} Students in this class, sorted by name
    * @throws {Error} If class doesn't exist
    */
-  async getStudentsByClass(classId) {
+  async getStudentsByClass(classId, user) {
     const Class = require('../models/Class');
 
     // Verify class exists first
@@ -65,7 +204,7 @@ class StudentService {
     }
 
     // Find students in this class with population
-    const students = await Student.find({ classe: classId })
+    const students = await Student.find(scopeToVisibleStudents({ classe: classId }, user))
       .populate({
         path: 'classe',
         select: 'nom',
@@ -82,16 +221,20 @@ class StudentService {
   /**
    * Get students grouped by class
    * Returns all students organized by their classes for academic reporting
+   * Student and parent accounts only get their own records
+   * @param {Object} [user] - Authenticated user (req.user)
    * @returns {Promise<Array>} Array of classes with nested students array
    * @throws {Error} If grouping fails
    * @example
    * const data = await studentService.getStudentsGroupedByClass();
    * // Returns: [{ class: {...}, students: [...] }, ...]
    */
-  async getStudentsGroupedByClass() {
+  async getStudentsGroupedByClass(user) {
+    const query = scopeToVisibleStudents({}, user);
+
     try {
       // Fetch all students with populated class and teacher info
-      const students = await Student.find()
+      const students = await Student.find(query)
         .populate({
           path: 'classe',
           select: 'nom',
@@ -1,14 +1,17 @@
 const Subject = require('../models/Subject');
+const auditService = require('./auditService');
+const dependencyService = require('./dependencyService');
+const { softDelete, findDeleted, assertUniqueOnRestore } = require('../utils/softDelete');
 
 class SubjectService {
-	// Get all subjects
-	async getAllSubjects() {
-		return await Subject.find().sort({ nom: 1 });
+	// Get all subjects, includeDeleted (admins only) also lists deleted subjects
+	async getAllSubjects({ includeDeleted = false } = {}) {
+		return await Subject.find({}, null, { includeDeleted }).sort({ nom: 1 });
 	}
 
-	// Get subject by ID
-	async getSubjectById(id) {
-		const subject = await Subject.findById(id);
+	// Get subject by ID, includeDeleted (admins only) also finds a deleted subject
+	async getSubjectById(id, { includeDeleted = false } = {}) {
+		const subject = await Subject.findById(id, null, { includeDeleted });
 		if (!subject) {
 			throw new Error('Subject not found');
 		}
@@ -18,11 +21,14 @@ class SubjectService {
 	// Create new subject
 	async createSubject(subjectData) {
 		const subject = new Subject(subjectData);
-		return await subject.save();
+		await subject.save();
+		await auditService.record({ action: 'create', entity: 'Subject', after: subject });
+		return subject;
 	}
 
 	// Update subject
 	async updateSubject(id, updateData) {
+		const before = await Subject.findById(id);
 		const subject = await Subject.findByIdAndUpdate(id, updateData, {
 			new: true,
 			runValidators: true,
@@ -30,15 +36,34 @@ class SubjectService {
 		if (!subject) {
 			throw new Error('Subject not found');
 		}
+		await auditService.record({ action: 'update', entity: 'Subject', before, after: subject });
 		return subject;
 	}
 
-	// Delete subject
-	async deleteSubject(id) {
-		const subject = await Subject.findByIdAndDelete(id);
+	// Delete subject: the record is kept, hidden until restored
+	// Subjects still referenced are kept unless options.cascade is set (see dependencyService)
+	async deleteSubject(id, user, { cascade, to, motifDerogation } = {}) {
+		const subject = await dependencyService.deleteWithDependents(
+			'Subject', id, { cascade, to, user, motifDerogation }, (session, deletedAt) => softDelete(Subject, id, user, session, deletedAt)
+		);
 		if (!subject) {
 			throw new Error('Subject not found');
 		}
+		await auditService.record({ action: 'delete', entity: 'Subject', before: subject });
+		return subject;
+	}
+
+	// Restore a deleted subject, unless its name was given to another subject meanwhile,
+	// with the grades and other records deleted along with it
+	async restoreSubject(id) {
+		const subject = await findDeleted(Subject, id, 'Subject');
+		await assertUniqueOnRestore(Subject, { nom: subject.nom }, `Another subject is named ${subject.nom}: rename it first`);
+
+		await dependencyService.restoreWithDependents('Subject', subject, async session => {
+			subject.set({ deletedAt: null, deletedBy: null });
+			await subject.save({ session });
+		});
+		await auditService.record({ action: 'restore', entity: 'Subject', after: subject });
 		return subject;
 	}
 }
@@ -1,31 +1,37 @@
 const Teacher = require('../models/Teacher');
 const Class = require('../models/Class');
+const teachingAssignmentService = require('./teachingAssignmentService');
+const auditService = require('./auditService');
+const dependencyService = require('./dependencyService');
+const { paginate } = require('../utils/pagination');
+const { softDelete, findDeleted } = require('../utils/softDelete');
 
 class TeacherService {
-  // Get all teachers
-  async getAllTeachers() {
-    return await Teacher.find().sort({ nom: 1 });
+  // Get all teachers, paginated
+  // options come from getListOptions (page, limit, sort, fields) and includeDeleted (admins only)
+  async getAllTeachers(options = {}) {
+    return await paginate(Teacher, {}, { ...options, defaultSort: { nom: 1 } });
   }
 
   /**
    * Get teachers by class ID
-   * This performs a reverse lookup since Teacher model doesn't have classe field
+   * Teachers come from the teaching assignments of the class, each with the subjects taught there
    * @param {string} classId - MongoDB ObjectId of the class
-   * @returns {Promise<Array>} Array containing the teacher assigned to the class
+   * @returns {Promise<Array>} Teachers assigned to the class with matieres: [{ _id, nom }]
    */
   async getTeachersByClass(classId) {
-    const classe = await Class.findById(classId).populate('prof');
+    const classe = await Class.findById(classId);
     if (!classe) {
       const error = new Error('Class not found');
       error.statusCode = 404;
       throw error;
     }
-    return classe.prof ? [classe.prof] : [];
+    return await teachingAssignmentService.getClassTeachers(classId);
   }
 
-  // Get teacher by ID
-  async getTeacherById(id) {
-    const teacher = await Teacher.findById(id);
+  // Get teacher by ID, includeDeleted (admins only) also finds a deleted teacher
+  async getTeacherById(id, { includeDeleted = false } = {}) {
+    const teacher = await Teacher.findById(id, null, { includeDeleted });
     if (!teacher) {
       throw new Error('Teacher not found');
     }
@@ -35,11 +41,14 @@ class TeacherService {
   // Create new teacher
   async createTeacher(teacherData) {
     const teacher = new Teacher(teacherData);
-    return await teacher.save();
+    await teacher.save();
+    await auditService.record({ action: 'create', entity: 'Teacher', after: teacher });
+    return teacher;
   }
 
   // Update teacher
   async updateTeacher(id, updateData) {
+    const before = await Teacher.findById(id);
     const teacher = await Teacher.findByIdAndUpdate(
       id,
       updateData,
@@ -48,15 +57,32 @@ class TeacherService {
     if (!teacher) {
       throw new Error('Teacher not found');
     }
+    await auditService.record({ action: 'update', entity: 'Teacher', before, after: teacher });
     return teacher;
   }
 
-  // Delete teacher
-  async deleteTeacher(id) {
-    const teacher = await Teacher.findByIdAndDelete(id);
+  // Delete teacher: the record is kept, hidden until restored
+  // Teachers still referenced are kept unless options.cascade is set (see dependencyService)
+  async deleteTeacher(id, user, { cascade, to, motifDerogation } = {}) {
+    const teacher = await dependencyService.deleteWithDependents(
+      'Teacher', id, { cascade, to, user, motifDerogation }, (session, deletedAt) => softDelete(Teacher, id, user, session, deletedAt)
+    );
     if (!teacher) {
       throw new Error('Teacher not found');
     }
+    await auditService.record({ action: 'delete', entity: 'Teacher', before: teacher });
+    return teacher;
+  }
+
+  // Restore a deleted teacher with the classes, grades and other records deleted along with it
+  async restoreTeacher(id) {
+    const teacher = await findDeleted(Teacher, id, 'Teacher');
+
+    await dependencyService.restoreWithDependents('Teacher', teacher, async session => {
+      teacher.set({ deletedAt: null, deletedBy: null });
+      await teacher.save({ session });
+    });
+    await auditService.record({ action: 'restore', entity: 'Teacher', after: teacher });
     return teacher;
   }
 }
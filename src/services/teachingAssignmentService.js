@@ -0,0 +1,262 @@
+const TeachingAssignment = require('../models/TeachingAssignment');
+const Teacher = require('../models/Teacher');
+const Class = require('../models/Class');
+const Subject = require('../models/Subject');
+const AcademicYear = require('../models/AcademicYear');
+const academicYearService = require('./academicYearService');
+const { forbidden, sameId } = require('../utils/permissions');
+const { paginate } = require('../utils/pagination');
+const { withDeleted } = require('../utils/softDelete');
+
+// References checked before an assignment is written
+const REFERENCES = [
+  [Teacher, 'idprof', 'teacher'],
+  [Class, 'idclasse', 'class'],
+  [Subject, 'idmatiere', 'subject']
+];
+
+// Fields set when creating or updating an assignment
+const ASSIGNMENT_FIELDS = ['idprof', 'idclasse', 'idmatiere', 'anneeScolaire'];
+
+const populateAssignment = query => query
+  .populate(withDeleted('idprof', 'nom prenom'))
+  .populate(withDeleted('idclasse', 'nom'))
+  .populate(withDeleted('idmatiere', 'nom'));
+
+class TeachingAssignmentService {
+  // Paginated list, options come from getListOptions (page, limit, sort, fields)
+  async getAllAssignments(filters = {}, options = {}) {
+    const query = {};
+
+    // Build filter object from query params
+    if (filters.teacher) query.idprof = filters.teacher;
+    if (filters.class) query.idclasse = filters.class;
+    if (filters.subject) query.idmatiere = filters.subject;
+    if (filters.year) query.anneeScolaire = filters.year;
+
+    return await paginate(
+      TeachingAssignment,
+      query,
+      { ...options, defaultSort: { anneeScolaire: -1, createdAt: 1 } },
+      populateAssignment
+    );
+  }
+
+  async getAssignmentById(id) {
+    const assignment = await populateAssignment(TeachingAssignment.findById(id));
+
+    if (!assignment) {
+      const error = new Error('Teaching assignment not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return assignment;
+  }
+
+  /**
+   * Assign a teacher to a subject of a class
+   * @param {Object} assignmentData - idprof, idclasse, idmatiere, anneeScolaire (school year of the
+   *   class by default, the current one for classes outside academic years)
+   * @returns {Promise<Object>} Created assignment with populated references
+   * @throws {Error} If a reference is missing or the school year is not the one of the class (400),
+   *   or the assignment already exists (409)
+   */
+  async createAssignment(assignmentData) {
+    const data = this.pickAssignmentFields(assignmentData);
+    await this.assertValidReferences(data);
+    await this.applyClassSchoolYear(data);
+
+    const assignment = new TeachingAssignment(data);
+    await this.assertNotAssigned(assignment);
+    await assignment.save();
+
+    return await this.getAssignmentById(assignment._id);
+  }
+
+  /**
+   * Update an assignment
+   * @param {string} id - TeachingAssignment ObjectId
+   * @param {Object} assignmentData - Fields to update
+   * @returns {Promise<Object>} Updated assignment with populated references
+   * @throws {Error} If not found (404), a reference is missing or the school year is not the one
+   *   of the class (400), or the assignment already exists (409)
+   */
+  async updateAssignment(id, assignmentData) {
+    const assignment = await TeachingAssignment.findById(id);
+    if (!assignment) {
+      const error = new Error('Teaching assignment not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const changes = this.pickAssignmentFields(assignmentData);
+    await this.assertValidReferences(changes);
+
+    // Moved to another class without a school year: the year follows the class
+    const values = { idclasse: assignment.idclasse, anneeScolaire: assignment.anneeScolaire, ...changes };
+    if (changes.idclasse && changes.anneeScolaire === undefined) {
+      delete values.anneeScolaire;
+    }
+    await this.applyClassSchoolYear(values);
+    if (values.anneeScolaire !== undefined) {
+      changes.anneeScolaire = values.anneeScolaire;
+    }
+
+    assignment.set(changes);
+    await this.assertNotAssigned(assignment, id);
+    await assignment.save();
+
+    return await this.getAssignmentById(id);
+  }
+
+  async deleteAssignment(id) {
+    const assignment = await TeachingAssignment.findByIdAndDelete(id);
+
+    if (!assignment) {
+      const error = new Error('Teaching assignment not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return assignment;
+  }
+
+  /**
+   * Get the teachers of a class with the subjects each one teaches
+   * @param {string} classId - Class ObjectId
+   * @returns {Promise<Array<Object>>} Teachers sorted by name, each with matieres: [{ _id, nom }]
+   */
+  async getClassTeachers(classId) {
+    const assignments = await TeachingAssignment.find({ idclasse: classId }).populate(withDeleted('idmatiere', 'nom'));
+    const teachers = await Teacher.find({ _id: { $in: assignments.map(assignment => assignment.idprof) } })
+      .sort({ nom: 1, prenom: 1 })
+      .lean();
+
+    return teachers.map(teacher => {
+      const matieres = [];
+      assignments
+        .filter(assignment => sameId(assignment.idprof, teacher._id) && assignment.idmatiere)
+        .forEach(({ idmatiere }) => {
+          // The same subject may be assigned for several school years
+          if (!matieres.some(subject => sameId(subject._id, idmatiere._id))) {
+            matieres.push({ _id: idmatiere._id, nom: idmatiere.nom });
+          }
+        });
+      return { ...teacher, matieres };
+    });
+  }
+
+  /**
+   * Check whether a teacher teaches a subject in a class
+   * Only the assignments of the school year of the record count (see
+   * academicYearService.getSchoolYearOf): last year's assignment does not allow writes today.
+   * @param {Object} values - idprof, idmatiere, idclasse and the idtrimestre of the record if any
+   * @returns {Promise<boolean>} True when an assignment exists
+   */
+  async teaches({ idprof, idmatiere, idclasse, idtrimestre }) {
+    const anneeScolaire = await academicYearService.getSchoolYearOf({ idclasse, idtrimestre });
+    return Boolean(await TeachingAssignment.exists({ idprof, idmatiere, idclasse, anneeScolaire }));
+  }
+
+  /**
+   * Check whether a teacher teaches any subject in a class, in the school year of the class
+   * @param {Object} values - idprof, idclasse
+   * @returns {Promise<boolean>} True when an assignment exists
+   */
+  async teachesInClass({ idprof, idclasse }) {
+    const anneeScolaire = await academicYearService.getSchoolYearOf({ idclasse });
+    return Boolean(await TeachingAssignment.exists({ idprof, idclasse, anneeScolaire }));
+  }
+
+  /**
+   * Require a teacher to teach a subject in a class
+   * @param {Object} values - idprof, idmatiere, idclasse and the idtrimestre of the record if any
+   * @throws {Error} If no assignment exists (403)
+   */
+  async assertTeaches(values) {
+    if (!(await this.teaches(values))) {
+      throw forbidden('Teacher does not teach this subject in this class');
+    }
+  }
+
+  /**
+   * Keep the fields of an assignment that can be written directly
+   * @param {Object} assignmentData - Request payload
+   * @returns {Object} Payload restricted to ASSIGNMENT_FIELDS
+   */
+  pickAssignmentFields(assignmentData) {
+    const data = {};
+    ASSIGNMENT_FIELDS
+      .filter(field => assignmentData[field] !== undefined)
+      .forEach(field => {
+        data[field] = assignmentData[field];
+      });
+    return data;
+  }
+
+  /**
+   * Check that the references of an assignment exist
+   * Only the references present in the payload are checked (partial updates).
+   * @param {Object} assignmentData - Assignment payload
+   * @throws {Error} If a reference is missing (400)
+   */
+  async assertValidReferences(assignmentData) {
+    const present = REFERENCES.filter(([, field]) => assignmentData[field]);
+    const found = await Promise.all(present.map(([Model, field]) => Model.findById(assignmentData[field])));
+
+    found.forEach((document, index) => {
+      if (!document) {
+        const [, field, label] = present[index];
+        const error = new Error(`Referenced ${label} (${assignmentData[field]}) not found`);
+        error.statusCode = 400;
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Align the school year of an assignment with the academic year of its class
+   * A missing school year takes the one of the class, a different one is refused.
+   * Classes outside academic years accept any school year.
+   * @param {Object} data - Assignment values: idclasse and anneeScolaire (set when missing)
+   * @throws {Error} If the school year differs from the academic year of the class (400)
+   */
+  async applyClassSchoolYear(data) {
+    const classe = data.idclasse ? await Class.findById(data.idclasse) : null;
+    const year = classe && classe.idannee ? await AcademicYear.findById(classe.idannee) : null;
+    if (!year) {
+      return;
+    }
+
+    if (data.anneeScolaire === undefined) {
+      data.anneeScolaire = year.nom;
+    } else if (data.anneeScolaire !== year.nom) {
+      const error = new Error(`School year ${data.anneeScolaire} does not match academic year ${year.nom} of the class`);
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  /**
+   * Check that the same assignment is not recorded twice
+   * @param {Object} assignment - idprof, idclasse, idmatiere and anneeScolaire of the assignment
+   * @param {string} [excludeId] - Assignment being updated
+   * @throws {Error} If the teacher is already assigned to the subject of the class that year (409)
+   */
+  async assertNotAssigned(assignment, excludeId) {
+    const query = {
+      idprof: assignment.idprof,
+      idclasse: assignment.idclasse,
+      idmatiere: assignment.idmatiere,
+      anneeScolaire: assignment.anneeScolaire
+    };
+    if (excludeId) query._id = { $ne: excludeId };
+
+    if (await TeachingAssignment.exists(query)) {
+      const error = new Error('This teacher is already assigned to this subject in this class for the school year');
+      error.statusCode = 409;
+      throw error;
+    }
+  }
+}
+
+module.exports = new TeachingAssignmentService();
@@ -0,0 +1,242 @@
+const TimetableSlot = require('../models/TimetableSlot');
+const Class = require('../models/Class');
+const Subject = require('../models/Subject');
+const Teacher = require('../models/Teacher');
+const { sameId } = require('../utils/permissions');
+const { paginate } = require('../utils/pagination');
+const { WEEK_DAYS } = require('../utils/constants');
+const { withDeleted } = require('../utils/softDelete');
+
+// References checked before a slot is written
+const REFERENCES = [
+  [Class, 'idclasse', 'class'],
+  [Subject, 'idmatiere', 'subject'],
+  [Teacher, 'idprof', 'teacher']
+];
+
+// Fields set when creating or updating a slot
+const SLOT_FIELDS = ['idclasse', 'idmatiere', 'idprof', 'jour', 'heureDebut', 'heureFin', 'salle'];
+
+const populateSlot = query => query
+  .populate(withDeleted('idclasse', 'nom'))
+  .populate(withDeleted('idmatiere', 'nom'))
+  .populate(withDeleted('idprof', 'nom prenom'));
+
+/**
+ * Group slots by day, in week order then by start time
+ * @param {Array<Object>} slots - Timetable slots
+ * @returns {Array<Object>} [{ jour, slots }] for every school day, empty days included
+ */
+const groupByDay = (slots) => WEEK_DAYS.map(jour => ({
+  jour,
+  slots: slots
+    .filter(slot => slot.jour === jour)
+    .sort((a, b) => a.heureDebut.localeCompare(b.heureDebut))
+}));
+
+class TimetableService {
+  // Paginated list, options come from getListOptions (page, limit, sort, fields)
+  async getAllSlots(filters = {}, options = {}) {
+    const query = {};
+
+    // Build filter object from query params
+    if (filters.class) query.idclasse = filters.class;
+    if (filters.teacher) query.idprof = filters.teacher;
+    if (filters.subject) query.idmatiere = filters.subject;
+    if (filters.day) query.jour = filters.day;
+    if (filters.room) query.salle = filters.room;
+
+    return await paginate(TimetableSlot, query, { ...options, defaultSort: { jour: 1, heureDebut: 1 } }, populateSlot);
+  }
+
+  async getSlotById(id) {
+    const slot = await populateSlot(TimetableSlot.findById(id));
+
+    if (!slot) {
+      const error = new Error('Timetable slot not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return slot;
+  }
+
+  /**
+   * Add a weekly slot to the timetable
+   * @param {Object} slotData - idclasse, idmatiere, idprof, jour, heureDebut, heureFin, salle
+   * @returns {Promise<Object>} Created slot with populated references
+   * @throws {Error} If a reference is missing (400) or the class, teacher or room
+   *   is already booked at that time (409)
+   */
+  async createSlot(slotData) {
+    const data = this.pickSlotFields(slotData);
+    await this.assertValidReferences(data);
+    await this.assertNoConflict(data);
+
+    const slot = await TimetableSlot.create(data);
+    return await this.getSlotById(slot._id);
+  }
+
+  /**
+   * Move or reassign a slot
+   * Conflicts are checked on the values the slot ends up with.
+   * @param {string} id - TimetableSlot ObjectId
+   * @param {Object} slotData - Fields to update
+   * @returns {Promise<Object>} Updated slot with populated references
+   * @throws {Error} If not found (404), a reference is missing (400) or the class,
+   *   teacher or room is already booked at that time (409)
+   */
+  async updateSlot(id, slotData) {
+    const slot = await this.findSlot(id);
+    const changes = this.pickSlotFields(slotData);
+    await this.assertValidReferences(changes);
+
+    slot.set(changes);
+    await this.assertNoConflict(slot, id);
+    await slot.save();
+
+    return await this.getSlotById(id);
+  }
+
+  async deleteSlot(id) {
+    const slot = await TimetableSlot.findByIdAndDelete(id);
+
+    if (!slot) {
+      const error = new Error('Timetable slot not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return slot;
+  }
+
+  /**
+   * Build the weekly timetable of a class
+   * @param {string} classId - Class ObjectId
+   * @returns {Promise<Object>} { class, days: [{ jour, slots }] }
+   * @throws {Error} If the class is not found (404)
+   */
+  async getClassTimetable(classId) {
+    const classe = await Class.findById(classId);
+    if (!classe) {
+      const error = new Error('Class not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const slots = await populateSlot(TimetableSlot.find({ idclasse: classId }));
+
+    return {
+      class: { _id: classe._id, nom: classe.nom },
+      days: groupByDay(slots)
+    };
+  }
+
+  /**
+   * Build the weekly timetable of a teacher, across every class
+   * @param {string} teacherId - Teacher ObjectId
+   * @returns {Promise<Object>} { teacher, days: [{ jour, slots }] }
+   * @throws {Error} If the teacher is not found (404)
+   */
+  async getTeacherTimetable(teacherId) {
+    const teacher = await Teacher.findById(teacherId);
+    if (!teacher) {
+      const error = new Error('Teacher not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const slots = await populateSlot(TimetableSlot.find({ idprof: teacherId }));
+
+    return {
+      teacher: { _id: teacher._id, nom: teacher.nom, prenom: teacher.prenom },
+      days: groupByDay(slots)
+    };
+  }
+
+  /**
+   * Keep the fields of a slot that can be written directly
+   * @param {Object} slotData - Request payload
+   * @returns {Object} Payload restricted to SLOT_FIELDS
+   */
+  pickSlotFields(slotData) {
+    const data = {};
+    SLOT_FIELDS
+      .filter(field => slotData[field] !== undefined)
+      .forEach(field => {
+        data[field] = slotData[field];
+      });
+    return data;
+  }
+
+  /**
+   * Check that the references of a slot exist
+   * Only the references present in the payload are checked (partial updates).
+   * @param {Object} slotData - Slot payload
+   * @throws {Error} If a reference is missing (400)
+   */
+  async assertValidReferences(slotData) {
+    const present = REFERENCES.filter(([, field]) => slotData[field]);
+    const found = await Promise.all(present.map(([Model, field]) => Model.findById(slotData[field])));
+
+    found.forEach((document, index) => {
+      if (!document) {
+        const [, field, label] = present[index];
+        const error = new Error(`Referenced ${label} (${slotData[field]}) not found`);
+        error.statusCode = 400;
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Check that the class, teacher and room of a slot are free at that time
+   * Two slots overlap when each starts before the other ends; back-to-back slots do not.
+   * Only the slots of classes of the same academic year count: after a rollover, the slots of
+   * the archived year do not book the teachers and rooms of the new one.
+   * @param {Object} slot - idclasse, idprof, salle, jour, heureDebut and heureFin of the slot
+   * @param {string} [excludeId] - Slot being updated
+   * @throws {Error} If the class, teacher or room is already booked (409)
+   */
+  async assertNoConflict(slot, excludeId) {
+    const booked = [{ idclasse: slot.idclasse }, { idprof: slot.idprof }];
+    if (slot.salle) booked.push({ salle: slot.salle });
+
+    const query = {
+      jour: slot.jour,
+      heureDebut: { $lt: slot.heureFin },
+      heureFin: { $gt: slot.heureDebut },
+      $or: booked
+    };
+    if (excludeId) query._id = { $ne: excludeId };
+
+    const classe = await Class.findById(slot.idclasse);
+    const yearClasses = await Class.find({ idannee: classe ? classe.idannee : null }, '_id');
+    query.idclasse = { $in: yearClasses.map(other => other._id) };
+
+    const conflicts = await TimetableSlot.find(query);
+    if (conflicts.length === 0) return;
+
+    const resources = [];
+    if (conflicts.some(other => sameId(other.idclasse, slot.idclasse))) resources.push('class');
+    if (conflicts.some(other => sameId(other.idprof, slot.idprof))) resources.push('teacher');
+    if (slot.salle && conflicts.some(other => other.salle === slot.salle)) resources.push(`room ${slot.salle}`);
+
+    const error = new Error(
+      `Timetable conflict: ${resources.join(', ')} already booked on ${slot.jour} between ${slot.heureDebut} and ${slot.heureFin}`
+    );
+    error.statusCode = 409;
+    throw error;
+  }
+
+  // Load a timetable slot document, 404 when missing
+  async findSlot(id) {
+    const slot = await TimetableSlot.findById(id);
+    if (!slot) {
+      const error = new Error('Timetable slot not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return slot;
+  }
+}
+
+module.exports = new TimetableService();
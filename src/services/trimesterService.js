@@ -1,28 +1,152 @@
 const Trimester = require('../models/Trimester');
+const academicYearService = require('./academicYearService');
+const auditService = require('./auditService');
+const dependencyService = require('./dependencyService');
+const { hasFullAccess } = require('../utils/permissions');
+const { softDelete, findDeleted } = require('../utils/softDelete');
+
+const isBlank = value => value === undefined || value === null || value === '';
+
+const withStatus = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const formatDay = date => new Date(date).toISOString().slice(0, 10);
+
+// Fields an update may change: locking goes through lockTrimester/unlockTrimester, deletion through deleteTrimester
+const EDITABLE_FIELDS = ['nom', 'dateDebut', 'dateFin', 'idannee'];
+
+const pickEditable = data => Object.fromEntries(EDITABLE_FIELDS
+  .filter(field => data[field] !== undefined)
+  .map(field => [field, data[field]]));
+
+// New trimesters have a date range; the legacy date field follows dateDebut
+const assertRangeGiven = ({ dateDebut, dateFin }) => {
+  if (isBlank(dateDebut) || isBlank(dateFin)) {
+    throw withStatus('Start and end dates (dateDebut, dateFin) are required', 400);
+  }
+};
 
 class TrimesterService {
-  // Get all trimesters
-  async getAllTrimesters() {
-    return await Trimester.find().sort({ date: 1 });
+  // Get all trimesters, ?year=2024-2025 keeps the trimesters of that academic year
+  // includeDeleted (admins only) also lists deleted trimesters
+  async getAllTrimesters(filters = {}, { includeDeleted = false } = {}) {
+    const query = {};
+    if (filters.year) query.idannee = await academicYearService.getYearIdFilter(filters.year);
+
+    return await Trimester.find(query, null, { includeDeleted }).sort({ date: 1 });
   }
 
-  // Get trimester by ID
-  async getTrimesterById(id) {
-    const trimester = await Trimester.findById(id);
+  // Get trimester by ID, includeDeleted (admins only) also finds a deleted trimester
+  async getTrimesterById(id, { includeDeleted = false } = {}) {
+    const trimester = await Trimester.findById(id, null, { includeDeleted });
     if (!trimester) {
       throw new Error('Trimester not found');
     }
     return trimester;
   }
 
-  // Create new trimester
-  async createTrimester(trimesterData) {
-    const trimester = new Trimester(trimesterData);
-    return await trimester.save();
+  /**
+   * Find the trimester whose date range contains a day
+   * dateFin is the last day of the trimester, so the whole day is included.
+   * Trimesters without dateDebut/dateFin are never current.
+   * @param {Date} [date] - Day to look up, today by default
+   * @returns {Promise<Object|null>} Trimester document or null when no range contains the day
+   */
+  async findCurrentTrimester(date = new Date()) {
+    const day = new Date(date);
+    day.setUTCHours(0, 0, 0, 0);
+
+    return await Trimester.findOne({ dateDebut: { $lte: date }, dateFin: { $gte: day } });
+  }
+
+  // Get the trimester covering today (404 when no trimester covers it)
+  async getCurrentTrimester() {
+    const trimester = await this.findCurrentTrimester();
+    if (!trimester) {
+      throw withStatus('No trimester covers the current date', 404);
+    }
+    return trimester;
+  }
+
+  /**
+   * Check the date range of a trimester
+   * dateDebut and dateFin are given together, in order, and cannot overlap the range
+   * of another trimester of the same academic year. Trimesters written before ranges were
+   * required have none: they are not checked (e.g. on restore) until they are edited.
+   * @param {Object} range - dateDebut, dateFin and idannee once written
+   * @param {string} [excludeId] - Trimester being updated
+   * @throws {Error} If the range is incomplete or reversed (400) or overlaps another trimester
+   *   of the year (409)
+   */
+  async assertValidRange({ dateDebut, dateFin, idannee }, excludeId) {
+    if (isBlank(dateDebut) && isBlank(dateFin)) {
+      return;
+    }
+    if (isBlank(dateDebut) || isBlank(dateFin)) {
+      throw withStatus('Start and end dates (dateDebut, dateFin) must be given together', 400);
+    }
+    if (new Date(dateFin) < new Date(dateDebut)) {
+      throw withStatus('End date (dateFin) must be after the start date (dateDebut)', 400);
+    }
+
+    const query = {
+      idannee: idannee || null,
+      dateDebut: { $lte: new Date(dateFin) },
+      dateFin: { $gte: new Date(dateDebut) }
+    };
+    if (excludeId) query._id = { $ne: excludeId };
+
+    const overlapping = await Trimester.findOne(query);
+    if (overlapping) {
+      throw withStatus(
+        `Dates overlap trimester ${overlapping.nom} (${formatDay(overlapping.dateDebut)} to ${formatDay(overlapping.dateFin)})`,
+        409
+      );
+    }
+  }
+
+  // Create new trimester, attached to the given academic year or to the current one
+  // dateDebut and dateFin are required
+  async createTrimester(data) {
+    const trimesterData = pickEditable(data);
+    assertRangeGiven(trimesterData);
+    const year = await academicYearService.resolveYear(trimesterData.idannee);
+    await this.assertValidRange({ ...trimesterData, idannee: year && year._id });
+
+    const trimester = new Trimester({ ...trimesterData, date: trimesterData.dateDebut, idannee: year && year._id });
+    await trimester.save();
+    await auditService.record({ action: 'create', entity: 'Trimester', after: trimester });
+    return trimester;
   }
 
-  // Update trimester
-  async updateTrimester(id, updateData) {
+  // Update trimester, trimesters of an archived year are read-only
+  // Only nom, dateDebut, dateFin and idannee change here; the stored range once updated must be complete
+  async updateTrimester(id, data) {
+    const updateData = pickEditable(data);
+    await academicYearService.assertWritable({ idtrimestre: id });
+    if (updateData.idannee) {
+      await academicYearService.resolveYear(updateData.idannee);
+    }
+
+    // A new start or end date is checked with the other bound of the stored range,
+    // a trimester moved to another year against the trimesters of that year
+    const before = await this.getTrimesterById(id);
+    const range = {
+      dateDebut: updateData.dateDebut || before.dateDebut,
+      dateFin: updateData.dateFin || before.dateFin,
+      idannee: updateData.idannee || before.idannee
+    };
+    assertRangeGiven(range);
+    if (updateData.dateDebut || updateData.dateFin || updateData.idannee) {
+      await this.assertValidRange(range, id);
+    }
+    if (updateData.dateDebut) {
+      updateData.date = updateData.dateDebut;
+    }
+
     const trimester = await Trimester.findByIdAndUpdate(
       id,
       updateData,
@@ -31,17 +155,113 @@ class TrimesterService {
     if (!trimester) {
       throw new Error('Trimester not found');
     }
+    await auditService.record({ action: 'update', entity: 'Trimester', before, after: trimester });
     return trimester;
   }
 
-  // Delete trimester
-  async deleteTrimester(id) {
-    const trimester = await Trimester.findByIdAndDelete(id);
+  // Delete trimester: the record is kept, hidden until restored
+  // Trimesters still referenced are kept unless options.cascade is set (see dependencyService),
+  // records are only reassigned to a trimester of a year that is not archived
+  async deleteTrimester(id, user, { cascade, to, motifDerogation } = {}) {
+    await academicYearService.assertWritable({ idtrimestre: id });
+    if (cascade === 'reassign' && to) {
+      await academicYearService.assertWritable({ idtrimestre: to });
+    }
+
+    const trimester = await dependencyService.deleteWithDependents(
+      'Trimester', id, { cascade, to, user, motifDerogation }, (session, deletedAt) => softDelete(Trimester, id, user, session, deletedAt)
+    );
     if (!trimester) {
       throw new Error('Trimester not found');
     }
+    await auditService.record({ action: 'delete', entity: 'Trimester', before: trimester });
+    return trimester;
+  }
+
+  /**
+   * Restore a deleted trimester
+   * Its date range is checked again: another trimester may cover it since the deletion.
+   * The grades and other records deleted along with it come back with it.
+   * @param {string} id - Trimester ObjectId
+   * @returns {Promise<Object>} Restored trimester
+   * @throws {Error} If the trimester is not found (404), not deleted, overlaps another
+   *   trimester or belongs to an archived year (409)
+   */
+  async restoreTrimester(id) {
+    const trimester = await findDeleted(Trimester, id, 'Trimester');
+    await academicYearService.assertYearWritable(trimester.idannee);
+    await this.assertValidRange(trimester, id);
+
+    await dependencyService.restoreWithDependents('Trimester', trimester, async session => {
+      trimester.set({ deletedAt: null, deletedBy: null });
+      await trimester.save({ session });
+    });
+    await auditService.record({ action: 'restore', entity: 'Trimester', after: trimester });
+    return trimester;
+  }
+
+  /**
+   * Lock a trimester once its class council is done
+   * Grades of a locked trimester can only be changed by admins giving a reason (see assertUnlocked).
+   * @param {string} id - Trimester ObjectId
+   * @param {Object} user - Authenticated user (req.user), kept as verrouillePar
+   * @returns {Promise<Object>} Locked trimester
+   * @throws {Error} If the trimester is not found (404) or its academic year is archived (409)
+   */
+  async lockTrimester(id, user) {
+    return await this.setLocked(id, 'lock', {
+      verrouille: true,
+      dateVerrouillage: new Date(),
+      verrouillePar: user && user._id
+    });
+  }
+
+  // Unlock a trimester, its grades can be written again
+  async unlockTrimester(id) {
+    return await this.setLocked(id, 'unlock', { verrouille: false, dateVerrouillage: null, verrouillePar: null });
+  }
+
+  // Apply a lock state, audited as action (lock or unlock); trimesters of an archived year are read-only
+  async setLocked(id, action, lockState) {
+    await academicYearService.assertWritable({ idtrimestre: id });
+
+    const trimester = await Trimester.findById(id);
+    if (!trimester) {
+      throw withStatus('Trimester not found', 404);
+    }
+
+    const before = trimester.toObject();
+    trimester.set(lockState);
+    await trimester.save();
+    await auditService.record({ action, entity: 'Trimester', before, after: trimester });
     return trimester;
   }
+
+  /**
+   * Check that grades may be written in trimesters
+   * Locked trimesters refuse every change, unless an admin (or an internal call) gives
+   * an override reason (motifDerogation).
+   * @param {Array<string>} trimesterIds - Trimesters touched by the change (blank entries are ignored)
+   * @param {Object} [user] - Authenticated user (req.user)
+   * @param {string} [motifDerogation] - Reason given to change grades of a locked trimester
+   * @returns {Promise<Object|null>} The locked trimester when the lock is overridden, null otherwise
+   * @throws {Error} If a trimester is locked and the change is not an admin override (409)
+   */
+  async assertUnlocked(trimesterIds, user, motifDerogation) {
+    const ids = trimesterIds.filter(id => !isBlank(id));
+    const locked = ids.length > 0 ? await Trimester.findOne({ _id: { $in: ids }, verrouille: true }) : null;
+    if (!locked) {
+      return null;
+    }
+
+    if (!hasFullAccess(user) || isBlank(motifDerogation)) {
+      throw withStatus(
+        `Trimester ${locked.nom} is locked: only an admin giving an override reason (motifDerogation) can change its grades`,
+        409
+      );
+    }
+    return locked;
+  }
 }
 
 module.exports = new TrimesterService();
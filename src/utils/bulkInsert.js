@@ -0,0 +1,27 @@
+/**
+ * Bulk insert helper
+ * Shared by all-or-nothing imports (students CSV, grade batches)
+ */
+const { runInTransaction } = require('./transaction');
+
+/**
+ * Insert documents all together or not at all
+ * The documents are written in one transaction: when the insertion fails midway, none of
+ * them is kept, and other requests do not see them before the commit.
+ * @param {Object} Model - Mongoose model
+ * @param {Array<Object>} documents - Model instances (their _id is generated up front)
+ * @param {Object} [session] - Session of the transaction the insertion is part of,
+ *   the documents get a transaction of their own otherwise
+ * @returns {Promise<Array<Object>>} The inserted documents
+ * @throws {Error} The insertion error, once the transaction is aborted
+ */
+const insertAllOrNothing = async (Model, documents, session) => {
+  if (!session) {
+    return await runInTransaction(transaction => insertAllOrNothing(Model, documents, transaction));
+  }
+
+  await Model.insertMany(documents, { ordered: true, session });
+  return documents;
+};
+
+module.exports = { insertAllOrNothing };
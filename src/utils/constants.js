@@ -0,0 +1,69 @@
+/**
+ * Application constants
+ */
+
+// Grade statuses: only present students get a note
+const GRADE_STATUSES = ['present', 'absent_justified', 'absent_unjustified', 'exempt', 'not_submitted'];
+
+// How averages treat a status without note: ignored ('exclude') or counted as 0 ('zero')
+const GRADE_STATUS_RULE_VALUES = ['exclude', 'zero'];
+
+// Default rules, overridable with the GRADE_STATUS_RULES environment variable
+const DEFAULT_GRADE_STATUS_RULES = {
+  absent_justified: 'exclude',
+  absent_unjustified: 'zero',
+  exempt: 'exclude',
+  not_submitted: 'zero'
+};
+
+// Short labels printed on report cards in place of the note
+const GRADE_STATUS_LABELS = {
+  absent_justified: 'Abs. J',
+  absent_unjustified: 'Abs.',
+  exempt: 'Disp.',
+  not_submitted: 'N.R.'
+};
+
+// Attendance records: a missed time slot or a late arrival
+const ATTENDANCE_TYPES = ['absence', 'late'];
+
+// Time of day, e.g. 08:30
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Time slot of a school day, e.g. 08:30-09:25
+const TIME_SLOT_PATTERN = /^([01]\d|2[0-3]):[0-5]\d-([01]\d|2[0-3]):[0-5]\d$/;
+
+// School days of the weekly timetable, in week order
+const WEEK_DAYS = ['lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi'];
+
+// School year label, e.g. 2024-2025
+const SCHOOL_YEAR_PATTERN = /^\d{4}-\d{4}$/;
+
+// Month the school year starts (0-based, September)
+const SCHOOL_YEAR_START_MONTH = 8;
+
+// Audit log: what happened to which kind of record
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'lock', 'unlock'];
+const AUDIT_ENTITIES = ['Student', 'Teacher', 'Class', 'Subject', 'Trimester', 'Grade', 'User'];
+
+// Grade fields kept in each version of the grade history
+const GRADE_VERSION_FIELDS = [
+  'ideleve', 'idclasse', 'idmatiere', 'idprof', 'idtrimestre',
+  'statut', 'note', 'noteBrute', 'coefficient', 'commentaire'
+];
+
+module.exports = {
+  GRADE_STATUSES,
+  GRADE_STATUS_RULE_VALUES,
+  DEFAULT_GRADE_STATUS_RULES,
+  GRADE_STATUS_LABELS,
+  ATTENDANCE_TYPES,
+  TIME_PATTERN,
+  TIME_SLOT_PATTERN,
+  WEEK_DAYS,
+  SCHOOL_YEAR_PATTERN,
+  SCHOOL_YEAR_START_MONTH,
+  AUDIT_ACTIONS,
+  AUDIT_ENTITIES,
+  GRADE_VERSION_FIELDS
+};
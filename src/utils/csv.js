@@ -0,0 +1,99 @@
+/**
+ * CSV parsing helpers
+ * Minimal RFC 4180 parser used by bulk imports (quoted fields, "" escapes, CRLF)
+ */
+
+/**
+ * Guess the delimiter from the header line
+ * Spreadsheets configured in French export with semicolons.
+ * @param {string} headerLine - First line of the file
+ * @returns {string} ';' or ','
+ */
+const detectDelimiter = (headerLine) => (
+  (headerLine.match(/;/g) || []).length > (headerLine.match(/,/g) || []).length ? ';' : ','
+);
+
+/**
+ * Split CSV text into rows of raw cells
+ * @param {string} text - CSV content
+ * @param {string} delimiter - Cell delimiter
+ * @returns {Array<{line: number, cells: Array<string>}>} Rows with the file line they start on, blank lines removed
+ */
+const parseRows = (text, delimiter) => {
+  const rows = [];
+  let line = 1;
+  let current = { line, cells: [] };
+  let cell = '';
+  let quoted = false;
+
+  const endRow = () => {
+    current.cells.push(cell);
+    rows.push(current);
+    cell = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (char === '\n') line++;
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      current.cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        line++;
+        i++;
+      }
+      endRow();
+      current = { line, cells: [] };
+    } else {
+      cell += char;
+    }
+  }
+  endRow();
+
+  return rows.filter(row => row.cells.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parse CSV text into records keyed by header
+ * @param {string} text - CSV content, first line is the header
+ * @returns {{headers: Array<string>, records: Array<{line: number, values: Object}>}}
+ *   Trimmed headers and one record per data row with its line number in the file
+ * @example
+ * parseCsv('nom;prenom\nMartin;Élodie');
+ * // Returns: { headers: ['nom', 'prenom'], records: [{ line: 2, values: { nom: 'Martin', prenom: 'Élodie' } }] }
+ */
+const parseCsv = (text = '') => {
+  const content = String(text).replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(content.split(/\r?\n/, 1)[0]);
+  const [header, ...data] = parseRows(content, delimiter);
+
+  const headers = header ? header.cells.map(name => name.trim()) : [];
+  const records = data.map(({ line, cells }) => ({
+    line,
+    values: headers.reduce((values, name, column) => {
+      values[name] = (cells[column] || '').trim();
+      return values;
+    }, {})
+  }));
+
+  return { headers, records };
+};
+
+module.exports = {
+  detectDelimiter,
+  parseCsv
+};
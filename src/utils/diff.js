@@ -0,0 +1,62 @@
+/**
+ * Document diff helpers
+ * Used by the audit log to record what a create, update or delete changed
+ */
+
+// Bookkeeping fields that never appear in a diff
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Secret fields: the change is recorded, not the value
+const REDACTED_FIELDS = ['password', 'passwordResetTokenHash'];
+const REDACTED = '[REDACTED]';
+
+/**
+ * Get the plain fields of a document
+ * Populated references are turned back into their ObjectId.
+ * @param {Object} [document] - Mongoose document or plain object
+ * @returns {Object} Plain object (empty when no document)
+ */
+const toPlainObject = (document) => {
+  if (!document) {
+    return {};
+  }
+  return typeof document.toObject === 'function' ? document.toObject({ depopulate: true }) : document;
+};
+
+// ObjectIds and dates are compared and stored in their JSON form
+const toComparable = value => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+const redact = change => (REDACTED_FIELDS.includes(change.field)
+  ? {
+    field: change.field,
+    before: change.before === null ? null : REDACTED,
+    after: change.after === null ? null : REDACTED
+  }
+  : change);
+
+/**
+ * List the fields that differ between two versions of a document
+ * @param {Object} [before] - Document before the change (empty on create)
+ * @param {Object} [after] - Document after the change (empty on delete)
+ * @returns {Array<{field: string, before: *, after: *}>} Changed fields, sorted by name
+ * @example
+ * diffDocuments({ note: 12, coefficient: 2 }, { note: 14, coefficient: 2 });
+ * // Returns: [{ field: 'note', before: 12, after: 14 }]
+ */
+const diffDocuments = (before, after) => {
+  const previous = toPlainObject(before);
+  const next = toPlainObject(after);
+  const fields = new Set([...Object.keys(previous), ...Object.keys(next)]);
+
+  return Array.from(fields)
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .sort()
+    .map(field => ({ field, before: toComparable(previous[field]), after: toComparable(next[field]) }))
+    .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after))
+    .map(redact);
+};
+
+module.exports = {
+  REDACTED_FIELDS,
+  diffDocuments
+};
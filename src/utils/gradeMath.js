@@ -0,0 +1,171 @@
+/**
+ * Grade calculation helpers
+ * Pure functions shared by services that aggregate grades (averages, statistics)
+ */
+
+const { gradeStatusRules } = require('../config/gradeStatusRules');
+
+/**
+ * Round a number to 2 decimals (null-safe)
+ * @param {number|null} value - Value to round
+ * @returns {number|null} Rounded value or null
+ */
+const round = (value) => {
+  if (value === null || value === undefined || Number.isNaN(value)) {
+    return null;
+  }
+  return Math.round(value * 100) / 100;
+};
+
+/**
+ * Convert a score to the /20 scale
+ * @param {number} score - Score on the evaluation scale
+ * @param {number} [bareme=20] - Maximum score of the evaluation
+ * @returns {number} Score out of 20, rounded to 2 decimals
+ * @example
+ * toTwentyScale(31, 40); // Returns: 15.5
+ */
+const toTwentyScale = (score, bareme = 20) => round(score * 20 / bareme);
+
+/**
+ * Note a grade counts for in averages and statistics
+ * Present students count their note; other statuses follow the averaging rules
+ * (counted as 0 or excluded).
+ * @param {{note: number, statut: string}} grade - Grade
+ * @param {Object} [rules] - Rule per status (defaults to the configured GRADE_STATUS_RULES)
+ * @returns {number|null} Counted note, null when the grade is excluded
+ * @example
+ * countedNote({ statut: 'not_submitted' }); // Returns: 0 with the default rules
+ */
+const countedNote = (grade, rules = gradeStatusRules) => {
+  const status = grade.statut || 'present';
+  if (status === 'present') {
+    return grade.note === undefined ? null : grade.note;
+  }
+  return rules[status] === 'zero' ? 0 : null;
+};
+
+/**
+ * Compute the weighted mean of a list of grades
+ * Grades with a zero coefficient are ignored (they carry no weight), as are
+ * statuses excluded by the averaging rules (see countedNote)
+ * @param {Array<{note: number, coefficient: number, statut: string}>} grades - Grades to average
+ * @param {Object} [rules] - Rule per status (defaults to the configured GRADE_STATUS_RULES)
+ * @returns {{average: number|null, totalCoefficient: number}} Average is null when total weight is 0
+ * @example
+ * weightedAverage([{ note: 10, coefficient: 1 }, { note: 16, coefficient: 2 }]);
+ * // Returns: { average: 14, totalCoefficient: 3 }
+ */
+const weightedAverage = (grades = [], rules = gradeStatusRules) => {
+  let weightedSum = 0;
+  let totalCoefficient = 0;
+
+  grades.forEach(grade => {
+    const note = countedNote(grade, rules);
+    if (!grade.coefficient || note === null) {
+      return;
+    }
+    weightedSum += note * grade.coefficient;
+    totalCoefficient += grade.coefficient;
+  });
+
+  return {
+    average: totalCoefficient > 0 ? round(weightedSum / totalCoefficient) : null,
+    totalCoefficient
+  };
+};
+
+/**
+ * Arithmetic mean of values, ignoring null/undefined entries
+ * @param {Array<number|null>} values - Values to average
+ * @returns {number|null} Mean or null when no value is available
+ */
+const mean = (values = []) => {
+  const present = values.filter(value => value !== null && value !== undefined);
+  if (present.length === 0) {
+    return null;
+  }
+  return round(present.reduce((sum, value) => sum + value, 0) / present.length);
+};
+
+/**
+ * Median of numeric values
+ * @param {Array<number>} values - Values (need not be sorted)
+ * @returns {number|null} Median or null for an empty list
+ */
+const median = (values = []) => {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+
+  if (sorted.length % 2 === 0) {
+    return round((sorted[middle - 1] + sorted[middle]) / 2);
+  }
+  return round(sorted[middle]);
+};
+
+/**
+ * Population standard deviation of numeric values
+ * @param {Array<number>} values - Values
+ * @returns {number|null} Standard deviation or null for an empty list
+ */
+const standardDeviation = (values = []) => {
+  if (values.length === 0) {
+    return null;
+  }
+  const avg = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - avg) ** 2, 0) / values.length;
+  return round(Math.sqrt(variance));
+};
+
+/**
+ * Rank entries by descending average using competition ranking (1, 2, 2, 4)
+ * Entries without an average are placed last with a null rank.
+ * Input order is kept between equal averages (Array.sort is stable).
+ * @param {Array<{average: number|null}>} entries - Entries to rank
+ * @returns {Array<Object>} New array of entries with rank and tied fields
+ * @example
+ * rankByAverage([{ id: 'a', average: 12 }, { id: 'b', average: 15 }, { id: 'c', average: 12 }]);
+ * // Returns: b ranked 1, then a and c both ranked 2 with tied: true
+ */
+const rankByAverage = (entries = []) => {
+  const withAverage = entries
+    .filter(entry => entry.average !== null && entry.average !== undefined)
+    .sort((a, b) => b.average - a.average);
+  const withoutAverage = entries.filter(entry => entry.average === null || entry.average === undefined);
+
+  const ranked = withAverage.map((entry, index) => {
+    const previous = withAverage[index - 1];
+    const next = withAverage[index + 1];
+    return {
+      ...entry,
+      rank: index + 1,
+      tied: (previous && previous.average === entry.average) || (next && next.average === entry.average) || false
+    };
+  });
+
+  // Equal averages share the rank of the first entry of the group
+  ranked.forEach((entry, index) => {
+    if (index > 0 && ranked[index - 1].average === entry.average) {
+      entry.rank = ranked[index - 1].rank;
+    }
+  });
+
+  return [
+    ...ranked,
+    ...withoutAverage.map(entry => ({ ...entry, rank: null, tied: false }))
+  ];
+};
+
+module.exports = {
+  round,
+  toTwentyScale,
+  countedNote,
+  weightedAverage,
+  mean,
+  median,
+  standardDeviation,
+  rankByAverage
+};
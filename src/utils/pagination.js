@@ -0,0 +1,101 @@
+/**
+ * List pagination helpers
+ * Shared by list endpoints accepting page, limit, sort and fields query parameters
+ * Lists requested without page nor limit are returned in full, as before pagination existed.
+ */
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+/**
+ * Split a comma separated query value into its trimmed entries
+ * @param {string|Array<string>} value - Raw query value (e.g. "nom,-createdAt")
+ * @returns {Array<string>} Non-empty entries
+ */
+const splitList = (value) => String(value)
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean);
+
+/**
+ * Parse pagination, sorting and field selection from query parameters
+ * Values are expected to be validated beforehand (see listValidation). Without page nor
+ * limit the limit is left undefined: the whole list is returned.
+ * @param {Object} [query={}] - Request query (req.query)
+ * @returns {{page: number, limit: (number|undefined), sort: (string|undefined), fields: (string|undefined)}}
+ * @example
+ * getListOptions({ page: '2', limit: '10', sort: 'nom,-createdAt', fields: 'nom,prenom' });
+ * // Returns: { page: 2, limit: 10, sort: 'nom -createdAt', fields: 'nom prenom' }
+ */
+const getListOptions = (query = {}) => {
+  const paginated = query.page !== undefined || query.limit !== undefined;
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = paginated
+    ? Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT)
+    : undefined;
+  const sort = splitList(query.sort || '').join(' ') || undefined;
+  const fields = splitList(query.fields || '').join(' ') || undefined;
+
+  return { page, limit, sort, fields };
+};
+
+/**
+ * Add _id as last sort key, so documents with equal sort values keep the same order from one
+ * page to the next
+ * @param {string|Object} [sort] - Mongoose sort ('nom -createdAt' or { nom: 1 })
+ * @returns {string|Object} The sort ending with _id
+ */
+const withTiebreaker = (sort) => {
+  if (!sort) {
+    return { _id: 1 };
+  }
+  if (typeof sort === 'string') {
+    return sort.split(/\s+/).some(field => field.replace(/^-/, '') === '_id') ? sort : `${sort} _id`;
+  }
+  return '_id' in sort ? sort : { ...sort, _id: 1 };
+};
+
+/**
+ * Run a paginated find along with the total count of matching documents
+ * Without limit every matching document is returned, as a single page.
+ * @param {Object} Model - Mongoose model
+ * @param {Object} filter - Mongoose filter
+ * @param {Object} [options={}] - page, limit, sort and fields (see getListOptions)
+ * @param {Object} [options.defaultSort] - Sort applied when no sort is requested
+ * @param {boolean} [options.includeDeleted=false] - Also list soft-deleted records (see softDeletePlugin)
+ * @param {Function} [decorate] - Adds populate calls to the find query
+ * @returns {Promise<{data: Array, total: number, page: number, limit: (number|null), totalPages: number}>}
+ */
+const paginate = async (Model, filter, options = {}, decorate = query => query) => {
+  const { page = 1, limit, sort, fields, defaultSort, includeDeleted } = options;
+
+  let query = decorate(Model.find(filter));
+  let count = Model.countDocuments(filter);
+  if (fields) {
+    query = query.select(fields);
+  }
+  if (includeDeleted) {
+    query = query.setOptions({ includeDeleted });
+    count = count.setOptions({ includeDeleted });
+  }
+
+  query = query.sort(withTiebreaker(sort || defaultSort));
+  if (limit) {
+    query = query.skip((page - 1) * limit).limit(limit);
+  }
+  const [data, total] = await Promise.all([query, count]);
+
+  if (!limit) {
+    return { data, total, page: 1, limit: null, totalPages: total > 0 ? 1 : 0 };
+  }
+  return { data, total, page, limit, totalPages: Math.ceil(total / limit) };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  splitList,
+  withTiebreaker,
+  getListOptions,
+  paginate
+};
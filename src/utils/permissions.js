@@ -0,0 +1,113 @@
+/**
+ * Account permission helpers
+ * Shared by services that scope what an authenticated account may read or write
+ */
+
+/**
+ * Build a 403 error carrying the reason of the refusal
+ * @param {string} reason - Message returned to the client
+ * @returns {Error} Error with statusCode 403
+ */
+const forbidden = (reason) => {
+  const error = new Error(reason);
+  error.statusCode = 403;
+  return error;
+};
+
+/**
+ * Whether the caller bypasses ownership checks
+ * Admins have full access; internal calls made without an account are trusted.
+ * @param {Object} [user] - Authenticated user (req.user)
+ * @returns {boolean} True when no ownership restriction applies
+ */
+const hasFullAccess = (user) => !user || user.role === 'admin';
+
+/**
+ * Get the Teacher profile ID linked to a teacher account
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {string} Teacher ObjectId as string
+ * @throws {Error} If the account is not linked to a teacher profile (403)
+ */
+const getLinkedTeacherId = (user) => {
+  if (!user.teacher) {
+    throw forbidden('Your account is not linked to a teacher profile');
+  }
+  return user.teacher.toString();
+};
+
+/**
+ * Compare two ObjectIds (or their string form)
+ * @param {Object|string} a - First ID
+ * @param {Object|string} b - Second ID
+ * @returns {boolean} True when both IDs are set and equal
+ */
+const sameId = (a, b) => Boolean(a && b) && a.toString() === b.toString();
+
+/**
+ * Get the students a read-only account is restricted to
+ * Student accounts see their own record, parent accounts see their children.
+ * @param {Object} [user] - Authenticated user (req.user)
+ * @returns {Array<string>|null} Visible Student IDs, null when every student is visible
+ */
+const getVisibleStudentIds = (user) => {
+  if (!user) {
+    return null;
+  }
+  if (user.role === 'student') {
+    return user.student ? [user.student.toString()] : [];
+  }
+  if (user.role === 'parent') {
+    return (user.children || []).map(id => id.toString());
+  }
+  return null;
+};
+
+/**
+ * Check that an account may read the data of a student
+ * @param {Object} [user] - Authenticated user (req.user)
+ * @param {Object|string} studentId - Student ObjectId (or populated Student)
+ * @throws {Error} If the student is outside the account scope (403)
+ */
+const assertCanViewStudent = (user, studentId) => {
+  const visible = getVisibleStudentIds(user);
+  const id = studentId && studentId._id ? studentId._id : studentId;
+
+  if (visible && !visible.includes(String(id))) {
+    throw forbidden(user.role === 'parent'
+      ? 'Parent accounts can only access the records of their children'
+      : 'Student accounts can only access their own records');
+  }
+};
+
+/**
+ * Restrict a Mongoose filter to the students an account can see
+ * An explicit student filter is kept when visible and refused otherwise.
+ * @param {Object} query - Mongoose filter (mutated)
+ * @param {Object} [user] - Authenticated user (req.user)
+ * @param {string} [field='_id'] - Field holding the student reference
+ * @returns {Object} The restricted filter
+ * @throws {Error} If the explicit student filter is outside the account scope (403)
+ */
+const scopeToVisibleStudents = (query, user, field = '_id') => {
+  const visible = getVisibleStudentIds(user);
+  if (!visible) {
+    return query;
+  }
+
+  if (query[field]) {
+    assertCanViewStudent(user, query[field]);
+  } else {
+    query[field] = { $in: visible };
+  }
+  return query;
+};
+
+module.exports = {
+  forbidden,
+  hasFullAccess,
+  getLinkedTeacherId,
+  sameId,
+  getVisibleStudentIds,
+  assertCanViewStudent,
+  scopeToVisibleStudents
+};
@@ -0,0 +1,34 @@
+/**
+ * Request context
+ * Keeps the request being handled reachable from services (e.g. the audit log needs the
+ * account and IP) without passing it through every call.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Express middleware running the rest of the request inside its context
+ * The request is stored itself, so req.user set later by protect is visible too.
+ */
+const requestContext = (req, res, next) => {
+  storage.run({ req }, next);
+};
+
+/**
+ * Get the account and IP address of the request being handled
+ * @returns {{user: (Object|undefined), ip: (string|undefined)}} Empty outside of a request (scripts, tests)
+ */
+const getRequestContext = () => {
+  const store = storage.getStore();
+  if (!store) {
+    return {};
+  }
+  return { user: store.req.user, ip: store.req.ip };
+};
+
+module.exports = {
+  requestContext,
+  getRequestContext
+};
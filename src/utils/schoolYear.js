@@ -0,0 +1,42 @@
+/**
+ * School year helpers
+ * A school year is labelled by its two calendar years (2024-2025) and starts in September.
+ */
+
+const { SCHOOL_YEAR_PATTERN, SCHOOL_YEAR_START_MONTH } = require('./constants');
+
+/**
+ * Get the school year a date belongs to
+ * @param {Date} [date=new Date()] - Any day of the school year
+ * @returns {string} School year label, e.g. 2024-2025
+ */
+const schoolYearOf = (date = new Date()) => {
+  const year = date.getFullYear();
+  const startYear = date.getMonth() >= SCHOOL_YEAR_START_MONTH ? year : year - 1;
+  return `${startYear}-${startYear + 1}`;
+};
+
+/**
+ * Check a school year label: two consecutive years
+ * @param {string} label - Label to check
+ * @returns {boolean} True for labels like 2024-2025
+ */
+const isSchoolYear = (label) => {
+  if (typeof label !== 'string' || !SCHOOL_YEAR_PATTERN.test(label)) {
+    return false;
+  }
+  const [start, end] = label.split('-').map(Number);
+  return end === start + 1;
+};
+
+/**
+ * Get the school year following a school year
+ * @param {string} label - School year label, e.g. 2024-2025
+ * @returns {string} Next school year label, e.g. 2025-2026
+ */
+const nextSchoolYear = (label) => {
+  const [, end] = label.split('-').map(Number);
+  return `${end}-${end + 1}`;
+};
+
+module.exports = { schoolYearOf, isSchoolYear, nextSchoolYear };
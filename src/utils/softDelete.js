@@ -0,0 +1,159 @@
+/**
+ * Soft deletion helpers
+ * Deleted records are kept with deletedAt/deletedBy and hidden from queries until restored,
+ * so the grades, classes and accounts referencing them are not left dangling.
+ * Unique indexes of these models are partial on { deletedAt: null }: deleted records free their values.
+ */
+const mongoose = require('mongoose');
+const { forbidden } = require('./permissions');
+
+// Query operations that skip deleted records (deletes and inserts are not filtered)
+const FILTERED_QUERIES = ['countDocuments', 'find', 'findOne', 'findOneAndUpdate', 'updateMany', 'updateOne'];
+
+/**
+ * Hide deleted records from a query
+ * Left untouched when the query sets the includeDeleted option or filters on deletedAt itself.
+ * @param {Object} query - Mongoose query (this in query middleware)
+ */
+const excludeDeleted = (query) => {
+  if (query.getOptions().includeDeleted || 'deletedAt' in query.getFilter()) {
+    return;
+  }
+  query.where({ deletedAt: null });
+};
+
+/**
+ * Mongoose plugin adding soft deletion to a schema
+ * Records without deletedAt (written before the plugin) count as not deleted.
+ * @param {Object} schema - Mongoose schema
+ * @example
+ * studentSchema.plugin(softDeletePlugin);
+ * await Student.find();                                  // Deleted students are hidden
+ * await Student.find({}, null, { includeDeleted: true }); // Every student
+ */
+const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  });
+
+  schema.pre(FILTERED_QUERIES, function() {
+    excludeDeleted(this);
+  });
+};
+
+/**
+ * Populate a reference even when the referenced record is deleted
+ * Grades, evaluations, attendance and the other records written for a student, teacher, class,
+ * subject or trimester keep showing it once deleted, instead of null.
+ * @param {string} path - Reference path (e.g. 'ideleve')
+ * @param {string} select - Populated fields
+ * @returns {Object} Populate options
+ * @example
+ * await Grade.find().populate(withDeleted('ideleve', 'nom prenom'));
+ */
+const withDeleted = (path, select) => ({ path, select, options: { includeDeleted: true } });
+
+/**
+ * Read the ?includeDeleted=true view of a request
+ * @param {Object} req - Express request, validated beforehand (see includeDeletedValidation)
+ * @returns {boolean} True when deleted records are requested
+ * @throws {Error} If an account other than an admin requests them (403)
+ */
+const getIncludeDeleted = (req) => {
+  if (req.query.includeDeleted !== 'true') {
+    return false;
+  }
+  if (!req.user || req.user.role !== 'admin') {
+    throw forbidden('Only admins can view deleted records');
+  }
+  return true;
+};
+
+/**
+ * Mark a record as deleted
+ * @param {Object} Model - Mongoose model using softDeletePlugin
+ * @param {string} id - Record ObjectId
+ * @param {Object} [user] - Authenticated user (req.user), kept as deletedBy
+ * @param {Object} [session] - Session of the transaction deleting the record (see dependencyService)
+ * @param {Date} [deletedAt=new Date()] - Deletion timestamp, shared with the records deleted by the same cascade
+ * @returns {Promise<Object|null>} Deleted record, null when not found or already deleted
+ */
+const softDelete = async (Model, id, user, session, deletedAt = new Date()) => await Model.findByIdAndUpdate(
+  id,
+  { deletedAt, deletedBy: user ? user._id : null },
+  { new: true, session }
+);
+
+/**
+ * Find a deleted record to restore
+ * @param {Object} Model - Mongoose model using softDeletePlugin
+ * @param {string} id - Record ObjectId
+ * @param {string} entity - Record name used in error messages (e.g. 'Student')
+ * @returns {Promise<Object>} The deleted record
+ * @throws {Error} If the record does not exist (404) or is not deleted (409)
+ */
+const findDeleted = async (Model, id, entity) => {
+  const record = await Model.findById(id, null, { includeDeleted: true });
+  if (!record) {
+    const error = new Error(`${entity} not found`);
+    error.statusCode = 404;
+    throw error;
+  }
+  if (!record.deletedAt) {
+    const error = new Error(`${entity} is not deleted`);
+    error.statusCode = 409;
+    throw error;
+  }
+  return record;
+};
+
+/**
+ * Check that a record referenced by a restored record is not deleted
+ * @param {Object} Model - Mongoose model of the reference
+ * @param {string} [id] - Referenced ObjectId (nothing is checked when empty)
+ * @param {string} message - Conflict message
+ * @throws {Error} If the referenced record is deleted (409)
+ */
+const assertReferenceActive = async (Model, id, message) => {
+  const reference = id ? await Model.findById(id, null, { includeDeleted: true }) : null;
+  if (reference && reference.deletedAt) {
+    const error = new Error(message);
+    error.statusCode = 409;
+    throw error;
+  }
+};
+
+/**
+ * Check that the unique values of a restored record were not reused meanwhile
+ * Unique indexes only cover records that are not deleted, so a new record may have taken them.
+ * @param {Object} Model - Mongoose model using softDeletePlugin
+ * @param {Object} filter - Unique values of the restored record (e.g. { nom: 'CM1', idannee })
+ * @param {string} message - Conflict message
+ * @throws {Error} If a record that is not deleted has the same values (409)
+ */
+const assertUniqueOnRestore = async (Model, filter, message) => {
+  if (await Model.exists(filter)) {
+    const error = new Error(message);
+    error.statusCode = 409;
+    throw error;
+  }
+};
+
+module.exports = {
+  excludeDeleted,
+  softDeletePlugin,
+  withDeleted,
+  getIncludeDeleted,
+  softDelete,
+  findDeleted,
+  assertReferenceActive,
+  assertUniqueOnRestore
+};
@@ -0,0 +1,131 @@
+/**
+ * Name search helpers
+ * Pure functions used to match and rank names regardless of accents and case
+ */
+
+// Accented variants matched by each base letter
+const ACCENT_VARIANTS = {
+  a: 'aàáâãäå',
+  c: 'cç',
+  e: 'eèéêë',
+  i: 'iìíîï',
+  n: 'nñ',
+  o: 'oòóôõö',
+  u: 'uùúûü',
+  y: 'yýÿ'
+};
+
+// Ligatures folded to two letters by normalize
+const LIGATURES = { ae: 'æ', oe: 'œ' };
+
+/**
+ * Lowercase a string and strip its diacritics
+ * @param {string} value - Text to normalize
+ * @returns {string} Normalized text ("Élodie" -> "elodie")
+ */
+const normalize = (value = '') => String(value)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/æ/gi, 'ae')
+  .replace(/œ/gi, 'oe')
+  .toLowerCase()
+  .trim();
+
+/**
+ * Split a search query into normalized terms
+ * @param {string} query - Raw search query
+ * @returns {Array<string>} Normalized, non-empty terms
+ */
+const tokenize = (query = '') => normalize(query).split(/[\s,]+/).filter(Boolean);
+
+/**
+ * Build a case and accent insensitive regular expression matching a term
+ * Each letter is expanded to its accented variants so MongoDB can run the match.
+ * The match levels are those of scoreTerm.
+ * @param {string} term - Normalized search term
+ * @param {string} [match='substring'] - 'exact' (whole value), 'prefix' (start of a word)
+ *   or 'substring' (anywhere in the value)
+ * @returns {RegExp} Regular expression matching the term in a value
+ * @example
+ * accentInsensitiveRegex('elo'); // Matches "Élodie", "ELODIE", "Héloïse"
+ * accentInsensitiveRegex('elo', 'prefix'); // Matches "Élodie", "Marie-Éloïse", not "Héloïse"
+ */
+const accentInsensitiveRegex = (term, match = 'substring') => {
+  // Upper case variants are listed too, MongoDB's case folding is not reliable beyond ASCII
+  const letter = char => (ACCENT_VARIANTS[char]
+    ? `[${ACCENT_VARIANTS[char]}${ACCENT_VARIANTS[char].toUpperCase()}]`
+    : char.replace(/[.*+?^${}()|[\]\\/-]/g, '\\$&'));
+
+  let pattern = '';
+  for (let i = 0; i < term.length; i++) {
+    const pair = term.slice(i, i + 2);
+    if (LIGATURES[pair]) {
+      pattern += `(?:${letter(pair[0])}${letter(pair[1])}|${LIGATURES[pair]}|${LIGATURES[pair].toUpperCase()})`;
+      i++;
+    } else {
+      pattern += letter(term[i]);
+    }
+  }
+
+  if (match === 'exact') {
+    return new RegExp(`^\\s*${pattern}\\s*$`, 'i');
+  }
+  if (match === 'prefix') {
+    return new RegExp(`(?:^|[\\s-])${pattern}`, 'i');
+  }
+  return new RegExp(pattern, 'i');
+};
+
+/**
+ * Score how well a single value matches a term
+ * @param {string} value - Normalized field value
+ * @param {string} term - Normalized search term
+ * @returns {number} 3 exact match, 2 word prefix, 1 substring, 0 no match
+ */
+const scoreTerm = (value, term) => {
+  if (value === term) return 3;
+  if (value.split(/[\s-]+/).some(word => word.startsWith(term))) return 2;
+  if (value.includes(term)) return 1;
+  return 0;
+};
+
+/**
+ * Score a document against the search terms
+ * Each term contributes its best match over the given fields; documents that
+ * miss a term score 0. A full-name match ("prenom nom" or "nom prenom") adds a bonus.
+ * @param {Object} doc - Document (plain object)
+ * @param {Array<string>} fields - Searched fields (e.g. ['nom', 'prenom'])
+ * @param {Array<string>} terms - Normalized search terms
+ * @returns {number} Relevance score, higher is better
+ * @example
+ * scoreDocument({ nom: 'Martin', prenom: 'Élodie' }, ['nom', 'prenom'], ['elodie']);
+ * // Returns: 3
+ */
+const scoreDocument = (doc, fields, terms) => {
+  const values = fields.map(field => normalize(doc[field]));
+  let score = 0;
+
+  for (const term of terms) {
+    const best = Math.max(...values.map(value => scoreTerm(value, term)));
+    if (best === 0) {
+      return 0;
+    }
+    score += best;
+  }
+
+  const query = terms.join(' ');
+  const fullNames = [values.join(' '), [...values].reverse().join(' ')];
+  if (terms.length > 1 && fullNames.includes(query)) {
+    score += 2;
+  }
+
+  return score;
+};
+
+module.exports = {
+  normalize,
+  tokenize,
+  accentInsensitiveRegex,
+  scoreTerm,
+  scoreDocument
+};
@@ -0,0 +1,25 @@
+/**
+ * Opaque token helpers
+ * Refresh and password reset tokens are random strings handed to the user once: only their
+ * SHA-256 hash is stored, so a database leak does not expose usable tokens.
+ */
+const crypto = require('crypto');
+
+/**
+ * Generate a random token
+ * @param {number} [bytes=48] - Random bytes (the token is twice as long, in hex)
+ * @returns {string} Hex token
+ */
+const generateToken = (bytes = 48) => crypto.randomBytes(bytes).toString('hex');
+
+/**
+ * Hash a token for storage and lookup
+ * @param {string} token - Token given to the user
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+module.exports = {
+  generateToken,
+  hashToken
+};
@@ -0,0 +1,45 @@
+/**
+ * Transaction helper
+ * Shared by the writes spanning several documents or collections (delete cascades, year
+ * rollover, all-or-nothing imports). MongoDB only runs transactions on a replica set or a
+ * sharded cluster: a standalone server is reported as such instead of a driver error.
+ */
+const mongoose = require('mongoose');
+
+// Error of a standalone server asked to start a transaction
+const isStandaloneError = error => /replica set member or mongos/i.test(error.message);
+
+/**
+ * Run writes in one transaction: they are all committed, or none when one fails
+ * @param {Function} work - Receives the session to pass to every read and write of the transaction
+ * @returns {Promise<*>} What work resolves to
+ * @throws {Error} If MongoDB runs as a standalone server (503), or what work throws
+ * @example
+ * await runInTransaction(async session => {
+ *   await Class.insertMany(classes, { session });
+ *   await Student.updateMany(filter, { classe }, { session });
+ * });
+ */
+const runInTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  let result;
+  try {
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+  } catch (error) {
+    if (isStandaloneError(error)) {
+      const standalone = new Error(
+        'This operation needs MongoDB transactions: run MongoDB as a replica set (see README, Upgrading)'
+      );
+      standalone.statusCode = 503;
+      throw standalone;
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+  return result;
+};
+
+module.exports = { runInTransaction };
@@ -0,0 +1,67 @@
+const { body } = require('express-validator');
+const { GRADE_STATUSES } = require('../utils/constants');
+
+const isEmpty = value => value === undefined || value === null || value === '';
+
+// Status of the grade whose note is validated ('grades[2].note' reads 'grades[2].statut')
+const statusOf = (req, notePath) => notePath
+  .replace(/note$/, 'statut')
+  .split(/[[\].]+/)
+  .filter(Boolean)
+  .reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), req.body);
+
+/**
+ * Validation rules for the status and note of a grade
+ * The note is required for present students (the default status) and must be empty otherwise.
+ * Shared by single grade writes and batch rows (prefix 'grades.*.').
+ * @param {string} [prefix=''] - Path of the grade in the body
+ * @param {Object} [options]
+ * @param {number} [options.max=20] - Maximum note, omitted when the scale is checked later
+ * @returns {Array} express-validator chains
+ */
+const gradeNoteRules = (prefix = '', { max = 20 } = {}) => {
+  const isPresent = (value, { req, path }) => isEmpty(statusOf(req, path)) || statusOf(req, path) === 'present';
+
+  return [
+    body(`${prefix}statut`)
+      .optional()
+      .isIn(GRADE_STATUSES).withMessage(`Invalid status. Allowed: ${GRADE_STATUSES.join(', ')}`),
+    body(`${prefix}note`)
+      .if(isPresent)
+      .notEmpty().withMessage('Note is required')
+      .isFloat(max ? { min: 0, max } : { min: 0 })
+      .withMessage(max ? `Note must be between 0 and ${max}` : 'Note must be a positive number'),
+    body(`${prefix}note`)
+      .if((value, meta) => !isPresent(value, meta))
+      .custom(isEmpty).withMessage('Note must be empty when the student is not present'),
+  ];
+};
+
+/**
+ * Validation rule for the reason an admin gives to change grades of a locked trimester
+ * @param {Function} [location=body] - express-validator location, query for DELETE requests
+ * @returns {Array} express-validator chains
+ */
+const overrideReasonRules = (location = body) => [
+  location('motifDerogation')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Override reason cannot exceed 500 characters'),
+];
+
+/**
+ * Validation rule for the reason of a change to a recorded grade, kept in its history
+ * @returns {Array} express-validator chains
+ */
+const changeReasonRules = () => [
+  body('motif')
+    .trim()
+    .notEmpty().withMessage('A reason (motif) is required to modify a grade')
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+];
+
+module.exports = {
+  gradeNoteRules,
+  overrideReasonRules,
+  changeReasonRules
+};
@@ -0,0 +1,35 @@
+const { body } = require('express-validator');
+
+// Validation rules for a student payload
+// Shared by the student routes and the CSV import, which runs them on each row
+const studentValidationRules = [
+  body('nom')
+    .trim()
+    .notEmpty().withMessage('Last name is required')
+    .isLength({ max: 100 }).withMessage('Last name cannot exceed 100 characters'),
+  body('prenom')
+    .trim()
+    .notEmpty().withMessage('First name is required')
+    .isLength({ max: 100 }).withMessage('First name cannot exceed 100 characters'),
+  body('classe')
+    .notEmpty().withMessage('Class is required')
+    .isMongoId().withMessage('Invalid class ID'),
+  body('dateNaissance')
+    .notEmpty().withMessage('Birth date is required')
+    .isISO8601().withMessage('Invalid date format')
+    .custom((value) => {
+      if (new Date(value) >= new Date()) {
+        throw new Error('Birth date must be in the past');
+      }
+      return true;
+    }),
+  body('adresse')
+    .optional()
+    .trim()
+    .isLength({ max: 250 }).withMessage('Address cannot exceed 250 characters'),
+  body('sexe')
+    .notEmpty().withMessage('Gender is required')
+    .isIn(['HOMME', 'FEMME']).withMessage('Gender must be HOMME or FEMME'),
+];
+
+module.exports = { studentValidationRules };
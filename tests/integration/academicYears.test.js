@@ -0,0 +1,292 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const AcademicYear = require('../../src/models/AcademicYear');
+const Class = require('../../src/models/Class');
+const Trimester = require('../../src/models/Trimester');
+const Student = require('../../src/models/Student');
+const Teacher = require('../../src/models/Teacher');
+const Subject = require('../../src/models/Subject');
+const Grade = require('../../src/models/Grade');
+const User = require('../../src/models/User');
+const { schoolYearOf } = require('../../src/utils/schoolYear');
+
+describe('Academic Year API', () => {
+	let teacherId, subjectId;
+	let authToken;
+
+	const createStudent = (nom, classe) => Student.create({
+		nom,
+		prenom: 'Test',
+		classe,
+		dateNaissance: '2015-05-20',
+		sexe: 'FEMME',
+	});
+
+	beforeAll(async () => {
+		const registerResponse = await request(app)
+			.post('/api/auth/register')
+			.send({
+				username: 'academic-year-test-admin',
+				email: 'academic-year-tests@example.com',
+				password: 'Test123456'
+			});
+
+		authToken = registerResponse.body.data.token;
+		await User.findByIdAndUpdate(registerResponse.body.data.user._id, { role: 'admin' });
+
+		const teacher = await Teacher.create({
+			nom: 'Dupont',
+			prenom: 'Jean',
+			dateNaissance: '1980-05-15',
+			adresse: '123 Rue de Paris',
+			sexe: 'HOMME',
+		});
+		teacherId = teacher._id;
+
+		const subject = await Subject.create({ nom: 'Mathématiques AY' });
+		subjectId = subject._id;
+	});
+
+	beforeEach(async () => {
+		await Grade.deleteMany({});
+		await Student.deleteMany({});
+		await Class.deleteMany({});
+		await Trimester.deleteMany({});
+		await AcademicYear.deleteMany({});
+	});
+
+	afterAll(async () => {
+		await Grade.deleteMany({});
+		await Student.deleteMany({});
+		await Class.deleteMany({});
+		await Trimester.deleteMany({});
+		await AcademicYear.deleteMany({});
+		await Teacher.deleteMany({});
+		await Subject.deleteMany({});
+		await User.deleteMany({});
+	});
+
+	describe('POST /api/academic-years', () => {
+		it('should create an academic year', async () => {
+			const response = await request(app)
+				.post('/api/academic-years')
+				.set('Authorization', `Bearer ${authToken}`)
+				.send({ nom: '2024-2025' })
+				.expect(201);
+
+			expect(response.body.data.nom).toBe('2024-2025');
+			expect(response.body.data.archivee).toBe(false);
+		});
+
+		it('should return 400 for an invalid school year', async () => {
+			await request(app)
+				.post('/api/academic-years')
+				.set('Authorization', `Bearer ${authToken}`)
+				.send({ nom: '2024-2026' })
+				.expect(400);
+		});
+
+		it('should return 409 when the year already exists', async () => {
+			await AcademicYear.create({ nom: '2024-2025' });
+
+			await request(app)
+				.post('/api/academic-years')
+				.set('Authorization', `Bearer ${authToken}`)
+				.send({ nom: '2024-2025' })
+				.expect(409);
+		});
+	});
+
+	describe('classes of several years', () => {
+		it('should keep the same class name in two academic years', async () => {
+			const [year1, year2] = await AcademicYear.create([{ nom: '2024-2025' }, { nom: '2025-2026' }]);
+
+			await request(app)
+				.post('/api/classes')
+				.set('Authorization', `Bearer ${authToken}`)
+				.send({ nom: 'CM1-AY', prof: teacherId.toString(), idannee: year1._id.toString() })
+				.expect(201);
+			await request(app)
+				.post('/api/classes')
+				.set('Authorization', `Bearer ${authToken}`)
+				.send({ nom: 'CM1-AY', prof: teacherId.toString(), idannee: year2._id.toString() })
+				.expect(201);
+
+			const response = await request(app)
+				.get('/api/classes')
+				.query({ year: '2025-2026' })
+				.set('Authorization', `Bearer ${authToken}`)
+				.expect(200);
+
+			expect(response.body.total).toBe(1);
+			expect(response.body.data[0].idannee).toBe(year2._id.toString());
+		});
+	});
+
+	describe('POST /api/academic-years/:id/rollover', () => {
+		let year, cm1, cm2, trimester;
+		let promotedId, repeaterId, leaverId;
+
+		beforeEach(async () => {
+			year = await AcademicYear.create({ nom: '2024-2025' });
+			[cm1, cm2] = await Class.create([
+				{ nom: 'CM1-AY', prof: teacherId, idannee: year._id },
+				{ nom: 'CM2-AY', prof: teacherId, idannee: year._id }
+			]);
+			trimester = await Trimester.create({ nom: 'T1', date: '2024-12-15', idannee: year._id });
+
+			promotedId = (await createStudent('Promu', cm1._id))._id;
+			repeaterId = (await createStudent('Redoublant', cm1._id))._id;
+			leaverId = (await createStudent('Sortant', cm2._id))._id;
+		});
+
+		const rollover = (body) => request(app)
+			.post(`/api/academic-years/${year._id}/rollover`)
+			.set('Authorization', `Bearer ${authToken}`)
+			.send(body);
+
+		it('should create the next year, promote students and archive the year', async () => {
+			const response = await rollover({
+				classes: [
+					{ nom: 'CM2-AY', from: cm1._id.toString() },
+					{ nom: 'CM1-AY', prof: teacherId.toString() }
+				],
+				students: [{ ideleve: repeaterId.toString(), classe: 'CM1-AY' }]
+			}).expect(201);
+
+			const { data } = response.body;
+			expect(data.year.nom).toBe('2025-2026');
+			expect(data.archived.archivee).toBe(true);
+			expect(data.classes).toHaveLength(2);
+			expect(data.promoted).toBe(2);
+			expect(data.unassigned).toBe(1);
+
+			const newClasses = await Class.find({ idannee: data.year._id });
+			const byName = Object.fromEntries(newClasses.map(classe => [classe.nom, classe._id.toString()]));
+			expect((await Student.findById(promotedId)).classe.toString()).toBe(byName['CM2-AY']);
+			expect((await Student.findById(repeaterId)).classe.toString()).toBe(byName['CM1-AY']);
+			expect((await Student.findById(leaverId)).classe.toString()).toBe(cm2._id.toString());
+		});
+
+		it('should make the archived year read-only', async () => {
+			await rollover({ classes: [{ nom: 'CM2-AY', from: cm1._id.toString() }] }).expect(201);
+
+			await request(app)
+				.put(`/api/trimesters/${trimester._id}`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.send({ nom: 'T1bis', dateDebut: '2024-12-02', dateFin: '2025-03-07' })
+				.expect(409);
+
+			await request(app)
+				.put(`/api/classes/${cm2._id}`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.send({ nom: 'CM2-AY', prof: teacherId.toString() })
+				.expect(409);
+
+			await rollover({ classes: [{ nom: 'CM2-AY', from: cm1._id.toString() }] }).expect(409);
+		});
+
+		it('should return 400 and write nothing when a mapping is invalid', async () => {
+			await rollover({
+				classes: [{ nom: 'CM2-AY', from: cm1._id.toString() }],
+				students: [{ ideleve: repeaterId.toString(), classe: 'CE2-AY' }]
+			}).expect(400);
+
+			expect(await AcademicYear.countDocuments({ nom: '2025-2026' })).toBe(0);
+			expect((await AcademicYear.findById(year._id)).archivee).toBe(false);
+			expect((await Student.findById(promotedId)).classe.toString()).toBe(cm1._id.toString());
+		});
+	});
+
+	describe('year filters', () => {
+		it('should filter grades and trimesters by academic year', async () => {
+			const [year1, year2] = await AcademicYear.create([{ nom: '2024-2025' }, { nom: '2025-2026' }]);
+			const classe = await Class.create({ nom: 'CM1-AY', prof: teacherId, idannee: year1._id });
+			const student = await createStudent('Martin', classe._id);
+			const [t1, t2] = await Trimester.create([
+				{ nom: 'T1', date: '2024-12-15', idannee: year1._id },
+				{ nom: 'T1', date: '2025-12-15', idannee: year2._id }
+			]);
+			const grade = {
+				ideleve: student._id,
+				idclasse: classe._id,
+				idmatiere: subjectId,
+				idprof: teacherId,
+				coefficient: 1
+			};
+			await Grade.create([
+				{ ...grade, idtrimestre: t1._id, note: 12 },
+				{ ...grade, idtrimestre: t2._id, note: 16 }
+			]);
+
+			const grades = await request(app)
+				.get('/api/grades')
+				.query({ year: '2025-2026' })
+				.set('Authorization', `Bearer ${authToken}`)
+				.expect(200);
+			expect(grades.body.total).toBe(1);
+			expect(grades.body.data[0].note).toBe(16);
+
+			const trimesters = await request(app)
+				.get('/api/trimesters')
+				.query({ year: '2024-2025' })
+				.set('Authorization', `Bearer ${authToken}`)
+				.expect(200);
+			expect(trimesters.body.count).toBe(1);
+
+			const averages = await request(app)
+				.get(`/api/students/${student._id}/averages`)
+				.query({ year: '2024-2025' })
+				.set('Authorization', `Bearer ${authToken}`)
+				.expect(200);
+			expect(averages.body.data.trimesters).toHaveLength(1);
+			expect(averages.body.data.yearlyAverage).toBe(12);
+		});
+
+		it('should average the current academic year only when no year is given', async () => {
+			const lastYearDate = new Date();
+			lastYearDate.setFullYear(lastYearDate.getFullYear() - 1);
+			const [lastYear, currentYear] = await AcademicYear.create([
+				{ nom: schoolYearOf(lastYearDate), archivee: true },
+				{ nom: schoolYearOf() }
+			]);
+			const classe = await Class.create({ nom: 'CM2-AY', prof: teacherId, idannee: currentYear._id });
+			const student = await createStudent('Bernard', classe._id);
+			const [lastYearTrimester, currentTrimester] = await Trimester.create([
+				{ nom: 'T3', date: lastYearDate, idannee: lastYear._id },
+				{ nom: 'T1', date: new Date(), idannee: currentYear._id }
+			]);
+			const grade = {
+				ideleve: student._id,
+				idclasse: classe._id,
+				idmatiere: subjectId,
+				idprof: teacherId,
+				coefficient: 1
+			};
+			await Grade.create([
+				{ ...grade, idtrimestre: lastYearTrimester._id, note: 4 },
+				{ ...grade, idtrimestre: currentTrimester._id, note: 14 }
+			]);
+
+			const averages = await request(app)
+				.get(`/api/students/${student._id}/averages`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.expect(200);
+			expect(averages.body.data.trimesters).toHaveLength(1);
+			expect(averages.body.data.trimesters[0].trimester._id).toBe(currentTrimester._id.toString());
+			expect(averages.body.data.yearlyAverage).toBe(14);
+		});
+	});
+
+	describe('DELETE /api/academic-years/:id', () => {
+		it('should return 409 while classes belong to the year', async () => {
+			const year = await AcademicYear.create({ nom: '2024-2025' });
+			await Class.create({ nom: 'CM1-AY', prof: teacherId, idannee: year._id });
+
+			await request(app)
+				.delete(`/api/academic-years/${year._id}`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.expect(409);
+		});
+	});
+});
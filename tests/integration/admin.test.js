@@ -2,6 +2,7 @@ const request = require('supertest');
 const mongoose = require('mongoose');
 const app = require('../../src/app');
 const User = require('../../src/models/User');
+const Teacher = require('../../src/models/Teacher');
 
 describe('Admin Role Management API', () => {
     let adminToken;
@@ -293,4 +294,80 @@ describe('Admin Role Management API', () => {
             expect(['admin', 'teacher', 'student']).toContain(adminUser.role);
         });
     });
-});
\ No newline at end of file
+    describe('Profile linkage', () => {
+        let teacherProfileId;
+
+        beforeAll(async () => {
+            const teacher = await Teacher.create({
+                nom: 'Dupont',
+                prenom: 'Jean',
+                dateNaissance: '1980-05-15',
+                adresse: '123 Rue de Paris',
+                sexe: 'HOMME'
+            });
+            teacherProfileId = teacher._id.toString();
+
+            // Earlier suites change this account's role: restore it
+            await User.findByIdAndUpdate(teacherUserId, { role: 'teacher' });
+        });
+
+        afterAll(async () => {
+            await Teacher.deleteMany({});
+        });
+
+        it('should link a teacher profile to a teacher account', async () => {
+            const response = await request(app)
+                .put(`/api/auth/admin/users/${teacherUserId}/profile`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ type: 'teacher', profileId: teacherProfileId });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.user.teacher).toBe(teacherProfileId);
+            expect(response.body.data.profile._id).toBe(teacherProfileId);
+        });
+
+        it('should return the linked profile on GET /api/auth/me', async () => {
+            const response = await request(app)
+                .get('/api/auth/me')
+                .set('Authorization', `Bearer ${teacherToken}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.user.username).toBe('teacher');
+            expect(response.body.data.user.password).toBeUndefined();
+            expect(response.body.data.profile.nom).toBe('Dupont');
+        });
+
+        it('should reject a profile type that does not match the user role', async () => {
+            const response = await request(app)
+                .put(`/api/auth/admin/users/${studentUserId}/profile`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ type: 'teacher', profileId: teacherProfileId });
+
+            expect(response.status).toBe(400);
+        });
+
+        it('should forbid non-admin users from linking profiles', async () => {
+            const response = await request(app)
+                .put(`/api/auth/admin/users/${teacherUserId}/profile`)
+                .set('Authorization', `Bearer ${teacherToken}`)
+                .send({ type: 'teacher', profileId: teacherProfileId });
+
+            expect(response.status).toBe(403);
+        });
+
+        it('should detach the linked profile', async () => {
+            const response = await request(app)
+                .delete(`/api/auth/admin/users/${teacherUserId}/profile`)
+                .set('Authorization', `Bearer ${adminToken}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.user.teacher).toBeUndefined();
+
+            const meResponse = await request(app)
+                .get('/api/auth/me')
+                .set('Authorization', `Bearer ${teacherToken}`);
+
+            expect(meResponse.body.data.profile).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,270 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const Attendance = require('../../src/models/Attendance');
+const Student = require('../../src/models/Student');
+const Teacher = require('../../src/models/Teacher');
+const Class = require('../../src/models/Class');
+const Trimester = require('../../src/models/Trimester');
+const User = require('../../src/models/User');
+
+describe('Attendance API', () => {
+	let classId, class2Id, trimesterId;
+	let studentId, student2Id;
+	let authToken;
+
+	const attendanceData = (overrides = {}) => ({
+		ideleve: studentId.toString(),
+		idclasse: classId.toString(),
+		idtrimestre: trimesterId.toString(),
+		date: '2024-10-14',
+		creneau: '08:30-09:25',
+		type: 'absence',
+		...overrides
+	});
+
+	const recordAttendance = async (overrides = {}) => {
+		const response = await request(app)
+			.post('/api/attendance')
+			.set('Authorization', `Bearer ${authToken}`)
+			.send(attendanceData(overrides))
+			.expect(201);
+		return response.body.data;
+	};
+
+	beforeAll(async () => {
+		const registerResponse = await request(app)
+			.post('/api/auth/register')
+			.send({
+				username: 'attendance-test-admin',
+				email: 'attendance-tests@example.com',
+				password: 'Test123456'
+			});
+
+		authToken = registerResponse.body.data.token;
+		await User.findByIdAndUpdate(registerResponse.body.data.user._id, { role: 'admin' });
+
+		const teacher = await Teacher.create({
+			nom: 'Dupont',
+			prenom: 'Jean',
+			dateNaissance: '1980-05-15',
+			adresse: '123 Rue de Paris',
+			sexe: 'HOMME',
+		});
+
+		const classe = await Class.create({ nom: 'CM1-ATT', prof: teacher._id });
+		classId = classe._id;
+		const classe2 = await Class.create({ nom: 'CM2-ATT', prof: teacher._id });
+		class2Id = classe2._id;
+
+		const trimester = await Trimester.create({ nom: 'Trim 1', date: new Date('2024-09-01') });
+		trimesterId = trimester._id;
+
+		const student = await Student.create({
+			nom: 'Martin',
+			prenom: 'Sophie',
+			classe: classId,
+			dateNaissance: '2015-05-20',
+			sexe: 'FEMME',
+		});
+		studentId = student._id;
+
+		const student2 = await Student.create({
+			nom: 'Duplessis',
+			prenom: 'Pierre',
+			classe: classId,
+			dateNaissance: '2015-08-15',
+			sexe: 'HOMME',
+		});
+		student2Id = student2._id;
+	});
+
+	beforeEach(async () => {
+		await Attendance.deleteMany({});
+	});
+
+	afterAll(async () => {
+		await Attendance.deleteMany({});
+		await Student.deleteMany({});
+		await Teacher.deleteMany({});
+		await Class.deleteMany({});
+		await Trimester.deleteMany({});
+		await User.deleteMany({});
+	});
+
+	describe('POST /api/attendance', () => {
+		it('should record an absence', async () => {
+			const record = await recordAttendance();
+
+			expect(record.type).toBe('absence');
+			expect(record.creneau).toBe('08:30-09:25');
+			expect(record.justifiee).toBe(false);
+			expect(record.ideleve.nom).toBe('Martin');
+		});
+
+		it('should record a late arrival with its minutes', async () => {
+			const record = await recordAttendance({ type: 'late', minutesRetard: 10 });
+
+			expect(record.minutesRetard).toBe(10);
+		});
+
+		it('should return 400 for a late arrival without minutes', async () => {
+			await request(app)
+				.post('/api/attendance')
+				.set('Authorization', `Bearer ${authToken}`)
+				.send(attendanceData({ type: 'late' }))
+				.expect(400);
+		});
+
+		it('should return 400 for an invalid time slot', async () => {
+			await request(app)
+				.post('/api/attendance')
+				.set('Authorization', `Bearer ${authToken}`)
+				.send(attendanceData({ creneau: '8h30' }))
+				.expect(400);
+		});
+
+		it('should return 400 when the student is not in the class', async () => {
+			const response = await request(app)
+				.post('/api/attendance')
+				.set('Authorization', `Bearer ${authToken}`)
+				.send(attendanceData({ idclasse: class2Id.toString() }))
+				.expect(400);
+
+			expect(response.body.error).toBe('Student is not in the specified class');
+		});
+
+		it('should return 409 when the time slot is already recorded', async () => {
+			await recordAttendance();
+
+			await request(app)
+				.post('/api/attendance')
+				.set('Authorization', `Bearer ${authToken}`)
+				.send(attendanceData({ type: 'late', minutesRetard: 5 }))
+				.expect(409);
+		});
+	});
+
+	describe('GET /api/attendance', () => {
+		it('should filter records by type and justification', async () => {
+			await recordAttendance();
+			await recordAttendance({ creneau: '09:25-10:20', type: 'late', minutesRetard: 5 });
+			await recordAttendance({ ideleve: student2Id.toString() });
+
+			const response = await request(app)
+				.get('/api/attendance')
+				.query({ student: studentId.toString(), type: 'absence', justified: 'false' })
+				.set('Authorization', `Bearer ${authToken}`)
+				.expect(200);
+
+			expect(response.body.total).toBe(1);
+			expect(response.body.data[0].creneau).toBe('08:30-09:25');
+		});
+	});
+
+	describe('PUT /api/attendance/:id/justification', () => {
+		it('should validate the justification and record who validated it', async () => {
+			const record = await recordAttendance();
+
+			const response = await request(app)
+				.put(`/api/attendance/${record._id}/justification`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.send({ motif: 'Rendez-vous médical', justificatif: true, valide: true })
+				.expect(200);
+
+			expect(response.body.data.justifiee).toBe(true);
+			expect(response.body.data.justification.motif).toBe('Rendez-vous médical');
+			expect(response.body.data.justification.validePar.username).toBe('attendance-test-admin');
+			expect(response.body.data.justification.valideLe).toBeDefined();
+		});
+
+		it('should return 404 for an unknown record', async () => {
+			await request(app)
+				.put(`/api/attendance/${new mongoose.Types.ObjectId()}/justification`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.send({ valide: true })
+				.expect(404);
+		});
+	});
+
+	describe('PUT /api/attendance/:id', () => {
+		it('should turn a late arrival into an absence', async () => {
+			const record = await recordAttendance({ type: 'late', minutesRetard: 10 });
+
+			const response = await request(app)
+				.put(`/api/attendance/${record._id}`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.send({ type: 'absence' })
+				.expect(200);
+
+			expect(response.body.data.type).toBe('absence');
+			expect(response.body.data.minutesRetard).toBeUndefined();
+		});
+	});
+
+	describe('Summaries', () => {
+		beforeEach(async () => {
+			const justified = await recordAttendance();
+			await request(app)
+				.put(`/api/attendance/${justified._id}/justification`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.send({ valide: true })
+				.expect(200);
+			await recordAttendance({ creneau: '09:25-10:20' });
+			await recordAttendance({ date: '2024-10-15', type: 'late', minutesRetard: 15 });
+		});
+
+		it('should summarize the attendance of a student', async () => {
+			const response = await request(app)
+				.get(`/api/students/${studentId}/attendance`)
+				.query({ trimester: trimesterId.toString() })
+				.set('Authorization', `Bearer ${authToken}`)
+				.expect(200);
+
+			expect(response.body.data.summary).toEqual({
+				absences: 2,
+				justifiedAbsences: 1,
+				unjustifiedAbsences: 1,
+				lates: 1,
+				justifiedLates: 0,
+				unjustifiedLates: 1,
+				lateMinutes: 15
+			});
+			expect(response.body.data.records).toHaveLength(3);
+		});
+
+		it('should summarize the attendance of every student of a class', async () => {
+			const response = await request(app)
+				.get(`/api/classes/${classId}/attendance`)
+				.query({ trimester: trimesterId.toString() })
+				.set('Authorization', `Bearer ${authToken}`)
+				.expect(200);
+
+			const { summary, students } = response.body.data;
+			expect(summary).toMatchObject({ absences: 2, lates: 1 });
+			expect(students.map(entry => entry.student.nom)).toEqual(['Duplessis', 'Martin']);
+			expect(students[0].summary.absences).toBe(0);
+			expect(students[1].summary.absences).toBe(2);
+		});
+
+		it('should require the trimester for a class summary', async () => {
+			await request(app)
+				.get(`/api/classes/${classId}/attendance`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.expect(400);
+		});
+	});
+
+	describe('DELETE /api/attendance/:id', () => {
+		it('should delete a record', async () => {
+			const record = await recordAttendance();
+
+			await request(app)
+				.delete(`/api/attendance/${record._id}`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.expect(200);
+
+			expect(await Attendance.countDocuments({})).toBe(0);
+		});
+	});
+});
@@ -0,0 +1,136 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const AuditLog = require('../../src/models/AuditLog');
+const Subject = require('../../src/models/Subject');
+const User = require('../../src/models/User');
+
+describe('Audit API', () => {
+  let authToken, adminId;
+  let studentToken;
+
+  beforeAll(async () => {
+    const registerResponse = await request(app)
+      .post('/api/auth/register')
+      .send({
+        username: 'audit-test-admin',
+        email: 'audit-tests@example.com',
+        password: 'Test123456'
+      });
+
+    adminId = registerResponse.body.data.user._id;
+    authToken = registerResponse.body.data.token;
+    await User.findByIdAndUpdate(adminId, { role: 'admin' });
+
+    // New accounts get the student role
+    const studentResponse = await request(app)
+      .post('/api/auth/register')
+      .send({
+        username: 'audit-test-student',
+        email: 'audit-student@example.com',
+        password: 'Test123456'
+      });
+    studentToken = studentResponse.body.data.token;
+  });
+
+  beforeEach(async () => {
+    await Subject.deleteMany({});
+    await AuditLog.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await Subject.deleteMany({});
+    await AuditLog.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  describe('GET /api/audit', () => {
+    it('should record who created, changed and deleted a record', async () => {
+      const created = await request(app)
+        .post('/api/subjects')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ nom: 'Histoire Audit' })
+        .expect(201);
+      const subjectId = created.body.data._id;
+
+      await request(app)
+        .put(`/api/subjects/${subjectId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ nom: 'Géographie Audit' })
+        .expect(200);
+
+      await request(app)
+        .delete(`/api/subjects/${subjectId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/audit')
+        .query({ entity: 'Subject', entityId: subjectId, sort: 'createdAt' })
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.total).toBe(3);
+      expect(response.body.data.map(entry => entry.action)).toEqual(['create', 'update', 'delete']);
+
+      const update = response.body.data[1];
+      expect(update.actor).toBe(adminId);
+      expect(update.actorUsername).toBe('audit-test-admin');
+      expect(update.ip).toBeDefined();
+      expect(update.changes).toEqual([{ field: 'nom', before: 'Histoire Audit', after: 'Géographie Audit' }]);
+    });
+
+    it('should filter by actor and date range', async () => {
+      await request(app)
+        .post('/api/subjects')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ nom: 'Musique Audit' })
+        .expect(201);
+
+      const today = new Date().toISOString().slice(0, 10);
+      const response = await request(app)
+        .get('/api/audit')
+        .query({ actor: adminId, from: today, to: today })
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(response.body.total).toBe(1);
+
+      const before = await request(app)
+        .get('/api/audit')
+        .query({ to: '2020-01-01' })
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(before.body.total).toBe(0);
+    });
+
+    it('should not store passwords of new accounts', async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'audit-new-user', email: 'audit-new@example.com', password: 'Test123456' })
+        .expect(201);
+
+      const response = await request(app)
+        .get('/api/audit')
+        .query({ entity: 'User' })
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const password = response.body.data[0].changes.find(change => change.field === 'password');
+      expect(password.after).toBe('[REDACTED]');
+    });
+
+    it('should return 400 for an unknown entity', async () => {
+      await request(app)
+        .get('/api/audit')
+        .query({ entity: 'Invoice' })
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+    });
+
+    it('should return 403 for non-admin accounts', async () => {
+      await request(app)
+        .get('/api/audit')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .expect(403);
+    });
+  });
+});
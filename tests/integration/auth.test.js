@@ -2,12 +2,17 @@ const request = require('supertest');
 const mongoose = require('mongoose');
 const app = require('../../src/app');
 const User = require('../../src/models/User');
+const Session = require('../../src/models/Session');
+const LoginAttempt = require('../../src/models/LoginAttempt');
+const AuditLog = require('../../src/models/AuditLog');
+const mailService = require('../../src/services/mailService');
 const jwt = require('jsonwebtoken');
 
 describe('Authentication API', () => {
     afterAll(async () => {
         // Clean up after all auth tests are done
         await User.deleteMany({});
+        await Session.deleteMany({});
     });
 
     describe('POST /api/auth/register', () => {
@@ -166,8 +171,9 @@ describe('Authentication API', () => {
         };
 
         beforeEach(async () => {
-            // Clean users and create a user for login tests
+            // Clean users and failed logins and create a user for login tests
             await User.deleteMany({});
+            await LoginAttempt.deleteMany({});
             await request(app)
                 .post('/api/auth/register')
                 .send(validUser);
@@ -235,6 +241,144 @@ describe('Authentication API', () => {
             expect(response.status).toBe(400);
             expect(response.body.success).toBe(false);
         });
+
+        it('should make the account wait from the third wrong password, even for the right one', async () => {
+            const wrong = { email: validUser.email, password: 'WrongPassword123' };
+            await request(app).post('/api/auth/login').send(wrong).expect(400);
+            await request(app).post('/api/auth/login').send(wrong).expect(400);
+            await request(app).post('/api/auth/login').send(wrong).expect(400);
+
+            const response = await request(app)
+                .post('/api/auth/login')
+                .send({ email: validUser.email, password: validUser.password })
+                .expect(429);
+
+            expect(response.body.error).toMatch(/^Login failed: Too many failed login attempts, try again in \d+ second\(s\)$/);
+            expect(response.body.details.retryAfter).toBeGreaterThan(0);
+            expect((await LoginAttempt.findOne({ email: validUser.email })).attempts).toBe(3);
+        });
+
+        it('should answer an unknown email like a known one', async () => {
+            const unknown = { email: 'nonexistent@example.com', password: 'WrongPassword123' };
+            await request(app).post('/api/auth/login').send(unknown).expect(400);
+            await request(app).post('/api/auth/login').send(unknown).expect(400);
+            await request(app).post('/api/auth/login').send(unknown).expect(400);
+
+            const waiting = await request(app).post('/api/auth/login').send(unknown).expect(429);
+            expect(waiting.body.error).toMatch(/^Login failed: Too many failed login attempts, try again in \d+ second\(s\)$/);
+
+            await LoginAttempt.updateOne({ email: unknown.email }, { attempts: 9, lockUntil: null });
+            await request(app).post('/api/auth/login').send(unknown).expect(400);
+            const locked = await request(app).post('/api/auth/login').send(unknown).expect(423);
+            expect(locked.body.error).toBe('Login failed: Login locked after too many failed login attempts, try again in 15 minute(s)');
+        });
+
+        it('should lock the email after 10 wrong passwords until an admin unlocks it', async () => {
+            await request(app)
+                .post('/api/auth/login')
+                .send({ email: validUser.email, password: 'WrongPassword123' })
+                .expect(400);
+            await LoginAttempt.updateOne({ email: validUser.email }, { attempts: 9 });
+
+            await request(app)
+                .post('/api/auth/login')
+                .send({ email: validUser.email, password: 'WrongPassword123' })
+                .expect(400);
+
+            const locked = await request(app)
+                .post('/api/auth/login')
+                .send({ email: validUser.email, password: validUser.password })
+                .expect(423);
+            expect(locked.body.error).toBe('Login failed: Login locked after too many failed login attempts, try again in 15 minute(s)');
+
+            const user = await User.findOne({ email: validUser.email });
+            expect(await AuditLog.exists({ entity: 'User', entityId: user._id, action: 'lock' })).toBeTruthy();
+
+            await new User({
+                username: 'lockadmin',
+                email: 'lockadmin@example.com',
+                password: 'Admin123456',
+                role: 'admin'
+            }).save();
+            const adminLogin = await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'lockadmin@example.com', password: 'Admin123456' })
+                .expect(200);
+
+            // Unlocking is reserved to admins
+            await request(app)
+                .post(`/api/auth/admin/users/${user._id}/unlock`)
+                .expect(401);
+
+            const unlocked = await request(app)
+                .post(`/api/auth/admin/users/${user._id}/unlock`)
+                .set('Authorization', `Bearer ${adminLogin.body.data.token}`)
+                .expect(200);
+            expect(unlocked.body.data.user.email).toBe(validUser.email);
+            expect(await LoginAttempt.exists({ email: validUser.email })).toBeNull();
+            expect(await AuditLog.exists({ entity: 'User', entityId: user._id, action: 'unlock' })).toBeTruthy();
+
+            await request(app)
+                .post('/api/auth/login')
+                .send({ email: validUser.email, password: validUser.password })
+                .expect(200);
+        });
+    });
+
+    describe('POST /api/auth/refresh', () => {
+        let refreshToken;
+
+        beforeEach(async () => {
+            await User.deleteMany({});
+            await Session.deleteMany({});
+            const registerResponse = await request(app)
+                .post('/api/auth/register')
+                .send({
+                    username: 'testuser',
+                    email: 'test@example.com',
+                    password: 'Test123456'
+                });
+
+            refreshToken = registerResponse.body.data.refreshToken;
+        });
+
+        it('should return a new access token and rotate the refresh token', async () => {
+            const response = await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken })
+                .expect(200);
+
+            expect(response.body.data.refreshToken).not.toBe(refreshToken);
+            await request(app)
+                .get('/api/auth/me')
+                .set('Authorization', `Bearer ${response.body.data.token}`)
+                .expect(200);
+        });
+
+        it('should revoke the session when a refresh token is used twice', async () => {
+            const first = await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken })
+                .expect(200);
+
+            await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken })
+                .expect(401);
+
+            // The token issued by the first refresh belongs to the revoked session
+            await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken: first.body.data.refreshToken })
+                .expect(401);
+        });
+
+        it('should return 400 without refresh token', async () => {
+            await request(app)
+                .post('/api/auth/refresh')
+                .send({})
+                .expect(400);
+        });
     });
 
     describe('POST /api/auth/logout', () => {
@@ -262,6 +406,54 @@ describe('Authentication API', () => {
 
             expect(response.status).toBe(200);
             expect(response.body.success).toBe(true);
+            expect(response.body.data.revokedSessions).toBe(1);
+        });
+
+        it('should reject the access and refresh tokens after logout', async () => {
+            const loginResponse = await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'test@example.com', password: 'Test123456' });
+            const { token, refreshToken } = loginResponse.body.data;
+
+            await request(app)
+                .post('/api/auth/logout')
+                .set('Authorization', `Bearer ${token}`)
+                .expect(200);
+
+            const meResponse = await request(app)
+                .get('/api/auth/me')
+                .set('Authorization', `Bearer ${token}`)
+                .expect(401);
+            expect(meResponse.body.error).toBe('Access denied. Session has been revoked.');
+
+            await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken })
+                .expect(401);
+
+            // The session opened at registration is still valid
+            await request(app)
+                .get('/api/auth/me')
+                .set('Authorization', `Bearer ${authToken}`)
+                .expect(200);
+        });
+
+        it('should revoke every session with all', async () => {
+            const loginResponse = await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'test@example.com', password: 'Test123456' });
+
+            const response = await request(app)
+                .post('/api/auth/logout')
+                .set('Authorization', `Bearer ${loginResponse.body.data.token}`)
+                .send({ all: true })
+                .expect(200);
+
+            expect(response.body.data.revokedSessions).toBe(2);
+            await request(app)
+                .get('/api/auth/me')
+                .set('Authorization', `Bearer ${authToken}`)
+                .expect(401);
         });
 
         it('should require authentication', async () => {
@@ -273,4 +465,98 @@ describe('Authentication API', () => {
         });
     });
 
+
+    describe('Password change and reset', () => {
+        const credentials = { email: 'test@example.com', password: 'Test123456' };
+        let authToken;
+        let otherToken;
+
+        beforeEach(async () => {
+            await User.deleteMany({});
+            await Session.deleteMany({});
+            const registerResponse = await request(app)
+                .post('/api/auth/register')
+                .send({ username: 'testuser', ...credentials });
+            authToken = registerResponse.body.data.token;
+
+            const loginResponse = await request(app).post('/api/auth/login').send(credentials);
+            otherToken = loginResponse.body.data.token;
+        });
+
+        it('should change the password and revoke the other sessions', async () => {
+            const response = await request(app)
+                .put('/api/auth/password')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ currentPassword: 'Test123456', newPassword: 'Changed123456' })
+                .expect(200);
+
+            expect(response.body.data.revokedSessions).toBe(1);
+            await request(app).get('/api/auth/me').set('Authorization', `Bearer ${authToken}`).expect(200);
+            await request(app).get('/api/auth/me').set('Authorization', `Bearer ${otherToken}`).expect(401);
+            await request(app).post('/api/auth/login').send(credentials).expect(400);
+            await request(app)
+                .post('/api/auth/login')
+                .send({ email: credentials.email, password: 'Changed123456' })
+                .expect(200);
+        });
+
+        it('should return 400 when the current password is wrong', async () => {
+            const response = await request(app)
+                .put('/api/auth/password')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ currentPassword: 'Wrong123456', newPassword: 'Changed123456' })
+                .expect(400);
+
+            expect(response.body.error).toBe('Current password is incorrect');
+        });
+
+        it('should reset the password once with the mailed token', async () => {
+            const sent = [];
+            mailService.setTransport({ send: async message => sent.push(message) });
+
+            await request(app)
+                .post('/api/auth/forgot-password')
+                .send({ email: credentials.email })
+                .expect(200);
+
+            expect(sent).toHaveLength(1);
+            expect(sent[0].to).toBe(credentials.email);
+            const token = sent[0].text.match(/^[0-9a-f]{64}$/m)[0];
+
+            // Only the hash of the token is stored
+            const user = await User.findOne({ email: credentials.email }).select('+passwordResetTokenHash');
+            expect(user.passwordResetTokenHash).toBeDefined();
+            expect(user.passwordResetTokenHash).not.toBe(token);
+
+            await request(app)
+                .post('/api/auth/reset-password')
+                .send({ token, password: 'Reset123456' })
+                .expect(200);
+
+            await request(app).get('/api/auth/me').set('Authorization', `Bearer ${authToken}`).expect(401);
+            await request(app)
+                .post('/api/auth/login')
+                .send({ email: credentials.email, password: 'Reset123456' })
+                .expect(200);
+
+            // Single use
+            await request(app)
+                .post('/api/auth/reset-password')
+                .send({ token, password: 'Again123456' })
+                .expect(400);
+        });
+
+        it('should answer the same for an unknown email without sending a mail', async () => {
+            const sent = [];
+            mailService.setTransport({ send: async message => sent.push(message) });
+
+            const response = await request(app)
+                .post('/api/auth/forgot-password')
+                .send({ email: 'nobody@example.com' })
+                .expect(200);
+
+            expect(response.body.message).toBe('If an account exists for this email, a password reset mail has been sent');
+            expect(sent).toHaveLength(0);
+        });
+    });
 });
\ No newline at end of file
@@ -447,4 +447,62 @@ describe('Class API', () => {
 			expect(response.body.success).toBe(false);
 		});
 	});
+
+	describe('GET /api/classes pagination', () => {
+		beforeEach(async () => {
+			await Class.create(['6A', '6B', '5A', '5B', '4A'].map(nom => ({ nom, prof: teacherId })));
+		});
+
+		it('should return the requested page with metadata', async () => {
+			const response = await request(app)
+				.get('/api/classes?page=2&limit=2')
+				.set('Authorization', `Bearer ${authToken}`)
+				.expect(200);
+
+			expect(response.body).toMatchObject({ count: 2, total: 5, page: 2, limit: 2, totalPages: 3 });
+			expect(response.body.data.map(c => c.nom)).toEqual(['5B', '6A']);
+		});
+
+		it('should return every class without page nor limit', async () => {
+			const response = await request(app)
+				.get('/api/classes')
+				.set('Authorization', `Bearer ${authToken}`)
+				.expect(200);
+
+			expect(response.body).toMatchObject({ count: 5, total: 5, page: 1, limit: null, totalPages: 1 });
+		});
+
+		it('should keep classes with the same sort value in the same order from page to page', async () => {
+			// Every class has the same prof
+			const pages = [];
+			for (const page of [1, 2, 3]) {
+				const response = await request(app)
+					.get(`/api/classes?sort=prof&page=${page}&limit=2`)
+					.set('Authorization', `Bearer ${authToken}`)
+					.expect(200);
+				pages.push(...response.body.data.map(c => c.nom));
+			}
+
+			expect(new Set(pages).size).toBe(5);
+		});
+
+		it('should sort and select fields', async () => {
+			const response = await request(app)
+				.get('/api/classes?sort=-nom&fields=nom&limit=1')
+				.set('Authorization', `Bearer ${authToken}`)
+				.expect(200);
+
+			expect(response.body.data[0].nom).toBe('6B');
+			expect(response.body.data[0].createdAt).toBeUndefined();
+		});
+
+		it('should reject invalid pagination parameters', async () => {
+			const response = await request(app)
+				.get('/api/classes?limit=500&sort=secret')
+				.set('Authorization', `Bearer ${authToken}`)
+				.expect(400);
+
+			expect(response.body.details.map(d => d.field)).toEqual(['limit', 'sort']);
+		});
+	});
 });
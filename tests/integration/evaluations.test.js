@@ -0,0 +1,280 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const Evaluation = require('../../src/models/Evaluation');
+const Grade = require('../../src/models/Grade');
+const Student = require('../../src/models/Student');
+const Teacher = require('../../src/models/Teacher');
+const Class = require('../../src/models/Class');
+const Subject = require('../../src/models/Subject');
+const Trimester = require('../../src/models/Trimester');
+const TeachingAssignment = require('../../src/models/TeachingAssignment');
+const User = require('../../src/models/User');
+
+describe('Evaluation API', () => {
+	let classId, subjectId, teacherId, trimesterId;
+	let studentId, student2Id;
+	let authToken;
+
+	const evaluationData = () => ({
+		titre: 'Contrôle fractions',
+		date: '2024-10-14',
+		idclasse: classId.toString(),
+		idmatiere: subjectId.toString(),
+		idprof: teacherId.toString(),
+		idtrimestre: trimesterId.toString(),
+		coefficient: 2,
+		bareme: 40
+	});
+
+	const createEvaluation = async (overrides = {}) => {
+		const response = await request(app)
+			.post('/api/evaluations')
+			.set('Authorization', `Bearer ${authToken}`)
+			.send({ ...evaluationData(), ...overrides })
+			.expect(201);
+		return response.body.data;
+	};
+
+	beforeAll(async () => {
+		const registerResponse = await request(app)
+			.post('/api/auth/register')
+			.send({
+				username: 'evaluation-test-admin',
+				email: 'evaluation-tests@example.com',
+				password: 'Test123456'
+			});
+
+		authToken = registerResponse.body.data.token;
+		await User.findByIdAndUpdate(registerResponse.body.data.user._id, { role: 'admin' });
+
+		const teacher = await Teacher.create({
+			nom: 'Dupont',
+			prenom: 'Jean',
+			dateNaissance: '1980-05-15',
+			adresse: '123 Rue de Paris',
+			sexe: 'HOMME',
+		});
+		teacherId = teacher._id;
+
+		const classe = await Class.create({ nom: 'CM1-EVAL', prof: teacherId });
+		classId = classe._id;
+
+		const subject = await Subject.create({ nom: 'Mathematics' });
+		subjectId = subject._id;
+
+		await TeachingAssignment.create({ idprof: teacherId, idclasse: classId, idmatiere: subjectId });
+
+		const trimester = await Trimester.create({ nom: 'Trim 1', date: new Date('2024-09-01') });
+		trimesterId = trimester._id;
+
+		const student = await Student.create({
+			nom: 'Martin',
+			prenom: 'Sophie',
+			classe: classId,
+			dateNaissance: '2015-05-20',
+			sexe: 'FEMME',
+		});
+		studentId = student._id;
+
+		const student2 = await Student.create({
+			nom: 'Duplessis',
+			prenom: 'Pierre',
+			classe: classId,
+			dateNaissance: '2015-08-15',
+			sexe: 'HOMME',
+		});
+		student2Id = student2._id;
+	});
+
+	beforeEach(async () => {
+		await Grade.deleteMany({});
+		await Evaluation.deleteMany({});
+	});
+
+	afterAll(async () => {
+		await Grade.deleteMany({});
+		await Evaluation.deleteMany({});
+		await Student.deleteMany({});
+		await Teacher.deleteMany({});
+		await Class.deleteMany({});
+		await Subject.deleteMany({});
+		await Trimester.deleteMany({});
+		await TeachingAssignment.deleteMany({});
+		await User.deleteMany({});
+	});
+
+	describe('POST /api/evaluations', () => {
+		it('should create an evaluation with its scale', async () => {
+			const evaluation = await createEvaluation();
+
+			expect(evaluation.titre).toBe('Contrôle fractions');
+			expect(evaluation.bareme).toBe(40);
+			expect(evaluation.idclasse.nom).toBe('CM1-EVAL');
+		});
+
+		it('should default the scale to 20', async () => {
+			const evaluation = await createEvaluation({ bareme: undefined });
+
+			expect(evaluation.bareme).toBe(20);
+		});
+
+		it('should return 400 for missing title', async () => {
+			await request(app)
+				.post('/api/evaluations')
+				.set('Authorization', `Bearer ${authToken}`)
+				.send({ ...evaluationData(), titre: '' })
+				.expect(400);
+		});
+	});
+
+	describe('GET /api/evaluations', () => {
+		it('should list evaluations filtered by class, most recent first', async () => {
+			await createEvaluation({ titre: 'Septembre', date: '2024-09-20' });
+			await createEvaluation({ titre: 'Octobre', date: '2024-10-14' });
+
+			const response = await request(app)
+				.get('/api/evaluations')
+				.query({ class: classId.toString() })
+				.set('Authorization', `Bearer ${authToken}`)
+				.expect(200);
+
+			expect(response.body.total).toBe(2);
+			expect(response.body.data.map(evaluation => evaluation.titre)).toEqual(['Octobre', 'Septembre']);
+		});
+	});
+
+	describe('POST /api/evaluations/:id/grades', () => {
+		it('should record grades converted to the /20 scale', async () => {
+			const evaluation = await createEvaluation();
+
+			const response = await request(app)
+				.post(`/api/evaluations/${evaluation._id}/grades`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.send({ grades: [{ ideleve: studentId.toString(), note: 31 }] })
+				.expect(201);
+
+			expect(response.body.count).toBe(1);
+			expect(response.body.data[0].note).toBe(15.5);
+			expect(response.body.data[0].noteBrute).toBe(31);
+			expect(response.body.data[0].coefficient).toBe(2);
+			expect(response.body.data[0].idevaluation).toBe(evaluation._id);
+		});
+
+		it('should reject notes above the scale and students already graded', async () => {
+			const evaluation = await createEvaluation();
+			await request(app)
+				.post(`/api/evaluations/${evaluation._id}/grades`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.send({ grades: [{ ideleve: studentId.toString(), note: 20 }] })
+				.expect(201);
+
+			const response = await request(app)
+				.post(`/api/evaluations/${evaluation._id}/grades`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.send({
+					grades: [
+						{ ideleve: studentId.toString(), note: 25 },
+						{ ideleve: student2Id.toString(), note: 45 }
+					]
+				})
+				.expect(400);
+
+			expect(response.body.details).toEqual([
+				{ field: 'grades[0].ideleve', message: 'Student already has a grade for this evaluation' },
+				{ field: 'grades[1].note', message: 'Note must be between 0 and 40' }
+			]);
+			expect(await Grade.countDocuments({ idevaluation: evaluation._id })).toBe(1);
+		});
+
+		it('should return 404 for an unknown evaluation', async () => {
+			await request(app)
+				.post(`/api/evaluations/${new mongoose.Types.ObjectId()}/grades`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.send({ grades: [{ ideleve: studentId.toString(), note: 12 }] })
+				.expect(404);
+		});
+	});
+
+	describe('GET /api/evaluations/:id/grades', () => {
+		it('should return the grade sheet with statistics on /20', async () => {
+			const evaluation = await createEvaluation();
+			await request(app)
+				.post(`/api/evaluations/${evaluation._id}/grades`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.send({ grades: [{ ideleve: studentId.toString(), note: 30 }] })
+				.expect(201);
+
+			const response = await request(app)
+				.get(`/api/evaluations/${evaluation._id}/grades`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.expect(200);
+
+			const { statistics, sheet } = response.body.data;
+			expect(statistics).toMatchObject({ gradedCount: 1, studentCount: 2, average: 15 });
+			expect(sheet.map(entry => entry.student.nom)).toEqual(['Duplessis', 'Martin']);
+			expect(sheet[0].grade).toBeNull();
+			expect(sheet[1].grade).toMatchObject({ note: 15, noteBrute: 30 });
+		});
+	});
+
+	describe('PUT /api/evaluations/:id', () => {
+		it('should apply the coefficient to the recorded grades', async () => {
+			const evaluation = await createEvaluation();
+			await request(app)
+				.post(`/api/evaluations/${evaluation._id}/grades`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.send({ grades: [{ ideleve: studentId.toString(), note: 30 }] })
+				.expect(201);
+
+			await request(app)
+				.put(`/api/evaluations/${evaluation._id}`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.send({ coefficient: 3 })
+				.expect(200);
+
+			const grade = await Grade.findOne({ idevaluation: evaluation._id });
+			expect(grade.coefficient).toBe(3);
+		});
+
+		it('should refuse a scale change once grades are recorded', async () => {
+			const evaluation = await createEvaluation();
+			await request(app)
+				.post(`/api/evaluations/${evaluation._id}/grades`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.send({ grades: [{ ideleve: studentId.toString(), note: 30 }] })
+				.expect(201);
+
+			await request(app)
+				.put(`/api/evaluations/${evaluation._id}`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.send({ bareme: 20 })
+				.expect(400);
+		});
+	});
+
+	describe('DELETE /api/evaluations/:id', () => {
+		it('should delete an evaluation without grades', async () => {
+			const evaluation = await createEvaluation();
+
+			await request(app)
+				.delete(`/api/evaluations/${evaluation._id}`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.expect(200);
+		});
+
+		it('should return 409 when grades are recorded', async () => {
+			const evaluation = await createEvaluation();
+			await request(app)
+				.post(`/api/evaluations/${evaluation._id}/grades`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.send({ grades: [{ ideleve: studentId.toString(), note: 30 }] })
+				.expect(201);
+
+			await request(app)
+				.delete(`/api/evaluations/${evaluation._id}`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.expect(409);
+		});
+	});
+});
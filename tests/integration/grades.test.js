@@ -7,6 +7,7 @@ const Teacher = require('../../src/models/Teacher');
 const Class = require('../../src/models/Class');
 const Subject = require('../../src/models/Subject');
 const Trimester = require('../../src/models/Trimester');
+const TeachingAssignment = require('../../src/models/TeachingAssignment');
 const User = require('../../src/models/User');
 const connectDB = require('../../src/config/database');
 
@@ -93,6 +94,13 @@ describe('Grade API', () => {
 			sexe: 'HOMME',
 		});
 		student2Id = student2._id;
+
+		// The teacher teaches both subjects in both classes
+		await TeachingAssignment.create([classId, class2Id].flatMap(idclasse => [subjectId, subject2Id].map(idmatiere => ({
+			idprof: teacherId,
+			idclasse,
+			idmatiere
+		}))));
 	});
 
 	beforeEach(async () => {
@@ -106,6 +114,7 @@ describe('Grade API', () => {
 		await Class.deleteMany({});
 		await Subject.deleteMany({});
 		await Trimester.deleteMany({});
+		await TeachingAssignment.deleteMany({});
 		await User.deleteMany({});
 		await mongoose.connection.close();
 	});
@@ -154,6 +163,27 @@ describe('Grade API', () => {
 			expect(response.body.success).toBe(false);
 		});
 
+		it('should return 403 when the teacher does not teach the subject in the class', async () => {
+			const subject = await Subject.create({ nom: 'Music' });
+
+			const response = await request(app)
+				.post('/api/grades')
+				.set('Authorization', `Bearer ${authToken}`)
+				.send({
+					ideleve: studentId.toString(),
+					idclasse: classId.toString(),
+					idmatiere: subject._id.toString(),
+					idprof: teacherId.toString(),
+					idtrimestre: trimesterId.toString(),
+					note: 15,
+					coefficient: 1
+				})
+				.expect(403);
+
+			expect(response.body.error).toBe('Teacher does not teach this subject in this class');
+			await Subject.findByIdAndDelete(subject._id);
+		});
+
 		it('should return 400 for missing required fields', async () => {
 			const response = await request(app)
 				.post('/api/grades')
@@ -185,6 +215,109 @@ describe('Grade API', () => {
 		});
 	});
 
+	describe('POST /api/grades/batch', () => {
+		const batchFor = (grades) => ({
+			idclasse: classId.toString(),
+			idmatiere: subjectId.toString(),
+			idprof: teacherId.toString(),
+			idtrimestre: trimesterId.toString(),
+			coefficient: 2,
+			grades
+		});
+
+		it('should record the grades of every student of the class', async () => {
+			const response = await request(app)
+				.post('/api/grades/batch')
+				.set('Authorization', `Bearer ${authToken}`)
+				.send(batchFor([
+					{ ideleve: studentId.toString(), note: 14 },
+					{ ideleve: student2Id.toString(), note: 9.5, commentaire: 'Peut mieux faire' }
+				]))
+				.expect(201);
+
+			expect(response.body.success).toBe(true);
+			expect(response.body.count).toBe(2);
+			expect(response.body.data[0].ideleve.nom).toBe('Martin');
+			expect(response.body.data[1].coefficient).toBe(2);
+			expect(await Grade.countDocuments({ idclasse: classId })).toBe(2);
+		});
+
+		it('should reject the whole batch and report invalid rows', async () => {
+			const outsider = await Student.create({
+				nom: 'Bernard',
+				prenom: 'Lucas',
+				classe: class2Id,
+				dateNaissance: '2014-03-10',
+				sexe: 'HOMME',
+			});
+
+			const response = await request(app)
+				.post('/api/grades/batch')
+				.set('Authorization', `Bearer ${authToken}`)
+				.send(batchFor([
+					{ ideleve: studentId.toString(), note: 14 },
+					{ ideleve: outsider._id.toString(), note: 12 },
+					{ ideleve: studentId.toString(), note: 16 }
+				]))
+				.expect(400);
+
+			expect(response.body.success).toBe(false);
+			expect(response.body.details).toEqual([
+				{ field: 'grades[1].ideleve', message: 'Student is not in the specified class' },
+				{ field: 'grades[2].ideleve', message: 'Student appears more than once in the batch' }
+			]);
+			expect(await Grade.countDocuments({})).toBe(0);
+
+			await Student.findByIdAndDelete(outsider._id);
+		});
+
+		it('should return 400 for an invalid note in a row', async () => {
+			const response = await request(app)
+				.post('/api/grades/batch')
+				.set('Authorization', `Bearer ${authToken}`)
+				.send(batchFor([{ ideleve: studentId.toString(), note: 25 }]))
+				.expect(400);
+
+			expect(response.body.details[0].field).toBe('grades[0].note');
+		});
+
+		it('should record students who were not present without a note', async () => {
+			const response = await request(app)
+				.post('/api/grades/batch')
+				.set('Authorization', `Bearer ${authToken}`)
+				.send(batchFor([
+					{ ideleve: studentId.toString(), note: 14 },
+					{ ideleve: student2Id.toString(), statut: 'absent_justified' }
+				]))
+				.expect(201);
+
+			expect(response.body.data[0].statut).toBe('present');
+			expect(response.body.data[1].statut).toBe('absent_justified');
+			expect(response.body.data[1].note).toBeUndefined();
+		});
+
+		it('should return 400 for a missing note or a note given to an absent student', async () => {
+			const response = await request(app)
+				.post('/api/grades/batch')
+				.set('Authorization', `Bearer ${authToken}`)
+				.send(batchFor([
+					{ ideleve: studentId.toString() },
+					{ ideleve: student2Id.toString(), statut: 'exempt', note: 12 }
+				]))
+				.expect(400);
+
+			expect(response.body.details.map(detail => detail.field).sort()).toEqual(['grades[0].note', 'grades[1].note']);
+		});
+
+		it('should return 400 for an empty batch', async () => {
+			await request(app)
+				.post('/api/grades/batch')
+				.set('Authorization', `Bearer ${authToken}`)
+				.send(batchFor([]))
+				.expect(400);
+		});
+	});
+
 	describe('GET /api/grades', () => {
 		beforeEach(async () => {
 			await Grade.create([
@@ -508,7 +641,8 @@ describe('Grade API', () => {
 				idprof: teacherId.toString(),
 				idtrimestre: trimesterId.toString(),
 				note: 18,
-				coefficient: 3
+				coefficient: 3,
+				motif: 'Erreur de report de la copie'
 			};
 
 			const response = await request(app)
@@ -520,6 +654,104 @@ describe('Grade API', () => {
 			expect(response.body.success).toBe(true);
 			expect(response.body.data.note).toBe(18);
 		});
+
+		it('should return 400 without a reason', async () => {
+			const grade = await Grade.create({
+				ideleve: studentId,
+				idclasse: classId,
+				idmatiere: subjectId,
+				idprof: teacherId,
+				idtrimestre: trimesterId,
+				note: 15,
+				coefficient: 2
+			});
+
+			await request(app)
+				.put('/api/grades/' + grade._id)
+				.set('Authorization', `Bearer ${authToken}`)
+				.send({
+					ideleve: studentId.toString(),
+					idclasse: classId.toString(),
+					idmatiere: subjectId.toString(),
+					idprof: teacherId.toString(),
+					idtrimestre: trimesterId.toString(),
+					note: 18,
+					coefficient: 2
+				})
+				.expect(400);
+
+			expect((await Grade.findById(grade._id)).note).toBe(15);
+		});
+	});
+
+	describe('Grade history', () => {
+		const gradeBody = (values) => ({
+			ideleve: studentId.toString(),
+			idclasse: classId.toString(),
+			idmatiere: subjectId.toString(),
+			idprof: teacherId.toString(),
+			idtrimestre: trimesterId.toString(),
+			coefficient: 2,
+			...values
+		});
+
+		it('should list each version with its author, reason and changes, and restore one', async () => {
+			const created = await request(app)
+				.post('/api/grades')
+				.set('Authorization', `Bearer ${authToken}`)
+				.send(gradeBody({ note: 12 }))
+				.expect(201);
+			const gradeId = created.body.data._id;
+
+			await request(app)
+				.put(`/api/grades/${gradeId}`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.send(gradeBody({ note: 14, coefficient: 3, motif: 'Erreur de report de la copie' }))
+				.expect(200);
+
+			const history = await request(app)
+				.get(`/api/grades/${gradeId}/history`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.expect(200);
+
+			expect(history.body.count).toBe(2);
+			const [latest, first] = history.body.data;
+			expect(latest.version).toBe(2);
+			expect(latest.motif).toBe('Erreur de report de la copie');
+			expect(latest.modifiePar.username).toBe('grade-test-teacher');
+			expect(latest.changes).toEqual([
+				{ field: 'coefficient', before: 2, after: 3 },
+				{ field: 'note', before: 12, after: 14 }
+			]);
+			expect(first.valeurs.note).toBe(12);
+
+			const restored = await request(app)
+				.post(`/api/grades/${gradeId}/restore`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.send({ version: 1, motif: 'Contestation des parents acceptée' })
+				.expect(200);
+			expect(restored.body.data.note).toBe(12);
+			expect(restored.body.data.coefficient).toBe(2);
+
+			const afterRestore = await request(app)
+				.get(`/api/grades/${gradeId}/history`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.expect(200);
+			expect(afterRestore.body.data[0]).toMatchObject({
+				version: 3,
+				motif: 'Version 1 restored: Contestation des parents acceptée'
+			});
+		});
+
+		it('should return 404 for a version that does not exist', async () => {
+			const grade = await Grade.create({ ...gradeBody({ note: 12 }) });
+
+			await request(app)
+				.post(`/api/grades/${grade._id}/restore`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.send({ version: 4, motif: 'Contestation' })
+				.expect(404);
+		});
 	});
 
 	describe('DELETE /api/grades/:id', () => {
@@ -542,6 +774,36 @@ describe('Grade API', () => {
 			expect(response.body.success).toBe(true);
 		});
 
+		it('should keep the deleted grade and its deletion in the history', async () => {
+			const grade = await Grade.create({
+				ideleve: studentId,
+				idclasse: classId,
+				idmatiere: subjectId,
+				idprof: teacherId,
+				idtrimestre: trimesterId,
+				note: 15,
+				coefficient: 2
+			});
+
+			await request(app)
+				.delete(`/api/grades/${grade._id}`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.expect(200);
+
+			expect(await Grade.findById(grade._id)).toBeNull();
+			expect((await Grade.findById(grade._id, null, { includeDeleted: true })).deletedAt).not.toBeNull();
+
+			const response = await request(app)
+				.get(`/api/grades/${grade._id}/history`)
+				.query({ includeDeleted: 'true' })
+				.set('Authorization', `Bearer ${authToken}`)
+				.expect(200);
+
+			expect(response.body.data.map(version => version.version)).toEqual([2, 1]);
+			expect(response.body.data[0]).toMatchObject({ motif: 'Grade deleted', supprimee: true });
+			expect(response.body.data[0].valeurs.note).toBe(15);
+		});
+
 		it('should return 400 for invalid ID', async () => {
 			const response = await request(app)
 				.delete('/api/grades/invalid-id')
@@ -551,4 +813,377 @@ describe('Grade API', () => {
 			expect(response.body.success).toBe(false);
 		});
 	});
+
+	describe('GET /api/students/:id/averages', () => {
+		it('should return weighted averages per subject and trimester', async () => {
+			await Grade.create([
+				{ ideleve: studentId, idclasse: classId, idmatiere: subjectId, idprof: teacherId, idtrimestre: trimesterId, note: 10, coefficient: 1 },
+				{ ideleve: studentId, idclasse: classId, idmatiere: subjectId, idprof: teacherId, idtrimestre: trimesterId, note: 16, coefficient: 2 },
+				{ ideleve: studentId, idclasse: classId, idmatiere: subject2Id, idprof: teacherId, idtrimestre: trimesterId, note: 5, coefficient: 0 }
+			]);
+
+			const response = await request(app)
+				.get(`/api/students/${studentId}/averages`)
+				.query({ trimester: trimesterId.toString() })
+				.set('Authorization', `Bearer ${authToken}`)
+				.expect(200);
+
+			expect(response.body.success).toBe(true);
+			expect(response.body.data.trimesters).toHaveLength(1);
+
+			const trimester = response.body.data.trimesters[0];
+			const maths = trimester.subjects.find(s => s.subject._id === subjectId.toString());
+			const french = trimester.subjects.find(s => s.subject._id === subject2Id.toString());
+
+			expect(maths.average).toBe(14);
+			expect(maths.gradeCount).toBe(2);
+			expect(french.average).toBeNull();
+			expect(trimester.average).toBe(14);
+			expect(response.body.data.yearlyAverage).toBe(14);
+		});
+
+		it('should return 404 for non-existent student', async () => {
+			const fakeId = new mongoose.Types.ObjectId();
+
+			const response = await request(app)
+				.get(`/api/students/${fakeId}/averages`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.expect(404);
+
+			expect(response.body.success).toBe(false);
+		});
+
+		it('should return 400 for invalid trimester filter', async () => {
+			const response = await request(app)
+				.get(`/api/students/${studentId}/averages`)
+				.query({ trimester: 'invalid-id' })
+				.set('Authorization', `Bearer ${authToken}`)
+				.expect(400);
+
+			expect(response.body.success).toBe(false);
+		});
+	});
+
+	describe('GET /api/classes/:id/statistics', () => {
+		it('should return subject statistics and ranking with ties', async () => {
+			await Grade.create([
+				{ ideleve: studentId, idclasse: classId, idmatiere: subjectId, idprof: teacherId, idtrimestre: trimesterId, note: 14, coefficient: 1 },
+				{ ideleve: student2Id, idclasse: classId, idmatiere: subjectId, idprof: teacherId, idtrimestre: trimesterId, note: 14, coefficient: 2 }
+			]);
+
+			const response = await request(app)
+				.get(`/api/classes/${classId}/statistics`)
+				.query({ trimester: trimesterId.toString() })
+				.set('Authorization', `Bearer ${authToken}`)
+				.expect(200);
+
+			expect(response.body.success).toBe(true);
+			expect(response.body.data.subjects).toHaveLength(1);
+			expect(response.body.data.subjects[0]).toMatchObject({
+				average: 14,
+				min: 14,
+				max: 14,
+				median: 14,
+				standardDeviation: 0,
+				studentCount: 2
+			});
+			expect(response.body.data.ranking.map(entry => entry.rank)).toEqual([1, 1]);
+			expect(response.body.data.ranking.every(entry => entry.tied)).toBe(true);
+		});
+
+		it('should return 400 when trimester is missing', async () => {
+			const response = await request(app)
+				.get(`/api/classes/${classId}/statistics`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.expect(400);
+
+			expect(response.body.success).toBe(false);
+		});
+	});
+
+	describe('GET /api/students/:id/report-card', () => {
+		it('should return a PDF report card', async () => {
+			await Grade.create({
+				ideleve: studentId, idclasse: classId, idmatiere: subjectId, idprof: teacherId, idtrimestre: trimesterId, note: 15, coefficient: 2
+			});
+
+			const response = await request(app)
+				.get(`/api/students/${studentId}/report-card`)
+				.query({ trimester: trimesterId.toString() })
+				.set('Authorization', `Bearer ${authToken}`)
+				.buffer(true)
+				.parse((res, callback) => {
+					const chunks = [];
+					res.on('data', chunk => chunks.push(chunk));
+					res.on('end', () => callback(null, Buffer.concat(chunks)));
+				})
+				.expect('Content-Type', /application\/pdf/)
+				.expect(200);
+
+			expect(response.headers['content-disposition']).toMatch(/attachment; filename="bulletin-/);
+			expect(response.body.subarray(0, 5).toString()).toBe('%PDF-');
+		});
+
+		it('should return 400 when trimester is missing', async () => {
+			const response = await request(app)
+				.get(`/api/students/${studentId}/report-card`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.expect(400);
+
+			expect(response.body.success).toBe(false);
+		});
+	});
+
+	describe('Teacher ownership on grade writes', () => {
+		let teacherToken, colleagueId, colleagueClassId;
+
+		beforeAll(async () => {
+			const registerResponse = await request(app)
+				.post('/api/auth/register')
+				.send({
+					username: 'grade-owner-teacher',
+					email: 'grade-owner@example.com',
+					password: 'Test123456'
+				});
+			teacherToken = registerResponse.body.data.token;
+
+			// Teacher account linked to the teacher of CM1 and CM2
+			await User.findByIdAndUpdate(registerResponse.body.data.user._id, {
+				role: 'teacher',
+				teacher: teacherId
+			});
+
+			const colleague = await Teacher.create({
+				nom: 'Durand',
+				prenom: 'Claire',
+				dateNaissance: '1985-03-10',
+				adresse: '8 Rue de Lille',
+				sexe: 'FEMME',
+			});
+			colleagueId = colleague._id;
+
+			const colleagueClass = await Class.create({
+				nom: 'CE2',
+				prof: colleagueId,
+			});
+			colleagueClassId = colleagueClass._id;
+		});
+
+		const gradeFor = (overrides = {}) => ({
+			ideleve: studentId,
+			idclasse: classId,
+			idmatiere: subjectId,
+			idprof: teacherId,
+			idtrimestre: trimesterId,
+			note: 14,
+			coefficient: 1,
+			...overrides
+		});
+
+		it('should let a teacher record a grade in their own class', async () => {
+			const response = await request(app)
+				.post('/api/grades')
+				.set('Authorization', `Bearer ${teacherToken}`)
+				.send(gradeFor())
+				.expect(201);
+
+			expect(response.body.data.idprof._id).toBe(teacherId.toString());
+		});
+
+		it('should return 403 when the teacher records a grade for a colleague', async () => {
+			const response = await request(app)
+				.post('/api/grades')
+				.set('Authorization', `Bearer ${teacherToken}`)
+				.send(gradeFor({ idprof: colleagueId }))
+				.expect(403);
+
+			expect(response.body.error).toBe('Teachers can only record grades under their own profile (idprof)');
+		});
+
+		it('should return 403 when the teacher modifies a colleague grade', async () => {
+			const colleagueStudent = await Student.create({
+				nom: 'Petit',
+				prenom: 'Louis',
+				classe: colleagueClassId,
+				dateNaissance: '2016-02-11',
+				sexe: 'HOMME',
+			});
+			const grade = await Grade.create(gradeFor({
+				ideleve: colleagueStudent._id,
+				idclasse: colleagueClassId,
+				idprof: colleagueId
+			}));
+
+			const response = await request(app)
+				.put(`/api/grades/${grade._id}`)
+				.set('Authorization', `Bearer ${teacherToken}`)
+				.send({ ...gradeFor({ ideleve: colleagueStudent._id, idclasse: colleagueClassId, idprof: colleagueId, note: 20 }), motif: 'Correction' })
+				.expect(403);
+
+			expect(response.body.error).toBe('You can only modify grades you recorded');
+		});
+	});
+
+	describe('Student and parent read access', () => {
+		let studentToken, parentToken;
+
+		const registerAs = async (username, profile) => {
+			const response = await request(app)
+				.post('/api/auth/register')
+				.send({
+					username,
+					email: `${username}@example.com`,
+					password: 'Test123456'
+				});
+			await User.findByIdAndUpdate(response.body.data.user._id, profile);
+			return response.body.data.token;
+		};
+
+		beforeAll(async () => {
+			studentToken = await registerAs('scoped-student', { role: 'student', student: studentId });
+			parentToken = await registerAs('scoped-parent', { role: 'parent', children: [student2Id] });
+		});
+
+		beforeEach(async () => {
+			await Grade.create([
+				{ ideleve: studentId, idclasse: classId, idmatiere: subjectId, idprof: teacherId, idtrimestre: trimesterId, note: 12, coefficient: 1 },
+				{ ideleve: student2Id, idclasse: classId, idmatiere: subjectId, idprof: teacherId, idtrimestre: trimesterId, note: 16, coefficient: 1 }
+			]);
+		});
+
+		it('should only list the student own grades', async () => {
+			const response = await request(app)
+				.get('/api/grades')
+				.set('Authorization', `Bearer ${studentToken}`)
+				.expect(200);
+
+			expect(response.body.count).toBe(1);
+			expect(response.body.data[0].ideleve._id).toBe(studentId.toString());
+		});
+
+		it('should only list the student own record', async () => {
+			const response = await request(app)
+				.get('/api/students')
+				.set('Authorization', `Bearer ${studentToken}`)
+				.expect(200);
+
+			expect(response.body.count).toBe(1);
+			expect(response.body.data[0]._id).toBe(studentId.toString());
+		});
+
+		it('should return 403 for another student record', async () => {
+			const response = await request(app)
+				.get(`/api/students/${student2Id}/averages`)
+				.set('Authorization', `Bearer ${studentToken}`)
+				.expect(403);
+
+			expect(response.body.error).toBe('Student accounts can only access their own records');
+		});
+
+		it('should give a parent the same view for their children', async () => {
+			const response = await request(app)
+				.get('/api/grades')
+				.set('Authorization', `Bearer ${parentToken}`)
+				.expect(200);
+
+			expect(response.body.count).toBe(1);
+			expect(response.body.data[0].ideleve._id).toBe(student2Id.toString());
+
+			await request(app)
+				.get(`/api/students/${studentId}`)
+				.set('Authorization', `Bearer ${parentToken}`)
+				.expect(403);
+		});
+
+		it('should keep parents read-only', async () => {
+			await request(app)
+				.post('/api/grades')
+				.set('Authorization', `Bearer ${parentToken}`)
+				.send({ ideleve: student2Id, idclasse: classId, idmatiere: subjectId, idprof: teacherId, idtrimestre: trimesterId, note: 20, coefficient: 1 })
+				.expect(403);
+		});
+	});
+
+	describe('Current and locked trimesters', () => {
+		const gradeData = () => ({
+			ideleve: studentId.toString(),
+			idclasse: classId.toString(),
+			idmatiere: subjectId.toString(),
+			idprof: teacherId.toString(),
+			note: 14,
+			coefficient: 1
+		});
+
+		afterEach(async () => {
+			await Trimester.updateMany({}, { verrouille: false });
+		});
+
+		it('should record a grade without idtrimestre in the trimester covering today', async () => {
+			const today = new Date();
+			const current = await Trimester.create({
+				nom: 'Current',
+				date: today,
+				dateDebut: new Date(today.getTime() - 7 * 24 * 3600 * 1000),
+				dateFin: new Date(today.getTime() + 7 * 24 * 3600 * 1000)
+			});
+
+			try {
+				const response = await request(app)
+					.post('/api/grades')
+					.set('Authorization', `Bearer ${authToken}`)
+					.send(gradeData())
+					.expect(201);
+
+				expect(response.body.data.idtrimestre._id).toBe(current._id.toString());
+			} finally {
+				await Trimester.findByIdAndDelete(current._id);
+			}
+		});
+
+		it('should refuse grade changes in a locked trimester without an override reason', async () => {
+			const grade = await Grade.create({ ...gradeData(), idtrimestre: trimester2Id });
+
+			await request(app)
+				.put(`/api/trimesters/${trimester2Id}/lock`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.expect(200);
+
+			await request(app)
+				.post('/api/grades')
+				.set('Authorization', `Bearer ${authToken}`)
+				.send({ ...gradeData(), idtrimestre: trimester2Id.toString() })
+				.expect(409);
+
+			await request(app)
+				.put(`/api/grades/${grade._id}`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.send({ ...gradeData(), idtrimestre: trimester2Id.toString(), note: 18, motif: 'Correction' })
+				.expect(409);
+
+			await request(app)
+				.delete(`/api/grades/${grade._id}`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.expect(409);
+
+			expect((await Grade.findById(grade._id)).note).toBe(14);
+		});
+
+		it('should let an admin override the lock with a reason', async () => {
+			const grade = await Grade.create({ ...gradeData(), idtrimestre: trimester2Id });
+			await Trimester.findByIdAndUpdate(trimester2Id, { verrouille: true });
+
+			const response = await request(app)
+				.put(`/api/grades/${grade._id}`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.send({ ...gradeData(), idtrimestre: trimester2Id.toString(), note: 18, motif: 'Correction', motifDerogation: 'Erreur de saisie' })
+				.expect(200);
+			expect(response.body.data.note).toBe(18);
+
+			await request(app)
+				.delete(`/api/grades/${grade._id}`)
+				.query({ motifDerogation: 'Note saisie en double' })
+				.set('Authorization', `Bearer ${authToken}`)
+				.expect(200);
+		});
+	});
 });
@@ -0,0 +1,106 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Student = require('../../src/models/Student');
+const Teacher = require('../../src/models/Teacher');
+const Class = require('../../src/models/Class');
+const Subject = require('../../src/models/Subject');
+const User = require('../../src/models/User');
+
+describe('Search API', () => {
+	let authToken;
+	let studentToken;
+
+	beforeAll(async () => {
+		const registerResponse = await request(app)
+			.post('/api/auth/register')
+			.send({
+				username: 'search-test-admin',
+				email: 'search-tests@example.com',
+				password: 'Test123456'
+			});
+		authToken = registerResponse.body.data.token;
+		await User.findByIdAndUpdate(registerResponse.body.data.user._id, { role: 'admin' });
+
+		const studentResponse = await request(app)
+			.post('/api/auth/register')
+			.send({
+				username: 'search-test-student',
+				email: 'search-student@example.com',
+				password: 'Test123456'
+			});
+		studentToken = studentResponse.body.data.token;
+
+		const teacher = await Teacher.create({
+			nom: 'Lemaire',
+			prenom: 'Hélène',
+			dateNaissance: '1978-02-11',
+			sexe: 'FEMME',
+		});
+		const classe = await Class.create({ nom: '6e Élan', prof: teacher._id });
+		await Student.create([
+			{ nom: 'Martin', prenom: 'Élodie', classe: classe._id, dateNaissance: '2012-04-02', sexe: 'FEMME' },
+			{ nom: 'Dumartin', prenom: 'Elodie', classe: classe._id, dateNaissance: '2012-09-14', sexe: 'FEMME' },
+			{ nom: 'Bernard', prenom: 'Lucas', classe: classe._id, dateNaissance: '2012-01-30', sexe: 'HOMME' },
+		]);
+		await Subject.create({ nom: 'Éducation physique' });
+	});
+
+	afterAll(async () => {
+		await Student.deleteMany({});
+		await Class.deleteMany({});
+		await Teacher.deleteMany({});
+		await Subject.deleteMany({});
+		await User.deleteMany({});
+	});
+
+	it('should find names regardless of accents and case, best match first', async () => {
+		const response = await request(app)
+			.get('/api/search')
+			.query({ q: 'ELODIE martin' })
+			.set('Authorization', `Bearer ${authToken}`)
+			.expect(200);
+
+		expect(response.body.success).toBe(true);
+		expect(response.body.data.students.map(s => s.nom)).toEqual(['Martin', 'Dumartin']);
+		expect(response.body.data.students[0].classe.nom).toBe('6e Élan');
+		expect(response.body.data.teachers).toEqual([]);
+		expect(response.body.count).toBe(2);
+	});
+
+	it('should group matches of every type', async () => {
+		const response = await request(app)
+			.get('/api/search?q=el')
+			.set('Authorization', `Bearer ${authToken}`)
+			.expect(200);
+
+		expect(response.body.data.teachers[0].prenom).toBe('Hélène');
+		expect(response.body.data.classes[0].nom).toBe('6e Élan');
+		expect(response.body.data.subjects).toEqual([]);
+	});
+
+	it('should restrict the search to the requested types', async () => {
+		const response = await request(app)
+			.get('/api/search?q=education&types=subjects')
+			.set('Authorization', `Bearer ${authToken}`)
+			.expect(200);
+
+		expect(Object.keys(response.body.data)).toEqual(['subjects']);
+		expect(response.body.data.subjects[0].nom).toBe('Éducation physique');
+	});
+
+	it('should return 400 without a query', async () => {
+		const response = await request(app)
+			.get('/api/search?types=unknown')
+			.set('Authorization', `Bearer ${authToken}`)
+			.expect(400);
+
+		expect(response.body.details.map(d => d.field)).toEqual(['q', 'types']);
+	});
+
+	it('should return 403 for student accounts', async () => {
+		await request(app)
+			.get('/api/search?q=martin')
+			.set('Authorization', `Bearer ${studentToken}`)
+			.expect(403);
+	});
+});
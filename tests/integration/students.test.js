@@ -496,6 +496,33 @@ describe('Student API', () => {
 
       const deletedStudent = await Student.findById(student._id);
       expect(deletedStudent).toBeNull();
+
+      // The record is kept, with the deletion date and author
+      const keptStudent = await Student.findById(student._id, null, { includeDeleted: true });
+      expect(keptStudent.deletedAt).toBeTruthy();
+      expect(keptStudent.deletedBy.toString()).toBe(userId);
+    });
+
+    it('should hide a deleted student from the list and by ID', async () => {
+      const student = await Student.create({
+        nom: 'Martin',
+        prenom: 'Sophie',
+        classe: testClassId,
+        dateNaissance: '2010-03-20',
+        sexe: 'FEMME',
+        deletedAt: new Date(),
+      });
+
+      const listResponse = await request(app)
+        .get('/api/students')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(listResponse.body.total).toBe(0);
+
+      await request(app)
+        .get(`/api/students/${student._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(500);
     });
 
     it('should return 400 for invalid ID format', async () => {
@@ -518,6 +545,97 @@ describe('Student API', () => {
     });
   });
 
+  describe('POST /api/students/:id/restore', () => {
+    const createDeletedStudent = (classe = testClassId) => Student.create({
+      nom: 'Martin',
+      prenom: 'Sophie',
+      classe,
+      dateNaissance: '2010-03-20',
+      sexe: 'FEMME',
+      deletedAt: new Date(),
+      deletedBy: userId,
+    });
+
+    it('should restore a deleted student', async () => {
+      const student = await createDeletedStudent();
+
+      const response = await request(app)
+        .post(`/api/students/${student._id}/restore`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.deletedAt).toBeNull();
+      expect(response.body.data.deletedBy).toBeNull();
+
+      await request(app)
+        .get(`/api/students/${student._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+    });
+
+    it('should return 409 when the student is not deleted', async () => {
+      const student = await Student.create({
+        nom: 'Martin',
+        prenom: 'Sophie',
+        classe: testClassId,
+        dateNaissance: '2010-03-20',
+        sexe: 'FEMME',
+      });
+
+      const response = await request(app)
+        .post(`/api/students/${student._id}/restore`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(409);
+
+      expect(response.body.error).toBe('Student is not deleted');
+    });
+
+    it('should return 409 while the class of the student is deleted', async () => {
+      const teacher = await Teacher.create({ nom: 'Restore', prenom: 'Prof', dateNaissance: '1980-01-01', sexe: 'HOMME' });
+      const classe = await Class.create({ nom: 'CM1 Restore', prof: teacher._id, deletedAt: new Date() });
+      const student = await createDeletedStudent(classe._id);
+
+      const response = await request(app)
+        .post(`/api/students/${student._id}/restore`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(409);
+
+      expect(response.body.error).toBe('The class of this student is deleted: restore it first');
+
+      await Class.deleteMany({ _id: classe._id });
+      await Teacher.deleteMany({ _id: teacher._id });
+    });
+
+    it('should list deleted students with includeDeleted=true for admins', async () => {
+      await createDeletedStudent();
+
+      const response = await request(app)
+        .get('/api/students?includeDeleted=true')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.total).toBe(1);
+      expect(response.body.data[0].deletedAt).toBeTruthy();
+    });
+
+    it('should refuse includeDeleted=true to other accounts', async () => {
+      const registerResponse = await request(app)
+        .post('/api/auth/register')
+        .send({
+          username: 'student-test-reader',
+          email: 'student-tests-reader@example.com',
+          password: 'Test123456'
+        });
+
+      const response = await request(app)
+        .get('/api/students?includeDeleted=true')
+        .set('Authorization', `Bearer ${registerResponse.body.data.token}`)
+        .expect(403);
+
+      expect(response.body.error).toBe('Only admins can view deleted records');
+    });
+  });
+
   describe('GET /api/students?groupBy=class', () => {
     let class1Id, class2Id, teacher1Id, teacher2Id;
 
@@ -694,4 +812,81 @@ describe('Student API', () => {
       expect(response.body.details[0].message).toContain('mutually exclusive');
     });
   });
+
+  describe('POST /api/students/import', () => {
+    const header = 'nom;prenom;classe;dateNaissance;sexe;adresse';
+    let teacher;
+
+    beforeAll(async () => {
+      teacher = await Teacher.create({
+        nom: 'Import',
+        prenom: 'Prof',
+        dateNaissance: '1980-01-01',
+        sexe: 'HOMME',
+      });
+      await Class.create({ nom: 'CM1 Import', prof: teacher._id });
+    });
+
+    afterAll(async () => {
+      await Class.deleteMany({ prof: teacher._id });
+      await Teacher.findByIdAndDelete(teacher._id);
+    });
+
+    it('should import every row of a valid file', async () => {
+      const csv = `${header}\nMartin;Élodie;cm1 import;20/03/2015;FEMME;12 rue des Lilas\nDupont;Pierre;CM1 Import;2014-05-15;HOMME;`;
+
+      const response = await request(app)
+        .post('/api/students/import')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Content-Type', 'text/csv')
+        .send(csv)
+        .expect(201);
+
+      expect(response.body.count).toBe(2);
+      expect(await Student.countDocuments()).toBe(2);
+    });
+
+    it('should report row errors in dry-run mode without writing', async () => {
+      const csv = `${header}\nMartin;Élodie;CM1 Import;2015-03-20;FEMME;\nDupont;Pierre;CM9;2014-05-15;X;`;
+
+      const response = await request(app)
+        .post('/api/students/import?dryRun=true')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Content-Type', 'text/csv')
+        .send(csv)
+        .expect(200);
+
+      expect(response.body).toMatchObject({ dryRun: true, total: 2, valid: 1, invalid: 1 });
+      expect(response.body.errors).toEqual([
+        { row: 3, field: 'classe', message: 'Class "CM9" not found' },
+        { row: 3, field: 'sexe', message: 'Gender must be HOMME or FEMME' }
+      ]);
+      expect(await Student.countDocuments()).toBe(0);
+    });
+
+    it('should reject the whole file when a row is invalid', async () => {
+      const csv = `${header}\nMartin;Élodie;CM1 Import;2015-03-20;FEMME;\nDupont;;CM1 Import;2014-05-15;HOMME;`;
+
+      const response = await request(app)
+        .post('/api/students/import')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Content-Type', 'text/csv')
+        .send(csv)
+        .expect(400);
+
+      expect(response.body.details).toEqual([{ row: 3, field: 'prenom', message: 'First name is required' }]);
+      expect(await Student.countDocuments()).toBe(0);
+    });
+
+    it('should return 400 when a column is missing', async () => {
+      const response = await request(app)
+        .post('/api/students/import')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Content-Type', 'text/csv')
+        .send('nom;prenom\nMartin;Élodie')
+        .expect(400);
+
+      expect(response.body.error).toBe('Missing CSV column(s): classe, dateNaissance, sexe');
+    });
+  });
 });
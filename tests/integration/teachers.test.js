@@ -8,6 +8,8 @@ const Grade = require('../../src/models/Grade');
 const Student = require('../../src/models/Student');
 const Subject = require('../../src/models/Subject');
 const Trimester = require('../../src/models/Trimester');
+const TeachingAssignment = require('../../src/models/TeachingAssignment');
+const GradeRevision = require('../../src/models/GradeRevision');
 
 describe('Teacher API', () => {
   let authToken;
@@ -35,12 +37,14 @@ describe('Teacher API', () => {
     // Clean up after tests
     await Teacher.deleteMany({});
     await Class.deleteMany({});
+    await TeachingAssignment.deleteMany({});
     await User.deleteMany({});
   });
 
   beforeEach(async () => {
     await Teacher.deleteMany({});
     await Class.deleteMany({});
+    await TeachingAssignment.deleteMany({});
   });
 
   describe('POST /api/teachers', () => {
@@ -121,31 +125,46 @@ describe('Teacher API', () => {
       expect(response.body.data).toHaveLength(2);
     });
 
-    it('should get teacher by class ID', async () => {
-      // Create a teacher
+    it('should get the teachers assigned to a class with their subjects', async () => {
       const teacher = await Teacher.create({
         nom: 'Dupont',
         prenom: 'Jean',
         dateNaissance: '1980-05-15',
         sexe: 'HOMME',
       });
+      const colleague = await Teacher.create({
+        nom: 'Bernard',
+        prenom: 'Claire',
+        dateNaissance: '1985-03-10',
+        sexe: 'FEMME',
+      });
 
-      // Create a class with this teacher
       const classe = await Class.create({
         nom: 'CM1-A',
         prof: teacher._id,
       });
 
+      const maths = await Subject.create({ nom: 'Mathématiques CM1-A' });
+      const french = await Subject.create({ nom: 'Français CM1-A' });
+      await TeachingAssignment.create([
+        { idprof: teacher._id, idclasse: classe._id, idmatiere: maths._id },
+        { idprof: teacher._id, idclasse: classe._id, idmatiere: french._id },
+        { idprof: colleague._id, idclasse: classe._id, idmatiere: maths._id }
+      ]);
+
       const response = await request(app)
         .get(`/api/teachers?classe=${classe._id}`)
         .set('Authorization', `Bearer ${authToken}`)
         .expect(200);
 
       expect(response.body.success).toBe(true);
-      expect(response.body.count).toBe(1);
-      expect(response.body.data).toHaveLength(1);
-      expect(response.body.data[0]._id.toString()).toBe(teacher._id.toString());
-      expect(response.body.data[0].nom).toBe('Dupont');
+      expect(response.body.count).toBe(2);
+      expect(response.body.data.map(entry => entry.nom)).toEqual(['Bernard', 'Dupont']);
+      expect(response.body.data[1]._id.toString()).toBe(teacher._id.toString());
+      expect(response.body.data[1].matieres.map(subject => subject.nom).sort())
+        .toEqual(['Français CM1-A', 'Mathématiques CM1-A']);
+
+      await Subject.deleteMany({ _id: { $in: [maths._id, french._id] } });
     });
 
     it('should return 404 for non-existent class', async () => {
@@ -254,6 +273,130 @@ describe('Teacher API', () => {
       const deletedTeacher = await Teacher.findById(teacher._id);
       expect(deletedTeacher).toBeNull();
     });
+
+    describe('with classes', () => {
+      let teacher, otherTeacher, classe;
+
+      beforeEach(async () => {
+        teacher = await Teacher.create({ nom: 'Dupont', prenom: 'Jean', dateNaissance: '1980-05-15', sexe: 'HOMME' });
+        otherTeacher = await Teacher.create({ nom: 'Durand', prenom: 'Marie', dateNaissance: '1982-02-10', sexe: 'FEMME' });
+        classe = await Class.create({ nom: 'CM1-A', prof: teacher._id });
+      });
+
+      it('should return 409 with the counts when the teacher is the prof of a class', async () => {
+        const response = await request(app)
+          .delete(`/api/teachers/${teacher._id}`)
+          .set('Authorization', `Bearer ${authToken}`)
+          .expect(409);
+
+        expect(response.body.details).toEqual({ classes: 1 });
+        expect(await Teacher.findById(teacher._id)).not.toBeNull();
+      });
+
+      it('should reassign the classes to another teacher with cascade=reassign', async () => {
+        await request(app)
+          .delete(`/api/teachers/${teacher._id}?cascade=reassign&to=${otherTeacher._id}`)
+          .set('Authorization', `Bearer ${authToken}`)
+          .expect(200);
+
+        const updatedClass = await Class.findById(classe._id);
+        expect(updatedClass.prof.toString()).toBe(otherTeacher._id.toString());
+        expect(await Teacher.findById(teacher._id)).toBeNull();
+      });
+
+      it('should delete the classes with cascade=delete', async () => {
+        await request(app)
+          .delete(`/api/teachers/${teacher._id}?cascade=delete`)
+          .set('Authorization', `Bearer ${authToken}`)
+          .expect(200);
+
+        expect(await Class.findById(classe._id)).toBeNull();
+        expect(await Teacher.findById(teacher._id)).toBeNull();
+      });
+
+      it('should return 400 when cascade=reassign has no target', async () => {
+        await request(app)
+          .delete(`/api/teachers/${teacher._id}?cascade=reassign`)
+          .set('Authorization', `Bearer ${authToken}`)
+          .expect(400);
+      });
+    });
+
+    describe('with teaching assignments', () => {
+      it('should refuse to reassign an assignment the target already has, listing the conflicts', async () => {
+        await Subject.deleteMany({});
+        const teacher = await Teacher.create({ nom: 'Dupont', prenom: 'Jean', dateNaissance: '1980-05-15', sexe: 'HOMME' });
+        const otherTeacher = await Teacher.create({ nom: 'Durand', prenom: 'Marie', dateNaissance: '1982-02-10', sexe: 'FEMME' });
+        const classe = await Class.create({ nom: 'CM1-C', prof: otherTeacher._id });
+        const subject = await Subject.create({ nom: 'Géographie' });
+        const assignment = { idclasse: classe._id, idmatiere: subject._id, anneeScolaire: '2024-2025' };
+        const moved = await TeachingAssignment.create({ ...assignment, idprof: teacher._id });
+        const existing = await TeachingAssignment.create({ ...assignment, idprof: otherTeacher._id });
+
+        const response = await request(app)
+          .delete(`/api/teachers/${teacher._id}?cascade=reassign&to=${otherTeacher._id}`)
+          .set('Authorization', `Bearer ${authToken}`)
+          .expect(409);
+
+        expect(response.body.details).toEqual({
+          teachingAssignments: [{ _id: moved._id.toString(), conflictsWith: existing._id.toString() }]
+        });
+        expect((await TeachingAssignment.findById(moved._id)).idprof.toString()).toBe(teacher._id.toString());
+        expect(await Teacher.findById(teacher._id)).not.toBeNull();
+      });
+    });
+
+    describe('with grades of a locked trimester', () => {
+      let teacher, otherTeacher, grade;
+
+      beforeEach(async () => {
+        await Promise.all([Grade, GradeRevision, Student, Subject, Trimester].map(model => model.deleteMany({})));
+        teacher = await Teacher.create({ nom: 'Dupont', prenom: 'Jean', dateNaissance: '1980-05-15', sexe: 'HOMME' });
+        otherTeacher = await Teacher.create({ nom: 'Durand', prenom: 'Marie', dateNaissance: '1982-02-10', sexe: 'FEMME' });
+        const classe = await Class.create({ nom: 'CM1-B', prof: otherTeacher._id });
+        const subject = await Subject.create({ nom: 'Histoire' });
+        const trimester = await Trimester.create({ nom: 'Trim 1', date: new Date('2024-09-01'), verrouille: true });
+        const student = await Student.create({
+          nom: 'Martin', prenom: 'Sophie', classe: classe._id, dateNaissance: '2015-05-20', sexe: 'FEMME'
+        });
+        grade = await Grade.create({
+          ideleve: student._id,
+          idclasse: classe._id,
+          idmatiere: subject._id,
+          idprof: teacher._id,
+          idtrimestre: trimester._id,
+          note: 15,
+          coefficient: 1
+        });
+      });
+
+      it('should keep the grades without an override reason', async () => {
+        const response = await request(app)
+          .delete(`/api/teachers/${teacher._id}?cascade=delete`)
+          .set('Authorization', `Bearer ${authToken}`)
+          .expect(409);
+
+        expect(response.body.error).toBe(
+          'Records to change belong to the locked trimester Trim 1: only an admin giving an override reason (motifDerogation) can change them'
+        );
+        expect(await Grade.findById(grade._id)).not.toBeNull();
+        expect(await Teacher.findById(teacher._id)).not.toBeNull();
+      });
+
+      it('should reassign the grades with an override reason and keep it in their history', async () => {
+        await request(app)
+          .delete(`/api/teachers/${teacher._id}?cascade=reassign&to=${otherTeacher._id}&motifDerogation=Mutation`)
+          .set('Authorization', `Bearer ${authToken}`)
+          .expect(200);
+
+        const updatedGrade = await Grade.findById(grade._id);
+        expect(updatedGrade.idprof.toString()).toBe(otherTeacher._id.toString());
+        const history = await GradeRevision.find({ idnote: grade._id }).sort({ version: 1 });
+        expect(history.map(revision => revision.version)).toEqual([1, 2]);
+        expect(history[1].motifDerogation).toBe('Mutation');
+        expect(history[1].valeurs.idprof.toString()).toBe(otherTeacher._id.toString());
+      });
+    });
   });
 
   describe('GET /api/grades/teachers/:teacherId/students-grades', () => {
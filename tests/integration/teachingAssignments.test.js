@@ -0,0 +1,132 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const TeachingAssignment = require('../../src/models/TeachingAssignment');
+const Teacher = require('../../src/models/Teacher');
+const Class = require('../../src/models/Class');
+const Subject = require('../../src/models/Subject');
+const User = require('../../src/models/User');
+
+describe('Teaching Assignment API', () => {
+	let classId, subjectId, teacherId;
+	let authToken;
+
+	const assignmentData = (overrides = {}) => ({
+		idprof: teacherId.toString(),
+		idclasse: classId.toString(),
+		idmatiere: subjectId.toString(),
+		anneeScolaire: '2024-2025',
+		...overrides
+	});
+
+	beforeAll(async () => {
+		const registerResponse = await request(app)
+			.post('/api/auth/register')
+			.send({
+				username: 'assignment-test-admin',
+				email: 'assignment-tests@example.com',
+				password: 'Test123456'
+			});
+
+		authToken = registerResponse.body.data.token;
+		await User.findByIdAndUpdate(registerResponse.body.data.user._id, { role: 'admin' });
+
+		const teacher = await Teacher.create({
+			nom: 'Dupont',
+			prenom: 'Jean',
+			dateNaissance: '1980-05-15',
+			adresse: '123 Rue de Paris',
+			sexe: 'HOMME',
+		});
+		teacherId = teacher._id;
+
+		const classe = await Class.create({ nom: 'CM1-AFF', prof: teacherId });
+		classId = classe._id;
+
+		const subject = await Subject.create({ nom: 'Mathématiques AFF' });
+		subjectId = subject._id;
+	});
+
+	beforeEach(async () => {
+		await TeachingAssignment.deleteMany({});
+	});
+
+	afterAll(async () => {
+		await TeachingAssignment.deleteMany({});
+		await Teacher.deleteMany({});
+		await Class.deleteMany({});
+		await Subject.deleteMany({});
+		await User.deleteMany({});
+	});
+
+	describe('POST /api/teaching-assignments', () => {
+		it('should assign a teacher to a subject of a class', async () => {
+			const response = await request(app)
+				.post('/api/teaching-assignments')
+				.set('Authorization', `Bearer ${authToken}`)
+				.send(assignmentData())
+				.expect(201);
+
+			expect(response.body.data.anneeScolaire).toBe('2024-2025');
+			expect(response.body.data.idprof.nom).toBe('Dupont');
+			expect(response.body.data.idmatiere.nom).toBe('Mathématiques AFF');
+		});
+
+		it('should default to the current school year', async () => {
+			const { anneeScolaire, ...withoutYear } = assignmentData();
+
+			const response = await request(app)
+				.post('/api/teaching-assignments')
+				.set('Authorization', `Bearer ${authToken}`)
+				.send(withoutYear)
+				.expect(201);
+
+			expect(response.body.data.anneeScolaire).toMatch(/^\d{4}-\d{4}$/);
+		});
+
+		it('should return 400 for an invalid school year', async () => {
+			await request(app)
+				.post('/api/teaching-assignments')
+				.set('Authorization', `Bearer ${authToken}`)
+				.send(assignmentData({ anneeScolaire: '2024-2026' }))
+				.expect(400);
+		});
+
+		it('should return 409 when the assignment already exists', async () => {
+			await TeachingAssignment.create(assignmentData());
+
+			await request(app)
+				.post('/api/teaching-assignments')
+				.set('Authorization', `Bearer ${authToken}`)
+				.send(assignmentData())
+				.expect(409);
+		});
+	});
+
+	describe('GET /api/teaching-assignments', () => {
+		it('should filter assignments by school year', async () => {
+			await TeachingAssignment.create([assignmentData(), assignmentData({ anneeScolaire: '2025-2026' })]);
+
+			const response = await request(app)
+				.get('/api/teaching-assignments')
+				.query({ class: classId.toString(), year: '2025-2026' })
+				.set('Authorization', `Bearer ${authToken}`)
+				.expect(200);
+
+			expect(response.body.total).toBe(1);
+			expect(response.body.data[0].anneeScolaire).toBe('2025-2026');
+		});
+	});
+
+	describe('DELETE /api/teaching-assignments/:id', () => {
+		it('should delete an assignment', async () => {
+			const assignment = await TeachingAssignment.create(assignmentData());
+
+			await request(app)
+				.delete(`/api/teaching-assignments/${assignment._id}`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.expect(200);
+
+			expect(await TeachingAssignment.countDocuments({})).toBe(0);
+		});
+	});
+});
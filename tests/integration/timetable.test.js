@@ -0,0 +1,214 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const TimetableSlot = require('../../src/models/TimetableSlot');
+const Teacher = require('../../src/models/Teacher');
+const Class = require('../../src/models/Class');
+const Subject = require('../../src/models/Subject');
+const User = require('../../src/models/User');
+
+describe('Timetable API', () => {
+	let classId, class2Id, subjectId, subject2Id;
+	let teacherId, teacher2Id;
+	let authToken;
+
+	const slotData = (overrides = {}) => ({
+		idclasse: classId.toString(),
+		idmatiere: subjectId.toString(),
+		idprof: teacherId.toString(),
+		jour: 'lundi',
+		heureDebut: '08:30',
+		heureFin: '09:25',
+		salle: 'B12',
+		...overrides
+	});
+
+	const addSlot = async (overrides = {}) => {
+		const response = await request(app)
+			.post('/api/timetable')
+			.set('Authorization', `Bearer ${authToken}`)
+			.send(slotData(overrides))
+			.expect(201);
+		return response.body.data;
+	};
+
+	beforeAll(async () => {
+		const registerResponse = await request(app)
+			.post('/api/auth/register')
+			.send({
+				username: 'timetable-test-admin',
+				email: 'timetable-tests@example.com',
+				password: 'Test123456'
+			});
+
+		authToken = registerResponse.body.data.token;
+		await User.findByIdAndUpdate(registerResponse.body.data.user._id, { role: 'admin' });
+
+		const teacher = await Teacher.create({
+			nom: 'Dupont',
+			prenom: 'Jean',
+			dateNaissance: '1980-05-15',
+			adresse: '123 Rue de Paris',
+			sexe: 'HOMME',
+		});
+		teacherId = teacher._id;
+
+		const teacher2 = await Teacher.create({
+			nom: 'Bernard',
+			prenom: 'Claire',
+			dateNaissance: '1985-03-10',
+			adresse: '8 Rue de Lyon',
+			sexe: 'FEMME',
+		});
+		teacher2Id = teacher2._id;
+
+		const classe = await Class.create({ nom: 'CM1-EDT', prof: teacherId });
+		classId = classe._id;
+		const classe2 = await Class.create({ nom: 'CM2-EDT', prof: teacher2Id });
+		class2Id = classe2._id;
+
+		const subject = await Subject.create({ nom: 'Mathématiques EDT' });
+		subjectId = subject._id;
+		const subject2 = await Subject.create({ nom: 'Français EDT' });
+		subject2Id = subject2._id;
+	});
+
+	beforeEach(async () => {
+		await TimetableSlot.deleteMany({});
+	});
+
+	afterAll(async () => {
+		await TimetableSlot.deleteMany({});
+		await Teacher.deleteMany({});
+		await Class.deleteMany({});
+		await Subject.deleteMany({});
+		await User.deleteMany({});
+	});
+
+	describe('POST /api/timetable', () => {
+		it('should add a slot', async () => {
+			const slot = await addSlot();
+
+			expect(slot.jour).toBe('lundi');
+			expect(slot.salle).toBe('B12');
+			expect(slot.idmatiere.nom).toBe('Mathématiques EDT');
+			expect(slot.idprof.nom).toBe('Dupont');
+		});
+
+		it('should return 400 when the end time is before the start time', async () => {
+			await request(app)
+				.post('/api/timetable')
+				.set('Authorization', `Bearer ${authToken}`)
+				.send(slotData({ heureDebut: '10:00', heureFin: '09:00' }))
+				.expect(400);
+		});
+
+		it('should return 409 when the teacher is already booked', async () => {
+			await addSlot();
+
+			const response = await request(app)
+				.post('/api/timetable')
+				.set('Authorization', `Bearer ${authToken}`)
+				.send(slotData({ idclasse: class2Id.toString(), heureDebut: '09:00', heureFin: '10:00', salle: 'A03' }))
+				.expect(409);
+
+			expect(response.body.error).toBe('Timetable conflict: teacher already booked on lundi between 09:00 and 10:00');
+		});
+
+		it('should return 409 when the room is already booked', async () => {
+			await addSlot();
+
+			await request(app)
+				.post('/api/timetable')
+				.set('Authorization', `Bearer ${authToken}`)
+				.send(slotData({ idclasse: class2Id.toString(), idprof: teacher2Id.toString() }))
+				.expect(409);
+		});
+
+		it('should return 409 when the class already has a subject at that time', async () => {
+			await addSlot();
+
+			await request(app)
+				.post('/api/timetable')
+				.set('Authorization', `Bearer ${authToken}`)
+				.send(slotData({ idmatiere: subject2Id.toString(), idprof: teacher2Id.toString(), salle: 'A03' }))
+				.expect(409);
+		});
+
+		it('should accept back-to-back slots', async () => {
+			await addSlot();
+			await addSlot({ heureDebut: '09:25', heureFin: '10:20' });
+
+			expect(await TimetableSlot.countDocuments({})).toBe(2);
+		});
+	});
+
+	describe('PUT /api/timetable/:id', () => {
+		it('should move a slot without conflicting with itself', async () => {
+			const slot = await addSlot();
+
+			const response = await request(app)
+				.put(`/api/timetable/${slot._id}`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.send({ heureFin: '10:20' })
+				.expect(200);
+
+			expect(response.body.data.heureFin).toBe('10:20');
+		});
+
+		it('should return 409 when moved onto a booked slot', async () => {
+			await addSlot();
+			const slot = await addSlot({ jour: 'mardi' });
+
+			await request(app)
+				.put(`/api/timetable/${slot._id}`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.send({ jour: 'lundi' })
+				.expect(409);
+		});
+	});
+
+	describe('Weekly timetables', () => {
+		beforeEach(async () => {
+			await addSlot({ jour: 'mardi', heureDebut: '10:20', heureFin: '11:15' });
+			await addSlot();
+			await addSlot({ jour: 'mardi', heureDebut: '08:30', heureFin: '09:25' });
+			await addSlot({ idclasse: class2Id.toString(), jour: 'jeudi' });
+		});
+
+		it('should return the timetable of a class grouped by day', async () => {
+			const response = await request(app)
+				.get(`/api/classes/${classId}/timetable`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.expect(200);
+
+			const { days } = response.body.data;
+			expect(days.map(day => day.jour)).toEqual(['lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi']);
+			expect(days[1].slots.map(slot => slot.heureDebut)).toEqual(['08:30', '10:20']);
+			expect(days[3].slots).toHaveLength(0);
+		});
+
+		it('should return the timetable of a teacher across classes', async () => {
+			const response = await request(app)
+				.get(`/api/teachers/${teacherId}/timetable`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.expect(200);
+
+			const { teacher, days } = response.body.data;
+			expect(teacher.nom).toBe('Dupont');
+			expect(days[3].slots[0].idclasse.nom).toBe('CM2-EDT');
+		});
+	});
+
+	describe('DELETE /api/timetable/:id', () => {
+		it('should delete a slot', async () => {
+			const slot = await addSlot();
+
+			await request(app)
+				.delete(`/api/timetable/${slot._id}`)
+				.set('Authorization', `Bearer ${authToken}`)
+				.expect(200);
+
+			expect(await TimetableSlot.countDocuments({})).toBe(0);
+		});
+	});
+});
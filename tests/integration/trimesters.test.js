@@ -40,7 +40,8 @@ describe('Trimester API', () => {
     it('should create a new trimester', async () => {
       const trimesterData = {
         nom: 'T1',
-        date: '2024-09-01',
+        dateDebut: '2024-09-02',
+        dateFin: '2024-11-29',
       };
 
       const response = await request(app)
@@ -53,6 +54,17 @@ describe('Trimester API', () => {
       expect(response.body.success).toBe(true);
       expect(response.body.data).toHaveProperty('_id');
       expect(response.body.data.nom).toBe('T1');
+      expect(response.body.data.date).toBe(response.body.data.dateDebut);
+    });
+
+    it('should return 400 without the start and end dates', async () => {
+      const response = await request(app)
+        .post('/api/trimesters')
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ nom: 'T1', date: '2024-09-01' })
+        .expect(400);
+
+      expect(response.body.details.map(detail => detail.field)).toEqual(['dateDebut', 'dateFin']);
     });
 
     it('should return 400 for missing required fields', async () => {
@@ -69,7 +81,8 @@ describe('Trimester API', () => {
     it('should return 400 for invalid date format', async () => {
       const trimesterData = {
         nom: 'T1',
-        date: 'invalid-date',
+        dateDebut: 'invalid-date',
+        dateFin: '2024-11-29',
       };
 
       const response = await request(app)
@@ -84,7 +97,8 @@ describe('Trimester API', () => {
     it('should return 400 for trimester name exceeding max length', async () => {
       const trimesterData = {
         nom: 'This is a very long trimester name',
-        date: '2024-09-01',
+        dateDebut: '2024-09-02',
+        dateFin: '2024-11-29',
       };
 
       const response = await request(app)
@@ -177,7 +191,8 @@ describe('Trimester API', () => {
 
       const updateData = {
         nom: 'T2',
-        date: '2025-01-01',
+        dateDebut: '2024-12-02',
+        dateFin: '2025-03-07',
       };
 
       const response = await request(app)
@@ -190,6 +205,26 @@ describe('Trimester API', () => {
       expect(response.body.data.nom).toBe('T2');
     });
 
+    it('should not lock nor delete the trimester', async () => {
+      const trimester = await Trimester.create({
+        nom: 'T1',
+        date: '2024-09-02',
+        dateDebut: '2024-09-02',
+        dateFin: '2024-11-29',
+      });
+
+      const response = await request(app)
+        .put(`/api/trimesters/${trimester._id}`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ nom: 'T1', dateDebut: '2024-09-02', dateFin: '2024-11-29', verrouille: true, deletedAt: new Date() })
+        .expect(200);
+
+      expect(response.body.data.verrouille).toBe(false);
+      const stored = await Trimester.findById(trimester._id);
+      expect(stored.verrouille).toBe(false);
+      expect(stored.deletedAt).toBeNull();
+    });
+
     it('should return 400 for invalid update data', async () => {
       const trimester = await Trimester.create({
         nom: 'T1',
@@ -238,4 +273,81 @@ describe('Trimester API', () => {
       expect(response.body.success).toBe(false);
     });
   });
+
+  describe('Trimester dates', () => {
+    it('should refuse dates overlapping another trimester', async () => {
+      await Trimester.create({ nom: 'T1', date: '2024-09-02', dateDebut: '2024-09-02', dateFin: '2024-11-29' });
+
+      const response = await request(app)
+        .post('/api/trimesters')
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ nom: 'T2', dateDebut: '2024-11-25', dateFin: '2025-03-07' })
+        .expect(409);
+
+      expect(response.body.error).toBe('Dates overlap trimester T1 (2024-09-02 to 2024-11-29)');
+    });
+
+    it('should accept back-to-back trimesters', async () => {
+      await Trimester.create({ nom: 'T1', date: '2024-09-02', dateDebut: '2024-09-02', dateFin: '2024-11-29' });
+
+      await request(app)
+        .post('/api/trimesters')
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ nom: 'T2', dateDebut: '2024-11-30', dateFin: '2025-03-07' })
+        .expect(201);
+    });
+
+    it('should return 400 when the end date is before the start date', async () => {
+      await request(app)
+        .post('/api/trimesters')
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ nom: 'T1', dateDebut: '2024-11-29', dateFin: '2024-09-02' })
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/trimesters/current', () => {
+    it('should return the trimester covering today', async () => {
+      const today = new Date();
+      const current = await Trimester.create({
+        nom: 'Current',
+        date: today,
+        dateDebut: new Date(today.getTime() - 24 * 3600 * 1000),
+        dateFin: new Date(today.getTime() + 24 * 3600 * 1000)
+      });
+
+      const response = await request(app)
+        .get('/api/trimesters/current')
+        .set("Authorization", `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data._id).toBe(current._id.toString());
+    });
+
+    it('should return 404 when no trimester covers today', async () => {
+      await request(app)
+        .get('/api/trimesters/current')
+        .set("Authorization", `Bearer ${authToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('PUT /api/trimesters/:id/lock', () => {
+    it('should lock and unlock a trimester', async () => {
+      const trimester = await Trimester.create({ nom: 'T1', date: '2024-09-01' });
+
+      const locked = await request(app)
+        .put(`/api/trimesters/${trimester._id}/lock`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .expect(200);
+      expect(locked.body.data.verrouille).toBe(true);
+      expect(locked.body.data.verrouillePar).toBe(userId);
+
+      const unlocked = await request(app)
+        .put(`/api/trimesters/${trimester._id}/unlock`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .expect(200);
+      expect(unlocked.body.data.verrouille).toBe(false);
+    });
+  });
 });
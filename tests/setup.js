@@ -6,10 +6,14 @@ const mongoose = require('mongoose');
 // Set test environment
 process.env.NODE_ENV = 'test';
 
+// Test suites log in, register and reset passwords far more often than the limiters allow
+process.env.AUTH_RATE_LIMIT_MAX_REQUESTS = process.env.AUTH_RATE_LIMIT_MAX_REQUESTS || '1000';
+process.env.PASSWORD_RESET_RATE_LIMIT_MAX_REQUESTS = process.env.PASSWORD_RESET_RATE_LIMIT_MAX_REQUESTS || '1000';
+
 // Setup before all tests
 beforeAll(async () => {
     // Use test database
-    const MONGO_URI = process.env.MONGO_URI_TEST || 'mongodb://localhost:27017/digischool-test';
+    const MONGO_URI = process.env.MONGO_URI_TEST || 'mongodb://localhost:27017/digischool-test?directConnection=true';
 
     // Connect to test database if not already connected
     if (mongoose.connection.readyState === 0) {
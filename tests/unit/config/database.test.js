@@ -0,0 +1,49 @@
+/**
+ * Unit Tests for the database connection
+ * Tests the index synchronisation run at startup
+ */
+
+const mongoose = require('mongoose');
+const connectDB = require('../../../src/config/database');
+const Appreciation = require('../../../src/models/Appreciation');
+const Attendance = require('../../../src/models/Attendance');
+const Class = require('../../../src/models/Class');
+const CouncilComment = require('../../../src/models/CouncilComment');
+const Subject = require('../../../src/models/Subject');
+const TeachingAssignment = require('../../../src/models/TeachingAssignment');
+
+jest.mock('../../../src/models/Appreciation');
+jest.mock('../../../src/models/Attendance');
+jest.mock('../../../src/models/Class');
+jest.mock('../../../src/models/CouncilComment');
+jest.mock('../../../src/models/Subject');
+jest.mock('../../../src/models/TeachingAssignment');
+
+// Models with a unique index limited to the records that are not deleted
+const MODELS = [Class, Subject, TeachingAssignment, Appreciation, CouncilComment, Attendance];
+
+describe('connectDB', () => {
+  beforeEach(() => {
+    jest.spyOn(mongoose, 'connect').mockResolvedValue({ connection: { host: 'localhost' } });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(process, 'exit').mockImplementation(() => {});
+    MODELS.forEach(model => model.syncIndexes.mockResolvedValue([]));
+  });
+
+  it('should sync the unique indexes of the soft-deleted models once connected', async () => {
+    await connectDB();
+
+    MODELS.forEach(model => expect(model.syncIndexes).toHaveBeenCalled());
+    expect(process.exit).not.toHaveBeenCalled();
+  });
+
+  it('should stop like a failed connection when the indexes cannot be synced', async () => {
+    Class.syncIndexes.mockRejectedValue(new Error('E11000 duplicate key error'));
+
+    await connectDB();
+
+    expect(console.error).toHaveBeenCalledWith('Error: E11000 duplicate key error');
+    expect(process.exit).toHaveBeenCalledWith(1);
+  });
+});
@@ -0,0 +1,29 @@
+/**
+ * Unit Tests for grade status averaging rules
+ * Pure functions - no mocks required
+ */
+
+const { parseGradeStatusRules } = require('../../../src/config/gradeStatusRules');
+const { DEFAULT_GRADE_STATUS_RULES } = require('../../../src/utils/constants');
+
+describe('parseGradeStatusRules', () => {
+  it('should return the default rules when nothing is configured', () => {
+    expect(parseGradeStatusRules()).toEqual(DEFAULT_GRADE_STATUS_RULES);
+    expect(parseGradeStatusRules('')).toEqual(DEFAULT_GRADE_STATUS_RULES);
+  });
+
+  it('should override the listed statuses only', () => {
+    expect(parseGradeStatusRules(' absent_unjustified : exclude, exempt:zero ')).toEqual({
+      ...DEFAULT_GRADE_STATUS_RULES,
+      absent_unjustified: 'exclude',
+      exempt: 'zero'
+    });
+  });
+
+  it('should reject unknown statuses and rules', () => {
+    expect(() => parseGradeStatusRules('present:zero'))
+      .toThrow('GRADE_STATUS_RULES: unknown status "present"');
+    expect(() => parseGradeStatusRules('exempt:half'))
+      .toThrow('GRADE_STATUS_RULES: rule for "exempt" must be one of exclude, zero');
+  });
+});
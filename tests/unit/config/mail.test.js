@@ -0,0 +1,90 @@
+/**
+ * Unit Tests for mail transports
+ * The file transport writes to a temporary file, nodemailer is mocked for the smtp transport
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { createMailTransport } = require('../../../src/config/mail');
+
+jest.mock('nodemailer');
+
+describe('createMailTransport', () => {
+  const message = { from: 'no-reply@example.com', to: 'john@example.com', subject: 'Hello', text: 'Body' };
+  const { NODE_ENV } = process.env;
+
+  afterEach(() => {
+    delete process.env.MAIL_FILE;
+    ['SMTP_HOST', 'SMTP_PORT', 'SMTP_SECURE', 'SMTP_USER', 'SMTP_PASS'].forEach(name => delete process.env[name]);
+    process.env.NODE_ENV = NODE_ENV;
+  });
+
+  it('should print mails with the console transport', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await createMailTransport('console').send(message);
+
+    expect(log).toHaveBeenCalledWith(expect.stringContaining('To: john@example.com'));
+  });
+
+  it('should append mails as JSON lines with the file transport', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-'));
+    process.env.MAIL_FILE = path.join(dir, 'mail.log');
+    const transport = createMailTransport('file');
+
+    await transport.send(message);
+    await transport.send({ ...message, subject: 'Again' });
+
+    const lines = fs.readFileSync(process.env.MAIL_FILE, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toMatchObject(message);
+    expect(lines[1].subject).toBe('Again');
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it('should send mails through the SMTP server of the environment', async () => {
+    const sendMail = jest.fn().mockResolvedValue({});
+    nodemailer.createTransport.mockReturnValue({ sendMail });
+    Object.assign(process.env, { SMTP_HOST: 'smtp.example.com', SMTP_PORT: '465', SMTP_SECURE: 'true', SMTP_USER: 'digischool', SMTP_PASS: 'secret' });
+
+    await createMailTransport('smtp').send(message);
+
+    expect(nodemailer.createTransport).toHaveBeenCalledWith({
+      host: 'smtp.example.com',
+      port: 465,
+      secure: true,
+      auth: { user: 'digischool', pass: 'secret' }
+    });
+    expect(sendMail).toHaveBeenCalledWith(message);
+  });
+
+  it('should default to port 587 without authentication', () => {
+    process.env.SMTP_HOST = 'localhost';
+
+    createMailTransport('smtp');
+
+    expect(nodemailer.createTransport).toHaveBeenCalledWith({ host: 'localhost', port: 587, secure: false, auth: undefined });
+  });
+
+  it('should require SMTP_HOST with the smtp transport', () => {
+    expect(() => createMailTransport('smtp')).toThrow('MAIL_TRANSPORT: the smtp transport needs SMTP_HOST');
+  });
+
+  it('should only allow the smtp transport in production', () => {
+    process.env.NODE_ENV = 'production';
+    process.env.SMTP_HOST = 'smtp.example.com';
+    nodemailer.createTransport.mockReturnValue({ sendMail: jest.fn() });
+
+    expect(() => createMailTransport())
+      .toThrow('MAIL_TRANSPORT: the console transport is not allowed in production, use smtp');
+    expect(() => createMailTransport('file')).toThrow('the file transport is not allowed in production');
+    expect(() => createMailTransport('smtp')).not.toThrow();
+  });
+
+  it('should reject unknown transports', () => {
+    expect(() => createMailTransport('sendmail'))
+      .toThrow('MAIL_TRANSPORT: unknown transport "sendmail" (use console, file, smtp)');
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Unit Tests for AcademicYearController
+ * Tests HTTP request/response handling with mocked service layer
+ */
+
+const academicYearController = require('../../../src/controllers/academicYearController');
+const academicYearService = require('../../../src/services/academicYearService');
+const { createMockExpressContext } = require('../helpers/testUtils');
+const { academicYears, mockIds } = require('../mocks/fixtures');
+
+// Mock the service layer
+jest.mock('../../../src/services/academicYearService');
+
+describe('AcademicYearController', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    ({ req, res, next } = createMockExpressContext());
+    jest.clearAllMocks();
+  });
+
+  describe('getAll', () => {
+    it('should return 200 with all academic years', async () => {
+      // Arrange
+      academicYearService.getAllYears.mockResolvedValue([academicYears.valid, academicYears.archived]);
+
+      // Act
+      await academicYearController.getAll(req, res, next);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        count: 2,
+        data: [academicYears.valid, academicYears.archived]
+      });
+    });
+
+    it('should call next on service error', async () => {
+      // Arrange
+      const error = new Error('Database error');
+      academicYearService.getAllYears.mockRejectedValue(error);
+
+      // Act
+      await academicYearController.getAll(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('getById', () => {
+    it('should return 200 with the academic year', async () => {
+      // Arrange
+      req.params.id = mockIds.academicYear1;
+      academicYearService.getYearById.mockResolvedValue(academicYears.valid);
+
+      // Act
+      await academicYearController.getById(req, res, next);
+
+      // Assert
+      expect(academicYearService.getYearById).toHaveBeenCalledWith(mockIds.academicYear1);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ success: true, data: academicYears.valid });
+    });
+
+    it('should pass a 404 to next', async () => {
+      // Arrange
+      const error = new Error('Academic year not found');
+      error.statusCode = 404;
+      academicYearService.getYearById.mockRejectedValue(error);
+
+      // Act
+      await academicYearController.getById(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('create', () => {
+    it('should return 201 with the created academic year', async () => {
+      // Arrange
+      req.body = { nom: '2024-2025' };
+      academicYearService.createYear.mockResolvedValue(academicYears.valid);
+
+      // Act
+      await academicYearController.create(req, res, next);
+
+      // Assert
+      expect(academicYearService.createYear).toHaveBeenCalledWith(req.body);
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith({ success: true, data: academicYears.valid });
+    });
+
+    it('should pass a 409 to next', async () => {
+      // Arrange
+      const error = new Error('Academic year 2024-2025 already exists');
+      error.statusCode = 409;
+      academicYearService.createYear.mockRejectedValue(error);
+
+      // Act
+      await academicYearController.create(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('update', () => {
+    it('should return 200 with the updated academic year', async () => {
+      // Arrange
+      req.params.id = mockIds.academicYear1;
+      req.body = { nom: '2025-2026' };
+      const updated = { ...academicYears.valid, nom: '2025-2026' };
+      academicYearService.updateYear.mockResolvedValue(updated);
+
+      // Act
+      await academicYearController.update(req, res, next);
+
+      // Assert
+      expect(academicYearService.updateYear).toHaveBeenCalledWith(mockIds.academicYear1, req.body);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ success: true, data: updated });
+    });
+  });
+
+  describe('delete', () => {
+    it('should return 200 with a success message', async () => {
+      // Arrange
+      req.params.id = mockIds.academicYear1;
+      academicYearService.deleteYear.mockResolvedValue(academicYears.valid);
+
+      // Act
+      await academicYearController.delete(req, res, next);
+
+      // Assert
+      expect(academicYearService.deleteYear).toHaveBeenCalledWith(mockIds.academicYear1);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ success: true, message: 'Academic year deleted successfully' });
+    });
+  });
+
+  describe('rollover', () => {
+    it('should return 201 with the rollover summary', async () => {
+      // Arrange
+      req.params.id = mockIds.academicYear1;
+      req.body = { classes: [{ nom: 'CM2-A', from: mockIds.class1 }] };
+      const summary = { year: academicYears.valid, archived: academicYears.archived, classes: [], promoted: 24, unassigned: 0 };
+      academicYearService.rollover.mockResolvedValue(summary);
+
+      // Act
+      await academicYearController.rollover(req, res, next);
+
+      // Assert
+      expect(academicYearService.rollover).toHaveBeenCalledWith(mockIds.academicYear1, req.body);
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith({ success: true, data: summary });
+    });
+
+    it('should pass an invalid mapping to next', async () => {
+      // Arrange
+      const error = new Error('Class CE2-A is not created by the rollover');
+      error.statusCode = 400;
+      academicYearService.rollover.mockRejectedValue(error);
+
+      // Act
+      await academicYearController.rollover(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+  });
+});
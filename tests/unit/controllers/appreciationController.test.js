@@ -0,0 +1,190 @@
+/**
+ * Unit Tests for AppreciationController
+ * Tests HTTP request/response handling with mocked service layer
+ */
+
+const appreciationController = require('../../../src/controllers/appreciationController');
+const appreciationService = require('../../../src/services/appreciationService');
+const { createMockExpressContext } = require('../helpers/testUtils');
+const { mockIds } = require('../mocks/fixtures');
+
+// Mock the service layer
+jest.mock('../../../src/services/appreciationService');
+
+describe('AppreciationController', () => {
+  let req, res, next;
+  const appreciationId = '507f1f77bcf86cd799439099';
+
+  beforeEach(() => {
+    ({ req, res, next } = createMockExpressContext());
+    jest.clearAllMocks();
+  });
+
+  describe('getAll', () => {
+    it('should return 200 with filtered appreciations', async () => {
+      // Arrange
+      req.query = { student: mockIds.student1, trimester: mockIds.trimester1 };
+      const appreciations = [{ _id: appreciationId, texte: 'Bon trimestre' }];
+      appreciationService.getAllAppreciations.mockResolvedValue(appreciations);
+
+      // Act
+      await appreciationController.getAll(req, res, next);
+
+      // Assert
+      expect(appreciationService.getAllAppreciations).toHaveBeenCalledWith({
+        student: mockIds.student1,
+        subject: undefined,
+        trimester: mockIds.trimester1,
+        teacher: undefined
+      }, req.user);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        count: 1,
+        data: appreciations
+      });
+    });
+
+    it('should call next with error on service failure', async () => {
+      // Arrange
+      const error = new Error('Database error');
+      appreciationService.getAllAppreciations.mockRejectedValue(error);
+
+      // Act
+      await appreciationController.getAll(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getById', () => {
+    it('should return 200 with the appreciation', async () => {
+      // Arrange
+      req.params.id = appreciationId;
+      const appreciation = { _id: appreciationId };
+      appreciationService.getAppreciationById.mockResolvedValue(appreciation);
+
+      // Act
+      await appreciationController.getById(req, res, next);
+
+      // Assert
+      expect(appreciationService.getAppreciationById).toHaveBeenCalledWith(appreciationId, req.user);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ success: true, data: appreciation });
+    });
+
+    it('should call next with 404 error when not found', async () => {
+      // Arrange
+      req.params.id = appreciationId;
+      const error = new Error('Appreciation not found');
+      error.statusCode = 404;
+      appreciationService.getAppreciationById.mockRejectedValue(error);
+
+      // Act
+      await appreciationController.getById(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('create', () => {
+    it('should return 201 with created appreciation', async () => {
+      // Arrange
+      req.body = {
+        ideleve: mockIds.student1,
+        idmatiere: mockIds.subject1,
+        idtrimestre: mockIds.trimester1,
+        idprof: mockIds.teacher1,
+        texte: 'Bon trimestre'
+      };
+      const created = { _id: appreciationId, ...req.body };
+      appreciationService.createAppreciation.mockResolvedValue(created);
+
+      // Act
+      await appreciationController.create(req, res, next);
+
+      // Assert
+      expect(appreciationService.createAppreciation).toHaveBeenCalledWith(req.body, req.user);
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith({ success: true, data: created });
+    });
+
+    it('should call next with 403 error when teacher does not teach the subject', async () => {
+      // Arrange
+      const error = new Error('Teacher does not teach this subject in the student\'s class');
+      error.statusCode = 403;
+      appreciationService.createAppreciation.mockRejectedValue(error);
+
+      // Act
+      await appreciationController.create(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('update', () => {
+    it('should return 200 with updated appreciation', async () => {
+      // Arrange
+      req.params.id = appreciationId;
+      req.body = { texte: 'Nouveau texte' };
+      const updated = { _id: appreciationId, texte: 'Nouveau texte' };
+      appreciationService.updateAppreciation.mockResolvedValue(updated);
+
+      // Act
+      await appreciationController.update(req, res, next);
+
+      // Assert
+      expect(appreciationService.updateAppreciation).toHaveBeenCalledWith(appreciationId, req.body, req.user);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ success: true, data: updated });
+    });
+
+    it('should call next with error when not found', async () => {
+      // Arrange
+      const error = new Error('Appreciation not found');
+      appreciationService.updateAppreciation.mockRejectedValue(error);
+
+      // Act
+      await appreciationController.update(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('delete', () => {
+    it('should return 200 with success message', async () => {
+      // Arrange
+      req.params.id = appreciationId;
+      appreciationService.deleteAppreciation.mockResolvedValue({ _id: appreciationId });
+
+      // Act
+      await appreciationController.delete(req, res, next);
+
+      // Assert
+      expect(appreciationService.deleteAppreciation).toHaveBeenCalledWith(appreciationId, req.user);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Appreciation deleted successfully'
+      });
+    });
+
+    it('should call next with error when not found', async () => {
+      // Arrange
+      const error = new Error('Appreciation not found');
+      appreciationService.deleteAppreciation.mockRejectedValue(error);
+
+      // Act
+      await appreciationController.delete(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+});
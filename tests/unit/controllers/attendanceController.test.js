@@ -0,0 +1,177 @@
+/**
+ * Unit Tests for AttendanceController
+ * Tests HTTP request/response handling with mocked service layer
+ */
+
+const attendanceController = require('../../../src/controllers/attendanceController');
+const attendanceService = require('../../../src/services/attendanceService');
+const { createMockExpressContext } = require('../helpers/testUtils');
+const { attendances, mockIds } = require('../mocks/fixtures');
+
+// Mock the service layer
+jest.mock('../../../src/services/attendanceService');
+
+describe('AttendanceController', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    ({ req, res, next } = createMockExpressContext());
+    jest.clearAllMocks();
+  });
+
+  describe('getAll', () => {
+    it('should return 200 with a page of attendance records', async () => {
+      // Arrange
+      req.query = { student: mockIds.student1, justified: 'false', page: '1', limit: '20' };
+      attendanceService.getAllAttendance.mockResolvedValue({
+        data: [attendances.valid], total: 1, page: 1, limit: 20, totalPages: 1
+      });
+
+      // Act
+      await attendanceController.getAll(req, res, next);
+
+      // Assert
+      expect(attendanceService.getAllAttendance).toHaveBeenCalledWith(
+        {
+          student: mockIds.student1,
+          class: undefined,
+          trimester: undefined,
+          type: undefined,
+          justified: 'false',
+          from: undefined,
+          to: undefined
+        },
+        expect.objectContaining({ page: 1, limit: 20 }),
+        req.user
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        count: 1,
+        total: 1,
+        page: 1,
+        limit: 20,
+        totalPages: 1,
+        data: [attendances.valid]
+      });
+    });
+
+    it('should call next on service error', async () => {
+      // Arrange
+      const error = new Error('Database error');
+      attendanceService.getAllAttendance.mockRejectedValue(error);
+
+      // Act
+      await attendanceController.getAll(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('getById', () => {
+    it('should return 200 with the record', async () => {
+      // Arrange
+      req.params.id = mockIds.attendance1;
+      attendanceService.getAttendanceById.mockResolvedValue(attendances.valid);
+
+      // Act
+      await attendanceController.getById(req, res, next);
+
+      // Assert
+      expect(attendanceService.getAttendanceById).toHaveBeenCalledWith(mockIds.attendance1, req.user);
+      expect(res.json).toHaveBeenCalledWith({ success: true, data: attendances.valid });
+    });
+  });
+
+  describe('create', () => {
+    it('should return 201 with created record', async () => {
+      // Arrange
+      req.body = attendances.validInput;
+      attendanceService.createAttendance.mockResolvedValue(attendances.valid);
+
+      // Act
+      await attendanceController.create(req, res, next);
+
+      // Assert
+      expect(attendanceService.createAttendance).toHaveBeenCalledWith(attendances.validInput, req.user);
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith({ success: true, data: attendances.valid });
+    });
+
+    it('should call next when the time slot is already recorded', async () => {
+      // Arrange
+      const error = new Error('An attendance record already exists for this student and time slot');
+      error.statusCode = 409;
+      attendanceService.createAttendance.mockRejectedValue(error);
+
+      // Act
+      await attendanceController.create(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('update', () => {
+    it('should return 200 with updated record', async () => {
+      // Arrange
+      req.params.id = mockIds.attendance1;
+      req.body = { type: 'absence' };
+      attendanceService.updateAttendance.mockResolvedValue({ ...attendances.valid, type: 'absence' });
+
+      // Act
+      await attendanceController.update(req, res, next);
+
+      // Assert
+      expect(attendanceService.updateAttendance).toHaveBeenCalledWith(mockIds.attendance1, req.body, req.user);
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe('justify', () => {
+    it('should return 200 with the justified record', async () => {
+      // Arrange
+      req.params.id = mockIds.attendance1;
+      req.body = { motif: 'Rendez-vous médical', justificatif: true, valide: true };
+      attendanceService.justifyAttendance.mockResolvedValue({ ...attendances.valid, justifiee: true });
+
+      // Act
+      await attendanceController.justify(req, res, next);
+
+      // Assert
+      expect(attendanceService.justifyAttendance).toHaveBeenCalledWith(mockIds.attendance1, req.body, req.user);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ success: true, data: { ...attendances.valid, justifiee: true } });
+    });
+  });
+
+  describe('delete', () => {
+    it('should return 200 with success message', async () => {
+      // Arrange
+      req.params.id = mockIds.attendance1;
+      attendanceService.deleteAttendance.mockResolvedValue(attendances.valid);
+
+      // Act
+      await attendanceController.delete(req, res, next);
+
+      // Assert
+      expect(attendanceService.deleteAttendance).toHaveBeenCalledWith(mockIds.attendance1, req.user);
+      expect(res.json).toHaveBeenCalledWith({ success: true, message: 'Attendance record deleted successfully' });
+    });
+
+    it('should call next when record not found', async () => {
+      // Arrange
+      const error = new Error('Attendance record not found');
+      error.statusCode = 404;
+      attendanceService.deleteAttendance.mockRejectedValue(error);
+
+      // Act
+      await attendanceController.delete(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Unit Tests for AuditController
+ * Tests HTTP request/response handling with mocked service layer
+ */
+
+const auditController = require('../../../src/controllers/auditController');
+const auditService = require('../../../src/services/auditService');
+const { createMockExpressContext } = require('../helpers/testUtils');
+const { mockIds } = require('../mocks/fixtures');
+
+// Mock the service layer
+jest.mock('../../../src/services/auditService');
+
+describe('AuditController', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    ({ req, res, next } = createMockExpressContext());
+    jest.clearAllMocks();
+  });
+
+  describe('getAll', () => {
+    it('should pass the filters and return a page of audit log entries', async () => {
+      // Arrange
+      const entry = { action: 'update', entity: 'Grade', entityId: mockIds.grade1 };
+      req.query = { entity: 'Grade', actor: mockIds.user1, from: '2024-10-01', to: '2024-10-14', page: '2' };
+      auditService.getAuditLogs.mockResolvedValue({ data: [entry], total: 51, page: 2, limit: 50, totalPages: 2 });
+
+      // Act
+      await auditController.getAll(req, res, next);
+
+      // Assert
+      expect(auditService.getAuditLogs).toHaveBeenCalledWith(
+        { entity: 'Grade', entityId: undefined, action: undefined, actor: mockIds.user1, from: '2024-10-01', to: '2024-10-14' },
+        expect.objectContaining({ page: 2 })
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        count: 1,
+        total: 51,
+        page: 2,
+        limit: 50,
+        totalPages: 2,
+        data: [entry]
+      });
+    });
+
+    it('should call next on service error', async () => {
+      // Arrange
+      const error = new Error('Database error');
+      auditService.getAuditLogs.mockRejectedValue(error);
+
+      // Act
+      await auditController.getAll(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -5,16 +5,22 @@
  */
 
 const authController = require('../../../src/controllers/authController');
+const auditService = require('../../../src/services/auditService');
 const authService = require('../../../src/services/authService');
+const loginAttemptService = require('../../../src/services/loginAttemptService');
 const { createMockExpressContext } = require('../helpers/testUtils');
 const { users, mockIds, edgeCases } = require('../mocks/fixtures');
+const { createQueryMock } = require('../mocks/modelMocks');
 
 // Mock the service layer
 jest.mock('../../../src/services/authService');
+jest.mock('../../../src/services/auditService');
+jest.mock('../../../src/services/loginAttemptService');
 
 // Mock User model for admin operations
 jest.mock('../../../src/models/User', () => ({
   find: jest.fn(),
+  countDocuments: jest.fn(),
   findById: jest.fn(),
   findByIdAndUpdate: jest.fn()
 }));
@@ -287,24 +293,75 @@ describe('AuthController', () => {
     });
   });
 
+  describe('refresh', () => {
+    it('should return 200 with the new tokens', async () => {
+      // Arrange
+      req.body = { refreshToken: 'refresh-token' };
+      const data = { token: 'access.token', refreshToken: 'next-refresh-token' };
+      authService.refresh.mockResolvedValue({ success: true, data });
+
+      // Act
+      await authController.refresh(req, res, next);
+
+      // Assert
+      expect(authService.refresh).toHaveBeenCalledWith('refresh-token');
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ success: true, message: 'Token refreshed', data });
+    });
+
+    it('should call next when the refresh token is rejected', async () => {
+      // Arrange
+      req.body = { refreshToken: 'used-token' };
+      const error = Object.assign(new Error('Invalid or expired refresh token'), { statusCode: 401 });
+      authService.refresh.mockRejectedValue(error);
+
+      // Act
+      await authController.refresh(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
   describe('logout', () => {
-    it('should return 200 with logout message', async () => {
+    beforeEach(() => {
+      req.user = { _id: mockIds.user1 };
+      req.decoded = { userId: mockIds.user1, sid: mockIds.user2 };
+    });
+
+    it('should revoke the session of the access token', async () => {
+      // Arrange
+      authService.logout.mockResolvedValue({ success: true, data: { revokedSessions: 1 } });
+
       // Act
       await authController.logout(req, res, next);
 
       // Assert
+      expect(authService.logout).toHaveBeenCalledWith(mockIds.user1, mockIds.user2, { all: false });
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
-        message: 'Logout successful. Please remove the token from client storage.'
+        message: 'Logout successful',
+        data: { revokedSessions: 1 }
       });
     });
 
+    it('should revoke every session with all', async () => {
+      // Arrange
+      req.body = { all: true };
+      authService.logout.mockResolvedValue({ success: true, data: { revokedSessions: 3 } });
+
+      // Act
+      await authController.logout(req, res, next);
+
+      // Assert
+      expect(authService.logout).toHaveBeenCalledWith(mockIds.user1, mockIds.user2, { all: true });
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Logged out from all sessions' }));
+    });
+
     it('should call next with error on failure', async () => {
       // Arrange
-      res.status = jest.fn(() => {
-        throw new Error('Unexpected error');
-      });
+      authService.logout.mockRejectedValue(new Error('DB error'));
 
       // Act
       await authController.logout(req, res, next);
@@ -312,68 +369,143 @@ describe('AuthController', () => {
       // Assert
       expect(next).toHaveBeenCalled();
     });
+  });
 
-    it('should handle logout when user is not authenticated', async () => {
+  describe('changePassword', () => {
+    it('should change the password and keep the current session', async () => {
       // Arrange
-      req.user = null; // No authenticated user
+      req.user = { _id: mockIds.user1 };
+      req.decoded = { userId: mockIds.user1, sid: mockIds.user2 };
+      req.body = { currentPassword: 'OldPassword1', newPassword: 'NewPassword1' };
+      authService.changePassword.mockResolvedValue({ success: true, data: { revokedSessions: 2 } });
 
       // Act
-      await authController.logout(req, res, next);
+      await authController.changePassword(req, res, next);
 
-      // Assert - Should still succeed (stateless logout)
+      // Assert
+      expect(authService.changePassword).toHaveBeenCalledWith(mockIds.user1, 'OldPassword1', 'NewPassword1', mockIds.user2);
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
-        message: 'Logout successful. Please remove the token from client storage.'
+        message: 'Password updated successfully',
+        data: { revokedSessions: 2 }
       });
     });
 
-    it('should handle multiple logout attempts', async () => {
-      // Arrange - Simulate already logged out user
-      req.user = { _id: mockIds.user1, isActive: false };
+    it('should call next when the current password is wrong', async () => {
+      // Arrange
+      req.user = { _id: mockIds.user1 };
+      req.decoded = { sid: mockIds.user2 };
+      const error = Object.assign(new Error('Current password is incorrect'), { statusCode: 400 });
+      authService.changePassword.mockRejectedValue(error);
 
       // Act
-      await authController.logout(req, res, next);
+      await authController.changePassword(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('forgotPassword', () => {
+    it('should return the same answer whether the account exists or not', async () => {
+      // Arrange
+      req.body = { email: 'john@example.com' };
+      authService.forgotPassword.mockResolvedValue({ success: true });
+
+      // Act
+      await authController.forgotPassword(req, res, next);
 
-      // Assert - Should handle gracefully
+      // Assert
+      expect(authService.forgotPassword).toHaveBeenCalledWith('john@example.com');
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
-        message: 'Logout successful. Please remove the token from client storage.'
+        message: 'If an account exists for this email, a password reset mail has been sent'
       });
     });
   });
 
+  describe('resetPassword', () => {
+    it('should reset the password with the token', async () => {
+      // Arrange
+      req.body = { token: 'reset-token', password: 'NewPassword1' };
+      authService.resetPassword.mockResolvedValue({ success: true });
+
+      // Act
+      await authController.resetPassword(req, res, next);
+
+      // Assert
+      expect(authService.resetPassword).toHaveBeenCalledWith('reset-token', 'NewPassword1');
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should call next for an invalid token', async () => {
+      // Arrange
+      req.body = { token: 'used-token', password: 'NewPassword1' };
+      const error = Object.assign(new Error('Invalid or expired reset token'), { statusCode: 400 });
+      authService.resetPassword.mockRejectedValue(error);
+
+      // Act
+      await authController.resetPassword(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
   describe('getAllUsers', () => {
-    it('should return 200 with all users', async () => {
+    it('should return 200 with all users when no page is requested', async () => {
       // Arrange
       const mockUsers = [
         { ...users.valid, password: undefined },
         { _id: mockIds.user1, username: 'test2', email: 'test2@test.com', role: 'student' }
       ];
-      const mockQuery = {
-        select: jest.fn().mockReturnThis(),
-        sort: jest.fn().mockResolvedValue(mockUsers)
-      };
+      const mockQuery = createQueryMock(mockUsers);
       User.find.mockReturnValue(mockQuery);
+      User.countDocuments.mockResolvedValue(2);
 
       // Act
       await authController.getAllUsers(req, res, next);
 
       // Assert
       expect(User.find).toHaveBeenCalledWith({});
-      expect(mockQuery.select).toHaveBeenCalledWith('-password');
-      expect(mockQuery.sort).toHaveBeenCalledWith({ createdAt: -1 });
+      expect(mockQuery.select).not.toHaveBeenCalled();
+      expect(mockQuery.sort).toHaveBeenCalledWith({ createdAt: -1, _id: 1 });
+      expect(mockQuery.skip).not.toHaveBeenCalled();
+      expect(mockQuery.limit).not.toHaveBeenCalled();
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
         count: mockUsers.length,
+        total: 2,
+        page: 1,
+        limit: null,
+        totalPages: 1,
         data: {
           users: mockUsers
         }
       });
     });
 
+    it('should apply page, limit, sort and fields query params', async () => {
+      // Arrange
+      req.query = { page: '2', limit: '1', sort: 'role,username', fields: 'username,role' };
+      const mockQuery = createQueryMock([]);
+      User.find.mockReturnValue(mockQuery);
+      User.countDocuments.mockResolvedValue(2);
+
+      // Act
+      await authController.getAllUsers(req, res, next);
+
+      // Assert
+      expect(mockQuery.select).toHaveBeenCalledWith('username role');
+      expect(mockQuery.sort).toHaveBeenCalledWith('role username _id');
+      expect(mockQuery.skip).toHaveBeenCalledWith(1);
+      expect(mockQuery.limit).toHaveBeenCalledWith(1);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ total: 2, page: 2, totalPages: 2 }));
+    });
+
     it('should call next with error on failure', async () => {
       // Arrange
       const error = new Error('Database error');
@@ -432,6 +564,12 @@ describe('AuthController', () => {
         }
       );
       expect(mockQuery.select).toHaveBeenCalledWith('-password');
+      expect(auditService.record).toHaveBeenCalledWith({
+        action: 'update',
+        entity: 'User',
+        before: targetUser,
+        after: updatedUser
+      });
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
@@ -509,6 +647,169 @@ describe('AuthController', () => {
       // Act
       await authController.updateUserRole(req, res, next);
 
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+    });
+    it('should drop a linked profile that no longer matches the new role', async () => {
+      // Arrange
+      req.params.userId = mockIds.user1;
+      req.body.role = 'admin';
+      req.user = { _id: mockIds.teacher1, username: 'admin', role: 'admin' };
+      const targetUser = { _id: mockIds.user1, username: 'prof1', role: 'teacher', teacher: mockIds.teacher1 };
+      const updatedUser = {
+        _id: mockIds.user1,
+        role: 'admin',
+        toSafeObject: jest.fn().mockReturnValue({ _id: mockIds.user1, role: 'admin' })
+      };
+      User.findById.mockResolvedValue(targetUser);
+      User.findByIdAndUpdate.mockReturnValue({ select: jest.fn().mockResolvedValue(updatedUser) });
+
+      // Act
+      await authController.updateUserRole(req, res, next);
+
+      // Assert
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+        mockIds.user1,
+        { role: 'admin', $unset: { teacher: 1 } },
+        { new: true, runValidators: true }
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe('getMe', () => {
+    it('should return 200 with the user and linked profile', async () => {
+      // Arrange
+      req.user = { _id: mockIds.user1, role: 'teacher' };
+      const data = { user: { _id: mockIds.user1, role: 'teacher', teacher: mockIds.teacher1 }, profile: { _id: mockIds.teacher1 } };
+      authService.getCurrentUser.mockResolvedValue({ success: true, data });
+
+      // Act
+      await authController.getMe(req, res, next);
+
+      // Assert
+      expect(authService.getCurrentUser).toHaveBeenCalledWith(mockIds.user1);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ success: true, data });
+    });
+
+    it('should call next with error on failure', async () => {
+      // Arrange
+      req.user = { _id: mockIds.user1 };
+      const error = new Error('User not found');
+      authService.getCurrentUser.mockRejectedValue(error);
+
+      // Act
+      await authController.getMe(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('linkProfile', () => {
+    it('should return 200 with the linked user and profile', async () => {
+      // Arrange
+      req.params.userId = mockIds.user1;
+      req.body = { type: 'student', profileId: mockIds.student1 };
+      req.user = { _id: mockIds.teacher1, username: 'admin', role: 'admin' };
+      const data = { user: { _id: mockIds.user1, student: mockIds.student1 }, profile: { _id: mockIds.student1 } };
+      authService.linkProfile.mockResolvedValue({ success: true, data });
+
+      // Act
+      await authController.linkProfile(req, res, next);
+
+      // Assert
+      expect(authService.linkProfile).toHaveBeenCalledWith(mockIds.user1, { type: 'student', profileId: mockIds.student1 });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'User linked to student profile',
+        data
+      });
+    });
+
+    it('should call next with error on role mismatch', async () => {
+      // Arrange
+      req.params.userId = mockIds.user1;
+      req.body = { type: 'teacher', profileId: mockIds.teacher1 };
+      const error = new Error('A teacher profile can only be linked to a user with the teacher role');
+      error.statusCode = 400;
+      authService.linkProfile.mockRejectedValue(error);
+
+      // Act
+      await authController.linkProfile(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('unlinkProfile', () => {
+    it('should return 200 with the detached user', async () => {
+      // Arrange
+      req.params.userId = mockIds.user1;
+      req.user = { _id: mockIds.teacher1, username: 'admin', role: 'admin' };
+      const data = { user: { _id: mockIds.user1 } };
+      authService.unlinkProfile.mockResolvedValue({ success: true, data });
+
+      // Act
+      await authController.unlinkProfile(req, res, next);
+
+      // Assert
+      expect(authService.unlinkProfile).toHaveBeenCalledWith(mockIds.user1, undefined);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'User profile detached',
+        data
+      });
+    });
+
+    it('should call next with error when user has no profile', async () => {
+      // Arrange
+      req.params.userId = mockIds.user1;
+      const error = new Error('User has no linked profile');
+      authService.unlinkProfile.mockRejectedValue(error);
+
+      // Act
+      await authController.unlinkProfile(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('unlockUser', () => {
+    it('should return 200 with the unlocked user', async () => {
+      // Arrange
+      req.params.userId = mockIds.user1;
+      const user = { toSafeObject: jest.fn(() => ({ _id: mockIds.user1, email: 'john@example.com' })) };
+      loginAttemptService.unlock.mockResolvedValue(user);
+
+      // Act
+      await authController.unlockUser(req, res, next);
+
+      // Assert
+      expect(loginAttemptService.unlock).toHaveBeenCalledWith(mockIds.user1);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'User account unlocked',
+        data: { user: { _id: mockIds.user1, email: 'john@example.com' } }
+      });
+    });
+
+    it('should call next with error when user not found', async () => {
+      // Arrange
+      req.params.userId = mockIds.user1;
+      const error = new Error('User not found');
+      error.statusCode = 404;
+      loginAttemptService.unlock.mockRejectedValue(error);
+
+      // Act
+      await authController.unlockUser(req, res, next);
+
       // Assert
       expect(next).toHaveBeenCalledWith(error);
     });
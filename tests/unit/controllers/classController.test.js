@@ -5,11 +5,17 @@
 
 const classController = require('../../../src/controllers/classController');
 const classService = require('../../../src/services/classService');
+const gradeService = require('../../../src/services/gradeService');
+const attendanceService = require('../../../src/services/attendanceService');
+const timetableService = require('../../../src/services/timetableService');
 const { createMockExpressContext } = require('../helpers/testUtils');
 const { classes, mockIds, edgeCases } = require('../mocks/fixtures');
 
 // Mock the service layer
 jest.mock('../../../src/services/classService');
+jest.mock('../../../src/services/gradeService');
+jest.mock('../../../src/services/attendanceService');
+jest.mock('../../../src/services/timetableService');
 
 describe('ClassController', () => {
   let req, res, next;
@@ -24,17 +30,21 @@ describe('ClassController', () => {
     it('should return 200 with all classes', async () => {
       // Arrange
       const mockClasses = [classes.valid];
-      classService.getAllClasses.mockResolvedValue(mockClasses);
+      classService.getAllClasses.mockResolvedValue({ data: mockClasses, total: 1, page: 1, limit: null, totalPages: 1 });
 
       // Act
       await classController.getAll(req, res, next);
 
       // Assert
-      expect(classService.getAllClasses).toHaveBeenCalled();
+      expect(classService.getAllClasses).toHaveBeenCalledWith({ year: undefined }, { page: 1, limit: undefined, sort: undefined, fields: undefined, includeDeleted: false });
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
         count: mockClasses.length,
+        total: 1,
+        page: 1,
+        limit: null,
+        totalPages: 1,
         data: mockClasses
       });
       expect(next).not.toHaveBeenCalled();
@@ -42,16 +52,22 @@ describe('ClassController', () => {
 
     it('should return 200 with empty array when no classes', async () => {
       // Arrange
-      classService.getAllClasses.mockResolvedValue([]);
+      req.query = { page: '3', limit: '20', sort: '-nom' };
+      classService.getAllClasses.mockResolvedValue({ data: [], total: 0, page: 3, limit: 20, totalPages: 0 });
 
       // Act
       await classController.getAll(req, res, next);
 
       // Assert
+      expect(classService.getAllClasses).toHaveBeenCalledWith({ year: undefined }, { page: 3, limit: 20, sort: '-nom', fields: undefined, includeDeleted: false });
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
         count: 0,
+        total: 0,
+        page: 3,
+        limit: 20,
+        totalPages: 0,
         data: []
       });
     });
@@ -81,7 +97,7 @@ describe('ClassController', () => {
       await classController.getById(req, res, next);
 
       // Assert
-      expect(classService.getClassById).toHaveBeenCalledWith(mockIds.class1);
+      expect(classService.getClassById).toHaveBeenCalledWith(mockIds.class1, { includeDeleted: false });
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
@@ -116,6 +132,108 @@ describe('ClassController', () => {
     });
   });
 
+  describe('getAttendance', () => {
+    it('should return 200 with the class attendance summary', async () => {
+      // Arrange
+      req.params.id = mockIds.class1;
+      req.query.trimester = mockIds.trimester1;
+      const mockSummary = { class: classes.valid, summary: { absences: 0 }, students: [] };
+      attendanceService.getClassSummary.mockResolvedValue(mockSummary);
+
+      // Act
+      await classController.getAttendance(req, res, next);
+
+      // Assert
+      expect(attendanceService.getClassSummary).toHaveBeenCalledWith(mockIds.class1, mockIds.trimester1);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: mockSummary
+      });
+    });
+
+    it('should call next when class not found', async () => {
+      // Arrange
+      const error = new Error('Class not found');
+      error.statusCode = 404;
+      attendanceService.getClassSummary.mockRejectedValue(error);
+
+      // Act
+      await classController.getAttendance(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('getTimetable', () => {
+    it('should return 200 with the weekly timetable of the class', async () => {
+      // Arrange
+      req.params.id = mockIds.class1;
+      const mockTimetable = { class: { _id: mockIds.class1 }, days: [{ jour: 'lundi', slots: [] }] };
+      timetableService.getClassTimetable.mockResolvedValue(mockTimetable);
+
+      // Act
+      await classController.getTimetable(req, res, next);
+
+      // Assert
+      expect(timetableService.getClassTimetable).toHaveBeenCalledWith(mockIds.class1);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: mockTimetable
+      });
+    });
+
+    it('should call next when class not found', async () => {
+      // Arrange
+      const error = new Error('Class not found');
+      error.statusCode = 404;
+      timetableService.getClassTimetable.mockRejectedValue(error);
+
+      // Act
+      await classController.getTimetable(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('getStatistics', () => {
+    it('should return 200 with class statistics', async () => {
+      // Arrange
+      req.params.id = mockIds.class1;
+      req.query.trimester = mockIds.trimester1;
+      const mockStatistics = { class: classes.valid, subjects: [], ranking: [], classAverage: null };
+      gradeService.getClassStatistics.mockResolvedValue(mockStatistics);
+
+      // Act
+      await classController.getStatistics(req, res, next);
+
+      // Assert
+      expect(gradeService.getClassStatistics).toHaveBeenCalledWith(mockIds.class1, mockIds.trimester1);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: mockStatistics
+      });
+    });
+
+    it('should call next when class not found', async () => {
+      // Arrange
+      req.params.id = edgeCases.nonExistentId;
+      req.query.trimester = mockIds.trimester1;
+      const error = new Error('Class not found');
+      gradeService.getClassStatistics.mockRejectedValue(error);
+
+      // Act
+      await classController.getStatistics(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
   describe('create', () => {
     it('should return 201 with created class', async () => {
       // Arrange
@@ -207,7 +325,7 @@ describe('ClassController', () => {
       await classController.delete(req, res, next);
 
       // Assert
-      expect(classService.deleteClass).toHaveBeenCalledWith(mockIds.class1);
+      expect(classService.deleteClass).toHaveBeenCalledWith(mockIds.class1, req.user, { cascade: undefined, to: undefined });
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
@@ -228,4 +346,36 @@ describe('ClassController', () => {
       expect(next).toHaveBeenCalledWith(error);
     });
   });
+
+  describe('restore', () => {
+    it('should return 200 with the restored class', async () => {
+      // Arrange
+      req.params.id = mockIds.class1;
+      classService.restoreClass.mockResolvedValue(classes.valid);
+
+      // Act
+      await classController.restore(req, res, next);
+
+      // Assert
+      expect(classService.restoreClass).toHaveBeenCalledWith(mockIds.class1);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: classes.valid
+      });
+    });
+
+    it('should call next when the class is not deleted', async () => {
+      // Arrange
+      req.params.id = mockIds.class1;
+      const error = Object.assign(new Error('Class is not deleted'), { statusCode: 409 });
+      classService.restoreClass.mockRejectedValue(error);
+
+      // Act
+      await classController.restore(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
 });
@@ -0,0 +1,146 @@
+/**
+ * Unit Tests for CouncilCommentController
+ * Tests HTTP request/response handling with mocked service layer
+ */
+
+const councilCommentController = require('../../../src/controllers/councilCommentController');
+const councilCommentService = require('../../../src/services/councilCommentService');
+const { createMockExpressContext } = require('../helpers/testUtils');
+const { mockIds } = require('../mocks/fixtures');
+
+// Mock the service layer
+jest.mock('../../../src/services/councilCommentService');
+
+describe('CouncilCommentController', () => {
+  let req, res, next;
+  const commentId = '507f1f77bcf86cd799439098';
+
+  beforeEach(() => {
+    ({ req, res, next } = createMockExpressContext({ user: { _id: mockIds.user1 } }));
+    jest.clearAllMocks();
+  });
+
+  describe('getAll', () => {
+    it('should return 200 with filtered comments', async () => {
+      // Arrange
+      req.query = { student: mockIds.student1 };
+      const comments = [{ _id: commentId }];
+      councilCommentService.getAllCouncilComments.mockResolvedValue(comments);
+
+      // Act
+      await councilCommentController.getAll(req, res, next);
+
+      // Assert
+      expect(councilCommentService.getAllCouncilComments).toHaveBeenCalledWith({
+        student: mockIds.student1,
+        trimester: undefined
+      }, req.user);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ success: true, count: 1, data: comments });
+    });
+
+    it('should call next with error on service failure', async () => {
+      // Arrange
+      const error = new Error('Database error');
+      councilCommentService.getAllCouncilComments.mockRejectedValue(error);
+
+      // Act
+      await councilCommentController.getAll(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('getById', () => {
+    it('should return 200 with the comment', async () => {
+      // Arrange
+      req.params.id = commentId;
+      councilCommentService.getCouncilCommentById.mockResolvedValue({ _id: commentId });
+
+      // Act
+      await councilCommentController.getById(req, res, next);
+
+      // Assert
+      expect(councilCommentService.getCouncilCommentById).toHaveBeenCalledWith(commentId, req.user);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ success: true, data: { _id: commentId } });
+    });
+  });
+
+  describe('create', () => {
+    it('should return 201 and pass the authenticated user as author', async () => {
+      // Arrange
+      req.body = { ideleve: mockIds.student1, idtrimestre: mockIds.trimester1, texte: 'Félicitations' };
+      const created = { _id: commentId, ...req.body, auteur: mockIds.user1 };
+      councilCommentService.createCouncilComment.mockResolvedValue(created);
+
+      // Act
+      await councilCommentController.create(req, res, next);
+
+      // Assert
+      expect(councilCommentService.createCouncilComment).toHaveBeenCalledWith(req.body, req.user);
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith({ success: true, data: created });
+    });
+
+    it('should call next with error on invalid references', async () => {
+      // Arrange
+      const error = new Error('Referenced student (x) not found');
+      error.statusCode = 400;
+      councilCommentService.createCouncilComment.mockRejectedValue(error);
+
+      // Act
+      await councilCommentController.create(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('update', () => {
+    it('should return 200 and pass the authenticated user as author', async () => {
+      // Arrange
+      req.params.id = commentId;
+      req.body = { texte: 'Encouragements' };
+      councilCommentService.updateCouncilComment.mockResolvedValue({ _id: commentId, texte: 'Encouragements' });
+
+      // Act
+      await councilCommentController.update(req, res, next);
+
+      // Assert
+      expect(councilCommentService.updateCouncilComment).toHaveBeenCalledWith(commentId, req.body, req.user);
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe('delete', () => {
+    it('should return 200 with success message', async () => {
+      // Arrange
+      req.params.id = commentId;
+      councilCommentService.deleteCouncilComment.mockResolvedValue({ _id: commentId });
+
+      // Act
+      await councilCommentController.delete(req, res, next);
+
+      // Assert
+      expect(councilCommentService.deleteCouncilComment).toHaveBeenCalledWith(commentId);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Council comment deleted successfully'
+      });
+    });
+
+    it('should call next with error when not found', async () => {
+      // Arrange
+      const error = new Error('Council comment not found');
+      councilCommentService.deleteCouncilComment.mockRejectedValue(error);
+
+      // Act
+      await councilCommentController.delete(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+});
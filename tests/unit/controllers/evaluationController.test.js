@@ -0,0 +1,186 @@
+/**
+ * Unit Tests for EvaluationController
+ * Tests HTTP request/response handling with mocked service layer
+ */
+
+const evaluationController = require('../../../src/controllers/evaluationController');
+const evaluationService = require('../../../src/services/evaluationService');
+const { createMockExpressContext } = require('../helpers/testUtils');
+const { evaluations, mockIds } = require('../mocks/fixtures');
+
+// Mock the service layer
+jest.mock('../../../src/services/evaluationService');
+
+describe('EvaluationController', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    ({ req, res, next } = createMockExpressContext());
+    jest.clearAllMocks();
+  });
+
+  describe('getAll', () => {
+    it('should return 200 with a page of evaluations', async () => {
+      // Arrange
+      req.query = { class: mockIds.class1, page: '2', limit: '1' };
+      evaluationService.getAllEvaluations.mockResolvedValue({
+        data: [evaluations.valid], total: 2, page: 2, limit: 1, totalPages: 2
+      });
+
+      // Act
+      await evaluationController.getAll(req, res, next);
+
+      // Assert
+      expect(evaluationService.getAllEvaluations).toHaveBeenCalledWith(
+        { class: mockIds.class1, subject: undefined, trimester: undefined, teacher: undefined },
+        expect.objectContaining({ page: 2, limit: 1 })
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        count: 1,
+        total: 2,
+        page: 2,
+        limit: 1,
+        totalPages: 2,
+        data: [evaluations.valid]
+      });
+    });
+
+    it('should call next on service error', async () => {
+      // Arrange
+      const error = new Error('Database error');
+      evaluationService.getAllEvaluations.mockRejectedValue(error);
+
+      // Act
+      await evaluationController.getAll(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('getById', () => {
+    it('should return 200 with the evaluation', async () => {
+      // Arrange
+      req.params.id = mockIds.evaluation1;
+      evaluationService.getEvaluationById.mockResolvedValue(evaluations.valid);
+
+      // Act
+      await evaluationController.getById(req, res, next);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ success: true, data: evaluations.valid });
+    });
+  });
+
+  describe('getGradeSheet', () => {
+    it('should return 200 with the grade sheet', async () => {
+      // Arrange
+      req.params.id = mockIds.evaluation1;
+      const gradeSheet = { evaluation: evaluations.valid, statistics: {}, sheet: [] };
+      evaluationService.getGradeSheet.mockResolvedValue(gradeSheet);
+
+      // Act
+      await evaluationController.getGradeSheet(req, res, next);
+
+      // Assert
+      expect(evaluationService.getGradeSheet).toHaveBeenCalledWith(mockIds.evaluation1);
+      expect(res.json).toHaveBeenCalledWith({ success: true, data: gradeSheet });
+    });
+  });
+
+  describe('create', () => {
+    it('should return 201 with created evaluation', async () => {
+      // Arrange
+      req.body = evaluations.validInput;
+      evaluationService.createEvaluation.mockResolvedValue(evaluations.valid);
+
+      // Act
+      await evaluationController.create(req, res, next);
+
+      // Assert
+      expect(evaluationService.createEvaluation).toHaveBeenCalledWith(evaluations.validInput, req.user);
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+  });
+
+  describe('recordGrades', () => {
+    it('should return 201 with the recorded grades', async () => {
+      // Arrange
+      req.params.id = mockIds.evaluation1;
+      req.body = { grades: [{ ideleve: mockIds.student1, note: 31 }] };
+      evaluationService.recordGrades.mockResolvedValue({ errors: [], grades: [{ note: 15.5 }] });
+
+      // Act
+      await evaluationController.recordGrades(req, res, next);
+
+      // Assert
+      expect(evaluationService.recordGrades).toHaveBeenCalledWith(mockIds.evaluation1, req.body.grades, req.user, undefined);
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith({ success: true, count: 1, data: [{ note: 15.5 }] });
+    });
+
+    it('should return 400 with row errors when the batch is rejected', async () => {
+      // Arrange
+      req.body = { grades: [{ ideleve: mockIds.student1, note: 41 }] };
+      const errors = [{ field: 'grades[0].note', message: 'Note must be between 0 and 40' }];
+      evaluationService.recordGrades.mockResolvedValue({ errors, grades: [] });
+
+      // Act
+      await evaluationController.recordGrades(req, res, next);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'Batch rejected: 1 invalid row(s), no grade was recorded',
+        details: errors
+      });
+    });
+  });
+
+  describe('update', () => {
+    it('should return 200 with updated evaluation', async () => {
+      // Arrange
+      req.params.id = mockIds.evaluation1;
+      req.body = { titre: 'Bilan' };
+      evaluationService.updateEvaluation.mockResolvedValue({ ...evaluations.valid, titre: 'Bilan' });
+
+      // Act
+      await evaluationController.update(req, res, next);
+
+      // Assert
+      expect(evaluationService.updateEvaluation).toHaveBeenCalledWith(mockIds.evaluation1, req.body, req.user, undefined);
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe('delete', () => {
+    it('should return 200 with success message', async () => {
+      // Arrange
+      req.params.id = mockIds.evaluation1;
+      evaluationService.deleteEvaluation.mockResolvedValue(evaluations.valid);
+
+      // Act
+      await evaluationController.delete(req, res, next);
+
+      // Assert
+      expect(res.json).toHaveBeenCalledWith({ success: true, message: 'Evaluation deleted successfully' });
+    });
+
+    it('should call next when grades are recorded', async () => {
+      // Arrange
+      const error = new Error('Cannot delete an evaluation with recorded grades (3)');
+      error.statusCode = 409;
+      evaluationService.deleteEvaluation.mockRejectedValue(error);
+
+      // Act
+      await evaluationController.delete(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+});
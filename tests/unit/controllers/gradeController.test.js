@@ -22,10 +22,13 @@ describe('GradeController', () => {
   });
 
   describe('getAll', () => {
+    const defaultListOptions = { page: 1, limit: undefined, sort: undefined, fields: undefined };
+    const pageOf = (data) => ({ data, total: data.length, page: 1, limit: null, totalPages: data.length ? 1 : 0 });
+
     it('should return 200 with all grades when no filters provided', async () => {
       // Arrange
       const mockGrades = [grades.valid];
-      gradeService.getAllGrades.mockResolvedValue(mockGrades);
+      gradeService.getAllGrades.mockResolvedValue(pageOf(mockGrades));
 
       // Act
       await gradeController.getAll(req, res, next);
@@ -36,11 +39,15 @@ describe('GradeController', () => {
         class: undefined,
         subject: undefined,
         trimester: undefined
-      });
+      }, req.user, defaultListOptions);
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
         count: mockGrades.length,
+        total: 1,
+        page: 1,
+        limit: null,
+        totalPages: 1,
         data: mockGrades
       });
       expect(next).not.toHaveBeenCalled();
@@ -48,7 +55,7 @@ describe('GradeController', () => {
 
     it('should return 200 with empty array when no grades', async () => {
       // Arrange
-      gradeService.getAllGrades.mockResolvedValue([]);
+      gradeService.getAllGrades.mockResolvedValue(pageOf([]));
 
       // Act
       await gradeController.getAll(req, res, next);
@@ -58,6 +65,10 @@ describe('GradeController', () => {
       expect(res.json).toHaveBeenCalledWith({
         success: true,
         count: 0,
+        total: 0,
+        page: 1,
+        limit: null,
+        totalPages: 0,
         data: []
       });
     });
@@ -66,7 +77,7 @@ describe('GradeController', () => {
       // Arrange
       req.query.student = mockIds.student1;
       const mockGrades = [grades.valid];
-      gradeService.getAllGrades.mockResolvedValue(mockGrades);
+      gradeService.getAllGrades.mockResolvedValue(pageOf(mockGrades));
 
       // Act
       await gradeController.getAll(req, res, next);
@@ -77,7 +88,7 @@ describe('GradeController', () => {
         class: undefined,
         subject: undefined,
         trimester: undefined
-      });
+      }, req.user, defaultListOptions);
       expect(res.status).toHaveBeenCalledWith(200);
     });
 
@@ -85,7 +96,7 @@ describe('GradeController', () => {
       // Arrange
       req.query.class = mockIds.class1;
       const mockGrades = [grades.valid];
-      gradeService.getAllGrades.mockResolvedValue(mockGrades);
+      gradeService.getAllGrades.mockResolvedValue(pageOf(mockGrades));
 
       // Act
       await gradeController.getAll(req, res, next);
@@ -96,7 +107,7 @@ describe('GradeController', () => {
         class: mockIds.class1,
         subject: undefined,
         trimester: undefined
-      });
+      }, req.user, defaultListOptions);
       expect(res.status).toHaveBeenCalledWith(200);
     });
 
@@ -104,7 +115,7 @@ describe('GradeController', () => {
       // Arrange
       req.query.subject = mockIds.subject1;
       const mockGrades = [grades.valid];
-      gradeService.getAllGrades.mockResolvedValue(mockGrades);
+      gradeService.getAllGrades.mockResolvedValue(pageOf(mockGrades));
 
       // Act
       await gradeController.getAll(req, res, next);
@@ -115,7 +126,7 @@ describe('GradeController', () => {
         class: undefined,
         subject: mockIds.subject1,
         trimester: undefined
-      });
+      }, req.user, defaultListOptions);
       expect(res.status).toHaveBeenCalledWith(200);
     });
 
@@ -123,7 +134,7 @@ describe('GradeController', () => {
       // Arrange
       req.query.trimester = mockIds.trimester1;
       const mockGrades = [grades.valid];
-      gradeService.getAllGrades.mockResolvedValue(mockGrades);
+      gradeService.getAllGrades.mockResolvedValue(pageOf(mockGrades));
 
       // Act
       await gradeController.getAll(req, res, next);
@@ -134,7 +145,7 @@ describe('GradeController', () => {
         class: undefined,
         subject: undefined,
         trimester: mockIds.trimester1
-      });
+      }, req.user, defaultListOptions);
       expect(res.status).toHaveBeenCalledWith(200);
     });
 
@@ -144,7 +155,7 @@ describe('GradeController', () => {
       req.query.class = mockIds.class1;
       req.query.trimester = mockIds.trimester1;
       const mockGrades = [grades.valid];
-      gradeService.getAllGrades.mockResolvedValue(mockGrades);
+      gradeService.getAllGrades.mockResolvedValue(pageOf(mockGrades));
 
       // Act
       await gradeController.getAll(req, res, next);
@@ -155,7 +166,7 @@ describe('GradeController', () => {
         class: mockIds.class1,
         subject: undefined,
         trimester: mockIds.trimester1
-      });
+      }, req.user, defaultListOptions);
       expect(res.status).toHaveBeenCalledWith(200);
     });
 
@@ -166,7 +177,7 @@ describe('GradeController', () => {
       req.query.subject = mockIds.subject1;
       req.query.trimester = mockIds.trimester1;
       const mockGrades = [grades.valid];
-      gradeService.getAllGrades.mockResolvedValue(mockGrades);
+      gradeService.getAllGrades.mockResolvedValue(pageOf(mockGrades));
 
       // Act
       await gradeController.getAll(req, res, next);
@@ -177,10 +188,36 @@ describe('GradeController', () => {
         class: mockIds.class1,
         subject: mockIds.subject1,
         trimester: mockIds.trimester1
-      });
+      }, req.user, defaultListOptions);
       expect(res.status).toHaveBeenCalledWith(200);
     });
 
+    it('should pass pagination, sort and field selection to the service', async () => {
+      // Arrange
+      req.query = { trimester: mockIds.trimester1, page: '4', limit: '25', sort: '-note', fields: 'ideleve,note' };
+      gradeService.getAllGrades.mockResolvedValue({ data: [], total: 80, page: 4, limit: 25, totalPages: 4 });
+
+      // Act
+      await gradeController.getAll(req, res, next);
+
+      // Assert
+      expect(gradeService.getAllGrades).toHaveBeenCalledWith({
+        student: undefined,
+        class: undefined,
+        subject: undefined,
+        trimester: mockIds.trimester1
+      }, req.user, { page: 4, limit: 25, sort: '-note', fields: 'ideleve note' });
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        count: 0,
+        total: 80,
+        page: 4,
+        limit: 25,
+        totalPages: 4,
+        data: []
+      });
+    });
+
     it('should handle invalid ObjectId in query parameters', async () => {
       // Arrange
       req.query.student = 'invalid-id';
@@ -202,7 +239,7 @@ describe('GradeController', () => {
       req.query.subject = '';
       req.query.trimester = '';
       const mockGrades = [grades.valid];
-      gradeService.getAllGrades.mockResolvedValue(mockGrades);
+      gradeService.getAllGrades.mockResolvedValue(pageOf(mockGrades));
 
       // Act
       await gradeController.getAll(req, res, next);
@@ -213,14 +250,14 @@ describe('GradeController', () => {
         class: '',
         subject: '',
         trimester: ''
-      });
+      }, req.user, defaultListOptions);
     });
 
     it('should handle non-existent filter combinations', async () => {
       // Arrange
       req.query.student = mockIds.student1;
       req.query.subject = mockIds.subject1;
-      gradeService.getAllGrades.mockResolvedValue([]); // No grades match
+      gradeService.getAllGrades.mockResolvedValue(pageOf([])); // No grades match
 
       // Act
       await gradeController.getAll(req, res, next);
@@ -230,6 +267,10 @@ describe('GradeController', () => {
       expect(res.json).toHaveBeenCalledWith({
         success: true,
         count: 0,
+        total: 0,
+        page: 1,
+        limit: null,
+        totalPages: 0,
         data: []
       });
     });
@@ -267,7 +308,7 @@ describe('GradeController', () => {
       req.query.unexpectedParam = 'should-be-ignored';
       req.query.anotherBadParam = 'also-ignored';
       const mockGrades = [grades.valid];
-      gradeService.getAllGrades.mockResolvedValue(mockGrades);
+      gradeService.getAllGrades.mockResolvedValue(pageOf(mockGrades));
 
       // Act
       await gradeController.getAll(req, res, next);
@@ -278,7 +319,7 @@ describe('GradeController', () => {
         class: undefined,
         subject: undefined,
         trimester: undefined
-      });
+      }, req.user, defaultListOptions);
     });
 
     it('should call next with error on service failure', async () => {
@@ -306,7 +347,7 @@ describe('GradeController', () => {
       await gradeController.getById(req, res, next);
 
       // Assert
-      expect(gradeService.getGradeById).toHaveBeenCalledWith(mockIds.grade1);
+      expect(gradeService.getGradeById).toHaveBeenCalledWith(mockIds.grade1, req.user, { includeDeleted: false });
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
@@ -352,7 +393,7 @@ describe('GradeController', () => {
       await gradeController.create(req, res, next);
 
       // Assert
-      expect(gradeService.createGrade).toHaveBeenCalledWith(grades.validInput);
+      expect(gradeService.createGrade).toHaveBeenCalledWith(grades.validInput, req.user, undefined);
       expect(res.status).toHaveBeenCalledWith(201);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
@@ -362,7 +403,7 @@ describe('GradeController', () => {
 
     it('should call next with validation error', async () => {
       // Arrange
-      req.body = grades.invalid;
+      req.body = grades.invalidNote;
       const error = new Error('Validation failed');
       gradeService.createGrade.mockRejectedValue(error);
 
@@ -387,11 +428,61 @@ describe('GradeController', () => {
     });
   });
 
+  describe('createBatch', () => {
+    it('should return 201 with the recorded grades', async () => {
+      // Arrange
+      req.body = { idclasse: mockIds.class1, grades: [{ ideleve: mockIds.student1, note: 14 }] };
+      const created = [{ ...grades.validInput, _id: mockIds.grade1 }];
+      gradeService.createGradesBatch.mockResolvedValue({ errors: [], grades: created });
+
+      // Act
+      await gradeController.createBatch(req, res, next);
+
+      // Assert
+      expect(gradeService.createGradesBatch).toHaveBeenCalledWith(req.body, req.user, undefined);
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        count: 1,
+        data: created
+      });
+    });
+
+    it('should return 400 with row errors when the batch is rejected', async () => {
+      // Arrange
+      const errors = [{ field: 'grades[0].ideleve', message: 'Student is not in the specified class' }];
+      gradeService.createGradesBatch.mockResolvedValue({ errors, grades: [] });
+
+      // Act
+      await gradeController.createBatch(req, res, next);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'Batch rejected: 1 invalid row(s), no grade was recorded',
+        details: errors
+      });
+    });
+
+    it('should call next with service errors', async () => {
+      // Arrange
+      const error = new Error('Referenced class not found');
+      gradeService.createGradesBatch.mockRejectedValue(error);
+
+      // Act
+      await gradeController.createBatch(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
   describe('update', () => {
     it('should return 200 with updated grade', async () => {
       // Arrange
       req.params.id = mockIds.grade1;
-      req.body = { note: 18, avis: 'Excellent travail' };
+      req.body = { note: 18, avis: 'Excellent travail', motif: 'Erreur de saisie' };
       const updated = { ...grades.valid, note: 18, avis: 'Excellent travail' };
       gradeService.updateGrade.mockResolvedValue(updated);
 
@@ -399,7 +490,13 @@ describe('GradeController', () => {
       await gradeController.update(req, res, next);
 
       // Assert
-      expect(gradeService.updateGrade).toHaveBeenCalledWith(mockIds.grade1, req.body);
+      expect(gradeService.updateGrade).toHaveBeenCalledWith(
+        mockIds.grade1,
+        { note: 18, avis: 'Excellent travail' },
+        req.user,
+        undefined,
+        'Erreur de saisie'
+      );
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
@@ -422,6 +519,98 @@ describe('GradeController', () => {
     });
   });
 
+  describe('getHistory', () => {
+    it('should return 200 with the versions of the grade', async () => {
+      // Arrange
+      req.params.id = mockIds.grade1;
+      const history = [
+        { version: 2, motif: 'Erreur de saisie', changes: [{ field: 'note', before: 12, after: 14 }] },
+        { version: 1, motif: null, changes: [] }
+      ];
+      gradeService.getGradeHistory.mockResolvedValue(history);
+
+      // Act
+      await gradeController.getHistory(req, res, next);
+
+      // Assert
+      expect(gradeService.getGradeHistory).toHaveBeenCalledWith(mockIds.grade1, req.user, { includeDeleted: false });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ success: true, count: 2, data: history });
+    });
+
+    it('should show the history of a deleted grade to admins', async () => {
+      // Arrange
+      req.params.id = mockIds.grade1;
+      req.user = { role: 'admin' };
+      req.query = { includeDeleted: 'true' };
+      gradeService.getGradeHistory.mockResolvedValue([]);
+
+      // Act
+      await gradeController.getHistory(req, res, next);
+
+      // Assert
+      expect(gradeService.getGradeHistory).toHaveBeenCalledWith(mockIds.grade1, req.user, { includeDeleted: true });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should refuse the history of a deleted grade to other accounts with 403', async () => {
+      // Arrange
+      req.params.id = mockIds.grade1;
+      req.user = { role: 'teacher' };
+      req.query = { includeDeleted: 'true' };
+
+      // Act
+      await gradeController.getHistory(req, res, next);
+
+      // Assert
+      expect(gradeService.getGradeHistory).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+    });
+
+    it('should call next when grade not found', async () => {
+      // Arrange
+      const error = Object.assign(new Error('Grade not found'), { statusCode: 404 });
+      gradeService.getGradeHistory.mockRejectedValue(error);
+
+      // Act
+      await gradeController.getHistory(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('restore', () => {
+    it('should return 200 with the restored grade', async () => {
+      // Arrange
+      req.params.id = mockIds.grade1;
+      req.body = { version: 1, motif: 'Contestation acceptée' };
+      gradeService.restoreGrade.mockResolvedValue(grades.valid);
+
+      // Act
+      await gradeController.restore(req, res, next);
+
+      // Assert
+      expect(gradeService.restoreGrade).toHaveBeenCalledWith(mockIds.grade1, 1, req.user, undefined, 'Contestation acceptée');
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ success: true, data: grades.valid });
+    });
+
+    it('should call next when the version does not exist', async () => {
+      // Arrange
+      req.body = { version: 9, motif: 'Contestation acceptée' };
+      const error = Object.assign(new Error('Version 9 of the grade not found'), { statusCode: 404 });
+      gradeService.restoreGrade.mockRejectedValue(error);
+
+      // Act
+      await gradeController.restore(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+  });
+
   describe('delete', () => {
     it('should return 200 with success message', async () => {
       // Arrange
@@ -432,7 +621,7 @@ describe('GradeController', () => {
       await gradeController.delete(req, res, next);
 
       // Assert
-      expect(gradeService.deleteGrade).toHaveBeenCalledWith(mockIds.grade1);
+      expect(gradeService.deleteGrade).toHaveBeenCalledWith(mockIds.grade1, req.user, undefined);
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
@@ -0,0 +1,63 @@
+/**
+ * Unit Tests for SearchController
+ * Tests HTTP request/response handling with mocked service layer
+ */
+
+const searchController = require('../../../src/controllers/searchController');
+const searchService = require('../../../src/services/searchService');
+const { createMockExpressContext } = require('../helpers/testUtils');
+
+// Mock the service layer
+jest.mock('../../../src/services/searchService');
+
+describe('SearchController', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    ({ req, res, next } = createMockExpressContext());
+    jest.clearAllMocks();
+  });
+
+  describe('search', () => {
+    it('should return 200 with grouped results', async () => {
+      // Arrange
+      req.query = { q: 'elodie' };
+      const results = { students: [{ nom: 'Martin', prenom: 'Élodie', score: 3 }], teachers: [] };
+      searchService.search.mockResolvedValue({ total: 1, results });
+
+      // Act
+      await searchController.search(req, res, next);
+
+      // Assert
+      expect(searchService.search).toHaveBeenCalledWith('elodie', {});
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ success: true, query: 'elodie', count: 1, data: results });
+    });
+
+    it('should pass types and limit to the service', async () => {
+      // Arrange
+      req.query = { q: 'martin', types: 'students,teachers', limit: '5' };
+      searchService.search.mockResolvedValue({ total: 0, results: { students: [], teachers: [] } });
+
+      // Act
+      await searchController.search(req, res, next);
+
+      // Assert
+      expect(searchService.search).toHaveBeenCalledWith('martin', { types: ['students', 'teachers'], limit: 5 });
+    });
+
+    it('should call next with error on service failure', async () => {
+      // Arrange
+      const error = new Error('Search query must contain at least one term');
+      error.statusCode = 400;
+      searchService.search.mockRejectedValue(error);
+
+      // Act
+      await searchController.search(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+  });
+});
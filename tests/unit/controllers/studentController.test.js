@@ -5,11 +5,17 @@
 
 const studentController = require('../../../src/controllers/studentController');
 const studentService = require('../../../src/services/studentService');
+const gradeService = require('../../../src/services/gradeService');
+const reportCardService = require('../../../src/services/reportCardService');
+const attendanceService = require('../../../src/services/attendanceService');
 const { createMockExpressContext } = require('../helpers/testUtils');
 const { students, mockIds, edgeCases } = require('../mocks/fixtures');
 
 // Mock the service layer
 jest.mock('../../../src/services/studentService');
+jest.mock('../../../src/services/gradeService');
+jest.mock('../../../src/services/reportCardService');
+jest.mock('../../../src/services/attendanceService');
 
 describe('StudentController', () => {
   let req, res, next;
@@ -21,37 +27,46 @@ describe('StudentController', () => {
   });
 
   describe('getAll', () => {
-    it('should return 200 with all students', async () => {
+    it('should return 200 with all students when no page is requested', async () => {
       // Arrange
       const mockStudents = [students.valid];
-      studentService.getAllStudents.mockResolvedValue(mockStudents);
+      studentService.getAllStudents.mockResolvedValue({ data: mockStudents, total: 1, page: 1, limit: null, totalPages: 1 });
 
       // Act
       await studentController.getAll(req, res, next);
 
       // Assert
-      expect(studentService.getAllStudents).toHaveBeenCalled();
+      expect(studentService.getAllStudents).toHaveBeenCalledWith(req.user, { page: 1, limit: undefined, sort: undefined, fields: undefined, includeDeleted: false });
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
         count: mockStudents.length,
+        total: 1,
+        page: 1,
+        limit: null,
+        totalPages: 1,
         data: mockStudents
       });
       expect(next).not.toHaveBeenCalled();
     });
 
-    it('should return 200 with empty array when no students', async () => {
+    it('should pass page, limit, sort and fields query params to the service', async () => {
       // Arrange
-      studentService.getAllStudents.mockResolvedValue([]);
+      req.query = { page: '2', limit: '10', sort: 'prenom,-nom', fields: 'nom,prenom' };
+      studentService.getAllStudents.mockResolvedValue({ data: [], total: 12, page: 2, limit: 10, totalPages: 2 });
 
       // Act
       await studentController.getAll(req, res, next);
 
       // Assert
-      expect(res.status).toHaveBeenCalledWith(200);
+      expect(studentService.getAllStudents).toHaveBeenCalledWith(req.user, { page: 2, limit: 10, sort: 'prenom -nom', fields: 'nom prenom', includeDeleted: false });
       expect(res.json).toHaveBeenCalledWith({
         success: true,
         count: 0,
+        total: 12,
+        page: 2,
+        limit: 10,
+        totalPages: 2,
         data: []
       });
     });
@@ -66,7 +81,7 @@ describe('StudentController', () => {
       await studentController.getAll(req, res, next);
 
       // Assert
-      expect(studentService.getStudentsByClass).toHaveBeenCalledWith(mockIds.class1);
+      expect(studentService.getStudentsByClass).toHaveBeenCalledWith(mockIds.class1, req.user);
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
@@ -90,6 +105,35 @@ describe('StudentController', () => {
     });
   });
 
+  describe('getAll with includeDeleted', () => {
+    it('should list deleted students for admins', async () => {
+      // Arrange
+      req.user = { role: 'admin' };
+      req.query = { includeDeleted: 'true' };
+      studentService.getAllStudents.mockResolvedValue({ data: [], total: 0, page: 1, limit: null, totalPages: 0 });
+
+      // Act
+      await studentController.getAll(req, res, next);
+
+      // Assert
+      expect(studentService.getAllStudents).toHaveBeenCalledWith(req.user, expect.objectContaining({ includeDeleted: true }));
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should refuse deleted students to other accounts with 403', async () => {
+      // Arrange
+      req.user = { role: 'teacher' };
+      req.query = { includeDeleted: 'true' };
+
+      // Act
+      await studentController.getAll(req, res, next);
+
+      // Assert
+      expect(studentService.getAllStudents).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+    });
+  });
+
   describe('getById', () => {
     it('should return 200 with student data', async () => {
       // Arrange
@@ -100,7 +144,7 @@ describe('StudentController', () => {
       await studentController.getById(req, res, next);
 
       // Assert
-      expect(studentService.getStudentById).toHaveBeenCalledWith(mockIds.student1);
+      expect(studentService.getStudentById).toHaveBeenCalledWith(mockIds.student1, req.user, { includeDeleted: false });
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
@@ -216,6 +260,135 @@ describe('StudentController', () => {
     });
   });
 
+  describe('getAverages', () => {
+    it('should return 200 with student averages', async () => {
+      // Arrange
+      req.params.id = mockIds.student1;
+      req.query.trimester = mockIds.trimester1;
+      const mockAverages = { student: students.valid, trimesters: [], yearlyAverage: null };
+      gradeService.getStudentAverages.mockResolvedValue(mockAverages);
+
+      // Act
+      await studentController.getAverages(req, res, next);
+
+      // Assert
+      expect(gradeService.getStudentAverages).toHaveBeenCalledWith(mockIds.student1, {
+        trimester: mockIds.trimester1
+      }, req.user);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: mockAverages
+      });
+    });
+
+    it('should call next when student not found', async () => {
+      // Arrange
+      req.params.id = edgeCases.nonExistentId;
+      const error = new Error('Student not found');
+      error.statusCode = 404;
+      gradeService.getStudentAverages.mockRejectedValue(error);
+
+      // Act
+      await studentController.getAverages(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getAttendance', () => {
+    it('should return 200 with the student attendance summary', async () => {
+      // Arrange
+      req.params.id = mockIds.student1;
+      req.query.trimester = mockIds.trimester1;
+      const mockSummary = { student: students.valid, summary: { absences: 2 }, records: [] };
+      attendanceService.getStudentSummary.mockResolvedValue(mockSummary);
+
+      // Act
+      await studentController.getAttendance(req, res, next);
+
+      // Assert
+      expect(attendanceService.getStudentSummary).toHaveBeenCalledWith(mockIds.student1, {
+        trimester: mockIds.trimester1
+      }, req.user);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: mockSummary
+      });
+    });
+
+    it('should call next when access is refused', async () => {
+      // Arrange
+      const error = new Error('Parent accounts can only access the records of their children');
+      error.statusCode = 403;
+      attendanceService.getStudentSummary.mockRejectedValue(error);
+
+      // Act
+      await studentController.getAttendance(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getReportCard', () => {
+    it('should send the PDF with download headers', async () => {
+      // Arrange
+      req.params.id = mockIds.student1;
+      req.query.trimester = mockIds.trimester1;
+      const pdf = Buffer.from('%PDF-1.3');
+      reportCardService.generateReportCard.mockResolvedValue({
+        data: { student: { nom: 'Leroy', prenom: 'Thomas' }, trimester: { nom: 'T1' } },
+        pdf
+      });
+
+      // Act
+      await studentController.getReportCard(req, res, next);
+
+      // Assert
+      expect(reportCardService.generateReportCard).toHaveBeenCalledWith(mockIds.student1, mockIds.trimester1, req.user);
+      expect(res.set).toHaveBeenCalledWith({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': 'attachment; filename="bulletin-Leroy-Thomas-T1.pdf"',
+        'Content-Length': pdf.length
+      });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith(pdf);
+    });
+
+    it('should sanitize accents and spaces in the filename', async () => {
+      // Arrange
+      reportCardService.generateReportCard.mockResolvedValue({
+        data: { student: { nom: 'Lefèvre', prenom: 'Élodie' }, trimester: { nom: 'Trim 1' } },
+        pdf: Buffer.from('%PDF')
+      });
+
+      // Act
+      await studentController.getReportCard(req, res, next);
+
+      // Assert
+      const headers = res.set.mock.calls[0][0];
+      expect(headers['Content-Disposition']).toBe('attachment; filename="bulletin-Lef_vre-_lodie-Trim_1.pdf"');
+    });
+
+    it('should call next when generation fails', async () => {
+      // Arrange
+      const error = new Error('Trimester not found');
+      reportCardService.generateReportCard.mockRejectedValue(error);
+
+      // Act
+      await studentController.getReportCard(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+      expect(res.send).not.toHaveBeenCalled();
+    });
+  });
+
   describe('delete', () => {
     it('should return 200 with success message', async () => {
       // Arrange
@@ -226,7 +399,7 @@ describe('StudentController', () => {
       await studentController.delete(req, res, next);
 
       // Assert
-      expect(studentService.deleteStudent).toHaveBeenCalledWith(mockIds.student1);
+      expect(studentService.deleteStudent).toHaveBeenCalledWith(mockIds.student1, req.user, { cascade: undefined, to: undefined });
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
@@ -247,4 +420,109 @@ describe('StudentController', () => {
       expect(next).toHaveBeenCalledWith(error);
     });
   });
+
+  describe('importStudents', () => {
+    const csv = 'nom;prenom;classe;dateNaissance;sexe\nMartin;Élodie;CM1;2015-03-20;FEMME';
+    const rowError = { row: 2, field: 'classe', message: 'Class "CM1" not found' };
+
+    it('should return 201 with the imported students', async () => {
+      // Arrange
+      req.body = csv;
+      const imported = [students.valid];
+      studentService.importStudents.mockResolvedValue({ total: 1, invalid: 0, errors: [], students: imported });
+
+      // Act
+      await studentController.importStudents(req, res, next);
+
+      // Assert
+      expect(studentService.importStudents).toHaveBeenCalledWith(csv, { dryRun: false });
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith({ success: true, count: 1, data: imported });
+    });
+
+    it('should return 200 with the validation report in dry-run mode', async () => {
+      // Arrange
+      req.body = csv;
+      req.query.dryRun = 'true';
+      studentService.importStudents.mockResolvedValue({ total: 1, invalid: 1, errors: [rowError], students: [] });
+
+      // Act
+      await studentController.importStudents(req, res, next);
+
+      // Assert
+      expect(studentService.importStudents).toHaveBeenCalledWith(csv, { dryRun: true });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        dryRun: true,
+        total: 1,
+        valid: 0,
+        invalid: 1,
+        errors: [rowError]
+      });
+    });
+
+    it('should return 400 with row errors when the import is rejected', async () => {
+      // Arrange
+      req.body = csv;
+      studentService.importStudents.mockResolvedValue({ total: 1, invalid: 1, errors: [rowError], students: [] });
+
+      // Act
+      await studentController.importStudents(req, res, next);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'Import rejected: 1 invalid row(s), no student was imported',
+        details: [rowError]
+      });
+    });
+
+    it('should call next with error on service failure', async () => {
+      // Arrange
+      const error = new Error('Missing CSV column(s): sexe');
+      error.statusCode = 400;
+      studentService.importStudents.mockRejectedValue(error);
+
+      // Act
+      await studentController.importStudents(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('restore', () => {
+    it('should return 200 with the restored student', async () => {
+      // Arrange
+      req.params.id = mockIds.student1;
+      studentService.restoreStudent.mockResolvedValue(students.valid);
+
+      // Act
+      await studentController.restore(req, res, next);
+
+      // Assert
+      expect(studentService.restoreStudent).toHaveBeenCalledWith(mockIds.student1);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: students.valid
+      });
+    });
+
+    it('should call next when the student is not deleted', async () => {
+      // Arrange
+      req.params.id = mockIds.student1;
+      const error = Object.assign(new Error('Student is not deleted'), { statusCode: 409 });
+      studentService.restoreStudent.mockRejectedValue(error);
+
+      // Act
+      await studentController.restore(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
 });
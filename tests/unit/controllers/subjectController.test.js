@@ -81,7 +81,7 @@ describe('SubjectController', () => {
       await subjectController.getById(req, res, next);
 
       // Assert
-      expect(subjectService.getSubjectById).toHaveBeenCalledWith(mockIds.subject1);
+      expect(subjectService.getSubjectById).toHaveBeenCalledWith(mockIds.subject1, { includeDeleted: false });
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
@@ -207,7 +207,7 @@ describe('SubjectController', () => {
       await subjectController.delete(req, res, next);
 
       // Assert
-      expect(subjectService.deleteSubject).toHaveBeenCalledWith(mockIds.subject1);
+      expect(subjectService.deleteSubject).toHaveBeenCalledWith(mockIds.subject1, req.user, { cascade: undefined, to: undefined });
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
@@ -228,4 +228,36 @@ describe('SubjectController', () => {
       expect(next).toHaveBeenCalledWith(error);
     });
   });
+
+  describe('restore', () => {
+    it('should return 200 with the restored subject', async () => {
+      // Arrange
+      req.params.id = mockIds.subject1;
+      subjectService.restoreSubject.mockResolvedValue(subjects.valid);
+
+      // Act
+      await subjectController.restore(req, res, next);
+
+      // Assert
+      expect(subjectService.restoreSubject).toHaveBeenCalledWith(mockIds.subject1);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: subjects.valid
+      });
+    });
+
+    it('should call next when the subject is not deleted', async () => {
+      // Arrange
+      req.params.id = mockIds.subject1;
+      const error = Object.assign(new Error('Subject is not deleted'), { statusCode: 409 });
+      subjectService.restoreSubject.mockRejectedValue(error);
+
+      // Act
+      await subjectController.restore(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
 });
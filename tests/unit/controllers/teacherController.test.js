@@ -5,11 +5,13 @@
 
 const teacherController = require('../../../src/controllers/teacherController');
 const teacherService = require('../../../src/services/teacherService');
+const timetableService = require('../../../src/services/timetableService');
 const { createMockExpressContext } = require('../helpers/testUtils');
 const { teachers, mockIds, edgeCases } = require('../mocks/fixtures');
 
 // Mock the service layer
 jest.mock('../../../src/services/teacherService');
+jest.mock('../../../src/services/timetableService');
 
 describe('TeacherController', () => {
   let req, res, next;
@@ -21,37 +23,46 @@ describe('TeacherController', () => {
   });
 
   describe('getAll', () => {
-    it('should return 200 with all teachers', async () => {
+    it('should return 200 with all teachers when no page is requested', async () => {
       // Arrange
       const mockTeachers = [teachers.valid];
-      teacherService.getAllTeachers.mockResolvedValue(mockTeachers);
+      teacherService.getAllTeachers.mockResolvedValue({ data: mockTeachers, total: 1, page: 1, limit: null, totalPages: 1 });
 
       // Act
       await teacherController.getAll(req, res, next);
 
       // Assert
-      expect(teacherService.getAllTeachers).toHaveBeenCalled();
+      expect(teacherService.getAllTeachers).toHaveBeenCalledWith({ page: 1, limit: undefined, sort: undefined, fields: undefined, includeDeleted: false });
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
         count: mockTeachers.length,
+        total: 1,
+        page: 1,
+        limit: null,
+        totalPages: 1,
         data: mockTeachers
       });
       expect(next).not.toHaveBeenCalled();
     });
 
-    it('should return 200 with empty array when no teachers', async () => {
+    it('should pass page, limit, sort and fields query params to the service', async () => {
       // Arrange
-      teacherService.getAllTeachers.mockResolvedValue([]);
+      req.query = { page: '2', limit: '10', sort: 'prenom,-nom', fields: 'nom,prenom' };
+      teacherService.getAllTeachers.mockResolvedValue({ data: [], total: 12, page: 2, limit: 10, totalPages: 2 });
 
       // Act
       await teacherController.getAll(req, res, next);
 
       // Assert
-      expect(res.status).toHaveBeenCalledWith(200);
+      expect(teacherService.getAllTeachers).toHaveBeenCalledWith({ page: 2, limit: 10, sort: 'prenom -nom', fields: 'nom prenom', includeDeleted: false });
       expect(res.json).toHaveBeenCalledWith({
         success: true,
         count: 0,
+        total: 12,
+        page: 2,
+        limit: 10,
+        totalPages: 2,
         data: []
       });
     });
@@ -100,7 +111,7 @@ describe('TeacherController', () => {
       await teacherController.getById(req, res, next);
 
       // Assert
-      expect(teacherService.getTeacherById).toHaveBeenCalledWith(mockIds.teacher1);
+      expect(teacherService.getTeacherById).toHaveBeenCalledWith(mockIds.teacher1, { includeDeleted: false });
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
@@ -135,6 +146,39 @@ describe('TeacherController', () => {
     });
   });
 
+  describe('getTimetable', () => {
+    it('should return 200 with the weekly timetable of the teacher', async () => {
+      // Arrange
+      req.params.id = mockIds.teacher1;
+      const mockTimetable = { teacher: { _id: mockIds.teacher1 }, days: [{ jour: 'lundi', slots: [] }] };
+      timetableService.getTeacherTimetable.mockResolvedValue(mockTimetable);
+
+      // Act
+      await teacherController.getTimetable(req, res, next);
+
+      // Assert
+      expect(timetableService.getTeacherTimetable).toHaveBeenCalledWith(mockIds.teacher1);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: mockTimetable
+      });
+    });
+
+    it('should call next when teacher not found', async () => {
+      // Arrange
+      const error = new Error('Teacher not found');
+      error.statusCode = 404;
+      timetableService.getTeacherTimetable.mockRejectedValue(error);
+
+      // Act
+      await teacherController.getTimetable(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
   describe('create', () => {
     it('should return 201 with created teacher', async () => {
       // Arrange
@@ -226,7 +270,7 @@ describe('TeacherController', () => {
       await teacherController.delete(req, res, next);
 
       // Assert
-      expect(teacherService.deleteTeacher).toHaveBeenCalledWith(mockIds.teacher1);
+      expect(teacherService.deleteTeacher).toHaveBeenCalledWith(mockIds.teacher1, req.user, { cascade: undefined, to: undefined });
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
@@ -234,6 +278,23 @@ describe('TeacherController', () => {
       });
     });
 
+    it('should pass the cascade mode and target', async () => {
+      // Arrange
+      req.params.id = mockIds.teacher1;
+      req.query = { cascade: 'reassign', to: mockIds.teacher2 };
+      teacherService.deleteTeacher.mockResolvedValue(teachers.valid);
+
+      // Act
+      await teacherController.delete(req, res, next);
+
+      // Assert
+      expect(teacherService.deleteTeacher).toHaveBeenCalledWith(
+        mockIds.teacher1,
+        req.user,
+        { cascade: 'reassign', to: mockIds.teacher2 }
+      );
+    });
+
     it('should call next when teacher not found', async () => {
       // Arrange
       req.params.id = edgeCases.nonExistentId;
@@ -247,4 +308,36 @@ describe('TeacherController', () => {
       expect(next).toHaveBeenCalledWith(error);
     });
   });
+
+  describe('restore', () => {
+    it('should return 200 with the restored teacher', async () => {
+      // Arrange
+      req.params.id = mockIds.teacher1;
+      teacherService.restoreTeacher.mockResolvedValue(teachers.valid);
+
+      // Act
+      await teacherController.restore(req, res, next);
+
+      // Assert
+      expect(teacherService.restoreTeacher).toHaveBeenCalledWith(mockIds.teacher1);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: teachers.valid
+      });
+    });
+
+    it('should call next when the teacher is not deleted', async () => {
+      // Arrange
+      req.params.id = mockIds.teacher1;
+      const error = Object.assign(new Error('Teacher is not deleted'), { statusCode: 409 });
+      teacherService.restoreTeacher.mockRejectedValue(error);
+
+      // Act
+      await teacherController.restore(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
 });
@@ -0,0 +1,150 @@
+/**
+ * Unit Tests for TeachingAssignmentController
+ * Tests HTTP request/response handling with mocked service layer
+ */
+
+const teachingAssignmentController = require('../../../src/controllers/teachingAssignmentController');
+const teachingAssignmentService = require('../../../src/services/teachingAssignmentService');
+const { createMockExpressContext } = require('../helpers/testUtils');
+const { teachingAssignments, mockIds } = require('../mocks/fixtures');
+
+// Mock the service layer
+jest.mock('../../../src/services/teachingAssignmentService');
+
+describe('TeachingAssignmentController', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    ({ req, res, next } = createMockExpressContext());
+    jest.clearAllMocks();
+  });
+
+  describe('getAll', () => {
+    it('should return 200 with a page of teaching assignments', async () => {
+      // Arrange
+      req.query = { class: mockIds.class1, year: '2024-2025', page: '1', limit: '20' };
+      teachingAssignmentService.getAllAssignments.mockResolvedValue({
+        data: [teachingAssignments.valid], total: 1, page: 1, limit: 20, totalPages: 1
+      });
+
+      // Act
+      await teachingAssignmentController.getAll(req, res, next);
+
+      // Assert
+      expect(teachingAssignmentService.getAllAssignments).toHaveBeenCalledWith(
+        { teacher: undefined, class: mockIds.class1, subject: undefined, year: '2024-2025' },
+        expect.objectContaining({ page: 1, limit: 20 })
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        count: 1,
+        total: 1,
+        page: 1,
+        limit: 20,
+        totalPages: 1,
+        data: [teachingAssignments.valid]
+      });
+    });
+
+    it('should call next on service error', async () => {
+      // Arrange
+      const error = new Error('Database error');
+      teachingAssignmentService.getAllAssignments.mockRejectedValue(error);
+
+      // Act
+      await teachingAssignmentController.getAll(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('getById', () => {
+    it('should return 200 with the assignment', async () => {
+      // Arrange
+      req.params.id = mockIds.assignment1;
+      teachingAssignmentService.getAssignmentById.mockResolvedValue(teachingAssignments.valid);
+
+      // Act
+      await teachingAssignmentController.getById(req, res, next);
+
+      // Assert
+      expect(teachingAssignmentService.getAssignmentById).toHaveBeenCalledWith(mockIds.assignment1);
+      expect(res.json).toHaveBeenCalledWith({ success: true, data: teachingAssignments.valid });
+    });
+  });
+
+  describe('create', () => {
+    it('should return 201 with created assignment', async () => {
+      // Arrange
+      req.body = teachingAssignments.validInput;
+      teachingAssignmentService.createAssignment.mockResolvedValue(teachingAssignments.valid);
+
+      // Act
+      await teachingAssignmentController.create(req, res, next);
+
+      // Assert
+      expect(teachingAssignmentService.createAssignment).toHaveBeenCalledWith(teachingAssignments.validInput);
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith({ success: true, data: teachingAssignments.valid });
+    });
+
+    it('should call next when the assignment already exists', async () => {
+      // Arrange
+      const error = new Error('This teacher is already assigned to this subject in this class for the school year');
+      error.statusCode = 409;
+      teachingAssignmentService.createAssignment.mockRejectedValue(error);
+
+      // Act
+      await teachingAssignmentController.create(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('update', () => {
+    it('should return 200 with updated assignment', async () => {
+      // Arrange
+      req.params.id = mockIds.assignment1;
+      req.body = { anneeScolaire: '2025-2026' };
+      teachingAssignmentService.updateAssignment.mockResolvedValue({ ...teachingAssignments.valid, anneeScolaire: '2025-2026' });
+
+      // Act
+      await teachingAssignmentController.update(req, res, next);
+
+      // Assert
+      expect(teachingAssignmentService.updateAssignment).toHaveBeenCalledWith(mockIds.assignment1, req.body);
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe('delete', () => {
+    it('should return 200 with success message', async () => {
+      // Arrange
+      req.params.id = mockIds.assignment1;
+      teachingAssignmentService.deleteAssignment.mockResolvedValue(teachingAssignments.valid);
+
+      // Act
+      await teachingAssignmentController.delete(req, res, next);
+
+      // Assert
+      expect(res.json).toHaveBeenCalledWith({ success: true, message: 'Teaching assignment deleted successfully' });
+    });
+
+    it('should call next when assignment not found', async () => {
+      // Arrange
+      const error = new Error('Teaching assignment not found');
+      error.statusCode = 404;
+      teachingAssignmentService.deleteAssignment.mockRejectedValue(error);
+
+      // Act
+      await teachingAssignmentController.delete(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Unit Tests for TimetableController
+ * Tests HTTP request/response handling with mocked service layer
+ */
+
+const timetableController = require('../../../src/controllers/timetableController');
+const timetableService = require('../../../src/services/timetableService');
+const { createMockExpressContext } = require('../helpers/testUtils');
+const { timetableSlots, mockIds } = require('../mocks/fixtures');
+
+// Mock the service layer
+jest.mock('../../../src/services/timetableService');
+
+describe('TimetableController', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    ({ req, res, next } = createMockExpressContext());
+    jest.clearAllMocks();
+  });
+
+  describe('getAll', () => {
+    it('should return 200 with a page of timetable slots', async () => {
+      // Arrange
+      req.query = { class: mockIds.class1, day: 'lundi', page: '1', limit: '20' };
+      timetableService.getAllSlots.mockResolvedValue({
+        data: [timetableSlots.valid], total: 1, page: 1, limit: 20, totalPages: 1
+      });
+
+      // Act
+      await timetableController.getAll(req, res, next);
+
+      // Assert
+      expect(timetableService.getAllSlots).toHaveBeenCalledWith(
+        { class: mockIds.class1, teacher: undefined, subject: undefined, day: 'lundi', room: undefined },
+        expect.objectContaining({ page: 1, limit: 20 })
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        count: 1,
+        total: 1,
+        page: 1,
+        limit: 20,
+        totalPages: 1,
+        data: [timetableSlots.valid]
+      });
+    });
+
+    it('should call next on service error', async () => {
+      // Arrange
+      const error = new Error('Database error');
+      timetableService.getAllSlots.mockRejectedValue(error);
+
+      // Act
+      await timetableController.getAll(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('getById', () => {
+    it('should return 200 with the slot', async () => {
+      // Arrange
+      req.params.id = mockIds.timetableSlot1;
+      timetableService.getSlotById.mockResolvedValue(timetableSlots.valid);
+
+      // Act
+      await timetableController.getById(req, res, next);
+
+      // Assert
+      expect(timetableService.getSlotById).toHaveBeenCalledWith(mockIds.timetableSlot1);
+      expect(res.json).toHaveBeenCalledWith({ success: true, data: timetableSlots.valid });
+    });
+  });
+
+  describe('create', () => {
+    it('should return 201 with created slot', async () => {
+      // Arrange
+      req.body = timetableSlots.validInput;
+      timetableService.createSlot.mockResolvedValue(timetableSlots.valid);
+
+      // Act
+      await timetableController.create(req, res, next);
+
+      // Assert
+      expect(timetableService.createSlot).toHaveBeenCalledWith(timetableSlots.validInput);
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith({ success: true, data: timetableSlots.valid });
+    });
+
+    it('should call next on a timetable conflict', async () => {
+      // Arrange
+      const error = new Error('Timetable conflict: teacher already booked on lundi between 08:30 and 09:25');
+      error.statusCode = 409;
+      timetableService.createSlot.mockRejectedValue(error);
+
+      // Act
+      await timetableController.create(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('update', () => {
+    it('should return 200 with updated slot', async () => {
+      // Arrange
+      req.params.id = mockIds.timetableSlot1;
+      req.body = { salle: 'A03' };
+      timetableService.updateSlot.mockResolvedValue({ ...timetableSlots.valid, salle: 'A03' });
+
+      // Act
+      await timetableController.update(req, res, next);
+
+      // Assert
+      expect(timetableService.updateSlot).toHaveBeenCalledWith(mockIds.timetableSlot1, req.body);
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe('delete', () => {
+    it('should return 200 with success message', async () => {
+      // Arrange
+      req.params.id = mockIds.timetableSlot1;
+      timetableService.deleteSlot.mockResolvedValue(timetableSlots.valid);
+
+      // Act
+      await timetableController.delete(req, res, next);
+
+      // Assert
+      expect(res.json).toHaveBeenCalledWith({ success: true, message: 'Timetable slot deleted successfully' });
+    });
+
+    it('should call next when slot not found', async () => {
+      // Arrange
+      const error = new Error('Timetable slot not found');
+      error.statusCode = 404;
+      timetableService.deleteSlot.mockRejectedValue(error);
+
+      // Act
+      await timetableController.delete(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+});
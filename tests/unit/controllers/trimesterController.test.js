@@ -30,7 +30,7 @@ describe('TrimesterController', () => {
       await trimesterController.getAll(req, res, next);
 
       // Assert
-      expect(trimesterService.getAllTrimesters).toHaveBeenCalled();
+      expect(trimesterService.getAllTrimesters).toHaveBeenCalledWith({ year: undefined }, { includeDeleted: false });
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
@@ -81,7 +81,7 @@ describe('TrimesterController', () => {
       await trimesterController.getById(req, res, next);
 
       // Assert
-      expect(trimesterService.getTrimesterById).toHaveBeenCalledWith(mockIds.trimester1);
+      expect(trimesterService.getTrimesterById).toHaveBeenCalledWith(mockIds.trimester1, { includeDeleted: false });
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
@@ -207,7 +207,7 @@ describe('TrimesterController', () => {
       await trimesterController.delete(req, res, next);
 
       // Assert
-      expect(trimesterService.deleteTrimester).toHaveBeenCalledWith(mockIds.trimester1);
+      expect(trimesterService.deleteTrimester).toHaveBeenCalledWith(mockIds.trimester1, req.user, { cascade: undefined, to: undefined });
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
@@ -228,4 +228,108 @@ describe('TrimesterController', () => {
       expect(next).toHaveBeenCalledWith(error);
     });
   });
+
+  describe('getCurrent', () => {
+    it('should return 200 with the current trimester', async () => {
+      // Arrange
+      trimesterService.getCurrentTrimester.mockResolvedValue(trimesters.valid);
+
+      // Act
+      await trimesterController.getCurrent(req, res, next);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ success: true, data: trimesters.valid });
+    });
+
+    it('should pass a 404 to next when no trimester covers today', async () => {
+      // Arrange
+      const error = Object.assign(new Error('No trimester covers the current date'), { statusCode: 404 });
+      trimesterService.getCurrentTrimester.mockRejectedValue(error);
+
+      // Act
+      await trimesterController.getCurrent(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('lock', () => {
+    it('should return 200 with the locked trimester', async () => {
+      // Arrange
+      req.params.id = mockIds.trimester1;
+      req.user = { _id: mockIds.user1, role: 'admin' };
+      const locked = { ...trimesters.valid, verrouille: true };
+      trimesterService.lockTrimester.mockResolvedValue(locked);
+
+      // Act
+      await trimesterController.lock(req, res, next);
+
+      // Assert
+      expect(trimesterService.lockTrimester).toHaveBeenCalledWith(mockIds.trimester1, req.user);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ success: true, data: locked });
+    });
+  });
+
+  describe('unlock', () => {
+    it('should return 200 with the unlocked trimester', async () => {
+      // Arrange
+      req.params.id = mockIds.trimester1;
+      trimesterService.unlockTrimester.mockResolvedValue(trimesters.valid);
+
+      // Act
+      await trimesterController.unlock(req, res, next);
+
+      // Assert
+      expect(trimesterService.unlockTrimester).toHaveBeenCalledWith(mockIds.trimester1);
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should call next on service error', async () => {
+      // Arrange
+      const error = new Error('Database error');
+      trimesterService.unlockTrimester.mockRejectedValue(error);
+
+      // Act
+      await trimesterController.unlock(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('restore', () => {
+    it('should return 200 with the restored trimester', async () => {
+      // Arrange
+      req.params.id = mockIds.trimester1;
+      trimesterService.restoreTrimester.mockResolvedValue(trimesters.valid);
+
+      // Act
+      await trimesterController.restore(req, res, next);
+
+      // Assert
+      expect(trimesterService.restoreTrimester).toHaveBeenCalledWith(mockIds.trimester1);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: trimesters.valid
+      });
+    });
+
+    it('should call next when the trimester is not deleted', async () => {
+      // Arrange
+      req.params.id = mockIds.trimester1;
+      const error = Object.assign(new Error('Trimester is not deleted'), { statusCode: 409 });
+      trimesterService.restoreTrimester.mockRejectedValue(error);
+
+      // Act
+      await trimesterController.restore(req, res, next);
+
+      // Assert
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
 });
@@ -127,6 +127,23 @@ describe('authMiddleware', () => {
       });
     });
 
+    it('should reject token of a revoked session', async () => {
+      // Arrange
+      req.headers.authorization = 'Bearer revokedtoken';
+      authService.verifyToken.mockRejectedValue(new Error('Token verification failed: Session revoked'));
+
+      // Act
+      await authMiddleware.protect(req, res, next);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'Access denied. Session has been revoked.'
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+
     it('should reject token with invalid signature', async () => {
       // Arrange
       req.headers.authorization = 'Bearer tamperedtoken';
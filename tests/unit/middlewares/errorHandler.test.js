@@ -192,6 +192,20 @@ describe('errorHandler', () => {
       // Assert
       expect(res.status).toHaveBeenCalledWith(400);
     });
+
+    it('should include details when provided on error object', () => {
+      // Arrange
+      const error = new Error('Teacher is still referenced');
+      error.statusCode = 409;
+      error.details = { classes: 2 };
+
+      // Act
+      errorHandler(error, req, res, next);
+
+      // Assert
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json.mock.calls[0][0].details).toEqual({ classes: 2 });
+    });
   });
 
   describe('Environment-Specific Behavior', () => {
@@ -0,0 +1,86 @@
+/**
+ * Unit Tests for Rate Limiter Middleware
+ * Tests the stricter limiters of login and registration, and of password resets, on a minimal app
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { createAuthLimiter, createPasswordResetLimiter } = require('../../../src/middlewares/rateLimiter');
+
+const createApp = () => {
+  const app = express();
+  const limiter = createAuthLimiter();
+  app.post('/login', limiter, (req, res) => res.status(200).json({ success: true }));
+  app.post('/register', limiter, (req, res) => res.status(201).json({ success: true }));
+  return app;
+};
+
+describe('authLimiter', () => {
+  afterEach(() => {
+    delete process.env.AUTH_RATE_LIMIT_MAX_REQUESTS;
+  });
+
+  it('should allow 10 requests per IP by default, then answer 429', async () => {
+    const app = createApp();
+
+    for (let i = 0; i < 10; i++) {
+      await request(app).post('/login').expect(200);
+    }
+    const response = await request(app).post('/login');
+
+    expect(response.status).toBe(429);
+    expect(response.body).toEqual({
+      success: false,
+      error: 'Too many authentication attempts from this IP, please try again later.'
+    });
+  });
+
+  it('should share the count between login and registration', async () => {
+    process.env.AUTH_RATE_LIMIT_MAX_REQUESTS = '2';
+    const app = createApp();
+
+    await request(app).post('/register').expect(201);
+    await request(app).post('/login').expect(200);
+
+    await request(app).post('/register').expect(429);
+  });
+});
+
+describe('passwordResetLimiter', () => {
+  const createResetApp = () => {
+    const app = express();
+    const limiter = createPasswordResetLimiter();
+    app.post('/forgot-password', limiter, (req, res) => res.status(200).json({ success: true }));
+    app.post('/reset-password', limiter, (req, res) => res.status(200).json({ success: true }));
+    return app;
+  };
+
+  afterEach(() => {
+    delete process.env.PASSWORD_RESET_RATE_LIMIT_MAX_REQUESTS;
+  });
+
+  it('should allow 5 requests per IP by default, then answer 429', async () => {
+    const app = createResetApp();
+
+    for (let i = 0; i < 5; i++) {
+      await request(app).post('/forgot-password').expect(200);
+    }
+    const response = await request(app).post('/forgot-password');
+
+    expect(response.status).toBe(429);
+    expect(response.body).toEqual({
+      success: false,
+      error: 'Too many password reset requests from this IP, please try again later.'
+    });
+  });
+
+  it('should share the count between forgot-password and reset-password', async () => {
+    process.env.PASSWORD_RESET_RATE_LIMIT_MAX_REQUESTS = '2';
+    const app = createResetApp();
+
+    await request(app).post('/forgot-password').expect(200);
+    await request(app).post('/reset-password').expect(200);
+
+    await request(app).post('/forgot-password').expect(429);
+  });
+});
@@ -18,7 +18,15 @@ const mockIds = {
     trimester1: new ObjectId().toString(),
     trimester2: new ObjectId().toString(),
     grade1: new ObjectId().toString(),
-    user1: new ObjectId().toString()
+    grade2: new ObjectId().toString(),
+    evaluation1: new ObjectId().toString(),
+    attendance1: new ObjectId().toString(),
+    timetableSlot1: new ObjectId().toString(),
+    assignment1: new ObjectId().toString(),
+    academicYear1: new ObjectId().toString(),
+    academicYear2: new ObjectId().toString(),
+    user1: new ObjectId().toString(),
+    user2: new ObjectId().toString()
 };
 
 // Teacher fixtures
@@ -136,10 +144,40 @@ const validTrimester = {
     _id: mockIds.trimester1,
     nom: 'TRIM01',
     date: new Date('2023-12-01'),
+    dateDebut: new Date('2023-12-01'),
+    dateFin: new Date('2024-02-29'),
     createdAt: new Date(),
     updatedAt: new Date()
 };
 
+const validTrimesterInput = {
+    nom: 'TRIM02',
+    dateDebut: '2024-03-01',
+    dateFin: '2024-06-28'
+};
+
+const invalidTrimesterInput = {
+    nom: '',  // Invalid: empty string
+    dateDebut: '2024-03-01',
+    dateFin: '2024-06-28'
+};
+
+// Academic year fixtures
+const validAcademicYear = {
+    _id: mockIds.academicYear1,
+    nom: '2024-2025',
+    archivee: false,
+    createdAt: new Date(),
+    updatedAt: new Date()
+};
+
+const archivedAcademicYear = {
+    _id: mockIds.academicYear2,
+    nom: '2023-2024',
+    archivee: true,
+    dateArchivage: new Date('2024-07-05')
+};
+
 // Grade fixtures
 const validGrade = {
   _id: mockIds.grade1,
@@ -193,6 +231,92 @@ const validGradeInput = {
   coefficient: 1,
 };
 
+// Evaluation fixtures
+const validEvaluation = {
+    _id: mockIds.evaluation1,
+    titre: 'Contrôle fractions',
+    date: new Date('2024-10-14'),
+    idclasse: mockIds.class1,
+    idmatiere: mockIds.subject1,
+    idprof: mockIds.teacher1,
+    idtrimestre: mockIds.trimester1,
+    coefficient: 2,
+    bareme: 40
+};
+
+const validEvaluationInput = {
+    titre: 'Contrôle fractions',
+    date: '2024-10-14',
+    idclasse: mockIds.class1,
+    idmatiere: mockIds.subject1,
+    idprof: mockIds.teacher1,
+    idtrimestre: mockIds.trimester1,
+    coefficient: 2,
+    bareme: 40
+};
+
+// Attendance fixtures
+const validAttendance = {
+    _id: mockIds.attendance1,
+    ideleve: mockIds.student1,
+    idclasse: mockIds.class1,
+    idtrimestre: mockIds.trimester1,
+    date: new Date('2024-10-14'),
+    creneau: '08:30-09:25',
+    type: 'late',
+    minutesRetard: 10,
+    justifiee: false,
+    justification: { justificatif: false }
+};
+
+const validAttendanceInput = {
+    ideleve: mockIds.student1,
+    idclasse: mockIds.class1,
+    idtrimestre: mockIds.trimester1,
+    date: '2024-10-14',
+    creneau: '08:30-09:25',
+    type: 'late',
+    minutesRetard: 10
+};
+
+// Timetable fixtures
+const validTimetableSlot = {
+    _id: mockIds.timetableSlot1,
+    idclasse: mockIds.class1,
+    idmatiere: mockIds.subject1,
+    idprof: mockIds.teacher1,
+    jour: 'lundi',
+    heureDebut: '08:30',
+    heureFin: '09:25',
+    salle: 'B12'
+};
+
+const validTimetableSlotInput = {
+    idclasse: mockIds.class1,
+    idmatiere: mockIds.subject1,
+    idprof: mockIds.teacher1,
+    jour: 'lundi',
+    heureDebut: '08:30',
+    heureFin: '09:25',
+    salle: 'B12'
+};
+
+// Teaching assignment fixtures
+const validTeachingAssignment = {
+    _id: mockIds.assignment1,
+    idprof: mockIds.teacher1,
+    idclasse: mockIds.class1,
+    idmatiere: mockIds.subject1,
+    anneeScolaire: '2024-2025'
+};
+
+const validTeachingAssignmentInput = {
+    idprof: mockIds.teacher1,
+    idclasse: mockIds.class1,
+    idmatiere: mockIds.subject1,
+    anneeScolaire: '2024-2025'
+};
+
 const invalidGradeNote = {
   ideleve: mockIds.student1,
   idclasse: mockIds.class1,
@@ -292,7 +416,13 @@ module.exports = {
     valid: validSubject
   },
   trimesters: {
-    valid: validTrimester
+    valid: validTrimester,
+    validInput: validTrimesterInput,
+    invalid: invalidTrimesterInput
+  },
+  academicYears: {
+    valid: validAcademicYear,
+    archived: archivedAcademicYear
   },
   grades: {
     valid: validGrade,
@@ -301,6 +431,22 @@ module.exports = {
     invalidNote: invalidGradeNote,
     invalidReference: invalidGradeReference
   },
+  evaluations: {
+    valid: validEvaluation,
+    validInput: validEvaluationInput
+  },
+  attendances: {
+    valid: validAttendance,
+    validInput: validAttendanceInput
+  },
+  timetableSlots: {
+    valid: validTimetableSlot,
+    validInput: validTimetableSlotInput
+  },
+  teachingAssignments: {
+    valid: validTeachingAssignment,
+    validInput: validTeachingAssignmentInput
+  },
   users: {
     valid: validUser,
     validInput: validUserInput,
@@ -49,6 +49,24 @@ const createMockModel = (ModelName) => {
   return MockModel;
 };
 
+/**
+ * Create a chainable and awaitable query mock
+ * Every chain method returns the query itself; awaiting the query (or calling exec)
+ * resolves to result, or rejects with error when one is given
+ */
+const createQueryMock = (result, error) => {
+  const query = {};
+  ['populate', 'select', 'sort', 'skip', 'limit', 'lean', 'session', 'setOptions'].forEach(method => {
+    query[method] = jest.fn().mockReturnValue(query);
+  });
+
+  const settle = () => (error ? Promise.reject(error) : Promise.resolve(result));
+  query.exec = jest.fn(settle);
+  query.then = (resolve, reject) => settle().then(resolve, reject);
+
+  return query;
+};
+
 /**
  * Quick setup for common patterns
  */
@@ -87,5 +105,6 @@ const setupModelMock = {
 module.exports = {
   createModelMock,
   createMockModel,
+  createQueryMock,
   setupModelMock
 };
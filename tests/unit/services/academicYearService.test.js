@@ -0,0 +1,474 @@
+/**
+ * Unit Tests for Academic Year Service
+ *
+ * Tests the school years owning classes and trimesters.
+ *
+ * Core Functionality Tests:
+ * - Academic year CRUD operations, unique labels, deletion of empty years only
+ * - Rollover: next year's classes, student promotion, archiving, all in one transaction
+ * - Read-only archived years and year filters used by other services
+ *
+ * Mock Architecture:
+ * - All referenced models mocked for isolation
+ */
+
+const mongoose = require('mongoose');
+const academicYearService = require('../../../src/services/academicYearService');
+const auditService = require('../../../src/services/auditService');
+const AcademicYear = require('../../../src/models/AcademicYear');
+const Class = require('../../../src/models/Class');
+const Trimester = require('../../../src/models/Trimester');
+const Student = require('../../../src/models/Student');
+const Teacher = require('../../../src/models/Teacher');
+const TeachingAssignment = require('../../../src/models/TeachingAssignment');
+const { createQueryMock } = require('../mocks/modelMocks');
+const { academicYears, mockIds } = require('../mocks/fixtures');
+const { schoolYearOf } = require('../../../src/utils/schoolYear');
+
+jest.mock('../../../src/models/AcademicYear');
+jest.mock('../../../src/models/Class');
+jest.mock('../../../src/models/Trimester');
+jest.mock('../../../src/models/Student');
+jest.mock('../../../src/models/Teacher');
+jest.mock('../../../src/models/TeachingAssignment');
+jest.mock('../../../src/services/auditService');
+
+describe('AcademicYearService', () => {
+  // Academic year document, saved in place
+  const yearDocument = (values = {}) => ({
+    ...academicYears.valid,
+    ...values,
+    save: jest.fn().mockResolvedValue(),
+    deleteOne: jest.fn().mockResolvedValue()
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Class.find.mockReset();
+  });
+
+  describe('getAllYears', () => {
+    it('should return the years, most recent first', async () => {
+      const sort = jest.fn().mockResolvedValue([academicYears.valid]);
+      AcademicYear.find.mockReturnValue({ sort });
+
+      const result = await academicYearService.getAllYears();
+
+      expect(sort).toHaveBeenCalledWith({ nom: -1 });
+      expect(result).toEqual([academicYears.valid]);
+    });
+  });
+
+  describe('getYearById', () => {
+    it('should throw 404 when the year does not exist', async () => {
+      AcademicYear.findById.mockResolvedValue(null);
+
+      await expect(academicYearService.getYearById(mockIds.academicYear1))
+        .rejects.toMatchObject({ statusCode: 404, message: 'Academic year not found' });
+    });
+  });
+
+  describe('createYear', () => {
+    it('should create the year', async () => {
+      AcademicYear.exists.mockResolvedValue(null);
+      AcademicYear.create.mockResolvedValue(academicYears.valid);
+
+      const result = await academicYearService.createYear({ nom: '2024-2025', archivee: true });
+
+      expect(AcademicYear.create).toHaveBeenCalledWith({ nom: '2024-2025' });
+      expect(result).toEqual(academicYears.valid);
+    });
+
+    it('should throw 409 when the year already exists', async () => {
+      AcademicYear.exists.mockResolvedValue({ _id: mockIds.academicYear1 });
+
+      await expect(academicYearService.createYear({ nom: '2024-2025' }))
+        .rejects.toMatchObject({ statusCode: 409, message: 'Academic year 2024-2025 already exists' });
+      expect(AcademicYear.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateYear', () => {
+    it('should rename the year', async () => {
+      const year = yearDocument();
+      AcademicYear.findById.mockResolvedValue(year);
+      AcademicYear.exists.mockResolvedValue(null);
+
+      const result = await academicYearService.updateYear(mockIds.academicYear1, { nom: '2025-2026' });
+
+      expect(AcademicYear.exists).toHaveBeenCalledWith({ nom: '2025-2026' });
+      expect(year.save).toHaveBeenCalled();
+      expect(result.nom).toBe('2025-2026');
+    });
+
+    it('should refuse to modify an archived year', async () => {
+      AcademicYear.findById.mockResolvedValue(yearDocument(academicYears.archived));
+
+      await expect(academicYearService.updateYear(mockIds.academicYear2, { nom: '2022-2023' }))
+        .rejects.toMatchObject({ statusCode: 409, message: 'Academic year 2023-2024 is archived and read-only' });
+    });
+  });
+
+  describe('deleteYear', () => {
+    it('should delete a year without classes or trimesters', async () => {
+      const year = yearDocument();
+      AcademicYear.findById.mockResolvedValue(year);
+      Class.countDocuments.mockResolvedValue(0);
+      Trimester.countDocuments.mockResolvedValue(0);
+
+      const result = await academicYearService.deleteYear(mockIds.academicYear1);
+
+      expect(year.deleteOne).toHaveBeenCalled();
+      expect(result).toBe(year);
+    });
+
+    it('should throw 409 while classes or trimesters belong to the year', async () => {
+      const year = yearDocument();
+      AcademicYear.findById.mockResolvedValue(year);
+      Class.countDocuments.mockResolvedValue(4);
+      Trimester.countDocuments.mockResolvedValue(3);
+
+      await expect(academicYearService.deleteYear(mockIds.academicYear1)).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'Cannot delete an academic year with classes (4) or trimesters (3)'
+      });
+      expect(year.deleteOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('rollover', () => {
+    const cm1 = { _id: mockIds.class1, nom: 'CM1-A', prof: mockIds.teacher1, idannee: mockIds.academicYear1 };
+    const cm2 = { _id: mockIds.class2, nom: 'CM2-A', prof: mockIds.teacher2, idannee: mockIds.academicYear1 };
+    const nextYear = { _id: 'next-year', nom: '2025-2026', deleteOne: jest.fn().mockResolvedValue() };
+    let source;
+    let session;
+
+    const mockRollover = ({ target = null, students = [] } = {}) => {
+      session = { withTransaction: jest.fn(async callback => callback()), endSession: jest.fn() };
+      jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+      source = yearDocument();
+      AcademicYear.findById.mockResolvedValue(source);
+      AcademicYear.findOne.mockResolvedValue(target);
+      AcademicYear.mockImplementation(data => ({ _id: 'next-year', ...data }));
+      AcademicYear.create.mockResolvedValue([nextYear]);
+      Class.find
+        .mockResolvedValueOnce([cm1, cm2])
+        .mockReturnValueOnce(createQueryMock([]));
+      Class.mockImplementation(data => ({ _id: `class-${data.nom}`, ...data }));
+      Class.insertMany.mockResolvedValue();
+      Teacher.find.mockReturnValue(createQueryMock([{ _id: mockIds.teacher1 }, { _id: mockIds.teacher2 }]));
+      Student.find.mockReturnValue(createQueryMock(students));
+      Student.updateMany.mockResolvedValue({ modifiedCount: 24 });
+      Student.updateOne.mockResolvedValue({ modifiedCount: 1 });
+      Student.countDocuments.mockResolvedValue(2);
+      TeachingAssignment.find.mockResolvedValue([]);
+      TeachingAssignment.mockImplementation(data => ({ _id: `assignment-${data.idmatiere}`, ...data }));
+      TeachingAssignment.insertMany.mockResolvedValue();
+    };
+
+    it('should create the classes of the next year, promote students and archive the year', async () => {
+      const studentDocument = (_id) => ({
+        _id,
+        classe: mockIds.class1,
+        classesPrecedentes: [],
+        toObject: () => ({ _id, classe: mockIds.class1, classesPrecedentes: [] })
+      });
+      const repeater = studentDocument(mockIds.student1);
+      const promoted = studentDocument(mockIds.student2);
+      mockRollover();
+      Student.find
+        .mockReturnValueOnce(createQueryMock([repeater]))
+        .mockReturnValueOnce(createQueryMock([promoted]));
+      const math = { idprof: mockIds.teacher2, idmatiere: mockIds.subject1, idclasse: mockIds.class1 };
+      TeachingAssignment.find.mockResolvedValue([
+        { ...math, anneeScolaire: '2024-2025' },
+        { ...math, anneeScolaire: '2023-2024' },
+        { idprof: mockIds.teacher1, idmatiere: mockIds.subject2, idclasse: mockIds.class2 }
+      ]);
+
+      const result = await academicYearService.rollover(mockIds.academicYear1, {
+        classes: [
+          { nom: 'CM2-A', from: mockIds.class1 },
+          { nom: 'CM1-A', prof: mockIds.teacher2 }
+        ],
+        students: [{ ideleve: mockIds.student1, classe: 'CM1-A' }]
+      });
+
+      expect(session.withTransaction).toHaveBeenCalled();
+      expect(AcademicYear.create).toHaveBeenCalledWith([{ _id: 'next-year', nom: '2025-2026' }], { session });
+      expect(Class).toHaveBeenCalledWith({ nom: 'CM2-A', prof: mockIds.teacher1, idannee: 'next-year' });
+      expect(Class).toHaveBeenCalledWith({ nom: 'CM1-A', prof: mockIds.teacher2, idannee: 'next-year' });
+      expect(Class.insertMany).toHaveBeenCalledWith(expect.any(Array), { ordered: true, session });
+      expect(TeachingAssignment.find).toHaveBeenCalledWith({ idclasse: { $in: [mockIds.class1] } });
+      expect(TeachingAssignment).toHaveBeenCalledTimes(1);
+      expect(TeachingAssignment).toHaveBeenCalledWith({
+        idprof: mockIds.teacher2,
+        idmatiere: mockIds.subject1,
+        idclasse: 'class-CM2-A',
+        anneeScolaire: '2025-2026'
+      });
+      expect(TeachingAssignment.insertMany).toHaveBeenCalledWith(expect.any(Array), { ordered: true, session });
+      expect(Student.updateMany).toHaveBeenCalledTimes(1);
+      expect(Student.updateMany).toHaveBeenCalledWith(
+        { classe: mockIds.class1, _id: { $nin: [mockIds.student1] } },
+        { $set: { classe: 'class-CM2-A' }, $push: { classesPrecedentes: mockIds.class1 } },
+        { session }
+      );
+      expect(Student.updateOne).toHaveBeenCalledWith(
+        { _id: mockIds.student1 },
+        { $set: { classe: 'class-CM1-A' }, $push: { classesPrecedentes: mockIds.class1 } },
+        { session }
+      );
+      expect(auditService.recordMany).toHaveBeenCalledWith([
+        { action: 'create', entity: 'Class', after: expect.objectContaining({ nom: 'CM2-A' }) },
+        { action: 'create', entity: 'Class', after: expect.objectContaining({ nom: 'CM1-A' }) }
+      ]);
+      expect(auditService.recordMany).toHaveBeenCalledWith([
+        {
+          action: 'update',
+          entity: 'Student',
+          before: promoted,
+          after: { _id: mockIds.student2, classe: 'class-CM2-A', classesPrecedentes: [mockIds.class1] }
+        },
+        {
+          action: 'update',
+          entity: 'Student',
+          before: repeater,
+          after: { _id: mockIds.student1, classe: 'class-CM1-A', classesPrecedentes: [mockIds.class1] }
+        }
+      ]);
+      expect(source.archivee).toBe(true);
+      expect(source.dateArchivage).toBeInstanceOf(Date);
+      expect(source.save).toHaveBeenCalledWith({ session });
+      expect(result).toMatchObject({ year: nextYear, archived: source, assignments: 1, promoted: 25, unassigned: 2 });
+    });
+
+    it('should reuse the next year when it already exists', async () => {
+      mockRollover({ target: { _id: 'next-year', nom: '2025-2026', archivee: false } });
+      Class.exists.mockResolvedValue(null);
+
+      await academicYearService.rollover(mockIds.academicYear1, { nom: '2025-2026', classes: [{ nom: 'CM2-A', from: mockIds.class1 }] });
+
+      expect(AcademicYear.create).not.toHaveBeenCalled();
+      expect(Class).toHaveBeenCalledWith({ nom: 'CM2-A', prof: mockIds.teacher1, idannee: 'next-year' });
+    });
+
+    it('should throw 409 when the year is already archived', async () => {
+      AcademicYear.findById.mockResolvedValue(yearDocument(academicYears.archived));
+
+      await expect(academicYearService.rollover(mockIds.academicYear2, { classes: [] }))
+        .rejects.toMatchObject({ statusCode: 409, message: 'Academic year 2023-2024 is already archived' });
+    });
+
+    it('should throw 400 when a mapped class belongs to another year', async () => {
+      mockRollover();
+
+      await expect(academicYearService.rollover(mockIds.academicYear1, {
+        classes: [{ nom: 'CM2-A', from: mockIds.evaluation1 }]
+      })).rejects.toMatchObject({
+        statusCode: 400,
+        message: `Class (${mockIds.evaluation1}) does not belong to academic year 2024-2025`
+      });
+      expect(AcademicYear.create).not.toHaveBeenCalled();
+      expect(Student.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should throw 400 when a new class has neither teacher nor source class', async () => {
+      mockRollover();
+
+      await expect(academicYearService.rollover(mockIds.academicYear1, { classes: [{ nom: 'CP-A' }] }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'A teacher (prof) is required for class CP-A' });
+    });
+
+    it('should throw 400 when a teacher does not exist', async () => {
+      mockRollover();
+      Teacher.find.mockReturnValue(createQueryMock([]));
+
+      await expect(academicYearService.rollover(mockIds.academicYear1, {
+        classes: [{ nom: 'CM2-A', from: mockIds.class1 }]
+      })).rejects.toMatchObject({ statusCode: 400, message: `Referenced teacher (${mockIds.teacher1}) not found` });
+    });
+
+    it('should throw 400 when a student is sent to a class the rollover does not create', async () => {
+      mockRollover({ students: [{ _id: mockIds.student1, classe: mockIds.class1 }] });
+
+      await expect(academicYearService.rollover(mockIds.academicYear1, {
+        classes: [{ nom: 'CM2-A', from: mockIds.class1 }],
+        students: [{ ideleve: mockIds.student1, classe: 'CE2-A' }]
+      })).rejects.toMatchObject({ statusCode: 400, message: 'Class CE2-A is not created by the rollover' });
+    });
+
+    it('should throw 400 when a student is not in a class of the year', async () => {
+      mockRollover({ students: [] });
+
+      await expect(academicYearService.rollover(mockIds.academicYear1, {
+        classes: [{ nom: 'CM2-A', from: mockIds.class1 }],
+        students: [{ ideleve: mockIds.student2, classe: 'CM2-A' }]
+      })).rejects.toMatchObject({
+        statusCode: 400,
+        message: `Student (${mockIds.student2}) is not in a class of academic year 2024-2025`
+      });
+    });
+
+    it('should throw 409 when the next year already has a class with the same name', async () => {
+      mockRollover({ target: { _id: 'next-year', nom: '2025-2026', archivee: false } });
+      Class.exists.mockResolvedValue({ _id: 'existing' });
+
+      await expect(academicYearService.rollover(mockIds.academicYear1, {
+        classes: [{ nom: 'CM2-A', from: mockIds.class1 }]
+      })).rejects.toMatchObject({ statusCode: 409 });
+      expect(Class.insertMany).not.toHaveBeenCalled();
+    });
+
+    it('should abort the transaction when the classes cannot be inserted', async () => {
+      mockRollover();
+      Class.insertMany.mockRejectedValue(new Error('E11000 duplicate key'));
+
+      await expect(academicYearService.rollover(mockIds.academicYear1, {
+        classes: [{ nom: 'CM2-A', from: mockIds.class1 }]
+      })).rejects.toThrow('E11000 duplicate key');
+      expect(session.endSession).toHaveBeenCalled();
+      expect(Student.updateMany).not.toHaveBeenCalled();
+      expect(source.save).not.toHaveBeenCalled();
+      expect(auditService.recordMany).not.toHaveBeenCalled();
+    });
+
+    it('should abort the transaction when the students cannot be moved', async () => {
+      mockRollover();
+      Student.updateMany.mockRejectedValue(new Error('Write conflict'));
+
+      await expect(academicYearService.rollover(mockIds.academicYear1, {
+        classes: [{ nom: 'CM2-A', from: mockIds.class1 }]
+      })).rejects.toThrow('Write conflict');
+      expect(session.endSession).toHaveBeenCalled();
+      expect(source.save).not.toHaveBeenCalled();
+      expect(auditService.recordMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resolveYear', () => {
+    it('should default to the academic year of the current school year', async () => {
+      AcademicYear.findOne.mockResolvedValue(academicYears.valid);
+
+      const result = await academicYearService.resolveYear();
+
+      expect(AcademicYear.findOne).toHaveBeenCalledWith({ nom: schoolYearOf() });
+      expect(result).toEqual(academicYears.valid);
+    });
+
+    it('should return undefined when the current school year does not exist', async () => {
+      AcademicYear.findOne.mockResolvedValue(null);
+
+      await expect(academicYearService.resolveYear()).resolves.toBeUndefined();
+    });
+
+    it('should throw 400 when the given year does not exist', async () => {
+      AcademicYear.findById.mockResolvedValue(null);
+
+      await expect(academicYearService.resolveYear(mockIds.academicYear1)).rejects.toMatchObject({
+        statusCode: 400,
+        message: `Referenced academic year (${mockIds.academicYear1}) not found`
+      });
+    });
+
+    it('should throw 409 when the given year is archived', async () => {
+      AcademicYear.findById.mockResolvedValue(academicYears.archived);
+
+      await expect(academicYearService.resolveYear(mockIds.academicYear2))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('getCurrentYear', () => {
+    it('should return the academic year of the current school year unless it is archived', async () => {
+      AcademicYear.findOne.mockResolvedValue(academicYears.valid);
+
+      await expect(academicYearService.getCurrentYear()).resolves.toEqual(academicYears.valid);
+      expect(AcademicYear.findOne).toHaveBeenCalledWith({ nom: schoolYearOf(), archivee: false });
+    });
+  });
+
+  describe('year filters', () => {
+    it('should match the documents of an existing year', async () => {
+      AcademicYear.findOne.mockReturnValue(createQueryMock({ _id: mockIds.academicYear1 }));
+
+      await expect(academicYearService.getYearIdFilter('2024-2025'))
+        .resolves.toEqual({ $in: [mockIds.academicYear1] });
+      expect(AcademicYear.findOne).toHaveBeenCalledWith({ nom: '2024-2025' });
+    });
+
+    it('should match nothing for an unknown year', async () => {
+      AcademicYear.findOne.mockReturnValue(createQueryMock(null));
+
+      await expect(academicYearService.getYearIdFilter('1999-2000')).resolves.toEqual({ $in: [] });
+    });
+
+    it('should match the trimesters of the year', async () => {
+      AcademicYear.findOne.mockReturnValue(createQueryMock({ _id: mockIds.academicYear1 }));
+      Trimester.find.mockReturnValue(createQueryMock([{ _id: mockIds.trimester1 }, { _id: mockIds.trimester2 }]));
+
+      const result = await academicYearService.getTrimesterIdFilter('2024-2025');
+
+      expect(Trimester.find).toHaveBeenCalledWith({ idannee: { $in: [mockIds.academicYear1] } });
+      expect(result).toEqual({ $in: [mockIds.trimester1, mockIds.trimester2] });
+    });
+  });
+
+  describe('getSchoolYearOf', () => {
+    it('should read the year of the class first', async () => {
+      Class.findById.mockReturnValue(createQueryMock({ idannee: mockIds.academicYear1 }));
+      Trimester.findById.mockReturnValue(createQueryMock({ idannee: mockIds.academicYear2 }));
+      AcademicYear.findById.mockReturnValue(createQueryMock({ nom: '2024-2025' }));
+
+      await expect(academicYearService.getSchoolYearOf({ idclasse: mockIds.class1, idtrimestre: mockIds.trimester1 }))
+        .resolves.toBe('2024-2025');
+      expect(AcademicYear.findById).toHaveBeenCalledWith(mockIds.academicYear1);
+    });
+
+    it('should fall back to the year of the trimester', async () => {
+      Class.findById.mockReturnValue(createQueryMock({ _id: mockIds.class1 }));
+      Trimester.findById.mockReturnValue(createQueryMock({ idannee: mockIds.academicYear2 }));
+      AcademicYear.findById.mockReturnValue(createQueryMock({ nom: '2023-2024' }));
+
+      await expect(academicYearService.getSchoolYearOf({ idclasse: mockIds.class1, idtrimestre: mockIds.trimester1 }))
+        .resolves.toBe('2023-2024');
+    });
+
+    it('should be the current school year for records without year', async () => {
+      Class.findById.mockReturnValue(createQueryMock({ _id: mockIds.class1 }));
+
+      await expect(academicYearService.getSchoolYearOf({ idclasse: mockIds.class1 })).resolves.toBe(schoolYearOf());
+      expect(AcademicYear.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('assertWritable', () => {
+    it('should allow records whose class and trimester have no year', async () => {
+      Class.findById.mockReturnValue(createQueryMock({ _id: mockIds.class1 }));
+      Trimester.findById.mockReturnValue(createQueryMock({ _id: mockIds.trimester1 }));
+
+      await expect(academicYearService.assertWritable({ idclasse: mockIds.class1, idtrimestre: mockIds.trimester1 }))
+        .resolves.toBeUndefined();
+      expect(AcademicYear.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should allow records of a year in progress', async () => {
+      Trimester.findById.mockReturnValue(createQueryMock({ idannee: mockIds.academicYear1 }));
+      AcademicYear.findOne.mockResolvedValue(null);
+
+      await expect(academicYearService.assertWritable({ idtrimestre: mockIds.trimester1 })).resolves.toBeUndefined();
+      expect(AcademicYear.findOne).toHaveBeenCalledWith({ _id: { $in: [mockIds.academicYear1] }, archivee: true });
+    });
+
+    it('should throw 409 for the class of an archived year', async () => {
+      Class.findById.mockReturnValue(createQueryMock({ idannee: mockIds.academicYear2 }));
+      AcademicYear.findOne.mockResolvedValue(academicYears.archived);
+
+      await expect(academicYearService.assertWritable({ idclasse: mockIds.class1 })).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'Academic year 2023-2024 is archived and read-only'
+      });
+      expect(Trimester.findById).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,270 @@
+/**
+ * Unit Tests for Appreciation Service
+ *
+ * Tests subject appreciations written by teachers for a student and trimester.
+ *
+ * Core Functionality Tests:
+ * - Appreciation CRUD operations with reference population
+ * - Filter mapping from query params to model fields
+ * - Reference validation before creation (student, subject, trimester, teacher)
+ * - Ownership check: the teacher must teach the subject in the student's class
+ *
+ * Mock Architecture:
+ * - All referenced models mocked for isolation
+ * - Query chains simulated with createQueryMock (.populate().sort())
+ */
+
+const appreciationService = require('../../../src/services/appreciationService');
+const Appreciation = require('../../../src/models/Appreciation');
+const Student = require('../../../src/models/Student');
+const Subject = require('../../../src/models/Subject');
+const Teacher = require('../../../src/models/Teacher');
+const Trimester = require('../../../src/models/Trimester');
+const teachingAssignmentService = require('../../../src/services/teachingAssignmentService');
+const academicYearService = require('../../../src/services/academicYearService');
+const { withDeleted } = require('../../../src/utils/softDelete');
+const { createQueryMock } = require('../mocks/modelMocks');
+const { mockIds } = require('../mocks/fixtures');
+
+jest.mock('../../../src/models/Appreciation');
+jest.mock('../../../src/models/Student');
+jest.mock('../../../src/models/Subject');
+jest.mock('../../../src/models/Teacher');
+jest.mock('../../../src/models/Trimester');
+jest.mock('../../../src/services/teachingAssignmentService');
+jest.mock('../../../src/services/academicYearService');
+
+describe('AppreciationService', () => {
+  const appreciationId = '507f1f77bcf86cd799439099';
+  const appreciationInput = {
+    ideleve: mockIds.student1,
+    idmatiere: mockIds.subject1,
+    idtrimestre: mockIds.trimester1,
+    idprof: mockIds.teacher1,
+    texte: 'Bon trimestre'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getAllAppreciations', () => {
+    it('should return appreciations with populated references sorted by creation date', async () => {
+      const appreciations = [{ _id: appreciationId, texte: 'Bon trimestre' }];
+      const query = createQueryMock(appreciations);
+      Appreciation.find.mockReturnValue(query);
+
+      const result = await appreciationService.getAllAppreciations();
+
+      expect(Appreciation.find).toHaveBeenCalledWith({});
+      expect(query.populate).toHaveBeenCalledWith(withDeleted('ideleve', 'nom prenom'));
+      expect(query.populate).toHaveBeenCalledWith(withDeleted('idmatiere', 'nom'));
+      expect(query.populate).toHaveBeenCalledWith(withDeleted('idtrimestre', 'nom'));
+      expect(query.populate).toHaveBeenCalledWith(withDeleted('idprof', 'nom prenom'));
+      expect(query.sort).toHaveBeenCalledWith({ createdAt: -1 });
+      expect(result).toEqual(appreciations);
+    });
+
+    it('should map filters to model fields', async () => {
+      Appreciation.find.mockReturnValue(createQueryMock([]));
+
+      await appreciationService.getAllAppreciations({
+        student: mockIds.student1,
+        subject: mockIds.subject1,
+        trimester: mockIds.trimester1,
+        teacher: mockIds.teacher1
+      });
+
+      expect(Appreciation.find).toHaveBeenCalledWith({
+        ideleve: mockIds.student1,
+        idmatiere: mockIds.subject1,
+        idtrimestre: mockIds.trimester1,
+        idprof: mockIds.teacher1
+      });
+    });
+  });
+
+  describe('getAppreciationById', () => {
+    it('should return the appreciation when found', async () => {
+      const appreciation = { _id: appreciationId, texte: 'Bon trimestre' };
+      Appreciation.findById.mockReturnValue(createQueryMock(appreciation));
+
+      const result = await appreciationService.getAppreciationById(appreciationId);
+
+      expect(Appreciation.findById).toHaveBeenCalledWith(appreciationId);
+      expect(result).toEqual(appreciation);
+    });
+
+    it('should throw 404 when appreciation not found', async () => {
+      Appreciation.findById.mockReturnValue(createQueryMock(null));
+
+      await expect(appreciationService.getAppreciationById(appreciationId))
+        .rejects.toMatchObject({ message: 'Appreciation not found', statusCode: 404 });
+    });
+  });
+
+  describe('createAppreciation', () => {
+    beforeEach(() => {
+      Student.findById.mockResolvedValue({ _id: mockIds.student1, classe: mockIds.class1 });
+      Subject.findById.mockResolvedValue({ _id: mockIds.subject1 });
+      Trimester.findById.mockResolvedValue({ _id: mockIds.trimester1 });
+      Teacher.findById.mockResolvedValue({ _id: mockIds.teacher1 });
+      teachingAssignmentService.teaches.mockResolvedValue(true);
+    });
+
+    it('should create the appreciation when the teacher teaches the subject in the class', async () => {
+      const save = jest.fn().mockResolvedValue();
+      Appreciation.mockImplementation(() => ({ _id: appreciationId, save }));
+      const created = { _id: appreciationId, ...appreciationInput };
+      Appreciation.findById.mockReturnValue(createQueryMock(created));
+
+      const result = await appreciationService.createAppreciation(appreciationInput);
+
+      expect(teachingAssignmentService.teaches).toHaveBeenCalledWith({
+        idprof: mockIds.teacher1,
+        idmatiere: mockIds.subject1,
+        idclasse: mockIds.class1,
+        idtrimestre: mockIds.trimester1
+      });
+      expect(Appreciation).toHaveBeenCalledWith(appreciationInput);
+      expect(save).toHaveBeenCalled();
+      expect(Appreciation.findById).toHaveBeenCalledWith(appreciationId);
+      expect(result).toEqual(created);
+    });
+
+    it('should throw 400 when student not found', async () => {
+      Student.findById.mockResolvedValue(null);
+
+      await expect(appreciationService.createAppreciation(appreciationInput))
+        .rejects.toMatchObject({ statusCode: 400, message: `Referenced student (${mockIds.student1}) not found` });
+      expect(Appreciation).not.toHaveBeenCalled();
+    });
+
+    it('should throw 400 when subject not found', async () => {
+      Subject.findById.mockResolvedValue(null);
+
+      await expect(appreciationService.createAppreciation(appreciationInput))
+        .rejects.toMatchObject({ statusCode: 400, message: `Referenced subject (${mockIds.subject1}) not found` });
+    });
+
+    it('should throw 400 when trimester not found', async () => {
+      Trimester.findById.mockResolvedValue(null);
+
+      await expect(appreciationService.createAppreciation(appreciationInput))
+        .rejects.toMatchObject({ statusCode: 400, message: `Referenced trimester (${mockIds.trimester1}) not found` });
+    });
+
+    it('should throw 400 when teacher not found', async () => {
+      Teacher.findById.mockResolvedValue(null);
+
+      await expect(appreciationService.createAppreciation(appreciationInput))
+        .rejects.toMatchObject({ statusCode: 400, message: `Referenced teacher (${mockIds.teacher1}) not found` });
+    });
+
+    it('should throw 403 when the teacher does not teach the subject in the class', async () => {
+      teachingAssignmentService.teaches.mockResolvedValue(false);
+
+      await expect(appreciationService.createAppreciation(appreciationInput))
+        .rejects.toMatchObject({ statusCode: 403, message: 'Teacher does not teach this subject in the student\'s class' });
+      expect(Appreciation).not.toHaveBeenCalled();
+    });
+
+    it('should throw 409 when the trimester belongs to an archived academic year', async () => {
+      academicYearService.assertWritable.mockRejectedValueOnce(Object.assign(new Error('Academic year 2023-2024 is archived and read-only'), { statusCode: 409 }));
+
+      await expect(appreciationService.createAppreciation(appreciationInput))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(academicYearService.assertWritable).toHaveBeenCalledWith({
+        idclasse: mockIds.class1,
+        idtrimestre: mockIds.trimester1
+      });
+      expect(Appreciation).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateAppreciation', () => {
+    it('should only update the text', async () => {
+      const updated = { _id: appreciationId, texte: 'Nouveau texte' };
+      Appreciation.findByIdAndUpdate.mockReturnValue(createQueryMock(updated));
+
+      const result = await appreciationService.updateAppreciation(appreciationId, {
+        texte: 'Nouveau texte',
+        idprof: mockIds.teacher2
+      });
+
+      expect(Appreciation.findByIdAndUpdate).toHaveBeenCalledWith(
+        appreciationId,
+        { texte: 'Nouveau texte' },
+        { new: true, runValidators: true }
+      );
+      expect(result).toEqual(updated);
+    });
+
+    it('should throw 404 when appreciation not found', async () => {
+      Appreciation.findByIdAndUpdate.mockReturnValue(createQueryMock(null));
+
+      await expect(appreciationService.updateAppreciation(appreciationId, { texte: 'x' }))
+        .rejects.toMatchObject({ message: 'Appreciation not found', statusCode: 404 });
+    });
+  });
+
+  describe('deleteAppreciation', () => {
+    it('should delete and return the appreciation', async () => {
+      const appreciation = { _id: appreciationId };
+      Appreciation.findByIdAndDelete.mockResolvedValue(appreciation);
+
+      const result = await appreciationService.deleteAppreciation(appreciationId);
+
+      expect(Appreciation.findByIdAndDelete).toHaveBeenCalledWith(appreciationId);
+      expect(result).toEqual(appreciation);
+    });
+
+    it('should throw 404 when appreciation not found', async () => {
+      Appreciation.findByIdAndDelete.mockResolvedValue(null);
+
+      await expect(appreciationService.deleteAppreciation(appreciationId))
+        .rejects.toMatchObject({ message: 'Appreciation not found', statusCode: 404 });
+    });
+
+    it('should keep the appreciations of an archived academic year', async () => {
+      const appreciation = { _id: appreciationId, idtrimestre: mockIds.trimester1 };
+      Appreciation.findById.mockResolvedValue(appreciation);
+      academicYearService.assertWritable.mockRejectedValueOnce(Object.assign(new Error('Academic year 2023-2024 is archived and read-only'), { statusCode: 409 }));
+
+      await expect(appreciationService.deleteAppreciation(appreciationId))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(academicYearService.assertWritable).toHaveBeenCalledWith(appreciation);
+      expect(Appreciation.findByIdAndDelete).not.toHaveBeenCalled();
+    });
+  });
+  describe('teacher ownership', () => {
+    const teacherUser = { role: 'teacher', teacher: mockIds.teacher1 };
+    const colleagueUser = { role: 'teacher', teacher: mockIds.teacher2 };
+
+    it('should reject an appreciation written under a colleague profile', async () => {
+      await expect(appreciationService.createAppreciation(appreciationInput, colleagueUser))
+        .rejects.toMatchObject({
+          statusCode: 403,
+          message: 'Teachers can only write appreciations under their own profile (idprof)'
+        });
+      expect(Student.findById).not.toHaveBeenCalled();
+    });
+
+    it('should reject updates of an appreciation written by a colleague', async () => {
+      Appreciation.findById.mockResolvedValue({ _id: appreciationId, idprof: mockIds.teacher1 });
+
+      await expect(appreciationService.updateAppreciation(appreciationId, { texte: 'x' }, colleagueUser))
+        .rejects.toMatchObject({ statusCode: 403, message: 'You can only modify appreciations you wrote' });
+      expect(Appreciation.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should let the author delete their appreciation', async () => {
+      Appreciation.findById.mockResolvedValue({ _id: appreciationId, idprof: mockIds.teacher1 });
+      Appreciation.findByIdAndDelete.mockResolvedValue({ _id: appreciationId });
+
+      await appreciationService.deleteAppreciation(appreciationId, teacherUser);
+
+      expect(Appreciation.findByIdAndDelete).toHaveBeenCalledWith(appreciationId);
+    });
+  });
+});
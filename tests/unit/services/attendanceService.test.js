@@ -0,0 +1,487 @@
+/**
+ * Unit Tests for Attendance Service
+ *
+ * Tests absences and late arrivals recorded per student, day and time slot.
+ *
+ * Core Functionality Tests:
+ * - Attendance CRUD operations with reference checks and pagination
+ * - One record per student and time slot, student must belong to the class
+ * - Dates within the trimester, teachers only write the attendance of their classes
+ * - Justification: reason, document flag and validation by the school
+ * - Summaries per student and per class
+ *
+ * Mock Architecture:
+ * - All referenced models mocked for isolation
+ */
+
+const attendanceService = require('../../../src/services/attendanceService');
+const Attendance = require('../../../src/models/Attendance');
+const Student = require('../../../src/models/Student');
+const Class = require('../../../src/models/Class');
+const Trimester = require('../../../src/models/Trimester');
+const academicYearService = require('../../../src/services/academicYearService');
+const teachingAssignmentService = require('../../../src/services/teachingAssignmentService');
+const { createQueryMock } = require('../mocks/modelMocks');
+const { attendances, students, mockIds } = require('../mocks/fixtures');
+
+jest.mock('../../../src/models/Attendance');
+jest.mock('../../../src/models/Student');
+jest.mock('../../../src/models/Class');
+jest.mock('../../../src/models/Trimester');
+jest.mock('../../../src/services/academicYearService');
+jest.mock('../../../src/services/teachingAssignmentService');
+
+describe('AttendanceService', () => {
+  const parentUser = { role: 'parent', children: [mockIds.student1] };
+  const teacherUser = { role: 'teacher', teacher: mockIds.teacher1 };
+
+  const records = [
+    { ideleve: mockIds.student1, type: 'absence', justifiee: true },
+    { ideleve: mockIds.student1, type: 'absence', justifiee: false },
+    { ideleve: mockIds.student1, type: 'late', minutesRetard: 10, justifiee: false },
+    { ideleve: mockIds.student2, type: 'late', minutesRetard: 5, justifiee: true }
+  ];
+
+  const mockReferences = () => {
+    Student.findById.mockResolvedValue({ ...students.valid, classe: mockIds.class1 });
+    Class.findById.mockResolvedValue({ _id: mockIds.class1, nom: 'CM1' });
+    Trimester.findById.mockResolvedValue({
+      _id: mockIds.trimester1,
+      nom: 'T1',
+      dateDebut: new Date('2024-09-02'),
+      dateFin: new Date('2024-12-20')
+    });
+  };
+
+  // Document returned by Attendance.findById, saved in place
+  const mockDocument = (values = {}) => {
+    const document = {
+      ...attendances.valid,
+      justification: { justificatif: false },
+      ...values,
+      set: jest.fn(function (changes) { Object.assign(this, changes); }),
+      save: jest.fn().mockResolvedValue()
+    };
+    Attendance.findById
+      .mockResolvedValueOnce(document)
+      .mockReturnValue(createQueryMock(attendances.valid));
+    return document;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Attendance.findById.mockReset();
+  });
+
+  describe('getAllAttendance', () => {
+    it('should map filters and return a page sorted by day', async () => {
+      const query = createQueryMock([attendances.valid]);
+      Attendance.find.mockReturnValue(query);
+      Attendance.countDocuments.mockResolvedValue(1);
+
+      const result = await attendanceService.getAllAttendance(
+        { class: mockIds.class1, type: 'late', justified: 'false', from: '2024-09-01', to: '2024-12-20' },
+        { page: 1, limit: 50 }
+      );
+
+      expect(Attendance.find).toHaveBeenCalledWith({
+        idclasse: mockIds.class1,
+        type: 'late',
+        justifiee: false,
+        date: { $gte: new Date('2024-09-01'), $lte: new Date('2024-12-20') }
+      });
+      expect(query.sort).toHaveBeenCalledWith({ date: -1, creneau: 1, _id: 1 });
+      expect(result).toMatchObject({ data: [attendances.valid], total: 1 });
+    });
+
+    it('should restrict parent accounts to their children', async () => {
+      Attendance.find.mockReturnValue(createQueryMock([]));
+      Attendance.countDocuments.mockResolvedValue(0);
+
+      await attendanceService.getAllAttendance({}, {}, parentUser);
+
+      expect(Attendance.find).toHaveBeenCalledWith({ ideleve: { $in: [mockIds.student1] } });
+    });
+  });
+
+  describe('getAttendanceById', () => {
+    it('should throw 404 when record does not exist', async () => {
+      Attendance.findById.mockReturnValue(createQueryMock(null));
+
+      await expect(attendanceService.getAttendanceById(mockIds.attendance1))
+        .rejects.toMatchObject({ statusCode: 404, message: 'Attendance record not found' });
+    });
+
+    it('should refuse a record of another student to a parent account', async () => {
+      Attendance.findById.mockReturnValue(createQueryMock({ ...attendances.valid, ideleve: mockIds.student2 }));
+
+      await expect(attendanceService.getAttendanceById(mockIds.attendance1, parentUser))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('createAttendance', () => {
+    let save;
+
+    beforeEach(() => {
+      save = jest.fn().mockResolvedValue();
+      Attendance.mockImplementation(data => ({ _id: mockIds.attendance1, ...data, save }));
+      Attendance.findById.mockReturnValue(createQueryMock(attendances.valid));
+      Attendance.exists.mockResolvedValue(null);
+    });
+
+    it('should check references and the time slot, then save', async () => {
+      mockReferences();
+
+      const result = await attendanceService.createAttendance({
+        ...attendances.validInput,
+        justifiee: true,
+        justification: { motif: 'Bus en retard', justificatif: true, validePar: mockIds.user1 }
+      });
+
+      expect(Trimester.findById).toHaveBeenCalledWith(mockIds.trimester1);
+      expect(Attendance.exists).toHaveBeenCalledWith({
+        ideleve: mockIds.student1,
+        date: '2024-10-14',
+        creneau: '08:30-09:25'
+      });
+      expect(Attendance).toHaveBeenCalledWith(attendances.validInput);
+      expect(Attendance.mock.results[0].value.justification).toEqual({ motif: 'Bus en retard', justificatif: true });
+      expect(save).toHaveBeenCalled();
+      expect(result).toEqual(attendances.valid);
+    });
+
+    it('should throw 400 when the student is not in the class', async () => {
+      mockReferences();
+      Student.findById.mockResolvedValue({ ...students.valid, classe: mockIds.class2 });
+
+      await expect(attendanceService.createAttendance(attendances.validInput))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Student is not in the specified class' });
+      expect(save).not.toHaveBeenCalled();
+    });
+
+    it('should throw 400 when a reference is missing', async () => {
+      mockReferences();
+      Class.findById.mockResolvedValue(null);
+
+      await expect(attendanceService.createAttendance(attendances.validInput))
+        .rejects.toMatchObject({ statusCode: 400, message: `Referenced class (${mockIds.class1}) not found` });
+    });
+
+    it('should throw 409 when the time slot is already recorded', async () => {
+      mockReferences();
+      Attendance.exists.mockResolvedValue({ _id: mockIds.attendance1 });
+
+      await expect(attendanceService.createAttendance(attendances.validInput))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(save).not.toHaveBeenCalled();
+    });
+
+    it('should throw 400 when the date is outside the trimester', async () => {
+      mockReferences();
+
+      await expect(attendanceService.createAttendance({ ...attendances.validInput, date: '2025-01-06' }))
+        .rejects.toMatchObject({
+          statusCode: 400,
+          message: 'Date is outside the trimester T1 (2024-09-02 to 2024-12-20)'
+        });
+      expect(save).not.toHaveBeenCalled();
+    });
+
+    it('should accept the last day of the trimester and trimesters without dates', async () => {
+      mockReferences();
+
+      await attendanceService.createAttendance({ ...attendances.validInput, date: '2024-12-20' });
+
+      Trimester.findById.mockResolvedValue({ _id: mockIds.trimester1, nom: 'T1' });
+      await attendanceService.createAttendance({ ...attendances.validInput, date: '2025-01-06' });
+
+      expect(save).toHaveBeenCalledTimes(2);
+    });
+
+    it('should let the main teacher of the class record attendance', async () => {
+      mockReferences();
+      Class.findById.mockResolvedValue({ _id: mockIds.class1, nom: 'CM1', prof: mockIds.teacher1 });
+
+      await attendanceService.createAttendance(attendances.validInput, teacherUser);
+
+      expect(teachingAssignmentService.teachesInClass).not.toHaveBeenCalled();
+      expect(save).toHaveBeenCalled();
+    });
+
+    it('should let a teacher assigned to the class record attendance', async () => {
+      mockReferences();
+      teachingAssignmentService.teachesInClass.mockResolvedValue(true);
+
+      await attendanceService.createAttendance(attendances.validInput, teacherUser);
+
+      expect(teachingAssignmentService.teachesInClass)
+        .toHaveBeenCalledWith({ idprof: mockIds.teacher1, idclasse: mockIds.class1 });
+      expect(save).toHaveBeenCalled();
+    });
+
+    it('should throw 403 when the teacher does not teach in the class', async () => {
+      mockReferences();
+      teachingAssignmentService.teachesInClass.mockResolvedValue(false);
+
+      await expect(attendanceService.createAttendance(attendances.validInput, teacherUser))
+        .rejects.toMatchObject({
+          statusCode: 403,
+          message: 'Teachers can only record the attendance of the classes they teach'
+        });
+      expect(save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateAttendance', () => {
+    it('should drop the minutes of lateness when turned into an absence', async () => {
+      const document = mockDocument();
+
+      await attendanceService.updateAttendance(mockIds.attendance1, { type: 'absence', justifiee: true });
+
+      expect(document.set).toHaveBeenCalledWith({ type: 'absence' });
+      expect(document.minutesRetard).toBeUndefined();
+      expect(document.save).toHaveBeenCalled();
+      expect(Attendance.exists).not.toHaveBeenCalled();
+    });
+
+    it('should check class membership when the student changes', async () => {
+      mockDocument();
+      mockReferences();
+      Student.findById.mockResolvedValue({ ...students.valid, _id: mockIds.student2, classe: mockIds.class2 });
+
+      await expect(attendanceService.updateAttendance(mockIds.attendance1, { ideleve: mockIds.student2 }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Student is not in the specified class' });
+      expect(Class.findById).toHaveBeenCalledWith(mockIds.class1);
+    });
+
+    it('should ignore the record itself when checking a new time slot', async () => {
+      mockDocument();
+      Attendance.exists.mockResolvedValue(null);
+
+      await attendanceService.updateAttendance(mockIds.attendance1, { creneau: '09:25-10:20' });
+
+      expect(Attendance.exists).toHaveBeenCalledWith({
+        ideleve: mockIds.student1,
+        date: attendances.valid.date,
+        creneau: '09:25-10:20',
+        _id: { $ne: mockIds.attendance1 }
+      });
+    });
+
+    it('should check a new date against the trimester of the record', async () => {
+      const document = mockDocument();
+      mockReferences();
+
+      await expect(attendanceService.updateAttendance(mockIds.attendance1, { date: '2025-01-06' }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Date is outside the trimester T1 (2024-09-02 to 2024-12-20)' });
+      expect(Trimester.findById).toHaveBeenCalledWith(mockIds.trimester1);
+      expect(document.save).not.toHaveBeenCalled();
+    });
+
+    it('should throw 403 when the teacher does not teach in the class of the record', async () => {
+      const document = mockDocument();
+      Class.findById.mockResolvedValue({ _id: mockIds.class1, nom: 'CM1', prof: mockIds.teacher2 });
+      teachingAssignmentService.teachesInClass.mockResolvedValue(false);
+
+      await expect(attendanceService.updateAttendance(mockIds.attendance1, { type: 'absence' }, teacherUser))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(document.save).not.toHaveBeenCalled();
+    });
+
+    it('should throw 403 when a teacher moves a record to a class they do not teach', async () => {
+      const document = mockDocument();
+      mockReferences();
+      Student.findById.mockResolvedValue({ ...students.valid, classe: mockIds.class2 });
+      teachingAssignmentService.teachesInClass
+        .mockResolvedValueOnce(true)
+        .mockResolvedValueOnce(false);
+
+      await expect(attendanceService.updateAttendance(mockIds.attendance1, { idclasse: mockIds.class2 }, teacherUser))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(document.save).not.toHaveBeenCalled();
+    });
+
+    it('should throw 404 when record does not exist', async () => {
+      Attendance.findById.mockResolvedValue(null);
+
+      await expect(attendanceService.updateAttendance(mockIds.attendance1, { type: 'absence' }))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('justifyAttendance', () => {
+    const adminUser = { _id: mockIds.user1, role: 'admin' };
+
+    it('should record the reason and who validated it', async () => {
+      const document = mockDocument();
+
+      await attendanceService.justifyAttendance(
+        mockIds.attendance1,
+        { motif: 'Rendez-vous médical', justificatif: true, valide: true },
+        adminUser
+      );
+
+      expect(document.justifiee).toBe(true);
+      expect(document.justification).toMatchObject({
+        motif: 'Rendez-vous médical',
+        justificatif: true,
+        validePar: mockIds.user1
+      });
+      expect(document.justification.valideLe).toBeInstanceOf(Date);
+      expect(document.save).toHaveBeenCalled();
+    });
+
+    it('should withdraw a validation', async () => {
+      const document = mockDocument({
+        justifiee: true,
+        justification: { motif: 'Malade', validePar: mockIds.user1, valideLe: new Date() }
+      });
+
+      await attendanceService.justifyAttendance(mockIds.attendance1, { valide: false }, adminUser);
+
+      expect(document.justifiee).toBe(false);
+      expect(document.justification).toEqual({ motif: 'Malade', validePar: undefined, valideLe: undefined });
+    });
+
+    it('should throw 403 when the teacher does not teach in the class of the record', async () => {
+      const document = mockDocument();
+      Class.findById.mockResolvedValue({ _id: mockIds.class1, nom: 'CM1' });
+      teachingAssignmentService.teachesInClass.mockResolvedValue(false);
+
+      await expect(attendanceService.justifyAttendance(mockIds.attendance1, { valide: true }, teacherUser))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(document.save).not.toHaveBeenCalled();
+    });
+
+    it('should keep the validation when only the reason changes', async () => {
+      const document = mockDocument({ justifiee: true, justification: { validePar: mockIds.user1 } });
+
+      await attendanceService.justifyAttendance(mockIds.attendance1, { motif: 'Malade' }, adminUser);
+
+      expect(document.justifiee).toBe(true);
+      expect(document.justification.validePar).toBe(mockIds.user1);
+    });
+  });
+
+  describe('deleteAttendance', () => {
+    it('should delete and return the record', async () => {
+      const document = { ...attendances.valid, deleteOne: jest.fn().mockResolvedValue() };
+      Attendance.findById.mockResolvedValue(document);
+
+      const result = await attendanceService.deleteAttendance(mockIds.attendance1);
+
+      expect(academicYearService.assertWritable).toHaveBeenCalledWith(document);
+      expect(document.deleteOne).toHaveBeenCalled();
+      expect(result).toBe(document);
+    });
+
+    it('should throw 403 when the teacher does not teach in the class of the record', async () => {
+      const document = { ...attendances.valid, deleteOne: jest.fn() };
+      Attendance.findById.mockResolvedValue(document);
+      Class.findById.mockResolvedValue({ _id: mockIds.class1, nom: 'CM1' });
+      teachingAssignmentService.teachesInClass.mockResolvedValue(false);
+
+      await expect(attendanceService.deleteAttendance(mockIds.attendance1, teacherUser))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(document.deleteOne).not.toHaveBeenCalled();
+    });
+
+    it('should throw 404 when record does not exist', async () => {
+      Attendance.findById.mockResolvedValue(null);
+
+      await expect(attendanceService.deleteAttendance(mockIds.attendance1))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('should keep the records of an archived academic year', async () => {
+      const document = { ...attendances.valid, deleteOne: jest.fn() };
+      Attendance.findById.mockResolvedValue(document);
+      academicYearService.assertWritable.mockRejectedValueOnce(Object.assign(new Error('Academic year 2023-2024 is archived and read-only'), { statusCode: 409 }));
+
+      await expect(attendanceService.deleteAttendance(mockIds.attendance1))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(document.deleteOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getAttendanceCounts', () => {
+    it('should count absences and late arrivals of a trimester', async () => {
+      Attendance.find.mockResolvedValue(records.slice(0, 3));
+
+      const result = await attendanceService.getAttendanceCounts(mockIds.student1, mockIds.trimester1);
+
+      expect(Attendance.find).toHaveBeenCalledWith({ ideleve: mockIds.student1, idtrimestre: mockIds.trimester1 });
+      expect(result).toEqual({
+        absences: 2,
+        justifiedAbsences: 1,
+        unjustifiedAbsences: 1,
+        lates: 1,
+        justifiedLates: 0,
+        unjustifiedLates: 1,
+        lateMinutes: 10
+      });
+    });
+  });
+
+  describe('getStudentSummary', () => {
+    it('should return the summary and records of a student', async () => {
+      Student.findById.mockResolvedValue(students.valid);
+      Attendance.find.mockReturnValue(createQueryMock(records.slice(0, 3)));
+
+      const result = await attendanceService.getStudentSummary(mockIds.student1, {}, parentUser);
+
+      expect(Attendance.find).toHaveBeenCalledWith({ ideleve: mockIds.student1 });
+      expect(result.student).toEqual({ _id: mockIds.student1, nom: 'Leroy', prenom: 'Thomas' });
+      expect(result.summary).toMatchObject({ absences: 2, lates: 1 });
+      expect(result.records).toHaveLength(3);
+    });
+
+    it('should refuse a student outside the account scope', async () => {
+      await expect(attendanceService.getStudentSummary(mockIds.student2, {}, parentUser))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(Student.findById).not.toHaveBeenCalled();
+    });
+
+    it('should throw 404 when student does not exist', async () => {
+      Student.findById.mockResolvedValue(null);
+
+      await expect(attendanceService.getStudentSummary(mockIds.student1))
+        .rejects.toMatchObject({ statusCode: 404, message: 'Student not found' });
+    });
+  });
+
+  describe('getClassSummary', () => {
+    it('should list every student of the class with their counts', async () => {
+      mockReferences();
+      Student.find.mockReturnValue(createQueryMock([
+        { _id: mockIds.student1, nom: 'Leroy', prenom: 'Thomas' },
+        { _id: mockIds.student2, nom: 'Martin', prenom: 'Élodie' }
+      ]));
+      Attendance.find.mockResolvedValue(records);
+
+      const result = await attendanceService.getClassSummary(mockIds.class1, mockIds.trimester1);
+
+      expect(Attendance.find).toHaveBeenCalledWith({ idclasse: mockIds.class1, idtrimestre: mockIds.trimester1 });
+      expect(result.class).toEqual({ _id: mockIds.class1, nom: 'CM1' });
+      expect(result.summary).toMatchObject({ absences: 2, lates: 2, lateMinutes: 15 });
+      expect(result.students[0].summary).toMatchObject({ absences: 2, lates: 1 });
+      expect(result.students[1].summary).toMatchObject({ absences: 0, lates: 1, justifiedLates: 1 });
+    });
+
+    it('should throw 404 when class does not exist', async () => {
+      Class.findById.mockResolvedValue(null);
+
+      await expect(attendanceService.getClassSummary(mockIds.class1, mockIds.trimester1))
+        .rejects.toMatchObject({ statusCode: 404, message: 'Class not found' });
+    });
+
+    it('should throw 404 when trimester does not exist', async () => {
+      mockReferences();
+      Trimester.findById.mockResolvedValue(null);
+
+      await expect(attendanceService.getClassSummary(mockIds.class1, mockIds.trimester1))
+        .rejects.toMatchObject({ statusCode: 404, message: 'Trimester not found' });
+    });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Unit Tests for Audit Service
+ *
+ * Tests the audit log of data changes.
+ *
+ * Core Functionality Tests:
+ * - Listing with entity, actor and date range filters
+ * - Recording changes with the actor and IP of the request
+ * - Skipping updates without change, never failing the request
+ *
+ * Mock Architecture:
+ * - AuditLog model and request context mocked for isolation
+ */
+
+const auditService = require('../../../src/services/auditService');
+const AuditLog = require('../../../src/models/AuditLog');
+const { getRequestContext } = require('../../../src/utils/requestContext');
+const { createQueryMock } = require('../mocks/modelMocks');
+const { mockIds } = require('../mocks/fixtures');
+
+jest.mock('../../../src/models/AuditLog');
+jest.mock('../../../src/utils/requestContext');
+
+describe('AuditService', () => {
+  const admin = { _id: mockIds.user1, username: 'admin' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getRequestContext.mockReturnValue({ user: admin, ip: '10.0.0.5' });
+    AuditLog.insertMany.mockImplementation(async entries => entries);
+  });
+
+  describe('getAuditLogs', () => {
+    it('should map filters and return a page, most recent first', async () => {
+      const query = createQueryMock([]);
+      AuditLog.find.mockReturnValue(query);
+      AuditLog.countDocuments.mockResolvedValue(0);
+
+      const result = await auditService.getAuditLogs(
+        { entity: 'Grade', entityId: mockIds.grade1, action: 'update', actor: mockIds.user1 },
+        { page: 1, limit: 50 }
+      );
+
+      expect(AuditLog.find).toHaveBeenCalledWith({
+        entity: 'Grade',
+        entityId: mockIds.grade1,
+        action: 'update',
+        actor: mockIds.user1
+      });
+      expect(query.sort).toHaveBeenCalledWith({ createdAt: -1, _id: 1 });
+      expect(result).toMatchObject({ data: [], total: 0 });
+    });
+
+    it('should include the whole last day of the date range', async () => {
+      AuditLog.find.mockReturnValue(createQueryMock([]));
+      AuditLog.countDocuments.mockResolvedValue(0);
+
+      await auditService.getAuditLogs({ from: '2024-10-01', to: '2024-10-14' });
+
+      expect(AuditLog.find).toHaveBeenCalledWith({
+        createdAt: { $gte: new Date('2024-10-01'), $lt: new Date('2024-10-15') }
+      });
+    });
+  });
+
+  describe('record', () => {
+    it('should record the actor, IP and changed fields', async () => {
+      const result = await auditService.record({
+        action: 'update',
+        entity: 'Grade',
+        before: { _id: mockIds.grade1, note: 12, coefficient: 2 },
+        after: { _id: mockIds.grade1, note: 14, coefficient: 2 },
+        reason: 'Erreur de saisie'
+      });
+
+      expect(AuditLog.insertMany).toHaveBeenCalledWith([{
+        action: 'update',
+        entity: 'Grade',
+        entityId: mockIds.grade1,
+        actor: mockIds.user1,
+        actorUsername: 'admin',
+        ip: '10.0.0.5',
+        changes: [{ field: 'note', before: 12, after: 14 }],
+        reason: 'Erreur de saisie'
+      }]);
+      expect(result).toMatchObject({ entityId: mockIds.grade1 });
+    });
+
+    it('should use the deleted document for the entity id', async () => {
+      await auditService.record({ action: 'delete', entity: 'Student', before: { _id: mockIds.student1, nom: 'Martin' } });
+
+      expect(AuditLog.insertMany).toHaveBeenCalledWith([expect.objectContaining({
+        entityId: mockIds.student1,
+        changes: [{ field: 'nom', before: 'Martin', after: null }]
+      })]);
+    });
+
+    it('should leave the actor empty outside an authenticated request', async () => {
+      getRequestContext.mockReturnValue({});
+
+      await auditService.record({ action: 'create', entity: 'User', after: { _id: mockIds.user2, username: 'new' } });
+
+      expect(AuditLog.insertMany).toHaveBeenCalledWith([expect.objectContaining({
+        actor: undefined,
+        actorUsername: undefined,
+        ip: undefined
+      })]);
+    });
+
+    it('should skip updates that change nothing', async () => {
+      const result = await auditService.record({
+        action: 'update',
+        entity: 'Subject',
+        before: { _id: mockIds.subject1, nom: 'Maths' },
+        after: { _id: mockIds.subject1, nom: 'Maths' }
+      });
+
+      expect(AuditLog.insertMany).not.toHaveBeenCalled();
+      expect(result).toBeNull();
+    });
+
+    it('should not fail when the entry cannot be saved', async () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      AuditLog.insertMany.mockRejectedValueOnce(new Error('Connection lost'));
+
+      const result = await auditService.record({ action: 'create', entity: 'Class', after: { _id: mockIds.class1, nom: 'CM1' } });
+
+      expect(result).toBeNull();
+      expect(consoleSpy).toHaveBeenCalledWith('[AUDIT] Failed to record 1 change(s): Connection lost');
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('recordMany', () => {
+    it('should record all the entries at once', async () => {
+      const result = await auditService.recordMany([
+        { action: 'create', entity: 'Grade', after: { _id: mockIds.grade1, note: 12 } },
+        { action: 'create', entity: 'Grade', after: { _id: mockIds.grade2, note: 15 } },
+        { action: 'delete', entity: 'Grade', before: null }
+      ]);
+
+      expect(AuditLog.insertMany).toHaveBeenCalledTimes(1);
+      expect(result.map(entry => entry.entityId)).toEqual([mockIds.grade1, mockIds.grade2]);
+    });
+  });
+});
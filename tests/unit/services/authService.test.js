@@ -37,16 +37,34 @@
  */
 
 const authService = require('../../../src/services/authService');
+const auditService = require('../../../src/services/auditService');
+const sessionService = require('../../../src/services/sessionService');
+const mailService = require('../../../src/services/mailService');
+const loginAttemptService = require('../../../src/services/loginAttemptService');
 const User = require('../../../src/models/User');
+const Teacher = require('../../../src/models/Teacher');
+const Student = require('../../../src/models/Student');
 const jwt = require('jsonwebtoken');
-const { users, mockIds, edgeCases } = require('../mocks/fixtures');
+const { hashToken } = require('../../../src/utils/tokens');
+const { users, teachers, mockIds, edgeCases } = require('../mocks/fixtures');
+const { createQueryMock } = require('../mocks/modelMocks');
 
 jest.mock('../../../src/models/User');
+jest.mock('../../../src/models/Teacher');
+jest.mock('../../../src/models/Student');
+jest.mock('../../../src/services/auditService');
+jest.mock('../../../src/services/sessionService');
+jest.mock('../../../src/services/mailService');
+jest.mock('../../../src/services/loginAttemptService');
 jest.mock('jsonwebtoken');
 
 describe('AuthService', () => {
+  const sessionId = 'session-id';
+
   beforeEach(() => {
     jest.clearAllMocks();
+    sessionService.createSession.mockResolvedValue({ session: { _id: sessionId }, refreshToken: 'refresh.token' });
+    sessionService.isSessionActive.mockResolvedValue(true);
   });
 
   describe('register', () => {
@@ -80,7 +98,10 @@ describe('AuthService', () => {
       });
       expect(result.success).toBe(true);
       expect(result.data.token).toBe('jwt.token.here');
+      expect(result.data.refreshToken).toBe('refresh.token');
       expect(result.data.user).toBeDefined();
+      expect(sessionService.createSession).toHaveBeenCalledWith(mockIds.user2);
+      expect(jwt.sign).toHaveBeenCalledWith(expect.objectContaining({ sid: sessionId }), expect.any(String), expect.any(Object));
     });
 
     it('should throw error when user with email already exists', async () => {
@@ -206,6 +227,9 @@ describe('AuthService', () => {
 
       expect(User.findOne).toHaveBeenCalledWith({ email: credentials.email });
       expect(user.comparePassword).toHaveBeenCalledWith(credentials.password);
+      expect(loginAttemptService.assertCanLogin).toHaveBeenCalledWith(credentials.email);
+      expect(loginAttemptService.recordSuccess).toHaveBeenCalledWith(credentials.email);
+      expect(loginAttemptService.recordFailure).not.toHaveBeenCalled();
       expect(result.success).toBe(true);
       expect(result.data.token).toBe('jwt.token.here');
       expect(result.data.user).toBeDefined();
@@ -217,7 +241,9 @@ describe('AuthService', () => {
       });
 
       await expect(authService.login('notfound@example.com', 'password'))
-        .rejects.toThrow('Invalid email or password');
+        .rejects.toMatchObject({ statusCode: 400, message: 'Login failed: Invalid email or password' });
+      // Counted like a wrong password, so the responses do not reveal unknown emails
+      expect(loginAttemptService.recordFailure).toHaveBeenCalledWith('notfound@example.com', null);
     });
 
     it('should throw error when password incorrect', async () => {
@@ -232,6 +258,33 @@ describe('AuthService', () => {
 
       await expect(authService.login('john@example.com', 'wrongpassword'))
         .rejects.toThrow('Invalid email or password');
+      expect(loginAttemptService.recordFailure).toHaveBeenCalledWith('john@example.com', user);
+      expect(loginAttemptService.recordSuccess).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a locked email without looking up the account', async () => {
+      const user = {
+        ...users.valid,
+        comparePassword: jest.fn().mockResolvedValue(true),
+      };
+      const locked = new Error('Login locked after too many failed login attempts, try again in 15 minute(s)');
+      locked.statusCode = 423;
+      locked.details = { retryAfter: 900 };
+
+      User.findOne.mockReturnValue({
+        select: jest.fn().mockResolvedValue(user),
+      });
+      loginAttemptService.assertCanLogin.mockRejectedValue(locked);
+
+      await expect(authService.login('john@example.com', 'password123'))
+        .rejects.toMatchObject({
+          statusCode: 423,
+          message: `Login failed: ${locked.message}`,
+          details: { retryAfter: 900 }
+        });
+      expect(User.findOne).not.toHaveBeenCalled();
+      expect(user.comparePassword).not.toHaveBeenCalled();
+      expect(loginAttemptService.recordFailure).not.toHaveBeenCalled();
     });
 
     it('should propagate database errors', async () => {
@@ -251,7 +304,7 @@ describe('AuthService', () => {
 
       jwt.sign.mockReturnValue(token);
 
-      const result = authService.generateToken(user);
+      const result = authService.generateToken(user, sessionId);
 
       expect(jwt.sign).toHaveBeenCalledWith(
         {
@@ -259,10 +312,11 @@ describe('AuthService', () => {
           email: user.email,
           username: user.username,
           role: user.role,
+          sid: sessionId,
         },
         process.env.JWT_SECRET,
         {
-          expiresIn: process.env.JWT_EXPIRE,
+          expiresIn: '15m',
         }
       );
       expect(result).toBe(token);
@@ -301,6 +355,7 @@ describe('AuthService', () => {
         email: 'john@example.com',
         username: 'johndoe',
         role: 'student',
+        sid: sessionId,
       };
 
       // Ensure the user mock has toSafeObject method
@@ -320,6 +375,7 @@ describe('AuthService', () => {
       const result = await authService.verifyToken(token);
 
       expect(jwt.verify).toHaveBeenCalledWith(token, process.env.JWT_SECRET);
+      expect(sessionService.isSessionActive).toHaveBeenCalledWith(sessionId);
       expect(User.findById).toHaveBeenCalledWith(decoded.userId);
       expect(result.success).toBe(true);
       expect(result.data.decoded).toEqual(decoded);
@@ -355,6 +411,7 @@ describe('AuthService', () => {
       const decoded = {
         userId: mockIds.user1,
         email: 'john@example.com',
+        sid: sessionId,
       };
 
       jwt.verify.mockReturnValue(decoded);
@@ -366,7 +423,7 @@ describe('AuthService', () => {
 
     it('should propagate database errors', async () => {
       const token = 'valid.jwt.token';
-      const decoded = { userId: mockIds.user1 };
+      const decoded = { userId: mockIds.user1, sid: sessionId };
 
       jwt.verify.mockReturnValue(decoded);
       User.findById.mockRejectedValue(new Error('DB error'));
@@ -374,6 +431,213 @@ describe('AuthService', () => {
       await expect(authService.verifyToken(token))
         .rejects.toThrow('Token verification failed: DB error');
     });
+
+    it('should throw error when the session is revoked', async () => {
+      jwt.verify.mockReturnValue({ userId: mockIds.user1, sid: sessionId });
+      sessionService.isSessionActive.mockResolvedValue(false);
+
+      await expect(authService.verifyToken('valid.jwt.token'))
+        .rejects.toThrow('Session revoked');
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+
+    it('should throw error for a token without session', async () => {
+      jwt.verify.mockReturnValue({ userId: mockIds.user1 });
+
+      await expect(authService.verifyToken('legacy.jwt.token'))
+        .rejects.toThrow('Session revoked');
+    });
+  });
+
+  describe('refresh', () => {
+    it('should rotate the refresh token and issue a new access token', async () => {
+      sessionService.rotateSession.mockResolvedValue({
+        session: { _id: sessionId, user: mockIds.user1 },
+        refreshToken: 'next.refresh.token'
+      });
+      User.findById.mockResolvedValue(users.valid);
+      jwt.sign.mockReturnValue('new.access.token');
+
+      const result = await authService.refresh('refresh.token');
+
+      expect(sessionService.rotateSession).toHaveBeenCalledWith('refresh.token');
+      expect(User.findById).toHaveBeenCalledWith(mockIds.user1);
+      expect(jwt.sign).toHaveBeenCalledWith(expect.objectContaining({ sid: sessionId }), expect.any(String), expect.any(Object));
+      expect(result.data).toEqual({ token: 'new.access.token', refreshToken: 'next.refresh.token' });
+    });
+
+    it('should revoke the session and throw 401 when the user no longer exists', async () => {
+      sessionService.rotateSession.mockResolvedValue({
+        session: { _id: sessionId, user: mockIds.user1 },
+        refreshToken: 'next.refresh.token'
+      });
+      User.findById.mockResolvedValue(null);
+
+      await expect(authService.refresh('refresh.token'))
+        .rejects.toMatchObject({ statusCode: 401, message: 'User no longer exists' });
+      expect(sessionService.revokeSession).toHaveBeenCalledWith(mockIds.user1, sessionId);
+    });
+  });
+
+  describe('logout', () => {
+    it('should revoke the current session', async () => {
+      sessionService.revokeSession.mockResolvedValue(1);
+
+      const result = await authService.logout(mockIds.user1, sessionId);
+
+      expect(sessionService.revokeSession).toHaveBeenCalledWith(mockIds.user1, sessionId);
+      expect(sessionService.revokeAllSessions).not.toHaveBeenCalled();
+      expect(result.data).toEqual({ revokedSessions: 1 });
+    });
+
+    it('should revoke every session of the user with all', async () => {
+      sessionService.revokeAllSessions.mockResolvedValue(3);
+
+      const result = await authService.logout(mockIds.user1, sessionId, { all: true });
+
+      expect(sessionService.revokeAllSessions).toHaveBeenCalledWith(mockIds.user1);
+      expect(result.data).toEqual({ revokedSessions: 3 });
+    });
+  });
+
+  describe('changePassword', () => {
+    const accountWithPassword = (matches) => {
+      const user = {
+        _id: mockIds.user1,
+        password: '$2a$10$oldhash',
+        comparePassword: jest.fn().mockResolvedValue(matches),
+        toObject: jest.fn(() => ({ _id: mockIds.user1, password: '$2a$10$oldhash' })),
+        save: jest.fn()
+      };
+      const query = createQueryMock(user);
+      User.findById.mockReturnValue(query);
+      return { user, query };
+    };
+
+    it('should save the new password and revoke the other sessions', async () => {
+      const { user } = accountWithPassword(true);
+      sessionService.revokeAllSessions.mockResolvedValue(2);
+
+      const result = await authService.changePassword(mockIds.user1, 'OldPassword1', 'NewPassword1', sessionId);
+
+      expect(user.comparePassword).toHaveBeenCalledWith('OldPassword1');
+      expect(user.password).toBe('NewPassword1');
+      expect(user.save).toHaveBeenCalled();
+      expect(auditService.record).toHaveBeenCalledWith({
+        action: 'update',
+        entity: 'User',
+        before: { _id: mockIds.user1, password: '$2a$10$oldhash' },
+        after: user
+      });
+      expect(sessionService.revokeAllSessions).toHaveBeenCalledWith(mockIds.user1, { except: sessionId });
+      expect(result.data).toEqual({ revokedSessions: 2 });
+    });
+
+    it('should cancel a pending password reset', async () => {
+      const { user, query } = accountWithPassword(true);
+      Object.assign(user, { passwordResetTokenHash: hashToken('reset-token'), passwordResetExpires: new Date() });
+
+      await authService.changePassword(mockIds.user1, 'OldPassword1', 'NewPassword1', sessionId);
+
+      expect(query.select).toHaveBeenCalledWith('+password +passwordResetTokenHash +passwordResetExpires');
+      expect(user.passwordResetTokenHash).toBeUndefined();
+      expect(user.passwordResetExpires).toBeUndefined();
+      expect(user.save).toHaveBeenCalled();
+    });
+
+    it('should throw 400 when the current password is wrong', async () => {
+      const { user } = accountWithPassword(false);
+
+      await expect(authService.changePassword(mockIds.user1, 'Wrong1', 'NewPassword1', sessionId))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Current password is incorrect' });
+      expect(user.save).not.toHaveBeenCalled();
+    });
+
+    it('should throw 400 when the new password is the current one', async () => {
+      accountWithPassword(true);
+
+      await expect(authService.changePassword(mockIds.user1, 'OldPassword1', 'OldPassword1', sessionId))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should throw 404 when user not found', async () => {
+      User.findById.mockReturnValue(createQueryMock(null));
+
+      await expect(authService.changePassword(mockIds.user1, 'OldPassword1', 'NewPassword1', sessionId))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('forgotPassword', () => {
+    it('should store the hash of a reset token and mail the token', async () => {
+      const user = { _id: mockIds.user1, email: 'john@example.com', username: 'johndoe', save: jest.fn() };
+      User.findOne.mockResolvedValue(user);
+
+      const result = await authService.forgotPassword('john@example.com');
+
+      const [mailedUser, token, minutes] = mailService.sendPasswordReset.mock.calls[0];
+      expect(mailedUser).toBe(user);
+      expect(minutes).toBe(60);
+      expect(user.passwordResetTokenHash).toBe(hashToken(token));
+      expect(user.passwordResetExpires.getTime()).toBeGreaterThan(Date.now() + 59 * 60 * 1000);
+      expect(user.save).toHaveBeenCalled();
+      expect(result.success).toBe(true);
+    });
+
+    it('should log a mail that cannot be sent and answer like for an unknown email', async () => {
+      const user = { _id: mockIds.user1, email: 'john@example.com', username: 'johndoe', save: jest.fn() };
+      User.findOne.mockResolvedValue(user);
+      mailService.sendPasswordReset.mockRejectedValue(new Error('Connection refused'));
+      const logError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const result = await authService.forgotPassword('john@example.com');
+
+      expect(logError).toHaveBeenCalledWith('[MAIL] Failed to send the password reset mail: Connection refused');
+      expect(result).toEqual({ success: true });
+    });
+
+    it('should succeed without mail for an unknown email', async () => {
+      User.findOne.mockResolvedValue(null);
+
+      const result = await authService.forgotPassword('nobody@example.com');
+
+      expect(mailService.sendPasswordReset).not.toHaveBeenCalled();
+      expect(result.success).toBe(true);
+    });
+  });
+
+  describe('resetPassword', () => {
+    it('should consume the token, save the password, revoke every session and clear the failed logins', async () => {
+      const user = {
+        _id: mockIds.user1,
+        email: 'john@example.com',
+        toObject: jest.fn(() => ({ _id: mockIds.user1 })),
+        save: jest.fn()
+      };
+      User.findOneAndUpdate.mockReturnValue(createQueryMock(user));
+
+      await authService.resetPassword('reset-token', 'NewPassword1');
+
+      expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+        { passwordResetTokenHash: hashToken('reset-token'), passwordResetExpires: { $gt: expect.any(Date) } },
+        {
+          $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 }
+        },
+        { new: true }
+      );
+      expect(user.password).toBe('NewPassword1');
+      expect(user.save).toHaveBeenCalled();
+      expect(sessionService.revokeAllSessions).toHaveBeenCalledWith(mockIds.user1);
+      expect(loginAttemptService.clearFailures).toHaveBeenCalledWith('john@example.com');
+    });
+
+    it('should throw 400 for an unknown, used or expired token', async () => {
+      User.findOneAndUpdate.mockReturnValue(createQueryMock(null));
+
+      await expect(authService.resetPassword('used-token', 'NewPassword1'))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Invalid or expired reset token' });
+      expect(sessionService.revokeAllSessions).not.toHaveBeenCalled();
+    });
   });
 
   describe('getUserById', () => {
@@ -412,4 +676,173 @@ describe('AuthService', () => {
         .rejects.toThrow('Failed to get user: DB error');
     });
   });
+  describe('getCurrentUser', () => {
+    it('should return the user with the linked teacher profile', async () => {
+      const teacherUser = { _id: mockIds.user1, role: 'teacher', teacher: mockIds.teacher1 };
+      User.findById.mockResolvedValue({ ...teacherUser, toSafeObject: jest.fn(() => teacherUser) });
+      Teacher.findById.mockResolvedValue(teachers.valid);
+
+      const result = await authService.getCurrentUser(mockIds.user1);
+
+      expect(Teacher.findById).toHaveBeenCalledWith(mockIds.teacher1);
+      expect(Student.findById).not.toHaveBeenCalled();
+      expect(result).toEqual({ success: true, data: { user: teacherUser, profile: teachers.valid } });
+    });
+
+    it('should return a null profile when no profile is linked', async () => {
+      const plainUser = { _id: mockIds.user1, role: 'student' };
+      User.findById.mockResolvedValue({ ...plainUser, toSafeObject: jest.fn(() => plainUser) });
+
+      const result = await authService.getCurrentUser(mockIds.user1);
+
+      expect(result.data.profile).toBeNull();
+    });
+
+    it('should throw 404 when user not found', async () => {
+      User.findById.mockResolvedValue(null);
+
+      await expect(authService.getCurrentUser(mockIds.user1))
+        .rejects.toMatchObject({ message: 'User not found', statusCode: 404 });
+    });
+  });
+
+  describe('linkProfile', () => {
+    const teacherUser = { _id: mockIds.user1, username: 'jdupont', role: 'teacher' };
+
+    it('should link a teacher profile to a teacher account', async () => {
+      const updatedUser = { ...teacherUser, teacher: mockIds.teacher1 };
+      User.findById.mockResolvedValue(teacherUser);
+      Teacher.findById.mockResolvedValue(teachers.valid);
+      User.findOne.mockResolvedValue(null);
+      User.findByIdAndUpdate.mockResolvedValue({ ...updatedUser, toSafeObject: jest.fn(() => updatedUser) });
+
+      const result = await authService.linkProfile(mockIds.user1, { type: 'teacher', profileId: mockIds.teacher1 });
+
+      expect(User.findOne).toHaveBeenCalledWith({ teacher: mockIds.teacher1, _id: { $ne: mockIds.user1 } });
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+        mockIds.user1,
+        { teacher: mockIds.teacher1 },
+        { new: true, runValidators: true }
+      );
+      expect(result).toEqual({ success: true, data: { user: updatedUser, profile: teachers.valid } });
+    });
+
+    it('should throw 404 when user not found', async () => {
+      User.findById.mockResolvedValue(null);
+
+      await expect(authService.linkProfile(mockIds.user1, { type: 'teacher', profileId: mockIds.teacher1 }))
+        .rejects.toMatchObject({ message: 'User not found', statusCode: 404 });
+    });
+
+    it('should throw 400 when the profile type does not match the user role', async () => {
+      User.findById.mockResolvedValue(teacherUser);
+
+      await expect(authService.linkProfile(mockIds.user1, { type: 'student', profileId: mockIds.student1 }))
+        .rejects.toMatchObject({
+          message: 'A student profile can only be linked to a user with the student role',
+          statusCode: 400
+        });
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should throw 400 when the profile does not exist', async () => {
+      User.findById.mockResolvedValue(teacherUser);
+      Teacher.findById.mockResolvedValue(null);
+
+      await expect(authService.linkProfile(mockIds.user1, { type: 'teacher', profileId: mockIds.teacher1 }))
+        .rejects.toMatchObject({ message: `Referenced teacher (${mockIds.teacher1}) not found`, statusCode: 400 });
+    });
+
+    it('should throw 400 when the profile is linked to another account', async () => {
+      User.findById.mockResolvedValue(teacherUser);
+      Teacher.findById.mockResolvedValue(teachers.valid);
+      User.findOne.mockResolvedValue({ _id: '507f1f77bcf86cd799439097', username: 'other' });
+
+      await expect(authService.linkProfile(mockIds.user1, { type: 'teacher', profileId: mockIds.teacher1 }))
+        .rejects.toMatchObject({ message: 'This teacher profile is already linked to user other', statusCode: 400 });
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('unlinkProfile', () => {
+    it('should unset the linked profile', async () => {
+      const updatedUser = { _id: mockIds.user1, role: 'student' };
+      User.findById.mockResolvedValue({ ...updatedUser, student: mockIds.student1 });
+      User.findByIdAndUpdate.mockResolvedValue({ ...updatedUser, toSafeObject: jest.fn(() => updatedUser) });
+
+      const result = await authService.unlinkProfile(mockIds.user1);
+
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+        mockIds.user1,
+        { $unset: { teacher: 1, student: 1 }, $set: { children: [] } },
+        { new: true }
+      );
+      expect(result).toEqual({ success: true, data: { user: updatedUser } });
+    });
+
+    it('should throw 400 when the user has no linked profile', async () => {
+      User.findById.mockResolvedValue({ _id: mockIds.user1, role: 'student' });
+
+      await expect(authService.unlinkProfile(mockIds.user1))
+        .rejects.toMatchObject({ message: 'User has no linked profile', statusCode: 400 });
+    });
+
+    it('should throw 404 when user not found', async () => {
+      User.findById.mockResolvedValue(null);
+
+      await expect(authService.unlinkProfile(mockIds.user1))
+        .rejects.toMatchObject({ message: 'User not found', statusCode: 404 });
+    });
+  });
+  describe('parent accounts', () => {
+    const parentUser = { _id: mockIds.user1, username: 'parent1', role: 'parent', children: [mockIds.student1] };
+
+    it('should add a child to a parent without exclusivity check', async () => {
+      const updatedUser = { ...parentUser, children: [mockIds.student1, mockIds.student2] };
+      User.findById.mockResolvedValue(parentUser);
+      Student.findById.mockResolvedValue({ _id: mockIds.student2, nom: 'Leroy' });
+      User.findByIdAndUpdate.mockResolvedValue({ ...updatedUser, toSafeObject: jest.fn(() => updatedUser) });
+
+      const result = await authService.linkProfile(mockIds.user1, { type: 'parent', profileId: mockIds.student2 });
+
+      expect(User.findOne).not.toHaveBeenCalled();
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+        mockIds.user1,
+        { $addToSet: { children: mockIds.student2 } },
+        { new: true, runValidators: true }
+      );
+      expect(result.data.user.children).toHaveLength(2);
+    });
+
+    it('should return the children as profile', async () => {
+      const children = [{ _id: mockIds.student1, nom: 'Leroy' }];
+      User.findById.mockResolvedValue({ ...parentUser, toSafeObject: jest.fn(() => parentUser) });
+      Student.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(children) });
+
+      const result = await authService.getCurrentUser(mockIds.user1);
+
+      expect(Student.find).toHaveBeenCalledWith({ _id: { $in: [mockIds.student1] } });
+      expect(result.data.profile).toEqual(children);
+    });
+
+    it('should detach a single child', async () => {
+      User.findById.mockResolvedValue(parentUser);
+      User.findByIdAndUpdate.mockResolvedValue({ ...parentUser, toSafeObject: jest.fn(() => ({ ...parentUser, children: [] })) });
+
+      await authService.unlinkProfile(mockIds.user1, mockIds.student1);
+
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+        mockIds.user1,
+        { $pull: { children: mockIds.student1 } },
+        { new: true }
+      );
+    });
+
+    it('should throw 400 when detaching a student that is not a child', async () => {
+      User.findById.mockResolvedValue(parentUser);
+
+      await expect(authService.unlinkProfile(mockIds.user1, mockIds.student2))
+        .rejects.toMatchObject({ message: `Student (${mockIds.student2}) is not linked to this user`, statusCode: 400 });
+    });
+  });
 });
@@ -30,12 +30,19 @@
  */
 
 const classService = require('../../../src/services/classService');
+const auditService = require('../../../src/services/auditService');
+const dependencyService = require('../../../src/services/dependencyService');
 const Class = require('../../../src/models/Class');
 const Teacher = require('../../../src/models/Teacher');
-const { classes, teachers, mockIds, edgeCases } = require('../mocks/fixtures');
+const academicYearService = require('../../../src/services/academicYearService');
+const { classes, teachers, academicYears, mockIds, edgeCases } = require('../mocks/fixtures');
+const { createQueryMock } = require('../mocks/modelMocks');
 
 jest.mock('../../../src/models/Class');
 jest.mock('../../../src/models/Teacher');
+jest.mock('../../../src/services/academicYearService');
+jest.mock('../../../src/services/auditService');
+jest.mock('../../../src/services/dependencyService');
 
 describe('ClassService', () => {
   beforeEach(() => {
@@ -43,39 +50,56 @@ describe('ClassService', () => {
   });
 
   describe('getAllClasses', () => {
-    it('should return all classes with populated prof sorted by nom', async () => {
+    it('should return all classes with populated prof sorted by nom when no page is requested', async () => {
       const mockClasses = [classes.validWithPopulate];
-      const mockQuery = {
-        populate: jest.fn().mockReturnThis(),
-        sort: jest.fn().mockResolvedValue(mockClasses),
-      };
+      const mockQuery = createQueryMock(mockClasses);
       Class.find.mockReturnValue(mockQuery);
+      Class.countDocuments.mockResolvedValue(1);
 
       const result = await classService.getAllClasses();
 
-      expect(Class.find).toHaveBeenCalled();
+      expect(Class.find).toHaveBeenCalledWith({});
       expect(mockQuery.populate).toHaveBeenCalledWith('prof', 'nom prenom');
-      expect(result).toEqual(mockClasses);
+      expect(mockQuery.sort).toHaveBeenCalledWith({ nom: 1, _id: 1 });
+      expect(result).toEqual({ data: mockClasses, total: 1, page: 1, limit: null, totalPages: 1 });
     });
 
-    it('should return empty array when no classes', async () => {
-      const mockQuery = {
-        populate: jest.fn().mockReturnThis(),
-        sort: jest.fn().mockResolvedValue([]),
-      };
+    it('should apply page, limit, sort and fields options', async () => {
+      const mockQuery = createQueryMock([]);
       Class.find.mockReturnValue(mockQuery);
+      Class.countDocuments.mockResolvedValue(4);
+
+      const result = await classService.getAllClasses({}, { page: 2, limit: 3, sort: '-nom', fields: 'nom' });
+
+      expect(mockQuery.select).toHaveBeenCalledWith('nom');
+      expect(mockQuery.sort).toHaveBeenCalledWith('-nom _id');
+      expect(mockQuery.skip).toHaveBeenCalledWith(3);
+      expect(result).toMatchObject({ total: 4, page: 2, limit: 3, totalPages: 2 });
+    });
+
+    it('should return an empty page when no classes', async () => {
+      Class.find.mockReturnValue(createQueryMock([]));
+      Class.countDocuments.mockResolvedValue(0);
 
       const result = await classService.getAllClasses();
 
-      expect(result).toEqual([]);
+      expect(result.data).toEqual([]);
+    });
+
+    it('should filter classes by academic year', async () => {
+      Class.find.mockReturnValue(createQueryMock([]));
+      Class.countDocuments.mockResolvedValue(0);
+      academicYearService.getYearIdFilter.mockResolvedValueOnce({ $in: [mockIds.academicYear1] });
+
+      await classService.getAllClasses({ year: '2024-2025' });
+
+      expect(academicYearService.getYearIdFilter).toHaveBeenCalledWith('2024-2025');
+      expect(Class.find).toHaveBeenCalledWith({ idannee: { $in: [mockIds.academicYear1] } });
     });
 
     it('should propagate database errors', async () => {
-      const mockQuery = {
-        populate: jest.fn().mockReturnThis(),
-        sort: jest.fn().mockRejectedValue(new Error('DB error')),
-      };
-      Class.find.mockReturnValue(mockQuery);
+      Class.find.mockReturnValue(createQueryMock(null, new Error('DB error')));
+      Class.countDocuments.mockResolvedValue(0);
 
       await expect(classService.getAllClasses()).rejects.toThrow('DB error');
     });
@@ -90,7 +114,7 @@ describe('ClassService', () => {
 
       const result = await classService.getClassById(mockIds.class1);
 
-      expect(Class.findById).toHaveBeenCalledWith(mockIds.class1);
+      expect(Class.findById).toHaveBeenCalledWith(mockIds.class1, null, { includeDeleted: false });
       expect(mockQuery.populate).toHaveBeenCalledWith('prof', 'nom prenom');
       expect(result).toEqual(classes.validWithPopulate);
       expect(result.prof.nom).toBe('Dupont');
@@ -150,6 +174,18 @@ describe('ClassService', () => {
       expect(result).toEqual(classes.validWithPopulate);
     });
 
+    it('should attach the class to the current academic year by default', async () => {
+      Teacher.findById.mockResolvedValue(teachers.valid);
+      academicYearService.resolveYear.mockResolvedValueOnce(academicYears.valid);
+      Class.mockImplementation(() => ({ _id: mockIds.class2, save: jest.fn().mockResolvedValue() }));
+      Class.findById.mockReturnValue(createQueryMock(classes.validWithPopulate));
+
+      await classService.createClass(classes.validInput);
+
+      expect(academicYearService.resolveYear).toHaveBeenCalledWith(undefined);
+      expect(Class).toHaveBeenCalledWith({ ...classes.validInput, idannee: mockIds.academicYear1 });
+    });
+
     it('should throw error when teacher not found', async () => {
       Teacher.findById.mockResolvedValue(null);
 
@@ -252,30 +288,155 @@ describe('ClassService', () => {
       await expect(classService.updateClass(mockIds.class1, {}))
         .rejects.toThrow('DB error');
     });
+
+    it('should refuse to update a class of an archived academic year', async () => {
+      academicYearService.assertWritable.mockRejectedValueOnce(Object.assign(new Error('Academic year 2023-2024 is archived and read-only'), { statusCode: 409 }));
+
+      await expect(classService.updateClass(mockIds.class1, { nom: 'Updated' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(academicYearService.assertWritable).toHaveBeenCalledWith({ idclasse: mockIds.class1 });
+      expect(Class.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
   });
 
   describe('deleteClass', () => {
+    beforeEach(() => {
+      dependencyService.deleteWithDependents.mockImplementation((entity, id, options, remove) => remove());
+    });
+
     it('should delete and return class', async () => {
-      Class.findByIdAndDelete.mockResolvedValue(classes.valid);
+      Class.findByIdAndUpdate.mockResolvedValue(classes.valid);
 
-      const result = await classService.deleteClass(mockIds.class1);
+      const result = await classService.deleteClass(mockIds.class1, { _id: mockIds.user1 });
 
-      expect(Class.findByIdAndDelete).toHaveBeenCalledWith(mockIds.class1);
+      expect(Class.findByIdAndUpdate).toHaveBeenCalledWith(
+        mockIds.class1,
+        { deletedAt: expect.any(Date), deletedBy: mockIds.user1 },
+        { new: true }
+      );
       expect(result).toEqual(classes.valid);
     });
 
     it('should throw error when class not found', async () => {
-      Class.findByIdAndDelete.mockResolvedValue(null);
+      Class.findByIdAndUpdate.mockResolvedValue(null);
 
       await expect(classService.deleteClass(edgeCases.nonExistentId))
         .rejects.toThrow('Class not found');
     });
 
     it('should propagate database errors', async () => {
-      Class.findByIdAndDelete.mockRejectedValue(new Error('DB error'));
+      Class.findByIdAndUpdate.mockRejectedValue(new Error('DB error'));
 
       await expect(classService.deleteClass(mockIds.class1))
         .rejects.toThrow('DB error');
     });
+
+    it('should refuse to delete a class of an archived academic year', async () => {
+      academicYearService.assertWritable.mockRejectedValueOnce(Object.assign(new Error('Academic year 2023-2024 is archived and read-only'), { statusCode: 409 }));
+
+      await expect(classService.deleteClass(mockIds.class1))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(Class.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should check the records referencing the class with the cascade options', async () => {
+      Class.findByIdAndUpdate.mockResolvedValue(classes.valid);
+      const user = { _id: mockIds.user1 };
+
+      await classService.deleteClass(mockIds.class1, user, { cascade: 'reassign', to: mockIds.class2 });
+
+      expect(dependencyService.deleteWithDependents).toHaveBeenCalledWith(
+        'Class', mockIds.class1, { cascade: 'reassign', to: mockIds.class2, user }, expect.any(Function)
+      );
+      expect(academicYearService.assertWritable).toHaveBeenCalledWith({ idclasse: mockIds.class2 });
+    });
+
+    it('should keep a class that is still referenced', async () => {
+      dependencyService.deleteWithDependents.mockRejectedValueOnce(Object.assign(new Error('Class is still referenced'), { statusCode: 409 }));
+
+      await expect(classService.deleteClass(mockIds.class1))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(auditService.record).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('restoreClass', () => {
+    const deletedClass = () => ({
+      ...classes.valid,
+      idannee: mockIds.academicYear1,
+      deletedAt: new Date(),
+      set: jest.fn(),
+      save: jest.fn()
+    });
+
+    const session = { id: 'session' };
+
+    beforeEach(() => {
+      dependencyService.restoreWithDependents.mockImplementation((entity, record, restore) => restore(session));
+    });
+
+    it('should clear the deletion and return the class with its teacher', async () => {
+      const classe = deletedClass();
+      Class.findById
+        .mockResolvedValueOnce(classe)
+        .mockReturnValueOnce(createQueryMock(classes.validWithPopulate));
+      Teacher.findById.mockResolvedValueOnce(teachers.valid);
+
+      const result = await classService.restoreClass(mockIds.class1);
+
+      expect(Class.findById).toHaveBeenCalledWith(mockIds.class1, null, { includeDeleted: true });
+      expect(academicYearService.assertYearWritable).toHaveBeenCalledWith(mockIds.academicYear1);
+      expect(Teacher.findById).toHaveBeenCalledWith(mockIds.teacher1, null, { includeDeleted: true });
+      expect(Class.exists).toHaveBeenCalledWith({ nom: classes.valid.nom, idannee: mockIds.academicYear1 });
+      expect(classe.set).toHaveBeenCalledWith({ deletedAt: null, deletedBy: null });
+      expect(auditService.record).toHaveBeenCalledWith({ action: 'restore', entity: 'Class', after: classe });
+      expect(result).toEqual(classes.validWithPopulate);
+    });
+
+    it('should return 409 while the teacher of the class is deleted', async () => {
+      const classe = deletedClass();
+      Class.findById.mockResolvedValueOnce(classe);
+      Teacher.findById.mockResolvedValueOnce({ ...teachers.valid, deletedAt: new Date() });
+
+      await expect(classService.restoreClass(mockIds.class1))
+        .rejects.toMatchObject({ statusCode: 409, message: 'The teacher of this class is deleted: restore it first' });
+      expect(classe.save).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 when another class of the year took its name', async () => {
+      const classe = deletedClass();
+      Class.findById.mockResolvedValueOnce(classe);
+      Teacher.findById.mockResolvedValueOnce(teachers.valid);
+      Class.exists.mockResolvedValueOnce({ _id: mockIds.class2 });
+
+      await expect(classService.restoreClass(mockIds.class1)).rejects.toMatchObject({
+        statusCode: 409,
+        message: `Another class of this academic year is named ${classes.valid.nom}: rename it first`
+      });
+      expect(classe.save).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to restore a class of an archived academic year', async () => {
+      const classe = deletedClass();
+      Class.findById.mockResolvedValueOnce(classe);
+      academicYearService.assertYearWritable.mockRejectedValueOnce(Object.assign(new Error('Academic year 2023-2024 is archived and read-only'), { statusCode: 409 }));
+
+      await expect(classService.restoreClass(mockIds.class1))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(classe.save).not.toHaveBeenCalled();
+    });
+
+    it('should restore the records deleted along with the class', async () => {
+      const classe = deletedClass();
+      Class.findById
+        .mockResolvedValueOnce(classe)
+        .mockReturnValueOnce(createQueryMock(classes.validWithPopulate));
+      Teacher.findById.mockResolvedValueOnce(teachers.valid);
+
+      await classService.restoreClass(mockIds.class1);
+
+      expect(dependencyService.restoreWithDependents).toHaveBeenCalledWith('Class', classe, expect.any(Function));
+      expect(classe.save).toHaveBeenCalledWith({ session });
+    });
   });
 });
@@ -0,0 +1,233 @@
+/**
+ * Unit Tests for Council Comment Service
+ *
+ * Tests the class council global comment written per student and trimester.
+ *
+ * Core Functionality Tests:
+ * - Council comment CRUD operations with reference population
+ * - Reference validation before creation (student, trimester)
+ * - Author tracking: the authenticated user is recorded on create and update
+ *
+ * Mock Architecture:
+ * - CouncilComment, Student and Trimester models mocked for isolation
+ * - Query chains simulated with createQueryMock (.populate().sort())
+ */
+
+const councilCommentService = require('../../../src/services/councilCommentService');
+const CouncilComment = require('../../../src/models/CouncilComment');
+const Student = require('../../../src/models/Student');
+const Trimester = require('../../../src/models/Trimester');
+const Class = require('../../../src/models/Class');
+const teachingAssignmentService = require('../../../src/services/teachingAssignmentService');
+const academicYearService = require('../../../src/services/academicYearService');
+const { withDeleted } = require('../../../src/utils/softDelete');
+const { createQueryMock } = require('../mocks/modelMocks');
+const { mockIds } = require('../mocks/fixtures');
+
+jest.mock('../../../src/models/CouncilComment');
+jest.mock('../../../src/models/Student');
+jest.mock('../../../src/models/Trimester');
+jest.mock('../../../src/models/Class');
+jest.mock('../../../src/services/teachingAssignmentService');
+jest.mock('../../../src/services/academicYearService');
+
+describe('CouncilCommentService', () => {
+  const commentId = '507f1f77bcf86cd799439098';
+  const commentInput = {
+    ideleve: mockIds.student1,
+    idtrimestre: mockIds.trimester1,
+    texte: 'Félicitations'
+  };
+  const admin = { _id: mockIds.user1, role: 'admin' };
+  const teacher = { _id: mockIds.user1, role: 'teacher', teacher: mockIds.teacher1 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getAllCouncilComments', () => {
+    it('should return comments with populated references sorted by creation date', async () => {
+      const comments = [{ _id: commentId, texte: 'Félicitations' }];
+      const query = createQueryMock(comments);
+      CouncilComment.find.mockReturnValue(query);
+
+      const result = await councilCommentService.getAllCouncilComments();
+
+      expect(CouncilComment.find).toHaveBeenCalledWith({});
+      expect(query.populate).toHaveBeenCalledWith(withDeleted('ideleve', 'nom prenom'));
+      expect(query.populate).toHaveBeenCalledWith(withDeleted('idtrimestre', 'nom'));
+      expect(query.populate).toHaveBeenCalledWith('auteur', 'username');
+      expect(query.sort).toHaveBeenCalledWith({ createdAt: -1 });
+      expect(result).toEqual(comments);
+    });
+
+    it('should map filters to model fields', async () => {
+      CouncilComment.find.mockReturnValue(createQueryMock([]));
+
+      await councilCommentService.getAllCouncilComments({
+        student: mockIds.student1,
+        trimester: mockIds.trimester1
+      });
+
+      expect(CouncilComment.find).toHaveBeenCalledWith({
+        ideleve: mockIds.student1,
+        idtrimestre: mockIds.trimester1
+      });
+    });
+  });
+
+  describe('getCouncilCommentById', () => {
+    it('should return the comment when found', async () => {
+      const comment = { _id: commentId };
+      CouncilComment.findById.mockReturnValue(createQueryMock(comment));
+
+      const result = await councilCommentService.getCouncilCommentById(commentId);
+
+      expect(result).toEqual(comment);
+    });
+
+    it('should throw 404 when comment not found', async () => {
+      CouncilComment.findById.mockReturnValue(createQueryMock(null));
+
+      await expect(councilCommentService.getCouncilCommentById(commentId))
+        .rejects.toMatchObject({ message: 'Council comment not found', statusCode: 404 });
+    });
+  });
+
+  describe('createCouncilComment', () => {
+    beforeEach(() => {
+      Student.findById.mockResolvedValue({ _id: mockIds.student1 });
+      Trimester.findById.mockResolvedValue({ _id: mockIds.trimester1 });
+    });
+
+    it('should create the comment with the authenticated user as author', async () => {
+      const save = jest.fn().mockResolvedValue();
+      CouncilComment.mockImplementation(() => ({ _id: commentId, save }));
+      const created = { _id: commentId, ...commentInput, auteur: mockIds.user1 };
+      CouncilComment.findById.mockReturnValue(createQueryMock(created));
+
+      const result = await councilCommentService.createCouncilComment(commentInput, admin);
+
+      expect(CouncilComment).toHaveBeenCalledWith({ ...commentInput, auteur: mockIds.user1 });
+      expect(save).toHaveBeenCalled();
+      expect(result).toEqual(created);
+    });
+
+    it('should let the main teacher of the student\'s class comment', async () => {
+      Student.findById.mockResolvedValue({ _id: mockIds.student1, classe: mockIds.class1 });
+      Class.findById.mockResolvedValue({ _id: mockIds.class1, prof: mockIds.teacher1 });
+      CouncilComment.mockImplementation(() => ({ _id: commentId, save: jest.fn() }));
+      CouncilComment.findById.mockReturnValue(createQueryMock({ _id: commentId }));
+
+      await councilCommentService.createCouncilComment(commentInput, teacher);
+
+      expect(CouncilComment).toHaveBeenCalledWith({ ...commentInput, auteur: mockIds.user1 });
+      expect(teachingAssignmentService.teachesInClass).not.toHaveBeenCalled();
+    });
+
+    it('should let a subject teacher of the student\'s class comment', async () => {
+      Student.findById.mockResolvedValue({ _id: mockIds.student1, classe: mockIds.class1 });
+      Class.findById.mockResolvedValue({ _id: mockIds.class1, prof: mockIds.teacher2 });
+      teachingAssignmentService.teachesInClass.mockResolvedValue(true);
+      CouncilComment.mockImplementation(() => ({ _id: commentId, save: jest.fn() }));
+      CouncilComment.findById.mockReturnValue(createQueryMock({ _id: commentId }));
+
+      await councilCommentService.createCouncilComment(commentInput, teacher);
+
+      expect(teachingAssignmentService.teachesInClass).toHaveBeenCalledWith({ idprof: mockIds.teacher1, idclasse: mockIds.class1 });
+      expect(CouncilComment).toHaveBeenCalled();
+    });
+
+    it('should throw 403 when the teacher does not teach in the student\'s class', async () => {
+      Student.findById.mockResolvedValue({ _id: mockIds.student1, classe: mockIds.class1 });
+      Class.findById.mockResolvedValue({ _id: mockIds.class1, prof: mockIds.teacher2 });
+      teachingAssignmentService.teachesInClass.mockResolvedValue(false);
+
+      await expect(councilCommentService.createCouncilComment(commentInput, teacher))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(CouncilComment).not.toHaveBeenCalled();
+    });
+
+    it('should throw 400 when student not found', async () => {
+      Student.findById.mockResolvedValue(null);
+
+      await expect(councilCommentService.createCouncilComment(commentInput, admin))
+        .rejects.toMatchObject({ statusCode: 400, message: `Referenced student (${mockIds.student1}) not found` });
+      expect(CouncilComment).not.toHaveBeenCalled();
+    });
+
+    it('should throw 400 when trimester not found', async () => {
+      Trimester.findById.mockResolvedValue(null);
+
+      await expect(councilCommentService.createCouncilComment(commentInput, admin))
+        .rejects.toMatchObject({ statusCode: 400, message: `Referenced trimester (${mockIds.trimester1}) not found` });
+    });
+  });
+
+  describe('updateCouncilComment', () => {
+    it('should update the text and keep the author', async () => {
+      const updated = { _id: commentId, texte: 'Encouragements' };
+      CouncilComment.findByIdAndUpdate.mockReturnValue(createQueryMock(updated));
+
+      const result = await councilCommentService.updateCouncilComment(
+        commentId,
+        { texte: 'Encouragements', ideleve: mockIds.student2, auteur: mockIds.user2 },
+        admin
+      );
+
+      expect(CouncilComment.findByIdAndUpdate).toHaveBeenCalledWith(
+        commentId,
+        { texte: 'Encouragements' },
+        { new: true, runValidators: true }
+      );
+      expect(result).toEqual(updated);
+    });
+
+    it('should throw 403 when a teacher edits the comment of a student outside its classes', async () => {
+      CouncilComment.findById.mockResolvedValue({ _id: commentId, ideleve: mockIds.student1 });
+      Student.findById.mockResolvedValue({ _id: mockIds.student1, classe: mockIds.class1 });
+      Class.findById.mockResolvedValue({ _id: mockIds.class1, prof: mockIds.teacher2 });
+      teachingAssignmentService.teachesInClass.mockResolvedValue(false);
+
+      await expect(councilCommentService.updateCouncilComment(commentId, { texte: 'x' }, teacher))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(CouncilComment.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should throw 404 when comment not found', async () => {
+      CouncilComment.findByIdAndUpdate.mockReturnValue(createQueryMock(null));
+
+      await expect(councilCommentService.updateCouncilComment(commentId, { texte: 'x' }, admin))
+        .rejects.toMatchObject({ message: 'Council comment not found', statusCode: 404 });
+    });
+
+    it('should not update a comment of an archived academic year', async () => {
+      const comment = { _id: commentId, idtrimestre: mockIds.trimester1 };
+      CouncilComment.findById.mockResolvedValue(comment);
+      academicYearService.assertWritable.mockRejectedValueOnce(Object.assign(new Error('Academic year 2023-2024 is archived and read-only'), { statusCode: 409 }));
+
+      await expect(councilCommentService.updateCouncilComment(commentId, { texte: 'x' }, admin))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(academicYearService.assertWritable).toHaveBeenCalledWith(comment);
+      expect(CouncilComment.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteCouncilComment', () => {
+    it('should delete and return the comment', async () => {
+      CouncilComment.findByIdAndDelete.mockResolvedValue({ _id: commentId });
+
+      const result = await councilCommentService.deleteCouncilComment(commentId);
+
+      expect(CouncilComment.findByIdAndDelete).toHaveBeenCalledWith(commentId);
+      expect(result).toEqual({ _id: commentId });
+    });
+
+    it('should throw 404 when comment not found', async () => {
+      CouncilComment.findByIdAndDelete.mockResolvedValue(null);
+
+      await expect(councilCommentService.deleteCouncilComment(commentId))
+        .rejects.toMatchObject({ message: 'Council comment not found', statusCode: 404 });
+    });
+  });
+});
@@ -0,0 +1,495 @@
+/**
+ * Unit Tests for Dependency Service
+ *
+ * Tests the checks run before deleting a referenced record.
+ *
+ * Core Functionality Tests:
+ * - Counting the records referencing a teacher, class, subject, student or trimester
+ * - Refusing to delete a referenced record without cascade (409 with counts)
+ * - Reassigning or deleting the dependents in one transaction
+ * - Archived years and locked trimesters only changed with an admin override
+ * - Reassignments refused when they would duplicate records of the target
+ * - Teachers whose classes have students and classes of another year refused
+ * - History of the reassigned grades
+ * - Dependents deleted with a record restored with it
+ *
+ * Mock Architecture:
+ * - Every referencing model, the audit and grade history services mocked for isolation
+ * - mongoose.startSession mocked: the transaction runs its callback once
+ */
+
+const mongoose = require('mongoose');
+const dependencyService = require('../../../src/services/dependencyService');
+const auditService = require('../../../src/services/auditService');
+const gradeHistoryService = require('../../../src/services/gradeHistoryService');
+const AcademicYear = require('../../../src/models/AcademicYear');
+const Appreciation = require('../../../src/models/Appreciation');
+const Attendance = require('../../../src/models/Attendance');
+const Class = require('../../../src/models/Class');
+const CouncilComment = require('../../../src/models/CouncilComment');
+const Evaluation = require('../../../src/models/Evaluation');
+const Grade = require('../../../src/models/Grade');
+const Student = require('../../../src/models/Student');
+const Subject = require('../../../src/models/Subject');
+const Teacher = require('../../../src/models/Teacher');
+const TeachingAssignment = require('../../../src/models/TeachingAssignment');
+const TimetableSlot = require('../../../src/models/TimetableSlot');
+const Trimester = require('../../../src/models/Trimester');
+const { createQueryMock } = require('../mocks/modelMocks');
+const { mockIds } = require('../mocks/fixtures');
+
+jest.mock('../../../src/models/AcademicYear');
+jest.mock('../../../src/models/Appreciation');
+jest.mock('../../../src/models/Attendance');
+jest.mock('../../../src/models/Class');
+jest.mock('../../../src/models/CouncilComment');
+jest.mock('../../../src/models/Evaluation');
+jest.mock('../../../src/models/Grade');
+jest.mock('../../../src/models/Student');
+jest.mock('../../../src/models/Subject');
+jest.mock('../../../src/models/Teacher');
+jest.mock('../../../src/models/TeachingAssignment');
+jest.mock('../../../src/models/TimetableSlot');
+jest.mock('../../../src/models/Trimester');
+jest.mock('../../../src/services/auditService');
+jest.mock('../../../src/services/gradeHistoryService');
+
+describe('DependencyService', () => {
+  const classe = { _id: mockIds.class1, nom: '6A', prof: mockIds.teacher1 };
+  const grade = { _id: mockIds.grade1, note: 14, idprof: mockIds.teacher1 };
+  const teacher = { _id: mockIds.teacher1, nom: 'Dupont' };
+
+  const admin = { _id: mockIds.user1, role: 'admin' };
+  let session;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    session = { withTransaction: jest.fn(async callback => callback()), endSession: jest.fn() };
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    AcademicYear.findOne.mockResolvedValue(null);
+    Class.find.mockResolvedValue([]);
+    Trimester.find.mockResolvedValue([]);
+    [Appreciation, Attendance, Class, CouncilComment, Evaluation, Grade, Student, TeachingAssignment, TimetableSlot]
+      .forEach(model => model.countDocuments.mockResolvedValue(0));
+  });
+
+  // The teacher is the prof of one class and has entered one grade
+  const referenceTeacher = () => {
+    Class.countDocuments.mockResolvedValue(1);
+    Grade.countDocuments.mockResolvedValue(1);
+    Class.find.mockReturnValue(createQueryMock([classe]));
+    Grade.find.mockReturnValue(createQueryMock([grade]));
+  };
+
+  describe('countDependents', () => {
+    it('should return the kinds of records found with their count', async () => {
+      Grade.countDocuments.mockResolvedValue(12);
+      Attendance.countDocuments.mockResolvedValue(3);
+
+      const result = await dependencyService.countDependents('Student', mockIds.student1);
+
+      expect(Grade.countDocuments).toHaveBeenCalledWith({ ideleve: mockIds.student1 });
+      expect(CouncilComment.countDocuments).toHaveBeenCalledWith({ ideleve: mockIds.student1 });
+      expect(result).toEqual({ grades: 12, attendance: 3 });
+    });
+  });
+
+  describe('deleteWithDependents', () => {
+    it('should delete a record that nothing references', async () => {
+      const remove = jest.fn().mockResolvedValue(teacher);
+
+      const result = await dependencyService.deleteWithDependents('Teacher', mockIds.teacher1, {}, remove);
+
+      expect(Class.countDocuments).toHaveBeenCalledWith({ prof: mockIds.teacher1 });
+      expect(remove).toHaveBeenCalled();
+      expect(auditService.recordMany).not.toHaveBeenCalled();
+      expect(result).toBe(teacher);
+    });
+
+    it('should return 409 with the counts when the record is referenced without cascade', async () => {
+      referenceTeacher();
+      const remove = jest.fn();
+
+      await expect(dependencyService.deleteWithDependents('Teacher', mockIds.teacher1, {}, remove))
+        .rejects.toMatchObject({
+          statusCode: 409,
+          message: 'Teacher is still referenced (classes: 1, grades: 1): use ?cascade=reassign&to=<id> or ?cascade=delete',
+          details: { classes: 1, grades: 1 }
+        });
+      expect(remove).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to reassign the dependents to the record itself', async () => {
+      referenceTeacher();
+
+      await expect(dependencyService.deleteWithDependents(
+        'Teacher', mockIds.teacher1, { cascade: 'reassign', to: mockIds.teacher1 }, jest.fn()
+      )).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should return 404 when the reassign target does not exist', async () => {
+      referenceTeacher();
+      Teacher.findById.mockResolvedValueOnce(null);
+
+      await expect(dependencyService.deleteWithDependents(
+        'Teacher', mockIds.teacher1, { cascade: 'reassign', to: mockIds.teacher2 }, jest.fn()
+      )).rejects.toMatchObject({ statusCode: 404, message: 'Target teacher not found' });
+      expect(Class.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should reassign the dependents before deleting the record', async () => {
+      referenceTeacher();
+      Teacher.findById.mockResolvedValueOnce({ _id: mockIds.teacher2 });
+      const remove = jest.fn().mockResolvedValue(teacher);
+
+      const result = await dependencyService.deleteWithDependents(
+        'Teacher', mockIds.teacher1, { cascade: 'reassign', to: mockIds.teacher2 }, remove
+      );
+
+      expect(session.withTransaction).toHaveBeenCalled();
+      expect(Grade.find).toHaveBeenCalledWith({ idprof: mockIds.teacher1 }, null, { session });
+      expect(Class.updateMany).toHaveBeenCalledWith({ _id: { $in: [mockIds.class1] } }, { prof: mockIds.teacher2 }, { session });
+      expect(Grade.updateMany).toHaveBeenCalledWith({ _id: { $in: [mockIds.grade1] } }, { idprof: mockIds.teacher2 }, { session });
+      expect(remove).toHaveBeenCalledWith(session, expect.any(Date));
+      expect(session.endSession).toHaveBeenCalled();
+      expect(auditService.recordMany).toHaveBeenCalledWith([
+        { action: 'update', entity: 'Class', before: classe, after: { ...classe, prof: mockIds.teacher2 } },
+        { action: 'update', entity: 'Grade', before: grade, after: { ...grade, idprof: mockIds.teacher2 } }
+      ]);
+      expect(result).toBe(teacher);
+    });
+
+    it('should keep the new version of each reassigned grade in its history', async () => {
+      referenceTeacher();
+      Teacher.findById.mockResolvedValueOnce({ _id: mockIds.teacher2 });
+
+      await dependencyService.deleteWithDependents(
+        'Teacher', mockIds.teacher1, { cascade: 'reassign', to: mockIds.teacher2 }, jest.fn().mockResolvedValue(teacher)
+      );
+
+      expect(gradeHistoryService.recordChange).toHaveBeenCalledTimes(1);
+      expect(gradeHistoryService.recordChange).toHaveBeenCalledWith(
+        grade,
+        { ...grade, idprof: mockIds.teacher2 },
+        { motif: 'Teacher deleted, grade reassigned', motifDerogation: undefined },
+        session
+      );
+    });
+
+    describe('archived years and locked trimesters', () => {
+      const lockedGrade = { ...grade, idclasse: mockIds.class1, idtrimestre: mockIds.trimester1 };
+
+      // The grade of the teacher belongs to a locked trimester
+      const referenceLockedGrade = () => {
+        Grade.countDocuments.mockResolvedValue(1);
+        Grade.find.mockReturnValue(createQueryMock([lockedGrade]));
+        Trimester.find.mockResolvedValue([{ _id: mockIds.trimester1, nom: 'T1', verrouille: true }]);
+      };
+
+      it('should refuse to delete the grades of a locked trimester without an override', async () => {
+        referenceLockedGrade();
+        const remove = jest.fn();
+
+        await expect(dependencyService.deleteWithDependents(
+          'Teacher', mockIds.teacher1, { cascade: 'delete', user: admin }, remove
+        )).rejects.toMatchObject({
+          statusCode: 409,
+          message: 'Records to change belong to the locked trimester T1: only an admin giving an override reason (motifDerogation) can change them'
+        });
+        expect(Trimester.find).toHaveBeenCalledWith(
+          { _id: { $in: [String(mockIds.trimester1)] } },
+          'nom idannee verrouille',
+          { includeDeleted: true, session }
+        );
+        expect(Grade.updateMany).not.toHaveBeenCalled();
+        expect(remove).not.toHaveBeenCalled();
+      });
+
+      it('should refuse to change the records of an archived year, even with a reason from a teacher', async () => {
+        referenceLockedGrade();
+        Trimester.find.mockResolvedValue([]);
+        Class.find.mockResolvedValue([{ _id: mockIds.class1, idannee: mockIds.academicYear1 }]);
+        AcademicYear.findOne.mockResolvedValue({ _id: mockIds.academicYear1, nom: '2023-2024', archivee: true });
+
+        await expect(dependencyService.deleteWithDependents(
+          'Teacher', mockIds.teacher1, { cascade: 'delete', user: { role: 'teacher' }, motifDerogation: 'Erreur' }, jest.fn()
+        )).rejects.toMatchObject({
+          statusCode: 409,
+          message: 'Records to change belong to the archived academic year 2023-2024: only an admin giving an override reason (motifDerogation) can change them'
+        });
+        expect(AcademicYear.findOne).toHaveBeenCalledWith({
+          archivee: true,
+          $or: [{ _id: { $in: [mockIds.academicYear1] } }, { nom: { $in: [] } }]
+        }, null, { session });
+        expect(Grade.updateMany).not.toHaveBeenCalled();
+      });
+
+      it('should check the trimester receiving reassigned records', async () => {
+        Grade.countDocuments.mockResolvedValue(1);
+        Grade.find.mockReturnValue(createQueryMock([{ _id: mockIds.grade1, idtrimestre: mockIds.trimester1 }]));
+        Trimester.findById.mockResolvedValueOnce({ _id: mockIds.trimester2 });
+        Trimester.find.mockResolvedValue([{ _id: mockIds.trimester2, nom: 'T2', verrouille: true }]);
+
+        await expect(dependencyService.deleteWithDependents(
+          'Trimester', mockIds.trimester1, { cascade: 'reassign', to: mockIds.trimester2 }, jest.fn()
+        )).rejects.toMatchObject({ statusCode: 409 });
+        expect(Trimester.find).toHaveBeenCalledWith(
+          { _id: { $in: [String(mockIds.trimester1), mockIds.trimester2] } },
+          'nom idannee verrouille',
+          { includeDeleted: true, session }
+        );
+        expect(Grade.updateMany).not.toHaveBeenCalled();
+      });
+
+      it('should let an admin giving an override reason through, keeping the reason', async () => {
+        referenceLockedGrade();
+        Teacher.findById.mockResolvedValueOnce({ _id: mockIds.teacher2 });
+
+        await dependencyService.deleteWithDependents(
+          'Teacher',
+          mockIds.teacher1,
+          { cascade: 'reassign', to: mockIds.teacher2, user: admin, motifDerogation: 'Départ en cours d\'année' },
+          jest.fn().mockResolvedValue(teacher)
+        );
+
+        expect(Grade.updateMany).toHaveBeenCalledWith({ _id: { $in: [mockIds.grade1] } }, { idprof: mockIds.teacher2 }, { session });
+        expect(gradeHistoryService.recordChange).toHaveBeenCalledWith(
+          lockedGrade,
+          { ...lockedGrade, idprof: mockIds.teacher2 },
+          { motif: 'Teacher deleted, grade reassigned', motifDerogation: 'Départ en cours d\'année' },
+          session
+        );
+        expect(auditService.recordMany).toHaveBeenCalledWith([expect.objectContaining({
+          action: 'update',
+          entity: 'Grade',
+          reason: 'Départ en cours d\'année'
+        })]);
+      });
+    });
+
+    it('should soft-delete every dependent with the record with cascade=delete', async () => {
+      referenceTeacher();
+      TeachingAssignment.countDocuments.mockResolvedValue(1);
+      TeachingAssignment.find.mockReturnValue(createQueryMock([{ _id: mockIds.assignment1 }]));
+      const remove = jest.fn().mockResolvedValue(teacher);
+
+      await dependencyService.deleteWithDependents(
+        'Teacher', mockIds.teacher1, { cascade: 'delete', user: { _id: mockIds.user1 } }, remove
+      );
+
+      const [[, { deletedAt }]] = Class.updateMany.mock.calls;
+      expect(Student.countDocuments).toHaveBeenCalledWith({ classe: { $in: [mockIds.class1] } });
+      expect(Class.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: [mockIds.class1] } },
+        { deletedAt: expect.any(Date), deletedBy: mockIds.user1 },
+        { session }
+      );
+      expect(Grade.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: [mockIds.grade1] } },
+        { deletedAt, deletedBy: mockIds.user1 },
+        { session }
+      );
+      expect(TeachingAssignment.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: [mockIds.assignment1] } },
+        { deletedAt, deletedBy: mockIds.user1 },
+        { session }
+      );
+      expect(TeachingAssignment.deleteMany).not.toHaveBeenCalled();
+      expect(remove).toHaveBeenCalledWith(session, deletedAt);
+      expect(auditService.recordMany).toHaveBeenCalledWith([
+        { action: 'delete', entity: 'Class', before: classe },
+        { action: 'delete', entity: 'Grade', before: grade }
+      ]);
+    });
+
+    it('should refuse cascade=delete on a teacher whose classes still have students', async () => {
+      referenceTeacher();
+      Student.countDocuments.mockResolvedValue(24);
+      const remove = jest.fn();
+
+      await expect(dependencyService.deleteWithDependents(
+        'Teacher', mockIds.teacher1, { cascade: 'delete' }, remove
+      )).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'The classes of this teacher still have students (24): use ?cascade=reassign&to=<id> to give the classes to another teacher'
+      });
+      expect(session.withTransaction).not.toHaveBeenCalled();
+      expect(remove).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to reassign the records of a class to a class of another academic year', async () => {
+      Attendance.countDocuments.mockResolvedValue(1);
+      Class.findById
+        .mockResolvedValueOnce({ _id: mockIds.class2, idannee: mockIds.academicYear2 })
+        .mockReturnValueOnce(createQueryMock({ _id: mockIds.class1, idannee: mockIds.academicYear1 }));
+
+      await expect(dependencyService.deleteWithDependents(
+        'Class', mockIds.class1, { cascade: 'reassign', to: mockIds.class2 }, jest.fn()
+      )).rejects.toMatchObject({ statusCode: 400, message: 'Target class belongs to another academic year' });
+      expect(Attendance.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should report a standalone MongoDB server instead of the driver error', async () => {
+      referenceTeacher();
+      session.withTransaction.mockRejectedValueOnce(
+        new Error('Transaction numbers are only allowed on a replica set member or mongos')
+      );
+
+      await expect(dependencyService.deleteWithDependents(
+        'Teacher', mockIds.teacher1, { cascade: 'delete' }, jest.fn()
+      )).rejects.toMatchObject({
+        statusCode: 503,
+        message: 'This operation needs MongoDB transactions: run MongoDB as a replica set (see README, Upgrading)'
+      });
+      expect(session.endSession).toHaveBeenCalled();
+    });
+
+    it('should abort the transaction when the record cannot be deleted', async () => {
+      referenceTeacher();
+      Teacher.findById.mockResolvedValueOnce({ _id: mockIds.teacher2 });
+      const remove = jest.fn().mockResolvedValue(null);
+
+      await expect(dependencyService.deleteWithDependents(
+        'Teacher', mockIds.teacher1, { cascade: 'reassign', to: mockIds.teacher2 }, remove
+      )).rejects.toThrow('Teacher not found');
+
+      expect(session.endSession).toHaveBeenCalled();
+      expect(auditService.recordMany).not.toHaveBeenCalled();
+    });
+
+    it('should end the session and record nothing when a step fails', async () => {
+      referenceTeacher();
+      Grade.updateMany.mockRejectedValueOnce(new Error('DB error'));
+      const remove = jest.fn();
+
+      await expect(dependencyService.deleteWithDependents(
+        'Teacher', mockIds.teacher1, { cascade: 'delete' }, remove
+      )).rejects.toThrow('DB error');
+
+      expect(remove).not.toHaveBeenCalled();
+      expect(session.endSession).toHaveBeenCalled();
+      expect(auditService.recordMany).not.toHaveBeenCalled();
+    });
+
+    describe('unique indexes', () => {
+      const appreciationIds = [new mongoose.Types.ObjectId().toString(), new mongoose.Types.ObjectId().toString()];
+      const appreciation = {
+        _id: appreciationIds[0],
+        ideleve: mockIds.student1,
+        idmatiere: mockIds.subject1,
+        idtrimestre: mockIds.trimester1,
+        idprof: mockIds.teacher1
+      };
+
+      // The subject has one appreciation, existing lists the appreciations of the target
+      // subject for the same student and trimester
+      const referenceSubject = (existing) => {
+        Appreciation.countDocuments.mockResolvedValue(1);
+        Appreciation.find
+          .mockReturnValueOnce(createQueryMock([appreciation]))
+          .mockReturnValueOnce(createQueryMock(existing));
+        Subject.findById.mockResolvedValueOnce({ _id: mockIds.subject2 });
+      };
+
+      it('should refuse a reassignment duplicating records of the target, listing them', async () => {
+        referenceSubject([{
+          _id: appreciationIds[1],
+          ideleve: mockIds.student1,
+          idmatiere: mockIds.subject2,
+          idtrimestre: mockIds.trimester1
+        }]);
+        const remove = jest.fn();
+
+        await expect(dependencyService.deleteWithDependents(
+          'Subject', mockIds.subject1, { cascade: 'reassign', to: mockIds.subject2 }, remove
+        )).rejects.toMatchObject({
+          statusCode: 409,
+          message: 'Reassigned records would duplicate records of the target (appreciations: 1): delete or change them first',
+          details: { appreciations: [{ _id: appreciationIds[0], conflictsWith: appreciationIds[1] }] }
+        });
+        expect(Appreciation.find).toHaveBeenLastCalledWith(
+          { $or: [{ ideleve: mockIds.student1, idmatiere: mockIds.subject2, idtrimestre: mockIds.trimester1 }] },
+          'ideleve idmatiere idtrimestre',
+          { session }
+        );
+        expect(Appreciation.updateMany).not.toHaveBeenCalled();
+        expect(remove).not.toHaveBeenCalled();
+      });
+
+      it('should reassign records the target does not have yet', async () => {
+        referenceSubject([]);
+        const remove = jest.fn().mockResolvedValue({ _id: mockIds.subject1 });
+
+        await dependencyService.deleteWithDependents(
+          'Subject', mockIds.subject1, { cascade: 'reassign', to: mockIds.subject2 }, remove
+        );
+
+        expect(Appreciation.updateMany).toHaveBeenCalledWith(
+          { _id: { $in: [appreciationIds[0]] } },
+          { idmatiere: mockIds.subject2 },
+          { session }
+        );
+      });
+
+      it('should not look for duplicates when the reassigned field is not part of a unique index', async () => {
+        Attendance.countDocuments.mockResolvedValue(1);
+        Attendance.find.mockReturnValue(createQueryMock([{ _id: mockIds.attendance1, ideleve: mockIds.student1 }]));
+        Class.findById
+          .mockResolvedValueOnce({ _id: mockIds.class2, idannee: mockIds.academicYear1 })
+          .mockReturnValueOnce(createQueryMock({ _id: mockIds.class1, idannee: mockIds.academicYear1 }));
+
+        await dependencyService.deleteWithDependents(
+          'Class', mockIds.class1, { cascade: 'reassign', to: mockIds.class2 }, jest.fn().mockResolvedValue(classe)
+        );
+
+        expect(Attendance.find).toHaveBeenCalledTimes(1);
+        expect(Attendance.updateMany).toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('restoreWithDependents', () => {
+    const deletedAt = new Date('2024-10-01T08:00:00Z');
+    const student = { _id: mockIds.student1, deletedAt };
+    const deletedGrade = { _id: mockIds.grade1, ideleve: mockIds.student1, deletedAt, deletedBy: mockIds.user1 };
+
+    beforeEach(() => {
+      [Grade, Attendance, Appreciation, CouncilComment].forEach(model => model.find.mockReturnValue(createQueryMock([])));
+    });
+
+    it('should restore the dependents deleted at the same time as the record, then the record', async () => {
+      Grade.find.mockReturnValue(createQueryMock([deletedGrade]));
+      const restore = jest.fn().mockResolvedValue(student);
+
+      const result = await dependencyService.restoreWithDependents('Student', student, restore);
+
+      expect(Grade.find).toHaveBeenCalledWith({ ideleve: mockIds.student1, deletedAt }, null, { session });
+      expect(Attendance.find).toHaveBeenCalledWith({ ideleve: mockIds.student1, deletedAt }, null, { session });
+      expect(Grade.updateMany).toHaveBeenCalledWith(
+        { ideleve: mockIds.student1, deletedAt },
+        { deletedAt: null, deletedBy: null },
+        { session }
+      );
+      expect(Attendance.updateMany).not.toHaveBeenCalled();
+      expect(restore).toHaveBeenCalledWith(session);
+      expect(auditService.recordMany).toHaveBeenCalledWith([
+        { action: 'restore', entity: 'Grade', after: { ...deletedGrade, deletedAt: null, deletedBy: null } }
+      ]);
+      expect(result).toBe(student);
+    });
+
+    it('should return 409 when a restored dependent duplicates a record written since', async () => {
+      Attendance.find.mockReturnValue(createQueryMock([{ _id: mockIds.attendance1, deletedAt }]));
+      Attendance.updateMany.mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+      const restore = jest.fn();
+
+      await expect(dependencyService.restoreWithDependents('Student', student, restore)).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'Records deleted with this student conflict with records written since: delete or change them first'
+      });
+      expect(restore).not.toHaveBeenCalled();
+      expect(session.endSession).toHaveBeenCalled();
+      expect(auditService.recordMany).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,312 @@
+/**
+ * Unit Tests for Evaluation Service
+ *
+ * Tests evaluations (tests, homework) grouping the grades of a class.
+ *
+ * Core Functionality Tests:
+ * - Evaluation CRUD operations with reference population and pagination
+ * - Propagation of shared values to the grades of an evaluation
+ * - Grade sheet: every student of the class with their grade, statistics on /20
+ * - Ownership: teachers only modify the evaluations they created
+ *
+ * Mock Architecture:
+ * - All referenced models mocked for isolation
+ * - gradeService mocked (write permission rule and batch entry are tested there)
+ */
+
+const evaluationService = require('../../../src/services/evaluationService');
+const auditService = require('../../../src/services/auditService');
+const gradeHistoryService = require('../../../src/services/gradeHistoryService');
+const gradeService = require('../../../src/services/gradeService');
+const trimesterService = require('../../../src/services/trimesterService');
+const academicYearService = require('../../../src/services/academicYearService');
+const Evaluation = require('../../../src/models/Evaluation');
+const Grade = require('../../../src/models/Grade');
+const Student = require('../../../src/models/Student');
+const Class = require('../../../src/models/Class');
+const Subject = require('../../../src/models/Subject');
+const Teacher = require('../../../src/models/Teacher');
+const Trimester = require('../../../src/models/Trimester');
+const { createQueryMock } = require('../mocks/modelMocks');
+const { evaluations, mockIds } = require('../mocks/fixtures');
+
+jest.mock('../../../src/services/gradeService');
+jest.mock('../../../src/services/trimesterService');
+jest.mock('../../../src/models/Evaluation');
+jest.mock('../../../src/models/Grade');
+jest.mock('../../../src/models/Student');
+jest.mock('../../../src/models/Class');
+jest.mock('../../../src/models/Subject');
+jest.mock('../../../src/models/Teacher');
+jest.mock('../../../src/models/Trimester');
+jest.mock('../../../src/services/academicYearService');
+jest.mock('../../../src/services/auditService');
+jest.mock('../../../src/services/gradeHistoryService');
+
+describe('EvaluationService', () => {
+  const teacherUser = { role: 'teacher', teacher: mockIds.teacher1 };
+  const colleagueUser = { role: 'teacher', teacher: mockIds.teacher2 };
+
+  const mockReferences = () => {
+    Class.findById.mockResolvedValue({ _id: mockIds.class1 });
+    Subject.findById.mockResolvedValue({ _id: mockIds.subject1 });
+    Teacher.findById.mockResolvedValue({ _id: mockIds.teacher1 });
+    Trimester.findById.mockResolvedValue({ _id: mockIds.trimester1 });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getAllEvaluations', () => {
+    it('should map filters and return a page sorted by date', async () => {
+      const query = createQueryMock([evaluations.valid]);
+      Evaluation.find.mockReturnValue(query);
+      Evaluation.countDocuments.mockResolvedValue(1);
+
+      const result = await evaluationService.getAllEvaluations(
+        { class: mockIds.class1, trimester: mockIds.trimester1 },
+        { page: 1, limit: 50 }
+      );
+
+      expect(Evaluation.find).toHaveBeenCalledWith({ idclasse: mockIds.class1, idtrimestre: mockIds.trimester1 });
+      expect(query.sort).toHaveBeenCalledWith({ date: -1, _id: 1 });
+      expect(query.populate).toHaveBeenCalledTimes(4);
+      expect(result).toMatchObject({ data: [evaluations.valid], total: 1, totalPages: 1 });
+    });
+  });
+
+  describe('getEvaluationById', () => {
+    it('should throw 404 when evaluation does not exist', async () => {
+      Evaluation.findById.mockReturnValue(createQueryMock(null));
+
+      await expect(evaluationService.getEvaluationById(mockIds.evaluation1))
+        .rejects.toMatchObject({ statusCode: 404, message: 'Evaluation not found' });
+    });
+  });
+
+  describe('createEvaluation', () => {
+    it('should check references and write access, then save', async () => {
+      mockReferences();
+      const save = jest.fn().mockResolvedValue();
+      Evaluation.mockImplementation(data => ({ _id: mockIds.evaluation1, ...data, save }));
+      Evaluation.findById.mockReturnValue(createQueryMock(evaluations.valid));
+
+      const result = await evaluationService.createEvaluation(evaluations.validInput, teacherUser);
+
+      expect(Trimester.findById).toHaveBeenCalledWith(mockIds.trimester1);
+      expect(gradeService.assertCanWriteGrade).toHaveBeenCalledWith(teacherUser, evaluations.validInput);
+      expect(save).toHaveBeenCalled();
+      expect(result).toEqual(evaluations.valid);
+    });
+
+    it('should throw 400 when a reference is missing', async () => {
+      mockReferences();
+      Subject.findById.mockResolvedValue(null);
+
+      await expect(evaluationService.createEvaluation(evaluations.validInput))
+        .rejects.toMatchObject({ statusCode: 400, message: `Referenced subject (${mockIds.subject1}) not found` });
+      expect(Evaluation).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateEvaluation', () => {
+    beforeEach(() => {
+      Evaluation.findById.mockResolvedValue(evaluations.valid);
+      Evaluation.findByIdAndUpdate.mockReturnValue(createQueryMock({ ...evaluations.valid, coefficient: 3 }));
+    });
+
+    it('should apply shared value changes to the grades of the evaluation', async () => {
+      const grade = { _id: mockIds.grade1, toObject: () => ({ _id: mockIds.grade1, coefficient: 2 }) };
+      Grade.exists.mockResolvedValueOnce({ _id: mockIds.grade1 });
+      Grade.find.mockResolvedValueOnce([grade]);
+
+      const result = await evaluationService.updateEvaluation(mockIds.evaluation1, { titre: 'Bilan', coefficient: 3 });
+
+      expect(Evaluation.findByIdAndUpdate).toHaveBeenCalledWith(
+        mockIds.evaluation1,
+        { titre: 'Bilan', coefficient: 3 },
+        { new: true, runValidators: true }
+      );
+      expect(Grade.updateMany).toHaveBeenCalledWith({ idevaluation: mockIds.evaluation1 }, { coefficient: 3 });
+      expect(gradeHistoryService.recordChange).toHaveBeenCalledWith(
+        grade,
+        { _id: mockIds.grade1, coefficient: 3 },
+        { motif: `Evaluation ${evaluations.valid.titre} updated`, motifDerogation: undefined }
+      );
+      expect(auditService.recordMany).toHaveBeenCalledWith([{
+        action: 'update',
+        entity: 'Grade',
+        before: grade,
+        after: { _id: mockIds.grade1, coefficient: 3 },
+        reason: `Evaluation ${evaluations.valid.titre} updated`
+      }]);
+      expect(result.coefficient).toBe(3);
+    });
+
+    it('should check the lock of the trimester before changing recorded grades', async () => {
+      Grade.exists.mockResolvedValueOnce({ _id: mockIds.grade1 });
+      Grade.find.mockResolvedValueOnce([]);
+
+      await evaluationService.updateEvaluation(mockIds.evaluation1, { coefficient: 3 }, undefined, 'Erreur de coefficient');
+
+      expect(trimesterService.assertUnlocked).toHaveBeenCalledWith(
+        [mockIds.trimester1, undefined],
+        undefined,
+        'Erreur de coefficient'
+      );
+    });
+
+    it('should refuse to change the grades of a locked trimester', async () => {
+      Grade.exists.mockResolvedValueOnce({ _id: mockIds.grade1 });
+      trimesterService.assertUnlocked.mockRejectedValueOnce(Object.assign(new Error('Trimester T1 is locked'), { statusCode: 409 }));
+
+      await expect(evaluationService.updateEvaluation(mockIds.evaluation1, { coefficient: 3 }, teacherUser))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(Evaluation.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(Grade.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should not touch grades when only the title changes', async () => {
+      await evaluationService.updateEvaluation(mockIds.evaluation1, { titre: 'Bilan' });
+
+      expect(Grade.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a scale change once grades are recorded', async () => {
+      Grade.exists.mockResolvedValue({ _id: mockIds.grade1 });
+
+      await expect(evaluationService.updateEvaluation(mockIds.evaluation1, { bareme: 20 }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(Evaluation.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should allow a scale change before grading', async () => {
+      Grade.exists.mockResolvedValue(null);
+
+      await evaluationService.updateEvaluation(mockIds.evaluation1, { bareme: 20 });
+
+      expect(Evaluation.findByIdAndUpdate).toHaveBeenCalled();
+    });
+
+    it('should refuse to update an evaluation created by a colleague', async () => {
+      await expect(evaluationService.updateEvaluation(mockIds.evaluation1, { titre: 'Bilan' }, colleagueUser))
+        .rejects.toMatchObject({ statusCode: 403, message: 'You can only modify evaluations you created' });
+    });
+
+    it('should throw 404 when evaluation does not exist', async () => {
+      Evaluation.findById.mockResolvedValue(null);
+
+      await expect(evaluationService.updateEvaluation(mockIds.evaluation1, { titre: 'Bilan' }))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('deleteEvaluation', () => {
+    it('should delete an evaluation without grades', async () => {
+      Evaluation.findById.mockResolvedValue(evaluations.valid);
+      Grade.countDocuments.mockResolvedValue(0);
+      Evaluation.findByIdAndDelete.mockResolvedValue(evaluations.valid);
+
+      await evaluationService.deleteEvaluation(mockIds.evaluation1, teacherUser);
+
+      expect(Evaluation.findByIdAndDelete).toHaveBeenCalledWith(mockIds.evaluation1);
+    });
+
+    it('should refuse with 409 when grades are recorded', async () => {
+      Evaluation.findById.mockResolvedValue(evaluations.valid);
+      Grade.countDocuments.mockResolvedValue(3);
+
+      await expect(evaluationService.deleteEvaluation(mockIds.evaluation1))
+        .rejects.toMatchObject({ statusCode: 409, message: 'Cannot delete an evaluation with recorded grades (3)' });
+      expect(Evaluation.findByIdAndDelete).not.toHaveBeenCalled();
+    });
+
+    it('should keep the evaluations of an archived academic year', async () => {
+      Evaluation.findById.mockResolvedValue(evaluations.valid);
+      academicYearService.assertWritable.mockRejectedValueOnce(
+        Object.assign(new Error('Academic year 2023-2024 is archived and read-only'), { statusCode: 409 })
+      );
+
+      await expect(evaluationService.deleteEvaluation(mockIds.evaluation1))
+        .rejects.toMatchObject({ statusCode: 409, message: 'Academic year 2023-2024 is archived and read-only' });
+      expect(academicYearService.assertWritable).toHaveBeenCalledWith(evaluations.valid);
+      expect(Evaluation.findByIdAndDelete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordGrades', () => {
+    it('should delegate to batch grade entry with the evaluation', async () => {
+      const rows = [{ ideleve: mockIds.student1, note: 31 }];
+      gradeService.createGradesBatch.mockResolvedValue({ errors: [], grades: [] });
+
+      await evaluationService.recordGrades(mockIds.evaluation1, rows, teacherUser);
+
+      expect(gradeService.createGradesBatch).toHaveBeenCalledWith(
+        { idevaluation: mockIds.evaluation1, grades: rows },
+        teacherUser,
+        undefined
+      );
+    });
+  });
+
+  describe('getGradeSheet', () => {
+    it('should list every student of the class with statistics on /20', async () => {
+      // The exempt student is left out of the statistics by the default rules
+      Evaluation.findById.mockReturnValue(createQueryMock({
+        ...evaluations.valid,
+        idclasse: { _id: mockIds.class1, nom: 'CM1' }
+      }));
+      Student.find.mockReturnValue(createQueryMock([
+        { _id: mockIds.student1, nom: 'Leroy', prenom: 'Thomas' },
+        { _id: mockIds.student2, nom: 'Martin', prenom: 'Élodie' }
+      ]));
+      Grade.find.mockResolvedValue([
+        { _id: mockIds.grade1, ideleve: mockIds.student2, statut: 'present', note: 15.5, noteBrute: 31 },
+        { _id: mockIds.grade1, ideleve: mockIds.student1, statut: 'exempt', note: null }
+      ]);
+
+      const result = await evaluationService.getGradeSheet(mockIds.evaluation1);
+
+      expect(Student.find).toHaveBeenCalledWith({ $or: [{ classe: mockIds.class1 }, { classesPrecedentes: mockIds.class1 }] });
+      expect(result.sheet[0].grade).toMatchObject({ statut: 'exempt', note: null });
+      expect(result.sheet[1].grade).toMatchObject({ statut: 'present', note: 15.5, noteBrute: 31 });
+      expect(result.statistics).toEqual({
+        gradedCount: 2,
+        countedCount: 1,
+        studentCount: 2,
+        average: 15.5,
+        median: 15.5,
+        standardDeviation: 0,
+        min: 15.5,
+        max: 15.5
+      });
+    });
+
+    it('should show students not graded yet with a null grade', async () => {
+      Evaluation.findById.mockReturnValue(createQueryMock({
+        ...evaluations.valid,
+        idclasse: { _id: mockIds.class1, nom: 'CM1' }
+      }));
+      Student.find.mockReturnValue(createQueryMock([{ _id: mockIds.student1, nom: 'Leroy', prenom: 'Thomas' }]));
+      Grade.find.mockResolvedValue([]);
+
+      const result = await evaluationService.getGradeSheet(mockIds.evaluation1);
+
+      expect(result.sheet).toEqual([
+        { student: { _id: mockIds.student1, nom: 'Leroy', prenom: 'Thomas' }, grade: null }
+      ]);
+    });
+
+    it('should return empty statistics before grading', async () => {
+      Evaluation.findById.mockReturnValue(createQueryMock({ ...evaluations.valid, idclasse: null }));
+      Grade.find.mockResolvedValue([]);
+
+      const result = await evaluationService.getGradeSheet(mockIds.evaluation1);
+
+      expect(Student.find).not.toHaveBeenCalled();
+      expect(result.sheet).toEqual([]);
+      expect(result.statistics).toMatchObject({ gradedCount: 0, average: null, min: null, max: null });
+    });
+  });
+});
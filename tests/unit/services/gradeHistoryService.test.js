@@ -0,0 +1,257 @@
+/**
+ * Unit Tests for Grade History Service
+ *
+ * Tests the versions kept for each grade.
+ *
+ * Core Functionality Tests:
+ * - Version 1 on creation, a new version on each change with its author and reason
+ * - Version 1 of grades recorded before the history existed
+ * - A last version marked supprimee when the grade is deleted
+ * - History listing with the changes between versions
+ *
+ * Mock Architecture:
+ * - GradeRevision model and request context mocked for isolation
+ */
+
+const gradeHistoryService = require('../../../src/services/gradeHistoryService');
+const GradeRevision = require('../../../src/models/GradeRevision');
+const { getRequestContext } = require('../../../src/utils/requestContext');
+const { createQueryMock } = require('../mocks/modelMocks');
+const { mockIds } = require('../mocks/fixtures');
+
+jest.mock('../../../src/models/GradeRevision');
+jest.mock('../../../src/utils/requestContext');
+
+describe('GradeHistoryService', () => {
+  const teacher = { _id: mockIds.user1, username: 'jdupont' };
+
+  const values = (overrides = {}) => ({
+    ideleve: mockIds.student1,
+    idclasse: mockIds.class1,
+    idmatiere: mockIds.subject1,
+    idprof: mockIds.teacher1,
+    idtrimestre: mockIds.trimester1,
+    statut: 'present',
+    note: 12,
+    noteBrute: null,
+    coefficient: 2,
+    commentaire: null,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getRequestContext.mockReturnValue({ user: teacher, ip: '10.0.0.5' });
+    GradeRevision.create.mockImplementation(async revisions => revisions);
+  });
+
+  describe('recordCreated', () => {
+    it('should keep version 1 of each grade', async () => {
+      GradeRevision.insertMany.mockResolvedValue([]);
+
+      await gradeHistoryService.recordCreated([{ _id: mockIds.grade1, ...values(), __v: 0 }]);
+
+      expect(GradeRevision.insertMany).toHaveBeenCalledWith([{
+        idnote: mockIds.grade1,
+        version: 1,
+        valeurs: values(),
+        modifiePar: mockIds.user1
+      }], { session: undefined });
+    });
+
+    it('should insert the versions in the transaction of the grades', async () => {
+      const session = { id: 'session' };
+      GradeRevision.insertMany.mockResolvedValue([]);
+
+      await gradeHistoryService.recordCreated([{ _id: mockIds.grade1, ...values() }], session);
+
+      expect(GradeRevision.insertMany).toHaveBeenCalledWith([expect.objectContaining({ idnote: mockIds.grade1 })], { session });
+    });
+
+    it('should do nothing without grades', async () => {
+      await gradeHistoryService.recordCreated([]);
+
+      expect(GradeRevision.insertMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordChange', () => {
+    it('should keep the new values as the next version with the author and reason', async () => {
+      GradeRevision.findOne.mockReturnValue(createQueryMock({ version: 2, valeurs: values() }));
+
+      const revision = await gradeHistoryService.recordChange(
+        { _id: mockIds.grade1, ...values() },
+        { _id: mockIds.grade1, ...values({ note: 14 }) },
+        { motif: 'Erreur de report de la copie' }
+      );
+
+      expect(GradeRevision.findOne).toHaveBeenCalledWith({ idnote: mockIds.grade1 });
+      expect(GradeRevision.create).toHaveBeenCalledTimes(1);
+      expect(revision).toEqual({
+        idnote: mockIds.grade1,
+        version: 3,
+        valeurs: values({ note: 14 }),
+        modifiePar: mockIds.user1,
+        motif: 'Erreur de report de la copie',
+        motifDerogation: undefined
+      });
+    });
+
+    it('should first keep version 1 of a grade recorded before the history existed', async () => {
+      const createdAt = new Date('2024-10-01');
+      GradeRevision.findOne.mockReturnValue(createQueryMock(null));
+
+      await gradeHistoryService.recordChange(
+        { _id: mockIds.grade1, ...values(), createdAt },
+        { _id: mockIds.grade1, ...values({ note: 14 }) },
+        { motif: 'Erreur de saisie' }
+      );
+
+      expect(GradeRevision.create).toHaveBeenNthCalledWith(1, [{
+        idnote: mockIds.grade1,
+        version: 1,
+        valeurs: values(),
+        date: createdAt
+      }], { session: undefined });
+      expect(GradeRevision.create).toHaveBeenNthCalledWith(
+        2,
+        [expect.objectContaining({ version: 2, motif: 'Erreur de saisie' })],
+        { session: undefined }
+      );
+    });
+
+    it('should read and write the versions within the session it is given', async () => {
+      const query = createQueryMock({ version: 1, valeurs: values() });
+      GradeRevision.findOne.mockReturnValue(query);
+      const session = { id: 'cascade' };
+
+      await gradeHistoryService.recordChange(
+        { _id: mockIds.grade1, ...values() },
+        { _id: mockIds.grade1, ...values({ idprof: mockIds.teacher2 }) },
+        { motif: 'Teacher deleted, grade reassigned' },
+        session
+      );
+
+      expect(query.session).toHaveBeenCalledWith(session);
+      expect(GradeRevision.create).toHaveBeenCalledWith([expect.objectContaining({ version: 2 })], { session });
+    });
+
+    it('should not keep a version when the values did not change', async () => {
+      GradeRevision.findOne.mockReturnValue(createQueryMock({ version: 1, valeurs: values() }));
+
+      const revision = await gradeHistoryService.recordChange(
+        { _id: mockIds.grade1, ...values() },
+        { _id: mockIds.grade1, ...values(), updatedAt: new Date() },
+        { motif: 'Aucun changement' }
+      );
+
+      expect(revision).toBeNull();
+      expect(GradeRevision.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordDeleted', () => {
+    it('should keep the values at deletion as the next version marked supprimee', async () => {
+      const query = createQueryMock({ version: 2, valeurs: values() });
+      GradeRevision.findOne.mockReturnValue(query);
+      const session = { id: 'delete' };
+
+      const revision = await gradeHistoryService.recordDeleted(
+        { _id: mockIds.grade1, ...values({ note: 14 }) },
+        { motifDerogation: 'Note saisie en double' },
+        session
+      );
+
+      expect(GradeRevision.findOne).toHaveBeenCalledWith({ idnote: mockIds.grade1 });
+      expect(query.session).toHaveBeenCalledWith(session);
+      expect(GradeRevision.create).toHaveBeenCalledWith([revision], { session });
+      expect(revision).toEqual({
+        idnote: mockIds.grade1,
+        version: 3,
+        valeurs: values({ note: 14 }),
+        modifiePar: mockIds.user1,
+        motif: 'Grade deleted',
+        motifDerogation: 'Note saisie en double',
+        supprimee: true
+      });
+    });
+
+    it('should first keep version 1 of a grade recorded before the history existed', async () => {
+      const createdAt = new Date('2024-10-01');
+      GradeRevision.findOne.mockReturnValue(createQueryMock(null));
+
+      await gradeHistoryService.recordDeleted({ _id: mockIds.grade1, ...values(), createdAt });
+
+      expect(GradeRevision.create).toHaveBeenNthCalledWith(1, [{
+        idnote: mockIds.grade1,
+        version: 1,
+        valeurs: values(),
+        date: createdAt
+      }], { session: undefined });
+      expect(GradeRevision.create).toHaveBeenNthCalledWith(
+        2,
+        [expect.objectContaining({ version: 2, valeurs: values(), supprimee: true })],
+        { session: undefined }
+      );
+    });
+  });
+
+  describe('getHistory', () => {
+    it('should list versions most recent first with the changes since the previous one', async () => {
+      const author = { _id: mockIds.user1, username: 'jdupont', role: 'teacher' };
+      GradeRevision.find.mockReturnValue(createQueryMock([
+        { version: 1, date: new Date('2024-10-01'), modifiePar: author, valeurs: values() },
+        { version: 2, date: new Date('2024-10-05'), modifiePar: author, motif: 'Erreur de saisie', valeurs: values({ note: 14, coefficient: 3 }) }
+      ]));
+
+      const history = await gradeHistoryService.getHistory({ _id: mockIds.grade1 });
+
+      expect(GradeRevision.find).toHaveBeenCalledWith({ idnote: mockIds.grade1 });
+      expect(history.map(entry => entry.version)).toEqual([2, 1]);
+      expect(history[0]).toMatchObject({
+        modifiePar: author,
+        motif: 'Erreur de saisie',
+        supprimee: false,
+        changes: [
+          { field: 'coefficient', before: 2, after: 3 },
+          { field: 'note', before: 12, after: 14 }
+        ]
+      });
+      expect(history[1].changes).toEqual([]);
+    });
+
+    it('should show the current values of a grade never modified', async () => {
+      GradeRevision.find.mockReturnValue(createQueryMock([]));
+      const createdAt = new Date('2024-10-01');
+
+      const history = await gradeHistoryService.getHistory({ _id: mockIds.grade1, ...values(), createdAt });
+
+      expect(history).toEqual([{
+        version: 1,
+        date: createdAt,
+        modifiePar: null,
+        motif: null,
+        motifDerogation: null,
+        supprimee: false,
+        valeurs: values(),
+        changes: []
+      }]);
+    });
+  });
+
+  describe('getVersionValues', () => {
+    it('should return the values of the version', async () => {
+      GradeRevision.findOne.mockResolvedValue({ version: 1, valeurs: values() });
+
+      await expect(gradeHistoryService.getVersionValues(mockIds.grade1, 1)).resolves.toEqual(values());
+      expect(GradeRevision.findOne).toHaveBeenCalledWith({ idnote: mockIds.grade1, version: 1 });
+    });
+
+    it('should throw 404 when the version does not exist', async () => {
+      GradeRevision.findOne.mockResolvedValue(null);
+
+      await expect(gradeHistoryService.getVersionValues(mockIds.grade1, 9))
+        .rejects.toMatchObject({ statusCode: 404, message: 'Version 9 of the grade not found' });
+    });
+  });
+});
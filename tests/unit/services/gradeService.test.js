@@ -32,14 +32,24 @@
  * - Grades are tied to specific trimesters (academic periods)
  */
 
+const mongoose = require('mongoose');
 const gradeService = require('../../../src/services/gradeService');
+const auditService = require('../../../src/services/auditService');
+const gradeHistoryService = require('../../../src/services/gradeHistoryService');
 const Grade = require('../../../src/models/Grade');
 const Student = require('../../../src/models/Student');
 const Class = require('../../../src/models/Class');
 const Subject = require('../../../src/models/Subject');
 const Teacher = require('../../../src/models/Teacher');
 const Trimester = require('../../../src/models/Trimester');
-const { grades, students, classes, mockIds, edgeCases } = require('../mocks/fixtures');
+const Appreciation = require('../../../src/models/Appreciation');
+const Evaluation = require('../../../src/models/Evaluation');
+const teachingAssignmentService = require('../../../src/services/teachingAssignmentService');
+const academicYearService = require('../../../src/services/academicYearService');
+const trimesterService = require('../../../src/services/trimesterService');
+const { grades, students, classes, evaluations, mockIds, edgeCases } = require('../mocks/fixtures');
+const { withDeleted } = require('../../../src/utils/softDelete');
+const { createQueryMock } = require('../mocks/modelMocks');
 
 jest.mock('../../../src/models/Grade');
 jest.mock('../../../src/models/Student');
@@ -47,107 +57,130 @@ jest.mock('../../../src/models/Class');
 jest.mock('../../../src/models/Subject');
 jest.mock('../../../src/models/Teacher');
 jest.mock('../../../src/models/Trimester');
+jest.mock('../../../src/models/Appreciation');
+jest.mock('../../../src/models/Evaluation');
+jest.mock('../../../src/services/teachingAssignmentService');
+jest.mock('../../../src/services/academicYearService');
+jest.mock('../../../src/services/trimesterService');
+jest.mock('../../../src/services/auditService');
+jest.mock('../../../src/services/gradeHistoryService');
 
 describe('GradeService', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    teachingAssignmentService.assertTeaches.mockResolvedValue();
+    academicYearService.assertWritable.mockResolvedValue();
+    trimesterService.assertUnlocked.mockResolvedValue(null);
   });
 
   describe('getAllGrades', () => {
-    it('should return all grades with all references populated', async () => {
+    it('should return all grades with all references populated when no page is requested', async () => {
       const mockGrades = [grades.validWithPopulate];
-      const mockQuery = {
-        populate: jest.fn().mockReturnThis(),
-        sort: jest.fn().mockResolvedValue(mockGrades),
-      };
+      const mockQuery = createQueryMock(mockGrades);
       Grade.find.mockReturnValue(mockQuery);
+      Grade.countDocuments.mockResolvedValue(1);
 
       const result = await gradeService.getAllGrades();
 
       expect(Grade.find).toHaveBeenCalled();
       expect(mockQuery.populate).toHaveBeenCalledTimes(5);
-      expect(mockQuery.populate).toHaveBeenCalledWith('ideleve', 'nom prenom dateNaissance');
-      expect(mockQuery.populate).toHaveBeenCalledWith('idclasse', 'nom');
-      expect(mockQuery.populate).toHaveBeenCalledWith('idmatiere', 'nom');
-      expect(mockQuery.populate).toHaveBeenCalledWith('idprof', 'nom prenom');
-      expect(mockQuery.populate).toHaveBeenCalledWith('idtrimestre', 'nom');
-      expect(result).toEqual(mockGrades);
+      expect(mockQuery.populate).toHaveBeenCalledWith(withDeleted('ideleve', 'nom prenom dateNaissance'));
+      expect(mockQuery.populate).toHaveBeenCalledWith(withDeleted('idclasse', 'nom'));
+      expect(mockQuery.populate).toHaveBeenCalledWith(withDeleted('idmatiere', 'nom'));
+      expect(mockQuery.populate).toHaveBeenCalledWith(withDeleted('idprof', 'nom prenom'));
+      expect(mockQuery.populate).toHaveBeenCalledWith(withDeleted('idtrimestre', 'nom'));
+      expect(mockQuery.sort).toHaveBeenCalledWith({ createdAt: -1, _id: 1 });
+      expect(mockQuery.skip).not.toHaveBeenCalled();
+      expect(mockQuery.limit).not.toHaveBeenCalled();
+      expect(result).toEqual({ data: mockGrades, total: 1, page: 1, limit: null, totalPages: 1 });
     });
 
-    it('should return empty array when no grades', async () => {
-      const mockQuery = {
-        populate: jest.fn().mockReturnThis(),
-        sort: jest.fn().mockResolvedValue([]),
-      };
-      Grade.find.mockReturnValue(mockQuery);
+    it('should return an empty page when no grades', async () => {
+      Grade.find.mockReturnValue(createQueryMock([]));
+      Grade.countDocuments.mockResolvedValue(0);
 
       const result = await gradeService.getAllGrades();
 
-      expect(result).toEqual([]);
+      expect(result).toEqual({ data: [], total: 0, page: 1, limit: null, totalPages: 0 });
     });
 
-    it('should filter grades by student', async () => {
-      const mockGrades = [grades.validWithPopulate];
-      const mockQuery = {
-        populate: jest.fn().mockReturnThis(),
-        sort: jest.fn().mockResolvedValue(mockGrades),
-      };
+    it('should apply page, limit, sort and fields options', async () => {
+      const mockQuery = createQueryMock([grades.validWithPopulate]);
       Grade.find.mockReturnValue(mockQuery);
+      Grade.countDocuments.mockResolvedValue(45);
 
-      const result = await gradeService.getAllGrades({ student: mockIds.student1 });
+      const result = await gradeService.getAllGrades({}, undefined, {
+        page: 3, limit: 10, sort: '-note', fields: 'ideleve note'
+      });
+
+      expect(mockQuery.select).toHaveBeenCalledWith('ideleve note');
+      expect(mockQuery.sort).toHaveBeenCalledWith('-note _id');
+      expect(mockQuery.skip).toHaveBeenCalledWith(20);
+      expect(mockQuery.limit).toHaveBeenCalledWith(10);
+      expect(result).toMatchObject({ total: 45, page: 3, limit: 10, totalPages: 5 });
+    });
+
+    it('should filter grades by student', async () => {
+      Grade.find.mockReturnValue(createQueryMock([grades.validWithPopulate]));
+      Grade.countDocuments.mockResolvedValue(1);
+
+      await gradeService.getAllGrades({ student: mockIds.student1 });
 
       expect(Grade.find).toHaveBeenCalledWith({ ideleve: mockIds.student1 });
-      expect(result).toEqual(mockGrades);
+      expect(Grade.countDocuments).toHaveBeenCalledWith({ ideleve: mockIds.student1 });
     });
 
     it('should filter grades by class', async () => {
-      const mockGrades = [grades.validWithPopulate];
-      const mockQuery = {
-        populate: jest.fn().mockReturnThis(),
-        sort: jest.fn().mockResolvedValue(mockGrades),
-      };
-      Grade.find.mockReturnValue(mockQuery);
+      Grade.find.mockReturnValue(createQueryMock([grades.validWithPopulate]));
+      Grade.countDocuments.mockResolvedValue(1);
 
-      const result = await gradeService.getAllGrades({ class: mockIds.class1 });
+      await gradeService.getAllGrades({ class: mockIds.class1 });
 
       expect(Grade.find).toHaveBeenCalledWith({ idclasse: mockIds.class1 });
-      expect(result).toEqual(mockGrades);
     });
 
     it('should filter grades by subject', async () => {
-      const mockGrades = [grades.validWithPopulate];
-      const mockQuery = {
-        populate: jest.fn().mockReturnThis(),
-        sort: jest.fn().mockResolvedValue(mockGrades),
-      };
-      Grade.find.mockReturnValue(mockQuery);
+      Grade.find.mockReturnValue(createQueryMock([grades.validWithPopulate]));
+      Grade.countDocuments.mockResolvedValue(1);
 
-      const result = await gradeService.getAllGrades({ subject: mockIds.subject1 });
+      await gradeService.getAllGrades({ subject: mockIds.subject1 });
 
       expect(Grade.find).toHaveBeenCalledWith({ idmatiere: mockIds.subject1 });
-      expect(result).toEqual(mockGrades);
     });
 
     it('should filter grades by trimester', async () => {
-      const mockGrades = [grades.validWithPopulate];
-      const mockQuery = {
-        populate: jest.fn().mockReturnThis(),
-        sort: jest.fn().mockResolvedValue(mockGrades),
-      };
-      Grade.find.mockReturnValue(mockQuery);
+      Grade.find.mockReturnValue(createQueryMock([grades.validWithPopulate]));
+      Grade.countDocuments.mockResolvedValue(1);
 
-      const result = await gradeService.getAllGrades({ trimester: mockIds.trimester1 });
+      await gradeService.getAllGrades({ trimester: mockIds.trimester1 });
 
       expect(Grade.find).toHaveBeenCalledWith({ idtrimestre: mockIds.trimester1 });
-      expect(result).toEqual(mockGrades);
+    });
+
+    it('should filter grades by academic year through its trimesters', async () => {
+      Grade.find.mockReturnValue(createQueryMock([grades.validWithPopulate]));
+      Grade.countDocuments.mockResolvedValue(1);
+      academicYearService.getTrimesterIdFilter.mockResolvedValueOnce({ $in: [mockIds.trimester1, mockIds.trimester2] });
+
+      await gradeService.getAllGrades({ year: '2024-2025' });
+
+      expect(academicYearService.getTrimesterIdFilter).toHaveBeenCalledWith('2024-2025');
+      expect(Grade.find).toHaveBeenCalledWith({ idtrimestre: { $in: [mockIds.trimester1, mockIds.trimester2] } });
+    });
+
+    it('should combine the academic year and trimester filters', async () => {
+      Grade.find.mockReturnValue(createQueryMock([]));
+      Grade.countDocuments.mockResolvedValue(0);
+      academicYearService.getTrimesterIdFilter.mockResolvedValueOnce({ $in: [mockIds.trimester2] });
+
+      await gradeService.getAllGrades({ year: '2024-2025', trimester: mockIds.trimester1 });
+
+      expect(Grade.find).toHaveBeenCalledWith({ idtrimestre: { $in: [mockIds.trimester2], $eq: mockIds.trimester1 } });
     });
 
     it('should propagate database errors', async () => {
-      const mockQuery = {
-        populate: jest.fn().mockReturnThis(),
-        sort: jest.fn().mockRejectedValue(new Error('DB error')),
-      };
-      Grade.find.mockReturnValue(mockQuery);
+      Grade.find.mockReturnValue(createQueryMock(null, new Error('DB error')));
+      Grade.countDocuments.mockResolvedValue(0);
 
       await expect(gradeService.getAllGrades()).rejects.toThrow('DB error');
     });
@@ -169,7 +202,7 @@ describe('GradeService', () => {
 
       const result = await gradeService.getGradeById(mockIds.grade1);
 
-      expect(Grade.findById).toHaveBeenCalledWith(mockIds.grade1);
+      expect(Grade.findById).toHaveBeenCalledWith(mockIds.grade1, null, { includeDeleted: false });
       expect(mockQuery.populate).toHaveBeenCalledTimes(5);
       expect(result).toEqual(grades.validWithPopulate);
     });
@@ -261,9 +294,65 @@ describe('GradeService', () => {
       expect(Subject.findById).toHaveBeenCalledWith(newData.idmatiere);
       expect(Teacher.findById).toHaveBeenCalledWith(newData.idprof);
       expect(Trimester.findById).toHaveBeenCalledWith(newData.idtrimestre);
+      expect(gradeHistoryService.recordCreated).toHaveBeenCalledWith([expect.objectContaining({ _id: mockIds.grade2 })]);
       expect(result).toEqual(grades.validWithPopulate);
     });
 
+    it('should record the grade in the current trimester when idtrimestre is missing', async () => {
+      const { idtrimestre, ...withoutTrimester } = grades.validInput;
+      trimesterService.findCurrentTrimester.mockResolvedValueOnce({ _id: idtrimestre, nom: 'T1' });
+      Student.findById.mockResolvedValue({ ...students.valid, classe: mockIds.class1 });
+      Class.findById.mockResolvedValue(classes.valid);
+      Subject.findById.mockResolvedValue({ _id: mockIds.subject1 });
+      Teacher.findById.mockResolvedValue({ _id: mockIds.teacher1 });
+      Trimester.findById.mockResolvedValue({ _id: idtrimestre });
+      Grade.mockImplementation(() => ({ save: jest.fn().mockResolvedValue(), _id: mockIds.grade2 }));
+      Grade.findById.mockReturnValue(createQueryMock(grades.validWithPopulate));
+
+      await gradeService.createGrade(withoutTrimester);
+
+      expect(Grade).toHaveBeenCalledWith({ ...withoutTrimester, idtrimestre });
+    });
+
+    it('should not attach the grade to an evaluation', async () => {
+      Student.findById.mockResolvedValue({ ...students.valid, classe: mockIds.class1 });
+      Class.findById.mockResolvedValue(classes.valid);
+      Subject.findById.mockResolvedValue({ _id: mockIds.subject1 });
+      Teacher.findById.mockResolvedValue({ _id: mockIds.teacher1 });
+      Trimester.findById.mockResolvedValue({ _id: mockIds.trimester1 });
+      Grade.mockImplementation(() => ({ save: jest.fn().mockResolvedValue(), _id: mockIds.grade2 }));
+      Grade.findById.mockReturnValue(createQueryMock(grades.validWithPopulate));
+
+      await gradeService.createGrade({ ...grades.validInput, idevaluation: mockIds.evaluation1, noteBrute: 40 });
+
+      expect(Grade).toHaveBeenCalledWith(grades.validInput);
+      expect(Evaluation.findById).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 when idtrimestre is missing and no trimester covers today', async () => {
+      const { idtrimestre, ...withoutTrimester } = grades.validInput;
+      trimesterService.findCurrentTrimester.mockResolvedValueOnce(null);
+
+      await expect(gradeService.createGrade(withoutTrimester))
+        .rejects.toMatchObject({ statusCode: 400, message: 'No trimester covers the current date, idtrimestre is required' });
+      expect(Student.findById).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a grade in a locked trimester', async () => {
+      Student.findById.mockResolvedValue({ ...students.valid, classe: mockIds.class1 });
+      Class.findById.mockResolvedValue(classes.valid);
+      Subject.findById.mockResolvedValue({ _id: mockIds.subject1 });
+      Teacher.findById.mockResolvedValue({ _id: mockIds.teacher1 });
+      Trimester.findById.mockResolvedValue({ _id: mockIds.trimester1 });
+      trimesterService.assertUnlocked.mockRejectedValueOnce(Object.assign(new Error('Trimester T1 is locked'), { statusCode: 409 }));
+      const teacherUser = { role: 'teacher', teacher: mockIds.teacher1 };
+
+      await expect(gradeService.createGrade(grades.validInput, teacherUser))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(trimesterService.assertUnlocked).toHaveBeenCalledWith([mockIds.trimester1], teacherUser, undefined);
+      expect(Grade).not.toHaveBeenCalled();
+    });
+
     it('should throw error when student not found', async () => {
       Student.findById.mockResolvedValue(null);
 
@@ -342,6 +431,231 @@ describe('GradeService', () => {
     });
   });
 
+  describe('createGradesBatch', () => {
+    const batch = {
+      idclasse: mockIds.class1,
+      idmatiere: mockIds.subject1,
+      idprof: mockIds.teacher1,
+      idtrimestre: mockIds.trimester1,
+      coefficient: 2,
+      grades: [
+        { ideleve: mockIds.student1, note: 14 },
+        { ideleve: mockIds.student2, note: 9.5, commentaire: 'Peut mieux faire' }
+      ]
+    };
+
+    const mockReferences = () => {
+      Class.findById.mockResolvedValue(classes.valid);
+      Subject.findById.mockResolvedValue({ _id: mockIds.subject1, nom: 'Math' });
+      Teacher.findById.mockResolvedValue({ _id: mockIds.teacher1, nom: 'Dupont' });
+      Trimester.findById.mockResolvedValue({ _id: mockIds.trimester1, nom: 'T1' });
+    };
+
+    const mockStudents = (list) => {
+      Student.find.mockReturnValue(createQueryMock(list));
+    };
+
+    let session;
+
+    beforeEach(() => {
+      Grade.mockImplementation(data => ({ _id: `grade-${data.ideleve}`, ...data }));
+      session = { withTransaction: jest.fn(async callback => callback()), endSession: jest.fn() };
+      jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    });
+
+    it('should record the batch in the current trimester when idtrimestre is missing', async () => {
+      const { idtrimestre, ...withoutTrimester } = batch;
+      trimesterService.findCurrentTrimester.mockResolvedValueOnce({ _id: mockIds.trimester2, nom: 'T2' });
+      mockReferences();
+      mockStudents([
+        { _id: mockIds.student1, classe: mockIds.class1 },
+        { _id: mockIds.student2, classe: mockIds.class1 }
+      ]);
+      Grade.insertMany.mockResolvedValue([]);
+      Grade.populate.mockImplementation(async documents => documents);
+
+      const { grades: created } = await gradeService.createGradesBatch(withoutTrimester);
+
+      expect(Trimester.findById).toHaveBeenCalledWith(mockIds.trimester2);
+      expect(created[0].idtrimestre).toBe(mockIds.trimester2);
+    });
+
+    it('should refuse a batch in a locked trimester unless an admin gives a reason', async () => {
+      mockReferences();
+      trimesterService.assertUnlocked.mockRejectedValueOnce(Object.assign(new Error('Trimester T1 is locked'), { statusCode: 409 }));
+
+      await expect(gradeService.createGradesBatch(batch))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(Grade.insertMany).not.toHaveBeenCalled();
+    });
+
+    it('should check shared references once and record every grade', async () => {
+      mockReferences();
+      mockStudents([
+        { _id: mockIds.student1, classe: mockIds.class1 },
+        { _id: mockIds.student2, classe: mockIds.class1 }
+      ]);
+      Grade.insertMany.mockResolvedValue([]);
+      Grade.populate.mockImplementation(async documents => documents);
+
+      const { errors, grades: created } = await gradeService.createGradesBatch(batch);
+
+      expect(errors).toEqual([]);
+      expect(Class.findById).toHaveBeenCalledTimes(1);
+      expect(Student.find).toHaveBeenCalledWith({ _id: { $in: [mockIds.student1, mockIds.student2] } });
+      expect(Grade.insertMany).toHaveBeenCalledWith(created, { ordered: true, session });
+      expect(gradeHistoryService.recordCreated).toHaveBeenCalledWith(created, session);
+      expect(created).toHaveLength(2);
+      expect(created[1]).toMatchObject({
+        ideleve: mockIds.student2,
+        idclasse: mockIds.class1,
+        coefficient: 2,
+        note: 9.5,
+        commentaire: 'Peut mieux faire'
+      });
+      expect(created[0]).not.toHaveProperty('grades');
+    });
+
+    it('should throw 400 when a shared reference is missing', async () => {
+      mockReferences();
+      Trimester.findById.mockResolvedValue(null);
+
+      await expect(gradeService.createGradesBatch(batch))
+        .rejects.toMatchObject({ statusCode: 400, message: `Referenced trimester (${mockIds.trimester1}) not found` });
+      expect(Student.find).not.toHaveBeenCalled();
+    });
+
+    it('should report every invalid row and record nothing', async () => {
+      mockReferences();
+      mockStudents([{ _id: mockIds.student2, classe: mockIds.class2 }]);
+
+      const result = await gradeService.createGradesBatch({
+        ...batch,
+        grades: [...batch.grades, { ideleve: mockIds.student2, note: 12 }]
+      });
+
+      expect(result).toEqual({
+        grades: [],
+        errors: [
+          { field: 'grades[0].ideleve', message: `Referenced student (${mockIds.student1}) not found` },
+          { field: 'grades[1].ideleve', message: 'Student is not in the specified class' },
+          { field: 'grades[2].ideleve', message: 'Student is not in the specified class' }
+        ]
+      });
+      expect(Grade.insertMany).not.toHaveBeenCalled();
+    });
+
+    it('should reject a student listed twice', async () => {
+      mockReferences();
+      mockStudents([{ _id: mockIds.student1, classe: mockIds.class1 }]);
+
+      const { errors } = await gradeService.createGradesBatch({
+        ...batch,
+        grades: [{ ideleve: mockIds.student1, note: 14 }, { ideleve: mockIds.student1, note: 15 }]
+      });
+
+      expect(errors).toEqual([
+        { field: 'grades[1].ideleve', message: 'Student appears more than once in the batch' }
+      ]);
+      expect(Grade.insertMany).not.toHaveBeenCalled();
+    });
+
+    it('should abort the transaction and record nothing when the insert fails', async () => {
+      mockReferences();
+      mockStudents([
+        { _id: mockIds.student1, classe: mockIds.class1 },
+        { _id: mockIds.student2, classe: mockIds.class1 }
+      ]);
+      Grade.insertMany.mockRejectedValue(new Error('Write conflict'));
+
+      await expect(gradeService.createGradesBatch(batch)).rejects.toThrow('Write conflict');
+      expect(session.endSession).toHaveBeenCalled();
+      expect(gradeHistoryService.recordCreated).not.toHaveBeenCalled();
+      expect(auditService.recordMany).not.toHaveBeenCalled();
+    });
+
+    describe('for an evaluation', () => {
+      beforeEach(() => {
+        Evaluation.findById.mockResolvedValue(evaluations.valid);
+        mockReferences();
+        mockStudents([
+          { _id: mockIds.student1, classe: mockIds.class1 },
+          { _id: mockIds.student2, classe: mockIds.class1 }
+        ]);
+      });
+
+      it('should take shared values from the evaluation and convert notes to /20', async () => {
+        Grade.find.mockReturnValue(createQueryMock([]));
+        Grade.insertMany.mockResolvedValue([]);
+        Grade.populate.mockImplementation(async documents => documents);
+
+        const { errors, grades: created } = await gradeService.createGradesBatch({
+          idevaluation: mockIds.evaluation1,
+          idclasse: mockIds.class2,
+          grades: [{ ideleve: mockIds.student1, note: 31 }, { ideleve: mockIds.student2, note: 40 }]
+        });
+
+        expect(errors).toEqual([]);
+        expect(Class.findById).toHaveBeenCalledWith(mockIds.class1);
+        expect(created[0]).toMatchObject({
+          idevaluation: mockIds.evaluation1,
+          idclasse: mockIds.class1,
+          coefficient: 2,
+          note: 15.5,
+          noteBrute: 31
+        });
+        expect(created[1]).toMatchObject({ note: 20, noteBrute: 40 });
+      });
+
+      it('should reject notes above the scale and students already graded', async () => {
+        Grade.find.mockReturnValue(createQueryMock([{ ideleve: mockIds.student2 }]));
+
+        const { errors } = await gradeService.createGradesBatch({
+          idevaluation: mockIds.evaluation1,
+          grades: [{ ideleve: mockIds.student1, note: 41 }, { ideleve: mockIds.student2, note: 12 }]
+        });
+
+        expect(errors).toEqual([
+          { field: 'grades[0].note', message: 'Note must be between 0 and 40' },
+          { field: 'grades[1].ideleve', message: 'Student already has a grade for this evaluation' }
+        ]);
+        expect(Grade.insertMany).not.toHaveBeenCalled();
+      });
+
+      it('should record students who were not present without a note', async () => {
+        Grade.find.mockReturnValue(createQueryMock([]));
+        Grade.insertMany.mockResolvedValue([]);
+        Grade.populate.mockImplementation(async documents => documents);
+
+        const { grades: created } = await gradeService.createGradesBatch({
+          idevaluation: mockIds.evaluation1,
+          grades: [{ ideleve: mockIds.student1, statut: 'absent_justified' }, { ideleve: mockIds.student2, note: 20 }]
+        });
+
+        expect(created[0]).toMatchObject({ statut: 'absent_justified', note: undefined, noteBrute: undefined });
+        expect(created[1]).toMatchObject({ statut: undefined, note: 10, noteBrute: 20 });
+      });
+
+      it('should throw 404 when the evaluation does not exist', async () => {
+        Evaluation.findById.mockResolvedValue(null);
+
+        await expect(gradeService.createGradesBatch({ idevaluation: mockIds.evaluation1, grades: [] }))
+          .rejects.toMatchObject({ statusCode: 404, message: 'Evaluation not found' });
+      });
+    });
+
+    it('should refuse a batch for a subject the teacher does not teach in the class', async () => {
+      mockReferences();
+      const error = new Error('Teacher does not teach this subject in this class');
+      error.statusCode = 403;
+      teachingAssignmentService.assertTeaches.mockRejectedValue(error);
+
+      await expect(gradeService.createGradesBatch(batch, { role: 'teacher', teacher: mockIds.teacher1 }))
+        .rejects.toMatchObject({ statusCode: 403, message: 'Teacher does not teach this subject in this class' });
+      expect(Student.find).not.toHaveBeenCalled();
+    });
+  });
+
   describe('updateGrade', () => {
     it('should update and return grade', async () => {
       const updateData = { note: 19 };
@@ -361,7 +675,7 @@ describe('GradeService', () => {
 
       Grade.findByIdAndUpdate.mockReturnValue(mockQuery);
 
-      const result = await gradeService.updateGrade(mockIds.grade1, updateData);
+      const result = await gradeService.updateGrade(mockIds.grade1, updateData, undefined, undefined, 'Erreur de saisie');
 
       expect(Grade.findById).toHaveBeenCalledWith(mockIds.grade1);
       expect(Grade.findByIdAndUpdate).toHaveBeenCalledWith(
@@ -369,13 +683,108 @@ describe('GradeService', () => {
         updateData,
         { new: true, runValidators: true }
       );
+      expect(auditService.record).toHaveBeenCalledWith({
+        action: 'update',
+        entity: 'Grade',
+        before: grades.valid,
+        after: updated,
+        reason: 'Erreur de saisie'
+      });
+      expect(gradeHistoryService.recordChange).toHaveBeenCalledWith(grades.valid, updated, {
+        motif: 'Erreur de saisie',
+        motifDerogation: undefined
+      });
       expect(result.note).toBe(19);
     });
 
+    it('should require a reason for the change', async () => {
+      await expect(gradeService.updateGrade(mockIds.grade1, { note: 19 }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'A reason (motif) is required to modify a grade' });
+      expect(Grade.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(gradeHistoryService.recordChange).not.toHaveBeenCalled();
+    });
+
+    it('should check the lock of the trimester of the grade and of the new trimester', async () => {
+      Grade.findById.mockResolvedValue(grades.valid);
+      Trimester.findById.mockResolvedValue({ _id: mockIds.trimester2 });
+      Grade.findByIdAndUpdate.mockReturnValue(createQueryMock(grades.validWithPopulate));
+      const adminUser = { role: 'admin', username: 'admin', _id: mockIds.user1 };
+
+      await gradeService.updateGrade(mockIds.grade1, { idtrimestre: mockIds.trimester2 }, adminUser, 'Trimestre corrigé', 'Erreur de saisie');
+
+      expect(trimesterService.assertUnlocked).toHaveBeenCalledWith(
+        [mockIds.trimester1, mockIds.trimester2],
+        adminUser,
+        'Trimestre corrigé'
+      );
+    });
+
+    it('should refuse to modify a grade of a locked trimester', async () => {
+      Grade.findById.mockResolvedValue(grades.valid);
+      trimesterService.assertUnlocked.mockRejectedValueOnce(Object.assign(new Error('Trimester T1 is locked'), { statusCode: 409 }));
+
+      await expect(gradeService.updateGrade(mockIds.grade1, { note: 19 }, undefined, undefined, 'Erreur de saisie'))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(Grade.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should not move the grade to another evaluation nor take a raw score', async () => {
+      Grade.findById.mockResolvedValue(grades.valid);
+      Grade.findByIdAndUpdate.mockReturnValue(createQueryMock(grades.validWithPopulate));
+
+      await gradeService.updateGrade(
+        mockIds.grade1, { note: 12, idevaluation: mockIds.evaluation1, noteBrute: 40 }, undefined, undefined, 'Erreur de saisie'
+      );
+
+      expect(Grade.findByIdAndUpdate).toHaveBeenCalledWith(mockIds.grade1, { note: 12 }, { new: true, runValidators: true });
+      expect(Evaluation.findById).not.toHaveBeenCalled();
+    });
+
+    it('should keep the raw score of an evaluation grade in sync', async () => {
+      Grade.findById.mockResolvedValue({ ...grades.valid, idevaluation: mockIds.evaluation1 });
+      Evaluation.findById.mockResolvedValue(evaluations.valid);
+      Grade.findByIdAndUpdate.mockReturnValue(createQueryMock(grades.validWithPopulate));
+
+      await gradeService.updateGrade(mockIds.grade1, { note: 15 }, undefined, undefined, 'Erreur de saisie');
+
+      expect(Grade.findByIdAndUpdate).toHaveBeenCalledWith(
+        mockIds.grade1,
+        { note: 15, noteBrute: 30 },
+        { new: true, runValidators: true }
+      );
+    });
+
+    it('should clear the note of a student marked as not present', async () => {
+      Grade.findById.mockResolvedValue({ ...grades.valid, idevaluation: mockIds.evaluation1 });
+      Grade.findByIdAndUpdate.mockReturnValue(createQueryMock(grades.validWithPopulate));
+
+      await gradeService.updateGrade(mockIds.grade1, { statut: 'exempt', note: 12 }, undefined, undefined, 'Erreur de saisie');
+
+      expect(Evaluation.findById).not.toHaveBeenCalled();
+      expect(Grade.findByIdAndUpdate).toHaveBeenCalledWith(
+        mockIds.grade1,
+        { statut: 'exempt', note: null, noteBrute: null },
+        { new: true, runValidators: true }
+      );
+    });
+
+    it('should mark a student present again when a note is given', async () => {
+      Grade.findById.mockResolvedValue({ ...grades.valid, statut: 'absent_unjustified', note: null });
+      Grade.findByIdAndUpdate.mockReturnValue(createQueryMock(grades.validWithPopulate));
+
+      await gradeService.updateGrade(mockIds.grade1, { note: 8 }, undefined, undefined, 'Erreur de saisie');
+
+      expect(Grade.findByIdAndUpdate).toHaveBeenCalledWith(
+        mockIds.grade1,
+        { note: 8, statut: 'present' },
+        { new: true, runValidators: true }
+      );
+    });
+
     it('should throw error when grade not found on initial check', async () => {
       Grade.findById.mockResolvedValue(null);
 
-      await expect(gradeService.updateGrade(edgeCases.nonExistentId, { note: 19 }))
+      await expect(gradeService.updateGrade(edgeCases.nonExistentId, { note: 19 }, undefined, undefined, 'Erreur de saisie'))
         .rejects.toThrow('Grade not found');
     });
 
@@ -398,7 +807,7 @@ describe('GradeService', () => {
 
       Grade.findByIdAndUpdate.mockReturnValue(mockQuery);
 
-      const result = await gradeService.updateGrade(mockIds.grade1, updateData);
+      const result = await gradeService.updateGrade(mockIds.grade1, updateData, undefined, undefined, 'Erreur de saisie');
 
       expect(Student.findById).toHaveBeenCalledWith(updateData.ideleve);
       expect(result).toEqual(updated);
@@ -410,7 +819,7 @@ describe('GradeService', () => {
       Grade.findById.mockResolvedValue(grades.valid);
       Student.findById.mockResolvedValue(null);
 
-      await expect(gradeService.updateGrade(mockIds.grade1, updateData))
+      await expect(gradeService.updateGrade(mockIds.grade1, updateData, undefined, undefined, 'Erreur de saisie'))
         .rejects.toThrow('Referenced student');
     });
 
@@ -434,7 +843,7 @@ describe('GradeService', () => {
 
       Grade.findByIdAndUpdate.mockReturnValue(mockQuery);
 
-      const result = await gradeService.updateGrade(mockIds.grade1, updateData);
+      const result = await gradeService.updateGrade(mockIds.grade1, updateData, undefined, undefined, 'Erreur de saisie');
 
       expect(Class.findById).toHaveBeenCalledWith(updateData.idclasse);
       expect(result).toEqual(updated);
@@ -447,7 +856,7 @@ describe('GradeService', () => {
       Class.findById.mockResolvedValue({ _id: mockIds.class2 });
       Student.findById.mockResolvedValue({ ...students.valid, classe: mockIds.class1 });
 
-      await expect(gradeService.updateGrade(mockIds.grade1, updateData))
+      await expect(gradeService.updateGrade(mockIds.grade1, updateData, undefined, undefined, 'Erreur de saisie'))
         .rejects.toThrow('Student is not in the specified class');
     });
 
@@ -466,30 +875,154 @@ describe('GradeService', () => {
 
       Grade.findByIdAndUpdate.mockReturnValue(mockQuery);
 
-      await expect(gradeService.updateGrade(mockIds.grade1, { note: 19 }))
+      await expect(gradeService.updateGrade(mockIds.grade1, { note: 19 }, undefined, undefined, 'Erreur de saisie'))
         .rejects.toThrow('DB error');
     });
   });
 
+  describe('getGradeHistory', () => {
+    it('should return the versions of a visible grade', async () => {
+      const history = [{ version: 1, changes: [] }];
+      Grade.findById.mockReturnValue(createQueryMock(grades.valid));
+      gradeHistoryService.getHistory.mockResolvedValueOnce(history);
+
+      const result = await gradeService.getGradeHistory(mockIds.grade1);
+
+      expect(gradeHistoryService.getHistory).toHaveBeenCalledWith(grades.valid);
+      expect(result).toBe(history);
+    });
+
+    it('should find a deleted grade when includeDeleted is set', async () => {
+      Grade.findById.mockReturnValue(createQueryMock(grades.valid));
+      gradeHistoryService.getHistory.mockResolvedValueOnce([]);
+
+      await gradeService.getGradeHistory(mockIds.grade1, { role: 'admin' }, { includeDeleted: true });
+
+      expect(Grade.findById).toHaveBeenCalledWith(mockIds.grade1, null, { includeDeleted: true });
+    });
+
+    it('should not show the history of another student to a parent', async () => {
+      Grade.findById.mockReturnValue(createQueryMock({ ...grades.valid, ideleve: mockIds.student2 }));
+
+      await expect(gradeService.getGradeHistory(mockIds.grade1, { role: 'parent', children: [mockIds.student1] }))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(gradeHistoryService.getHistory).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('restoreGrade', () => {
+    it('should write the values of the version back with the reason', async () => {
+      const values = { ...grades.validInput, statut: 'present', note: 12 };
+      gradeHistoryService.getVersionValues.mockResolvedValueOnce(values);
+      const updateSpy = jest.spyOn(gradeService, 'updateGrade').mockResolvedValueOnce(grades.validWithPopulate);
+
+      const result = await gradeService.restoreGrade(mockIds.grade1, 1, undefined, undefined, 'Contestation acceptée');
+
+      expect(gradeHistoryService.getVersionValues).toHaveBeenCalledWith(mockIds.grade1, 1);
+      expect(updateSpy).toHaveBeenCalledWith(mockIds.grade1, values, undefined, undefined, 'Version 1 restored: Contestation acceptée');
+      expect(result).toBe(grades.validWithPopulate);
+      updateSpy.mockRestore();
+    });
+
+    it('should require a reason', async () => {
+      await expect(gradeService.restoreGrade(mockIds.grade1, 1))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(gradeHistoryService.getVersionValues).not.toHaveBeenCalled();
+    });
+  });
+
   describe('deleteGrade', () => {
-    it('should delete and return grade', async () => {
-      Grade.findByIdAndDelete.mockResolvedValue(grades.valid);
+    let session;
 
-      const result = await gradeService.deleteGrade(mockIds.grade1);
+    beforeEach(() => {
+      session = { withTransaction: jest.fn(async callback => callback()), endSession: jest.fn() };
+      jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    });
+
+    it('should soft-delete the grade and keep its deletion in the history', async () => {
+      const adminUser = { role: 'admin', username: 'admin', _id: mockIds.user1 };
+      const deleted = { ...grades.valid, deletedAt: new Date(), deletedBy: mockIds.user1 };
+      Grade.findById.mockResolvedValue(grades.valid);
+      Grade.findByIdAndUpdate.mockResolvedValue(deleted);
 
-      expect(Grade.findByIdAndDelete).toHaveBeenCalledWith(mockIds.grade1);
-      expect(result).toEqual(grades.valid);
+      const result = await gradeService.deleteGrade(mockIds.grade1, adminUser);
+
+      expect(Grade.findById).toHaveBeenCalledWith(mockIds.grade1);
+      expect(academicYearService.assertWritable).toHaveBeenCalledWith(grades.valid);
+      expect(gradeHistoryService.recordDeleted).toHaveBeenCalledWith(grades.valid, { motifDerogation: undefined }, session);
+      expect(Grade.findByIdAndUpdate).toHaveBeenCalledWith(
+        mockIds.grade1,
+        { deletedAt: expect.any(Date), deletedBy: mockIds.user1 },
+        { new: true, session }
+      );
+      expect(Grade.deleteOne).not.toHaveBeenCalled();
+      expect(auditService.record).toHaveBeenCalledWith({ action: 'delete', entity: 'Grade', before: grades.valid, reason: undefined });
+      expect(result).toBe(deleted);
     });
 
     it('should throw error when grade not found', async () => {
-      Grade.findByIdAndDelete.mockResolvedValue(null);
+      Grade.findById.mockResolvedValue(null);
 
       await expect(gradeService.deleteGrade(edgeCases.nonExistentId))
         .rejects.toThrow('Grade not found');
     });
 
+    it('should keep grades of an archived academic year', async () => {
+      Grade.findById.mockResolvedValue(grades.valid);
+      academicYearService.assertWritable.mockRejectedValue(
+        Object.assign(new Error('Academic year 2023-2024 is archived and read-only'), { statusCode: 409 })
+      );
+
+      await expect(gradeService.deleteGrade(mockIds.grade1))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(Grade.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(gradeHistoryService.recordDeleted).not.toHaveBeenCalled();
+    });
+
+    it('should keep grades of a locked trimester without an admin override', async () => {
+      Grade.findById.mockResolvedValue(grades.valid);
+      trimesterService.assertUnlocked.mockRejectedValueOnce(Object.assign(new Error('Trimester T1 is locked'), { statusCode: 409 }));
+
+      await expect(gradeService.deleteGrade(mockIds.grade1, { role: 'admin' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(Grade.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(gradeHistoryService.recordDeleted).not.toHaveBeenCalled();
+    });
+
+    it('should record the override reason when an admin deletes a grade of a locked trimester', async () => {
+      Grade.findById.mockResolvedValue(grades.valid);
+      Grade.findByIdAndUpdate.mockResolvedValue(grades.valid);
+      trimesterService.assertUnlocked.mockResolvedValueOnce({ _id: mockIds.trimester1, nom: 'T1' });
+      const adminUser = { role: 'admin', username: 'admin', _id: mockIds.user1 };
+
+      await gradeService.deleteGrade(mockIds.grade1, adminUser, 'Note saisie en double');
+
+      expect(trimesterService.assertUnlocked).toHaveBeenCalledWith([mockIds.trimester1], adminUser, 'Note saisie en double');
+      expect(gradeHistoryService.recordDeleted).toHaveBeenCalledWith(
+        grades.valid,
+        { motifDerogation: 'Note saisie en double' },
+        session
+      );
+      expect(auditService.record).toHaveBeenCalledWith({
+        action: 'delete',
+        entity: 'Grade',
+        before: grades.valid,
+        reason: 'Note saisie en double'
+      });
+    });
+
+    it('should keep the grade when its deletion cannot be recorded in the history', async () => {
+      Grade.findById.mockResolvedValue(grades.valid);
+      gradeHistoryService.recordDeleted.mockRejectedValueOnce(new Error('DB error'));
+
+      await expect(gradeService.deleteGrade(mockIds.grade1, { role: 'admin' }))
+        .rejects.toThrow('DB error');
+      expect(Grade.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(auditService.record).not.toHaveBeenCalled();
+    });
+
     it('should propagate database errors', async () => {
-      Grade.findByIdAndDelete.mockRejectedValue(new Error('DB error'));
+      Grade.findById.mockRejectedValue(new Error('DB error'));
 
       await expect(gradeService.deleteGrade(mockIds.grade1))
         .rejects.toThrow('DB error');
@@ -497,6 +1030,16 @@ describe('GradeService', () => {
   });
 
   describe('getStudentsWithGradesByTeacher', () => {
+    const mockAppreciations = (items) => {
+      const query = { populate: jest.fn() };
+      query.populate.mockReturnValueOnce(query).mockResolvedValueOnce(items);
+      Appreciation.find.mockReturnValue(query);
+    };
+
+    beforeEach(() => {
+      mockAppreciations([]);
+    });
+
     it('should return students grouped with their grades', async () => {
       const mockGrades = [
         {
@@ -544,10 +1087,10 @@ describe('GradeService', () => {
       expect(Teacher.findById).toHaveBeenCalledWith(mockIds.teacher1);
       expect(Grade.find).toHaveBeenCalledWith({ idprof: mockIds.teacher1 });
       expect(mockQuery.populate).toHaveBeenCalledTimes(4);
-      expect(mockQuery.populate).toHaveBeenCalledWith('ideleve', 'nom prenom dateNaissance');
-      expect(mockQuery.populate).toHaveBeenCalledWith('idmatiere', 'nom');
-      expect(mockQuery.populate).toHaveBeenCalledWith('idtrimestre', 'nom');
-      expect(mockQuery.populate).toHaveBeenCalledWith('idclasse', 'nom');
+      expect(mockQuery.populate).toHaveBeenCalledWith(withDeleted('ideleve', 'nom prenom dateNaissance'));
+      expect(mockQuery.populate).toHaveBeenCalledWith(withDeleted('idmatiere', 'nom'));
+      expect(mockQuery.populate).toHaveBeenCalledWith(withDeleted('idtrimestre', 'nom'));
+      expect(mockQuery.populate).toHaveBeenCalledWith(withDeleted('idclasse', 'nom'));
 
       // Verify grouping
       expect(result).toHaveLength(2); // 2 students
@@ -557,6 +1100,41 @@ describe('GradeService', () => {
       expect(result[1].grades).toHaveLength(1); // Student 2 has 1 grade
     });
 
+    it('should include grade comments and the teacher appreciations per student', async () => {
+      const mockGrades = [
+        {
+          _id: mockIds.grade1,
+          ideleve: { _id: mockIds.student1, nom: 'Martin', prenom: 'Sophie', dateNaissance: '2015-05-20' },
+          idmatiere: { _id: mockIds.subject1, nom: 'Math' },
+          idtrimestre: { _id: mockIds.trimester1, nom: 'T1' },
+          idclasse: { _id: mockIds.class1, nom: 'CM1' },
+          note: 15,
+          coefficient: 2,
+          commentaire: 'Bon travail',
+          createdAt: new Date()
+        }
+      ];
+      Teacher.findById.mockResolvedValue({ _id: mockIds.teacher1 });
+      Grade.find.mockReturnValue({
+        populate: jest.fn().mockReturnThis(),
+        sort: jest.fn().mockResolvedValue(mockGrades),
+      });
+      mockAppreciations([
+        { _id: 'a1', ideleve: mockIds.student1, texte: 'Sérieuse', idmatiere: { nom: 'Math' }, idtrimestre: { nom: 'T1' } },
+        // Appreciation for a student without grades from this teacher is ignored
+        { _id: 'a2', ideleve: mockIds.student2, texte: 'Absent', idmatiere: { nom: 'Math' }, idtrimestre: { nom: 'T1' } }
+      ]);
+
+      const result = await gradeService.getStudentsWithGradesByTeacher(mockIds.teacher1);
+
+      expect(Appreciation.find).toHaveBeenCalledWith({ idprof: mockIds.teacher1 });
+      expect(result).toHaveLength(1);
+      expect(result[0].grades[0].commentaire).toBe('Bon travail');
+      expect(result[0].appreciations).toEqual([
+        { _id: 'a1', texte: 'Sérieuse', matiere: { nom: 'Math' }, trimestre: { nom: 'T1' } }
+      ]);
+    });
+
     it('should return empty array when teacher has no grades', async () => {
       Teacher.findById.mockResolvedValue({ _id: mockIds.teacher1, nom: 'Dupont', prenom: 'Jean' });
 
@@ -606,4 +1184,424 @@ describe('GradeService', () => {
         .rejects.toThrow('DB error');
     });
   });
+
+  describe('getStudentAverages', () => {
+    const trimester1 = { _id: mockIds.trimester1, nom: 'T1' };
+    const trimester2 = { _id: mockIds.trimester2, nom: 'T2' };
+    const subject1 = { _id: mockIds.subject1, nom: 'Francais' };
+    const subject2 = { _id: mockIds.subject2, nom: 'Mathematiques' };
+
+    const mockReferences = (studentGrades) => {
+      Student.findById.mockResolvedValue(students.valid);
+      academicYearService.getCurrentYear.mockResolvedValue({ _id: mockIds.academicYear1 });
+      Trimester.findById.mockImplementation(id => createQueryMock(
+        [trimester1, trimester2].some(trimester => trimester._id === id) ? { _id: id, idannee: mockIds.academicYear1 } : null
+      ));
+      Trimester.find.mockReturnValue({ sort: jest.fn().mockResolvedValue([trimester1, trimester2]) });
+      Subject.find.mockReturnValue({ sort: jest.fn().mockResolvedValue([subject1, subject2]) });
+      Grade.find.mockResolvedValue(studentGrades);
+    };
+
+    const grade = (idmatiere, idtrimestre, note, coefficient) => ({
+      idmatiere,
+      idtrimestre,
+      note,
+      coefficient
+    });
+
+    it('should compute weighted averages per subject, trimester and year', async () => {
+      mockReferences([
+        grade(mockIds.subject1, mockIds.trimester1, 10, 1),
+        grade(mockIds.subject1, mockIds.trimester1, 16, 2),
+        grade(mockIds.subject2, mockIds.trimester1, 12, 1),
+        grade(mockIds.subject2, mockIds.trimester2, 18, 1)
+      ]);
+
+      const result = await gradeService.getStudentAverages(mockIds.student1);
+
+      expect(Grade.find).toHaveBeenCalledWith({ ideleve: mockIds.student1 });
+      expect(result.student).toEqual({
+        _id: students.valid._id,
+        nom: students.valid.nom,
+        prenom: students.valid.prenom
+      });
+      expect(result.trimesters).toHaveLength(2);
+
+      const [t1, t2] = result.trimesters;
+      expect(t1.subjects[0]).toEqual({
+        subject: subject1,
+        average: 14,
+        totalCoefficient: 3,
+        gradeCount: 2
+      });
+      expect(t1.subjects[1].average).toBe(12);
+      // (10*1 + 16*2 + 12*1) / 4
+      expect(t1.average).toBe(13.5);
+      expect(t2.average).toBe(18);
+      expect(result.yearlyAverage).toBe(15.75);
+    });
+
+    it('should return null average for subjects without grades', async () => {
+      mockReferences([grade(mockIds.subject1, mockIds.trimester1, 15, 1)]);
+
+      const result = await gradeService.getStudentAverages(mockIds.student1);
+
+      const [t1, t2] = result.trimesters;
+      expect(t1.subjects[1]).toEqual({
+        subject: subject2,
+        average: null,
+        totalCoefficient: 0,
+        gradeCount: 0
+      });
+      expect(t2.average).toBeNull();
+      expect(result.yearlyAverage).toBe(15);
+    });
+
+    it('should ignore zero-coefficient grades in the weighting', async () => {
+      mockReferences([
+        grade(mockIds.subject1, mockIds.trimester1, 4, 0),
+        grade(mockIds.subject1, mockIds.trimester1, 14, 2)
+      ]);
+
+      const result = await gradeService.getStudentAverages(mockIds.student1);
+
+      expect(result.trimesters[0].subjects[0]).toEqual({
+        subject: subject1,
+        average: 14,
+        totalCoefficient: 2,
+        gradeCount: 2
+      });
+    });
+
+    it('should return null average when every grade has a zero coefficient', async () => {
+      mockReferences([grade(mockIds.subject1, mockIds.trimester1, 12, 0)]);
+
+      const result = await gradeService.getStudentAverages(mockIds.student1);
+
+      expect(result.trimesters[0].subjects[0].average).toBeNull();
+      expect(result.trimesters[0].average).toBeNull();
+      expect(result.yearlyAverage).toBeNull();
+    });
+
+    it('should only return the requested trimester but keep the yearly average', async () => {
+      mockReferences([
+        grade(mockIds.subject1, mockIds.trimester1, 10, 1),
+        grade(mockIds.subject1, mockIds.trimester2, 20, 1)
+      ]);
+
+      const result = await gradeService.getStudentAverages(mockIds.student1, {
+        trimester: mockIds.trimester2
+      });
+
+      expect(result.trimesters).toHaveLength(1);
+      expect(result.trimesters[0].trimester).toEqual(trimester2);
+      expect(result.yearlyAverage).toBe(15);
+    });
+
+    it('should default to the trimesters of the current academic year, in date order', async () => {
+      // The student also has a grade in a trimester of last year
+      const lastYearTrimester = new mongoose.Types.ObjectId().toString();
+      const sort = jest.fn().mockResolvedValue([trimester1, trimester2]);
+      mockReferences([
+        grade(mockIds.subject1, lastYearTrimester, 2, 1),
+        grade(mockIds.subject1, mockIds.trimester1, 10, 1),
+        grade(mockIds.subject1, mockIds.trimester2, 14, 1)
+      ]);
+      Trimester.find.mockReturnValue({ sort });
+
+      const result = await gradeService.getStudentAverages(mockIds.student1);
+
+      expect(Trimester.find).toHaveBeenCalledWith({ idannee: mockIds.academicYear1 });
+      expect(sort).toHaveBeenCalledWith({ dateDebut: 1 });
+      expect(result.trimesters.map(summary => summary.trimester._id)).toEqual([mockIds.trimester1, mockIds.trimester2]);
+      expect(result.yearlyAverage).toBe(12);
+    });
+
+    it('should use the trimesters without academic year when the current year does not exist', async () => {
+      mockReferences([]);
+      academicYearService.getCurrentYear.mockResolvedValue(null);
+
+      await gradeService.getStudentAverages(mockIds.student1);
+
+      expect(Trimester.find).toHaveBeenCalledWith({ idannee: null });
+    });
+
+    it('should use the academic year of the requested trimester', async () => {
+      mockReferences([]);
+
+      await gradeService.getStudentAverages(mockIds.student1, { trimester: mockIds.trimester2 });
+
+      expect(Trimester.findById).toHaveBeenCalledWith(mockIds.trimester2);
+      expect(Trimester.find).toHaveBeenCalledWith({ idannee: mockIds.academicYear1 });
+      expect(academicYearService.getCurrentYear).not.toHaveBeenCalled();
+    });
+
+    it('should only use the trimesters of the requested academic year', async () => {
+      mockReferences([
+        grade(mockIds.subject1, mockIds.trimester1, 10, 1),
+        grade(mockIds.subject1, mockIds.trimester2, 20, 1)
+      ]);
+      Trimester.find.mockReturnValue({ sort: jest.fn().mockResolvedValue([trimester2]) });
+      academicYearService.getYearIdFilter.mockResolvedValueOnce({ $in: [mockIds.academicYear1] });
+
+      const result = await gradeService.getStudentAverages(mockIds.student1, { year: '2024-2025' });
+
+      expect(Trimester.find).toHaveBeenCalledWith({ idannee: { $in: [mockIds.academicYear1] } });
+      expect(result.trimesters).toHaveLength(1);
+      expect(result.yearlyAverage).toBe(20);
+    });
+
+    it('should throw 404 when trimester not found', async () => {
+      mockReferences([]);
+
+      await expect(gradeService.getStudentAverages(mockIds.student1, {
+        trimester: edgeCases.nonExistentId
+      })).rejects.toMatchObject({ message: 'Trimester not found', statusCode: 404 });
+    });
+
+    it('should throw 404 when student not found', async () => {
+      Student.findById.mockResolvedValue(null);
+
+      await expect(gradeService.getStudentAverages(edgeCases.nonExistentId))
+        .rejects.toMatchObject({ message: 'Student not found', statusCode: 404 });
+      expect(Grade.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getClassStatistics', () => {
+    const student = (id, nom) => ({ _id: id, nom, prenom: 'Test' });
+    const subjectMaths = { _id: mockIds.subject1, nom: 'Mathematiques' };
+    const subjectFrench = { _id: mockIds.subject2, nom: 'Francais' };
+    const grade = (ideleve, idmatiere, note, coefficient = 1) => ({ ideleve, idmatiere, note, coefficient });
+
+    const mockClassData = (classStudents, classGrades) => {
+      Class.findById.mockResolvedValue(classes.valid);
+      Trimester.findById.mockResolvedValue({ _id: mockIds.trimester1, nom: 'T1' });
+      Student.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(classStudents) });
+      Grade.find.mockReturnValue({ populate: jest.fn().mockResolvedValue(classGrades) });
+    };
+
+    it('should compute subject statistics over student averages', async () => {
+      const s1 = student(mockIds.student1, 'Alpha');
+      const s2 = student(mockIds.student2, 'Beta');
+      mockClassData([s1, s2], [
+        grade(mockIds.student1, subjectMaths, 10, 1),
+        grade(mockIds.student1, subjectMaths, 16, 2),
+        grade(mockIds.student2, subjectMaths, 8),
+        grade(mockIds.student2, subjectFrench, 12)
+      ]);
+
+      const result = await gradeService.getClassStatistics(mockIds.class1, mockIds.trimester1);
+
+      expect(Student.find).toHaveBeenCalledWith({
+        $or: [{ classe: mockIds.class1 }, { classesPrecedentes: mockIds.class1 }]
+      });
+      expect(Grade.find).toHaveBeenCalledWith({ idclasse: mockIds.class1, idtrimestre: mockIds.trimester1 });
+      expect(result.class).toEqual({ _id: classes.valid._id, nom: classes.valid.nom });
+      // Subjects are sorted by name
+      expect(result.subjects.map(s => s.subject.nom)).toEqual(['Francais', 'Mathematiques']);
+
+      const maths = result.subjects[1];
+      expect(maths).toEqual({
+        subject: subjectMaths,
+        average: 11,
+        min: 8,
+        max: 14,
+        median: 11,
+        standardDeviation: 3,
+        studentCount: 2
+      });
+      expect(result.subjects[0].studentCount).toBe(1);
+    });
+
+    it('should rank students by overall weighted average with ties', async () => {
+      const s1 = student(mockIds.student1, 'Alpha');
+      const s2 = student(mockIds.student2, 'Beta');
+      const s3 = student(edgeCases.nonExistentId, 'Gamma');
+      mockClassData([s1, s2, s3], [
+        grade(mockIds.student1, subjectMaths, 12),
+        grade(mockIds.student2, subjectMaths, 12)
+      ]);
+
+      const result = await gradeService.getClassStatistics(mockIds.class1, mockIds.trimester1);
+
+      expect(result.ranking).toEqual([
+        { student: s1, average: 12, rank: 1, tied: true },
+        { student: s2, average: 12, rank: 1, tied: true },
+        { student: s3, average: null, rank: null, tied: false }
+      ]);
+      expect(result.classAverage).toBe(12);
+    });
+
+    it('should return empty statistics for a class without grades', async () => {
+      mockClassData([], []);
+
+      const result = await gradeService.getClassStatistics(mockIds.class1, mockIds.trimester1);
+
+      expect(result.subjects).toEqual([]);
+      expect(result.ranking).toEqual([]);
+      expect(result.classAverage).toBeNull();
+    });
+
+    it('should throw 404 when class not found', async () => {
+      Class.findById.mockResolvedValue(null);
+
+      await expect(gradeService.getClassStatistics(edgeCases.nonExistentId, mockIds.trimester1))
+        .rejects.toMatchObject({ message: 'Class not found', statusCode: 404 });
+    });
+
+    it('should throw 404 when trimester not found', async () => {
+      Class.findById.mockResolvedValue(classes.valid);
+      Trimester.findById.mockResolvedValue(null);
+
+      await expect(gradeService.getClassStatistics(mockIds.class1, edgeCases.nonExistentId))
+        .rejects.toMatchObject({ message: 'Trimester not found', statusCode: 404 });
+    });
+  });
+
+  describe('teacher ownership on grade writes', () => {
+    const teacherUser = { _id: mockIds.user1, role: 'teacher', teacher: mockIds.teacher1 };
+    const colleagueUser = { _id: mockIds.user1, role: 'teacher', teacher: mockIds.teacher2 };
+
+    describe('assertCanWriteGrade', () => {
+      it('should let admins and internal calls record grades for any assigned teacher', async () => {
+        await gradeService.assertCanWriteGrade({ role: 'admin' }, { ...grades.validInput, idprof: mockIds.teacher2 });
+        await gradeService.assertCanWriteGrade(undefined, grades.validInput);
+
+        expect(teachingAssignmentService.assertTeaches).toHaveBeenCalledTimes(2);
+      });
+
+      it('should allow a teacher writing under their own profile for a subject they teach', async () => {
+        await expect(gradeService.assertCanWriteGrade(teacherUser, grades.validInput)).resolves.toBeUndefined();
+        expect(teachingAssignmentService.assertTeaches).toHaveBeenCalledWith(grades.validInput);
+      });
+
+      it('should reject a teacher account without linked profile', async () => {
+        await expect(gradeService.assertCanWriteGrade({ role: 'teacher' }, grades.validInput))
+          .rejects.toMatchObject({ statusCode: 403, message: 'Your account is not linked to a teacher profile' });
+      });
+
+      it('should reject a grade recorded under a colleague profile', async () => {
+        await expect(gradeService.assertCanWriteGrade(colleagueUser, grades.validInput))
+          .rejects.toMatchObject({ statusCode: 403, message: 'Teachers can only record grades under their own profile (idprof)' });
+      });
+
+      it('should reject a subject the teacher does not teach in the class, even for admins', async () => {
+        const error = new Error('Teacher does not teach this subject in this class');
+        error.statusCode = 403;
+        teachingAssignmentService.assertTeaches.mockRejectedValue(error);
+
+        await expect(gradeService.assertCanWriteGrade({ role: 'admin' }, grades.validInput))
+          .rejects.toMatchObject({ statusCode: 403, message: 'Teacher does not teach this subject in this class' });
+      });
+
+      it('should reject grades in the class or trimester of an archived academic year', async () => {
+        const error = new Error('Academic year 2023-2024 is archived and read-only');
+        error.statusCode = 409;
+        academicYearService.assertWritable.mockRejectedValue(error);
+
+        await expect(gradeService.assertCanWriteGrade({ role: 'admin' }, grades.validInput))
+          .rejects.toMatchObject({ statusCode: 409 });
+        expect(academicYearService.assertWritable).toHaveBeenCalledWith(grades.validInput);
+      });
+    });
+
+    it('should not create a grade a teacher is not allowed to record', async () => {
+      Student.findById.mockResolvedValue({ ...students.valid, classe: mockIds.class1 });
+      Class.findById.mockResolvedValue(classes.valid);
+      Subject.findById.mockResolvedValue({ _id: mockIds.subject1 });
+      Teacher.findById.mockResolvedValue({ _id: mockIds.teacher1 });
+      Trimester.findById.mockResolvedValue({ _id: mockIds.trimester1 });
+
+      await expect(gradeService.createGrade(grades.validInput, colleagueUser))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(Grade).not.toHaveBeenCalled();
+    });
+
+    it('should not let a teacher modify a colleague grade', async () => {
+      Grade.findById.mockResolvedValue(grades.valid);
+
+      await expect(gradeService.updateGrade(mockIds.grade1, { note: 20 }, colleagueUser, undefined, 'Erreur de saisie'))
+        .rejects.toMatchObject({ statusCode: 403, message: 'You can only modify grades you recorded' });
+      expect(Grade.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should not let a teacher hand over their grade to a colleague', async () => {
+      Grade.findById.mockResolvedValue(grades.valid);
+      Teacher.findById.mockResolvedValue({ _id: mockIds.teacher2 });
+
+      await expect(gradeService.updateGrade(mockIds.grade1, { idprof: mockIds.teacher2 }, teacherUser, undefined, 'Erreur de saisie'))
+        .rejects.toMatchObject({ statusCode: 403, message: 'Teachers can only record grades under their own profile (idprof)' });
+      expect(Grade.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should let a teacher update their own grade', async () => {
+      Grade.findById.mockResolvedValue(grades.valid);
+      Class.findById.mockResolvedValue(classes.valid);
+      const updated = { ...grades.validWithPopulate, note: 20 };
+      const mockQuery = { populate: jest.fn().mockReturnThis() };
+      mockQuery.populate
+        .mockReturnValueOnce(mockQuery)
+        .mockReturnValueOnce(mockQuery)
+        .mockReturnValueOnce(mockQuery)
+        .mockReturnValueOnce(mockQuery)
+        .mockResolvedValue(updated);
+      Grade.findByIdAndUpdate.mockReturnValue(mockQuery);
+
+      const result = await gradeService.updateGrade(mockIds.grade1, { note: 20 }, teacherUser, undefined, 'Erreur de saisie');
+
+      expect(teachingAssignmentService.assertTeaches).toHaveBeenCalledWith({
+        idprof: grades.valid.idprof,
+        idmatiere: grades.valid.idmatiere,
+        idclasse: grades.valid.idclasse,
+        idtrimestre: grades.valid.idtrimestre
+      });
+      expect(result.note).toBe(20);
+    });
+  });
+
+  describe('student and parent read scoping', () => {
+    const studentUser = { role: 'student', student: mockIds.student1 };
+
+    it('should restrict the grade list to the student own grades', async () => {
+      Grade.find.mockReturnValue(createQueryMock([]));
+
+      await gradeService.getAllGrades({ trimester: mockIds.trimester1 }, studentUser);
+
+      expect(Grade.find).toHaveBeenCalledWith({
+        idtrimestre: mockIds.trimester1,
+        ideleve: { $in: [mockIds.student1] }
+      });
+    });
+
+    it('should refuse a student filter outside the account scope', async () => {
+      await expect(gradeService.getAllGrades({ student: mockIds.student2 }, studentUser))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(Grade.find).not.toHaveBeenCalled();
+    });
+
+    it('should restrict the grouped view to the student own grades', async () => {
+      Grade.find.mockReturnValue(createQueryMock([]));
+
+      await gradeService.getGradesGroupedBySubject({ class: mockIds.class1 }, studentUser);
+
+      expect(Grade.find).toHaveBeenCalledWith({
+        idclasse: mockIds.class1,
+        ideleve: { $in: [mockIds.student1] }
+      });
+    });
+
+    it('should refuse a grade of another student', async () => {
+      Grade.findById.mockReturnValue(createQueryMock({ ...grades.valid, ideleve: { _id: mockIds.student2 } }));
+
+      await expect(gradeService.getGradeById(mockIds.grade1, studentUser))
+        .rejects.toMatchObject({ statusCode: 403, message: 'Student accounts can only access their own records' });
+    });
+
+    it('should refuse the averages of another student before any query', async () => {
+      await expect(gradeService.getStudentAverages(mockIds.student2, {}, studentUser))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(Student.findById).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,274 @@
+/**
+ * Unit Tests for Login Attempt Service
+ *
+ * Tests the protection of accounts against password guessing.
+ *
+ * Core Functionality Tests:
+ * - Progressive wait after failed logins, lockout after LOGIN_MAX_ATTEMPTS
+ * - Failures counted per email (lockout) and per email and IP address (wait), for unknown emails too
+ * - Refusing logins while the email is locked or waits from the address
+ * - Lockout and admin unlock recorded in the audit log
+ *
+ * Mock Architecture:
+ * - LoginAttempt and User models, audit service and request context mocked for isolation
+ */
+
+const loginAttemptService = require('../../../src/services/loginAttemptService');
+const auditService = require('../../../src/services/auditService');
+const LoginAttempt = require('../../../src/models/LoginAttempt');
+const User = require('../../../src/models/User');
+const { getRequestContext } = require('../../../src/utils/requestContext');
+const { mockIds } = require('../mocks/fixtures');
+
+jest.mock('../../../src/models/LoginAttempt');
+jest.mock('../../../src/models/User');
+jest.mock('../../../src/services/auditService');
+jest.mock('../../../src/utils/requestContext');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const EMAIL = 'john@example.com';
+const IP = '10.0.0.5';
+
+describe('LoginAttemptService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.LOGIN_MAX_ATTEMPTS;
+    delete process.env.LOGIN_LOCKOUT_MINUTES;
+    getRequestContext.mockReturnValue({ ip: IP });
+  });
+
+  describe('getDelay', () => {
+    it('should let the first two failures through, then double the wait', () => {
+      expect(loginAttemptService.getDelay(1)).toBe(0);
+      expect(loginAttemptService.getDelay(2)).toBe(0);
+      expect(loginAttemptService.getDelay(3)).toBe(2 * SECOND);
+      expect(loginAttemptService.getDelay(4)).toBe(4 * SECOND);
+      expect(loginAttemptService.getDelay(9)).toBe(128 * SECOND);
+    });
+
+    it('should never wait longer than a lockout', () => {
+      process.env.LOGIN_LOCKOUT_MINUTES = '1';
+
+      expect(loginAttemptService.getDelay(9)).toBe(MINUTE);
+    });
+  });
+
+  describe('assertCanLogin', () => {
+    it('should accept an email without failures', async () => {
+      LoginAttempt.findOne.mockResolvedValue(null);
+
+      await expect(loginAttemptService.assertCanLogin(EMAIL)).resolves.toBeUndefined();
+      expect(LoginAttempt.findOne).toHaveBeenCalledWith({ email: EMAIL, ip: '*' });
+      expect(LoginAttempt.findOne).toHaveBeenCalledWith({ email: EMAIL, ip: IP });
+    });
+
+    it('should accept an email without wait, or whose lockout is over', async () => {
+      LoginAttempt.findOne
+        .mockResolvedValueOnce({ attempts: 10, lockUntil: new Date(Date.now() - SECOND) })
+        .mockResolvedValueOnce({ attempts: 1, lockUntil: null });
+
+      await expect(loginAttemptService.assertCanLogin(EMAIL)).resolves.toBeUndefined();
+    });
+
+    it('should throw 429 with the wait left after failed logins from the address', async () => {
+      LoginAttempt.findOne
+        .mockResolvedValueOnce({ attempts: 4, lockUntil: null })
+        .mockResolvedValueOnce({ attempts: 4, lockUntil: new Date(Date.now() + 4 * SECOND) });
+
+      await expect(loginAttemptService.assertCanLogin(EMAIL)).rejects.toMatchObject({
+        statusCode: 429,
+        message: 'Too many failed login attempts, try again in 4 second(s)',
+        details: { retryAfter: 4 }
+      });
+    });
+
+    it('should throw 423 while the email is locked, whatever the address', async () => {
+      LoginAttempt.findOne
+        .mockResolvedValueOnce({ attempts: 10, lockUntil: new Date(Date.now() + 15 * MINUTE) })
+        .mockResolvedValueOnce(null);
+
+      await expect(loginAttemptService.assertCanLogin(EMAIL)).rejects.toMatchObject({
+        statusCode: 423,
+        message: 'Login locked after too many failed login attempts, try again in 15 minute(s)',
+        details: { retryAfter: 900 }
+      });
+    });
+  });
+
+  describe('recordFailure', () => {
+    const user = { _id: mockIds.user1, email: EMAIL };
+
+    it('should count the failure of the email and of the address without wait for the first failures', async () => {
+      LoginAttempt.findOneAndUpdate
+        .mockResolvedValueOnce({ email: EMAIL, ip: '*', attempts: 1 })
+        .mockResolvedValueOnce({ email: EMAIL, ip: IP, attempts: 1 });
+
+      const result = await loginAttemptService.recordFailure(EMAIL, user);
+
+      expect(LoginAttempt.findOneAndUpdate).toHaveBeenCalledTimes(2);
+      const [accountFilter, update, options] = LoginAttempt.findOneAndUpdate.mock.calls[0];
+      expect(accountFilter).toEqual({ email: EMAIL, ip: '*' });
+      expect(update.$inc).toEqual({ attempts: 1 });
+      expect((update.$set.expiresAt - Date.now()) / MINUTE).toBeCloseTo(15, 1);
+      expect(options).toEqual({ upsert: true, new: true });
+      expect(LoginAttempt.findOneAndUpdate.mock.calls[1][0]).toEqual({ email: EMAIL, ip: IP });
+      expect(LoginAttempt.updateOne).not.toHaveBeenCalled();
+      expect(result.attempts).toBe(1);
+      expect(auditService.record).not.toHaveBeenCalled();
+    });
+
+    it('should make the next attempt from the address wait from its third failure', async () => {
+      LoginAttempt.findOneAndUpdate
+        .mockResolvedValueOnce({ attempts: 3 })
+        .mockResolvedValueOnce({ attempts: 3 });
+
+      await loginAttemptService.recordFailure(EMAIL, user);
+
+      const [filter, update] = LoginAttempt.updateOne.mock.calls[0];
+      expect(filter).toEqual({ email: EMAIL, ip: IP });
+      expect(update.lockUntil - Date.now()).toBeGreaterThan(1.5 * SECOND);
+      expect(update.lockUntil - Date.now()).toBeLessThanOrEqual(2 * SECOND);
+      expect(auditService.record).not.toHaveBeenCalled();
+    });
+
+    it('should lock the email for 15 minutes after 10 failures and audit the lockout', async () => {
+      const after = { attempts: 10, lockUntil: new Date() };
+      LoginAttempt.findOneAndUpdate
+        .mockResolvedValueOnce({ attempts: 10 })
+        .mockResolvedValueOnce({ attempts: 10 })
+        .mockResolvedValueOnce(after);
+
+      const result = await loginAttemptService.recordFailure(EMAIL, user);
+
+      const [filter, update] = LoginAttempt.findOneAndUpdate.mock.calls[2];
+      expect(filter).toEqual({ email: EMAIL, ip: '*' });
+      expect((update.lockUntil - Date.now()) / MINUTE).toBeCloseTo(15, 1);
+      expect(auditService.record).toHaveBeenCalledWith({
+        action: 'lock',
+        entity: 'User',
+        before: user,
+        after: user,
+        reason: `10 failed login attempts, the last from ${IP}`
+      });
+      expect(result).toBe(after);
+    });
+
+    it('should lock the email when the failures come from different addresses', async () => {
+      LoginAttempt.findOneAndUpdate
+        .mockResolvedValueOnce({ attempts: 10 })
+        .mockResolvedValueOnce({ attempts: 1 })
+        .mockResolvedValueOnce({ attempts: 10, lockUntil: new Date() });
+
+      await loginAttemptService.recordFailure(EMAIL, user);
+
+      const [filter, update] = LoginAttempt.findOneAndUpdate.mock.calls[2];
+      expect(filter).toEqual({ email: EMAIL, ip: '*' });
+      expect((update.lockUntil - Date.now()) / MINUTE).toBeCloseTo(15, 1);
+      expect(LoginAttempt.updateOne).not.toHaveBeenCalled();
+      expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({ action: 'lock' }));
+    });
+
+    it('should lock an unknown email the same way, without audit', async () => {
+      LoginAttempt.findOneAndUpdate
+        .mockResolvedValueOnce({ attempts: 10 })
+        .mockResolvedValueOnce({ attempts: 10 })
+        .mockResolvedValueOnce({ attempts: 10, lockUntil: new Date() });
+
+      await loginAttemptService.recordFailure('nobody@example.com', null);
+
+      const [filter, update] = LoginAttempt.findOneAndUpdate.mock.calls[2];
+      expect(filter).toEqual({ email: 'nobody@example.com', ip: '*' });
+      expect((update.lockUntil - Date.now()) / MINUTE).toBeCloseTo(15, 1);
+      expect(auditService.record).not.toHaveBeenCalled();
+    });
+
+    it('should use LOGIN_MAX_ATTEMPTS and LOGIN_LOCKOUT_MINUTES when set', async () => {
+      process.env.LOGIN_MAX_ATTEMPTS = '3';
+      process.env.LOGIN_LOCKOUT_MINUTES = '60';
+      LoginAttempt.findOneAndUpdate
+        .mockResolvedValueOnce({ attempts: 3 })
+        .mockResolvedValueOnce({ attempts: 3 })
+        .mockResolvedValueOnce({ attempts: 3, lockUntil: new Date() });
+
+      await loginAttemptService.recordFailure(EMAIL, user);
+
+      const [, update] = LoginAttempt.findOneAndUpdate.mock.calls[2];
+      expect((update.lockUntil - Date.now()) / MINUTE).toBeCloseTo(60, 1);
+      expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({ action: 'lock' }));
+    });
+
+    it('should start counting again once a lockout is over', async () => {
+      LoginAttempt.findOneAndUpdate
+        .mockResolvedValueOnce({ attempts: 1 })
+        .mockResolvedValueOnce({ attempts: 1 });
+
+      await loginAttemptService.recordFailure(EMAIL, user);
+
+      expect(LoginAttempt.deleteOne).toHaveBeenCalledWith({
+        email: EMAIL,
+        ip: '*',
+        attempts: { $gte: 10 },
+        lockUntil: { $lte: expect.any(Date) }
+      });
+      expect(LoginAttempt.deleteOne.mock.invocationCallOrder[0])
+        .toBeLessThan(LoginAttempt.findOneAndUpdate.mock.invocationCallOrder[0]);
+    });
+  });
+
+  describe('recordSuccess', () => {
+    it('should clear the failed logins of the email and of the address', async () => {
+      await loginAttemptService.recordSuccess(EMAIL);
+
+      expect(LoginAttempt.deleteMany).toHaveBeenCalledWith({ email: EMAIL, ip: { $in: ['*', IP] } });
+    });
+  });
+
+  describe('clearFailures', () => {
+    it('should clear the failed logins of the email from every address', async () => {
+      LoginAttempt.deleteMany.mockResolvedValue({ deletedCount: 2 });
+
+      await expect(loginAttemptService.clearFailures(EMAIL)).resolves.toBe(2);
+      expect(LoginAttempt.deleteMany).toHaveBeenCalledWith({ email: EMAIL });
+    });
+  });
+
+  describe('unlock', () => {
+    const user = { _id: mockIds.user1, email: EMAIL };
+
+    it('should clear the lockout and the failed logins of every address and audit the unlock', async () => {
+      User.findById.mockResolvedValue(user);
+      LoginAttempt.deleteMany.mockResolvedValue({ deletedCount: 2 });
+
+      const result = await loginAttemptService.unlock(mockIds.user1);
+
+      expect(LoginAttempt.deleteMany).toHaveBeenCalledWith({ email: EMAIL });
+      expect(auditService.record).toHaveBeenCalledWith({
+        action: 'unlock',
+        entity: 'User',
+        before: user,
+        after: user,
+        reason: 'Failed logins cleared (2 counter(s))'
+      });
+      expect(result).toBe(user);
+    });
+
+    it('should not audit an account without failed logins', async () => {
+      User.findById.mockResolvedValue(user);
+      LoginAttempt.deleteMany.mockResolvedValue({ deletedCount: 0 });
+
+      const result = await loginAttemptService.unlock(mockIds.user1);
+
+      expect(result).toBe(user);
+      expect(auditService.record).not.toHaveBeenCalled();
+    });
+
+    it('should throw 404 when the user does not exist', async () => {
+      User.findById.mockResolvedValue(null);
+
+      await expect(loginAttemptService.unlock(mockIds.user1))
+        .rejects.toMatchObject({ statusCode: 404, message: 'User not found' });
+      expect(LoginAttempt.deleteMany).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Unit Tests for Mail Service
+ *
+ * Tests sending mails through a pluggable transport and the password reset mail.
+ *
+ * Mock Architecture:
+ * - A stub transport replaces the console/file transport
+ */
+
+const mailService = require('../../../src/services/mailService');
+
+describe('MailService', () => {
+  const transport = { send: jest.fn() };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mailService.setTransport(transport);
+    delete process.env.MAIL_FROM;
+    delete process.env.PASSWORD_RESET_URL;
+  });
+
+  describe('send', () => {
+    it('should send through the transport with the default sender', async () => {
+      await mailService.send({ to: 'john@example.com', subject: 'Hello', text: 'Body' });
+
+      expect(transport.send).toHaveBeenCalledWith({
+        from: 'DigiSchool <no-reply@digischool.local>',
+        to: 'john@example.com',
+        subject: 'Hello',
+        text: 'Body'
+      });
+    });
+
+    it('should use MAIL_FROM when set', async () => {
+      process.env.MAIL_FROM = 'school@example.com';
+
+      await mailService.send({ to: 'john@example.com', subject: 'Hello', text: 'Body' });
+
+      expect(transport.send).toHaveBeenCalledWith(expect.objectContaining({ from: 'school@example.com' }));
+    });
+  });
+
+  describe('sendPasswordReset', () => {
+    const user = { username: 'johndoe', email: 'john@example.com' };
+
+    it('should mail the token with its validity', async () => {
+      await mailService.sendPasswordReset(user, 'abc123', 60);
+
+      const message = transport.send.mock.calls[0][0];
+      expect(message.to).toBe('john@example.com');
+      expect(message.text).toContain('Hello johndoe,');
+      expect(message.text).toContain('abc123');
+      expect(message.text).toContain('60 minutes');
+    });
+
+    it('should link to PASSWORD_RESET_URL when set', async () => {
+      process.env.PASSWORD_RESET_URL = 'https://school.example.com/reset';
+
+      await mailService.sendPasswordReset(user, 'abc123', 60);
+
+      expect(transport.send.mock.calls[0][0].text).toContain('https://school.example.com/reset?token=abc123');
+    });
+  });
+});
@@ -0,0 +1,304 @@
+/**
+ * Unit Tests for Report Card Service
+ *
+ * Tests report card data assembly (identity, class, head teacher, subject grades,
+ * student and class averages) and PDF rendering.
+ * Models and the grade service are mocked; pdfkit runs for real.
+ */
+
+const reportCardService = require('../../../src/services/reportCardService');
+const gradeService = require('../../../src/services/gradeService');
+const attendanceService = require('../../../src/services/attendanceService');
+const Appreciation = require('../../../src/models/Appreciation');
+const CouncilComment = require('../../../src/models/CouncilComment');
+const Grade = require('../../../src/models/Grade');
+const Student = require('../../../src/models/Student');
+const Trimester = require('../../../src/models/Trimester');
+const { students, mockIds, edgeCases } = require('../mocks/fixtures');
+
+jest.mock('../../../src/models/Appreciation');
+jest.mock('../../../src/models/CouncilComment');
+jest.mock('../../../src/models/Grade');
+jest.mock('../../../src/models/Student');
+jest.mock('../../../src/models/Trimester');
+jest.mock('../../../src/services/gradeService');
+jest.mock('../../../src/services/attendanceService');
+
+describe('ReportCardService', () => {
+  const trimester = { _id: mockIds.trimester1, nom: 'T1' };
+  const maths = { _id: mockIds.subject1, nom: 'Mathematiques' };
+  const french = { _id: mockIds.subject2, nom: 'Français' };
+
+  const studentWithClass = {
+    ...students.valid,
+    classe: {
+      _id: mockIds.class1,
+      nom: 'CM1',
+      prof: { nom: 'Dupont', prenom: 'Jean' }
+    }
+  };
+
+  const statistics = {
+    classAverage: 12.5,
+    subjects: [
+      { subject: french, average: 11 },
+      { subject: maths, average: 13.25 }
+    ],
+    ranking: [
+      { student: { _id: mockIds.student2 }, average: 15, rank: 1 },
+      { student: { _id: mockIds.student1 }, average: 14, rank: 2 }
+    ]
+  };
+
+  const mockStudent = (student) => {
+    Student.findById.mockReturnValue({ populate: jest.fn().mockResolvedValue(student) });
+  };
+
+  const mockComments = (appreciations = [], councilComment = null) => {
+    Appreciation.find.mockReturnValue({ populate: jest.fn().mockResolvedValue(appreciations) });
+    CouncilComment.findOne.mockResolvedValue(councilComment);
+  };
+
+  const attendance = {
+    absences: 3,
+    justifiedAbsences: 2,
+    unjustifiedAbsences: 1,
+    lates: 1,
+    justifiedLates: 0,
+    unjustifiedLates: 1,
+    lateMinutes: 10
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockComments();
+    attendanceService.getAttendanceCounts.mockResolvedValue(attendance);
+  });
+
+  describe('getReportCardData', () => {
+    it('should assemble identity, subjects, averages and rank', async () => {
+      mockStudent(studentWithClass);
+      Trimester.findById.mockResolvedValue(trimester);
+      gradeService.getClassStatistics.mockResolvedValue(statistics);
+      Grade.find.mockReturnValue({
+        sort: jest.fn().mockResolvedValue([
+          { idmatiere: mockIds.subject1, note: 12, coefficient: 1 },
+          { idmatiere: mockIds.subject1, note: 15, coefficient: 2 }
+        ])
+      });
+
+      const result = await reportCardService.getReportCardData(mockIds.student1, mockIds.trimester1);
+
+      expect(gradeService.getClassStatistics).toHaveBeenCalledWith(mockIds.class1, mockIds.trimester1);
+      expect(Grade.find).toHaveBeenCalledWith({
+        ideleve: mockIds.student1,
+        idclasse: mockIds.class1,
+        idtrimestre: mockIds.trimester1
+      });
+      expect(result.student.nom).toBe(students.valid.nom);
+      expect(result.class).toEqual({ _id: mockIds.class1, nom: 'CM1' });
+      expect(result.headTeacher).toEqual({ nom: 'Dupont', prenom: 'Jean' });
+      expect(result.subjects).toEqual([
+        { subject: french, grades: [], average: null, totalCoefficient: 0, classAverage: 11, appreciation: null },
+        {
+          subject: maths,
+          grades: [{ note: 12, coefficient: 1 }, { note: 15, coefficient: 2 }],
+          average: 14,
+          totalCoefficient: 3,
+          classAverage: 13.25,
+          appreciation: null
+        }
+      ]);
+      expect(result.average).toBe(14);
+      expect(result.classAverage).toBe(12.5);
+      expect(result.rank).toBe(2);
+      expect(result.classSize).toBe(2);
+      expect(attendanceService.getAttendanceCounts).toHaveBeenCalledWith(mockIds.student1, mockIds.trimester1);
+      expect(result.attendance).toEqual(attendance);
+      expect(result.councilComment).toBeNull();
+    });
+
+    it('should average subjects according to grade statuses', async () => {
+      mockStudent(studentWithClass);
+      Trimester.findById.mockResolvedValue(trimester);
+      gradeService.getClassStatistics.mockResolvedValue(statistics);
+      Grade.find.mockReturnValue({
+        sort: jest.fn().mockResolvedValue([
+          { idmatiere: mockIds.subject1, statut: 'present', note: 12, coefficient: 1 },
+          { idmatiere: mockIds.subject1, statut: 'exempt', note: null, coefficient: 2 },
+          { idmatiere: mockIds.subject1, statut: 'absent_unjustified', note: null, coefficient: 1 }
+        ])
+      });
+
+      const result = await reportCardService.getReportCardData(mockIds.student1, mockIds.trimester1);
+
+      expect(result.subjects[1]).toMatchObject({ average: 6, totalCoefficient: 2 });
+      expect(result.subjects[1].grades[1]).toEqual({ statut: 'exempt', note: null, coefficient: 2 });
+    });
+
+    it('should include subject appreciations and the council comment', async () => {
+      mockStudent(studentWithClass);
+      Trimester.findById.mockResolvedValue(trimester);
+      gradeService.getClassStatistics.mockResolvedValue(statistics);
+      Grade.find.mockReturnValue({ sort: jest.fn().mockResolvedValue([]) });
+      mockComments(
+        [{ idmatiere: mockIds.subject1, texte: 'Très bon trimestre', idprof: { nom: 'Dupont', prenom: 'Jean' } }],
+        { texte: 'Félicitations' }
+      );
+
+      const result = await reportCardService.getReportCardData(mockIds.student1, mockIds.trimester1);
+
+      expect(Appreciation.find).toHaveBeenCalledWith({ ideleve: mockIds.student1, idtrimestre: mockIds.trimester1 });
+      expect(CouncilComment.findOne).toHaveBeenCalledWith({ ideleve: mockIds.student1, idtrimestre: mockIds.trimester1 });
+      expect(result.subjects[0].appreciation).toBeNull();
+      expect(result.subjects[1].appreciation).toEqual({
+        texte: 'Très bon trimestre',
+        teacher: { nom: 'Dupont', prenom: 'Jean' }
+      });
+      expect(result.councilComment).toBe('Félicitations');
+    });
+
+    it('should return null head teacher when class has no prof', async () => {
+      mockStudent({ ...studentWithClass, classe: { _id: mockIds.class1, nom: 'CM1', prof: null } });
+      Trimester.findById.mockResolvedValue(trimester);
+      gradeService.getClassStatistics.mockResolvedValue({ classAverage: null, subjects: [], ranking: [] });
+      Grade.find.mockReturnValue({ sort: jest.fn().mockResolvedValue([]) });
+
+      const result = await reportCardService.getReportCardData(mockIds.student1, mockIds.trimester1);
+
+      expect(result.headTeacher).toBeNull();
+      expect(result.rank).toBeNull();
+    });
+
+    it('should throw 404 when student not found', async () => {
+      mockStudent(null);
+
+      await expect(reportCardService.getReportCardData(edgeCases.nonExistentId, mockIds.trimester1))
+        .rejects.toMatchObject({ message: 'Student not found', statusCode: 404 });
+    });
+
+    it('should report the class the student had in the year of an archived trimester', async () => {
+      const lastYear = { _id: mockIds.class2, nom: 'CE2', idannee: mockIds.academicYear1, prof: { nom: 'Durand', prenom: 'Anne' } };
+      mockStudent({
+        ...studentWithClass,
+        classe: { ...studentWithClass.classe, idannee: mockIds.academicYear2 },
+        classesPrecedentes: [lastYear]
+      });
+      Trimester.findById.mockResolvedValue({ ...trimester, idannee: mockIds.academicYear1 });
+      gradeService.getClassStatistics.mockResolvedValue(statistics);
+      Grade.find.mockReturnValue({ sort: jest.fn().mockResolvedValue([]) });
+
+      const result = await reportCardService.getReportCardData(mockIds.student1, mockIds.trimester1);
+
+      expect(gradeService.getClassStatistics).toHaveBeenCalledWith(mockIds.class2, mockIds.trimester1);
+      expect(Grade.find).toHaveBeenCalledWith({
+        ideleve: mockIds.student1,
+        idclasse: mockIds.class2,
+        idtrimestre: mockIds.trimester1
+      });
+      expect(result.class).toEqual({ _id: mockIds.class2, nom: 'CE2' });
+      expect(result.headTeacher).toEqual({ nom: 'Durand', prenom: 'Anne' });
+    });
+
+    it('should throw 404 when student class no longer exists', async () => {
+      mockStudent({ ...students.valid, classe: null });
+      Trimester.findById.mockResolvedValue(trimester);
+
+      await expect(reportCardService.getReportCardData(mockIds.student1, mockIds.trimester1))
+        .rejects.toMatchObject({ message: 'Student class not found', statusCode: 404 });
+    });
+
+    it('should throw 404 when trimester not found', async () => {
+      mockStudent(studentWithClass);
+      Trimester.findById.mockResolvedValue(null);
+
+      await expect(reportCardService.getReportCardData(mockIds.student1, edgeCases.nonExistentId))
+        .rejects.toMatchObject({ message: 'Trimester not found', statusCode: 404 });
+    });
+  });
+
+  describe('renderPdf', () => {
+    it('should render a PDF document', async () => {
+      const pdf = await reportCardService.renderPdf({
+        student: { nom: 'Leroy', prenom: 'Élodie', dateNaissance: new Date('2010-03-20') },
+        class: { nom: 'CM1' },
+        headTeacher: { nom: 'Dupont', prenom: 'Jean' },
+        trimester: { nom: 'T1' },
+        subjects: [
+          {
+            subject: maths,
+            grades: [{ note: 14, coefficient: 2 }],
+            average: 14,
+            totalCoefficient: 2,
+            classAverage: 12,
+            appreciation: { texte: 'Très bon trimestre', teacher: { nom: 'Dupont', prenom: 'Jean' } }
+          }
+        ],
+        average: 14,
+        classAverage: 12,
+        rank: 1,
+        classSize: 20,
+        attendance,
+        councilComment: 'Félicitations du conseil de classe'
+      });
+
+      expect(Buffer.isBuffer(pdf)).toBe(true);
+      expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    });
+
+    it('should render status markers in place of missing notes', async () => {
+      const pdf = await reportCardService.renderPdf({
+        student: { nom: 'Leroy', prenom: 'Thomas' },
+        class: { nom: 'CM1' },
+        headTeacher: null,
+        trimester: { nom: 'T1' },
+        subjects: [
+          {
+            subject: maths,
+            grades: [{ statut: 'absent_justified', note: null, coefficient: 1 }],
+            average: null,
+            totalCoefficient: 0,
+            classAverage: 12,
+            appreciation: null
+          }
+        ],
+        average: null,
+        classAverage: 12,
+        rank: null,
+        classSize: 20
+      });
+
+      expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    });
+
+    it('should render a report card without grades', async () => {
+      const pdf = await reportCardService.renderPdf({
+        student: { nom: 'Leroy', prenom: 'Thomas' },
+        class: { nom: 'CM1' },
+        headTeacher: null,
+        trimester: { nom: 'T1' },
+        subjects: [],
+        average: null,
+        classAverage: null,
+        rank: null,
+        classSize: 0
+      });
+
+      expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    });
+  });
+
+  describe('generateReportCard', () => {
+    it('should return data and rendered PDF', async () => {
+      const data = { student: {} };
+      const pdf = Buffer.from('%PDF-');
+      jest.spyOn(reportCardService, 'getReportCardData').mockResolvedValue(data);
+      jest.spyOn(reportCardService, 'renderPdf').mockResolvedValue(pdf);
+
+      const result = await reportCardService.generateReportCard(mockIds.student1, mockIds.trimester1);
+
+      expect(reportCardService.getReportCardData).toHaveBeenCalledWith(mockIds.student1, mockIds.trimester1);
+      expect(result).toEqual({ data, pdf });
+    });
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Unit Tests for Search Service
+ *
+ * Tests name search across students, teachers, classes and subjects.
+ *
+ * Core Functionality Tests:
+ * - Accent insensitive filter built for every query term
+ * - Candidates loaded by match level (exact, word prefix, substring) up to the cap
+ * - Ranking by relevance with alphabetical tie-break
+ * - Grouping by type and restriction to requested types
+ *
+ * Mock Architecture:
+ * - All searched models mocked for isolation
+ * - Query chains simulated with createQueryMock (.populate().sort().limit().lean())
+ */
+
+const searchService = require('../../../src/services/searchService');
+const Student = require('../../../src/models/Student');
+const Teacher = require('../../../src/models/Teacher');
+const Class = require('../../../src/models/Class');
+const Subject = require('../../../src/models/Subject');
+const { createQueryMock } = require('../mocks/modelMocks');
+
+jest.mock('../../../src/models/Student');
+jest.mock('../../../src/models/Teacher');
+jest.mock('../../../src/models/Class');
+jest.mock('../../../src/models/Subject');
+
+describe('SearchService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Student.find.mockReturnValue(createQueryMock([]));
+    Teacher.find.mockReturnValue(createQueryMock([]));
+    Class.find.mockReturnValue(createQueryMock([]));
+    Subject.find.mockReturnValue(createQueryMock([]));
+  });
+
+  describe('search', () => {
+    it('should require every term to match a name field', async () => {
+      await searchService.search('Élodie mar', { types: ['students'] });
+
+      const filter = Student.find.mock.calls[2][0];
+      expect(filter.$and).toHaveLength(2);
+      expect(filter.$and[0].$or.map(condition => Object.keys(condition)[0])).toEqual(['nom', 'prenom']);
+      expect(filter.$and[0].$or[0].nom.test('ÉLODIE')).toBe(true);
+      expect(filter.$and[1].$or[1].prenom.test('Marc')).toBe(true);
+    });
+
+    it('should load exact matches, then word prefixes, then substrings', async () => {
+      const exact = { _id: 'e1', nom: 'Martin', prenom: 'Paul' };
+      const prefix = { _id: 'p1', nom: 'Martinez', prenom: 'Ana' };
+      const exactQuery = createQueryMock([exact]);
+      const prefixQuery = createQueryMock([prefix]);
+      const substringQuery = createQueryMock([]);
+      Student.find
+        .mockReturnValueOnce(exactQuery)
+        .mockReturnValueOnce(prefixQuery)
+        .mockReturnValueOnce(substringQuery);
+
+      await searchService.search('martin', { types: ['students'] });
+
+      const [exactFilter, prefixFilter, substringFilter] = Student.find.mock.calls.map(([filter]) => filter);
+      expect(exactFilter._id).toEqual({ $nin: [] });
+      expect(exactFilter.$and[0].$or[0].nom.test('Martin')).toBe(true);
+      expect(exactFilter.$and[0].$or[0].nom.test('Martinez')).toBe(false);
+      expect(prefixFilter._id).toEqual({ $nin: ['e1'] });
+      expect(prefixFilter.$and[0].$or[0].nom.test('Jean-Martin')).toBe(true);
+      expect(prefixFilter.$and[0].$or[0].nom.test('Dumartin')).toBe(false);
+      expect(substringFilter._id).toEqual({ $nin: ['e1', 'p1'] });
+      expect(substringFilter.$and[0].$or[0].nom.test('Dumartin')).toBe(true);
+      expect(exactQuery.sort).toHaveBeenCalledWith('nom prenom');
+      expect(exactQuery.limit).toHaveBeenCalledWith(200);
+      expect(prefixQuery.limit).toHaveBeenCalledWith(199);
+      expect(substringQuery.limit).toHaveBeenCalledWith(198);
+    });
+
+    it('should stop loading candidates once the best matches fill the cap', async () => {
+      const exact = Array.from({ length: 200 }, (_, index) => ({ _id: `e${index}`, nom: 'Martin', prenom: 'Paul' }));
+      Student.find.mockReturnValueOnce(createQueryMock(exact));
+
+      const { results } = await searchService.search('martin', { types: ['students'] });
+
+      expect(Student.find).toHaveBeenCalledTimes(1);
+      expect(results.students).toHaveLength(10);
+    });
+
+    it('should rank results by relevance then alphabetically', async () => {
+      Student.find.mockReturnValueOnce(createQueryMock([
+        { _id: '1', nom: 'Dumartin', prenom: 'Paul' },
+        { _id: '2', nom: 'Martin', prenom: 'Zoé' },
+        { _id: '3', nom: 'Martinez', prenom: 'Ana' },
+        { _id: '4', nom: 'Martin', prenom: 'Alice' }
+      ]));
+
+      const { results } = await searchService.search('martin', { types: ['students'] });
+
+      expect(results.students.map(student => student._id)).toEqual(['4', '2', '3', '1']);
+      expect(results.students[0].score).toBe(3);
+    });
+
+    it('should populate the class of students and the teacher of classes', async () => {
+      const studentQuery = createQueryMock([]);
+      const classQuery = createQueryMock([]);
+      Student.find.mockReturnValueOnce(studentQuery);
+      Class.find.mockReturnValueOnce(classQuery);
+
+      await searchService.search('6e');
+
+      expect(studentQuery.populate).toHaveBeenCalledWith('classe', 'nom');
+      expect(classQuery.populate).toHaveBeenCalledWith('prof', 'nom prenom');
+      expect(studentQuery.lean).toHaveBeenCalled();
+    });
+
+    it('should group results by type and count them', async () => {
+      Teacher.find.mockReturnValueOnce(createQueryMock([{ _id: 't1', nom: 'Leroy', prenom: 'Élise' }]));
+      Subject.find.mockReturnValueOnce(createQueryMock([{ _id: 's1', nom: 'Atelier théâtre' }]));
+
+      const result = await searchService.search('el');
+
+      expect(Object.keys(result.results)).toEqual(['students', 'teachers', 'classes', 'subjects']);
+      expect(result.results.teachers).toHaveLength(1);
+      expect(result.results.subjects).toHaveLength(1);
+      expect(result.total).toBe(2);
+    });
+
+    it('should only search the requested types and apply the limit', async () => {
+      Subject.find.mockReturnValueOnce(createQueryMock([
+        { _id: 's1', nom: 'Mathématiques' },
+        { _id: 's2', nom: 'Maths expertes' }
+      ]));
+
+      const result = await searchService.search('math', { types: ['subjects'], limit: 1 });
+
+      expect(Student.find).not.toHaveBeenCalled();
+      expect(result.results).toEqual({ subjects: [expect.objectContaining({ _id: 's1' })] });
+    });
+
+    it('should throw 400 when the query has no term', async () => {
+      await expect(searchService.search(' , '))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Search query must contain at least one term' });
+      expect(Student.find).not.toHaveBeenCalled();
+    });
+  });
+});
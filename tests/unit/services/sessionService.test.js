@@ -0,0 +1,138 @@
+/**
+ * Unit Tests for Session Service
+ *
+ * Tests the login sessions behind access and refresh tokens.
+ *
+ * Core Functionality Tests:
+ * - Opening a session with a hashed refresh token
+ * - Rotating refresh tokens, revoking the session when a used token comes back
+ * - Revoking one session or every session of a user
+ *
+ * Mock Architecture:
+ * - Session model and request context mocked for isolation
+ */
+
+const crypto = require('crypto');
+const sessionService = require('../../../src/services/sessionService');
+const Session = require('../../../src/models/Session');
+const { getRequestContext } = require('../../../src/utils/requestContext');
+const { mockIds } = require('../mocks/fixtures');
+
+jest.mock('../../../src/models/Session');
+jest.mock('../../../src/utils/requestContext');
+
+const sha256 = token => crypto.createHash('sha256').update(token).digest('hex');
+
+describe('SessionService', () => {
+  const session = { _id: 'session-id', user: mockIds.user1 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getRequestContext.mockReturnValue({ ip: '10.0.0.5' });
+    delete process.env.REFRESH_TOKEN_EXPIRE_DAYS;
+  });
+
+  describe('createSession', () => {
+    it('should store the hash of a random refresh token, valid 30 days', async () => {
+      Session.create.mockImplementation(async values => ({ _id: 'session-id', ...values }));
+
+      const result = await sessionService.createSession(mockIds.user1);
+
+      const values = Session.create.mock.calls[0][0];
+      expect(result.refreshToken).toMatch(/^[0-9a-f]{96}$/);
+      expect(values).toMatchObject({ user: mockIds.user1, ip: '10.0.0.5', refreshTokenHash: sha256(result.refreshToken) });
+      expect(values.refreshTokenHash).not.toBe(result.refreshToken);
+      const days = (values.expiresAt - Date.now()) / (24 * 60 * 60 * 1000);
+      expect(days).toBeCloseTo(30, 1);
+      expect(result.session._id).toBe('session-id');
+    });
+
+    it('should use REFRESH_TOKEN_EXPIRE_DAYS when set', async () => {
+      process.env.REFRESH_TOKEN_EXPIRE_DAYS = '7';
+      Session.create.mockImplementation(async values => values);
+
+      await sessionService.createSession(mockIds.user1);
+
+      const days = (Session.create.mock.calls[0][0].expiresAt - Date.now()) / (24 * 60 * 60 * 1000);
+      expect(days).toBeCloseTo(7, 1);
+    });
+  });
+
+  describe('rotateSession', () => {
+    it('should replace the refresh token of an open session', async () => {
+      Session.findOneAndUpdate.mockResolvedValueOnce(session);
+
+      const result = await sessionService.rotateSession('old-token');
+
+      const [filter, update] = Session.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ refreshTokenHash: sha256('old-token'), revokedAt: null, expiresAt: { $gt: expect.any(Date) } });
+      expect(update).toEqual({ refreshTokenHash: sha256(result.refreshToken), previousRefreshTokenHash: sha256('old-token') });
+      expect(result.refreshToken).not.toBe('old-token');
+      expect(result.session).toBe(session);
+    });
+
+    it('should throw 401 for an unknown or expired refresh token', async () => {
+      Session.findOneAndUpdate.mockResolvedValueOnce(null).mockResolvedValueOnce(null);
+
+      await expect(sessionService.rotateSession('unknown-token'))
+        .rejects.toMatchObject({ statusCode: 401, message: 'Invalid or expired refresh token' });
+    });
+
+    it('should revoke the session when a replaced refresh token is used again', async () => {
+      Session.findOneAndUpdate.mockResolvedValueOnce(null).mockResolvedValueOnce(session);
+
+      await expect(sessionService.rotateSession('replaced-token'))
+        .rejects.toMatchObject({ statusCode: 401, message: 'Refresh token already used: the session has been revoked' });
+      expect(Session.findOneAndUpdate).toHaveBeenLastCalledWith(
+        { previousRefreshTokenHash: sha256('replaced-token'), revokedAt: null },
+        { revokedAt: expect.any(Date) }
+      );
+    });
+  });
+
+  describe('isSessionActive', () => {
+    it('should be true for an open session only', async () => {
+      Session.exists.mockResolvedValueOnce({ _id: 'session-id' }).mockResolvedValueOnce(null);
+
+      expect(await sessionService.isSessionActive('session-id')).toBe(true);
+      expect(await sessionService.isSessionActive('session-id')).toBe(false);
+      expect(Session.exists).toHaveBeenCalledWith({ _id: 'session-id', revokedAt: null, expiresAt: { $gt: expect.any(Date) } });
+    });
+  });
+
+  describe('revokeSession', () => {
+    it('should revoke the session of the user', async () => {
+      Session.updateOne.mockResolvedValueOnce({ modifiedCount: 1 });
+
+      const result = await sessionService.revokeSession(mockIds.user1, 'session-id');
+
+      expect(Session.updateOne).toHaveBeenCalledWith(
+        { _id: 'session-id', user: mockIds.user1, revokedAt: null },
+        { revokedAt: expect.any(Date) }
+      );
+      expect(result).toBe(1);
+    });
+  });
+
+  describe('revokeAllSessions', () => {
+    it('should revoke every open session of the user', async () => {
+      Session.updateMany.mockResolvedValueOnce({ modifiedCount: 3 });
+
+      const result = await sessionService.revokeAllSessions(mockIds.user1);
+
+      expect(Session.updateMany).toHaveBeenCalledWith({ user: mockIds.user1, revokedAt: null }, { revokedAt: expect.any(Date) });
+      expect(result).toBe(3);
+    });
+
+    it('should keep the session given in except open', async () => {
+      Session.updateMany.mockResolvedValueOnce({ modifiedCount: 2 });
+
+      await sessionService.revokeAllSessions(mockIds.user1, { except: 'session-id' });
+
+      expect(Session.updateMany).toHaveBeenCalledWith(
+        { user: mockIds.user1, revokedAt: null, _id: { $ne: 'session-id' } },
+        { revokedAt: expect.any(Date) }
+      );
+    });
+  });
+});
@@ -24,11 +24,22 @@
  * - Address field optionality
  */
 
+const mongoose = require('mongoose');
 const studentService = require('../../../src/services/studentService');
+const auditService = require('../../../src/services/auditService');
+const dependencyService = require('../../../src/services/dependencyService');
 const Student = require('../../../src/models/Student');
+const Class = require('../../../src/models/Class');
+const AcademicYear = require('../../../src/models/AcademicYear');
 const { students, mockIds, edgeCases } = require('../mocks/fixtures');
+const { createQueryMock } = require('../mocks/modelMocks');
+const { schoolYearOf } = require('../../../src/utils/schoolYear');
 
 jest.mock('../../../src/models/Student');
+jest.mock('../../../src/models/Class');
+jest.mock('../../../src/models/AcademicYear');
+jest.mock('../../../src/services/auditService');
+jest.mock('../../../src/services/dependencyService');
 
 describe('StudentService', () => {
   beforeEach(() => {
@@ -36,32 +47,48 @@ describe('StudentService', () => {
   });
 
   describe('getAllStudents', () => {
-    it('should return all students sorted by nom', async () => {
+    it('should return all students sorted by nom when no page is requested', async () => {
       const mockStudents = [students.valid];
-      Student.find.mockReturnValue({
-        sort: jest.fn().mockResolvedValue(mockStudents),
-      });
+      const mockQuery = createQueryMock(mockStudents);
+      Student.find.mockReturnValue(mockQuery);
+      Student.countDocuments.mockResolvedValue(1);
 
       const result = await studentService.getAllStudents();
 
-      expect(Student.find).toHaveBeenCalled();
-      expect(result).toEqual(mockStudents);
+      expect(Student.find).toHaveBeenCalledWith({});
+      expect(mockQuery.sort).toHaveBeenCalledWith({ nom: 1, prenom: 1, _id: 1 });
+      expect(result).toEqual({ data: mockStudents, total: 1, page: 1, limit: null, totalPages: 1 });
     });
 
-    it('should return empty array when no students', async () => {
-      Student.find.mockReturnValue({
-        sort: jest.fn().mockResolvedValue([]),
+    it('should apply page, limit, sort and fields options', async () => {
+      const mockQuery = createQueryMock([students.valid]);
+      Student.find.mockReturnValue(mockQuery);
+      Student.countDocuments.mockResolvedValue(12);
+
+      const result = await studentService.getAllStudents(undefined, {
+        page: 2, limit: 5, sort: '-dateNaissance', fields: 'nom prenom'
       });
 
+      expect(mockQuery.select).toHaveBeenCalledWith('nom prenom');
+      expect(mockQuery.sort).toHaveBeenCalledWith('-dateNaissance _id');
+      expect(mockQuery.skip).toHaveBeenCalledWith(5);
+      expect(mockQuery.limit).toHaveBeenCalledWith(5);
+      expect(result).toMatchObject({ total: 12, page: 2, limit: 5, totalPages: 3 });
+    });
+
+    it('should return an empty page when no students', async () => {
+      Student.find.mockReturnValue(createQueryMock([]));
+      Student.countDocuments.mockResolvedValue(0);
+
       const result = await studentService.getAllStudents();
 
-      expect(result).toEqual([]);
+      expect(result.data).toEqual([]);
+      expect(result.totalPages).toBe(0);
     });
 
     it('should propagate database errors', async () => {
-      Student.find.mockReturnValue({
-        sort: jest.fn().mockRejectedValue(new Error('DB error')),
-      });
+      Student.find.mockReturnValue(createQueryMock(null, new Error('DB error')));
+      Student.countDocuments.mockResolvedValue(0);
 
       await expect(studentService.getAllStudents()).rejects.toThrow('DB error');
     });
@@ -73,7 +100,7 @@ describe('StudentService', () => {
 
       const result = await studentService.getStudentById(mockIds.student1);
 
-      expect(Student.findById).toHaveBeenCalledWith(mockIds.student1);
+      expect(Student.findById).toHaveBeenCalledWith(mockIds.student1, null, { includeDeleted: false });
       expect(result).toEqual(students.valid);
     });
 
@@ -157,6 +184,7 @@ describe('StudentService', () => {
       const updateData = { nom: 'Updated' };
       const updated = { ...students.valid, ...updateData };
 
+      Student.findById.mockResolvedValueOnce(students.valid);
       Student.findByIdAndUpdate.mockResolvedValue(updated);
 
       const result = await studentService.updateStudent(mockIds.student1, updateData);
@@ -166,6 +194,12 @@ describe('StudentService', () => {
         updateData,
         { new: true, runValidators: true }
       );
+      expect(auditService.record).toHaveBeenCalledWith({
+        action: 'update',
+        entity: 'Student',
+        before: students.valid,
+        after: updated
+      });
       expect(result.nom).toBe('Updated');
     });
 
@@ -194,28 +228,57 @@ describe('StudentService', () => {
   });
 
   describe('deleteStudent', () => {
+    beforeEach(() => {
+      dependencyService.deleteWithDependents.mockImplementation((entity, id, options, remove) => remove());
+    });
+
     it('should delete and return student', async () => {
-      Student.findByIdAndDelete.mockResolvedValue(students.valid);
+      Student.findByIdAndUpdate.mockResolvedValue(students.valid);
 
-      const result = await studentService.deleteStudent(mockIds.student1);
+      const result = await studentService.deleteStudent(mockIds.student1, { _id: mockIds.user1 });
 
-      expect(Student.findByIdAndDelete).toHaveBeenCalledWith(mockIds.student1);
+      expect(Student.findByIdAndUpdate).toHaveBeenCalledWith(
+        mockIds.student1,
+        { deletedAt: expect.any(Date), deletedBy: mockIds.user1 },
+        { new: true }
+      );
+      expect(auditService.record).toHaveBeenCalledWith({ action: 'delete', entity: 'Student', before: students.valid });
       expect(result).toEqual(students.valid);
     });
 
     it('should throw error when student not found', async () => {
-      Student.findByIdAndDelete.mockResolvedValue(null);
+      Student.findByIdAndUpdate.mockResolvedValue(null);
 
       await expect(studentService.deleteStudent(edgeCases.nonExistentId))
         .rejects.toThrow('Student not found');
+      expect(auditService.record).not.toHaveBeenCalled();
     });
 
     it('should propagate database errors', async () => {
-      Student.findByIdAndDelete.mockRejectedValue(new Error('DB error'));
+      Student.findByIdAndUpdate.mockRejectedValue(new Error('DB error'));
 
       await expect(studentService.deleteStudent(mockIds.student1))
         .rejects.toThrow('DB error');
     });
+
+    it('should check the records referencing the student with the cascade options', async () => {
+      Student.findByIdAndUpdate.mockResolvedValue(students.valid);
+      const user = { _id: mockIds.user1 };
+
+      await studentService.deleteStudent(mockIds.student1, user, { cascade: 'reassign', to: mockIds.student2 });
+
+      expect(dependencyService.deleteWithDependents).toHaveBeenCalledWith(
+        'Student', mockIds.student1, { cascade: 'reassign', to: mockIds.student2, user }, expect.any(Function)
+      );
+    });
+
+    it('should keep a student that is still referenced', async () => {
+      dependencyService.deleteWithDependents.mockRejectedValueOnce(Object.assign(new Error('Student is still referenced'), { statusCode: 409 }));
+
+      await expect(studentService.deleteStudent(mockIds.student1))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(auditService.record).not.toHaveBeenCalled();
+    });
   });
 
   describe('getStudentsGroupedByClass', () => {
@@ -366,4 +429,205 @@ describe('StudentService', () => {
         .rejects.toThrow('Failed to group students by class: DB error');
     });
   });
+  describe('student and parent scoping', () => {
+    const studentUser = { role: 'student', student: mockIds.student1 };
+    const parentUser = { role: 'parent', children: [mockIds.student1, mockIds.student2] };
+
+    it('should only list the student own record', async () => {
+      Student.find.mockReturnValue(createQueryMock([students.valid]));
+      Student.countDocuments.mockResolvedValue(1);
+
+      await studentService.getAllStudents(studentUser);
+
+      expect(Student.find).toHaveBeenCalledWith({ _id: { $in: [mockIds.student1] } });
+      expect(Student.countDocuments).toHaveBeenCalledWith({ _id: { $in: [mockIds.student1] } });
+    });
+
+    it('should only list the children of a parent within a class', async () => {
+      Class.findById.mockResolvedValue({ _id: mockIds.class1 });
+      Student.find.mockReturnValue({
+        populate: jest.fn().mockReturnThis(),
+        sort: jest.fn().mockResolvedValue([])
+      });
+
+      await studentService.getStudentsByClass(mockIds.class1, parentUser);
+
+      expect(Student.find).toHaveBeenCalledWith({
+        classe: mockIds.class1,
+        _id: { $in: [mockIds.student1, mockIds.student2] }
+      });
+    });
+
+    it('should let a student read their own record', async () => {
+      Student.findById.mockResolvedValue(students.valid);
+
+      const result = await studentService.getStudentById(mockIds.student1, studentUser);
+
+      expect(result).toEqual(students.valid);
+    });
+
+    it('should refuse another student record with 403', async () => {
+      await expect(studentService.getStudentById(mockIds.student2, studentUser))
+        .rejects.toMatchObject({ statusCode: 403, message: 'Student accounts can only access their own records' });
+      expect(Student.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('importStudents', () => {
+    const header = 'nom;prénom;Classe;Date de naissance;sexe;adresse';
+    let session;
+
+    beforeEach(() => {
+      session = { withTransaction: jest.fn(async callback => callback()), endSession: jest.fn() };
+      jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+      AcademicYear.findOne.mockReturnValue(createQueryMock({ _id: mockIds.academicYear1 }));
+      Class.find.mockReturnValue(createQueryMock([
+        { _id: mockIds.class1, nom: 'CM1' },
+        { _id: mockIds.class2, nom: '6e Élan' }
+      ]));
+      Student.mockImplementation(data => ({ _id: `id-${data.nom}`, ...data }));
+      Student.insertMany.mockResolvedValue([]);
+    });
+
+    it('should resolve class names and insert every row', async () => {
+      const csv = `${header}\nMartin;Élodie;cm1;20/03/2015;femme;12 rue des Lilas\nDupont;Pierre;6e elan;2014-05-15;HOMME;`;
+
+      const report = await studentService.importStudents(csv);
+
+      expect(report).toMatchObject({ total: 2, invalid: 0, errors: [] });
+      expect(AcademicYear.findOne).toHaveBeenCalledWith({ nom: schoolYearOf(), archivee: false });
+      expect(Class.find).toHaveBeenCalledWith({ idannee: mockIds.academicYear1 });
+      expect(Student).toHaveBeenCalledWith({
+        nom: 'Martin',
+        prenom: 'Élodie',
+        classe: mockIds.class1,
+        dateNaissance: '2015-03-20',
+        sexe: 'FEMME',
+        adresse: '12 rue des Lilas'
+      });
+      expect(Student).toHaveBeenCalledWith(expect.objectContaining({ nom: 'Dupont', classe: mockIds.class2 }));
+      expect(session.withTransaction).toHaveBeenCalled();
+      expect(Student.insertMany).toHaveBeenCalledWith(report.students, { ordered: true, session });
+      expect(report.students).toHaveLength(2);
+    });
+
+    it('should report row errors with file line numbers and write nothing', async () => {
+      const csv = `${header}\nMartin;Élodie;CM1;2015-03-20;FEMME;\nDupont;;CM3;2099-01-01;HOMME;`;
+
+      const report = await studentService.importStudents(csv);
+
+      expect(report.invalid).toBe(1);
+      expect(report.errors).toEqual([
+        { row: 3, field: 'prenom', message: 'First name is required' },
+        { row: 3, field: 'classe', message: 'Class "CM3" not found' },
+        { row: 3, field: 'dateNaissance', message: 'Birth date must be in the past' }
+      ]);
+      expect(report.students).toEqual([]);
+      expect(Student.insertMany).not.toHaveBeenCalled();
+    });
+
+    it('should only validate in dry-run mode', async () => {
+      const report = await studentService.importStudents(`${header}\nMartin;Élodie;CM1;2015-03-20;FEMME;`, { dryRun: true });
+
+      expect(report).toMatchObject({ total: 1, invalid: 0, students: [] });
+      expect(Student.insertMany).not.toHaveBeenCalled();
+    });
+
+    it('should abort the transaction and record nothing when the insertion fails', async () => {
+      Student.insertMany.mockRejectedValue(new Error('Write conflict'));
+
+      await expect(studentService.importStudents(`${header}\nMartin;Élodie;CM1;2015-03-20;FEMME;`))
+        .rejects.toThrow('Write conflict');
+      expect(session.endSession).toHaveBeenCalled();
+      expect(auditService.recordMany).not.toHaveBeenCalled();
+    });
+
+    it('should only resolve classes without academic year when the current year is archived or missing', async () => {
+      AcademicYear.findOne.mockReturnValue(createQueryMock(null));
+
+      await studentService.importStudents(`${header}\nMartin;Élodie;CM1;2015-03-20;FEMME;`, { dryRun: true });
+
+      expect(Class.find).toHaveBeenCalledWith({ idannee: null });
+    });
+
+    it('should throw 400 when a required column is missing', async () => {
+      await expect(studentService.importStudents('nom,prenom\nMartin,Élodie'))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Missing CSV column(s): classe, dateNaissance, sexe' });
+      expect(Class.find).not.toHaveBeenCalled();
+    });
+
+    it('should throw 400 when the file has no student', async () => {
+      await expect(studentService.importStudents(header))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(studentService.importStudents({}))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('restoreStudent', () => {
+    const deletedStudent = () => ({ ...students.valid, deletedAt: new Date(), set: jest.fn(), save: jest.fn() });
+    const session = { id: 'session' };
+
+    beforeEach(() => {
+      dependencyService.restoreWithDependents.mockImplementation((entity, record, restore) => restore(session));
+    });
+
+    it('should clear the deletion and record the restore', async () => {
+      const student = deletedStudent();
+      Student.findById.mockResolvedValueOnce(student);
+      Class.findById.mockResolvedValueOnce({ _id: mockIds.class1 });
+
+      const result = await studentService.restoreStudent(mockIds.student1);
+
+      expect(Student.findById).toHaveBeenCalledWith(mockIds.student1, null, { includeDeleted: true });
+      expect(Class.findById).toHaveBeenCalledWith(mockIds.class1, null, { includeDeleted: true });
+      expect(student.set).toHaveBeenCalledWith({ deletedAt: null, deletedBy: null });
+      expect(student.save).toHaveBeenCalledWith({ session });
+      expect(auditService.record).toHaveBeenCalledWith({ action: 'restore', entity: 'Student', after: student });
+      expect(result).toBe(student);
+    });
+
+    it('should restore the records deleted along with the student', async () => {
+      const student = deletedStudent();
+      Student.findById.mockResolvedValueOnce(student);
+      Class.findById.mockResolvedValueOnce({ _id: mockIds.class1 });
+
+      await studentService.restoreStudent(mockIds.student1);
+
+      expect(dependencyService.restoreWithDependents).toHaveBeenCalledWith('Student', student, expect.any(Function));
+    });
+
+    it('should not record the restore when the dependents cannot be restored', async () => {
+      Student.findById.mockResolvedValueOnce(deletedStudent());
+      Class.findById.mockResolvedValueOnce({ _id: mockIds.class1 });
+      dependencyService.restoreWithDependents.mockRejectedValueOnce(Object.assign(new Error('Conflict'), { statusCode: 409 }));
+
+      await expect(studentService.restoreStudent(mockIds.student1)).rejects.toMatchObject({ statusCode: 409 });
+      expect(auditService.record).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when the student does not exist', async () => {
+      Student.findById.mockResolvedValueOnce(null);
+
+      await expect(studentService.restoreStudent(edgeCases.nonExistentId))
+        .rejects.toMatchObject({ statusCode: 404, message: 'Student not found' });
+    });
+
+    it('should return 409 when the student is not deleted', async () => {
+      Student.findById.mockResolvedValueOnce({ ...students.valid, deletedAt: null });
+
+      await expect(studentService.restoreStudent(mockIds.student1))
+        .rejects.toMatchObject({ statusCode: 409, message: 'Student is not deleted' });
+    });
+
+    it('should return 409 while the class of the student is deleted', async () => {
+      const student = deletedStudent();
+      Student.findById.mockResolvedValueOnce(student);
+      Class.findById.mockResolvedValueOnce({ _id: mockIds.class1, deletedAt: new Date() });
+
+      await expect(studentService.restoreStudent(mockIds.student1))
+        .rejects.toMatchObject({ statusCode: 409, message: 'The class of this student is deleted: restore it first' });
+      expect(student.save).not.toHaveBeenCalled();
+    });
+  });
 });
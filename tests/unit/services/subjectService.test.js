@@ -30,10 +30,14 @@
  */
 
 const subjectService = require('../../../src/services/subjectService');
+const auditService = require('../../../src/services/auditService');
+const dependencyService = require('../../../src/services/dependencyService');
 const Subject = require('../../../src/models/Subject');
 const { subjects, mockIds, edgeCases } = require('../mocks/fixtures');
 
 jest.mock('../../../src/models/Subject');
+jest.mock('../../../src/services/auditService');
+jest.mock('../../../src/services/dependencyService');
 
 describe('SubjectService', () => {
   beforeEach(() => {
@@ -78,7 +82,7 @@ describe('SubjectService', () => {
 
       const result = await subjectService.getSubjectById(mockIds.subject1);
 
-      expect(Subject.findById).toHaveBeenCalledWith(mockIds.subject1);
+      expect(Subject.findById).toHaveBeenCalledWith(mockIds.subject1, null, { includeDeleted: false });
       expect(result).toEqual(subjects.valid);
     });
 
@@ -107,16 +111,16 @@ describe('SubjectService', () => {
   describe('createSubject', () => {
     it('should create and return new subject', async () => {
       const newData = subjects.validInput;
-      const savedSubject = { ...newData, _id: mockIds.subject2 };
+      const savedSubject = { ...newData, _id: mockIds.subject2, save: jest.fn().mockResolvedValue() };
 
-      Subject.mockImplementation(() => ({
-        save: jest.fn().mockResolvedValue(savedSubject),
-      }));
+      Subject.mockImplementation(() => savedSubject);
 
       const result = await subjectService.createSubject(newData);
 
       expect(Subject).toHaveBeenCalledWith(newData);
-      expect(result).toEqual(savedSubject);
+      expect(savedSubject.save).toHaveBeenCalled();
+      expect(auditService.record).toHaveBeenCalledWith({ action: 'create', entity: 'Subject', after: savedSubject });
+      expect(result).toBe(savedSubject);
     });
 
     it('should handle Mongoose validation errors', async () => {
@@ -195,27 +199,105 @@ describe('SubjectService', () => {
   });
 
   describe('deleteSubject', () => {
+    beforeEach(() => {
+      dependencyService.deleteWithDependents.mockImplementation((entity, id, options, remove) => remove());
+    });
+
     it('should delete and return subject', async () => {
-      Subject.findByIdAndDelete.mockResolvedValue(subjects.valid);
+      Subject.findByIdAndUpdate.mockResolvedValue(subjects.valid);
 
-      const result = await subjectService.deleteSubject(mockIds.subject1);
+      const result = await subjectService.deleteSubject(mockIds.subject1, { _id: mockIds.user1 });
 
-      expect(Subject.findByIdAndDelete).toHaveBeenCalledWith(mockIds.subject1);
+      expect(Subject.findByIdAndUpdate).toHaveBeenCalledWith(
+        mockIds.subject1,
+        { deletedAt: expect.any(Date), deletedBy: mockIds.user1 },
+        { new: true }
+      );
       expect(result).toEqual(subjects.valid);
     });
 
     it('should throw error when subject not found', async () => {
-      Subject.findByIdAndDelete.mockResolvedValue(null);
+      Subject.findByIdAndUpdate.mockResolvedValue(null);
 
       await expect(subjectService.deleteSubject(edgeCases.nonExistentId))
         .rejects.toThrow('Subject not found');
     });
 
     it('should propagate database errors', async () => {
-      Subject.findByIdAndDelete.mockRejectedValue(new Error('DB error'));
+      Subject.findByIdAndUpdate.mockRejectedValue(new Error('DB error'));
 
       await expect(subjectService.deleteSubject(mockIds.subject1))
         .rejects.toThrow('DB error');
     });
+
+    it('should check the records referencing the subject with the cascade options', async () => {
+      Subject.findByIdAndUpdate.mockResolvedValue(subjects.valid);
+      const user = { _id: mockIds.user1 };
+
+      await subjectService.deleteSubject(mockIds.subject1, user, { cascade: 'reassign', to: mockIds.subject2 });
+
+      expect(dependencyService.deleteWithDependents).toHaveBeenCalledWith(
+        'Subject', mockIds.subject1, { cascade: 'reassign', to: mockIds.subject2, user }, expect.any(Function)
+      );
+    });
+
+    it('should keep a subject that is still referenced', async () => {
+      dependencyService.deleteWithDependents.mockRejectedValueOnce(Object.assign(new Error('Subject is still referenced'), { statusCode: 409 }));
+
+      await expect(subjectService.deleteSubject(mockIds.subject1))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(auditService.record).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('restoreSubject', () => {
+    const session = { id: 'session' };
+
+    beforeEach(() => {
+      dependencyService.restoreWithDependents.mockImplementation((entity, record, restore) => restore(session));
+    });
+
+    it('should clear the deletion and record the restore', async () => {
+      const subject = { ...subjects.valid, deletedAt: new Date(), set: jest.fn(), save: jest.fn() };
+      Subject.findById.mockResolvedValueOnce(subject);
+      Subject.exists.mockResolvedValueOnce(null);
+
+      const result = await subjectService.restoreSubject(mockIds.subject1);
+
+      expect(Subject.findById).toHaveBeenCalledWith(mockIds.subject1, null, { includeDeleted: true });
+      expect(Subject.exists).toHaveBeenCalledWith({ nom: subjects.valid.nom });
+      expect(subject.set).toHaveBeenCalledWith({ deletedAt: null, deletedBy: null });
+      expect(subject.save).toHaveBeenCalled();
+      expect(auditService.record).toHaveBeenCalledWith({ action: 'restore', entity: 'Subject', after: subject });
+      expect(result).toBe(subject);
+    });
+
+    it('should return 409 when another subject took its name', async () => {
+      const subject = { ...subjects.valid, deletedAt: new Date(), set: jest.fn(), save: jest.fn() };
+      Subject.findById.mockResolvedValueOnce(subject);
+      Subject.exists.mockResolvedValueOnce({ _id: mockIds.subject2 });
+
+      await expect(subjectService.restoreSubject(mockIds.subject1))
+        .rejects.toMatchObject({ statusCode: 409, message: `Another subject is named ${subjects.valid.nom}: rename it first` });
+      expect(subject.save).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when the subject does not exist', async () => {
+      Subject.findById.mockResolvedValueOnce(null);
+
+      await expect(subjectService.restoreSubject(edgeCases.nonExistentId))
+        .rejects.toMatchObject({ statusCode: 404, message: 'Subject not found' });
+    });
+
+    it('should restore the records deleted along with the subject', async () => {
+      const subject = { ...subjects.valid, deletedAt: new Date(), set: jest.fn(), save: jest.fn() };
+      Subject.findById.mockResolvedValueOnce(subject);
+      Subject.exists.mockResolvedValueOnce(null);
+
+      await subjectService.restoreSubject(mockIds.subject1);
+
+      expect(dependencyService.restoreWithDependents).toHaveBeenCalledWith('Subject', subject, expect.any(Function));
+      expect(subject.save).toHaveBeenCalledWith({ session });
+    });
   });
 });
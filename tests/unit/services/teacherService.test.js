@@ -18,11 +18,20 @@
  */
 
 const teacherService = require('../../../src/services/teacherService');
+const auditService = require('../../../src/services/auditService');
+const dependencyService = require('../../../src/services/dependencyService');
 const Teacher = require('../../../src/models/Teacher');
+const Class = require('../../../src/models/Class');
+const teachingAssignmentService = require('../../../src/services/teachingAssignmentService');
 const { teachers, mockIds, edgeCases } = require('../mocks/fixtures');
+const { createQueryMock } = require('../mocks/modelMocks');
 
 // Mock the Teacher model
 jest.mock('../../../src/models/Teacher');
+jest.mock('../../../src/models/Class');
+jest.mock('../../../src/services/teachingAssignmentService');
+jest.mock('../../../src/services/auditService');
+jest.mock('../../../src/services/dependencyService');
 
 describe('TeacherService', () => {
   // Reset mocks before each test
@@ -31,42 +40,57 @@ describe('TeacherService', () => {
   });
 
   describe('getAllTeachers', () => {
-    it('should return all teachers sorted by nom', async () => {
+    it('should return all teachers sorted by nom when no page is requested', async () => {
       // Arrange
       const mockTeachers = [teachers.valid, { ...teachers.valid, _id: mockIds.teacher2 }];
-      Teacher.find.mockReturnValue({
-        sort: jest.fn().mockResolvedValue(mockTeachers)
-      });
+      const mockQuery = createQueryMock(mockTeachers);
+      Teacher.find.mockReturnValue(mockQuery);
+      Teacher.countDocuments.mockResolvedValue(2);
 
       // Act
       const result = await teacherService.getAllTeachers();
 
       // Assert
-      expect(Teacher.find).toHaveBeenCalled();
-      expect(result).toEqual(mockTeachers);
-      expect(result.length).toBe(2);
+      expect(Teacher.find).toHaveBeenCalledWith({});
+      expect(mockQuery.sort).toHaveBeenCalledWith({ nom: 1, _id: 1 });
+      expect(result).toEqual({ data: mockTeachers, total: 2, page: 1, limit: null, totalPages: 1 });
     });
 
-    it('should return empty array when no teachers exist', async () => {
+    it('should apply page, limit, sort and fields options', async () => {
       // Arrange
-      Teacher.find.mockReturnValue({
-        sort: jest.fn().mockResolvedValue([])
-      });
+      const mockQuery = createQueryMock([teachers.valid]);
+      Teacher.find.mockReturnValue(mockQuery);
+      Teacher.countDocuments.mockResolvedValue(3);
+
+      // Act
+      const result = await teacherService.getAllTeachers({ page: 2, limit: 2, sort: 'prenom', fields: 'nom prenom' });
+
+      // Assert
+      expect(mockQuery.select).toHaveBeenCalledWith('nom prenom');
+      expect(mockQuery.sort).toHaveBeenCalledWith('prenom _id');
+      expect(mockQuery.skip).toHaveBeenCalledWith(2);
+      expect(mockQuery.limit).toHaveBeenCalledWith(2);
+      expect(result).toMatchObject({ total: 3, page: 2, limit: 2, totalPages: 2 });
+    });
+
+    it('should return an empty page when no teachers exist', async () => {
+      // Arrange
+      Teacher.find.mockReturnValue(createQueryMock([]));
+      Teacher.countDocuments.mockResolvedValue(0);
 
       // Act
       const result = await teacherService.getAllTeachers();
 
       // Assert
-      expect(result).toEqual([]);
-      expect(result.length).toBe(0);
+      expect(result.data).toEqual([]);
+      expect(result.total).toBe(0);
     });
 
     it('should handle database errors', async () => {
       // Arrange
       const dbError = new Error('Database connection failed');
-      Teacher.find.mockReturnValue({
-        sort: jest.fn().mockRejectedValue(dbError)
-      });
+      Teacher.find.mockReturnValue(createQueryMock(null, dbError));
+      Teacher.countDocuments.mockResolvedValue(0);
 
       // Act & Assert
       await expect(teacherService.getAllTeachers()).rejects.toThrow('Database connection failed');
@@ -82,7 +106,7 @@ describe('TeacherService', () => {
       const result = await teacherService.getTeacherById(mockIds.teacher1);
 
       // Assert
-      expect(Teacher.findById).toHaveBeenCalledWith(mockIds.teacher1);
+      expect(Teacher.findById).toHaveBeenCalledWith(mockIds.teacher1, null, { includeDeleted: false });
       expect(result).toEqual(teachers.valid);
       expect(result.nom).toBe('Dupont');
     });
@@ -107,22 +131,48 @@ describe('TeacherService', () => {
     });
   });
 
+  describe('getTeachersByClass', () => {
+    it('should return the teachers assigned to the class with their subjects', async () => {
+      // Arrange
+      const assigned = [{ ...teachers.valid, matieres: [{ _id: mockIds.subject1, nom: 'Mathématiques' }] }];
+      Class.findById.mockResolvedValue({ _id: mockIds.class1, prof: mockIds.teacher1 });
+      teachingAssignmentService.getClassTeachers.mockResolvedValue(assigned);
+
+      // Act
+      const result = await teacherService.getTeachersByClass(mockIds.class1);
+
+      // Assert
+      expect(teachingAssignmentService.getClassTeachers).toHaveBeenCalledWith(mockIds.class1);
+      expect(result).toEqual(assigned);
+    });
+
+    it('should throw 404 when class not found', async () => {
+      // Arrange
+      Class.findById.mockResolvedValue(null);
+
+      // Act & Assert
+      await expect(teacherService.getTeachersByClass(mockIds.class1))
+        .rejects.toMatchObject({ statusCode: 404, message: 'Class not found' });
+      expect(teachingAssignmentService.getClassTeachers).not.toHaveBeenCalled();
+    });
+  });
+
   describe('createTeacher', () => {
     it('should create and return new teacher', async () => {
       // Arrange
       const newTeacherData = teachers.validInput;
-      const savedTeacher = { ...newTeacherData, _id: mockIds.teacher2 };
+      const savedTeacher = { ...newTeacherData, _id: mockIds.teacher2, save: jest.fn().mockResolvedValue() };
 
-      Teacher.mockImplementation(() => ({
-        save: jest.fn().mockResolvedValue(savedTeacher)
-      }));
+      Teacher.mockImplementation(() => savedTeacher);
 
       // Act
       const result = await teacherService.createTeacher(newTeacherData);
 
       // Assert
       expect(Teacher).toHaveBeenCalledWith(newTeacherData);
-      expect(result).toEqual(savedTeacher);
+      expect(savedTeacher.save).toHaveBeenCalled();
+      expect(auditService.record).toHaveBeenCalledWith({ action: 'create', entity: 'Teacher', after: savedTeacher });
+      expect(result).toBe(savedTeacher);
       expect(result._id).toBeDefined();
     });
 
@@ -185,25 +235,90 @@ describe('TeacherService', () => {
   });
 
   describe('deleteTeacher', () => {
+    beforeEach(() => {
+      dependencyService.deleteWithDependents.mockImplementation((entity, id, options, remove) => remove());
+    });
+
     it('should delete and return teacher', async () => {
       // Arrange
-      Teacher.findByIdAndDelete.mockResolvedValue(teachers.valid);
+      Teacher.findByIdAndUpdate.mockResolvedValue(teachers.valid);
 
       // Act
-      const result = await teacherService.deleteTeacher(mockIds.teacher1);
+      const result = await teacherService.deleteTeacher(mockIds.teacher1, { _id: mockIds.user1 });
 
       // Assert
-      expect(Teacher.findByIdAndDelete).toHaveBeenCalledWith(mockIds.teacher1);
+      expect(Teacher.findByIdAndUpdate).toHaveBeenCalledWith(
+        mockIds.teacher1,
+        { deletedAt: expect.any(Date), deletedBy: mockIds.user1 },
+        { new: true }
+      );
       expect(result).toEqual(teachers.valid);
     });
 
     it('should throw error when teacher not found', async () => {
       // Arrange
-      Teacher.findByIdAndDelete.mockResolvedValue(null);
+      Teacher.findByIdAndUpdate.mockResolvedValue(null);
 
       // Act & Assert
       await expect(teacherService.deleteTeacher(edgeCases.nonExistentId))
         .rejects.toThrow('Teacher not found');
     });
+
+    it('should check the records referencing the teacher with the cascade options', async () => {
+      Teacher.findByIdAndUpdate.mockResolvedValue(teachers.valid);
+      const user = { _id: mockIds.user1 };
+
+      await teacherService.deleteTeacher(mockIds.teacher1, user, { cascade: 'reassign', to: mockIds.teacher2 });
+
+      expect(dependencyService.deleteWithDependents).toHaveBeenCalledWith(
+        'Teacher', mockIds.teacher1, { cascade: 'reassign', to: mockIds.teacher2, user }, expect.any(Function)
+      );
+    });
+
+    it('should keep a teacher that is still referenced', async () => {
+      dependencyService.deleteWithDependents.mockRejectedValueOnce(Object.assign(new Error('Teacher is still referenced'), { statusCode: 409 }));
+
+      await expect(teacherService.deleteTeacher(mockIds.teacher1))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(auditService.record).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('restoreTeacher', () => {
+    const session = { id: 'session' };
+
+    beforeEach(() => {
+      dependencyService.restoreWithDependents.mockImplementation((entity, record, restore) => restore(session));
+    });
+
+    it('should clear the deletion and record the restore', async () => {
+      const teacher = { ...teachers.valid, deletedAt: new Date(), set: jest.fn(), save: jest.fn() };
+      Teacher.findById.mockResolvedValueOnce(teacher);
+
+      const result = await teacherService.restoreTeacher(mockIds.teacher1);
+
+      expect(Teacher.findById).toHaveBeenCalledWith(mockIds.teacher1, null, { includeDeleted: true });
+      expect(teacher.set).toHaveBeenCalledWith({ deletedAt: null, deletedBy: null });
+      expect(teacher.save).toHaveBeenCalled();
+      expect(auditService.record).toHaveBeenCalledWith({ action: 'restore', entity: 'Teacher', after: teacher });
+      expect(result).toBe(teacher);
+    });
+
+    it('should return 409 when the teacher is not deleted', async () => {
+      Teacher.findById.mockResolvedValueOnce({ ...teachers.valid, deletedAt: null });
+
+      await expect(teacherService.restoreTeacher(mockIds.teacher1))
+        .rejects.toMatchObject({ statusCode: 409, message: 'Teacher is not deleted' });
+    });
+
+    it('should restore the records deleted along with the teacher', async () => {
+      const teacher = { ...teachers.valid, deletedAt: new Date(), set: jest.fn(), save: jest.fn() };
+      Teacher.findById.mockResolvedValueOnce(teacher);
+
+      await teacherService.restoreTeacher(mockIds.teacher1);
+
+      expect(dependencyService.restoreWithDependents).toHaveBeenCalledWith('Teacher', teacher, expect.any(Function));
+      expect(teacher.save).toHaveBeenCalledWith({ session });
+    });
   });
 });
@@ -0,0 +1,242 @@
+/**
+ * Unit Tests for Teaching Assignment Service
+ *
+ * Tests which teacher teaches which subject in which class, per school year.
+ *
+ * Core Functionality Tests:
+ * - Assignment CRUD operations with reference checks and pagination
+ * - One assignment per teacher, class, subject and school year
+ * - Teachers of a class with their subjects
+ * - Teaching checks used by grades, evaluations and appreciations
+ *
+ * Mock Architecture:
+ * - All referenced models mocked for isolation
+ */
+
+const teachingAssignmentService = require('../../../src/services/teachingAssignmentService');
+const TeachingAssignment = require('../../../src/models/TeachingAssignment');
+const Teacher = require('../../../src/models/Teacher');
+const Class = require('../../../src/models/Class');
+const Subject = require('../../../src/models/Subject');
+const AcademicYear = require('../../../src/models/AcademicYear');
+const academicYearService = require('../../../src/services/academicYearService');
+const { createQueryMock } = require('../mocks/modelMocks');
+const { teachingAssignments, mockIds } = require('../mocks/fixtures');
+
+jest.mock('../../../src/models/TeachingAssignment');
+jest.mock('../../../src/models/Teacher');
+jest.mock('../../../src/models/Class');
+jest.mock('../../../src/models/Subject');
+jest.mock('../../../src/models/AcademicYear');
+jest.mock('../../../src/services/academicYearService');
+
+describe('TeachingAssignmentService', () => {
+  const mockReferences = () => {
+    Teacher.findById.mockResolvedValue({ _id: mockIds.teacher1, nom: 'Dupont' });
+    Class.findById.mockResolvedValue({ _id: mockIds.class1, nom: 'CM1' });
+    Subject.findById.mockResolvedValue({ _id: mockIds.subject1, nom: 'Mathématiques' });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    TeachingAssignment.findById.mockReset();
+  });
+
+  describe('getAllAssignments', () => {
+    it('should map filters and return a page, most recent year first', async () => {
+      const query = createQueryMock([teachingAssignments.valid]);
+      TeachingAssignment.find.mockReturnValue(query);
+      TeachingAssignment.countDocuments.mockResolvedValue(1);
+
+      const result = await teachingAssignmentService.getAllAssignments(
+        { teacher: mockIds.teacher1, year: '2024-2025' },
+        { page: 1, limit: 50 }
+      );
+
+      expect(TeachingAssignment.find).toHaveBeenCalledWith({ idprof: mockIds.teacher1, anneeScolaire: '2024-2025' });
+      expect(query.sort).toHaveBeenCalledWith({ anneeScolaire: -1, createdAt: 1, _id: 1 });
+      expect(result.data).toEqual([teachingAssignments.valid]);
+    });
+  });
+
+  describe('getAssignmentById', () => {
+    it('should throw 404 when assignment does not exist', async () => {
+      TeachingAssignment.findById.mockReturnValue(createQueryMock(null));
+
+      await expect(teachingAssignmentService.getAssignmentById(mockIds.assignment1))
+        .rejects.toMatchObject({ statusCode: 404, message: 'Teaching assignment not found' });
+    });
+  });
+
+  describe('createAssignment', () => {
+    let save;
+
+    beforeEach(() => {
+      save = jest.fn().mockResolvedValue();
+      TeachingAssignment.mockImplementation(data => ({ _id: mockIds.assignment1, ...data, save }));
+      TeachingAssignment.findById.mockReturnValue(createQueryMock(teachingAssignments.valid));
+      TeachingAssignment.exists.mockResolvedValue(null);
+    });
+
+    it('should check references and duplicates, then save', async () => {
+      mockReferences();
+
+      const result = await teachingAssignmentService.createAssignment({ ...teachingAssignments.validInput, _id: 'ignored' });
+
+      expect(Subject.findById).toHaveBeenCalledWith(mockIds.subject1);
+      expect(TeachingAssignment).toHaveBeenCalledWith(teachingAssignments.validInput);
+      expect(TeachingAssignment.exists).toHaveBeenCalledWith(teachingAssignments.validInput);
+      expect(save).toHaveBeenCalled();
+      expect(result).toEqual(teachingAssignments.valid);
+    });
+
+    it('should throw 400 when a reference is missing', async () => {
+      mockReferences();
+      Subject.findById.mockResolvedValue(null);
+
+      await expect(teachingAssignmentService.createAssignment(teachingAssignments.validInput))
+        .rejects.toMatchObject({ statusCode: 400, message: `Referenced subject (${mockIds.subject1}) not found` });
+      expect(save).not.toHaveBeenCalled();
+    });
+
+    it('should default to the academic year of the class', async () => {
+      mockReferences();
+      Class.findById.mockResolvedValue({ _id: mockIds.class1, nom: 'CM1', idannee: mockIds.academicYear1 });
+      AcademicYear.findById.mockResolvedValue({ _id: mockIds.academicYear1, nom: '2025-2026' });
+      const { anneeScolaire, ...withoutYear } = teachingAssignments.validInput;
+
+      await teachingAssignmentService.createAssignment(withoutYear);
+
+      expect(TeachingAssignment).toHaveBeenCalledWith({ ...withoutYear, anneeScolaire: '2025-2026' });
+    });
+
+    it('should throw 400 when the school year is not the academic year of the class', async () => {
+      mockReferences();
+      Class.findById.mockResolvedValue({ _id: mockIds.class1, nom: 'CM1', idannee: mockIds.academicYear1 });
+      AcademicYear.findById.mockResolvedValue({ _id: mockIds.academicYear1, nom: '2025-2026' });
+
+      await expect(teachingAssignmentService.createAssignment({ ...teachingAssignments.validInput, anneeScolaire: '2023-2024' }))
+        .rejects.toMatchObject({
+          statusCode: 400,
+          message: 'School year 2023-2024 does not match academic year 2025-2026 of the class'
+        });
+      expect(save).not.toHaveBeenCalled();
+    });
+
+    it('should throw 409 when the assignment already exists', async () => {
+      mockReferences();
+      TeachingAssignment.exists.mockResolvedValue({ _id: mockIds.assignment1 });
+
+      await expect(teachingAssignmentService.createAssignment(teachingAssignments.validInput))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateAssignment', () => {
+    it('should check duplicates on the resulting assignment, ignoring itself', async () => {
+      const document = {
+        ...teachingAssignments.valid,
+        set: jest.fn(function (changes) { Object.assign(this, changes); }),
+        save: jest.fn().mockResolvedValue()
+      };
+      TeachingAssignment.findById
+        .mockResolvedValueOnce(document)
+        .mockReturnValue(createQueryMock(teachingAssignments.valid));
+      TeachingAssignment.exists.mockResolvedValue(null);
+
+      await teachingAssignmentService.updateAssignment(mockIds.assignment1, { anneeScolaire: '2025-2026' });
+
+      expect(TeachingAssignment.exists).toHaveBeenCalledWith({
+        idprof: mockIds.teacher1,
+        idclasse: mockIds.class1,
+        idmatiere: mockIds.subject1,
+        anneeScolaire: '2025-2026',
+        _id: { $ne: mockIds.assignment1 }
+      });
+      expect(document.save).toHaveBeenCalled();
+    });
+
+    it('should throw 404 when assignment does not exist', async () => {
+      TeachingAssignment.findById.mockResolvedValue(null);
+
+      await expect(teachingAssignmentService.updateAssignment(mockIds.assignment1, {}))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('deleteAssignment', () => {
+    it('should throw 404 when assignment does not exist', async () => {
+      TeachingAssignment.findByIdAndDelete.mockResolvedValue(null);
+
+      await expect(teachingAssignmentService.deleteAssignment(mockIds.assignment1))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('getClassTeachers', () => {
+    it('should list each teacher of the class once with their subjects', async () => {
+      const math = { _id: mockIds.subject1, nom: 'Mathématiques' };
+      const french = { _id: mockIds.subject2, nom: 'Français' };
+      TeachingAssignment.find.mockReturnValue(createQueryMock([
+        { idprof: mockIds.teacher1, idmatiere: math },
+        { idprof: mockIds.teacher1, idmatiere: french },
+        { idprof: mockIds.teacher2, idmatiere: math },
+        { idprof: mockIds.teacher1, idmatiere: math }
+      ]));
+      const teachersQuery = createQueryMock([
+        { _id: mockIds.teacher2, nom: 'Bernard', prenom: 'Claire' },
+        { _id: mockIds.teacher1, nom: 'Dupont', prenom: 'Jean' }
+      ]);
+      Teacher.find.mockReturnValue(teachersQuery);
+
+      const result = await teachingAssignmentService.getClassTeachers(mockIds.class1);
+
+      expect(TeachingAssignment.find).toHaveBeenCalledWith({ idclasse: mockIds.class1 });
+      expect(teachersQuery.sort).toHaveBeenCalledWith({ nom: 1, prenom: 1 });
+      expect(result).toEqual([
+        { _id: mockIds.teacher2, nom: 'Bernard', prenom: 'Claire', matieres: [math] },
+        { _id: mockIds.teacher1, nom: 'Dupont', prenom: 'Jean', matieres: [math, french] }
+      ]);
+    });
+  });
+
+  describe('teaches', () => {
+    const values = { idprof: mockIds.teacher1, idmatiere: mockIds.subject1, idclasse: mockIds.class1 };
+
+    it('should look up the assignment of the teacher for the school year of the record', async () => {
+      academicYearService.getSchoolYearOf.mockResolvedValue('2024-2025');
+      TeachingAssignment.exists.mockResolvedValue({ _id: mockIds.assignment1 });
+
+      await expect(teachingAssignmentService.teaches({ ...values, idtrimestre: mockIds.trimester1, note: 12 })).resolves.toBe(true);
+      expect(academicYearService.getSchoolYearOf).toHaveBeenCalledWith({ idclasse: mockIds.class1, idtrimestre: mockIds.trimester1 });
+      expect(TeachingAssignment.exists).toHaveBeenCalledWith({ ...values, anneeScolaire: '2024-2025' });
+    });
+
+    it('should not count an assignment of another school year', async () => {
+      academicYearService.getSchoolYearOf.mockResolvedValue('2025-2026');
+      TeachingAssignment.exists.mockResolvedValue(null);
+
+      await expect(teachingAssignmentService.teaches(values)).resolves.toBe(false);
+      expect(TeachingAssignment.exists).toHaveBeenCalledWith({ ...values, anneeScolaire: '2025-2026' });
+    });
+
+    it('should throw 403 from assertTeaches when no assignment exists', async () => {
+      TeachingAssignment.exists.mockResolvedValue(null);
+
+      await expect(teachingAssignmentService.assertTeaches(values))
+        .rejects.toMatchObject({ statusCode: 403, message: 'Teacher does not teach this subject in this class' });
+    });
+  });
+
+  describe('teachesInClass', () => {
+    it('should look up any assignment of the teacher in the class for its school year', async () => {
+      academicYearService.getSchoolYearOf.mockResolvedValue('2024-2025');
+      TeachingAssignment.exists.mockResolvedValueOnce({ _id: mockIds.assignment1 }).mockResolvedValueOnce(null);
+
+      await expect(teachingAssignmentService.teachesInClass({ idprof: mockIds.teacher1, idclasse: mockIds.class1 })).resolves.toBe(true);
+      await expect(teachingAssignmentService.teachesInClass({ idprof: mockIds.teacher1, idclasse: mockIds.class2 })).resolves.toBe(false);
+      expect(TeachingAssignment.exists).toHaveBeenCalledWith({ idprof: mockIds.teacher1, idclasse: mockIds.class1, anneeScolaire: '2024-2025' });
+    });
+  });
+});
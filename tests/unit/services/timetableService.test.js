@@ -0,0 +1,245 @@
+/**
+ * Unit Tests for Timetable Service
+ *
+ * Tests the weekly time slots of each class with subject, teacher and room.
+ *
+ * Core Functionality Tests:
+ * - Slot CRUD operations with reference checks and pagination
+ * - Conflict detection on the class, the teacher and the room, within the academic year of the class
+ * - Weekly timetables of a class and of a teacher grouped by day
+ *
+ * Mock Architecture:
+ * - All referenced models mocked for isolation
+ */
+
+const timetableService = require('../../../src/services/timetableService');
+const TimetableSlot = require('../../../src/models/TimetableSlot');
+const Class = require('../../../src/models/Class');
+const Subject = require('../../../src/models/Subject');
+const Teacher = require('../../../src/models/Teacher');
+const { createQueryMock } = require('../mocks/modelMocks');
+const { timetableSlots, mockIds } = require('../mocks/fixtures');
+
+jest.mock('../../../src/models/TimetableSlot');
+jest.mock('../../../src/models/Class');
+jest.mock('../../../src/models/Subject');
+jest.mock('../../../src/models/Teacher');
+
+describe('TimetableService', () => {
+  const mockReferences = () => {
+    Class.findById.mockResolvedValue({ _id: mockIds.class1, nom: 'CM1', idannee: mockIds.academicYear1 });
+    Class.find.mockResolvedValue([{ _id: mockIds.class1 }, { _id: mockIds.class2 }]);
+    Subject.findById.mockResolvedValue({ _id: mockIds.subject1, nom: 'Mathématiques' });
+    Teacher.findById.mockResolvedValue({ _id: mockIds.teacher1, nom: 'Dupont', prenom: 'Jean' });
+  };
+
+  // Document returned by TimetableSlot.findById, saved in place
+  const mockDocument = (values = {}) => {
+    const document = {
+      ...timetableSlots.valid,
+      ...values,
+      set: jest.fn(function (changes) { Object.assign(this, changes); }),
+      save: jest.fn().mockResolvedValue()
+    };
+    TimetableSlot.findById
+      .mockResolvedValueOnce(document)
+      .mockReturnValue(createQueryMock(timetableSlots.valid));
+    return document;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    TimetableSlot.findById.mockReset();
+  });
+
+  describe('getAllSlots', () => {
+    it('should map filters and return a page sorted by day and time', async () => {
+      const query = createQueryMock([timetableSlots.valid]);
+      TimetableSlot.find.mockReturnValue(query);
+      TimetableSlot.countDocuments.mockResolvedValue(1);
+
+      const result = await timetableService.getAllSlots(
+        { teacher: mockIds.teacher1, day: 'lundi', room: 'B12' },
+        { page: 1, limit: 50 }
+      );
+
+      expect(TimetableSlot.find).toHaveBeenCalledWith({ idprof: mockIds.teacher1, jour: 'lundi', salle: 'B12' });
+      expect(query.sort).toHaveBeenCalledWith({ jour: 1, heureDebut: 1, _id: 1 });
+      expect(result.total).toBe(1);
+      expect(result.data).toEqual([timetableSlots.valid]);
+    });
+  });
+
+  describe('getSlotById', () => {
+    it('should throw 404 when slot does not exist', async () => {
+      TimetableSlot.findById.mockReturnValue(createQueryMock(null));
+
+      await expect(timetableService.getSlotById(mockIds.timetableSlot1))
+        .rejects.toMatchObject({ statusCode: 404, message: 'Timetable slot not found' });
+    });
+  });
+
+  describe('createSlot', () => {
+    beforeEach(() => {
+      TimetableSlot.create.mockResolvedValue({ _id: mockIds.timetableSlot1 });
+      TimetableSlot.findById.mockReturnValue(createQueryMock(timetableSlots.valid));
+      TimetableSlot.find.mockResolvedValue([]);
+    });
+
+    it('should check references and conflicts, then save', async () => {
+      mockReferences();
+
+      const result = await timetableService.createSlot({ ...timetableSlots.validInput, createdAt: 'ignored' });
+
+      expect(Subject.findById).toHaveBeenCalledWith(mockIds.subject1);
+      expect(TimetableSlot.find).toHaveBeenCalledWith({
+        jour: 'lundi',
+        heureDebut: { $lt: '09:25' },
+        heureFin: { $gt: '08:30' },
+        $or: [{ idclasse: mockIds.class1 }, { idprof: mockIds.teacher1 }, { salle: 'B12' }],
+        idclasse: { $in: [mockIds.class1, mockIds.class2] }
+      });
+      expect(Class.find).toHaveBeenCalledWith({ idannee: mockIds.academicYear1 }, '_id');
+      expect(TimetableSlot.create).toHaveBeenCalledWith(timetableSlots.validInput);
+      expect(result).toEqual(timetableSlots.valid);
+    });
+
+    it('should not book a room when none is given', async () => {
+      mockReferences();
+      const { salle, ...withoutRoom } = timetableSlots.validInput;
+
+      await timetableService.createSlot(withoutRoom);
+
+      expect(TimetableSlot.find).toHaveBeenCalledWith(expect.objectContaining({
+        $or: [{ idclasse: mockIds.class1 }, { idprof: mockIds.teacher1 }]
+      }));
+    });
+
+    it('should throw 400 when a reference is missing', async () => {
+      mockReferences();
+      Teacher.findById.mockResolvedValue(null);
+
+      await expect(timetableService.createSlot(timetableSlots.validInput))
+        .rejects.toMatchObject({ statusCode: 400, message: `Referenced teacher (${mockIds.teacher1}) not found` });
+      expect(TimetableSlot.create).not.toHaveBeenCalled();
+    });
+
+    it('should throw 409 naming the teacher and room already booked', async () => {
+      mockReferences();
+      TimetableSlot.find.mockResolvedValue([
+        { ...timetableSlots.valid, idclasse: mockIds.class2, heureDebut: '09:00', heureFin: '10:00' }
+      ]);
+
+      await expect(timetableService.createSlot(timetableSlots.validInput))
+        .rejects.toMatchObject({
+          statusCode: 409,
+          message: 'Timetable conflict: teacher, room B12 already booked on lundi between 08:30 and 09:25'
+        });
+      expect(TimetableSlot.create).not.toHaveBeenCalled();
+    });
+
+    it('should throw 409 when the class already has a subject at that time', async () => {
+      mockReferences();
+      TimetableSlot.find.mockResolvedValue([
+        { ...timetableSlots.valid, idmatiere: mockIds.subject2, idprof: mockIds.teacher2, salle: 'A03' }
+      ]);
+
+      await expect(timetableService.createSlot(timetableSlots.validInput))
+        .rejects.toMatchObject({ statusCode: 409, message: expect.stringContaining('class already booked') });
+    });
+  });
+
+  describe('updateSlot', () => {
+    it('should check conflicts on the resulting slot, ignoring itself', async () => {
+      const document = mockDocument();
+      mockReferences();
+      TimetableSlot.find.mockResolvedValue([]);
+
+      await timetableService.updateSlot(mockIds.timetableSlot1, { jour: 'mardi', heureFin: '10:20' });
+
+      expect(document.set).toHaveBeenCalledWith({ jour: 'mardi', heureFin: '10:20' });
+      expect(TimetableSlot.find).toHaveBeenCalledWith({
+        jour: 'mardi',
+        heureDebut: { $lt: '10:20' },
+        heureFin: { $gt: '08:30' },
+        $or: [{ idclasse: mockIds.class1 }, { idprof: mockIds.teacher1 }, { salle: 'B12' }],
+        _id: { $ne: mockIds.timetableSlot1 },
+        idclasse: { $in: [mockIds.class1, mockIds.class2] }
+      });
+      expect(document.save).toHaveBeenCalled();
+    });
+
+    it('should not save a conflicting slot', async () => {
+      const document = mockDocument();
+      mockReferences();
+      TimetableSlot.find.mockResolvedValue([{ ...timetableSlots.valid, _id: mockIds.grade1 }]);
+
+      await expect(timetableService.updateSlot(mockIds.timetableSlot1, { salle: 'B12' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(document.save).not.toHaveBeenCalled();
+    });
+
+    it('should throw 404 when slot does not exist', async () => {
+      TimetableSlot.findById.mockResolvedValue(null);
+
+      await expect(timetableService.updateSlot(mockIds.timetableSlot1, { jour: 'mardi' }))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('deleteSlot', () => {
+    it('should throw 404 when slot does not exist', async () => {
+      TimetableSlot.findByIdAndDelete.mockResolvedValue(null);
+
+      await expect(timetableService.deleteSlot(mockIds.timetableSlot1))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('getClassTimetable', () => {
+    it('should group the slots of the class by day in week order', async () => {
+      mockReferences();
+      TimetableSlot.find.mockReturnValue(createQueryMock([
+        { ...timetableSlots.valid, jour: 'mardi', heureDebut: '10:20', heureFin: '11:15' },
+        { ...timetableSlots.valid, jour: 'mardi', heureDebut: '08:30', heureFin: '09:25' },
+        timetableSlots.valid
+      ]));
+
+      const result = await timetableService.getClassTimetable(mockIds.class1);
+
+      expect(TimetableSlot.find).toHaveBeenCalledWith({ idclasse: mockIds.class1 });
+      expect(result.class).toEqual({ _id: mockIds.class1, nom: 'CM1' });
+      expect(result.days.map(day => day.jour)).toEqual(['lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi']);
+      expect(result.days[0].slots).toHaveLength(1);
+      expect(result.days[1].slots.map(slot => slot.heureDebut)).toEqual(['08:30', '10:20']);
+      expect(result.days[2].slots).toEqual([]);
+    });
+
+    it('should throw 404 when class does not exist', async () => {
+      Class.findById.mockResolvedValue(null);
+
+      await expect(timetableService.getClassTimetable(mockIds.class1))
+        .rejects.toMatchObject({ statusCode: 404, message: 'Class not found' });
+    });
+  });
+
+  describe('getTeacherTimetable', () => {
+    it('should return the slots of the teacher across classes', async () => {
+      mockReferences();
+      TimetableSlot.find.mockReturnValue(createQueryMock([timetableSlots.valid]));
+
+      const result = await timetableService.getTeacherTimetable(mockIds.teacher1);
+
+      expect(TimetableSlot.find).toHaveBeenCalledWith({ idprof: mockIds.teacher1 });
+      expect(result.teacher).toEqual({ _id: mockIds.teacher1, nom: 'Dupont', prenom: 'Jean' });
+      expect(result.days[0].slots).toEqual([timetableSlots.valid]);
+    });
+
+    it('should throw 404 when teacher does not exist', async () => {
+      Teacher.findById.mockResolvedValue(null);
+
+      await expect(timetableService.getTeacherTimetable(mockIds.teacher1))
+        .rejects.toMatchObject({ statusCode: 404, message: 'Teacher not found' });
+    });
+  });
+});
@@ -30,10 +30,16 @@
  */
 
 const trimesterService = require('../../../src/services/trimesterService');
+const auditService = require('../../../src/services/auditService');
+const dependencyService = require('../../../src/services/dependencyService');
 const Trimester = require('../../../src/models/Trimester');
-const { trimesters, mockIds, edgeCases } = require('../mocks/fixtures');
+const academicYearService = require('../../../src/services/academicYearService');
+const { trimesters, academicYears, mockIds, edgeCases } = require('../mocks/fixtures');
 
 jest.mock('../../../src/models/Trimester');
+jest.mock('../../../src/services/academicYearService');
+jest.mock('../../../src/services/auditService');
+jest.mock('../../../src/services/dependencyService');
 
 describe('TrimesterService', () => {
   beforeEach(() => {
@@ -70,6 +76,15 @@ describe('TrimesterService', () => {
 
       await expect(trimesterService.getAllTrimesters()).rejects.toThrow('DB error');
     });
+
+    it('should filter trimesters by academic year', async () => {
+      Trimester.find.mockReturnValue({ sort: jest.fn().mockResolvedValue([]) });
+      academicYearService.getYearIdFilter.mockResolvedValueOnce({ $in: [mockIds.academicYear1] });
+
+      await trimesterService.getAllTrimesters({ year: '2024-2025' });
+
+      expect(Trimester.find).toHaveBeenCalledWith({ idannee: { $in: [mockIds.academicYear1] } }, null, { includeDeleted: false });
+    });
   });
 
   describe('getTrimesterById', () => {
@@ -78,7 +93,7 @@ describe('TrimesterService', () => {
 
       const result = await trimesterService.getTrimesterById(mockIds.trimester1);
 
-      expect(Trimester.findById).toHaveBeenCalledWith(mockIds.trimester1);
+      expect(Trimester.findById).toHaveBeenCalledWith(mockIds.trimester1, null, { includeDeleted: false });
       expect(result).toEqual(trimesters.valid);
     });
 
@@ -107,16 +122,90 @@ describe('TrimesterService', () => {
   describe('createTrimester', () => {
     it('should create and return new trimester', async () => {
       const newData = trimesters.validInput;
-      const savedTrimester = { ...newData, _id: mockIds.trimester2 };
+      const savedTrimester = { ...newData, _id: mockIds.trimester2, save: jest.fn().mockResolvedValue() };
 
-      Trimester.mockImplementation(() => ({
-        save: jest.fn().mockResolvedValue(savedTrimester),
-      }));
+      Trimester.mockImplementation(() => savedTrimester);
 
       const result = await trimesterService.createTrimester(newData);
 
-      expect(Trimester).toHaveBeenCalledWith(newData);
-      expect(result).toEqual(savedTrimester);
+      expect(Trimester).toHaveBeenCalledWith({ ...newData, date: newData.dateDebut, idannee: undefined });
+      expect(savedTrimester.save).toHaveBeenCalled();
+      expect(auditService.record).toHaveBeenCalledWith({ action: 'create', entity: 'Trimester', after: savedTrimester });
+      expect(result).toBe(savedTrimester);
+    });
+
+    it('should attach the trimester to the current academic year by default', async () => {
+      academicYearService.resolveYear.mockResolvedValueOnce(academicYears.valid);
+      Trimester.mockImplementation(() => ({ save: jest.fn().mockResolvedValue() }));
+
+      await trimesterService.createTrimester(trimesters.validInput);
+
+      expect(academicYearService.resolveYear).toHaveBeenCalledWith(undefined);
+      expect(Trimester).toHaveBeenCalledWith({
+        ...trimesters.validInput,
+        date: trimesters.validInput.dateDebut,
+        idannee: mockIds.academicYear1
+      });
+    });
+
+    it('should require the start and end dates', async () => {
+      const { dateDebut, dateFin, ...withoutRange } = trimesters.validInput;
+
+      await expect(trimesterService.createTrimester({ ...withoutRange, date: '2024-03-01' }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Start and end dates (dateDebut, dateFin) are required' });
+      expect(Trimester).not.toHaveBeenCalled();
+    });
+
+    it('should not create a locked or deleted trimester', async () => {
+      Trimester.mockImplementation(() => ({ save: jest.fn().mockResolvedValue() }));
+
+      await trimesterService.createTrimester({ ...trimesters.validInput, verrouille: true, deletedAt: new Date() });
+
+      expect(Trimester).toHaveBeenCalledWith({ ...trimesters.validInput, date: trimesters.validInput.dateDebut, idannee: undefined });
+    });
+
+    it('should refuse dates overlapping another trimester', async () => {
+      Trimester.findOne.mockResolvedValueOnce({
+        nom: 'T1',
+        dateDebut: new Date('2024-09-02'),
+        dateFin: new Date('2024-11-29')
+      });
+
+      await expect(trimesterService.createTrimester({
+        ...trimesters.validInput,
+        dateDebut: '2024-11-15',
+        dateFin: '2025-02-28'
+      })).rejects.toMatchObject({ statusCode: 409, message: 'Dates overlap trimester T1 (2024-09-02 to 2024-11-29)' });
+      expect(Trimester.findOne).toHaveBeenCalledWith({
+        idannee: null,
+        dateDebut: { $lte: new Date('2025-02-28') },
+        dateFin: { $gte: new Date('2024-11-15') }
+      });
+      expect(Trimester).not.toHaveBeenCalled();
+    });
+
+    it('should only check the overlap with the trimesters of the same academic year', async () => {
+      academicYearService.resolveYear.mockResolvedValueOnce(academicYears.valid);
+      Trimester.findOne.mockResolvedValueOnce(null);
+      Trimester.mockImplementation(() => ({ save: jest.fn().mockResolvedValue() }));
+
+      await trimesterService.createTrimester({ ...trimesters.validInput, dateDebut: '2024-09-02', dateFin: '2024-11-29' });
+
+      expect(Trimester.findOne).toHaveBeenCalledWith(expect.objectContaining({ idannee: mockIds.academicYear1 }));
+    });
+
+    it('should require the start and end dates together', async () => {
+      await expect(trimesterService.createTrimester({ ...trimesters.validInput, dateFin: undefined }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(Trimester).not.toHaveBeenCalled();
+    });
+
+    it('should refuse an end date before the start date', async () => {
+      await expect(trimesterService.createTrimester({
+        ...trimesters.validInput,
+        dateDebut: '2024-11-29',
+        dateFin: '2024-09-02'
+      })).rejects.toMatchObject({ statusCode: 400, message: 'End date (dateFin) must be after the start date (dateDebut)' });
     });
 
     it('should handle Mongoose validation errors', async () => {
@@ -132,7 +221,7 @@ describe('TrimesterService', () => {
     });
 
     it('should handle invalid date', async () => {
-      const invalidData = { ...trimesters.validInput, date: 'invalid-date' };
+      const invalidData = { ...trimesters.validInput, dateFin: 'invalid-date' };
       const error = new Error('Cast to Date failed');
 
       Trimester.mockImplementation(() => ({
@@ -154,6 +243,10 @@ describe('TrimesterService', () => {
   });
 
   describe('updateTrimester', () => {
+    beforeEach(() => {
+      Trimester.findById.mockResolvedValue(trimesters.valid);
+    });
+
     it('should update and return trimester', async () => {
       const updateData = { nom: 'T3' };
       const updated = { ...trimesters.valid, ...updateData };
@@ -167,19 +260,51 @@ describe('TrimesterService', () => {
         updateData,
         { new: true, runValidators: true }
       );
+      expect(auditService.record).toHaveBeenCalledWith({ action: 'update', entity: 'Trimester', before: trimesters.valid, after: updated });
       expect(result.nom).toBe('T3');
     });
 
+    it('should only change nom, dates and academic year, not the lock nor the deletion', async () => {
+      Trimester.findOne.mockResolvedValueOnce(null);
+      Trimester.findByIdAndUpdate.mockResolvedValue(trimesters.valid);
+
+      await trimesterService.updateTrimester(mockIds.trimester1, {
+        nom: 'T3',
+        dateDebut: '2023-12-04',
+        verrouille: false,
+        verrouillePar: null,
+        deletedAt: null,
+        date: '2020-01-01'
+      });
+
+      expect(Trimester.findByIdAndUpdate).toHaveBeenCalledWith(
+        mockIds.trimester1,
+        { nom: 'T3', dateDebut: '2023-12-04', date: '2023-12-04' },
+        { new: true, runValidators: true }
+      );
+    });
+
+    it('should require dates on a trimester written without range', async () => {
+      const { dateDebut, dateFin, ...legacy } = trimesters.valid;
+      Trimester.findById.mockResolvedValue(legacy);
+
+      await expect(trimesterService.updateTrimester(mockIds.trimester1, { nom: 'T3' }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Start and end dates (dateDebut, dateFin) are required' });
+      expect(Trimester.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
     it('should throw error when trimester not found', async () => {
-      Trimester.findByIdAndUpdate.mockResolvedValue(null);
+      Trimester.findById.mockResolvedValue(null);
 
       await expect(trimesterService.updateTrimester(edgeCases.nonExistentId, {}))
         .rejects.toThrow('Trimester not found');
+      expect(Trimester.findByIdAndUpdate).not.toHaveBeenCalled();
     });
 
     it('should validate update data', async () => {
       const error = new Error('Validation failed');
       error.name = 'ValidationError';
+      Trimester.findOne.mockResolvedValueOnce(null);
       Trimester.findByIdAndUpdate.mockRejectedValue(error);
 
       await expect(trimesterService.updateTrimester(mockIds.trimester1, trimesters.invalid))
@@ -192,30 +317,302 @@ describe('TrimesterService', () => {
       await expect(trimesterService.updateTrimester(mockIds.trimester1, {}))
         .rejects.toThrow('DB error');
     });
+
+    it('should check a new end date with the stored start date', async () => {
+      Trimester.findById.mockResolvedValueOnce({ ...trimesters.valid, dateDebut: new Date('2024-09-02'), dateFin: new Date('2024-11-29') });
+      Trimester.findOne.mockResolvedValueOnce(null);
+      Trimester.findByIdAndUpdate.mockResolvedValue(trimesters.valid);
+
+      await trimesterService.updateTrimester(mockIds.trimester1, { dateFin: '2024-12-06' });
+
+      expect(Trimester.findOne).toHaveBeenCalledWith({
+        idannee: null,
+        dateDebut: { $lte: new Date('2024-12-06') },
+        dateFin: { $gte: new Date('2024-09-02') },
+        _id: { $ne: mockIds.trimester1 }
+      });
+    });
+
+    it('should check the range against the trimesters of the year the trimester moves to', async () => {
+      academicYearService.resolveYear.mockResolvedValueOnce(academicYears.valid);
+      Trimester.findById.mockResolvedValueOnce({
+        ...trimesters.valid,
+        idannee: mockIds.academicYear2,
+        dateDebut: new Date('2024-09-02'),
+        dateFin: new Date('2024-11-29')
+      });
+      Trimester.findOne.mockResolvedValueOnce({ nom: 'T1', dateDebut: new Date('2024-09-02'), dateFin: new Date('2024-11-29') });
+
+      await expect(trimesterService.updateTrimester(mockIds.trimester1, { idannee: mockIds.academicYear1 }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(Trimester.findOne).toHaveBeenCalledWith(expect.objectContaining({ idannee: mockIds.academicYear1 }));
+      expect(Trimester.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to move the dates over another trimester', async () => {
+      Trimester.findById.mockResolvedValueOnce({ ...trimesters.valid, dateDebut: new Date('2024-09-02'), dateFin: new Date('2024-11-29') });
+      Trimester.findOne.mockResolvedValueOnce({ nom: 'T2', dateDebut: new Date('2024-12-02'), dateFin: new Date('2025-03-07') });
+
+      await expect(trimesterService.updateTrimester(mockIds.trimester1, { dateFin: '2024-12-20' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(Trimester.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to update a trimester of an archived academic year', async () => {
+      academicYearService.assertWritable.mockRejectedValueOnce(Object.assign(new Error('Academic year 2023-2024 is archived and read-only'), { statusCode: 409 }));
+
+      await expect(trimesterService.updateTrimester(mockIds.trimester1, { nom: 'T3' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(academicYearService.assertWritable).toHaveBeenCalledWith({ idtrimestre: mockIds.trimester1 });
+      expect(Trimester.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to move a trimester to an archived academic year', async () => {
+      academicYearService.resolveYear.mockRejectedValueOnce(Object.assign(new Error('Academic year 2023-2024 is archived and read-only'), { statusCode: 409 }));
+
+      await expect(trimesterService.updateTrimester(mockIds.trimester1, { idannee: mockIds.academicYear2 }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(Trimester.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
   });
 
   describe('deleteTrimester', () => {
+    beforeEach(() => {
+      dependencyService.deleteWithDependents.mockImplementation((entity, id, options, remove) => remove());
+    });
+
     it('should delete and return trimester', async () => {
-      Trimester.findByIdAndDelete.mockResolvedValue(trimesters.valid);
+      Trimester.findByIdAndUpdate.mockResolvedValue(trimesters.valid);
 
-      const result = await trimesterService.deleteTrimester(mockIds.trimester1);
+      const result = await trimesterService.deleteTrimester(mockIds.trimester1, { _id: mockIds.user1 });
 
-      expect(Trimester.findByIdAndDelete).toHaveBeenCalledWith(mockIds.trimester1);
+      expect(Trimester.findByIdAndUpdate).toHaveBeenCalledWith(
+        mockIds.trimester1,
+        { deletedAt: expect.any(Date), deletedBy: mockIds.user1 },
+        { new: true }
+      );
       expect(result).toEqual(trimesters.valid);
     });
 
     it('should throw error when trimester not found', async () => {
-      Trimester.findByIdAndDelete.mockResolvedValue(null);
+      Trimester.findByIdAndUpdate.mockResolvedValue(null);
 
       await expect(trimesterService.deleteTrimester(edgeCases.nonExistentId))
         .rejects.toThrow('Trimester not found');
     });
 
     it('should propagate database errors', async () => {
-      Trimester.findByIdAndDelete.mockRejectedValue(new Error('DB error'));
+      Trimester.findByIdAndUpdate.mockRejectedValue(new Error('DB error'));
 
       await expect(trimesterService.deleteTrimester(mockIds.trimester1))
         .rejects.toThrow('DB error');
     });
+
+    it('should refuse to delete a trimester of an archived academic year', async () => {
+      academicYearService.assertWritable.mockRejectedValueOnce(Object.assign(new Error('Academic year 2023-2024 is archived and read-only'), { statusCode: 409 }));
+
+      await expect(trimesterService.deleteTrimester(mockIds.trimester1))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(Trimester.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should check the records referencing the trimester with the cascade options', async () => {
+      Trimester.findByIdAndUpdate.mockResolvedValue(trimesters.valid);
+      const user = { _id: mockIds.user1 };
+
+      await trimesterService.deleteTrimester(mockIds.trimester1, user, { cascade: 'reassign', to: mockIds.trimester2 });
+
+      expect(dependencyService.deleteWithDependents).toHaveBeenCalledWith(
+        'Trimester', mockIds.trimester1, { cascade: 'reassign', to: mockIds.trimester2, user }, expect.any(Function)
+      );
+      expect(academicYearService.assertWritable).toHaveBeenCalledWith({ idtrimestre: mockIds.trimester2 });
+    });
+
+    it('should keep a trimester that is still referenced', async () => {
+      dependencyService.deleteWithDependents.mockRejectedValueOnce(Object.assign(new Error('Trimester is still referenced'), { statusCode: 409 }));
+
+      await expect(trimesterService.deleteTrimester(mockIds.trimester1))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(auditService.record).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findCurrentTrimester', () => {
+    it('should find the trimester whose range contains the day', async () => {
+      Trimester.findOne.mockResolvedValueOnce(trimesters.valid);
+
+      const result = await trimesterService.findCurrentTrimester(new Date('2024-11-29T15:30:00Z'));
+
+      // The last day (dateFin) is included until midnight
+      expect(Trimester.findOne).toHaveBeenCalledWith({
+        dateDebut: { $lte: new Date('2024-11-29T15:30:00Z') },
+        dateFin: { $gte: new Date('2024-11-29T00:00:00Z') }
+      });
+      expect(result).toEqual(trimesters.valid);
+    });
+  });
+
+  describe('getCurrentTrimester', () => {
+    it('should throw 404 when no trimester covers today', async () => {
+      Trimester.findOne.mockResolvedValueOnce(null);
+
+      await expect(trimesterService.getCurrentTrimester())
+        .rejects.toMatchObject({ statusCode: 404, message: 'No trimester covers the current date' });
+    });
+  });
+
+  describe('lockTrimester', () => {
+    it('should lock the trimester and keep who locked it', async () => {
+      const trimester = {
+        toObject: jest.fn().mockReturnValue(trimesters.valid),
+        set: jest.fn(),
+        save: jest.fn().mockResolvedValue(trimesters.valid)
+      };
+      Trimester.findById.mockResolvedValueOnce(trimester);
+
+      await trimesterService.lockTrimester(mockIds.trimester1, { _id: mockIds.user1 });
+
+      expect(academicYearService.assertWritable).toHaveBeenCalledWith({ idtrimestre: mockIds.trimester1 });
+      expect(trimester.set).toHaveBeenCalledWith({
+        verrouille: true,
+        dateVerrouillage: expect.any(Date),
+        verrouillePar: mockIds.user1
+      });
+      expect(trimester.save).toHaveBeenCalled();
+      expect(auditService.record).toHaveBeenCalledWith({
+        action: 'lock',
+        entity: 'Trimester',
+        before: trimesters.valid,
+        after: trimester
+      });
+    });
+
+    it('should throw 404 when trimester not found', async () => {
+      Trimester.findById.mockResolvedValueOnce(null);
+
+      await expect(trimesterService.lockTrimester(edgeCases.nonExistentId, { _id: mockIds.user1 }))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('unlockTrimester', () => {
+    it('should clear the lock and audit the unlock', async () => {
+      const trimester = {
+        toObject: jest.fn().mockReturnValue(trimesters.valid),
+        set: jest.fn(),
+        save: jest.fn().mockResolvedValue(trimesters.valid)
+      };
+      Trimester.findById.mockResolvedValueOnce(trimester);
+
+      await trimesterService.unlockTrimester(mockIds.trimester1);
+
+      expect(trimester.set).toHaveBeenCalledWith({ verrouille: false, dateVerrouillage: null, verrouillePar: null });
+      expect(auditService.record).toHaveBeenCalledWith({
+        action: 'unlock',
+        entity: 'Trimester',
+        before: trimesters.valid,
+        after: trimester
+      });
+    });
+  });
+
+  describe('assertUnlocked', () => {
+    const locked = { _id: mockIds.trimester1, nom: 'T1', verrouille: true };
+
+    it('should accept changes when no trimester is locked', async () => {
+      Trimester.findOne.mockResolvedValueOnce(null);
+
+      await expect(trimesterService.assertUnlocked([mockIds.trimester1, undefined], { role: 'teacher' }))
+        .resolves.toBeNull();
+      expect(Trimester.findOne).toHaveBeenCalledWith({ _id: { $in: [mockIds.trimester1] }, verrouille: true });
+    });
+
+    it('should refuse teachers in a locked trimester, even with a reason', async () => {
+      Trimester.findOne.mockResolvedValueOnce(locked);
+
+      await expect(trimesterService.assertUnlocked([mockIds.trimester1], { role: 'teacher' }, 'Oubli'))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should refuse admins without a reason', async () => {
+      Trimester.findOne.mockResolvedValueOnce(locked);
+
+      await expect(trimesterService.assertUnlocked([mockIds.trimester1], { role: 'admin' }, ''))
+        .rejects.toMatchObject({
+          statusCode: 409,
+          message: 'Trimester T1 is locked: only an admin giving an override reason (motifDerogation) can change its grades'
+        });
+    });
+
+    it('should return the locked trimester when an admin gives a reason', async () => {
+      Trimester.findOne.mockResolvedValueOnce(locked);
+
+      await expect(trimesterService.assertUnlocked([mockIds.trimester1], { role: 'admin' }, 'Erreur de saisie'))
+        .resolves.toBe(locked);
+    });
+  });
+
+  describe('restoreTrimester', () => {
+    const session = { id: 'session' };
+
+    beforeEach(() => {
+      dependencyService.restoreWithDependents.mockImplementation((entity, record, restore) => restore(session));
+    });
+
+    it('should check the date range again before clearing the deletion', async () => {
+      const trimester = {
+        ...trimesters.valid,
+        dateDebut: new Date('2024-09-02'),
+        dateFin: new Date('2024-11-29'),
+        deletedAt: new Date(),
+        set: jest.fn(),
+        save: jest.fn()
+      };
+      Trimester.findById.mockResolvedValueOnce(trimester);
+      Trimester.findOne.mockResolvedValueOnce(null);
+
+      const result = await trimesterService.restoreTrimester(mockIds.trimester1);
+
+      expect(Trimester.findById).toHaveBeenCalledWith(mockIds.trimester1, null, { includeDeleted: true });
+      expect(Trimester.findOne).toHaveBeenCalledWith(expect.objectContaining({ _id: { $ne: mockIds.trimester1 } }));
+      expect(trimester.set).toHaveBeenCalledWith({ deletedAt: null, deletedBy: null });
+      expect(auditService.record).toHaveBeenCalledWith({ action: 'restore', entity: 'Trimester', after: trimester });
+      expect(result).toBe(trimester);
+    });
+
+    it('should return 409 when another trimester now covers its dates', async () => {
+      const trimester = {
+        ...trimesters.valid,
+        dateDebut: new Date('2024-09-02'),
+        dateFin: new Date('2024-11-29'),
+        deletedAt: new Date(),
+        set: jest.fn(),
+        save: jest.fn()
+      };
+      Trimester.findById.mockResolvedValueOnce(trimester);
+      Trimester.findOne.mockResolvedValueOnce({ nom: 'TRIM01 bis', dateDebut: new Date('2024-09-02'), dateFin: new Date('2024-11-29') });
+
+      await expect(trimesterService.restoreTrimester(mockIds.trimester1))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(trimester.save).not.toHaveBeenCalled();
+    });
+
+    it('should restore the records deleted along with the trimester', async () => {
+      const trimester = {
+        ...trimesters.valid,
+        dateDebut: new Date('2024-09-02'),
+        dateFin: new Date('2024-11-29'),
+        deletedAt: new Date(),
+        set: jest.fn(),
+        save: jest.fn()
+      };
+      Trimester.findById.mockResolvedValueOnce(trimester);
+      Trimester.findOne.mockResolvedValueOnce(null);
+
+      await trimesterService.restoreTrimester(mockIds.trimester1);
+
+      expect(dependencyService.restoreWithDependents).toHaveBeenCalledWith('Trimester', trimester, expect.any(Function));
+      expect(trimester.save).toHaveBeenCalledWith({ session });
+    });
   });
 });
@@ -0,0 +1,48 @@
+/**
+ * Unit Tests for CSV parsing helpers
+ * Pure functions - no mocks required
+ */
+
+const { detectDelimiter, parseCsv } = require('../../../src/utils/csv');
+
+describe('csv', () => {
+  describe('detectDelimiter', () => {
+    it('should detect semicolon and comma separated headers', () => {
+      expect(detectDelimiter('nom;prenom;classe')).toBe(';');
+      expect(detectDelimiter('nom,prenom,classe')).toBe(',');
+    });
+  });
+
+  describe('parseCsv', () => {
+    it('should key records by header with their line number', () => {
+      const { headers, records } = parseCsv('nom,prenom\nMartin, Élodie \nDupont,Pierre\n');
+
+      expect(headers).toEqual(['nom', 'prenom']);
+      expect(records).toEqual([
+        { line: 2, values: { nom: 'Martin', prenom: 'Élodie' } },
+        { line: 3, values: { nom: 'Dupont', prenom: 'Pierre' } }
+      ]);
+    });
+
+    it('should handle quoted cells, escaped quotes and CRLF line endings', () => {
+      const { records } = parseCsv('nom;adresse\r\n"Martin";"12 rue ""Haute""; Lyon"\r\n');
+
+      expect(records).toEqual([{ line: 2, values: { nom: 'Martin', adresse: '12 rue "Haute"; Lyon' } }]);
+    });
+
+    it('should skip blank lines but keep the file line numbers', () => {
+      const { records } = parseCsv('\uFEFFnom\n\nMartin\n"Du\npont"\nLeroy');
+
+      expect(records.map(record => record.line)).toEqual([3, 4, 6]);
+      expect(records[1].values.nom).toBe('Du\npont');
+    });
+
+    it('should fill missing cells with empty strings', () => {
+      expect(parseCsv('nom,prenom\nMartin').records[0].values).toEqual({ nom: 'Martin', prenom: '' });
+    });
+
+    it('should return no record for an empty file', () => {
+      expect(parseCsv('')).toEqual({ headers: [], records: [] });
+    });
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Unit Tests for document diff helpers
+ * Pure functions - no mocks required
+ */
+
+const { Types } = require('mongoose');
+const { diffDocuments } = require('../../../src/utils/diff');
+
+describe('diff', () => {
+  describe('diffDocuments', () => {
+    it('should list the changed fields only, sorted by name', () => {
+      expect(diffDocuments(
+        { note: 12, coefficient: 2, commentaire: 'Bien' },
+        { note: 14, coefficient: 2, commentaire: 'Très bien' }
+      )).toEqual([
+        { field: 'commentaire', before: 'Bien', after: 'Très bien' },
+        { field: 'note', before: 12, after: 14 }
+      ]);
+    });
+
+    it('should list every field on create and delete', () => {
+      expect(diffDocuments(undefined, { nom: 'T1' })).toEqual([{ field: 'nom', before: null, after: 'T1' }]);
+      expect(diffDocuments({ nom: 'T1' }, null)).toEqual([{ field: 'nom', before: 'T1', after: null }]);
+    });
+
+    it('should ignore bookkeeping fields', () => {
+      expect(diffDocuments(
+        { _id: 'a', __v: 0, updatedAt: new Date('2024-10-01'), nom: 'CM1' },
+        { _id: 'a', __v: 1, updatedAt: new Date('2024-10-02'), nom: 'CM1' }
+      )).toEqual([]);
+    });
+
+    it('should compare ObjectIds and dates with their string form', () => {
+      const id = new Types.ObjectId();
+
+      expect(diffDocuments(
+        { classe: id, dateNaissance: new Date('2015-05-20') },
+        { classe: id.toString(), dateNaissance: '2015-05-20T00:00:00.000Z' }
+      )).toEqual([]);
+      expect(diffDocuments({ date: new Date('2024-12-15') }, { date: new Date('2024-12-20') }))
+        .toEqual([{ field: 'date', before: '2024-12-15T00:00:00.000Z', after: '2024-12-20T00:00:00.000Z' }]);
+    });
+
+    it('should depopulate Mongoose documents', () => {
+      const document = { toObject: jest.fn().mockReturnValue({ note: 15 }) };
+
+      expect(diffDocuments({ note: 12 }, document)).toEqual([{ field: 'note', before: 12, after: 15 }]);
+      expect(document.toObject).toHaveBeenCalledWith({ depopulate: true });
+    });
+
+    it('should not record password values', () => {
+      expect(diffDocuments(undefined, { username: 'jdupont', password: '$2a$10$hash' })).toEqual([
+        { field: 'password', before: null, after: '[REDACTED]' },
+        { field: 'username', before: null, after: 'jdupont' }
+      ]);
+    });
+
+    it('should not record password reset token hashes', () => {
+      expect(diffDocuments({ passwordResetTokenHash: 'abc' }, {})).toEqual([
+        { field: 'passwordResetTokenHash', before: '[REDACTED]', after: null }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Unit Tests for grade calculation helpers
+ * Pure functions - no mocks required
+ */
+
+const {
+  round,
+  toTwentyScale,
+  countedNote,
+  weightedAverage,
+  mean,
+  median,
+  standardDeviation,
+  rankByAverage
+} = require('../../../src/utils/gradeMath');
+
+describe('gradeMath', () => {
+  describe('round', () => {
+    it('should round to 2 decimals', () => {
+      expect(round(13.3333)).toBe(13.33);
+      expect(round(12.005)).toBe(12.01);
+    });
+
+    it('should return null for missing values', () => {
+      expect(round(null)).toBeNull();
+      expect(round(undefined)).toBeNull();
+      expect(round(NaN)).toBeNull();
+    });
+  });
+
+  describe('toTwentyScale', () => {
+    it('should convert a score to the /20 scale', () => {
+      expect(toTwentyScale(31, 40)).toBe(15.5);
+      expect(toTwentyScale(7, 10)).toBe(14);
+      expect(toTwentyScale(2, 3)).toBe(13.33);
+    });
+
+    it('should keep scores already on /20', () => {
+      expect(toTwentyScale(12.5)).toBe(12.5);
+    });
+  });
+
+  describe('countedNote', () => {
+    const rules = { absent_justified: 'exclude', absent_unjustified: 'zero', exempt: 'exclude', not_submitted: 'zero' };
+
+    it('should count the note of present students, the default status', () => {
+      expect(countedNote({ statut: 'present', note: 12 }, rules)).toBe(12);
+      expect(countedNote({ note: 0 }, rules)).toBe(0);
+    });
+
+    it('should apply the rule of other statuses', () => {
+      expect(countedNote({ statut: 'absent_unjustified', note: null }, rules)).toBe(0);
+      expect(countedNote({ statut: 'not_submitted' }, rules)).toBe(0);
+      expect(countedNote({ statut: 'exempt', note: null }, rules)).toBeNull();
+      expect(countedNote({ statut: 'absent_justified' }, rules)).toBeNull();
+    });
+  });
+
+  describe('weightedAverage', () => {
+    it('should leave out excluded statuses and count penalised ones as 0', () => {
+      const grades = [
+        { note: 16, coefficient: 1 },
+        { statut: 'exempt', note: null, coefficient: 2 },
+        { statut: 'not_submitted', note: null, coefficient: 1 }
+      ];
+
+      expect(weightedAverage(grades)).toEqual({ average: 8, totalCoefficient: 2 });
+      expect(weightedAverage(grades, { exempt: 'exclude', not_submitted: 'exclude' }))
+        .toEqual({ average: 16, totalCoefficient: 1 });
+    });
+
+    it('should weight each note by its coefficient', () => {
+      const result = weightedAverage([
+        { note: 10, coefficient: 1 },
+        { note: 16, coefficient: 2 }
+      ]);
+
+      expect(result).toEqual({ average: 14, totalCoefficient: 3 });
+    });
+
+    it('should ignore zero-coefficient grades', () => {
+      const result = weightedAverage([
+        { note: 0, coefficient: 0 },
+        { note: 12, coefficient: 1 }
+      ]);
+
+      expect(result).toEqual({ average: 12, totalCoefficient: 1 });
+    });
+
+    it('should return null average when there is no weight', () => {
+      expect(weightedAverage([])).toEqual({ average: null, totalCoefficient: 0 });
+      expect(weightedAverage([{ note: 15, coefficient: 0 }]))
+        .toEqual({ average: null, totalCoefficient: 0 });
+    });
+  });
+
+  describe('mean', () => {
+    it('should average present values only', () => {
+      expect(mean([10, null, 15, undefined])).toBe(12.5);
+    });
+
+    it('should return null when no value is present', () => {
+      expect(mean([])).toBeNull();
+      expect(mean([null])).toBeNull();
+    });
+  });
+
+  describe('median', () => {
+    it('should return the middle value for odd lengths', () => {
+      expect(median([15, 8, 12])).toBe(12);
+    });
+
+    it('should average the two middle values for even lengths', () => {
+      expect(median([8, 12, 15, 20])).toBe(13.5);
+    });
+
+    it('should return null for an empty list', () => {
+      expect(median([])).toBeNull();
+    });
+  });
+
+  describe('standardDeviation', () => {
+    it('should compute the population standard deviation', () => {
+      expect(standardDeviation([2, 4, 4, 4, 5, 5, 7, 9])).toBe(2);
+    });
+
+    it('should return 0 for a single value and null for none', () => {
+      expect(standardDeviation([12])).toBe(0);
+      expect(standardDeviation([])).toBeNull();
+    });
+  });
+
+  describe('rankByAverage', () => {
+    it('should rank by descending average', () => {
+      const result = rankByAverage([
+        { id: 'a', average: 10 },
+        { id: 'b', average: 15 }
+      ]);
+
+      expect(result.map(entry => [entry.id, entry.rank, entry.tied]))
+        .toEqual([['b', 1, false], ['a', 2, false]]);
+    });
+
+    it('should share ranks between ties and skip the next rank', () => {
+      const result = rankByAverage([
+        { id: 'a', average: 12 },
+        { id: 'b', average: 15 },
+        { id: 'c', average: 12 },
+        { id: 'd', average: 9 }
+      ]);
+
+      expect(result.map(entry => [entry.id, entry.rank, entry.tied]))
+        .toEqual([['b', 1, false], ['a', 2, true], ['c', 2, true], ['d', 4, false]]);
+    });
+
+    it('should place entries without average last with a null rank', () => {
+      const result = rankByAverage([
+        { id: 'a', average: null },
+        { id: 'b', average: 11 }
+      ]);
+
+      expect(result.map(entry => [entry.id, entry.rank])).toEqual([['b', 1], ['a', null]]);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Unit Tests for list pagination helpers
+ * Covers query parsing, paginated finds and the list query validation rules
+ */
+
+const { splitList, withTiebreaker, getListOptions, paginate } = require('../../../src/utils/pagination');
+const { listValidation } = require('../../../src/middlewares/validation');
+const { validationResult } = require('express-validator');
+const { createQueryMock } = require('../mocks/modelMocks');
+
+describe('pagination', () => {
+  describe('splitList', () => {
+    it('should split and trim comma separated values', () => {
+      expect(splitList('nom, -createdAt,,prenom')).toEqual(['nom', '-createdAt', 'prenom']);
+    });
+  });
+
+  describe('getListOptions', () => {
+    it('should leave the limit undefined when neither page nor limit is given', () => {
+      expect(getListOptions()).toEqual({ page: 1, limit: undefined, sort: undefined, fields: undefined });
+      expect(getListOptions({ sort: 'nom' })).toMatchObject({ limit: undefined, sort: 'nom' });
+    });
+
+    it('should default to pages of 50 items once a page is requested', () => {
+      expect(getListOptions({ page: '2' })).toMatchObject({ page: 2, limit: 50 });
+    });
+
+    it('should convert sort and fields to mongoose syntax', () => {
+      expect(getListOptions({ page: '2', limit: '10', sort: 'nom,-createdAt', fields: 'nom,prenom' }))
+        .toEqual({ page: 2, limit: 10, sort: 'nom -createdAt', fields: 'nom prenom' });
+    });
+
+    it('should clamp page and limit', () => {
+      expect(getListOptions({ page: '0', limit: '500' })).toMatchObject({ page: 1, limit: 100 });
+    });
+  });
+
+  describe('withTiebreaker', () => {
+    it('should end the sort with _id', () => {
+      expect(withTiebreaker()).toEqual({ _id: 1 });
+      expect(withTiebreaker({ nom: 1 })).toEqual({ nom: 1, _id: 1 });
+      expect(withTiebreaker('nom -createdAt')).toBe('nom -createdAt _id');
+    });
+
+    it('should keep a sort already on _id', () => {
+      expect(withTiebreaker({ _id: -1 })).toEqual({ _id: -1 });
+      expect(withTiebreaker('-_id')).toBe('-_id');
+    });
+  });
+
+  describe('paginate', () => {
+    const Model = { find: jest.fn(), countDocuments: jest.fn() };
+
+    it('should skip to the requested page and count matching documents', async () => {
+      const query = createQueryMock([{ nom: 'Dupont' }]);
+      Model.find.mockReturnValue(query);
+      Model.countDocuments.mockResolvedValue(21);
+
+      const result = await paginate(Model, { sexe: 'HOMME' }, { page: 3, limit: 10, defaultSort: { nom: 1 } });
+
+      expect(Model.find).toHaveBeenCalledWith({ sexe: 'HOMME' });
+      expect(Model.countDocuments).toHaveBeenCalledWith({ sexe: 'HOMME' });
+      expect(query.sort).toHaveBeenCalledWith({ nom: 1, _id: 1 });
+      expect(query.skip).toHaveBeenCalledWith(20);
+      expect(query.limit).toHaveBeenCalledWith(10);
+      expect(query.select).not.toHaveBeenCalled();
+      expect(result).toEqual({ data: [{ nom: 'Dupont' }], total: 21, page: 3, limit: 10, totalPages: 3 });
+    });
+
+    it('should prefer the requested sort and apply field selection', async () => {
+      const query = createQueryMock([]);
+      Model.find.mockReturnValue(query);
+      Model.countDocuments.mockResolvedValue(0);
+      const decorate = jest.fn(find => find.populate('classe', 'nom'));
+
+      await paginate(Model, {}, { sort: '-nom', fields: 'nom classe', defaultSort: { nom: 1 } }, decorate);
+
+      expect(decorate).toHaveBeenCalledWith(query);
+      expect(query.populate).toHaveBeenCalledWith('classe', 'nom');
+      expect(query.select).toHaveBeenCalledWith('nom classe');
+      expect(query.sort).toHaveBeenCalledWith('-nom _id');
+    });
+
+    it('should return every matching document as one page without limit', async () => {
+      const query = createQueryMock([{ nom: 'Dupont' }, { nom: 'Martin' }]);
+      Model.find.mockReturnValue(query);
+      Model.countDocuments.mockResolvedValue(2);
+
+      const result = await paginate(Model, {}, { page: 1, defaultSort: { nom: 1 } });
+
+      expect(query.sort).toHaveBeenCalledWith({ nom: 1, _id: 1 });
+      expect(query.skip).not.toHaveBeenCalled();
+      expect(query.limit).not.toHaveBeenCalled();
+      expect(result).toEqual({ data: [{ nom: 'Dupont' }, { nom: 'Martin' }], total: 2, page: 1, limit: null, totalPages: 1 });
+    });
+
+    it('should list and count deleted records when includeDeleted is set', async () => {
+      const query = createQueryMock([]);
+      const count = createQueryMock(2);
+      Model.find.mockReturnValue(query);
+      Model.countDocuments.mockReturnValue(count);
+
+      const result = await paginate(Model, {}, { includeDeleted: true });
+
+      expect(query.setOptions).toHaveBeenCalledWith({ includeDeleted: true });
+      expect(count.setOptions).toHaveBeenCalledWith({ includeDeleted: true });
+      expect(result.total).toBe(2);
+    });
+  });
+
+  describe('listValidation', () => {
+    const runRules = async (query) => {
+      const req = { query };
+      await Promise.all(listValidation(['nom', 'prenom']).map(rule => rule.run(req)));
+      return validationResult(req).array().map(error => error.path);
+    };
+
+    it('should accept valid list parameters', async () => {
+      expect(await runRules({ page: '2', limit: '100', sort: 'nom,-prenom', fields: 'nom' })).toEqual([]);
+    });
+
+    it('should reject out of range pages and limits', async () => {
+      expect(await runRules({ page: '0', limit: '101' })).toEqual(['page', 'limit']);
+    });
+
+    it('should reject fields outside the whitelist', async () => {
+      expect(await runRules({ sort: '-password', fields: 'nom,password' })).toEqual(['sort', 'fields']);
+    });
+  });
+});
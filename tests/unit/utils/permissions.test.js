@@ -0,0 +1,113 @@
+/**
+ * Unit Tests for account permission helpers
+ * Pure functions - no mocks required
+ */
+
+const {
+  forbidden,
+  hasFullAccess,
+  getLinkedTeacherId,
+  sameId,
+  getVisibleStudentIds,
+  assertCanViewStudent,
+  scopeToVisibleStudents
+} = require('../../../src/utils/permissions');
+const { mockIds } = require('../mocks/fixtures');
+
+describe('permissions', () => {
+  const studentUser = { role: 'student', student: mockIds.student1 };
+  const parentUser = { role: 'parent', children: [mockIds.student1, mockIds.student2] };
+
+  describe('forbidden', () => {
+    it('should build a 403 error with the reason', () => {
+      const error = forbidden('Not yours');
+
+      expect(error).toBeInstanceOf(Error);
+      expect(error.message).toBe('Not yours');
+      expect(error.statusCode).toBe(403);
+    });
+  });
+
+  describe('hasFullAccess', () => {
+    it('should grant full access to admins and internal calls only', () => {
+      expect(hasFullAccess(undefined)).toBe(true);
+      expect(hasFullAccess({ role: 'admin' })).toBe(true);
+      expect(hasFullAccess({ role: 'teacher' })).toBe(false);
+      expect(hasFullAccess(studentUser)).toBe(false);
+    });
+  });
+
+  describe('getLinkedTeacherId', () => {
+    it('should return the linked teacher ID as string', () => {
+      expect(getLinkedTeacherId({ role: 'teacher', teacher: mockIds.teacher1 })).toBe(mockIds.teacher1);
+    });
+
+    it('should throw 403 when no teacher profile is linked', () => {
+      expect(() => getLinkedTeacherId({ role: 'teacher' }))
+        .toThrow('Your account is not linked to a teacher profile');
+    });
+  });
+
+  describe('sameId', () => {
+    it('should compare IDs by value', () => {
+      expect(sameId(mockIds.teacher1, mockIds.teacher1)).toBe(true);
+      expect(sameId(mockIds.teacher1, mockIds.teacher2)).toBe(false);
+      expect(sameId(null, mockIds.teacher1)).toBe(false);
+    });
+  });
+
+  describe('getVisibleStudentIds', () => {
+    it('should return null for accounts that see every student', () => {
+      expect(getVisibleStudentIds(undefined)).toBeNull();
+      expect(getVisibleStudentIds({ role: 'admin' })).toBeNull();
+      expect(getVisibleStudentIds({ role: 'teacher' })).toBeNull();
+    });
+
+    it('should restrict students to their own record', () => {
+      expect(getVisibleStudentIds(studentUser)).toEqual([mockIds.student1]);
+      expect(getVisibleStudentIds({ role: 'student' })).toEqual([]);
+    });
+
+    it('should restrict parents to their children', () => {
+      expect(getVisibleStudentIds(parentUser)).toEqual([mockIds.student1, mockIds.student2]);
+      expect(getVisibleStudentIds({ role: 'parent' })).toEqual([]);
+    });
+  });
+
+  describe('assertCanViewStudent', () => {
+    it('should accept visible students, including populated documents', () => {
+      expect(() => assertCanViewStudent(studentUser, mockIds.student1)).not.toThrow();
+      expect(() => assertCanViewStudent(parentUser, { _id: mockIds.student2, nom: 'Leroy' })).not.toThrow();
+      expect(() => assertCanViewStudent({ role: 'teacher' }, mockIds.student2)).not.toThrow();
+    });
+
+    it('should refuse students outside the account scope with a role-specific reason', () => {
+      expect(() => assertCanViewStudent(studentUser, mockIds.student2))
+        .toThrow('Student accounts can only access their own records');
+      expect(() => assertCanViewStudent({ role: 'parent', children: [mockIds.student1] }, mockIds.student2))
+        .toThrow('Parent accounts can only access the records of their children');
+    });
+  });
+
+  describe('scopeToVisibleStudents', () => {
+    it('should leave the filter untouched for full-access accounts', () => {
+      expect(scopeToVisibleStudents({ classe: mockIds.class1 }, { role: 'admin' }))
+        .toEqual({ classe: mockIds.class1 });
+    });
+
+    it('should restrict the filter to visible students', () => {
+      expect(scopeToVisibleStudents({}, parentUser, 'ideleve'))
+        .toEqual({ ideleve: { $in: [mockIds.student1, mockIds.student2] } });
+    });
+
+    it('should keep an explicit visible student filter', () => {
+      expect(scopeToVisibleStudents({ ideleve: mockIds.student1 }, studentUser, 'ideleve'))
+        .toEqual({ ideleve: mockIds.student1 });
+    });
+
+    it('should refuse an explicit student filter outside the scope', () => {
+      expect(() => scopeToVisibleStudents({ ideleve: mockIds.student2 }, studentUser, 'ideleve'))
+        .toThrow('Student accounts can only access their own records');
+    });
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * Unit Tests for school year helpers
+ * Pure functions - no mocks required
+ */
+
+const { schoolYearOf, isSchoolYear, nextSchoolYear } = require('../../../src/utils/schoolYear');
+
+describe('schoolYear', () => {
+  describe('schoolYearOf', () => {
+    it('should start the school year in September', () => {
+      expect(schoolYearOf(new Date(2024, 8, 1))).toBe('2024-2025');
+      expect(schoolYearOf(new Date(2024, 11, 20))).toBe('2024-2025');
+    });
+
+    it('should keep the spring and summer in the previous school year', () => {
+      expect(schoolYearOf(new Date(2025, 0, 6))).toBe('2024-2025');
+      expect(schoolYearOf(new Date(2025, 7, 31))).toBe('2024-2025');
+    });
+  });
+
+  describe('isSchoolYear', () => {
+    it('should accept two consecutive years', () => {
+      expect(isSchoolYear('2024-2025')).toBe(true);
+    });
+
+    it('should reject other labels', () => {
+      expect(isSchoolYear('2024-2026')).toBe(false);
+      expect(isSchoolYear('2024/2025')).toBe(false);
+      expect(isSchoolYear('24-25')).toBe(false);
+      expect(isSchoolYear(undefined)).toBe(false);
+    });
+  });
+
+  describe('nextSchoolYear', () => {
+    it('should start the next school year when the given one ends', () => {
+      expect(nextSchoolYear('2024-2025')).toBe('2025-2026');
+      expect(nextSchoolYear('2099-2100')).toBe('2100-2101');
+    });
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Unit Tests for soft deletion helpers
+ * The plugin is checked on a real schema; record lookups use a mocked model
+ */
+
+const mongoose = require('mongoose');
+const {
+  excludeDeleted,
+  softDeletePlugin,
+  withDeleted,
+  getIncludeDeleted,
+  softDelete,
+  findDeleted,
+  assertReferenceActive,
+  assertUniqueOnRestore
+} = require('../../../src/utils/softDelete');
+const { mockIds } = require('../mocks/fixtures');
+
+describe('softDelete', () => {
+  const schema = new mongoose.Schema({ nom: String });
+  schema.plugin(softDeletePlugin);
+  const Record = mongoose.models.SoftDeleteRecord || mongoose.model('SoftDeleteRecord', schema);
+
+  const Model = { findById: jest.fn(), findByIdAndUpdate: jest.fn(), exists: jest.fn() };
+
+  describe('softDeletePlugin', () => {
+    it('should add deletedAt and deletedBy, empty by default', () => {
+      const record = new Record({ nom: 'CM1' });
+
+      expect(record.deletedAt).toBeNull();
+      expect(record.deletedBy).toBeNull();
+      expect(schema.path('deletedBy').options.ref).toBe('User');
+    });
+  });
+
+  describe('excludeDeleted', () => {
+    it('should hide deleted records', () => {
+      const query = Record.find({ nom: 'CM1' });
+
+      excludeDeleted(query);
+
+      expect(query.getFilter()).toEqual({ nom: 'CM1', deletedAt: null });
+    });
+
+    it('should keep every record with the includeDeleted option', () => {
+      const query = Record.find({ nom: 'CM1' }, null, { includeDeleted: true });
+
+      excludeDeleted(query);
+
+      expect(query.getFilter()).toEqual({ nom: 'CM1' });
+    });
+
+    it('should keep an explicit deletedAt filter', () => {
+      const query = Record.findOne({ deletedAt: { $ne: null } });
+
+      excludeDeleted(query);
+
+      expect(query.getFilter()).toEqual({ deletedAt: { $ne: null } });
+    });
+  });
+
+  describe('getIncludeDeleted', () => {
+    it('should be false unless includeDeleted=true is requested', () => {
+      expect(getIncludeDeleted({ query: {}, user: { role: 'student' } })).toBe(false);
+      expect(getIncludeDeleted({ query: { includeDeleted: 'false' }, user: { role: 'admin' } })).toBe(false);
+    });
+
+    it('should be true for admins', () => {
+      expect(getIncludeDeleted({ query: { includeDeleted: 'true' }, user: { role: 'admin' } })).toBe(true);
+    });
+
+    it('should refuse other accounts with 403', () => {
+      expect(() => getIncludeDeleted({ query: { includeDeleted: 'true' }, user: { role: 'teacher' } }))
+        .toThrow(expect.objectContaining({ statusCode: 403, message: 'Only admins can view deleted records' }));
+    });
+  });
+
+  describe('softDelete', () => {
+    it('should keep the deletion date and author', async () => {
+      Model.findByIdAndUpdate.mockResolvedValue({ _id: mockIds.student1 });
+
+      await softDelete(Model, mockIds.student1, { _id: mockIds.user1 });
+
+      expect(Model.findByIdAndUpdate).toHaveBeenCalledWith(
+        mockIds.student1,
+        { deletedAt: expect.any(Date), deletedBy: mockIds.user1 },
+        { new: true }
+      );
+    });
+
+    it('should leave deletedBy empty for internal calls', async () => {
+      Model.findByIdAndUpdate.mockResolvedValue(null);
+
+      const result = await softDelete(Model, mockIds.student1);
+
+      expect(Model.findByIdAndUpdate.mock.calls[0][1].deletedBy).toBeNull();
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('findDeleted', () => {
+    it('should return the deleted record', async () => {
+      const record = { _id: mockIds.student1, deletedAt: new Date() };
+      Model.findById.mockResolvedValue(record);
+
+      await expect(findDeleted(Model, mockIds.student1, 'Student')).resolves.toBe(record);
+      expect(Model.findById).toHaveBeenCalledWith(mockIds.student1, null, { includeDeleted: true });
+    });
+
+    it('should return 404 when the record does not exist', async () => {
+      Model.findById.mockResolvedValue(null);
+
+      await expect(findDeleted(Model, mockIds.student1, 'Student'))
+        .rejects.toMatchObject({ statusCode: 404, message: 'Student not found' });
+    });
+
+    it('should return 409 when the record is not deleted', async () => {
+      Model.findById.mockResolvedValue({ _id: mockIds.student1, deletedAt: null });
+
+      await expect(findDeleted(Model, mockIds.student1, 'Student'))
+        .rejects.toMatchObject({ statusCode: 409, message: 'Student is not deleted' });
+    });
+  });
+
+  describe('assertReferenceActive', () => {
+    it('should accept a reference that is not deleted', async () => {
+      Model.findById.mockResolvedValue({ _id: mockIds.class1 });
+
+      await expect(assertReferenceActive(Model, mockIds.class1, 'Class deleted')).resolves.toBeUndefined();
+      expect(Model.findById).toHaveBeenCalledWith(mockIds.class1, null, { includeDeleted: true });
+    });
+
+    it('should return 409 when the reference is deleted', async () => {
+      Model.findById.mockResolvedValue({ _id: mockIds.class1, deletedAt: new Date() });
+
+      await expect(assertReferenceActive(Model, mockIds.class1, 'Class deleted'))
+        .rejects.toMatchObject({ statusCode: 409, message: 'Class deleted' });
+    });
+
+    it('should not look up an empty reference', async () => {
+      await assertReferenceActive(Model, undefined, 'Class deleted');
+
+      expect(Model.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('withDeleted', () => {
+    it('should populate a reference with the deleted records included', () => {
+      expect(withDeleted('ideleve', 'nom prenom')).toEqual({
+        path: 'ideleve',
+        select: 'nom prenom',
+        options: { includeDeleted: true }
+      });
+    });
+
+    it('should let the populate query through the soft deletion filter', () => {
+      const query = Record.find({ _id: mockIds.student1 }, null, withDeleted('ideleve', 'nom').options);
+
+      excludeDeleted(query);
+
+      expect(query.getFilter()).toEqual({ _id: mockIds.student1 });
+    });
+  });
+
+  describe('assertUniqueOnRestore', () => {
+    it('should accept values no other record uses', async () => {
+      Model.exists.mockResolvedValue(null);
+
+      await expect(assertUniqueOnRestore(Model, { nom: 'CM1' }, 'Name taken')).resolves.toBeUndefined();
+      expect(Model.exists).toHaveBeenCalledWith({ nom: 'CM1' });
+    });
+
+    it('should return 409 when a record that is not deleted has the same values', async () => {
+      Model.exists.mockResolvedValue({ _id: mockIds.class2 });
+
+      await expect(assertUniqueOnRestore(Model, { nom: 'CM1' }, 'Name taken'))
+        .rejects.toMatchObject({ statusCode: 409, message: 'Name taken' });
+    });
+  });
+
+  describe('unique indexes', () => {
+    it('should only cover the classes and subjects that are not deleted', () => {
+      const Class = require('../../../src/models/Class');
+      const Subject = require('../../../src/models/Subject');
+      const partial = { unique: true, partialFilterExpression: { deletedAt: null } };
+
+      expect(Class.schema.indexes()).toContainEqual([{ nom: 1, idannee: 1 }, expect.objectContaining(partial)]);
+      expect(Subject.schema.indexes()).toContainEqual([{ nom: 1 }, expect.objectContaining(partial)]);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Unit Tests for name search helpers
+ * Pure functions - no mocks required
+ */
+
+const {
+  normalize,
+  tokenize,
+  accentInsensitiveRegex,
+  scoreTerm,
+  scoreDocument
+} = require('../../../src/utils/textSearch');
+
+describe('textSearch', () => {
+  describe('normalize', () => {
+    it('should lowercase and strip accents', () => {
+      expect(normalize('Élodie')).toBe('elodie');
+      expect(normalize('  FRANÇOIS ')).toBe('francois');
+    });
+
+    it('should fold ligatures', () => {
+      expect(normalize('Lætitia Cœur')).toBe('laetitia coeur');
+    });
+  });
+
+  describe('tokenize', () => {
+    it('should split the query on spaces and commas', () => {
+      expect(tokenize(' Élodie,  MARTIN ')).toEqual(['elodie', 'martin']);
+      expect(tokenize('   ')).toEqual([]);
+    });
+  });
+
+  describe('accentInsensitiveRegex', () => {
+    it('should match accented and upper case variants', () => {
+      const regex = accentInsensitiveRegex('elo');
+
+      expect(regex.test('Élodie')).toBe(true);
+      expect(regex.test('ELODIE')).toBe(true);
+      expect(regex.test('Héloïse')).toBe(true);
+      expect(regex.test('Emma')).toBe(false);
+    });
+
+    it('should match ligatures written either way', () => {
+      expect(accentInsensitiveRegex('laetitia').test('Lætitia')).toBe(true);
+      expect(accentInsensitiveRegex('laetitia').test('Laetitia')).toBe(true);
+    });
+
+    it('should escape regular expression characters', () => {
+      expect(accentInsensitiveRegex('a.b').test('axb')).toBe(false);
+      expect(accentInsensitiveRegex('(6e)').test('Classe (6e)')).toBe(true);
+    });
+
+    it('should match the whole value or the start of a word when asked', () => {
+      expect(accentInsensitiveRegex('elodie', 'exact').test('Élodie')).toBe(true);
+      expect(accentInsensitiveRegex('elo', 'exact').test('Élodie')).toBe(false);
+      expect(accentInsensitiveRegex('elo', 'prefix').test('Marie-Éloïse')).toBe(true);
+      expect(accentInsensitiveRegex('elo', 'prefix').test('Jean Elo')).toBe(true);
+      expect(accentInsensitiveRegex('elo', 'prefix').test('Héloïse')).toBe(false);
+    });
+  });
+
+  describe('scoreTerm', () => {
+    it('should rank exact matches above prefixes above substrings', () => {
+      expect(scoreTerm('martin', 'martin')).toBe(3);
+      expect(scoreTerm('jean-martin', 'mar')).toBe(2);
+      expect(scoreTerm('dumartin', 'mar')).toBe(1);
+      expect(scoreTerm('dupont', 'mar')).toBe(0);
+    });
+  });
+
+  describe('scoreDocument', () => {
+    const doc = { nom: 'Martin', prenom: 'Élodie' };
+
+    it('should sum the best score of each term', () => {
+      expect(scoreDocument(doc, ['nom', 'prenom'], ['elodie', 'mar'])).toBe(5);
+    });
+
+    it('should add a bonus for a full name match in either order', () => {
+      expect(scoreDocument(doc, ['nom', 'prenom'], ['elodie', 'martin'])).toBe(8);
+      expect(scoreDocument(doc, ['nom', 'prenom'], ['martin', 'elodie'])).toBe(8);
+    });
+
+    it('should return 0 when a term does not match', () => {
+      expect(scoreDocument(doc, ['nom', 'prenom'], ['elodie', 'dupont'])).toBe(0);
+    });
+  });
+});
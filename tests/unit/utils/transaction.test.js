@@ -0,0 +1,41 @@
+/**
+ * Unit Tests for the transaction helper
+ * mongoose.startSession is mocked: the transaction runs its callback once
+ */
+
+const mongoose = require('mongoose');
+const { runInTransaction } = require('../../../src/utils/transaction');
+
+describe('runInTransaction', () => {
+  let session;
+
+  beforeEach(() => {
+    session = { withTransaction: jest.fn(async callback => callback()), endSession: jest.fn() };
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+  });
+
+  it('should run the work with the session and resolve to its result', async () => {
+    const work = jest.fn().mockResolvedValue('done');
+
+    await expect(runInTransaction(work)).resolves.toBe('done');
+    expect(work).toHaveBeenCalledWith(session);
+    expect(session.endSession).toHaveBeenCalled();
+  });
+
+  it('should rethrow the error of the work once the session is ended', async () => {
+    await expect(runInTransaction(jest.fn().mockRejectedValue(new Error('DB error')))).rejects.toThrow('DB error');
+    expect(session.endSession).toHaveBeenCalled();
+  });
+
+  it('should report a standalone MongoDB server with 503', async () => {
+    session.withTransaction.mockRejectedValue(
+      new Error('Transaction numbers are only allowed on a replica set member or mongos')
+    );
+
+    await expect(runInTransaction(jest.fn())).rejects.toMatchObject({
+      statusCode: 503,
+      message: 'This operation needs MongoDB transactions: run MongoDB as a replica set (see README, Upgrading)'
+    });
+    expect(session.endSession).toHaveBeenCalled();
+  });
+});
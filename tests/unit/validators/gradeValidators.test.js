@@ -0,0 +1,41 @@
+/**
+ * Unit Tests for grade status and note validation rules
+ * Runs the real express-validator chains on plain payloads
+ */
+
+const { gradeNoteRules } = require('../../../src/validators/gradeValidators');
+const { validatePayload } = require('../../../src/middlewares/validation');
+
+describe('gradeNoteRules', () => {
+  it('should require a note for present students, the default status', async () => {
+    expect(await validatePayload(gradeNoteRules(), { note: 12 })).toEqual([]);
+    expect(await validatePayload(gradeNoteRules(), { statut: 'present' }))
+      .toEqual([{ field: 'note', message: 'Note is required' }]);
+    expect(await validatePayload(gradeNoteRules(), { note: 21 }))
+      .toEqual([{ field: 'note', message: 'Note must be between 0 and 20' }]);
+  });
+
+  it('should refuse a note for students who were not present', async () => {
+    expect(await validatePayload(gradeNoteRules(), { statut: 'exempt' })).toEqual([]);
+    expect(await validatePayload(gradeNoteRules(), { statut: 'absent_justified', note: 8 }))
+      .toEqual([{ field: 'note', message: 'Note must be empty when the student is not present' }]);
+  });
+
+  it('should reject unknown statuses', async () => {
+    const errors = await validatePayload(gradeNoteRules(), { statut: 'sick', note: 10 });
+
+    expect(errors[0].field).toBe('statut');
+  });
+
+  it('should check each row against its own status', async () => {
+    const errors = await validatePayload(gradeNoteRules('grades.*.', { max: null }), {
+      grades: [{ note: 35 }, { statut: 'not_submitted' }, { statut: 'absent_unjustified', note: 3 }, {}]
+    });
+
+    expect(errors).toHaveLength(2);
+    expect(errors).toEqual(expect.arrayContaining([
+      { field: 'grades[2].note', message: 'Note must be empty when the student is not present' },
+      { field: 'grades[3].note', message: 'Note is required' }
+    ]));
+  });
+});